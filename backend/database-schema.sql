@@ -37,8 +37,24 @@ CREATE TABLE market_snapshots (
   total_volume DECIMAL(18,8) COMMENT 'Total 24h volume',
   total_open_interest DECIMAL(18,8) COMMENT 'Total open interest',
   total_gex DECIMAL(18,2) COMMENT 'Total gamma exposure',
+  total_vanna DECIMAL(20,8) COMMENT 'Total vanna exposure (USD delta per 1% IV)',
+  total_charm DECIMAL(20,8) COMMENT 'Total charm exposure (USD delta per day)',
   max_gex_strike DECIMAL(12,2) COMMENT 'Strike with highest GEX',
   regime VARCHAR(20) COMMENT 'Market regime (BULLISH/BEARISH/NEUTRAL)',
+  dealer_model VARCHAR(20) COMMENT 'Dealer positioning model used for GEX sign',
+  funding_rate DECIMAL(12,8) COMMENT 'Perpetual funding rate (per 8h period)',
+  basis_pct DECIMAL(12,8) COMMENT 'Perpetual basis (mark - index) / index',
+  futures_open_interest DECIMAL(20,8) COMMENT 'Perpetual futures open interest (contracts)',
+  futures_open_interest_usd DECIMAL(20,2) COMMENT 'Perpetual futures open interest (USD)',
+  futures_oi_change_1h DECIMAL(10,6) COMMENT 'Futures OI change over the last hour (fraction)',
+  long_short_ratio DECIMAL(10,4) COMMENT 'Long/short account ratio (all accounts)',
+  top_long_short_ratio DECIMAL(10,4) COMMENT 'Long/short account ratio (top traders)',
+  leverage_energy DECIMAL(5,4) COMMENT 'Leverage energy score (0-1)',
+  realized_vol DECIMAL(8,6) COMMENT 'Spot realized vol (Yang-Zhang, longest complete window)',
+  realized_vol_window VARCHAR(8) COMMENT 'Window of realized_vol (1h, 4h, 24h, 7d)',
+  vol_risk_premium DECIMAL(8,6) COMMENT 'Constant-maturity ATM IV minus realized vol',
+  iv_rank DECIMAL(6,2) COMMENT '30d ATM IV rank vs history (0-100)',
+  iv_percentile DECIMAL(6,2) COMMENT '30d ATM IV percentile vs history (0-100)',
   
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   
@@ -59,10 +75,12 @@ CREATE TABLE options_history (
   asset_id INT NOT NULL COMMENT 'FK to assets (denormalized for performance)',
   
   symbol VARCHAR(50) NOT NULL COMMENT 'Option symbol (BTC-250131-95000-C)',
+  venue VARCHAR(20) NOT NULL DEFAULT 'binance' COMMENT 'Exchange (binance, deribit)',
   strike DECIMAL(12,2) NOT NULL COMMENT 'Strike price',
   expiry_date BIGINT NOT NULL COMMENT 'Expiry timestamp (ms)',
   dte INT NOT NULL COMMENT 'Days to expiration',
   side ENUM('CALL', 'PUT') NOT NULL COMMENT 'Option type',
+  contract_size DECIMAL(12,6) NOT NULL DEFAULT 1 COMMENT 'Underlying units per contract (Binance unit, Deribit contract_size)',
   
   mark_price DECIMAL(18,8) COMMENT 'Mark price',
   mark_iv DECIMAL(8,6) COMMENT 'Implied volatility',
@@ -141,6 +159,81 @@ CREATE TABLE anomalies_log (
   INDEX idx_created_at (created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Volatility anomalies detection log';
 
+-- ============================================
+-- Table: term_structure_history
+-- IV term structure (ATM, risk reversals, butterflies) per expiry and
+-- constant maturity. Outlives the snapshots (own retention policy)
+-- ============================================
+CREATE TABLE term_structure_history (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  snapshot_id INT NULL COMMENT 'FK to market_snapshots (NULL after snapshot cleanup)',
+  asset_id INT NOT NULL COMMENT 'FK to assets',
+  timestamp BIGINT NOT NULL COMMENT 'Unix timestamp (ms)',
+  
+  kind ENUM('EXPIRY', 'CONSTANT_MATURITY') NOT NULL COMMENT 'Listed expiry or interpolated constant maturity',
+  tenor VARCHAR(16) NOT NULL COMMENT 'Constant maturity tenor (7d, 30d...) or expiry (YYYY-MM-DD)',
+  expiry_date BIGINT COMMENT 'Expiry timestamp (ms), NULL for constant maturities',
+  dte DECIMAL(8,3) NOT NULL COMMENT 'Days to expiration (fractional)',
+  
+  atm_iv DECIMAL(8,6) COMMENT 'ATM implied volatility (SVI, k = 0)',
+  rr_25d DECIMAL(8,6) COMMENT '25-delta risk reversal (call IV - put IV)',
+  rr_10d DECIMAL(8,6) COMMENT '10-delta risk reversal (call IV - put IV)',
+  bf_25d DECIMAL(8,6) COMMENT '25-delta butterfly',
+  bf_10d DECIMAL(8,6) COMMENT '10-delta butterfly',
+  extrapolated BOOLEAN DEFAULT FALSE COMMENT 'Constant maturity outside the listed expiries',
+  
+  structure ENUM('CONTANGO', 'BACKWARDATION', 'FLAT') COMMENT 'Term structure state',
+  slope DECIMAL(8,6) COMMENT 'ATM IV longest minus shortest constant maturity',
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (snapshot_id) REFERENCES market_snapshots(id) ON DELETE SET NULL,
+  FOREIGN KEY (asset_id) REFERENCES assets(id),
+  
+  INDEX idx_snapshot (snapshot_id),
+  INDEX idx_asset_kind_tenor (asset_id, kind, tenor, timestamp),
+  INDEX idx_timestamp (timestamp),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='IV term structure history';
+
+-- ============================================
+-- Table: escape_detections
+-- EscapeTypeDetector detections (H1/H2/H3 + periodic NONE samples) with
+-- the outcome labeled 5/15/60 minutes later
+-- ============================================
+CREATE TABLE escape_detections (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  asset_id INT NOT NULL COMMENT 'FK to assets',
+  timestamp BIGINT NOT NULL COMMENT 'Detection time, Unix timestamp (ms)',
+  
+  type ENUM('H1', 'H2', 'H3', 'NONE') NOT NULL COMMENT 'Detected hypothesis (NONE = sample without detection)',
+  confidence DECIMAL(6,4) COMMENT 'Detection confidence (0-1)',
+  direction ENUM('UP', 'DOWN', 'NEUTRAL') NOT NULL DEFAULT 'NEUTRAL' COMMENT 'Escape direction',
+  regime VARCHAR(20) COMMENT 'Potential regime',
+  spot_price DECIMAL(12,2) NOT NULL COMMENT 'Spot price at detection',
+  p_escape DECIMAL(10,4) COMMENT 'Escape probability (energy / potential)',
+  wall_type VARCHAR(8) COMMENT 'Target wall (call / put)',
+  wall_strike DECIMAL(12,2) COMMENT 'Target wall strike',
+  features JSON COMMENT 'Inputs of the H1/H2/H3 checks',
+  
+  outcome_5m ENUM('BREAKOUT_HELD', 'REVERSED', 'CASCADED', 'RANGE', 'NO_DATA') COMMENT 'Outcome after 5 minutes',
+  return_5m DECIMAL(10,6) COMMENT 'Return after 5 minutes (reference direction)',
+  outcome_15m ENUM('BREAKOUT_HELD', 'REVERSED', 'CASCADED', 'RANGE', 'NO_DATA') COMMENT 'Outcome after 15 minutes',
+  return_15m DECIMAL(10,6) COMMENT 'Return after 15 minutes (reference direction)',
+  outcome_60m ENUM('BREAKOUT_HELD', 'REVERSED', 'CASCADED', 'RANGE', 'NO_DATA') COMMENT 'Outcome after 60 minutes',
+  return_60m DECIMAL(10,6) COMMENT 'Return after 60 minutes (reference direction)',
+  labeled_at BIGINT COMMENT 'When all horizons were labeled (ms)',
+  
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (asset_id) REFERENCES assets(id),
+  
+  INDEX idx_asset_timestamp (asset_id, timestamp),
+  INDEX idx_asset_labeled (asset_id, labeled_at),
+  INDEX idx_type (type),
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COMMENT='Escape detections and forward outcomes';
+
 -- ============================================
 -- Initial Data
 -- ============================================
@@ -175,4 +268,20 @@ SELECT
   MIN(created_at),
   MAX(created_at),
   TIMESTAMPDIFF(DAY, MIN(created_at), NOW())
-FROM anomalies_log;
\ No newline at end of file
+FROM anomalies_log
+UNION ALL
+SELECT 
+  'term_structure_history',
+  COUNT(*),
+  MIN(created_at),
+  MAX(created_at),
+  TIMESTAMPDIFF(DAY, MIN(created_at), NOW())
+FROM term_structure_history
+UNION ALL
+SELECT 
+  'escape_detections',
+  COUNT(*),
+  MIN(created_at),
+  MAX(created_at),
+  TIMESTAMPDIFF(DAY, MIN(created_at), NOW())
+FROM escape_detections;
\ No newline at end of file
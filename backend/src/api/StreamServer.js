@@ -0,0 +1,457 @@
+/**
+ * ============================================================================
+ * GAMMA TRACKER - STREAM SERVER (WebSocket push)
+ * ============================================================================
+ *
+ * Substitui o polling do frontend: clientes assinam tópicos e recebem um
+ * snapshot completo seguido apenas das diferenças (diffs) a cada atualização.
+ *
+ * CONEXÃO:
+ *   ws://localhost:3300/ws
+ *   ws://localhost:3300/ws?topics=gex,walls&underlying=ETH   (assinatura direta)
+ *
+ * TÓPICOS:
+ * - gex          - GEX total, max GEX strike, regime e spot
+ * - gamma-flip   - Gamma flip level
+ * - walls        - Put/Call walls
+ * - escape       - Detecção atual do EscapeTypeDetector
+ * - liquidations - Cada liquidação (evento, sem diff)
+ * - orderbook    - Métricas do order book (BI, depth, spread, walls, energy)
+ * - max-pain     - Max Pain do vencimento mais próximo (pain curve, OI magnet)
+ * - sentiment    - Sentimento put/call (OI, volume, skew)
+ *
+ * FONTES (eventos do DataCollector):
+ * - greeks-updated / spot-price-updated -> gex, gamma-flip, walls, max-pain, sentiment
+ * - orderbook-analyzer-update           -> orderbook
+ * - liquidation                         -> liquidations
+ * - escape-detection                    -> escape
+ *
+ * MENSAGENS DO CLIENTE:
+ *   { "action": "subscribe",   "topics": ["gex", "walls"], "underlying": "BTC" }
+ *   { "action": "unsubscribe", "topics": ["walls"],        "underlying": "BTC" }
+ *   { "action": "ping" }
+ *
+ * MENSAGENS DO SERVIDOR:
+ *   { type: "snapshot", topic, underlying, data, timestamp }
+ *   { type: "diff",     topic, underlying, changes, removed, timestamp }
+ *   { type: "event",    topic, underlying, data, timestamp }
+ *   { type: "subscribed" | "unsubscribed" | "pong" | "error", ... }
+ *
+ * ============================================================================
+ */
+
+const WebSocket = require('ws');
+const Logger = require('../utils/logger');
+
+const TOPICS = ['gex', 'gamma-flip', 'walls', 'escape', 'liquidations', 'orderbook', 'max-pain', 'sentiment'];
+
+// Tópicos de evento são repassados um a um, sem snapshot/diff
+const EVENT_TOPICS = ['liquidations'];
+
+class StreamServer {
+  /**
+   * @param {http.Server} httpServer - Servidor HTTP do APIServer
+   * @param {UnderlyingRegistry} registry - Pipelines por underlying
+   * @param {APIServer} apiServer - Usado para obter métricas (cache compartilhado)
+   */
+  constructor(httpServer, registry, apiServer, config = {}) {
+    this.httpServer = httpServer;
+    this.registry = registry;
+    this.apiServer = apiServer;
+
+    this.config = {
+      path: config.path || '/ws',
+      throttleMs: config.throttleMs || 1000,       // mínimo entre pushes do mesmo tópico
+      heartbeatMs: config.heartbeatMs || 30000
+    };
+
+    this.logger = new Logger('StreamServer');
+
+    this.wss = null;
+    this.heartbeatTimer = null;
+
+    // client -> Set("UNDERLYING:topic")
+    this.subscriptions = new Map();
+
+    // "UNDERLYING:topic" -> último estado enviado (base dos diffs)
+    this.lastState = new Map();
+
+    // "UNDERLYING:topic" -> timer de throttle pendente
+    this.pending = new Map();
+    this.lastPush = new Map();
+
+    // Listeners registrados nos DataCollectors (para remover no stop)
+    this.listeners = [];
+  }
+
+  /**
+   * Inicia o WebSocket server e conecta nos eventos dos pipelines
+   */
+  start() {
+    this.wss = new WebSocket.Server({ server: this.httpServer, path: this.config.path });
+
+    this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+    this.wss.on('error', (error) => this.logger.error('Erro no WebSocket server', error));
+
+    this.registry.list().forEach(pipeline => this.attachPipeline(pipeline));
+
+    // Heartbeat: derruba conexões que não respondem ao ping
+    this.heartbeatTimer = setInterval(() => {
+      this.wss.clients.forEach(ws => {
+        if (ws.isAlive === false) {
+          return ws.terminate();
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, this.config.heartbeatMs);
+
+    this.logger.success(`Stream server ativo em ${this.config.path} (tópicos: ${TOPICS.join(', ')})`);
+  }
+
+  /**
+   * Para o WebSocket server e remove listeners
+   */
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+
+    this.listeners.forEach(({ emitter, event, handler }) => emitter.off(event, handler));
+    this.listeners = [];
+
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+
+    this.subscriptions.clear();
+    this.lastState.clear();
+  }
+
+  /**
+   * Liga os eventos do DataCollector de um pipeline aos tópicos
+   */
+  attachPipeline(pipeline) {
+    const { underlying, dataCollector } = pipeline;
+
+    const on = (event, handler) => {
+      dataCollector.on(event, handler);
+      this.listeners.push({ emitter: dataCollector, event, handler });
+    };
+
+    const refreshMetrics = () => {
+      ['gex', 'gamma-flip', 'walls', 'max-pain', 'sentiment'].forEach(topic => this.schedule(underlying, topic));
+    };
+
+    on('greeks-updated', refreshMetrics);
+    on('spot-price-updated', refreshMetrics);
+    on('orderbook-analyzer-update', () => this.schedule(underlying, 'orderbook'));
+    on('escape-detection', () => this.schedule(underlying, 'escape'));
+    on('liquidation', (liquidation) => {
+      this.publishEvent(underlying, 'liquidations', {
+        timestamp: liquidation.timestamp,
+        symbol: liquidation.symbol,
+        side: liquidation.side,
+        quantity: liquidation.quantity,
+        price: liquidation.price,
+        value: liquidation.value,
+        size: liquidation.size
+      });
+    });
+  }
+
+  // ==========================================================================
+  // CONEXÕES E MENSAGENS DO CLIENTE
+  // ==========================================================================
+
+  handleConnection(ws, req) {
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    this.subscriptions.set(ws, new Set());
+
+    ws.on('message', (raw) => this.handleMessage(ws, raw));
+    ws.on('close', () => {
+      this.subscriptions.delete(ws);
+      this.pruneState();
+    });
+    ws.on('error', (error) => this.logger.debug(`Erro em cliente WebSocket: ${error.message}`));
+
+    // Assinatura direta via query string
+    const url = new URL(req.url, 'http://localhost');
+    const topics = url.searchParams.get('topics');
+    if (topics) {
+      this.subscribe(ws, topics.split(','), url.searchParams.get('underlying'));
+    }
+
+    this.logger.debug(`Cliente conectado (${this.wss.clients.size} ativos)`);
+  }
+
+  handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return this.send(ws, { type: 'error', error: 'Mensagem inválida (JSON esperado)' });
+    }
+
+    switch (message.action) {
+      case 'subscribe':
+        return this.subscribe(ws, message.topics, message.underlying);
+      case 'unsubscribe':
+        return this.unsubscribe(ws, message.topics, message.underlying);
+      case 'ping':
+        return this.send(ws, { type: 'pong', timestamp: Date.now() });
+      default:
+        return this.send(ws, { type: 'error', error: `Ação desconhecida: ${message.action}` });
+    }
+  }
+
+  subscribe(ws, topics, underlying) {
+    const pipeline = this.registry.resolve(underlying);
+    if (!pipeline) {
+      return this.send(ws, {
+        type: 'error',
+        error: `Underlying '${underlying}' não monitorado`,
+        available: this.registry.getUnderlyings()
+      });
+    }
+
+    const requested = (Array.isArray(topics) ? topics : [topics]).map(t => String(t).trim());
+    const invalid = requested.filter(t => !TOPICS.includes(t));
+    if (invalid.length > 0) {
+      return this.send(ws, { type: 'error', error: `Tópicos inválidos: ${invalid.join(', ')}`, available: TOPICS });
+    }
+
+    const subs = this.subscriptions.get(ws);
+    requested.forEach(topic => subs.add(this.key(pipeline.underlying, topic)));
+
+    this.send(ws, { type: 'subscribed', underlying: pipeline.underlying, topics: requested });
+
+    // Snapshot inicial para cada tópico de estado
+    requested
+      .filter(topic => !EVENT_TOPICS.includes(topic))
+      .forEach(topic => this.sendSnapshot(ws, pipeline, topic));
+  }
+
+  unsubscribe(ws, topics, underlying) {
+    const pipeline = this.registry.resolve(underlying);
+    const subs = this.subscriptions.get(ws);
+    if (!pipeline || !subs) return;
+
+    const requested = Array.isArray(topics) ? topics : [topics];
+    requested.forEach(topic => subs.delete(this.key(pipeline.underlying, topic)));
+    this.pruneState();
+
+    this.send(ws, { type: 'unsubscribed', underlying: pipeline.underlying, topics: requested });
+  }
+
+  /**
+   * Snapshot completo na assinatura, igual à base dos diffs do tópico: os
+   * diffs seguintes (calculados sobre essa base) valem para o novo cliente.
+   * Se a base existe ela pode estar até um throttle atrasada; agenda uma
+   * publicação para atualizar todos.
+   */
+  async sendSnapshot(ws, pipeline, topic) {
+    try {
+      const key = this.key(pipeline.underlying, topic);
+
+      if (!this.lastState.has(key)) {
+        const data = await this.buildTopic(pipeline, topic);
+        // Outro snapshot/publicação pode ter criado a base durante o await
+        if (data !== null && !this.lastState.has(key)) {
+          this.lastState.set(key, data);
+        }
+      } else {
+        this.schedule(pipeline.underlying, topic);
+      }
+
+      const data = this.lastState.has(key) ? this.lastState.get(key) : null;
+
+      this.send(ws, {
+        type: 'snapshot',
+        topic,
+        underlying: pipeline.underlying,
+        data,
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      this.logger.error(`Erro ao enviar snapshot ${topic}`, error);
+    }
+  }
+
+  // ==========================================================================
+  // PUBLICAÇÃO
+  // ==========================================================================
+
+  /**
+   * Agenda publicação de um tópico respeitando o throttle
+   */
+  schedule(underlying, topic) {
+    const key = this.key(underlying, topic);
+
+    if (!this.hasSubscribers(key) || this.pending.has(key)) return;
+
+    const elapsed = Date.now() - (this.lastPush.get(key) || 0);
+    const delay = Math.max(0, this.config.throttleMs - elapsed);
+
+    this.pending.set(key, setTimeout(() => {
+      this.pending.delete(key);
+      this.lastPush.set(key, Date.now());
+      this.publishDiff(underlying, topic).catch(error => {
+        this.logger.error(`Erro ao publicar ${topic}`, error);
+      });
+    }, delay));
+  }
+
+  async publishDiff(underlying, topic) {
+    const pipeline = this.registry.get(underlying);
+    if (!pipeline) return;
+
+    const key = this.key(underlying, topic);
+    const next = await this.buildTopic(pipeline, topic);
+    if (next === null) return;
+
+    const prev = this.lastState.get(key);
+    this.lastState.set(key, next);
+
+    if (prev === undefined || prev === null) {
+      return this.broadcast(key, { type: 'snapshot', topic, underlying, data: next, timestamp: Date.now() });
+    }
+
+    const { changes, removed } = StreamServer.diff(prev, next);
+    if (Object.keys(changes).length === 0 && removed.length === 0) return;
+
+    this.broadcast(key, { type: 'diff', topic, underlying, changes, removed, timestamp: Date.now() });
+  }
+
+  publishEvent(underlying, topic, data) {
+    const key = this.key(underlying, topic);
+    if (!this.hasSubscribers(key)) return;
+
+    this.broadcast(key, { type: 'event', topic, underlying, data, timestamp: Date.now() });
+  }
+
+  /**
+   * Monta o payload de um tópico a partir do pipeline
+   */
+  async buildTopic(pipeline, topic) {
+    const { dataCollector } = pipeline;
+
+    switch (topic) {
+      case 'gex': {
+        const metrics = await this.apiServer.getMetrics(pipeline);
+        return {
+          spotPrice: metrics.spotPrice,
+          totalGEX: metrics.totalGEX,
+          totalVanna: metrics.totalVanna,
+          totalCharm: metrics.totalCharm,
+          maxGEXStrike: metrics.maxGEXStrike,
+          regime: metrics.regime
+        };
+      }
+      case 'gamma-flip': {
+        const metrics = await this.apiServer.getMetrics(pipeline);
+        return metrics.gammaFlip;
+      }
+      case 'walls': {
+        const metrics = await this.apiServer.getMetrics(pipeline);
+        return { putWall: metrics.putWall, callWall: metrics.callWall };
+      }
+      case 'escape':
+        return dataCollector.getEscapeDetection();
+      case 'orderbook': {
+        if (!dataCollector.orderBookAnalyzer) return null;
+        const metrics = dataCollector.orderBookAnalyzer.metrics;
+        // Históricos ficam de fora (disponíveis em /api/orderbook/history)
+        const data = {};
+        Object.keys(metrics)
+          .filter(field => !field.endsWith('_history'))
+          .forEach(field => { data[field] = metrics[field]; });
+        return data;
+      }
+      case 'max-pain':
+        return this.apiServer.getMaxPain(pipeline);
+      case 'sentiment':
+        return this.apiServer.getSentiment(pipeline);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Diff raso: campos de primeiro nível alterados e removidos
+   */
+  static diff(prev, next) {
+    const changes = {};
+    const removed = [];
+
+    Object.keys(next).forEach(field => {
+      if (JSON.stringify(prev[field]) !== JSON.stringify(next[field])) {
+        changes[field] = next[field];
+      }
+    });
+
+    Object.keys(prev).forEach(field => {
+      if (!(field in next)) removed.push(field);
+    });
+
+    return { changes, removed };
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  key(underlying, topic) {
+    return `${underlying}:${topic}`;
+  }
+
+  hasSubscribers(key) {
+    for (const subs of this.subscriptions.values()) {
+      if (subs.has(key)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Descarta a base de diff de tópicos sem assinantes (evita snapshot velho)
+   */
+  pruneState() {
+    Array.from(this.lastState.keys())
+      .filter(key => !this.hasSubscribers(key))
+      .forEach(key => this.lastState.delete(key));
+  }
+
+  broadcast(key, payload) {
+    const message = JSON.stringify(payload);
+    this.subscriptions.forEach((subs, ws) => {
+      if (subs.has(key)) this.send(ws, message);
+    });
+  }
+
+  send(ws, payload) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  }
+
+  getStats() {
+    return {
+      clients: this.wss ? this.wss.clients.size : 0,
+      topics: TOPICS,
+      activeKeys: Array.from(new Set(
+        Array.from(this.subscriptions.values()).flatMap(subs => Array.from(subs))
+      ))
+    };
+  }
+}
+
+StreamServer.TOPICS = TOPICS;
+
+module.exports = StreamServer;
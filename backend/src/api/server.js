@@ -6,6 +6,7 @@
  * Express API server para expor dados do Gamma Tracker em tempo real.
  * 
  * COMPONENTES PRINCIPAIS:
+ * - UnderlyingRegistry: Um pipeline por underlying (BTC, ETH, ...)
  * - DataCollector: Coleta dados de options da Binance
  * - GEXCalculator: Calcula Gamma Exposure
  * - RegimeAnalyzer: Analisa regime de mercado
@@ -14,33 +15,89 @@
  * - SentimentAnalyzer: Analisa sentimento Put/Call
  * - StrategyRecommender: Recomenda estratégias de options
  * - LiquidationTracker: Rastreia liquidações forçadas (Binance Futures)
+ * - FuturesCollector: Funding, basis, OI e long/short dos perpétuos
+ * - OptionsFlowTracker: Fluxo agressor das options e blocos
+ * 
+ * MULTI-UNDERLYING:
+ * Todas as rotas /api/* aceitam o underlying de duas formas:
+ * - GET /api/ETH/metrics                  - Underlying no path
+ * - GET /api/metrics?underlying=ETH       - Underlying na query
+ * Sem underlying, usa o padrão (DEFAULT_UNDERLYING). Underlying não
+ * monitorado retorna 404.
  * 
  * ENDPOINTS DISPONÍVEIS:
  * 
  * SISTEMA:
  * - GET /health                           - Health check
  * - GET /api/status                       - Status do coletor
+ * - GET /api/underlyings                  - Underlyings monitorados
+ * - GET /api/venues                       - Venues de options (conexão, contratos, OI)
+ * - GET /api/replay                       - Estado do replay (REPLAY_FROM); feeds indica o que é reproduzido
+ *                                           (order book e liquidações não são persistidos)
+ * - POST /api/replay/:action              - pause | resume | seek | speed
+ * - GET /api/capture                      - Gravação (CAPTURE_DIR) ou playback (PLAYBACK_DIR) de mensagens
+ * - POST /api/capture/:action             - Playback: pause | resume | speed | step (tick a tick)
  * 
  * MÉTRICAS:
  * - GET /api/metrics                      - Métricas completas (cached)
  * - GET /api/gamma-profile                - Perfil de gamma por strike
+ *   ?oiWindow=1h|4h|24h                     - Janela dos marcadores de posicionamento novo (OI)
+ * - GET /api/delta-profile                - Delta exposure (DEX) do dealer por strike/expiry
+ * - GET /api/hedge-flow                   - Simulador de hedge: moedas que os dealers compram/vendem
+ *   ?range=0.1&steps=41&moves=-5,5          por spot hipotético (tabela fluxo vs spot + walls)
+ * - GET /api/vanna-profile                - Vanna exposure por strike/expiry
+ * - GET /api/charm-profile                - Charm exposure por strike/expiry
  * - GET /api/total-gex                    - GEX total
  * - GET /api/gamma-flip                   - Gamma flip level
+ *   ?method=spot-shock&range=0.2&steps=81   - Zero gamma via re-pricing + curva GEX vs spot
  * - GET /api/walls                        - Put/Call walls
  * - GET /api/wall-zones                   - Zonas de suporte/resistência
+ * - GET /api/gex-by-expiry                - GEX, walls e flip por vencimento
+ * - GET /api/post-expiry                  - Projeção sem o vencimento mais próximo
+ * - GET /api/dealer-models                - Dealer models disponíveis
+ *
+ * GREGAS:
+ * - GET /api/greeks                       - Gregas locais (Black-Scholes) vs Binance
+ * - GET /api/greeks/divergences           - Cross-check local vs exchange
+ * Fonte das gregas usadas no GEX: GREEKS_SOURCE=local|exchange (padrão: local)
+ *
+ * DEALER MODEL, EXPIRY E VENUE:
+ * Rotas de GEX (/api/metrics, /api/gamma-profile, /api/delta-profile,
+ * /api/hedge-flow, /api/vanna-profile, /api/charm-profile, /api/total-gex,
+ * /api/gamma-flip, /api/walls, /api/wall-zones) aceitam:
+ * ?dealerModel=classic|customer-long|flow-inferred (padrão: DEALER_MODEL)
+ * ?expiry=YYYY-MM-DD                       - Apenas um vencimento
+ * ?venue=binance|deribit                   - Apenas uma venue (padrão: chain
+ *                                            agregada de OPTION_VENUES)
+ * /api/gex-by-expiry e /api/post-expiry aceitam dealerModel e venue.
  * 
  * VOLATILIDADE:
- * - GET /api/vol-surface                  - Superfície de volatilidade 3D
+ * - GET /api/vol-surface                  - Superfície de volatilidade 3D (+ ajuste SVI por
+ *                                           vencimento: params, 25Δ, flags de arbitragem)
  * - GET /api/vol-skew                     - Volatility skew 2D
+ * - GET /api/term-structure               - Estrutura a termo: ATM, RR/BF 25Δ e 10Δ por vencimento,
+ *                                           maturidade constante (7d/30d/60d/90d) e contango/backwardation
+ * - GET /api/term-structure/history       - Histórico salvo (?tenor=30d|YYYY-MM-DD&hours=24)
+ * - GET /api/realized-vol                 - Vol realizada do spot (close-to-close, Parkinson,
+ *                                           Garman-Klass, Yang-Zhang por janela), VRP (IV − RV)
+ *                                           e IV Rank/Percentile do ATM 30d
  * - GET /api/anomalies                    - Anomalias de volatilidade
  * 
  * MAX PAIN & SENTIMENT:
- * - GET /api/max-pain                     - Max Pain strike
+ * - GET /api/max-pain                     - Max Pain por payout mínimo (?expiry, padrão: o mais
+ *                                           próximo), pain curve, OI magnet e probabilidades implícitas
+ * - GET /api/probability                  - Distribuição risk-neutral implícita por vencimento
+ *                                           (PDF/CDF, bandas de expected move, P(acima/abaixo)
+ *                                           de walls, gamma flip e max pain; ?expiry&levels=)
  * - GET /api/sentiment                    - Análise de sentimento
+ * - GET /api/oi-changes                   - Variação de OI por strike (?window=1h|4h|24h&expiry)
+ *                                           e posicionamento (long build-up, short covering...)
  * 
  * ESTRATÉGIAS:
- * - GET /api/strategies/recommend         - Recomendações (top N)
+ * - GET /api/strategies/recommend         - Recomendações (top N) com legs,
+ *                                           payoff e gregas (?expiry&targetDTE&quantity)
  * - GET /api/strategies/all               - Todas as estratégias com scores
+ * - GET /api/strategies/backtest          - Backtest das recomendações (?from&to&exit)
  * - GET /api/strategies/:id               - Estratégia específica
  * 
  * LIQUIDAÇÕES (NOVO):
@@ -52,13 +109,34 @@
  * - GET /api/liquidations/growth          - Taxa de crescimento (H1)
  * - GET /api/liquidations/cascade         - Detecção de cascata
  * 
+ * OPTIONS FLOW:
+ * - GET /api/flow                         - Prêmio, delta e gamma líquidos (agressor
+ *                                           vs bid/ask) por strike/vencimento (?window&expiry)
+ * - GET /api/flow/blocks                  - Large prints (blocos) recentes (?limit)
+ * 
+ * FUTUROS PERPÉTUOS:
+ * - GET /api/futures/metrics              - Funding, basis, OI e long/short
+ * - GET /api/futures/funding              - Funding rate (atual, anualizado, histórico)
+ * - GET /api/futures/basis                - Basis mark vs index
+ * - GET /api/futures/open-interest        - OI dos futuros (variação 1h/4h)
+ * - GET /api/futures/long-short           - Long/short ratio (contas e top traders)
+ * - GET /api/futures/energy               - Energia de alavancagem (Half Pipe)
+ * 
+ * STREAMING (WEBSOCKET):
+ * - WS  /ws                               - Push de gex, gamma-flip, walls,
+ *                                           escape, liquidations, orderbook,
+ *                                           max-pain, sentiment (ver StreamServer.js)
+ * 
  * HISTÓRICO (DATABASE):
  * - GET /api/market-history               - Histórico de snapshots
  * - GET /api/regime-history               - Histórico de regimes
+ * - GET /api/escape/accuracy              - Precision/recall das detecções H1/H2/H3 por
+ *                                           hipótese e regime, rotuladas 5/15/60 min depois
+ *                                           (?horizon=5m|15m|60m&hours=168)
  * 
  * PORTA: 3300 (padrão)
  * CORS: Habilitado
- * CACHE: Métricas com TTL de 5 segundos
+ * CACHE: Métricas com TTL de 5 segundos (por underlying)
  * 
  * ============================================================================
  */
@@ -70,40 +148,63 @@ const Logger = require('../utils/logger');
 const VolatilitySurfaceCalculator = require('../calculators/VolatilitySurfaceCalculator');
 const VolatilityAnomalyDetector = require('../calculators/VolatilityAnomalyDetector');
 const MaxPainCalculator = require('../calculators/MaxPainCalculator');
+const ProbabilityDistributionCalculator = require('../calculators/ProbabilityDistributionCalculator');
+const TermStructureCalculator = require('../calculators/TermStructureCalculator');
+const RealizedVolatility = require('../calculators/RealizedVolatility');
+const EscapeOutcome = require('../calculators/EscapeOutcome');
 const SentimentAnalyzer = require('../calculators/SentimentAnalyzer');
 const { STRATEGIES } = require('../recommender/strategies');
 const MarketStateAnalyzer = require('../recommender/MarketStateAnalyzer');
 const StrategyRecommender = require('../recommender/StrategyRecommender');
+const StrategyBuilder = require('../recommender/StrategyBuilder');
+const StrategyBacktester = require('../backtest/StrategyBacktester');
+const OptionsFlowTracker = require('../collectors/OptionsFlowTracker');
+const OpenInterestCollector = require('../collectors/OpenInterestCollector');
+const StreamServer = require('./StreamServer');
+const MarketDataSource = require('../capture/MarketDataSource');
+const { DEALER_MODELS, DEFAULT_DEALER_MODEL, isValidDealerModel } = require('../calculators/DealerPositioning');
 const { Op } = require('sequelize');
 
 
 class APIServer {
-  constructor(dataCollector, gexCalculator, regimeAnalyzer, database, config = {}) {
-    this.dataCollector = dataCollector;
-    this.gexCalculator = gexCalculator;
+  constructor(registry, regimeAnalyzer, database, config = {}) {
+    this.registry = registry;
     this.regimeAnalyzer = regimeAnalyzer;
     this.db = database;
     this.volSurfaceCalculator = new VolatilitySurfaceCalculator();
     this.maxPainCalculator = new MaxPainCalculator(this.logger);
+    this.probabilityCalculator = new ProbabilityDistributionCalculator();
+    this.termStructureCalculator = new TermStructureCalculator();
     this.sentimentAnalyzer = new SentimentAnalyzer(this.logger);
 
     this.config = {
       port: config.port || process.env.API_PORT || 3300,
-      host: config.host || '0.0.0.0'
+      host: config.host || '0.0.0.0',
+      dealerModel: config.dealerModel || process.env.DEALER_MODEL || DEFAULT_DEALER_MODEL
     };
 
     this.logger = new Logger('APIServer');
     this.anomalyDetector = new VolatilityAnomalyDetector(this.logger);
     this.app = express();
     this.server = null;
+    this.streamServer = null;
 
-    // Cache de métricas (atualizado periodicamente)
-    this.metricsCache = null;
-    this.lastMetricsUpdate = 0;
+    // Cache de métricas por underlying e dealer model (atualizado periodicamente)
+    this.metricsCache = new Map(); // "underlying:dealerModel:expiry" -> { metrics, timestamp }
     this.metricsCacheTTL = 5000; // 5 segundos
 
+    // Histórico de IV ATM (IV Rank) por underlying e tenor
+    this.ivHistoryCache = new Map(); // "underlying:tenor" -> { history, timestamp }
+    this.ivHistoryCacheTTL = 10 * 60 * 1000; // 10 minutos
+
     this.setupMiddleware();
     this.setupRoutes();
+
+    // Primeiro segmento das rotas /api/* (o resto de /api/<X>/... é underlying)
+    this.routeSegments = new Set(this.app.router.stack
+      .map(layer => layer.route && layer.route.path)
+      .filter(path => typeof path === 'string' && path.startsWith('/api/'))
+      .map(path => path.split('/')[2]));
   }
 
   /**
@@ -118,6 +219,365 @@ class APIServer {
       this.logger.debug(`${req.method} ${req.path}`);
       next();
     });
+
+    // Resolução do underlying: /api/ETH/metrics ou /api/metrics?underlying=ETH
+    this.app.use((req, res, next) => this.resolveUnderlying(req, res, next));
+  }
+
+  /**
+   * Resolve o pipeline do underlying e anexa em req.pipeline.
+   * A forma com path (/api/ETH/...) é reescrita para a rota normal (/api/...).
+   * Rotas fora de /api (ex: /health) não têm underlying.
+   */
+  resolveUnderlying(req, res, next) {
+    if (!req.path.startsWith('/api/')) return next();
+
+    let underlying = req.query.underlying || null;
+
+    // /api/:underlying/* - primeiro segmento que não é uma rota
+    const match = req.url.match(/^\/api\/([A-Za-z0-9]+)(\/.*)$/);
+    if (match && !this.routeSegments.has(match[1])) {
+      underlying = match[1];
+      req.url = `/api${match[2]}`;
+    }
+
+    const pipeline = this.registry.resolve(underlying);
+
+    if (!pipeline) {
+      return res.status(404).json({
+        success: false,
+        error: `Underlying '${underlying}' não monitorado`,
+        available: this.registry.getUnderlyings()
+      });
+    }
+
+    req.pipeline = pipeline;
+    next();
+  }
+
+  /**
+   * Lê o dealer model do request (?dealerModel=classic|customer-long|flow-inferred)
+   * Retorna null para usar o padrão; lança erro 400 se inválido
+   */
+  getDealerModelParam(req) {
+    const dealerModel = req.query.dealerModel;
+    if (!dealerModel) return null;
+
+    if (!isValidDealerModel(dealerModel)) {
+      const error = new Error(`Dealer model '${dealerModel}' inválido. Use: ${Object.keys(DEALER_MODELS).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return dealerModel;
+  }
+
+  /**
+   * Lê o vencimento do request (?expiry=YYYY-MM-DD)
+   * Retorna null para todos; lança erro 400 se mal formatado e 404 se não existe
+   */
+  getExpiryParam(req) {
+    const expiry = req.query.expiry;
+    if (!expiry) return null;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(expiry)) {
+      const error = new Error(`Expiry '${expiry}' inválido. Use o formato YYYY-MM-DD`);
+      error.status = 400;
+      throw error;
+    }
+
+    const available = req.pipeline.dataCollector.getUniqueExpiries().map(date => date.toISOString().split('T')[0]);
+    if (!available.includes(expiry)) {
+      const error = new Error(`Expiry '${expiry}' não encontrado. Disponíveis: ${available.join(', ')}`);
+      error.status = 404;
+      throw error;
+    }
+    return expiry;
+  }
+
+  /**
+   * Lê a venue do request (?venue=binance|deribit)
+   * Retorna null para a chain agregada; lança erro 400 se a venue não está configurada
+   */
+  getVenueParam(req) {
+    const venue = req.query.venue;
+    if (!venue) return null;
+
+    const available = req.pipeline.dataCollector.getVenues();
+    if (!available.includes(venue)) {
+      const error = new Error(`Venue '${venue}' indisponível. Configuradas: ${available.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return venue;
+  }
+
+  /**
+   * Lê a faixa de preço do order book (?band=0.02 = ±2% do mid)
+   * Retorna undefined para a faixa padrão do OrderBookAnalyzer; lança erro 400 se inválida
+   */
+  getBandParam(req) {
+    if (req.query.band === undefined) return undefined;
+
+    const band = parseFloat(req.query.band);
+    if (!(band > 0 && band <= 0.2)) {
+      const error = new Error(`Band '${req.query.band}' inválida. Use uma fração entre 0 e 0.2 (ex: 0.01 = ±1%)`);
+      error.status = 400;
+      throw error;
+    }
+    return band;
+  }
+
+  /**
+   * Lê a janela de variação de OI (?window=1h|4h|24h)
+   * Retorna '1h' por padrão; lança erro 400 se a janela não existe
+   */
+  getOIWindowParam(req, name = 'window') {
+    const window = req.query[name];
+    if (!window) return '1h';
+
+    const available = Object.keys(OpenInterestCollector.WINDOWS);
+    if (!available.includes(window)) {
+      const error = new Error(`Window '${window}' inválida. Use: ${available.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return window;
+  }
+
+  /**
+   * Lê níveis extras de preço (?levels=95000,100000)
+   * Retorna [] se ausente; lança erro 400 se algum nível não é um preço positivo
+   */
+  getLevelsParam(req) {
+    if (!req.query.levels) return [];
+
+    return String(req.query.levels).split(',').map(value => {
+      const price = parseFloat(value);
+      if (!(price > 0)) {
+        const error = new Error(`Level '${value}' inválido. Use preços separados por vírgula (ex: 95000,100000)`);
+        error.status = 400;
+        throw error;
+      }
+      return { name: 'custom', price: price };
+    });
+  }
+
+  /**
+   * Lê a faixa em torno do spot (?range=0.2 = ±20%)
+   * Retorna defaultValue se ausente; lança erro 400 se fora de (0, 1)
+   */
+  getRangeParam(req, defaultValue) {
+    if (req.query.range === undefined) return defaultValue;
+
+    const range = parseFloat(req.query.range);
+    if (!(range > 0 && range < 1)) {
+      const error = new Error(`Range '${req.query.range}' inválido. Use uma fração entre 0 e 1 (ex: 0.2 = ±20%)`);
+      error.status = 400;
+      throw error;
+    }
+    return range;
+  }
+
+  /**
+   * Lê o número de pontos da grade de spots (?steps=81)
+   * Retorna defaultValue se ausente; lança erro 400 se não é um inteiro entre 3 e 401
+   */
+  getStepsParam(req, defaultValue) {
+    if (req.query.steps === undefined) return defaultValue;
+
+    const steps = Number(req.query.steps);
+    if (!Number.isInteger(steps) || steps < 3 || steps > 401) {
+      const error = new Error(`Steps '${req.query.steps}' inválido. Use um inteiro entre 3 e 401`);
+      error.status = 400;
+      throw error;
+    }
+    return steps;
+  }
+
+  /**
+   * Lê o número de estratégias recomendadas (?topN=5)
+   * Retorna defaultValue se ausente; lança erro 400 se não é um inteiro >= 0
+   */
+  getTopNParam(req, defaultValue) {
+    if (req.query.topN === undefined) return defaultValue;
+
+    const topN = Number(req.query.topN);
+    if (!Number.isInteger(topN) || topN < 0) {
+      const error = new Error(`topN '${req.query.topN}' inválido. Use um inteiro >= 0`);
+      error.status = 400;
+      throw error;
+    }
+    return topN;
+  }
+
+  /**
+   * Lê o score mínimo das recomendações (?minScore=50)
+   * Retorna defaultValue se ausente; lança erro 400 se não está entre 0 e 100
+   */
+  getMinScoreParam(req, defaultValue) {
+    if (req.query.minScore === undefined) return defaultValue;
+
+    const minScore = Number(req.query.minScore);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      const error = new Error(`minScore '${req.query.minScore}' inválido. Use um número entre 0 e 100`);
+      error.status = 400;
+      throw error;
+    }
+    return minScore;
+  }
+
+  /**
+   * Lê o horizonte de rotulagem das detecções de escape (?horizon=5m|15m|60m)
+   * Retorna null (todos) se ausente; lança erro 400 se o horizonte não existe
+   */
+  getEscapeHorizonParam(req) {
+    const horizon = req.query.horizon;
+    if (!horizon) return null;
+
+    const available = Object.keys(EscapeOutcome.HORIZONS);
+    if (!available.includes(horizon)) {
+      const error = new Error(`Horizon '${horizon}' inválido. Use: ${available.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return horizon;
+  }
+
+  /**
+   * Lê a janela de histórico em horas (?hours=168)
+   * Retorna defaultValue se ausente; lança erro 400 se não é um inteiro positivo
+   */
+  getHoursParam(req, defaultValue) {
+    if (req.query.hours === undefined) return defaultValue;
+
+    const hours = Number(req.query.hours);
+    if (!Number.isInteger(hours) || hours <= 0) {
+      const error = new Error(`Hours '${req.query.hours}' inválido. Use um inteiro positivo`);
+      error.status = 400;
+      throw error;
+    }
+    return hours;
+  }
+
+  /**
+   * Lê movimentos hipotéticos do spot em % (?moves=-5,5)
+   * Retorna [] se ausente; lança erro 400 se algum movimento não está entre -90% e +900%
+   */
+  getMovesParam(req) {
+    if (!req.query.moves) return [];
+
+    return String(req.query.moves).split(',').map(value => {
+      const move = parseFloat(value);
+      if (!Number.isFinite(move) || move <= -90 || move > 900) {
+        const error = new Error(`Move '${value}' inválido. Use % do spot separados por vírgula (ex: -5,5)`);
+        error.status = 400;
+        throw error;
+      }
+      return move;
+    });
+  }
+
+  /**
+   * Lê o tenor do histórico da estrutura a termo (?tenor=30d ou YYYY-MM-DD)
+   * Retorna '30d' por padrão; lança erro 400 se não é um tenor configurado nem uma data
+   */
+  getTenorParam(req) {
+    const tenor = req.query.tenor;
+    if (!tenor) return '30d';
+
+    const available = this.termStructureCalculator.config.tenors.map(days => `${days}d`);
+    if (!available.includes(tenor) && !/^\d{4}-\d{2}-\d{2}$/.test(tenor)) {
+      const error = new Error(`Tenor '${tenor}' inválido. Use: ${available.join(', ')} ou um vencimento YYYY-MM-DD`);
+      error.status = 400;
+      throw error;
+    }
+    return tenor;
+  }
+
+  /**
+   * Lê a janela do fluxo de options (?window=5m|15m|1h|4h)
+   * Retorna '1h' por padrão; lança erro 400 se a janela não existe
+   */
+  getFlowWindowParam(req) {
+    const window = req.query.window;
+    if (!window) return '1h';
+
+    const available = Object.keys(OptionsFlowTracker.WINDOWS);
+    if (!available.includes(window)) {
+      const error = new Error(`Window '${window}' inválida. Use: ${available.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return window;
+  }
+
+  /**
+   * Perfil de exposição (delta/vanna/charm) do pipeline do request
+   * ?range=0.3 limita os strikes a ±30% do spot; ?expiry=YYYY-MM-DD filtra o vencimento;
+   * ?venue=deribit usa só a chain de uma venue
+   */
+  async getExposureProfile(req, type) {
+    const rangePercent = this.getRangeParam(req, 0.3);
+    const expiry = this.getExpiryParam(req);
+    const venue = this.getVenueParam(req);
+    const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), expiry, venue);
+    const { dataCollector } = req.pipeline;
+    const gexCalculator = req.pipeline.gexCalculator.forModel(metrics.dealerModel, metrics.spotPrice);
+
+    const options = gexCalculator.filterByExpiry(dataCollector.getAllOptions(venue), expiry);
+
+    const profiles = {
+      delta: () => gexCalculator.calculateDeltaProfile(options),
+      vanna: () => gexCalculator.calculateVannaProfile(options),
+      charm: () => gexCalculator.calculateCharmProfile(options)
+    };
+    const profile = profiles[type]();
+
+    const minStrike = metrics.spotPrice * (1 - rangePercent);
+    const maxStrike = metrics.spotPrice * (1 + rangePercent);
+
+    return {
+      total: profile.total,
+      byStrike: profile.byStrike.filter(item => item.strike >= minStrike && item.strike <= maxStrike),
+      byExpiry: profile.byExpiry,
+      rangeInfo: { minStrike, maxStrike, rangePercent },
+      spotPrice: metrics.spotPrice,
+      dealerModel: metrics.dealerModel,
+      expiry: expiry,
+      venue: venue
+    };
+  }
+
+  /**
+   * Snapshot + risk reversal 25Δ de 30 dias gravado com ele e IV Rank/VRP
+   * no formato do MarketStateAnalyzer
+   */
+  async getMarketData(snapshot) {
+    const TermStructureHistory = this.db.getModel('TermStructureHistory');
+    const termStructure = await TermStructureHistory.findOne({
+      where: { snapshotId: snapshot.id, kind: 'CONSTANT_MATURITY', tenor: '30d' },
+      attributes: ['rr25d'],
+      raw: true
+    });
+    const rr25d = termStructure ? parseFloat(termStructure.rr25d) : NaN;
+
+    const marketData = snapshot.toJSON();
+    const number = (value) => value === null || value === undefined ? null : parseFloat(value);
+
+    return {
+      ...marketData,
+      rr_25d: Number.isFinite(rr25d) ? rr25d : null,
+      iv_rank: number(marketData.ivRank),
+      iv_percentile: number(marketData.ivPercentile),
+      vol_risk_premium: number(marketData.volRiskPremium)
+    };
+  }
+
+  /**
+   * Filtro de asset para queries no banco (snapshots/anomalias do underlying)
+   */
+  assetScope(req) {
+    return req.pipeline && req.pipeline.assetId ? { assetId: req.pipeline.assetId } : {};
   }
 
   /**
@@ -138,10 +598,12 @@ class APIServer {
     // Status do coletor
     this.app.get('/api/status', (req, res) => {
       try {
-        const stats = this.dataCollector.getStats();
+        const stats = req.pipeline.dataCollector.getStats();
         res.json({
           success: true,
-          data: stats
+          data: stats,
+          underlyings: this.registry.getUnderlyings(),
+          stream: this.streamServer ? this.streamServer.getStats() : null
         });
       } catch (error) {
         this.logger.error('Erro ao obter status', error);
@@ -152,20 +614,196 @@ class APIServer {
       }
     });
 
+    // Underlyings monitorados
+    this.app.get('/api/underlyings', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: this.registry.getSummary(),
+          default: this.registry.getDefault().underlying
+        });
+      } catch (error) {
+        this.logger.error('Erro ao listar underlyings', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Venues de options do underlying (chain agregada)
+    this.app.get('/api/venues', (req, res) => {
+      try {
+        const { dataCollector } = req.pipeline;
+        res.json({
+          success: true,
+          data: dataCollector.getVenueStats(),
+          underlying: req.pipeline.underlying
+        });
+      } catch (error) {
+        this.logger.error('Erro ao listar venues', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Estado do replay (modo ao vivo retorna mode: 'live')
+    this.app.get('/api/replay', (req, res) => {
+      try {
+        const { dataCollector } = req.pipeline;
+        res.json({
+          success: true,
+          data: dataCollector.getReplayStatus
+            ? dataCollector.getReplayStatus()
+            : { mode: 'live', underlying: req.pipeline.underlying }
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter estado do replay', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Controle do replay: pause | resume | seek (body.time) | speed (body.speed)
+    this.app.post('/api/replay/:action', async (req, res) => {
+      try {
+        const { dataCollector } = req.pipeline;
+        if (!dataCollector.getReplayStatus) {
+          const error = new Error('Coletor não está em modo replay');
+          error.status = 400;
+          throw error;
+        }
+
+        const params = { ...req.query, ...(req.body || {}) };
+        const invalid = (req.params.action === 'seek' && !params.time) ||
+          (req.params.action === 'speed' && !(parseFloat(params.speed) > 0));
+        if (invalid) {
+          const error = new Error(`Parâmetro obrigatório: ${req.params.action === 'seek' ? 'time' : 'speed (> 0)'}`);
+          error.status = 400;
+          throw error;
+        }
+
+        let status;
+
+        switch (req.params.action) {
+          case 'pause':
+            status = dataCollector.pause();
+            break;
+          case 'resume':
+            status = dataCollector.resume();
+            break;
+          case 'seek':
+            status = await dataCollector.seek(params.time);
+            break;
+          case 'speed':
+            status = dataCollector.setSpeed(params.speed);
+            break;
+          default: {
+            const error = new Error(`Ação '${req.params.action}' inválida. Use: pause, resume, seek, speed`);
+            error.status = 400;
+            throw error;
+          }
+        }
+
+        res.json({
+          success: true,
+          data: status
+        });
+      } catch (error) {
+        this.logger.error('Erro ao controlar replay', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Estado da captura de mensagens (mode: live | record | playback)
+    this.app.get('/api/capture', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: MarketDataSource.getStatus()
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter estado da captura', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Controle do playback: pause | resume | speed (body.speed) | step (body.count, pausado)
+    this.app.post('/api/capture/:action', async (req, res) => {
+      try {
+        const player = MarketDataSource.getPlayer();
+        if (!player) {
+          const error = new Error('Servidor não está em modo playback (PLAYBACK_DIR)');
+          error.status = 400;
+          throw error;
+        }
+
+        const params = { ...req.query, ...(req.body || {}) };
+        if (req.params.action === 'speed' && !(parseFloat(params.speed) > 0)) {
+          const error = new Error('Parâmetro obrigatório: speed (> 0)');
+          error.status = 400;
+          throw error;
+        }
+
+        let status;
+
+        switch (req.params.action) {
+          case 'pause':
+            status = player.pause();
+            break;
+          case 'resume':
+            status = player.resume();
+            break;
+          case 'speed':
+            status = player.setSpeed(params.speed);
+            break;
+          case 'step':
+            status = await player.step(Math.max(1, parseInt(params.count) || 1));
+            break;
+          default: {
+            const error = new Error(`Ação '${req.params.action}' inválida. Use: pause, resume, speed, step`);
+            error.status = 400;
+            throw error;
+          }
+        }
+
+        res.json({
+          success: true,
+          data: status
+        });
+      } catch (error) {
+        this.logger.error('Erro ao controlar playback', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // ========================================
     // MÉTRICAS
     // ========================================
     // Métricas completas (com cache)
     this.app.get('/api/metrics', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), this.getExpiryParam(req), this.getVenueParam(req));
         res.json({
           success: true,
           data: metrics
         });
       } catch (error) {
         this.logger.error('Erro ao obter métricas', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
@@ -176,7 +814,8 @@ class APIServer {
     // Gamma Profile (com filtro inteligente)
     this.app.get('/api/gamma-profile', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
+        const rangePercent = this.getRangeParam(req, 0.3); // padrão: ±30%
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), this.getExpiryParam(req), this.getVenueParam(req));
 
         if (!metrics || !metrics.gammaProfile || metrics.gammaProfile.length === 0) {
           return res.json({
@@ -186,7 +825,6 @@ class APIServer {
         }
 
         // Parâmetros de filtro (query params)
-        const rangePercent = parseFloat(req.query.range) || 0.3; // padrão: ±30%
         const gexThreshold = parseFloat(req.query.threshold) || 0.02; // padrão: 2%
         const autoRange = req.query.auto !== 'false'; // padrão: true
 
@@ -198,7 +836,7 @@ class APIServer {
           // Buscar wall zones para cálculo inteligente
           const wallZones = this.calculateWallZonesFromProfile(metrics.gammaProfile);
 
-          const smartRange = this.gexCalculator.calculateSmartRange(
+          const smartRange = req.pipeline.gexCalculator.calculateSmartRange(
             metrics.gammaProfile,
             metrics.spotPrice,
             wallZones,
@@ -218,96 +856,321 @@ class APIServer {
           };
         }
 
+        // Marcadores de posicionamento novo (variação de OI) dentro do range exibido
+        const oiWindow = this.getOIWindowParam(req, 'oiWindow');
+        let freshPositioning = [];
+        if (req.pipeline.dataCollector.openInterestCollector) {
+          const minStrike = profile.length > 0 ? profile[0].strike : 0;
+          const maxStrike = profile.length > 0 ? profile[profile.length - 1].strike : 0;
+          try {
+            freshPositioning = req.pipeline.dataCollector.getOIChanges(oiWindow, metrics.expiry).fresh
+              .filter(entry => entry.strike >= minStrike && entry.strike <= maxStrike);
+          } catch (error) {
+            // Marcadores são opcionais: o perfil sai sem eles
+            this.logger.warn(`Variação de OI indisponível para o gamma profile: ${error.message}`);
+          }
+        }
+
         res.json({
           success: true,
           data: profile,
           rangeInfo: rangeInfo,
-          spotPrice: metrics.spotPrice
+          freshPositioning: freshPositioning,
+          oiWindow: oiWindow,
+          spotPrice: metrics.spotPrice,
+          dealerModel: metrics.dealerModel,
+          expiry: metrics.expiry,
+          venue: metrics.venue
         });
       } catch (error) {
         this.logger.error('Erro ao gerar gamma profile', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
       }
     });
 
-    // GEX total
-    this.app.get('/api/total-gex', async (req, res) => {
+    // Perfil de delta exposure (DEX, USD de delta líquido do dealer)
+    this.app.get('/api/delta-profile', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
+        const { spotPrice, dealerModel, ...profile } = await this.getExposureProfile(req, 'delta');
         res.json({
           success: true,
-          data: metrics.totalGEX
+          data: profile,
+          spotPrice: spotPrice,
+          dealerModel: dealerModel
         });
       } catch (error) {
-        this.logger.error('Erro ao obter GEX total', error);
-        res.status(500).json({
+        this.logger.error('Erro ao gerar delta profile', error);
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
       }
     });
 
-    // Gamma Flip
-    this.app.get('/api/gamma-flip', async (req, res) => {
+    // Simulador de hedge dos dealers: moedas a comprar/vender por spot hipotético
+    // ?range=0.1&steps=41 (grade) e ?moves=-5,5 (movimentos pontuais em %)
+    this.app.get('/api/hedge-flow', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
+        const moves = this.getMovesParam(req);
+        const rangePercent = this.getRangeParam(req, 0.1);
+        const steps = this.getStepsParam(req, 41);
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), this.getExpiryParam(req), this.getVenueParam(req));
+        const { dataCollector } = req.pipeline;
+        const gexCalculator = req.pipeline.gexCalculator.forModel(metrics.dealerModel, metrics.spotPrice);
+
+        const options = gexCalculator.filterByExpiry(dataCollector.getAllOptions(metrics.venue), metrics.expiry);
+        const hedgeFlow = gexCalculator.simulateHedgeFlow(options, {
+          rangePercent: rangePercent,
+          steps: steps,
+          moves: moves,
+          now: dataCollector.getCurrentTime()
+        });
+
         res.json({
           success: true,
-          data: metrics.gammaFlip
+          data: {
+            ...hedgeFlow,
+            walls: metrics.wallHedgeFlow || null
+          },
+          dealerModel: metrics.dealerModel,
+          expiry: metrics.expiry,
+          venue: metrics.venue
         });
       } catch (error) {
-        this.logger.error('Erro ao obter gamma flip', error);
-        res.status(500).json({
+        this.logger.error('Erro ao simular hedge dos dealers', error);
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
       }
     });
 
-    // Put/Call Walls
-    this.app.get('/api/walls', async (req, res) => {
+    // Perfil de vanna exposure (USD de delta do dealer por +1% de IV)
+    this.app.get('/api/vanna-profile', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
+        const { spotPrice, dealerModel, ...profile } = await this.getExposureProfile(req, 'vanna');
         res.json({
           success: true,
-          data: {
-            putWall: metrics.putWall,
-            callWall: metrics.callWall
-          }
+          data: profile,
+          spotPrice: spotPrice,
+          dealerModel: dealerModel
         });
       } catch (error) {
-        this.logger.error('Erro ao obter walls', error);
-        res.status(500).json({
+        this.logger.error('Erro ao gerar vanna profile', error);
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
       }
     });
 
-    // Wall Zones (zonas de suporte/resistência)
-    this.app.get('/api/wall-zones', async (req, res) => {
+    // Perfil de charm exposure (USD de delta do dealer por dia)
+    this.app.get('/api/charm-profile', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
-
-        if (!metrics || !metrics.gammaProfile || metrics.gammaProfile.length === 0) {
-          return res.json({
-            success: false,
-            error: 'Nenhuma option disponível'
-          });
-        }
-
-        const wallZones = this.calculateWallZonesFromProfile(metrics.gammaProfile);
-        const spotPrice = metrics.spotPrice;
+        const { spotPrice, dealerModel, ...profile } = await this.getExposureProfile(req, 'charm');
+        res.json({
+          success: true,
+          data: profile,
+          spotPrice: spotPrice,
+          dealerModel: dealerModel
+        });
+      } catch (error) {
+        this.logger.error('Erro ao gerar charm profile', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
 
-        // Adicionar distâncias do spot
-        if (wallZones.putWallZone) {
-          wallZones.putWallZone.distanceFromSpot = {
-            peak: spotPrice - wallZones.putWallZone.peak,
-            zoneLow: spotPrice - wallZones.putWallZone.zoneLow,
-            zoneHigh: spotPrice - wallZones.putWallZone.zoneHigh
+    // GEX total
+    this.app.get('/api/total-gex', async (req, res) => {
+      try {
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), this.getExpiryParam(req), this.getVenueParam(req));
+        res.json({
+          success: true,
+          data: metrics.totalGEX,
+          dealerModel: metrics.dealerModel,
+          expiry: metrics.expiry,
+          venue: metrics.venue
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter GEX total', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Gamma Flip
+    // ?method=spot-shock reprecifica o gamma numa grade de spots (±range, padrão 20%)
+    this.app.get('/api/gamma-flip', async (req, res) => {
+      try {
+        const spotShock = req.query.method === 'spot-shock';
+        const rangePercent = spotShock ? this.getRangeParam(req, 0.2) : null;
+        const steps = spotShock ? this.getStepsParam(req, 81) : null;
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), this.getExpiryParam(req), this.getVenueParam(req));
+
+        if (spotShock) {
+          const { dataCollector } = req.pipeline;
+          const gexCalculator = req.pipeline.gexCalculator.forModel(metrics.dealerModel, metrics.spotPrice);
+
+          const options = gexCalculator.filterByExpiry(dataCollector.getAllOptions(metrics.venue), metrics.expiry);
+          const zeroGamma = gexCalculator.findZeroGamma(options, { rangePercent, steps, now: dataCollector.getCurrentTime() });
+
+          return res.json({
+            success: true,
+            data: zeroGamma,
+            dealerModel: metrics.dealerModel,
+            expiry: metrics.expiry,
+            venue: metrics.venue
+          });
+        }
+
+        res.json({
+          success: true,
+          data: metrics.gammaFlip,
+          dealerModel: metrics.dealerModel,
+          expiry: metrics.expiry,
+          venue: metrics.venue
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter gamma flip', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // GEX, walls e gamma flip por vencimento
+    this.app.get('/api/gex-by-expiry', async (req, res) => {
+      try {
+        const venue = this.getVenueParam(req);
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), null, venue);
+        const { dataCollector } = req.pipeline;
+        const gexCalculator = req.pipeline.gexCalculator.forModel(metrics.dealerModel, metrics.spotPrice);
+
+        const breakdown = gexCalculator.calculateGEXByExpiry(dataCollector.getAllOptions(venue), dataCollector.getCurrentTime());
+
+        res.json({
+          success: true,
+          data: breakdown,
+          count: breakdown.length,
+          spotPrice: metrics.spotPrice,
+          dealerModel: metrics.dealerModel,
+          venue: venue
+        });
+      } catch (error) {
+        this.logger.error('Erro ao calcular GEX por expiry', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Projeção pós-vencimento: walls, flip e regime sem o expiry mais próximo
+    this.app.get('/api/post-expiry', async (req, res) => {
+      try {
+        const venue = this.getVenueParam(req);
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), null, venue);
+        const { dataCollector } = req.pipeline;
+        const gexCalculator = req.pipeline.gexCalculator.forModel(metrics.dealerModel, metrics.spotPrice);
+
+        const projection = gexCalculator.calculatePostExpiryProjection(dataCollector.getAllOptions(venue), dataCollector.getCurrentTime());
+
+        // Regime atual vs projetado
+        const regimeOf = (summary) => summary
+          ? this.regimeAnalyzer.analyzeRegime({ spotPrice: metrics.spotPrice, ...summary }).regime
+          : null;
+        projection.regime = {
+          current: regimeOf(projection.current),
+          projected: regimeOf(projection.projected)
+        };
+        projection.regime.changes = projection.regime.projected !== null &&
+          projection.regime.projected !== projection.regime.current;
+
+        res.json({
+          success: true,
+          data: projection,
+          spotPrice: metrics.spotPrice,
+          dealerModel: metrics.dealerModel
+        });
+      } catch (error) {
+        this.logger.error('Erro ao calcular projeção pós-expiry', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Dealer models disponíveis
+    this.app.get('/api/dealer-models', (req, res) => {
+      try {
+        res.json({
+          success: true,
+          data: Object.values(DEALER_MODELS).map(({ id, name, description }) => ({ id, name, description })),
+          default: this.config.dealerModel
+        });
+      } catch (error) {
+        this.logger.error('Erro ao listar dealer models', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Put/Call Walls
+    this.app.get('/api/walls', async (req, res) => {
+      try {
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), this.getExpiryParam(req), this.getVenueParam(req));
+        res.json({
+          success: true,
+          data: {
+            putWall: metrics.putWall,
+            callWall: metrics.callWall
+          },
+          dealerModel: metrics.dealerModel,
+          expiry: metrics.expiry,
+          venue: metrics.venue
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter walls', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Wall Zones (zonas de suporte/resistência)
+    this.app.get('/api/wall-zones', async (req, res) => {
+      try {
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), this.getExpiryParam(req), this.getVenueParam(req));
+
+        if (!metrics || !metrics.gammaProfile || metrics.gammaProfile.length === 0) {
+          return res.json({
+            success: false,
+            error: 'Nenhuma option disponível'
+          });
+        }
+
+        const wallZones = this.calculateWallZonesFromProfile(metrics.gammaProfile);
+        const spotPrice = metrics.spotPrice;
+
+        // Adicionar distâncias do spot
+        if (wallZones.putWallZone) {
+          wallZones.putWallZone.distanceFromSpot = {
+            peak: spotPrice - wallZones.putWallZone.peak,
+            zoneLow: spotPrice - wallZones.putWallZone.zoneLow,
+            zoneHigh: spotPrice - wallZones.putWallZone.zoneHigh
           };
           wallZones.putWallZone.distancePercent = {
             peak: ((spotPrice - wallZones.putWallZone.peak) / spotPrice) * 100,
@@ -338,7 +1201,7 @@ class APIServer {
         });
       } catch (error) {
         this.logger.error('[APIServer] Erro ao calcular wall zones', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
@@ -348,7 +1211,7 @@ class APIServer {
     // Volatility Surface (superfície de volatilidade 3D)
     this.app.get('/api/vol-surface', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
+        const metrics = await this.getMetrics(req.pipeline);
 
         if (!metrics || !metrics.gammaProfile || metrics.gammaProfile.length === 0) {
           return res.json({
@@ -359,7 +1222,7 @@ class APIServer {
 
         // Obter todas as options (não apenas o profile)
         // Precisamos das options completas com IV, expiry, etc.
-        const allOptions = this.dataCollector.getAllOptions();
+        const allOptions = req.pipeline.dataCollector.getAllOptions();
 
         if (!allOptions || allOptions.length === 0) {
           return res.json({
@@ -369,7 +1232,7 @@ class APIServer {
         }
 
         const spotPrice = metrics.spotPrice;
-        const surface = this.volSurfaceCalculator.buildSurface(allOptions, spotPrice);
+        const surface = this.volSurfaceCalculator.buildSurface(allOptions, spotPrice, req.pipeline.dataCollector.getCurrentTime());
 
         if (!surface) {
           return res.json({
@@ -396,7 +1259,7 @@ class APIServer {
         this.logger.info('[API] GET /api/vol-anomalies - Iniciando detecção de anomalias');
 
         // Obter todas as options
-        const allOptions = this.dataCollector.getAllOptions();
+        const allOptions = req.pipeline.dataCollector.getAllOptions();
 
         if (!allOptions || allOptions.length === 0) {
           return res.json({
@@ -416,13 +1279,14 @@ class APIServer {
           });
         }
         // Obter spot price
-        const metrics = await this.getMetrics();
+        const metrics = await this.getMetrics(req.pipeline);
         const spotPrice = metrics ? metrics.spotPrice : 0;
 
         // Construir superfície de volatilidade
         const surfaceData = this.volSurfaceCalculator.buildSurface(
           allOptions,
-          spotPrice
+          spotPrice,
+          req.pipeline.dataCollector.getCurrentTime()
         );
 
         if (!surfaceData) {
@@ -471,6 +1335,13 @@ class APIServer {
             stats,
             threshold,
             spotPrice: surfaceData.spotPrice,
+            arbitrage: surfaceData.svi ? {
+              arbitrageFree: surfaceData.svi.arbitrageFree,
+              butterfly: surfaceData.svi.slices
+                .filter(slice => slice.butterfly.arbitrage)
+                .map(slice => ({ expiryDate: slice.expiryDate, dte: slice.dte, ...slice.butterfly })),
+              calendar: surfaceData.svi.calendar
+            } : null,
             filters: {
               severity: severityFilter || 'ALL',
               type: typeFilter || 'ALL',
@@ -491,7 +1362,7 @@ class APIServer {
     // Insights e análise de regime
     this.app.get('/api/insights', async (req, res) => {
       try {
-        const metrics = await this.getMetrics();
+        const metrics = await this.getMetrics(req.pipeline);
         const insights = this.regimeAnalyzer.generateInsights(metrics);
         res.json({
           success: true,
@@ -509,7 +1380,7 @@ class APIServer {
     // Lista de options
     this.app.get('/api/options', (req, res) => {
       try {
-        const options = this.dataCollector.getAllOptions();
+        const options = req.pipeline.dataCollector.getAllOptions();
         const optionsData = options.map(opt => opt.toJSON());
 
         res.json({
@@ -530,7 +1401,7 @@ class APIServer {
     this.app.get('/api/options/strike/:strike', (req, res) => {
       try {
         const strike = parseFloat(req.params.strike);
-        const options = this.dataCollector.getOptionsByStrike(strike);
+        const options = req.pipeline.dataCollector.getOptionsByStrike(strike);
         const optionsData = options.map(opt => opt.toJSON());
 
         res.json({
@@ -550,7 +1421,7 @@ class APIServer {
     // Strikes únicos
     this.app.get('/api/strikes', (req, res) => {
       try {
-        const strikes = this.dataCollector.getUniqueStrikes();
+        const strikes = req.pipeline.dataCollector.getUniqueStrikes();
         res.json({
           success: true,
           data: strikes,
@@ -568,7 +1439,7 @@ class APIServer {
     // Datas de expiração únicas
     this.app.get('/api/expiries', (req, res) => {
       try {
-        const expiries = this.dataCollector.getUniqueExpiries();
+        const expiries = req.pipeline.dataCollector.getUniqueExpiries();
         res.json({
           success: true,
           data: expiries,
@@ -583,15 +1454,90 @@ class APIServer {
       }
     });
 
+    // ========================================
+    // GREEKS (LOCAL vs EXCHANGE)
+    // ========================================
+
+    // Gregas locais (Black-Scholes) vs Binance por option
+    // ?expiry=YYYY-MM-DD filtra por vencimento
+    this.app.get('/api/greeks', (req, res) => {
+      try {
+        const { dataCollector } = req.pipeline;
+        const expiry = this.getExpiryParam(req);
+        const options = dataCollector.getAllOptions()
+          .filter(opt => !expiry || opt.getExpiryKey() === expiry);
+
+        const greeksData = options.map(opt => ({
+          symbol: opt.symbol,
+          strike: opt.strike,
+          side: opt.side,
+          expiryDate: opt.expiryDate,
+          markIV: opt.markIV,
+          source: opt.greeksSource,
+          delta: opt.delta,
+          gamma: opt.gamma,
+          theta: opt.theta,
+          vega: opt.vega,
+          vanna: opt.vanna,
+          charm: opt.charm,
+          vomma: opt.vomma,
+          speed: opt.speed,
+          local: opt.localGreeks,
+          exchange: opt.exchangeGreeks
+        }));
+
+        res.json({
+          success: true,
+          data: greeksData,
+          count: greeksData.length,
+          greeksSource: dataCollector.config.greeksSource,
+          engine: dataCollector.greeksEngine.getStats()
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter gregas', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Divergências entre gregas locais e da Binance
+    // ?delta=0.05&gamma=0.2&theta=0.25&vega=0.2 sobrescrevem os limites
+    this.app.get('/api/greeks/divergences', (req, res) => {
+      try {
+        const overrides = {};
+        ['delta', 'gamma', 'theta', 'vega'].forEach(greek => {
+          const value = parseFloat(req.query[greek]);
+          if (!isNaN(value) && value >= 0) {
+            overrides[greek] = value;
+          }
+        });
+
+        const result = req.pipeline.dataCollector.getGreeksCrossCheck(overrides);
+
+        res.json({
+          success: true,
+          data: result
+        });
+      } catch (error) {
+        this.logger.error('Erro ao verificar divergências de gregas', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // ========================================
     // MAX PAIN & SENTIMENT
     // ========================================
 
-    // Max Pain endpoint
+    // Max Pain endpoint (payout mínimo por vencimento; ?expiry=YYYY-MM-DD, padrão: o mais próximo)
     this.app.get('/api/max-pain', async (req, res) => {
       try {
-        const options = this.dataCollector.getAllOptions();
-        const spotPrice = this.dataCollector.spotPrice;
+        const expiry = this.getExpiryParam(req);
+        const options = req.pipeline.dataCollector.getAllOptions();
 
         if (!options || options.length === 0) {
           return res.json({
@@ -600,8 +1546,7 @@ class APIServer {
           });
         }
 
-        // Calcular Max Pain
-        const maxPain = this.maxPainCalculator.calculateMaxPain(options, spotPrice);
+        const maxPain = this.getMaxPain(req.pipeline, expiry);
 
         if (!maxPain) {
           return res.json({
@@ -612,28 +1557,11 @@ class APIServer {
 
         res.json({
           success: true,
-          data: {
-            maxPainStrike: maxPain.maxPainStrike,
-            maxPainOI: maxPain.maxPainOI,
-            maxPainCallOI: maxPain.maxPainCallOI,
-            maxPainPutOI: maxPain.maxPainPutOI,
-            spotPrice: spotPrice,
-            analysis: maxPain.analysis,
-            topStrikes: maxPain.strikeOIMap ?
-              Object.entries(maxPain.strikeOIMap)
-                .sort((a, b) => b[1].totalOI - a[1].totalOI)
-                .slice(0, 10)
-                .map(([strike, data]) => ({
-                  strike: parseFloat(strike),
-                  totalOI: data.totalOI,
-                  callOI: data.callOI,
-                  putOI: data.putOI
-                })) : []
-          }
+          data: maxPain
         });
       } catch (error) {
         this.logger.error('Erro ao obter Max Pain', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
@@ -643,7 +1571,7 @@ class APIServer {
     // Sentiment Analysis endpoint
     this.app.get('/api/sentiment', async (req, res) => {
       try {
-        const options = this.dataCollector.getAllOptions();
+        const options = req.pipeline.dataCollector.getAllOptions();
 
         if (!options || options.length === 0) {
           return res.json({
@@ -653,7 +1581,7 @@ class APIServer {
         }
 
         // Calcular Sentiment
-        const sentiment = this.sentimentAnalyzer.analyzeSentiment(options);
+        const sentiment = this.getSentiment(req.pipeline);
 
         if (!sentiment) {
           return res.json({
@@ -675,6 +1603,172 @@ class APIServer {
       }
     });
 
+    // Distribuição risk-neutral implícita (Breeden-Litzenberger) por vencimento
+    // ?expiry=YYYY-MM-DD&levels=95000,100000 (walls, gamma flip e max pain sempre incluídos)
+    this.app.get('/api/probability', async (req, res) => {
+      try {
+        const expiry = this.getExpiryParam(req);
+        const extraLevels = this.getLevelsParam(req);
+        const { dataCollector } = req.pipeline;
+        const options = dataCollector.getAllOptions();
+        const spotPrice = dataCollector.spotPrice || this.estimateSpotPrice(options);
+
+        if (!options || options.length === 0) {
+          const error = new Error('Nenhuma option disponível');
+          error.status = 503;
+          throw error;
+        }
+
+        const metrics = await this.getMetrics(req.pipeline, this.getDealerModelParam(req), expiry);
+        const now = dataCollector.getCurrentTime();
+        const maxPain = this.maxPainCalculator.calculateMaxPain(options, spotPrice, null, expiry, now);
+
+        const levels = [
+          { name: 'putWall', price: metrics.putWall?.strike },
+          { name: 'callWall', price: metrics.callWall?.strike },
+          { name: 'gammaFlip', price: metrics.gammaFlip?.level },
+          { name: 'maxPain', price: maxPain?.maxPainStrike },
+          ...extraLevels
+        ];
+
+        const result = this.probabilityCalculator.calculate(options, spotPrice, { expiry, levels, now });
+
+        res.json({
+          success: true,
+          data: {
+            ...result,
+            expiry: expiry
+          },
+          dealerModel: metrics.dealerModel
+        });
+      } catch (error) {
+        this.logger.error('Erro ao calcular distribuição implícita', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Estrutura a termo da vol (ATM, risk reversals e butterflies via SVI)
+    this.app.get('/api/term-structure', async (req, res) => {
+      try {
+        const { dataCollector } = req.pipeline;
+        const options = dataCollector.getAllOptions();
+        const spotPrice = dataCollector.spotPrice || this.estimateSpotPrice(options);
+
+        if (!options || options.length === 0) {
+          const error = new Error('Nenhuma option disponível');
+          error.status = 503;
+          throw error;
+        }
+
+        const now = dataCollector.getCurrentTime();
+        const surface = this.volSurfaceCalculator.buildSurface(options, spotPrice, now);
+        const termStructure = surface ? this.termStructureCalculator.calculate(surface.svi, spotPrice, now) : null;
+
+        if (!termStructure) {
+          const error = new Error('Nenhum vencimento com smile suficiente para a estrutura a termo');
+          error.status = 503;
+          throw error;
+        }
+
+        res.json({
+          success: true,
+          data: termStructure
+        });
+      } catch (error) {
+        this.logger.error('Erro ao calcular estrutura a termo', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Histórico da estrutura a termo (?tenor=30d|YYYY-MM-DD&hours=24)
+    this.app.get('/api/term-structure/history', async (req, res) => {
+      try {
+        const tenor = this.getTenorParam(req);
+        const TermStructureHistory = this.db.getModel('TermStructureHistory');
+
+        const hours = parseInt(req.query.hours) || 24;
+        const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+        const startTime = Date.now() - (hours * 60 * 60 * 1000);
+
+        const history = await TermStructureHistory.findAll({
+          attributes: [
+            'timestamp', 'kind', 'tenor', 'dte', 'atmIv', 'rr25d', 'rr10d',
+            'bf25d', 'bf10d', 'extrapolated', 'structure', 'slope'
+          ],
+          where: {
+            ...this.assetScope(req),
+            tenor: tenor,
+            timestamp: { [Op.gte]: startTime }
+          },
+          order: [['timestamp', 'ASC']],
+          limit: limit
+        });
+
+        res.json({
+          success: true,
+          data: history,
+          count: history.length,
+          tenor: tenor,
+          timeRange: {
+            start: startTime,
+            end: Date.now(),
+            hours: hours
+          }
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter histórico da estrutura a termo', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Vol realizada (klines do trade stream do spot), VRP e IV Rank/Percentile
+    this.app.get('/api/realized-vol', async (req, res) => {
+      try {
+        const state = await this.getVolatilityState(req.pipeline);
+
+        res.json({
+          success: true,
+          data: state
+        });
+      } catch (error) {
+        this.logger.error('Erro ao calcular volatilidade realizada', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Variação de OI por strike/símbolo + posicionamento (OI vs preço)
+    // ?window=1h|4h|24h&expiry=YYYY-MM-DD
+    this.app.get('/api/oi-changes', (req, res) => {
+      try {
+        const window = this.getOIWindowParam(req);
+        const expiry = this.getExpiryParam(req);
+        const changes = req.pipeline.dataCollector.getOIChanges(window, expiry);
+
+        res.json({
+          success: true,
+          data: changes
+        });
+      } catch (error) {
+        this.logger.error('Erro ao obter variações de OI', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
     // Anomalies endpoint with filters
     this.app.get('/api/anomalies', async (req, res) => {
       try {
@@ -692,7 +1786,7 @@ class APIServer {
         const maxDTE = parseInt(req.query.maxDTE);
 
         // Build where clause
-        const where = {};
+        const where = { ...this.assetScope(req) };
 
         if (anomalyType) {
           where.anomaly_type = anomalyType;
@@ -772,6 +1866,7 @@ class APIServer {
         
         // Buscar último snapshot
         const latestSnapshot = await MarketSnapshot.findOne({
+          where: this.assetScope(req),
           order: [['timestamp', 'DESC']]
         });
         
@@ -797,6 +1892,7 @@ class APIServer {
         const { Op } = require('sequelize');
         const recentAnomalies = await AnomaliesLog.findAll({        
           where: {
+            ...this.assetScope(req),
             created_at: {
               [Op.gte]: oneHourAgo
             }
@@ -807,7 +1903,7 @@ class APIServer {
         
         // Analisar estado do mercado
         const analyzer = new MarketStateAnalyzer(
-          latestSnapshot.toJSON(),
+          await this.getMarketData(latestSnapshot),
           volData,
           recentAnomalies.map(a => a.toJSON())
         );
@@ -815,10 +1911,22 @@ class APIServer {
         
         // Recomendar estratégias
         const recommender = new StrategyRecommender(STRATEGIES, marketState);
-        const topN = parseInt(req.query.topN) || 5;
-        const minScore = parseInt(req.query.minScore) || 50;
+        const topN = this.getTopNParam(req, 5);
+        const minScore = this.getMinScoreParam(req, 50);
         
         const recommendations = recommender.recommend({ topN, minScore });
+
+        // Estrutura negociável: legs reais do vencimento escolhido (?expiry ou DTE alvo)
+        const { dataCollector } = req.pipeline;
+        const builder = new StrategyBuilder({
+          targetDTE: parseFloat(req.query.targetDTE) || 7,
+          quantity: parseFloat(req.query.quantity) || 1
+        });
+        const liveOptions = dataCollector.getAllOptions();
+        const expiry = this.getExpiryParam(req) || builder.legResolver.selectExpiry(liveOptions);
+        recommendations.forEach(strategy => {
+          strategy.structure = builder.build(strategy, liveOptions, dataCollector.spotPrice, { expiry });
+        });
         
         // Retornar resposta
         res.json({
@@ -830,13 +1938,14 @@ class APIServer {
             totalStrategies: STRATEGIES.length,
             recommendedCount: recommendations.length,
             spotPrice: latestSnapshot.spot_price,
-            regime: latestSnapshot.regime
+            regime: latestSnapshot.regime,
+            expiry: expiry
           }
         });
         
       } catch (error) {
         this.logger.error('Erro ao recomendar estratégias', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
@@ -849,6 +1958,7 @@ class APIServer {
         const AnomaliesLog = this.db.getModel('AnomaliesLog');
         
         const latestSnapshot = await MarketSnapshot.findOne({
+          where: this.assetScope(req),
           order: [['created_at', 'DESC']]  // ← TROCAR: timestamp → created_at
         });
         
@@ -872,6 +1982,7 @@ class APIServer {
         const { Op } = require('sequelize');
         const recentAnomalies = await AnomaliesLog.findAll({
           where: {
+            ...this.assetScope(req),
             created_at: {  // ← TROCAR: timestamp → created_at
               [Op.gte]: oneHourAgo
             }
@@ -879,7 +1990,7 @@ class APIServer {
         });
         
         const analyzer = new MarketStateAnalyzer(
-          latestSnapshot.toJSON(),
+          await this.getMarketData(latestSnapshot),
           volData,
           recentAnomalies.map(a => a.toJSON())
         );
@@ -904,25 +2015,74 @@ class APIServer {
       }
     });
 
-    // Endpoint: Detalhes de uma estratégia específica
-    this.app.get('/api/strategies/:id', async (req, res) => {
+    // Endpoint: Backtest das recomendações sobre os snapshots gravados
+    this.app.get('/api/strategies/backtest', async (req, res) => {
       try {
-        const strategyId = req.params.id;
-        const strategy = STRATEGIES.find(s => s.id === strategyId);
-        
-        if (!strategy) {
-          return res.status(404).json({
-            success: false,
-            error: `Strategy '${strategyId}' not found`
-          });
+        if (!this.db) {
+          const error = new Error('Backtest requer conexão com o banco de dados');
+          error.status = 503;
+          throw error;
         }
-        
-        // Tentar calcular score baseado no estado atual do mercado
-        try {
-          const MarketSnapshot = this.db.getModel('MarketSnapshot');
+
+        const exitMode = req.query.exit || 'expiry';
+        if (!['expiry', 'hold'].includes(exitMode)) {
+          const error = new Error(`Saída inválida: ${exitMode}. Válidas: expiry, hold`);
+          error.status = 400;
+          throw error;
+        }
+
+        const backtester = new StrategyBacktester(this.db, {
+          underlying: req.pipeline.underlying,
+          from: req.query.from || Date.now() - 30 * 24 * 60 * 60 * 1000, // padrão: últimos 30 dias
+          to: req.query.to,
+          topN: this.getTopNParam(req, 3),
+          minScore: this.getMinScoreParam(req, 50),
+          entryInterval: (parseFloat(req.query.entryHours) || 24) * 60 * 60 * 1000,
+          targetDTE: parseFloat(req.query.targetDTE) || 7,
+          minDTE: parseFloat(req.query.minDTE) || 1,
+          exit: {
+            mode: exitMode,
+            holdHours: parseFloat(req.query.holdHours) || 24,
+            takeProfitPct: req.query.takeProfit !== undefined ? parseFloat(req.query.takeProfit) : null,
+            stopLossPct: req.query.stopLoss !== undefined ? parseFloat(req.query.stopLoss) : null
+          }
+        });
+
+        const report = await backtester.run();
+
+        res.json({
+          success: true,
+          data: report
+        });
+      } catch (error) {
+        this.logger.error('Erro ao executar backtest', error);
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+
+    // Endpoint: Detalhes de uma estratégia específica
+    this.app.get('/api/strategies/:id', async (req, res) => {
+      try {
+        const strategyId = req.params.id;
+        const strategy = STRATEGIES.find(s => s.id === strategyId);
+        
+        if (!strategy) {
+          return res.status(404).json({
+            success: false,
+            error: `Strategy '${strategyId}' not found`
+          });
+        }
+        
+        // Tentar calcular score baseado no estado atual do mercado
+        try {
+          const MarketSnapshot = this.db.getModel('MarketSnapshot');
           const AnomaliesLog = this.db.getModel('AnomaliesLog');
           
           const latestSnapshot = await MarketSnapshot.findOne({
+            where: this.assetScope(req),
             order: [['created_at', 'DESC']]
           });
           
@@ -939,13 +2099,13 @@ class APIServer {
             const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);         
             
             const recentAnomalies = await AnomaliesLog.findAll({            
-              
+              where: this.assetScope(req),
               limit: 20,
               order: [['created_at', 'DESC']]
             });
             
             const analyzer = new MarketStateAnalyzer(
-              latestSnapshot.toJSON(),
+              await this.getMarketData(latestSnapshot),
               volData,
               recentAnomalies
             );
@@ -998,7 +2158,7 @@ class APIServer {
         // Build attributes list
         const attributes = fields || [
           'id', 'timestamp', 'spot_price', 'total_options',
-          'total_gex', 'max_gex_strike', 'regime',
+          'total_gex', 'total_vanna', 'total_charm', 'max_gex_strike', 'regime', 'dealer_model',
           'max_pain_strike', 'max_pain_oi', 'max_pain_distance', 'max_pain_distance_pct',
           'sentiment', 'put_call_oi_ratio', 'put_call_vol_ratio'
         ];
@@ -1007,6 +2167,7 @@ class APIServer {
         const snapshots = await MarketSnapshot.findAll({
           attributes: attributes,
           where: {
+            ...this.assetScope(req),
             timestamp: { [Op.gte]: startTime }
           },
           order: [['timestamp', 'DESC']],
@@ -1123,7 +2284,7 @@ class APIServer {
 this.app.get('/api/liquidations/stats', async (req, res) => {
   try {
     // Obter stats do LiquidationTracker via DataCollector
-    const stats = this.dataCollector.getLiquidationStats();
+    const stats = req.pipeline.dataCollector.getLiquidationStats();
     
     // Verificar se LiquidationTracker está disponível
     if (!stats) {
@@ -1196,7 +2357,7 @@ this.app.get('/api/liquidations/stats', async (req, res) => {
 this.app.get('/api/liquidations/energy', async (req, res) => {
   try {
     // Obter energy score do LiquidationTracker
-    const energy = this.dataCollector.getLiquidationEnergy();
+    const energy = req.pipeline.dataCollector.getLiquidationEnergy();
     
     if (!energy) {
       return res.status(503).json({
@@ -1248,8 +2409,8 @@ this.app.get('/api/liquidations/energy', async (req, res) => {
  */
 this.app.get('/api/liquidations/summary', async (req, res) => {
   try {
-    const stats = this.dataCollector.getLiquidationStats();
-    const energy = this.dataCollector.getLiquidationEnergy();
+    const stats = req.pipeline.dataCollector.getLiquidationStats();
+    const energy = req.pipeline.dataCollector.getLiquidationEnergy();
     
     if (!stats || !energy) {
       return res.status(503).json({
@@ -1263,7 +2424,7 @@ this.app.get('/api/liquidations/summary', async (req, res) => {
       data: {
         stats: stats,
         energy: energy,
-        connected: this.dataCollector.liquidationTracker?.connected || false,
+        connected: req.pipeline.dataCollector.liquidationTracker?.connected || false,
         lastUpdate: Date.now()
       }
     });
@@ -1328,7 +2489,7 @@ this.app.get('/api/liquidations/recent', async (req, res) => {
     const startTime = now - (minutes * 60 * 1000);
     
     // Acessar diretamente o liquidationTracker para getLiquidations()
-    const tracker = this.dataCollector.liquidationTracker;
+    const tracker = req.pipeline.dataCollector.liquidationTracker;
     
     if (!tracker) {
       return res.status(503).json({
@@ -1409,7 +2570,7 @@ this.app.get('/api/liquidations/recent', async (req, res) => {
 this.app.get('/api/liquidations/early', async (req, res) => {
   try {
     const minutes = parseInt(req.query.minutes) || 2;
-    const tracker = this.dataCollector.liquidationTracker;
+    const tracker = req.pipeline.dataCollector.liquidationTracker;
     
     if (!tracker) {
       return res.status(503).json({
@@ -1492,7 +2653,7 @@ this.app.get('/api/liquidations/early', async (req, res) => {
  */
 this.app.get('/api/liquidations/growth', async (req, res) => {
   try {
-    const tracker = this.dataCollector.liquidationTracker;
+    const tracker = req.pipeline.dataCollector.liquidationTracker;
     
     if (!tracker) {
       return res.status(503).json({
@@ -1574,8 +2735,8 @@ this.app.get('/api/liquidations/growth', async (req, res) => {
  */
 this.app.get('/api/liquidations/cascade', async (req, res) => {
   try {
-    const stats = this.dataCollector.getLiquidationStats();
-    const tracker = this.dataCollector.liquidationTracker;
+    const stats = req.pipeline.dataCollector.getLiquidationStats();
+    const tracker = req.pipeline.dataCollector.liquidationTracker;
     
     if (!stats || !tracker) {
       return res.status(503).json({
@@ -1710,7 +2871,7 @@ this.app.get('/api/liquidations/cascade', async (req, res) => {
  */
 this.app.get('/api/orderbook/metrics', async (req, res) => {
   try {
-    const metrics = this.dataCollector.getOrderBookMetrics();
+    const metrics = req.pipeline.dataCollector.getOrderBookMetrics();
     
     res.json({
       success: true,
@@ -1772,7 +2933,7 @@ this.app.get('/api/orderbook/metrics', async (req, res) => {
  */
 this.app.get('/api/orderbook/imbalance', async (req, res) => {
   try {
-    const imbalance = this.dataCollector.getOrderBookImbalance();
+    const imbalance = req.pipeline.dataCollector.getOrderBookImbalance();
     
     // Adicionar interpretação
     let interpretation = {
@@ -1826,7 +2987,8 @@ this.app.get('/api/orderbook/imbalance', async (req, res) => {
 /**
  * Retorna análise de profundidade do order book.
  * 
- * QUERY PARAMS: Nenhum
+ * QUERY PARAMS:
+ * - band: Faixa em torno do mid (ex: 0.02 = ±2%; padrão: faixa principal, ±1%)
  * 
  * RESPOSTA:
  * {
@@ -1837,6 +2999,8 @@ this.app.get('/api/orderbook/imbalance', async (req, res) => {
  *     "askVolume": 850.3,
  *     "ratio": 1.47,
  *     "change": 0.12,
+ *     "band": 0.01,
+ *     "bands": { "0.5%": { "bidVolume": 610.2, "askVolume": 420.7, "BI": 0.18, ... }, "1%": {...}, "2%": {...} },
  *     "interpretation": {
  *       "liquidityLevel": "HIGH",
  *       "message": "Liquidez 12% acima da média",
@@ -1862,7 +3026,7 @@ this.app.get('/api/orderbook/imbalance', async (req, res) => {
  */
 this.app.get('/api/orderbook/depth', async (req, res) => {
   try {
-    const depth = this.dataCollector.getOrderBookDepth();
+    const depth = req.pipeline.dataCollector.getOrderBookDepth(this.getBandParam(req));
     
     // Adicionar interpretação
     let interpretation = {
@@ -1903,7 +3067,7 @@ this.app.get('/api/orderbook/depth', async (req, res) => {
     });
   } catch (error) {
     this.logger.error('Erro ao obter orderbook depth', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -1953,7 +3117,7 @@ this.app.get('/api/orderbook/depth', async (req, res) => {
  */
 this.app.get('/api/orderbook/spread', async (req, res) => {
   try {
-    const spread = this.dataCollector.getOrderBookSpread();
+    const spread = req.pipeline.dataCollector.getOrderBookSpread();
     
     // Adicionar interpretação
     let interpretation = {
@@ -2010,7 +3174,8 @@ this.app.get('/api/orderbook/spread', async (req, res) => {
 /**
  * Retorna walls detectadas no order book.
  * 
- * QUERY PARAMS: Nenhum
+ * QUERY PARAMS:
+ * - band: Faixa de busca em torno do mid (ex: 0.005 = ±0.5%; padrão: ±2%)
  * 
  * RESPOSTA:
  * {
@@ -2025,6 +3190,8 @@ this.app.get('/api/orderbook/spread', async (req, res) => {
  *       "strength": "STRONG"
  *     },
  *     "askWall": null,
+ *     "band": 0.02,
+ *     "bands": { "0.5%": { "bidWall": null, "askWall": null }, ... },
  *     "interpretation": {
  *       "message": "Wall de suporte forte em 94500",
  *       "significance": "HIGH"
@@ -2051,7 +3218,7 @@ this.app.get('/api/orderbook/spread', async (req, res) => {
  */
 this.app.get('/api/orderbook/walls', async (req, res) => {
   try {
-    const walls = this.dataCollector.getOrderBookWalls();
+    const walls = req.pipeline.dataCollector.getOrderBookWalls(this.getBandParam(req));
     
     // Adicionar interpretação
     let interpretation = {
@@ -2085,14 +3252,362 @@ this.app.get('/api/orderbook/walls', async (req, res) => {
     
     res.json({
       success: true,
-      data: {
-        ...walls,
-        interpretation
-      },
+      data: {
+        ...walls,
+        interpretation
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter orderbook walls', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 6: GET /api/orderbook/energy
+// ============================================================================
+
+/**
+ * Retorna Energy Score do order book para o Half Pipe Model.
+ * 
+ * QUERY PARAMS: Nenhum
+ * 
+ * RESPOSTA:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "score": 0.68,
+ *     "level": "MEDIUM",
+ *     "components": {
+ *       "BI": 0.45,
+ *       "persistence": 0.75,
+ *       "spread_quality": 0.95,
+ *       "depth": 1.12
+ *     },
+ *     "interpretation": {
+ *       "message": "Energia sustentada MÉDIA",
+ *       "recommendation": "Fluxo presente mas não dominante"
+ *     }
+ *   },
+ *   "timestamp": "2025-12-30T21:30:00.000Z"
+ * }
+ * 
+ * INTERPRETAÇÃO:
+ * - score > 0.7 (HIGH): Energia forte e sustentada
+ * - score > 0.4 (MEDIUM): Energia moderada
+ * - score < 0.4 (LOW): Energia fraca
+ * 
+ * COMPONENTES:
+ * - BI (40%): Magnitude do imbalance
+ * - persistence (30%): Sustentação do fluxo
+ * - spread_quality (20%): Qualidade do spread
+ * - depth (10%): Profundidade relativa
+ * 
+ * RELAÇÃO COM HALF PIPE:
+ * - Energy Score = "energia sustentada" do fluxo
+ * - Combinar com LiquidationTracker (energia injetada)
+ * - Comparar com GEX (potencial)
+ * - P_escape = (Energy_sustained + Energy_injected) / Potential
+ * 
+ * CASOS DE USO:
+ * - Half Pipe Model
+ * - Detectar H1 vs H2 vs H3
+ * - Calcular P_escape
+ */
+this.app.get('/api/orderbook/energy', async (req, res) => {
+  try {
+    const energy = req.pipeline.dataCollector.getOrderBookEnergy();
+    
+    // Adicionar interpretação
+    let interpretation = {
+      message: '',
+      recommendation: ''
+    };
+    
+    if (energy.level === 'HIGH') {
+      interpretation.message = 'Energia sustentada ALTA';
+      interpretation.recommendation = 'Fluxo forte e persistente - favorece H1';
+    } else if (energy.level === 'MEDIUM') {
+      interpretation.message = 'Energia sustentada MÉDIA';
+      interpretation.recommendation = 'Fluxo presente mas não dominante';
+    } else {
+      interpretation.message = 'Energia sustentada BAIXA';
+      interpretation.recommendation = 'Fluxo fraco - possível H2 ou mercado preso';
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...energy,
+        interpretation
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter orderbook energy', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 7: GET /api/orderbook/history
+// ============================================================================
+
+/**
+ * Retorna histórico completo (últimos 60s) de todas as métricas.
+ * 
+ * QUERY PARAMS:
+ * - window: Janela de tempo em segundos (default: 60, max: 60)
+ * 
+ * RESPOSTA:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "BI_history": [
+ *       { "time": 1704047340000, "BI": 0.42, "direction": "BULLISH" },
+ *       { "time": 1704047340100, "BI": 0.43, "direction": "BULLISH" },
+ *       ...
+ *     ],
+ *     "depth_history": [
+ *       { "time": 1704047340000, "totalDepth": 2050.5, "bidVolume": 1200.3, "askVolume": 850.2 },
+ *       ...
+ *     ],
+ *     "spread_history": [
+ *       { "time": 1704047340000, "spread": 0.50, "spread_pct": 0.0000053 },
+ *       ...
+ *     ],
+ *     "stats": {
+ *       "dataPoints": 600,
+ *       "window": 60,
+ *       "avgBI": 0.42,
+ *       "avgDepth": 2100.5,
+ *       "avgSpread": 0.52
+ *     }
+ *   },
+ *   "timestamp": "2025-12-30T21:30:00.000Z"
+ * }
+ * 
+ * CASOS DE USO:
+ * - Gráficos de evolução temporal
+ * - Análise de tendências
+ * - Backtesting
+ * - Visualização de persistência
+ */
+this.app.get('/api/orderbook/history', async (req, res) => {
+  try {
+    const window = Math.min(parseInt(req.query.window) || 60, 60);
+    const history = req.pipeline.dataCollector.getOrderBookHistory();
+    
+    // Filtrar por janela de tempo
+    const cutoff = Date.now() - (window * 1000);
+    const filtered = {
+      BI_history: history.BI_history.filter(h => h.time > cutoff),
+      depth_history: history.depth_history.filter(h => h.time > cutoff),
+      spread_history: history.spread_history.filter(h => h.time > cutoff)
+    };
+    
+    // Calcular estatísticas
+    const stats = {
+      dataPoints: filtered.BI_history.length,
+      window: window,
+      avgBI: filtered.BI_history.length > 0 
+        ? filtered.BI_history.reduce((sum, h) => sum + h.BI, 0) / filtered.BI_history.length 
+        : 0,
+      avgDepth: filtered.depth_history.length > 0
+        ? filtered.depth_history.reduce((sum, h) => sum + h.totalDepth, 0) / filtered.depth_history.length
+        : 0,
+      avgSpread: filtered.spread_history.length > 0
+        ? filtered.spread_history.reduce((sum, h) => sum + h.spread, 0) / filtered.spread_history.length
+        : 0
+    };
+    
+    res.json({
+      success: true,
+      data: {
+        ...filtered,
+        stats
+      },
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter orderbook history', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+ /**
+ * ============================================================================
+ * FUTUROS PERPÉTUOS - API ENDPOINTS
+ * ============================================================================
+ * 
+ * Endpoints para acessar o posicionamento alavancado (FuturesCollector):
+ * funding rate, basis mark/index, open interest e long/short ratios.
+ * 
+ * ENDPOINTS:
+ * 1. GET /api/futures/metrics        - Todas as métricas
+ * 2. GET /api/futures/funding        - Funding atual, anualizado e histórico
+ * 3. GET /api/futures/basis          - Basis mark vs index
+ * 4. GET /api/futures/open-interest  - OI dos futuros e variação 1h/4h
+ * 5. GET /api/futures/long-short     - Long/short ratio (contas e top traders)
+ * 6. GET /api/futures/energy         - Energia de alavancagem (Half Pipe)
+ * ============================================================================
+ */
+
+// ============================================================================
+// ENDPOINT 1: GET /api/futures/metrics
+// ============================================================================
+
+/**
+ * Retorna todas as métricas de futuros.
+ * 
+ * RESPOSTA:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "symbol": "BTCUSDT",
+ *     "funding": { "rate": 0.0001, "annualized": 0.1095, "nextFundingTime": 1704067200000, ... },
+ *     "basis": { "markPrice": 95010.5, "indexPrice": 95000.0, "basis": 10.5, "basisPct": 0.00011 },
+ *     "openInterest": { "contracts": 82000.5, "usd": 7790000000, "change1h": 0.012, "change4h": 0.035, ... },
+ *     "longShort": { "global": { "ratio": 1.85, ... }, "top": { "ratio": 1.42, ... } },
+ *     "energy": { "score": 0.41, "level": "MEDIUM", "bias": "LONG_CROWDED", "components": {...} },
+ *     "lastUpdate": 1704047400000
+ *   },
+ *   "timestamp": "2025-12-30T21:30:00.000Z"
+ * }
+ */
+this.app.get('/api/futures/metrics', async (req, res) => {
+  try {
+    const metrics = req.pipeline.dataCollector.getFuturesMetrics();
+    if (!metrics) {
+      const error = new Error('FuturesCollector não inicializado');
+      error.status = 503;
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: metrics,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter futures metrics', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 2: GET /api/futures/funding
+// ============================================================================
+
+/**
+ * Funding rate atual (a cada 8h), anualizado, média das últimas 24h e histórico.
+ * 
+ * INTERPRETAÇÃO:
+ * - rate > 0: longs pagam shorts (mercado alavancado comprado)
+ * - rate < 0: shorts pagam longs (mercado alavancado vendido)
+ */
+this.app.get('/api/futures/funding', async (req, res) => {
+  try {
+    const funding = req.pipeline.dataCollector.getFuturesFunding();
+
+    res.json({
+      success: true,
+      data: funding,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter futures funding', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 3: GET /api/futures/basis
+// ============================================================================
+
+/**
+ * Basis do perpétuo: mark - index (absoluto e percentual).
+ * Basis positivo e crescente = demanda alavancada comprando acima do spot.
+ */
+this.app.get('/api/futures/basis', async (req, res) => {
+  try {
+    const basis = req.pipeline.dataCollector.getFuturesBasis();
+
+    res.json({
+      success: true,
+      data: basis,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter futures basis', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 4: GET /api/futures/open-interest
+// ============================================================================
+
+/**
+ * Open interest dos futuros (contratos e USD) com variação 1h/4h e série de 5m.
+ * OI crescendo junto com o preço = alavancagem sendo construída.
+ */
+this.app.get('/api/futures/open-interest', async (req, res) => {
+  try {
+    const openInterest = req.pipeline.dataCollector.getFuturesOpenInterest();
+
+    res.json({
+      success: true,
+      data: openInterest,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter futures open interest', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 5: GET /api/futures/long-short
+// ============================================================================
+
+/**
+ * Long/short account ratio de todas as contas (global) e dos top traders (top).
+ * ratio > 1: mais contas compradas que vendidas.
+ */
+this.app.get('/api/futures/long-short', async (req, res) => {
+  try {
+    const longShort = req.pipeline.dataCollector.getFuturesLongShort();
+
+    res.json({
+      success: true,
+      data: longShort,
       timestamp: new Date()
     });
   } catch (error) {
-    this.logger.error('Erro ao obter orderbook walls', error);
+    this.logger.error('Erro ao obter futures long/short', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -2101,87 +3616,34 @@ this.app.get('/api/orderbook/walls', async (req, res) => {
 });
 
 // ============================================================================
-// ENDPOINT 6: GET /api/orderbook/energy
+// ENDPOINT 6: GET /api/futures/energy
 // ============================================================================
 
 /**
- * Retorna Energy Score do order book para o Half Pipe Model.
- * 
- * QUERY PARAMS: Nenhum
- * 
- * RESPOSTA:
- * {
- *   "success": true,
- *   "data": {
- *     "score": 0.68,
- *     "level": "MEDIUM",
- *     "components": {
- *       "BI": 0.45,
- *       "persistence": 0.75,
- *       "spread_quality": 0.95,
- *       "depth": 1.12
- *     },
- *     "interpretation": {
- *       "message": "Energia sustentada MÉDIA",
- *       "recommendation": "Fluxo presente mas não dominante"
- *     }
- *   },
- *   "timestamp": "2025-12-30T21:30:00.000Z"
- * }
- * 
- * INTERPRETAÇÃO:
- * - score > 0.7 (HIGH): Energia forte e sustentada
- * - score > 0.4 (MEDIUM): Energia moderada
- * - score < 0.4 (LOW): Energia fraca
+ * Energia de alavancagem para o Half Pipe Model.
  * 
  * COMPONENTES:
- * - BI (40%): Magnitude do imbalance
- * - persistence (30%): Sustentação do fluxo
- * - spread_quality (20%): Qualidade do spread
- * - depth (10%): Profundidade relativa
+ * - openInterest (35%): Crescimento do OI em 1h (5% = máximo)
+ * - funding (30%): |funding| anualizado (50% = máximo)
+ * - crowding (20%): Desequilíbrio long/short (3:1 = máximo)
+ * - basis (15%): |basis| (0.2% = máximo)
  * 
- * RELAÇÃO COM HALF PIPE:
- * - Energy Score = "energia sustentada" do fluxo
- * - Combinar com LiquidationTracker (energia injetada)
- * - Comparar com GEX (potencial)
- * - P_escape = (Energy_sustained + Energy_injected) / Potential
+ * bias: LONG_CROWDED | SHORT_CROWDED | BALANCED
  * 
- * CASOS DE USO:
- * - Half Pipe Model
- * - Detectar H1 vs H2 vs H3
- * - Calcular P_escape
+ * RELAÇÃO COM HALF PIPE:
+ * Entra no EscapeTypeDetector como terceira fonte de energia (20% do total).
  */
-this.app.get('/api/orderbook/energy', async (req, res) => {
+this.app.get('/api/futures/energy', async (req, res) => {
   try {
-    const energy = this.dataCollector.getOrderBookEnergy();
-    
-    // Adicionar interpretação
-    let interpretation = {
-      message: '',
-      recommendation: ''
-    };
-    
-    if (energy.level === 'HIGH') {
-      interpretation.message = 'Energia sustentada ALTA';
-      interpretation.recommendation = 'Fluxo forte e persistente - favorece H1';
-    } else if (energy.level === 'MEDIUM') {
-      interpretation.message = 'Energia sustentada MÉDIA';
-      interpretation.recommendation = 'Fluxo presente mas não dominante';
-    } else {
-      interpretation.message = 'Energia sustentada BAIXA';
-      interpretation.recommendation = 'Fluxo fraco - possível H2 ou mercado preso';
-    }
-    
+    const energy = req.pipeline.dataCollector.getFuturesEnergy();
+
     res.json({
       success: true,
-      data: {
-        ...energy,
-        interpretation
-      },
+      data: energy,
       timestamp: new Date()
     });
   } catch (error) {
-    this.logger.error('Erro ao obter orderbook energy', error);
+    this.logger.error('Erro ao obter futures energy', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -2189,89 +3651,95 @@ this.app.get('/api/orderbook/energy', async (req, res) => {
   }
 });
 
+ /**
+ * ============================================================================
+ * OPTIONS FLOW - API ENDPOINTS
+ * ============================================================================
+ * 
+ * Fluxo agressor das options (OptionsFlowTracker): cada trade é classificado
+ * como compra ou venda do cliente contra o bid/ask vigente.
+ * 
+ * ENDPOINTS:
+ * 1. GET /api/flow          - Prêmio, delta e gamma líquidos por strike/vencimento
+ * 2. GET /api/flow/blocks   - Large prints (blocos) mais recentes
+ * ============================================================================
+ */
+
 // ============================================================================
-// ENDPOINT 7: GET /api/orderbook/history
+// ENDPOINT 1: GET /api/flow
 // ============================================================================
 
 /**
- * Retorna histórico completo (últimos 60s) de todas as métricas.
- * 
  * QUERY PARAMS:
- * - window: Janela de tempo em segundos (default: 60, max: 60)
+ * - window: 5m | 15m | 1h | 4h (padrão: 1h)
+ * - expiry: YYYY-MM-DD (opcional)
  * 
  * RESPOSTA:
  * {
  *   "success": true,
  *   "data": {
- *     "BI_history": [
- *       { "time": 1704047340000, "BI": 0.42, "direction": "BULLISH" },
- *       { "time": 1704047340100, "BI": 0.43, "direction": "BULLISH" },
- *       ...
- *     ],
- *     "depth_history": [
- *       { "time": 1704047340000, "totalDepth": 2050.5, "bidVolume": 1200.3, "askVolume": 850.2 },
- *       ...
- *     ],
- *     "spread_history": [
- *       { "time": 1704047340000, "spread": 0.50, "spread_pct": 0.0000053 },
- *       ...
- *     ],
- *     "stats": {
- *       "dataPoints": 600,
- *       "window": 60,
- *       "avgBI": 0.42,
- *       "avgDepth": 2100.5,
- *       "avgSpread": 0.52
- *     }
- *   },
- *   "timestamp": "2025-12-30T21:30:00.000Z"
+ *     "window": "1h",
+ *     "totals": { "trades": 412, "netPremium": 185000, "netDelta": 12.4, "netGamma": 3500000, "gammaBias": "CUSTOMERS_BUYING_GAMMA", ... },
+ *     "classification": { "quote": 380, "midpoint": 25, "exchange": 7 },
+ *     "byStrike": [{ "strike": 100000, "calls": {...}, "puts": {...}, "netPremium": 42000, "netDelta": 3.1, "netGamma": 900000 }],
+ *     "byExpiry": [{ "expiry": "2025-12-31", "netPremium": 120000, ... }],
+ *     "blocks": [{ "symbol": "BTC-251231-100000-C", "aggressor": "BUY", "quantity": 50, "premium": 260000, ... }],
+ *     "summary": { "5m": {...}, "15m": {...}, "1h": {...}, "4h": {...} }
+ *   }
  * }
  * 
- * CASOS DE USO:
- * - Gráficos de evolução temporal
- * - Análise de tendências
- * - Backtesting
- * - Visualização de persistência
+ * INTERPRETAÇÃO:
+ * - netGamma > 0: clientes comprando gamma → dealers vendidos (short gamma)
+ * - netGamma < 0: clientes vendendo gamma → dealers comprados (long gamma)
+ * - Combinar com a variação de OI para saber se a posição nova é comprada ou vendida
  */
-this.app.get('/api/orderbook/history', async (req, res) => {
+this.app.get('/api/flow', async (req, res) => {
   try {
-    const window = Math.min(parseInt(req.query.window) || 60, 60);
-    const history = this.dataCollector.getOrderBookHistory();
-    
-    // Filtrar por janela de tempo
-    const cutoff = Date.now() - (window * 1000);
-    const filtered = {
-      BI_history: history.BI_history.filter(h => h.time > cutoff),
-      depth_history: history.depth_history.filter(h => h.time > cutoff),
-      spread_history: history.spread_history.filter(h => h.time > cutoff)
-    };
-    
-    // Calcular estatísticas
-    const stats = {
-      dataPoints: filtered.BI_history.length,
-      window: window,
-      avgBI: filtered.BI_history.length > 0 
-        ? filtered.BI_history.reduce((sum, h) => sum + h.BI, 0) / filtered.BI_history.length 
-        : 0,
-      avgDepth: filtered.depth_history.length > 0
-        ? filtered.depth_history.reduce((sum, h) => sum + h.totalDepth, 0) / filtered.depth_history.length
-        : 0,
-      avgSpread: filtered.spread_history.length > 0
-        ? filtered.spread_history.reduce((sum, h) => sum + h.spread, 0) / filtered.spread_history.length
-        : 0
-    };
-    
+    const window = this.getFlowWindowParam(req);
+    const expiry = this.getExpiryParam(req);
+    const flow = req.pipeline.dataCollector.getOptionsFlow(window, expiry);
+
     res.json({
       success: true,
-      data: {
-        ...filtered,
-        stats
-      },
+      data: flow,
       timestamp: new Date()
     });
   } catch (error) {
-    this.logger.error('Erro ao obter orderbook history', error);
-    res.status(500).json({
+    this.logger.error('Erro ao obter options flow', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ============================================================================
+// ENDPOINT 2: GET /api/flow/blocks
+// ============================================================================
+
+/**
+ * Blocos (large prints) mais recentes primeiro.
+ * 
+ * QUERY PARAMS:
+ * - limit: número de blocos (padrão: 50, máximo: 200)
+ * 
+ * Bloco = prêmio >= FLOW_BLOCK_PREMIUM, notional >= FLOW_BLOCK_NOTIONAL
+ * ou quantidade >= 20× a mediana dos trades recentes.
+ */
+this.app.get('/api/flow/blocks', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const blocks = req.pipeline.dataCollector.getOptionsFlowBlocks(limit);
+
+    res.json({
+      success: true,
+      data: blocks,
+      count: blocks.length,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    this.logger.error('Erro ao obter options flow blocks', error);
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
@@ -2288,14 +3756,14 @@ this.app.get('/api/orderbook/history', async (req, res) => {
    */
   this.app.get('/api/escape/detect', (req, res) => {
     try {
-      if (!this.dataCollector.escapeTypeDetector) {
+      if (!req.pipeline.dataCollector.escapeTypeDetector) {
         return res.status(503).json({
           success: false,
           error: 'EscapeTypeDetector not initialized'
         });
       }
       
-      const detection = this.dataCollector.escapeTypeDetector.getCurrentDetection();
+      const detection = req.pipeline.dataCollector.escapeTypeDetector.getCurrentDetection();
       
       if (!detection) {
         return res.status(200).json({
@@ -2331,14 +3799,14 @@ this.app.get('/api/orderbook/history', async (req, res) => {
    */
   this.app.get('/api/escape/probability', (req, res) => {
     try {
-      if (!this.dataCollector.escapeTypeDetector) {
+      if (!req.pipeline.dataCollector.escapeTypeDetector) {
         return res.status(503).json({
           success: false,
           error: 'EscapeTypeDetector not initialized'
         });
       }
       
-      const detection = this.dataCollector.escapeTypeDetector.getCurrentDetection();
+      const detection = req.pipeline.dataCollector.escapeTypeDetector.getCurrentDetection();
       
       if (!detection || !detection.metrics) {
         return res.status(200).json({
@@ -2396,14 +3864,14 @@ this.app.get('/api/orderbook/history', async (req, res) => {
    */
   this.app.get('/api/escape/energy', (req, res) => {
     try {
-      if (!this.dataCollector.escapeTypeDetector) {
+      if (!req.pipeline.dataCollector.escapeTypeDetector) {
         return res.status(503).json({
           success: false,
           error: 'EscapeTypeDetector not initialized'
         });
       }
       
-      const detection = this.dataCollector.escapeTypeDetector.getCurrentDetection();
+      const detection = req.pipeline.dataCollector.escapeTypeDetector.getCurrentDetection();
       
       if (!detection || !detection.metrics) {
         return res.status(200).json({
@@ -2418,10 +3886,10 @@ this.app.get('/api/orderbook/history', async (req, res) => {
         });
       }
       
-      const orderBook = this.dataCollector.getOrderBookMetrics() ?
-        this.dataCollector.getOrderBookMetrics() : null;
-      const liquidations = this.dataCollector.getLiquidationMetrics() ?
-        this.dataCollector.getLiquidationMetrics() : null;
+      const orderBook = req.pipeline.dataCollector.getOrderBookMetrics() ?
+        req.pipeline.dataCollector.getOrderBookMetrics() : null;
+      const liquidations = req.pipeline.dataCollector.getLiquidationMetrics() ?
+        req.pipeline.dataCollector.getLiquidationMetrics() : null;
       
       const sustainedComponents = orderBook ? {
         bookImbalance: Math.abs(orderBook.BI || 0),
@@ -2472,14 +3940,14 @@ this.app.get('/api/orderbook/history', async (req, res) => {
    */
   this.app.get('/api/escape/conditions', (req, res) => {
     try {
-      if (!this.dataCollector.escapeTypeDetector) {
+      if (!req.pipeline.dataCollector.escapeTypeDetector) {
         return res.status(503).json({
           success: false,
           error: 'EscapeTypeDetector not initialized'
         });
       }
 
-      const detection = this.dataCollector.escapeTypeDetector.getCurrentDetection();
+      const detection = req.pipeline.dataCollector.escapeTypeDetector.getCurrentDetection();
 
       if (!detection || !detection.conditions) {
         return res.status(200).json({
@@ -2512,7 +3980,7 @@ this.app.get('/api/orderbook/history', async (req, res) => {
    */
   this.app.get('/api/escape/history', (req, res) => {
     try {
-      if (!this.dataCollector.escapeTypeDetector) {
+      if (!req.pipeline.dataCollector.escapeTypeDetector) {
         return res.status(503).json({
           success: false,
           error: 'EscapeTypeDetector not initialized'
@@ -2520,8 +3988,8 @@ this.app.get('/api/orderbook/history', async (req, res) => {
       }
       
       const minutes = Math.min(3600, Math.max(1, parseInt(req.query.minutes) || 60));
-      const history = this.dataCollector.escapeTypeDetector.getHistory(minutes);
-      const stats = this.dataCollector.escapeTypeDetector.getStats();
+      const history = req.pipeline.dataCollector.escapeTypeDetector.getHistory(minutes);
+      const stats = req.pipeline.dataCollector.escapeTypeDetector.getStats();
       
       res.json({
         success: true,
@@ -2546,17 +4014,17 @@ this.app.get('/api/orderbook/history', async (req, res) => {
    */
   this.app.get('/api/escape/summary', (req, res) => {
     try {
-      if (!this.dataCollector.escapeTypeDetector) {
+      if (!req.pipeline.dataCollector.escapeTypeDetector) {
         return res.status(503).json({
           success: false,
           error: 'EscapeTypeDetector not initialized'
         });
       }
       
-      const detection = this.dataCollector.escapeTypeDetector.getCurrentDetection();
-      const history = this.dataCollector.escapeTypeDetector.getHistory(10);
-      const stats = this.dataCollector.escapeTypeDetector.getStats();
-      const alerts = this.dataCollector.escapeTypeDetector.getAlerts();
+      const detection = req.pipeline.dataCollector.escapeTypeDetector.getCurrentDetection();
+      const history = req.pipeline.dataCollector.escapeTypeDetector.getHistory(10);
+      const stats = req.pipeline.dataCollector.escapeTypeDetector.getStats();
+      const alerts = req.pipeline.dataCollector.escapeTypeDetector.getAlerts();
 
       res.json({
         success: true,
@@ -2578,20 +4046,74 @@ this.app.get('/api/orderbook/history', async (req, res) => {
     }
   });
 
+  /**
+   * GET /api/escape/accuracy
+   * Precision / recall per hypothesis and per regime from the persisted
+   * detections labeled by EscapeDetectionService (?horizon=15m&hours=168)
+   */
+  this.app.get('/api/escape/accuracy', async (req, res) => {
+    try {
+      const horizon = this.getEscapeHorizonParam(req);
+      const horizons = horizon ? [horizon] : Object.keys(EscapeOutcome.HORIZONS);
+      const hours = this.getHoursParam(req, 168);
+      const EscapeDetection = this.db.getModel('EscapeDetection');
+
+      const startTime = Date.now() - (hours * 60 * 60 * 1000);
+
+      const rows = await EscapeDetection.findAll({
+        attributes: ['type', 'regime', ...horizons.map(name => `outcome${name}`)],
+        where: {
+          ...this.assetScope(req),
+          timestamp: { [Op.gte]: startTime }
+        },
+        raw: true
+      });
+
+      const data = {};
+      horizons.forEach(name => {
+        const samples = rows
+          .filter(row => row[`outcome${name}`])
+          .map(row => ({ type: row.type, regime: row.regime, outcome: row[`outcome${name}`] }));
+        data[name] = {
+          ...EscapeOutcome.HORIZONS[name],
+          ...EscapeOutcome.accuracy(samples)
+        };
+      });
+
+      res.json({
+        success: true,
+        data: data,
+        detections: rows.length,
+        expected: EscapeOutcome.EXPECTED_OUTCOME,
+        timeRange: {
+          start: startTime,
+          end: Date.now(),
+          hours: hours
+        }
+      });
+    } catch (error) {
+      this.logger.error('[API] Error in /api/escape/accuracy:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
   /**
    * GET /api/escape/alerts
    * Returns active alerts
    */
   this.app.get('/api/escape/alerts', (req, res) => {
     try {
-      if (!this.dataCollector.escapeTypeDetector) {
+      if (!req.pipeline.dataCollector.escapeTypeDetector) {
         return res.status(503).json({
           success: false,
           error: 'EscapeTypeDetector not initialized'
         });
       }
 
-      const alerts = this.dataCollector.escapeTypeDetector.getAlerts();
+      const alerts = req.pipeline.dataCollector.escapeTypeDetector.getAlerts();
 
       const summary = {
         totalAlerts: alerts.length,
@@ -2633,6 +4155,7 @@ this.app.get('/api/orderbook/history', async (req, res) => {
         const snapshots = await MarketSnapshot.findAll({
           attributes: ['timestamp', 'regime', 'spot_price', 'total_gex'],
           where: {
+            ...this.assetScope(req),
             timestamp: { [Op.gte]: startTime },
             regime: { [Op.ne]: null }
           },
@@ -2710,24 +4233,35 @@ this.app.get('/api/orderbook/history', async (req, res) => {
 
 
   /**
-   * Obtém métricas (com cache)
+   * Obtém métricas de um underlying (com cache)
+   * @param {Object} pipeline - Pipeline do UnderlyingRegistry (padrão se omitido)
+   * @param {string} dealerModel - Dealer model do GEX (padrão: config.dealerModel)
+   * @param {string} expiry - Vencimento YYYY-MM-DD (padrão: todos)
+   * @param {string} venue - Venue das options (padrão: chain agregada)
    */
-  async getMetrics() {
+  async getMetrics(pipeline = this.registry.getDefault(), dealerModel = null, expiry = null, venue = null) {
     const now = Date.now();
+    const model = dealerModel || this.config.dealerModel;
+    const cacheKey = `${pipeline.underlying}:${model}:${expiry || 'all'}:${venue || 'all'}`;
 
     // Retornar cache se ainda válido
-    if (this.metricsCache && (now - this.lastMetricsUpdate) < this.metricsCacheTTL) {
-      return this.metricsCache;
+    const cached = this.metricsCache.get(cacheKey);
+    if (cached && (now - cached.timestamp) < this.metricsCacheTTL) {
+      return cached.metrics;
     }
 
     // Calcular novas métricas
-    const options = this.dataCollector.getAllOptions();
+    const { dataCollector } = pipeline;
+    const options = dataCollector.getAllOptions(venue);
 
-    // Usar spot price real do coletor
-    const spotPrice = this.dataCollector.spotPrice || this.estimateSpotPrice(options);
-    this.gexCalculator.setSpotPrice(spotPrice);
+    // Usar spot price real do coletor; calculadora própria desta chamada
+    // (a do pipeline é compartilhada entre requests e snapshots)
+    const spotPrice = dataCollector.spotPrice || this.estimateSpotPrice(options);
+    const gexCalculator = pipeline.gexCalculator.forModel(model, spotPrice);
 
-    const metrics = this.gexCalculator.calculateAllMetrics(options);
+    const metrics = gexCalculator.calculateAllMetrics(options, { expiry });
+    metrics.underlying = pipeline.underlying;
+    metrics.venue = venue;
 
     // Add regime analysis
     try {
@@ -2742,92 +4276,183 @@ this.app.get('/api/orderbook/history', async (req, res) => {
     }
 
     // Atualizar cache
-    this.metricsCache = metrics;
-    this.lastMetricsUpdate = now;
+    this.metricsCache.set(cacheKey, { metrics, timestamp: now });
 
     return metrics;
   }
 
   /**
-   * Calcula wall zones a partir do gamma profile
+   * Max Pain de um underlying (payload de /api/max-pain e do tópico max-pain)
+   * @param {Object} pipeline - Pipeline do UnderlyingRegistry
+   * @param {string} expiry - Vencimento YYYY-MM-DD (padrão: o mais próximo)
+   * @returns {Object|null} - null sem options ou sem vencimento calculável
    */
-  calculateWallZonesFromProfile(gammaProfile, threshold = 0.7) {
-    if (!gammaProfile || gammaProfile.length === 0) {
-      return { putWallZone: null, callWallZone: null };
+  getMaxPain(pipeline, expiry = null) {
+    const { dataCollector } = pipeline;
+    const options = dataCollector.getAllOptions();
+    const spotPrice = dataCollector.spotPrice;
+    const now = dataCollector.getCurrentTime();
+
+    if (!options || options.length === 0) return null;
+
+    // Distribuição implícita do vencimento (pinning)
+    const probability = this.probabilityCalculator.calculate(options, spotPrice, { expiry, now });
+    const distribution = ProbabilityDistributionCalculator.nearest(probability);
+
+    const maxPain = this.maxPainCalculator.calculateMaxPain(options, spotPrice, distribution, expiry, now);
+    if (!maxPain) return null;
+
+    return {
+      expiry: maxPain.expiry,
+      maxPainStrike: maxPain.maxPainStrike,
+      totalPain: maxPain.totalPain,
+      callPain: maxPain.callPain,
+      putPain: maxPain.putPain,
+      maxPainOI: maxPain.maxPainOI,
+      maxPainCallOI: maxPain.maxPainCallOI,
+      maxPainPutOI: maxPain.maxPainPutOI,
+      oiMagnet: maxPain.oiMagnet,
+      spotPrice: spotPrice,
+      analysis: maxPain.analysis,
+      painCurve: maxPain.painCurve,
+      expiries: maxPain.expiries,
+      topStrikes: maxPain.strikeOIMap ?
+        Object.entries(maxPain.strikeOIMap)
+          .sort((a, b) => b[1].totalOI - a[1].totalOI)
+          .slice(0, 10)
+          .map(([strike, data]) => ({
+            strike: parseFloat(strike),
+            totalOI: data.totalOI,
+            callOI: data.callOI,
+            putOI: data.putOI
+          })) : []
+    };
+  }
+
+  /**
+   * Sentimento put/call de um underlying (payload de /api/sentiment e do tópico sentiment)
+   * @returns {Object|null} - null sem options
+   */
+  getSentiment(pipeline) {
+    const options = pipeline.dataCollector.getAllOptions();
+    if (!options || options.length === 0) return null;
+
+    return this.sentimentAnalyzer.analyzeSentiment(options);
+  }
+
+  /**
+   * ATM IV histórico de um tenor de maturidade constante (média por hora, 365 dias)
+   * Retorna [] sem banco; cache de 10 minutos
+   */
+  async getIVHistory(pipeline, tenor = '30d') {
+    if (!this.db || !pipeline.assetId) return [];
+
+    const now = Date.now();
+    const cacheKey = `${pipeline.underlying}:${tenor}`;
+    const cached = this.ivHistoryCache.get(cacheKey);
+    if (cached && (now - cached.timestamp) < this.ivHistoryCacheTTL) {
+      return cached.history;
     }
 
-    // Encontrar picos de Put e Call
-    const putPeak = gammaProfile.reduce((max, item) =>
-      item.putGEX < max.putGEX ? item : max
-    );
+    const TermStructureHistory = this.db.getModel('TermStructureHistory');
+    const { fn, col, literal } = require('sequelize');
+    const rows = await TermStructureHistory.findAll({
+      attributes: [
+        [fn('AVG', col('atm_iv')), 'atmIv'],
+        [literal('FLOOR(timestamp / 3600000)'), 'hour']
+      ],
+      where: {
+        assetId: pipeline.assetId,
+        kind: 'CONSTANT_MATURITY',
+        tenor: tenor,
+        timestamp: { [Op.gte]: now - 365 * 24 * 60 * 60 * 1000 }
+      },
+      group: ['hour'],
+      raw: true
+    });
 
-    const callPeak = gammaProfile.reduce((max, item) =>
-      item.callGEX > max.callGEX ? item : max
+    const history = rows.map(row => parseFloat(row.atmIv)).filter(iv => iv > 0);
+    this.ivHistoryCache.set(cacheKey, { history, timestamp: now });
+    return history;
+  }
+
+  /**
+   * Volatilidade realizada, VRP (IV − RV) e IV Rank/Percentile de um underlying
+   * @param {Object} pipeline - Pipeline do UnderlyingRegistry
+   * @param {Object} termStructure - TermStructureCalculator (calculado se omitido)
+   */
+  async getVolatilityState(pipeline, termStructure = null) {
+    const { dataCollector } = pipeline;
+    const realized = dataCollector.getRealizedVolatility();
+
+    if (!termStructure) {
+      const options = dataCollector.getAllOptions();
+      const spotPrice = dataCollector.spotPrice || this.estimateSpotPrice(options);
+      const now = dataCollector.getCurrentTime();
+      const surface = options.length > 0 ? this.volSurfaceCalculator.buildSurface(options, spotPrice, now) : null;
+      termStructure = surface ? this.termStructureCalculator.calculate(surface.svi, spotPrice, now) : null;
+    }
+
+    const ivHistory = await this.getIVHistory(pipeline);
+    const state = RealizedVolatility.summarize(
+      termStructure ? termStructure.constantMaturity : [],
+      realized.windows,
+      ivHistory
     );
 
-    // Calcular zona de Put Wall
-    let putWallZone = null;
-    if (putPeak && putPeak.putGEX < 0) {
-      const putThreshold = Math.abs(putPeak.putGEX) * threshold;
-      const putZoneStrikes = gammaProfile
-        .filter(p => p.putGEX < 0 && Math.abs(p.putGEX) >= putThreshold)
-        .map(p => ({
-          strike: p.strike,
-          gex: p.putGEX,
-          percentage: (Math.abs(p.putGEX) / Math.abs(putPeak.putGEX)) * 100
-        }))
-        .sort((a, b) => a.strike - b.strike);
+    return {
+      ...state,
+      realized: realized
+    };
+  }
 
-      if (putZoneStrikes.length > 0) {
-        const zoneLow = putZoneStrikes[0].strike;
-        const zoneHigh = putZoneStrikes[putZoneStrikes.length - 1].strike;
-
-        putWallZone = {
-          peak: putPeak.strike,
-          peakGEX: putPeak.putGEX,
-          zoneLow: zoneLow,
-          zoneHigh: zoneHigh,
-          zoneWidth: zoneHigh - zoneLow,
-          zoneStrikes: putZoneStrikes,
-          strikeCount: putZoneStrikes.length,
-          threshold: threshold,
-          totalZoneGEX: putZoneStrikes.reduce((sum, s) => sum + s.gex, 0)
-        };
-      }
+  /**
+   * Calcula wall zones a partir do gamma profile
+   * Picos e zonas pela magnitude do GEX (como findPutWall/findCallWall): o
+   * sinal de putGEX/callGEX depende do dealer model
+   */
+  calculateWallZonesFromProfile(gammaProfile, threshold = 0.7) {
+    if (!gammaProfile || gammaProfile.length === 0) {
+      return { putWallZone: null, callWallZone: null };
     }
 
-    // Calcular zona de Call Wall
-    let callWallZone = null;
-    if (callPeak && callPeak.callGEX > 0) {
-      const callThreshold = callPeak.callGEX * threshold;
-      const callZoneStrikes = gammaProfile
-        .filter(p => p.callGEX > 0 && p.callGEX >= callThreshold)
+    const zoneOf = (field) => {
+      const peak = gammaProfile.reduce((max, item) =>
+        Math.abs(item[field]) > Math.abs(max[field]) ? item : max
+      );
+
+      if (!peak || !peak[field]) return null;
+
+      const peakMagnitude = Math.abs(peak[field]);
+      const zoneStrikes = gammaProfile
+        .filter(p => Math.abs(p[field]) >= peakMagnitude * threshold)
         .map(p => ({
           strike: p.strike,
-          gex: p.callGEX,
-          percentage: (p.callGEX / callPeak.callGEX) * 100
+          gex: p[field],
+          percentage: (Math.abs(p[field]) / peakMagnitude) * 100
         }))
         .sort((a, b) => a.strike - b.strike);
 
-      if (callZoneStrikes.length > 0) {
-        const zoneLow = callZoneStrikes[0].strike;
-        const zoneHigh = callZoneStrikes[callZoneStrikes.length - 1].strike;
-
-        callWallZone = {
-          peak: callPeak.strike,
-          peakGEX: callPeak.callGEX,
-          zoneLow: zoneLow,
-          zoneHigh: zoneHigh,
-          zoneWidth: zoneHigh - zoneLow,
-          zoneStrikes: callZoneStrikes,
-          strikeCount: callZoneStrikes.length,
-          threshold: threshold,
-          totalZoneGEX: callZoneStrikes.reduce((sum, s) => sum + s.gex, 0)
-        };
-      }
-    }
+      const zoneLow = zoneStrikes[0].strike;
+      const zoneHigh = zoneStrikes[zoneStrikes.length - 1].strike;
+
+      return {
+        peak: peak.strike,
+        peakGEX: peak[field],
+        zoneLow: zoneLow,
+        zoneHigh: zoneHigh,
+        zoneWidth: zoneHigh - zoneLow,
+        zoneStrikes: zoneStrikes,
+        strikeCount: zoneStrikes.length,
+        threshold: threshold,
+        totalZoneGEX: zoneStrikes.reduce((sum, s) => sum + s.gex, 0)
+      };
+    };
 
-    return { putWallZone, callWallZone };
+    return {
+      putWallZone: zoneOf('putGEX'),
+      callWallZone: zoneOf('callGEX')
+    };
   }
 
 
@@ -2857,6 +4482,11 @@ this.app.get('/api/orderbook/history', async (req, res) => {
       try {
         this.server = this.app.listen(this.config.port, this.config.host, () => {
           this.logger.success(`API Server rodando em http://${this.config.host}:${this.config.port}`);
+
+          // WebSocket push no mesmo servidor HTTP
+          this.streamServer = new StreamServer(this.server, this.registry, this);
+          this.streamServer.start();
+
           resolve();
         });
       } catch (error) {
@@ -2871,6 +4501,11 @@ this.app.get('/api/orderbook/history', async (req, res) => {
    */
   stop() {
     return new Promise((resolve) => {
+      if (this.streamServer) {
+        this.streamServer.stop();
+        this.streamServer = null;
+      }
+
       if (this.server) {
         this.server.close(() => {
           this.logger.info('API Server parado');
@@ -0,0 +1,376 @@
+/**
+ * EscapeCalibrator - Calibração offline dos thresholds do EscapeTypeDetector
+ *
+ * Reavalia as regras H1/H2/H3 (EscapeTypeDetector.classify) sobre as
+ * detecções gravadas e rotuladas pelo EscapeDetectionService (features de
+ * cada tick + resultado 5/15/60 min depois) com outros conjuntos de
+ * thresholds, e guarda o melhor num arquivo versionado que o detector
+ * carrega ao iniciar.
+ *
+ * AMOSTRAS:
+ * - banco   - detecções gravadas e rotuladas (tabela escape_detections)
+ * - captura - captureDir: a captura é reproduzida e as features/rótulos
+ *             gerados no playback (EscapeSampleReplay), sem banco
+ *
+ * BUSCA:
+ * - random - `iterations` conjuntos sorteados em SEARCH_SPACE (seed reproduzível)
+ * - grid   - grade de `gridSteps` valores por threshold, um threshold por vez
+ *            com os outros fixos, repetida `passes` vezes
+ * O conjunto atual (arquivo calibrado ou defaults) sempre entra como candidato.
+ *
+ * OBJETIVO: média do F1 de H1, H2 e H3 no horizonte escolhido; hipótese com
+ * menos de minDetections detecções conta como F1 = 0 (evita thresholds que
+ * quase nunca disparam).
+ *
+ * VALIDAÇÃO: as amostras são divididas no tempo (trainRatio antigas para a
+ * busca, o restante para medir). O relatório traz precision (hit rate
+ * esperado) e recall por hipótese e regime, atual vs calibrado.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const Logger = require('../utils/logger');
+const EscapeTypeDetector = require('../calculators/EscapeTypeDetector');
+const EscapeOutcome = require('../calculators/EscapeOutcome');
+const EscapeSampleReplay = require('./EscapeSampleReplay');
+const { parseTime } = require('../utils/time');
+const { createRandom } = require('../utils/random');
+
+// Faixas de busca por threshold
+const SEARCH_SPACE = {
+  h1: {
+    biPersistence: [0.3, 0.95],
+    orderBookEnergy: [0.2, 0.9],
+    liquidationEnergyMin: [0, 0.6],
+    liquidationEnergyMax: [0.4, 1],
+    depthChange: [-0.6, 0.2],
+    spreadQuality: [0.3, 0.95],
+    wallDistance: [0.005, 0.1],
+    P_escape: [0.2, 1.5],
+    minScore: [0.4, 0.85]
+  },
+  h2: {
+    biPersistence: [0.1, 0.7],
+    orderBookEnergy: [0.1, 0.6],
+    orderBookEnergyMax: [0.5, 0.95],
+    liquidationEnergy: [0.1, 0.7],
+    wallDistance: [0.005, 0.1],
+    wallStrength: [0.1, 0.95],
+    P_escape: [0.1, 0.8],
+    minScore: [0.4, 0.85]
+  },
+  h3: {
+    liquidationEnergy: [0.4, 0.95],
+    depthChange: [-0.7, 0],
+    spreadQuality: [0.2, 0.8],
+    spreadPulse: [1, 4],
+    P_escape: [0.4, 1.5],
+    minScore: [0.3, 0.8]
+  }
+};
+
+class EscapeCalibrator {
+  constructor(database, config = {}) {
+    this.db = database;
+    this.logger = new Logger('EscapeCalibrator');
+
+    this.config = {
+      underlying: config.underlying || process.env.DEFAULT_UNDERLYING || 'BTC',
+      from: parseTime(config.from) || 0,
+      to: parseTime(config.to) || Date.now(),
+      horizon: config.horizon || '15m',
+      method: config.method || 'random',
+      iterations: config.iterations || 300,
+      gridSteps: config.gridSteps || 5,
+      passes: config.passes || 2,
+      seed: config.seed !== undefined ? config.seed : 1,
+      trainRatio: config.trainRatio || 0.7,
+      minDetections: config.minDetections || 10,
+      minSamples: config.minSamples || 100,
+      captureDir: config.captureDir || null,
+      outputFile: config.outputFile
+    };
+    // Um arquivo por underlying (o detector carrega o do seu mercado)
+    this.config.outputFile = this.config.outputFile || EscapeTypeDetector.thresholdsFileFor(this.config.underlying);
+
+    if (!EscapeOutcome.HORIZONS[this.config.horizon]) {
+      throw new Error(`Horizonte '${this.config.horizon}' inválido. Use: ${Object.keys(EscapeOutcome.HORIZONS).join(', ')}`);
+    }
+    if (!['random', 'grid'].includes(this.config.method)) {
+      throw new Error(`Método '${this.config.method}' inválido. Use: random, grid`);
+    }
+
+    // Detector sem coletor: só as regras H1/H2/H3 (thresholds trocados a cada candidato)
+    this.detector = new EscapeTypeDetector(null, { thresholdsFile: false });
+  }
+
+  /**
+   * Detecções rotuladas no horizonte (mais antigas primeiro)
+   */
+  async loadSamples() {
+    if (this.config.captureDir) {
+      const replay = new EscapeSampleReplay({
+        dir: this.config.captureDir,
+        from: this.config.from,
+        to: this.config.to,
+        underlying: this.config.underlying,
+        horizon: this.config.horizon
+      });
+      return replay.run();
+    }
+
+    const Asset = this.db.getModel('Asset');
+    const EscapeDetection = this.db.getModel('EscapeDetection');
+    const { underlying, from, to, horizon } = this.config;
+
+    const asset = await Asset.findOne({ where: { symbol: underlying } });
+    if (!asset) {
+      throw new Error(`Asset ${underlying} não encontrado no banco`);
+    }
+
+    const outcomeField = `outcome${horizon}`;
+    const rows = await EscapeDetection.findAll({
+      attributes: ['timestamp', 'type', 'regime', 'features', outcomeField],
+      where: {
+        assetId: asset.id,
+        timestamp: { [Op.between]: [from, to] },
+        features: { [Op.ne]: null },
+        [outcomeField]: { [Op.ne]: null, [Op.notIn]: ['NO_DATA'] }
+      },
+      order: [['timestamp', 'ASC']],
+      raw: true
+    });
+
+    return rows.map(row => {
+      const features = typeof row.features === 'string' ? JSON.parse(row.features) : row.features;
+      return {
+        timestamp: Number(row.timestamp),
+        recordedType: row.type,
+        regime: row.regime || features.regime,
+        features: features,
+        outcome: row[outcomeField]
+      };
+    });
+  }
+
+  /**
+   * Acurácia de um conjunto de thresholds sobre as amostras
+   */
+  evaluate(samples, thresholds) {
+    this.detector.thresholds = thresholds;
+    return EscapeOutcome.accuracy(samples.map(sample => ({
+      type: this.detector.classify(sample.features).type,
+      regime: sample.regime,
+      outcome: sample.outcome
+    })));
+  }
+
+  /**
+   * Média do F1 das três hipóteses
+   */
+  score(accuracy) {
+    const f1 = EscapeOutcome.HYPOTHESES.map(type => {
+      const result = accuracy.byHypothesis[type];
+      if (result.detections < this.config.minDetections || !result.precision || !result.recall) {
+        return 0;
+      }
+      return 2 * result.precision * result.recall / (result.precision + result.recall);
+    });
+    return f1.reduce((sum, value) => sum + value, 0) / f1.length;
+  }
+
+  /**
+   * Thresholds atuais: arquivo calibrado (se existir) ou defaults
+   */
+  currentThresholds() {
+    const calibrated = EscapeTypeDetector.loadThresholdsFile(this.config.outputFile, this.config.underlying);
+    return {
+      version: calibrated ? calibrated.version : null,
+      thresholds: calibrated ? calibrated.thresholds : EscapeTypeDetector.mergeThresholds()
+    };
+  }
+
+  /**
+   * Limites de intervalo nunca invertidos: liquidationEnergyMin/Max (H1)
+   * e orderBookEnergy/orderBookEnergyMax (H2)
+   */
+  normalize(thresholds) {
+    const h1 = thresholds.h1;
+    if (h1.liquidationEnergyMin > h1.liquidationEnergyMax) {
+      [h1.liquidationEnergyMin, h1.liquidationEnergyMax] = [h1.liquidationEnergyMax, h1.liquidationEnergyMin];
+    }
+    const h2 = thresholds.h2;
+    if (h2.orderBookEnergy > h2.orderBookEnergyMax) {
+      [h2.orderBookEnergy, h2.orderBookEnergyMax] = [h2.orderBookEnergyMax, h2.orderBookEnergy];
+    }
+    return thresholds;
+  }
+
+  /**
+   * Busca aleatória
+   */
+  randomSearch(samples, initial) {
+    const random = createRandom(this.config.seed);
+    let best = { thresholds: initial, score: this.score(this.evaluate(samples, initial)) };
+
+    for (let i = 0; i < this.config.iterations; i++) {
+      const candidate = {};
+      Object.entries(SEARCH_SPACE).forEach(([hypothesis, space]) => {
+        candidate[hypothesis] = {};
+        Object.entries(space).forEach(([key, [min, max]]) => {
+          candidate[hypothesis][key] = min + (max - min) * random();
+        });
+      });
+      this.normalize(candidate);
+
+      const score = this.score(this.evaluate(samples, candidate));
+      if (score > best.score) {
+        best = { thresholds: candidate, score: score };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Busca em grade, um threshold por vez
+   */
+  gridSearch(samples, initial) {
+    const copy = (thresholds) => JSON.parse(JSON.stringify(thresholds));
+    const steps = Math.max(2, this.config.gridSteps);
+    let best = { thresholds: copy(initial), score: this.score(this.evaluate(samples, initial)) };
+
+    for (let pass = 0; pass < this.config.passes; pass++) {
+      Object.entries(SEARCH_SPACE).forEach(([hypothesis, space]) => {
+        Object.entries(space).forEach(([key, [min, max]]) => {
+          for (let i = 0; i < steps; i++) {
+            const candidate = copy(best.thresholds);
+            candidate[hypothesis][key] = min + (max - min) * i / (steps - 1);
+            this.normalize(candidate);
+
+            const score = this.score(this.evaluate(samples, candidate));
+            if (score > best.score) {
+              best = { thresholds: candidate, score: score };
+            }
+          }
+        });
+      });
+    }
+
+    return best;
+  }
+
+  /**
+   * Calibra e monta o relatório (não grava o arquivo)
+   */
+  async run() {
+    const samples = await this.loadSamples();
+    if (samples.length < this.config.minSamples) {
+      throw new Error(`Amostras rotuladas insuficientes: ${samples.length} (mínimo ${this.config.minSamples})`);
+    }
+
+    const split = Math.floor(samples.length * this.config.trainRatio);
+    const train = samples.slice(0, split);
+    const test = samples.slice(split);
+
+    const current = this.currentThresholds();
+    this.logger.info(`${samples.length} amostras (${train.length} busca / ${test.length} validação), horizonte ${this.config.horizon}, busca ${this.config.method}`);
+
+    const best = this.config.method === 'grid'
+      ? this.gridSearch(train, current.thresholds)
+      : this.randomSearch(train, current.thresholds);
+
+    const report = (thresholds) => {
+      const trainAccuracy = this.evaluate(train, thresholds);
+      const testAccuracy = this.evaluate(test, thresholds);
+      return {
+        train: { score: this.score(trainAccuracy), ...trainAccuracy },
+        test: { score: this.score(testAccuracy), ...testAccuracy }
+      };
+    };
+
+    const currentReport = report(current.thresholds);
+    const calibratedReport = report(best.thresholds);
+
+    return {
+      underlying: this.config.underlying,
+      horizon: this.config.horizon,
+      method: this.config.method,
+      samples: {
+        total: samples.length,
+        train: train.length,
+        test: test.length,
+        from: samples[0].timestamp,
+        to: samples[samples.length - 1].timestamp
+      },
+      current: { version: current.version, thresholds: current.thresholds, ...currentReport },
+      calibrated: { thresholds: best.thresholds, ...calibratedReport },
+      // Só conta o que melhora fora da amostra da busca
+      improved: calibratedReport.test.score > currentReport.test.score
+    };
+  }
+
+  /**
+   * Histórico de uma versão: escape-thresholds.<UNDERLYING>.v<N>.json
+   */
+  archiveName(version) {
+    return `escape-thresholds.${this.config.underlying}.v${version}.json`;
+  }
+
+  /**
+   * Próxima versão: maior escape-thresholds.<UNDERLYING>.v<N>.json do diretório + 1
+   */
+  nextVersion() {
+    const dir = path.dirname(this.config.outputFile);
+    if (!fs.existsSync(dir)) return 1;
+
+    const underlying = this.config.underlying.replace(/[^A-Za-z0-9]/g, '\\$&');
+    const pattern = new RegExp(`^escape-thresholds\\.${underlying}\\.v(\\d+)\\.json$`);
+    const versions = fs.readdirSync(dir)
+      .map(file => pattern.exec(file))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]));
+    return versions.length > 0 ? Math.max(...versions) + 1 : 1;
+  }
+
+  /**
+   * Grava escape-thresholds.<UNDERLYING>.v<N>.json (histórico) e o arquivo carregado pelo detector
+   * @returns {Object} - { version, file, archive }
+   */
+  writeThresholds(result) {
+    const dir = path.dirname(this.config.outputFile);
+    const version = this.nextVersion();
+    const archive = path.join(dir, this.archiveName(version));
+
+    const content = {
+      version: version,
+      createdAt: new Date().toISOString(),
+      underlying: result.underlying,
+      horizon: result.horizon,
+      method: result.method,
+      samples: result.samples,
+      thresholds: result.calibrated.thresholds,
+      expected: {
+        score: result.calibrated.test.score,
+        byHypothesis: result.calibrated.test.byHypothesis
+      },
+      previous: {
+        version: result.current.version,
+        score: result.current.test.score
+      }
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    const json = JSON.stringify(content, null, 2) + '\n';
+    fs.writeFileSync(archive, json);
+    fs.writeFileSync(this.config.outputFile, json);
+
+    this.logger.success(`Thresholds v${version} gravados em ${this.config.outputFile}`);
+    return { version, file: this.config.outputFile, archive };
+  }
+}
+
+EscapeCalibrator.SEARCH_SPACE = SEARCH_SPACE;
+
+module.exports = EscapeCalibrator;
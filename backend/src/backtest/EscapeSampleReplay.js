@@ -0,0 +1,173 @@
+/**
+ * EscapeSampleReplay - Amostras de calibração a partir de uma captura
+ *
+ * Reproduz uma captura (CapturePlayer) num DataCollector em modo playback,
+ * tick a tick, e gera as mesmas amostras que o EscapeDetectionService grava
+ * ao vivo (EscapeOutcome.sampleDetection na grade de sampleInterval), rotuladas
+ * com o caminho do spot reproduzido (barras do RealizedVolatilityTracker).
+ * Calibra sem depender de detecções gravadas no banco.
+ *
+ * - Detecção a cada segundo do relógio da captura (não do relógio de parede),
+ *   então o resultado não depende da velocidade do playback
+ * - Rótulo no horizonte do calibrador assim que a barra do fim fecha;
+ *   amostras que a captura não cobre até o fim são descartadas (NO_DATA)
+ *
+ * O replay do banco (ReplayDataCollector) não serve aqui: os snapshots não
+ * têm order book nem liquidações, e as features sairiam vazias.
+ */
+
+const Logger = require('../utils/logger');
+const CapturePlayer = require('../capture/CapturePlayer');
+const MarketDataSource = require('../capture/MarketDataSource');
+const DataCollector = require('../collectors/DataCollector');
+const EscapeOutcome = require('../calculators/EscapeOutcome');
+
+const DETECTION_INTERVAL = 1000;
+
+class EscapeSampleReplay {
+  constructor(config = {}) {
+    this.logger = new Logger('EscapeSampleReplay');
+
+    this.config = {
+      dir: config.dir,
+      from: config.from,
+      to: config.to,
+      underlying: config.underlying || process.env.DEFAULT_UNDERLYING || 'BTC',
+      horizon: config.horizon || '15m',
+      sampleInterval: config.sampleInterval || 60 * 1000 // mesma grade do EscapeDetectionService
+    };
+
+    if (!this.config.dir) {
+      throw new Error('EscapeSampleReplay requer o diretório de captura (dir)');
+    }
+    if (!EscapeOutcome.HORIZONS[this.config.horizon]) {
+      throw new Error(`Horizonte '${this.config.horizon}' inválido. Use: ${Object.keys(EscapeOutcome.HORIZONS).join(', ')}`);
+    }
+
+    this.stats = {
+      detections: 0,
+      sampled: 0,
+      labeled: 0,
+      noData: 0
+    };
+  }
+
+  /**
+   * Reproduz a captura inteira
+   * @returns {Array} - { timestamp, recordedType, regime, features, outcome }, mais antigas primeiro
+   */
+  async run() {
+    const player = new CapturePlayer({ dir: this.config.dir, from: this.config.from, to: this.config.to });
+    await player.load();
+    MarketDataSource.setPlayer(player);
+
+    // Depois do setPlayer: o coletor abre os sockets pelo MarketDataSource
+    const collector = new DataCollector({ underlying: this.config.underlying });
+    const samples = [];
+    const pending = [];
+
+    try {
+      await collector.start();
+
+      // Detecção conduzida pelo relógio da captura, não pelo timer do coletor
+      clearInterval(collector.detectionInterval);
+      collector.detectionInterval = null;
+
+      player.pause();
+      await new Promise(resolve => setImmediate(resolve)); // sockets de playback abertos
+
+      let nextDetection = this.nextSecond(player.now());
+      const sampling = {};
+
+      while (!player.finished) {
+        await player.step();
+        if (player.now() < nextDetection) continue;
+
+        nextDetection = this.nextSecond(player.now());
+        const sample = this.sample(collector);
+        this.stats.detections++;
+
+        const decision = sample
+          ? EscapeOutcome.sampleDetection(sampling, { type: sample.recordedType, direction: sample.detectionDirection }, sample.timestamp, this.config.sampleInterval)
+          : null;
+
+        // REPLACE: a amostra NONE do intervalo é a última pendente
+        const last = pending[pending.length - 1];
+        if (decision === 'REPLACE' && last && last.recordedType === 'NONE' &&
+            Math.floor(last.timestamp / this.config.sampleInterval) === sampling.bucket) {
+          pending[pending.length - 1] = sample;
+        } else if (decision) {
+          pending.push(sample);
+          this.stats.sampled++;
+        }
+
+        this.labelDue(collector, player.now(), pending, samples);
+      }
+    } finally {
+      collector.stop();
+      player.stop();
+      MarketDataSource.setPlayer(null);
+    }
+
+    this.stats.noData += pending.length;
+    this.logger.info(`Captura reproduzida: ${this.stats.detections} detecções, ${this.stats.sampled} amostras, ${this.stats.labeled} rotuladas (${this.stats.noData} sem dados)`);
+    return samples;
+  }
+
+  nextSecond(time) {
+    return (Math.floor(time / DETECTION_INTERVAL) + 1) * DETECTION_INTERVAL;
+  }
+
+  /**
+   * Detecção no relógio atual da captura (null sem features ou sem spot)
+   */
+  sample(collector) {
+    const detection = collector.escapeTypeDetector.detect();
+    if (!detection || !detection.features) return null;
+
+    const spotPrice = detection.rawData?.currentPrice || collector.getCurrentPrice();
+    if (!(spotPrice > 0)) return null;
+
+    return {
+      timestamp: Date.parse(detection.timestamp),
+      recordedType: detection.type,
+      regime: detection.features.regime,
+      features: detection.features,
+      spotPrice: spotPrice,
+      detectionDirection: detection.direction,
+      direction: EscapeOutcome.referenceDirection(detection.direction, detection.features.wallType)
+    };
+  }
+
+  /**
+   * Rotula as amostras cujo horizonte já fechou no relógio da captura
+   */
+  labelDue(collector, now, pending, samples) {
+    const tracker = collector.realizedVolTracker;
+    const interval = tracker.config.barInterval;
+    const horizonMs = EscapeOutcome.HORIZONS[this.config.horizon].minutes * 60 * 1000;
+
+    while (pending.length > 0 && pending[0].timestamp + horizonMs + interval <= now) {
+      const sample = pending.shift();
+      const end = sample.timestamp + horizonMs;
+      const path = EscapeOutcome.pathFromBars(tracker.getBars(), sample.timestamp, end, interval);
+      const label = EscapeOutcome.labelOutcome(sample.spotPrice, sample.direction, path, this.config.horizon);
+
+      if (label.outcome === 'NO_DATA') {
+        this.stats.noData++;
+        continue;
+      }
+
+      samples.push({
+        timestamp: sample.timestamp,
+        recordedType: sample.recordedType,
+        regime: sample.regime,
+        features: sample.features,
+        outcome: label.outcome
+      });
+      this.stats.labeled++;
+    }
+  }
+}
+
+module.exports = EscapeSampleReplay;
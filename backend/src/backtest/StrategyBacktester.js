@@ -0,0 +1,454 @@
+/**
+ * StrategyBacktester - Backtest das recomendações do StrategyRecommender
+ *
+ * Percorre os MarketSnapshot/OptionsHistory gravados e, a cada ponto de
+ * entrada, registra o que o recomendador sugeriu. As legs de cada estratégia
+ * recomendada são montadas com strikes e preços reais (LegResolver) e a
+ * posição é mantida até o vencimento ou até a saída configurada.
+ *
+ * SAÍDA:
+ * - expiry  - Liquida no vencimento pelo valor intrínseco (spot do primeiro
+ *             snapshot após o vencimento como proxy do settlement)
+ * - hold    - Fecha após holdHours a preço de mercado (BUY no bid, SELL no ask)
+ * - takeProfitPct / stopLossPct (opcionais) - % do prêmio de entrada,
+ *   verificados a cada snapshot
+ *
+ * RELATÓRIO: P&L, win rate e drawdown por estratégia e por regime.
+ */
+
+const { Op } = require('sequelize');
+const Logger = require('../utils/logger');
+const Option = require('../models/Option');
+const MarketStateAnalyzer = require('../recommender/MarketStateAnalyzer');
+const StrategyRecommender = require('../recommender/StrategyRecommender');
+const LegResolver = require('../recommender/LegResolver');
+const { parseTime } = require('../utils/time');
+const { STRATEGIES } = require('../recommender/strategies');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+class StrategyBacktester {
+  constructor(database, config = {}) {
+    this.db = database;
+    this.logger = new Logger('StrategyBacktester');
+
+    this.config = {
+      underlying: config.underlying || process.env.DEFAULT_UNDERLYING || 'BTC',
+      from: parseTime(config.from) || 0,
+      to: parseTime(config.to) || Date.now(),
+      topN: Number.isFinite(config.topN) ? config.topN : 3,
+      minScore: Number.isFinite(config.minScore) ? config.minScore : 50,
+      entryInterval: config.entryInterval || 24 * MS_PER_HOUR, // 1 entrada por dia
+      quantity: config.quantity || 1,
+      targetDTE: config.targetDTE || 7,
+      minDTE: config.minDTE || 1,
+      exit: {
+        mode: 'expiry',            // 'expiry' | 'hold'
+        holdHours: 24,
+        takeProfitPct: null,       // ex: 50 = fecha com 50% do prêmio de lucro
+        stopLossPct: null,         // ex: 100 = fecha com perda de 100% do prêmio
+        ...(config.exit || {})
+      }
+    };
+
+    this.legResolver = new LegResolver({
+      targetDTE: this.config.targetDTE,
+      minDTE: this.config.minDTE
+    });
+  }
+
+  /**
+   * Executa o backtest
+   * @returns {Object} - { config, period, entries, trades, summary, byStrategy, byRegime }
+   */
+  async run() {
+    if (this.config.from >= this.config.to) {
+      const error = new Error('Intervalo inválido: from deve ser anterior a to');
+      error.status = 400;
+      throw error;
+    }
+
+    const Asset = this.db.getModel('Asset');
+    const asset = await Asset.findOne({ where: { symbol: this.config.underlying } });
+    if (!asset) {
+      const error = new Error(`Asset ${this.config.underlying} não encontrado no banco`);
+      error.status = 404;
+      throw error;
+    }
+
+    const snapshots = await this.loadSnapshots(asset.id);
+    if (snapshots.length === 0) {
+      const error = new Error(`Nenhum snapshot de ${this.config.underlying} no período`);
+      error.status = 404;
+      throw error;
+    }
+
+    this.logger.info(`Backtest ${this.config.underlying}: ${snapshots.length} snapshots, saída ${this.config.exit.mode}`);
+
+    const entries = [];
+    const trades = [];
+    let lastEntry = -Infinity;
+
+    for (const snapshot of snapshots) {
+      if (snapshot.timestamp - lastEntry < this.config.entryInterval) continue;
+      lastEntry = snapshot.timestamp;
+
+      const chain = await this.loadChain(snapshot.id);
+      if (chain.length === 0) continue;
+
+      // Estado do mercado e recomendações como no endpoint ao vivo
+      const anomalies = await this.loadAnomalies(snapshot.id);
+      const termStructure = await this.loadTermStructure(snapshot.id);
+      const marketState = new MarketStateAnalyzer(
+        this.toMarketData(snapshot, termStructure),
+        this.buildVolData(chain),
+        anomalies
+      ).analyze();
+
+      const recommendations = new StrategyRecommender(STRATEGIES, marketState)
+        .recommend({ topN: this.config.topN, minScore: this.config.minScore });
+
+      entries.push({
+        timestamp: snapshot.timestamp,
+        spotPrice: snapshot.spotPrice,
+        regime: marketState.regime,
+        marketState: marketState,
+        recommendations: recommendations.map(r => ({ id: r.id, score: r.score, marketFit: r.marketFit }))
+      });
+
+      // Vencimento único por entrada
+      const expiry = this.legResolver.selectExpiry(chain, snapshot.timestamp);
+      if (!expiry) continue;
+      const expiryChain = chain.filter(option => option.getExpiryKey() === expiry);
+
+      for (const strategy of recommendations) {
+        const legs = this.legResolver.resolveLegs(strategy, expiryChain, snapshot.spotPrice);
+        if (!legs) {
+          this.logger.debug(`${strategy.id}: legs não resolvidas em ${new Date(snapshot.timestamp).toISOString()}`);
+          continue;
+        }
+
+        const trade = this.openTrade(snapshot, strategy, legs, marketState.regime);
+        await this.closeTrade(trade, snapshots);
+        trades.push(trade);
+      }
+    }
+
+    const closed = trades.filter(trade => trade.status === 'CLOSED');
+
+    return {
+      config: this.config,
+      period: {
+        from: snapshots[0].timestamp,
+        to: snapshots[snapshots.length - 1].timestamp,
+        snapshots: snapshots.length
+      },
+      entries: entries,
+      trades: trades,
+      summary: StrategyBacktester.summarize(closed),
+      byStrategy: StrategyBacktester.groupSummary(closed, trade => trade.strategyId),
+      byRegime: StrategyBacktester.groupSummary(closed, trade => trade.regime || 'UNKNOWN'),
+      openTrades: trades.length - closed.length
+    };
+  }
+
+  /**
+   * Snapshots do período (ordem cronológica)
+   */
+  async loadSnapshots(assetId) {
+    const MarketSnapshot = this.db.getModel('MarketSnapshot');
+    const rows = await MarketSnapshot.findAll({
+      where: {
+        assetId: assetId,
+        timestamp: { [Op.between]: [this.config.from, this.config.to] }
+      },
+      order: [['timestamp', 'ASC']],
+      raw: true
+    });
+
+    return rows.map(row => ({
+      ...row,
+      timestamp: Number(row.timestamp),
+      spotPrice: parseFloat(row.spotPrice)
+    }));
+  }
+
+  /**
+   * Chain de options de um snapshot
+   */
+  async loadChain(snapshotId) {
+    const OptionsHistory = this.db.getModel('OptionsHistory');
+    const rows = await OptionsHistory.findAll({ where: { snapshotId }, raw: true });
+    return rows.map(row => Option.fromHistoryRow(row));
+  }
+
+  /**
+   * Anomalias gravadas junto com o snapshot
+   */
+  async loadAnomalies(snapshotId) {
+    const AnomaliesLog = this.db.getModel('AnomaliesLog');
+    return AnomaliesLog.findAll({
+      where: { snapshotId },
+      attributes: ['anomalyType'],
+      raw: true
+    });
+  }
+
+  /**
+   * Estrutura a termo de 30 dias gravada junto com o snapshot (null se ausente)
+   */
+  async loadTermStructure(snapshotId) {
+    const TermStructureHistory = this.db.getModel('TermStructureHistory');
+    return TermStructureHistory.findOne({
+      where: { snapshotId, kind: 'CONSTANT_MATURITY', tenor: '30d' },
+      attributes: ['atmIv', 'rr25d', 'bf25d', 'structure'],
+      raw: true
+    });
+  }
+
+  /**
+   * Campos do snapshot no formato esperado pelo MarketStateAnalyzer
+   */
+  toMarketData(snapshot, termStructure = null) {
+    const rr25d = termStructure ? parseFloat(termStructure.rr25d) : NaN;
+    const number = (value) => value === null || value === undefined ? null : parseFloat(value);
+
+    return {
+      regime: snapshot.regime,
+      total_gex: parseFloat(snapshot.totalGex) || 0,
+      max_pain_distance: parseFloat(snapshot.maxPainDistancePct) || 0,
+      put_call_oi_ratio: parseFloat(snapshot.putCallOiRatio) || 1.0,
+      rr_25d: Number.isFinite(rr25d) ? rr25d : null,
+      iv_rank: number(snapshot.ivRank),
+      iv_percentile: number(snapshot.ivPercentile),
+      vol_risk_premium: number(snapshot.volRiskPremium)
+    };
+  }
+
+  /**
+   * IV média por strike (calls e puts) a partir da chain
+   */
+  buildVolData(chain) {
+    const byStrike = new Map();
+
+    chain.forEach(option => {
+      if (!(option.markIV > 0)) return;
+      if (!byStrike.has(option.strike)) {
+        byStrike.set(option.strike, { strike: option.strike, calls: [], puts: [] });
+      }
+      const point = byStrike.get(option.strike);
+      (option.side === 'CALL' ? point.calls : point.puts).push(option.markIV);
+    });
+
+    const avg = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+    return Array.from(byStrike.values()).map(point => ({
+      strike: point.strike,
+      callIV: avg(point.calls),
+      putIV: avg(point.puts),
+      avgIV: avg([...point.calls, ...point.puts])
+    }));
+  }
+
+  /**
+   * Abre o trade com os preços de entrada das legs
+   */
+  openTrade(snapshot, strategy, legs, regime) {
+    // Fluxo de caixa na entrada: SELL recebe, BUY paga
+    const entryCashFlow = legs.reduce((sum, leg) =>
+      sum + (leg.action === 'SELL' ? leg.entryPrice : -leg.entryPrice), 0);
+
+    return {
+      strategyId: strategy.id,
+      strategyName: strategy.name,
+      score: strategy.score,
+      regime: regime,
+      entryTime: snapshot.timestamp,
+      entrySpot: snapshot.spotPrice,
+      expiryDate: legs[0].expiryDate,
+      legs: legs,
+      entryCashFlow: entryCashFlow,
+      status: 'OPEN',
+      exitTime: null,
+      exitSpot: null,
+      exitReason: null,
+      pnl: null,
+      pnlPct: null
+    };
+  }
+
+  /**
+   * Procura a saída do trade nos snapshots seguintes
+   */
+  async closeTrade(trade, snapshots) {
+    const { exit } = this.config;
+    const expiryTime = new Date(trade.expiryDate).getTime();
+    const deadline = exit.mode === 'hold'
+      ? Math.min(trade.entryTime + exit.holdHours * MS_PER_HOUR, expiryTime)
+      : expiryTime;
+
+    const window = snapshots.filter(s => s.timestamp > trade.entryTime && s.timestamp <= deadline && s.timestamp < expiryTime);
+    const checkLimits = exit.takeProfitPct !== null || exit.stopLossPct !== null;
+
+    // Marcação a mercado: todos os snapshots (TP/SL) ou só o último (hold)
+    const markSnapshots = checkLimits ? window : (exit.mode === 'hold' ? window.slice(-1) : []);
+    const prices = await this.loadLegPrices(trade, markSnapshots);
+
+    for (const snapshot of markSnapshots) {
+      const legPrices = prices.get(snapshot.id);
+      if (!legPrices) continue;
+
+      const pnl = this.markToMarket(trade, legPrices);
+      const pnlPct = this.getPnLPercent(trade, pnl);
+
+      if (exit.takeProfitPct !== null && pnlPct >= exit.takeProfitPct) {
+        return this.finishTrade(trade, snapshot, pnl, 'TAKE_PROFIT');
+      }
+      if (exit.stopLossPct !== null && pnlPct <= -exit.stopLossPct) {
+        return this.finishTrade(trade, snapshot, pnl, 'STOP_LOSS');
+      }
+      if (exit.mode === 'hold' && snapshot === window[window.length - 1] && deadline < expiryTime) {
+        return this.finishTrade(trade, snapshot, pnl, 'HOLD_EXIT');
+      }
+    }
+
+    // Liquidação no vencimento
+    const settlement = snapshots.find(s => s.timestamp >= expiryTime);
+    if (settlement) {
+      const pnl = this.settle(trade, settlement.spotPrice);
+      return this.finishTrade(trade, settlement, pnl, 'EXPIRY');
+    }
+
+    // Dados terminam antes do vencimento: trade continua aberto
+    trade.exitReason = 'END_OF_DATA';
+    return trade;
+  }
+
+  /**
+   * Preços das legs do trade nos snapshots informados
+   * @returns {Map<number, Map<string, Option>>} - snapshotId -> symbol -> Option
+   */
+  async loadLegPrices(trade, snapshots) {
+    const result = new Map();
+    if (snapshots.length === 0) return result;
+
+    const OptionsHistory = this.db.getModel('OptionsHistory');
+    const rows = await OptionsHistory.findAll({
+      where: {
+        snapshotId: { [Op.in]: snapshots.map(s => s.id) },
+        symbol: { [Op.in]: trade.legs.map(leg => leg.symbol) }
+      },
+      raw: true
+    });
+
+    rows.forEach(row => {
+      if (!result.has(row.snapshotId)) {
+        result.set(row.snapshotId, new Map());
+      }
+      result.get(row.snapshotId).set(row.symbol, Option.fromHistoryRow(row));
+    });
+
+    // Só vale o snapshot que tem preço para todas as legs
+    result.forEach((legPrices, snapshotId) => {
+      if (legPrices.size < new Set(trade.legs.map(leg => leg.symbol)).size) {
+        result.delete(snapshotId);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * P&L fechando todas as legs a mercado
+   */
+  markToMarket(trade, legPrices) {
+    const exitCashFlow = trade.legs.reduce((sum, leg) => {
+      const price = this.legResolver.getExitPrice(leg.action, legPrices.get(leg.symbol));
+      return sum + (leg.action === 'BUY' ? price : -price);
+    }, 0);
+
+    return (trade.entryCashFlow + exitCashFlow) * this.config.quantity;
+  }
+
+  /**
+   * P&L no vencimento (valor intrínseco)
+   */
+  settle(trade, spotPrice) {
+    const exitCashFlow = trade.legs.reduce((sum, leg) => {
+      const intrinsic = leg.type === 'CALL'
+        ? Math.max(0, spotPrice - leg.strike)
+        : Math.max(0, leg.strike - spotPrice);
+      return sum + (leg.action === 'BUY' ? intrinsic : -intrinsic);
+    }, 0);
+
+    return (trade.entryCashFlow + exitCashFlow) * this.config.quantity;
+  }
+
+  /**
+   * P&L em % do prêmio de entrada
+   */
+  getPnLPercent(trade, pnl) {
+    const premium = Math.abs(trade.entryCashFlow) * this.config.quantity;
+    return premium > 0 ? (pnl / premium) * 100 : 0;
+  }
+
+  finishTrade(trade, snapshot, pnl, reason) {
+    trade.status = 'CLOSED';
+    trade.exitTime = snapshot.timestamp;
+    trade.exitSpot = snapshot.spotPrice;
+    trade.exitReason = reason;
+    trade.pnl = pnl;
+    trade.pnlPct = this.getPnLPercent(trade, pnl);
+    return trade;
+  }
+
+  /**
+   * Estatísticas de um conjunto de trades fechados
+   */
+  static summarize(trades) {
+    const ordered = [...trades].sort((a, b) => a.exitTime - b.exitTime);
+    const wins = ordered.filter(trade => trade.pnl > 0).length;
+    const totalPnL = ordered.reduce((sum, trade) => sum + trade.pnl, 0);
+
+    // Drawdown máximo da curva de P&L acumulado
+    let cumulative = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    ordered.forEach(trade => {
+      cumulative += trade.pnl;
+      peak = Math.max(peak, cumulative);
+      maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    });
+
+    return {
+      trades: ordered.length,
+      wins: wins,
+      losses: ordered.length - wins,
+      winRate: ordered.length > 0 ? (wins / ordered.length) * 100 : 0,
+      totalPnL: totalPnL,
+      avgPnL: ordered.length > 0 ? totalPnL / ordered.length : 0,
+      avgPnLPct: ordered.length > 0 ? ordered.reduce((sum, trade) => sum + trade.pnlPct, 0) / ordered.length : 0,
+      best: ordered.length > 0 ? Math.max(...ordered.map(trade => trade.pnl)) : 0,
+      worst: ordered.length > 0 ? Math.min(...ordered.map(trade => trade.pnl)) : 0,
+      maxDrawdown: maxDrawdown
+    };
+  }
+
+  /**
+   * Estatísticas agrupadas (por estratégia, por regime)
+   */
+  static groupSummary(trades, keyFn) {
+    const groups = {};
+    trades.forEach(trade => {
+      const key = keyFn(trade);
+      (groups[key] = groups[key] || []).push(trade);
+    });
+
+    return Object.keys(groups).reduce((acc, key) => {
+      acc[key] = StrategyBacktester.summarize(groups[key]);
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = StrategyBacktester;
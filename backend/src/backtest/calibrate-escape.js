@@ -0,0 +1,116 @@
+/**
+ * Calibração dos thresholds do EscapeTypeDetector
+ *
+ * Uso: npm run calibrate:escape -- [opções]
+ *
+ * Opções:
+ * --underlying BTC        - Underlying (padrão: DEFAULT_UNDERLYING ou BTC)
+ * --from / --to           - Intervalo das detecções (timestamp ms ou data ISO)
+ * --capture <dir>         - Calibra reproduzindo uma captura (CAPTURE_DIR) em vez do banco
+ * --horizon 15m           - Horizonte do rótulo (5m, 15m, 60m)
+ * --method random         - random | grid
+ * --iterations 300        - Candidatos da busca aleatória
+ * --grid-steps 5          - Valores por threshold na grade
+ * --seed 1                - Seed da busca aleatória
+ * --output <arquivo>      - Arquivo carregado pelo detector
+ *                           (padrão: backend/config/escape-thresholds.<UNDERLYING>.json)
+ * --dry-run               - Só o relatório, sem gravar
+ *
+ * Usa as detecções gravadas e rotuladas pelo tracker (tabela
+ * escape_detections) ou, com --capture, as geradas no playback da captura
+ * (não precisa do banco). O arquivo gravado vale a partir do próximo start;
+ * ESCAPE_THRESHOLDS_FILE força um arquivo para todos os underlyings, mas
+ * o detector recusa um arquivo calibrado para outro underlying.
+ */
+
+require('dotenv').config();
+const Database = require('../database/Database');
+const EscapeCalibrator = require('./EscapeCalibrator');
+
+/**
+ * --chave valor / --flag => { chave: valor, flag: true } (chaves em camelCase)
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+const percent = (value) => value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+
+function printReport(result) {
+  console.log('\n' + '='.repeat(80));
+  console.log(`CALIBRAÇÃO ESCAPE - ${result.underlying} (${result.horizon}, ${result.method})`);
+  console.log('='.repeat(80));
+  console.log(`Amostras: ${result.samples.total} (busca ${result.samples.train}, validação ${result.samples.test})`);
+  console.log(`Período: ${new Date(result.samples.from).toISOString()} → ${new Date(result.samples.to).toISOString()}`);
+
+  [['Atual' + (result.current.version ? ` (v${result.current.version})` : ' (defaults)'), result.current], ['Calibrado', result.calibrated]].forEach(([name, set]) => {
+    console.log(`\n${name}: F1 médio ${set.train.score.toFixed(3)} (busca) / ${set.test.score.toFixed(3)} (validação)`);
+    console.log('  Hipótese  Esperado        Detecções  Hit rate  Recall   (validação)');
+    Object.entries(set.test.byHypothesis).forEach(([type, item]) => {
+      console.log(`  ${type.padEnd(9)} ${item.expected.padEnd(15)} ${String(item.detections).padStart(9)}  ${percent(item.precision)}   ${percent(item.recall)}`);
+    });
+    Object.entries(set.test.byRegime).forEach(([regime, item]) => {
+      const rates = Object.entries(item.byHypothesis)
+        .map(([type, hypothesis]) => `${type} ${percent(hypothesis.precision)}`)
+        .join('  ');
+      console.log(`  ${regime.padEnd(18)} ${String(item.samples).padStart(6)} amostras  ${rates}`);
+    });
+  });
+  console.log('='.repeat(80) + '\n');
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  // Captura: amostras geradas no playback, sem banco
+  const database = args.capture ? null : new Database();
+
+  (async () => {
+    if (database) await database.connect();
+
+    const calibrator = new EscapeCalibrator(database, {
+      underlying: args.underlying,
+      from: args.from,
+      to: args.to,
+      horizon: args.horizon,
+      method: args.method,
+      iterations: parseInt(args.iterations) || undefined,
+      gridSteps: parseInt(args.gridSteps) || undefined,
+      seed: args.seed !== undefined ? parseInt(args.seed) : undefined,
+      outputFile: args.output,
+      captureDir: args.capture
+    });
+
+    const result = await calibrator.run();
+    printReport(result);
+
+    if (args.dryRun) {
+      console.log('--dry-run: thresholds não gravados');
+    } else if (!result.improved) {
+      console.log('Calibrado não superou os thresholds atuais na validação: arquivo mantido');
+    } else {
+      const written = calibrator.writeThresholds(result);
+      console.log(`Thresholds v${written.version}: ${written.file} (histórico em ${written.archive})`);
+    }
+
+    if (database) await database.disconnect();
+    process.exit(0);
+  })().catch(async error => {
+    console.error('Erro na calibração:', error.message);
+    if (database) await database.disconnect().catch(() => {});
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, printReport };
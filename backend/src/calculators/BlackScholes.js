@@ -0,0 +1,207 @@
+/**
+ * Black-Scholes - Funções de precificação para options europeias
+ *
+ * Convenções:
+ * - iv em decimal (0.55 = 55%), como o markIV da Binance
+ * - t em anos
+ * - r (taxa livre de risco) padrão 0 para crypto
+ */
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Densidade da normal padrão
+ */
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Distribuição acumulada da normal padrão (Abramowitz & Stegun 26.2.17)
+ */
+function normCdf(x) {
+  const a1 = 0.319381530;
+  const a2 = -0.356563782;
+  const a3 = 1.781477937;
+  const a4 = -1.821255978;
+  const a5 = 1.330274429;
+
+  const k = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = k * (a1 + k * (a2 + k * (a3 + k * (a4 + k * a5))));
+  const cdf = 1 - normPdf(x) * poly;
+
+  return x >= 0 ? cdf : 1 - cdf;
+}
+
+/**
+ * Tempo até o vencimento em anos
+ * @param {Date|number} expiryDate - Data de expiração (Date ou timestamp ms)
+ * @param {number} now - Timestamp de referência (ms)
+ */
+function yearsToExpiry(expiryDate, now = Date.now()) {
+  if (!expiryDate) return 0;
+  const expiry = expiryDate instanceof Date ? expiryDate.getTime() : Number(expiryDate);
+  return Math.max(0, (expiry - now) / MS_PER_YEAR);
+}
+
+function d1(spot, strike, t, iv, r = 0) {
+  return (Math.log(spot / strike) + (r + 0.5 * iv * iv) * t) / (iv * Math.sqrt(t));
+}
+
+function d2(spot, strike, t, iv, r = 0) {
+  return d1(spot, strike, t, iv, r) - iv * Math.sqrt(t);
+}
+
+/**
+ * Verifica se os inputs permitem precificar (t > 0, iv > 0, preços > 0)
+ */
+function isPriceable(spot, strike, t, iv) {
+  return spot > 0 && strike > 0 && t > 0 && iv > 0;
+}
+
+/**
+ * Preço teórico
+ * @param {string} side - 'CALL' ou 'PUT'
+ */
+function price(side, spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) {
+    // Valor intrínseco no vencimento
+    return side === 'CALL' ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+  }
+
+  const D1 = d1(spot, strike, t, iv, r);
+  const D2 = D1 - iv * Math.sqrt(t);
+  const discount = Math.exp(-r * t);
+
+  if (side === 'CALL') {
+    return spot * normCdf(D1) - strike * discount * normCdf(D2);
+  }
+  return strike * discount * normCdf(-D2) - spot * normCdf(-D1);
+}
+
+/**
+ * Gamma (igual para call e put)
+ */
+function gamma(spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) return 0;
+  return normPdf(d1(spot, strike, t, iv, r)) / (spot * iv * Math.sqrt(t));
+}
+
+/**
+ * Delta
+ */
+function delta(side, spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) {
+    if (side === 'CALL') return spot > strike ? 1 : 0;
+    return spot < strike ? -1 : 0;
+  }
+  const nd1 = normCdf(d1(spot, strike, t, iv, r));
+  return side === 'CALL' ? nd1 : nd1 - 1;
+}
+
+/**
+ * Theta por dia corrido (variação do preço em 1 dia)
+ */
+function theta(side, spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) return 0;
+
+  const D1 = d1(spot, strike, t, iv, r);
+  const D2 = D1 - iv * Math.sqrt(t);
+  const discount = Math.exp(-r * t);
+  const decay = -(spot * normPdf(D1) * iv) / (2 * Math.sqrt(t));
+
+  const annual = side === 'CALL'
+    ? decay - r * strike * discount * normCdf(D2)
+    : decay + r * strike * discount * normCdf(-D2);
+
+  return annual / 365;
+}
+
+/**
+ * Vega por 1 ponto de vol (1% de IV)
+ */
+function vega(spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) return 0;
+  return spot * normPdf(d1(spot, strike, t, iv, r)) * Math.sqrt(t) / 100;
+}
+
+/**
+ * Vanna: dDelta/dIV por 1 ponto de vol (igual para call e put)
+ */
+function vanna(spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) return 0;
+  const D1 = d1(spot, strike, t, iv, r);
+  const D2 = D1 - iv * Math.sqrt(t);
+  return (-normPdf(D1) * D2 / iv) / 100;
+}
+
+/**
+ * Charm: variação do delta em 1 dia corrido (delta decay)
+ * Sem dividendos, call e put têm o mesmo charm
+ */
+function charm(spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) return 0;
+  const D1 = d1(spot, strike, t, iv, r);
+  const D2 = D1 - iv * Math.sqrt(t);
+
+  // -dDelta/dT (T = tempo restante), por ano
+  const annual = -normPdf(D1) * (2 * r * t - D2 * iv * Math.sqrt(t)) / (2 * t * iv * Math.sqrt(t));
+
+  return annual / 365;
+}
+
+/**
+ * Vomma (volga): dVega/dIV, vega por 1 ponto de vol por 1 ponto de vol
+ */
+function vomma(spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) return 0;
+  const D1 = d1(spot, strike, t, iv, r);
+  const D2 = D1 - iv * Math.sqrt(t);
+  return vega(spot, strike, t, iv, r) * D1 * D2 / iv / 100;
+}
+
+/**
+ * Speed: dGamma/dSpot
+ */
+function speed(spot, strike, t, iv, r = 0) {
+  if (!isPriceable(spot, strike, t, iv)) return 0;
+  const D1 = d1(spot, strike, t, iv, r);
+  return -gamma(spot, strike, t, iv, r) / spot * (D1 / (iv * Math.sqrt(t)) + 1);
+}
+
+/**
+ * Todas as gregas de uma vez
+ */
+function greeks(side, spot, strike, t, iv, r = 0) {
+  return {
+    price: price(side, spot, strike, t, iv, r),
+    delta: delta(side, spot, strike, t, iv, r),
+    gamma: gamma(spot, strike, t, iv, r),
+    theta: theta(side, spot, strike, t, iv, r),
+    vega: vega(spot, strike, t, iv, r),
+    vanna: vanna(spot, strike, t, iv, r),
+    charm: charm(spot, strike, t, iv, r),
+    vomma: vomma(spot, strike, t, iv, r),
+    speed: speed(spot, strike, t, iv, r)
+  };
+}
+
+module.exports = {
+  MS_PER_YEAR,
+  normPdf,
+  normCdf,
+  yearsToExpiry,
+  d1,
+  d2,
+  isPriceable,
+  price,
+  delta,
+  gamma,
+  theta,
+  vega,
+  vanna,
+  charm,
+  vomma,
+  speed,
+  greeks
+};
@@ -0,0 +1,83 @@
+/**
+ * Dealer Positioning Models
+ *
+ * Modelos de posicionamento dos dealers usados no sinal do GEX.
+ * Cada modelo retorna a posição líquida estimada do dealer em contratos
+ * (positivo = dealer comprado, negativo = dealer vendido).
+ *
+ * GEX = Gamma × Contract_Size × Posição_Dealer × Spot² × 0.01
+ *
+ * MODELOS:
+ * - classic        - Dealers long calls, short puts (convenção SpotGamma)
+ * - customer-long  - Clientes compram tudo: dealers short calls e puts
+ * - flow-inferred  - Posição estimada pelo fluxo agressor (taker buy/sell)
+ */
+
+// Volume mínimo (contratos) para confiar no fluxo de uma option;
+// abaixo disso o flow-inferred usa a convenção clássica
+const MIN_FLOW_VOLUME = 1;
+
+const classicPosition = (option) => {
+  return option.side === 'CALL' ? option.openInterest : -option.openInterest;
+};
+
+const DEALER_MODELS = {
+  'classic': {
+    id: 'classic',
+    name: 'Classic (dealer long calls / short puts)',
+    description: 'Clientes vendem calls (overwriting) e compram puts (hedge); dealers ficam long calls e short puts',
+    getDealerPosition: classicPosition
+  },
+
+  'customer-long': {
+    id: 'customer-long',
+    name: 'All Customer Long',
+    description: 'Clientes compram calls e puts; dealers ficam vendidos em todas as options (gamma negativo)',
+    getDealerPosition: (option) => -option.openInterest
+  },
+
+  'flow-inferred': {
+    id: 'flow-inferred',
+    name: 'Flow Inferred',
+    description: 'Sinal e fração do OI inferidos pelo fluxo agressor: taker buy = cliente compra, dealer vende',
+    getDealerPosition: (option) => {
+      const buy = option.takerBuyVolume || 0;
+      const sell = option.takerSellVolume || 0;
+      const total = buy + sell;
+
+      if (total < MIN_FLOW_VOLUME) {
+        return classicPosition(option);
+      }
+
+      // Fração do OI atribuída ao lado dominante do fluxo dos clientes
+      const customerNet = (buy - sell) / total;
+      return -customerNet * option.openInterest;
+    }
+  }
+};
+
+const DEFAULT_DEALER_MODEL = 'classic';
+
+/**
+ * Verifica se o id é um modelo conhecido
+ */
+function isValidDealerModel(id) {
+  return Object.prototype.hasOwnProperty.call(DEALER_MODELS, id);
+}
+
+/**
+ * Retorna o modelo pelo id (lança erro se desconhecido)
+ */
+function getDealerModel(id = DEFAULT_DEALER_MODEL) {
+  if (!isValidDealerModel(id)) {
+    throw new Error(`Dealer model '${id}' inválido. Use: ${Object.keys(DEALER_MODELS).join(', ')}`);
+  }
+  return DEALER_MODELS[id];
+}
+
+module.exports = {
+  DEALER_MODELS,
+  DEFAULT_DEALER_MODEL,
+  isValidDealerModel,
+  getDealerModel
+};
@@ -0,0 +1,221 @@
+/**
+ * EscapeOutcome - Rotulagem do resultado das detecções do EscapeTypeDetector
+ *
+ * Cada detecção é comparada ao caminho do spot depois dela (barras OHLC de
+ * 1 minuto do RealizedVolatilityTracker) em 5, 15 e 60 minutos.
+ *
+ * DIREÇÃO DE REFERÊNCIA:
+ * - direction da detecção (UP/DOWN)
+ * - NEUTRAL: lado da wall mais próxima (call = UP, put = DOWN)
+ * - Sem nenhuma das duas: movimento absoluto (não há REVERSED)
+ *
+ * RÓTULOS (na ordem de prioridade), por horizonte:
+ * - CASCADED: excursão a favor >= cascade (movimento violento)
+ * - BREAKOUT_HELD: retorno no fim do horizonte >= breakout (rompimento se manteve)
+ * - REVERSED: retorno <= −breakout, ou rompeu (excursão >= breakout) e voltou
+ *   para trás do preço da detecção
+ * - RANGE: nenhum dos anteriores
+ * - NO_DATA: barras não cobrem o horizonte (ex: reinício do processo)
+ *
+ * AMOSTRAGEM (sampleDetection, igual ao vivo e na calibração por captura):
+ * - H1/H2/H3 sempre viram amostra: cada hipótese/direção nova no intervalo,
+ *   e uma hipótese que persiste é reamostrada a cada intervalo
+ * - NONE: uma amostra por intervalo (base do recall), só se nenhuma hipótese
+ *   apareceu nele; a primeira hipótese do intervalo substitui essa amostra
+ *
+ * ACURÁCIA:
+ * - Resultado esperado: H1 → BREAKOUT_HELD, H2 → REVERSED, H3 → CASCADED
+ * - Precision(Hx) = acertos / detecções Hx
+ * - Recall(Hx) = acertos / amostras rotuladas com o resultado esperado de Hx
+ *   (inclui as amostras NONE, que registram o que aconteceu sem detecção)
+ */
+
+const HORIZONS = {
+  '5m': { minutes: 5, breakout: 0.002, cascade: 0.006 },
+  '15m': { minutes: 15, breakout: 0.003, cascade: 0.01 },
+  '60m': { minutes: 60, breakout: 0.005, cascade: 0.015 }
+};
+
+const OUTCOMES = ['BREAKOUT_HELD', 'REVERSED', 'CASCADED', 'RANGE', 'NO_DATA'];
+
+const EXPECTED_OUTCOME = {
+  H1: 'BREAKOUT_HELD',
+  H2: 'REVERSED',
+  H3: 'CASCADED'
+};
+
+const HYPOTHESES = Object.keys(EXPECTED_OUTCOME);
+
+/**
+ * Direção de referência: +1 (alta), −1 (queda) ou 0 (sem direção)
+ * @param {string} direction - UP | DOWN | NEUTRAL
+ * @param {string} wallType - call | put (wall mais próxima)
+ */
+function referenceDirection(direction, wallType = null) {
+  if (direction === 'UP') return 1;
+  if (direction === 'DOWN') return -1;
+  if (wallType === 'call') return 1;
+  if (wallType === 'put') return -1;
+  return 0;
+}
+
+/**
+ * Decide se uma detecção vira amostra (ver AMOSTRAGEM)
+ * @param {Object} state - Estado da série ({} na primeira chamada, atualizado aqui)
+ * @param {Object} detection - { type, direction }
+ * @param {number} timestamp - ms
+ * @param {number} intervalMs - Intervalo da grade de amostragem
+ * @returns {string|null} - 'NEW', 'REPLACE' (substitui a amostra NONE do intervalo) ou null
+ */
+function sampleDetection(state, detection, timestamp, intervalMs) {
+  const bucket = Math.floor(timestamp / intervalMs);
+  if (state.bucket !== bucket) {
+    state.bucket = bucket;
+    state.keys = new Set();
+  }
+
+  if (!HYPOTHESES.includes(detection.type)) {
+    if (state.keys.size > 0) return null;
+    state.keys.add('NONE');
+    return 'NEW';
+  }
+
+  const key = `${detection.type}:${detection.direction || 'NEUTRAL'}`;
+  if (state.keys.has(key)) return null;
+
+  const replace = state.keys.delete('NONE');
+  state.keys.add(key);
+  return replace ? 'REPLACE' : 'NEW';
+}
+
+/**
+ * Máxima, mínima e fechamento do spot entre `from` e `to` (ms)
+ * Retorna null se as barras não cobrem o intervalo inteiro
+ * @param {Array} bars - { openTime, high, low, close }, mais antigas primeiro
+ * @param {number} intervalMs - Intervalo das barras
+ */
+function pathFromBars(bars, from, to, intervalMs) {
+  if (!bars || bars.length === 0) return null;
+
+  const first = bars[0];
+  const last = bars[bars.length - 1];
+  if (first.openTime > from || last.openTime + intervalMs < to) return null;
+
+  const window = bars.filter(bar => bar.openTime + intervalMs > from && bar.openTime < to);
+  if (window.length === 0) return null;
+
+  return {
+    high: window.reduce((max, bar) => Math.max(max, bar.high), -Infinity),
+    low: window.reduce((min, bar) => Math.min(min, bar.low), Infinity),
+    close: window[window.length - 1].close
+  };
+}
+
+/**
+ * Rótulo de um horizonte
+ * @param {number} entryPrice - Spot na detecção
+ * @param {number} direction - referenceDirection
+ * @param {Object} path - pathFromBars (null = NO_DATA)
+ * @param {string} horizon - '5m' | '15m' | '60m'
+ * @returns {Object} - { outcome, return, excursion } (return/excursion na direção de referência)
+ */
+function labelOutcome(entryPrice, direction, path, horizon) {
+  const { breakout, cascade } = HORIZONS[horizon];
+
+  if (!path || !(entryPrice > 0)) {
+    return { outcome: 'NO_DATA', return: null, excursion: null };
+  }
+
+  const rawReturn = path.close / entryPrice - 1;
+  const up = path.high / entryPrice - 1;
+  const down = 1 - path.low / entryPrice;
+
+  if (direction === 0) {
+    const excursion = Math.max(up, down);
+    let outcome = 'RANGE';
+    if (excursion >= cascade) outcome = 'CASCADED';
+    else if (Math.abs(rawReturn) >= breakout) outcome = 'BREAKOUT_HELD';
+    return { outcome, return: rawReturn, excursion };
+  }
+
+  const directional = direction * rawReturn;
+  const excursion = direction > 0 ? up : down;
+
+  let outcome = 'RANGE';
+  if (excursion >= cascade) outcome = 'CASCADED';
+  else if (directional >= breakout) outcome = 'BREAKOUT_HELD';
+  else if (directional <= -breakout || (excursion >= breakout && directional <= 0)) outcome = 'REVERSED';
+
+  return { outcome, return: directional, excursion };
+}
+
+/**
+ * Precision / recall por hipótese
+ * @param {Array} samples - { type, outcome } com outcome rotulado (sem NO_DATA)
+ */
+function scoreHypotheses(samples) {
+  const byHypothesis = {};
+
+  HYPOTHESES.forEach(type => {
+    const expected = EXPECTED_OUTCOME[type];
+    const predicted = samples.filter(sample => sample.type === type);
+    const actual = samples.filter(sample => sample.outcome === expected);
+    const hits = predicted.filter(sample => sample.outcome === expected).length;
+
+    const outcomes = {};
+    OUTCOMES.filter(outcome => outcome !== 'NO_DATA').forEach(outcome => {
+      outcomes[outcome] = predicted.filter(sample => sample.outcome === outcome).length;
+    });
+
+    byHypothesis[type] = {
+      expected: expected,
+      detections: predicted.length,
+      hits: hits,
+      actual: actual.length,
+      precision: predicted.length > 0 ? hits / predicted.length : null,
+      recall: actual.length > 0 ? hits / actual.length : null,
+      outcomes: outcomes
+    };
+  });
+
+  return byHypothesis;
+}
+
+/**
+ * Acurácia de um horizonte, geral e por regime
+ * @param {Array} samples - { type, regime, outcome }
+ */
+function accuracy(samples) {
+  const labeled = samples.filter(sample => sample.outcome && sample.outcome !== 'NO_DATA');
+
+  const regimes = [...new Set(labeled.map(sample => sample.regime || 'UNKNOWN'))].sort();
+  const byRegime = {};
+  regimes.forEach(regime => {
+    const subset = labeled.filter(sample => (sample.regime || 'UNKNOWN') === regime);
+    byRegime[regime] = {
+      samples: subset.length,
+      byHypothesis: scoreHypotheses(subset)
+    };
+  });
+
+  return {
+    samples: samples.length,
+    labeled: labeled.length,
+    noData: samples.length - labeled.length,
+    byHypothesis: scoreHypotheses(labeled),
+    byRegime: byRegime
+  };
+}
+
+module.exports = {
+  HORIZONS,
+  OUTCOMES,
+  EXPECTED_OUTCOME,
+  HYPOTHESES,
+  referenceDirection,
+  sampleDetection,
+  pathFromBars,
+  labelOutcome,
+  scoreHypotheses,
+  accuracy
+};
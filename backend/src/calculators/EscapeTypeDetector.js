@@ -12,7 +12,9 @@
  * SCORING SYSTEM:
  * - Sustained Energy (0-1): From OrderBook (BI, persistence, spread, depth)
  * - Injected Energy (0-1): From Liquidations (volume, cascades)
+ * - Leverage Energy (0-1): From perpetual futures (OI build-up, funding, crowding, basis)
  * - Potential (0-1): From GEX (magnitude, wall strength, proximity)
+ *   Wall strength = dealer hedge counter-flow up to the wall when available
  * - P_escape (0-1): totalEnergy / potential
  * 
  * Author: Gamma Tracker Team
@@ -20,11 +22,100 @@
  */
 
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const IcebergDetector = require('./IcebergDetector');
-const { act } = require('react');
+const MarketDataSource = require('../capture/MarketDataSource');
+
+// Hand-tuned defaults. minScore = fraction of conditions that must be met.
+// A calibrated set (backtest/EscapeCalibrator.js) overrides them at startup
+const DEFAULT_THRESHOLDS = {
+  h1: {
+    biPersistence: 0.7,
+    orderBookEnergy: 0.6,
+    liquidationEnergyMin: 0.4,
+    liquidationEnergyMax: 0.7,
+    depthChange: -0.2,
+    spreadQuality: 0.7,
+    wallDistance: 0.05,
+    P_escape: 0.6,
+    minScore: 0.6
+  },
+  h2: {
+    biPersistence: 0.4,
+    orderBookEnergy: 0.3,
+    orderBookEnergyMax: 0.7,
+    liquidationEnergy: 0.4,
+    wallDistance: 0.03,
+    wallStrength: 0.7,
+    P_escape: 0.4,
+    minScore: 0.6
+  },
+  h3: {
+    liquidationEnergy: 0.7,
+    depthChange: -0.3,
+    spreadQuality: 0.5,
+    spreadPulse: 2.0,
+    P_escape: 0.8,
+    minScore: 0.5   // Lower bar for H3 (dangerous!)
+  }
+};
+
+const THRESHOLDS_DIR = path.join(__dirname, '../../config');
+
+/**
+ * Calibrated thresholds file of an underlying (each market is calibrated separately)
+ */
+function thresholdsFileFor(underlying) {
+  return path.join(THRESHOLDS_DIR, `escape-thresholds.${underlying}.json`);
+}
+
+/**
+ * Defaults overridden by the known numeric keys of `overrides`
+ */
+function mergeThresholds(overrides = {}) {
+  const merged = {};
+  Object.entries(DEFAULT_THRESHOLDS).forEach(([hypothesis, defaults]) => {
+    merged[hypothesis] = { ...defaults };
+    Object.keys(defaults).forEach(key => {
+      const value = overrides[hypothesis]?.[key];
+      if (Number.isFinite(value)) merged[hypothesis][key] = value;
+    });
+  });
+  return merged;
+}
+
+/**
+ * Reads a calibrated thresholds file ({ version, underlying, thresholds, ... })
+ * Returns null when the file does not exist; throws when it was calibrated
+ * for another underlying
+ */
+function loadThresholdsFile(file, underlying) {
+  if (!file || !fs.existsSync(file)) return null;
+
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!content.thresholds) {
+    throw new Error(`Thresholds file ${file} has no 'thresholds'`);
+  }
+  if (underlying && content.underlying && content.underlying !== underlying) {
+    throw new Error(`Thresholds file ${file} was calibrated for ${content.underlying}, not ${underlying}`);
+  }
+  return {
+    version: content.version || null,
+    underlying: content.underlying || null,
+    file: file,
+    thresholds: mergeThresholds(content.thresholds)
+  };
+}
 
 class EscapeTypeDetector extends EventEmitter {
-  constructor(dataCollector) {
+  /**
+   * @param {DataCollector} dataCollector
+   * @param {Object} config - { thresholds } explicit set, or { thresholdsFile }
+   *   (default: ESCAPE_THRESHOLDS_FILE or backend/config/escape-thresholds.<UNDERLYING>.json;
+   *   false = defaults). A file calibrated for another underlying is refused.
+   */
+  constructor(dataCollector, config = {}) {
     super();
     
     this.dataCollector = dataCollector;
@@ -68,34 +159,24 @@ class EscapeTypeDetector extends EventEmitter {
 
 
     
-    // Thresholds (can be tuned based on backtesting)
-    this.thresholds = {
-      h1: {
-        biPersistence: 0.7,
-        orderBookEnergy: 0.6,
-        liquidationEnergyMin: 0.4,
-        liquidationEnergyMax: 0.7,
-        depthChange: -0.2,
-        spreadQuality: 0.7,
-        wallDistance: 0.05,
-        P_escape: 0.6
-      },
-      h2: {
-        biPersistence: 0.4,
-        orderBookEnergy: 0.3,
-        liquidationEnergy: 0.4,
-        wallDistance: 0.03,
-        wallStrength: 0.7,
-        P_escape: 0.4
-      },
-      h3: {
-        liquidationEnergy: 0.7,
-        depthChange: -0.3,
-        spreadQuality: 0.5,
-        spreadPulse: 2.0,
-        P_escape: 0.8
+    // Thresholds (hand-tuned defaults or the calibrated file)
+    this.thresholds = mergeThresholds(config.thresholds);
+    this.thresholdsVersion = null;
+
+    if (!config.thresholds && config.thresholdsFile !== false) {
+      const underlying = dataCollector?.config?.underlying || null;
+      const file = config.thresholdsFile || process.env.ESCAPE_THRESHOLDS_FILE ||
+        (underlying ? thresholdsFileFor(underlying) : null);
+      try {
+        const calibrated = loadThresholdsFile(file, underlying);
+        if (calibrated) {
+          this.thresholds = calibrated.thresholds;
+          this.thresholdsVersion = calibrated.version;
+        }
+      } catch (error) {
+        console.error(`[EscapeTypeDetector] ❌ Invalid thresholds file, using defaults: ${error.message}`);
       }
-    };
+    }
     
     console.log('[EscapeTypeDetector] Initialized');
   }
@@ -122,9 +203,10 @@ class EscapeTypeDetector extends EventEmitter {
       const metrics = this.calculateMetrics(data);
       
       // 4. Evaluate conditions for each hypothesis
-      const h1 = this.checkH1Conditions(metrics, data);
-      const h2 = this.checkH2Conditions(metrics, data);
-      const h3 = this.checkH3Conditions(metrics, data);
+      const features = this.extractFeatures(metrics, data);
+      const h1 = this.checkH1Conditions(features);
+      const h2 = this.checkH2Conditions(features);
+      const h3 = this.checkH3Conditions(features);
 
       
       
@@ -168,6 +250,9 @@ class EscapeTypeDetector extends EventEmitter {
     const recentTrades = this.dataCollector.getRecentTrades ?
       this.dataCollector.getRecentTrades(5 * 60) : null; // Last 5 minutes  
 
+    const futures = this.dataCollector.getFuturesMetrics ?
+      this.dataCollector.getFuturesMetrics() : null;
+
     
     return {
       orderBook,
@@ -175,7 +260,8 @@ class EscapeTypeDetector extends EventEmitter {
       gex,
       currentPrice,
       recentTrades,
-      timestamp: new Date().toISOString()
+      futures,
+      timestamp: new Date(MarketDataSource.now()).toISOString()
     };
   }
   
@@ -199,7 +285,12 @@ class EscapeTypeDetector extends EventEmitter {
     // 1. Calculate energies
     const sustainedEnergy = this.calculateSustainedEnergy(data.orderBook);
     const injectedEnergy = this.calculateInjectedEnergy(data.liquidations);
-    const totalEnergy = (sustainedEnergy + injectedEnergy) / 2;
+    const leverageEnergy = this.calculateLeverageEnergy(data.futures);
+
+    // Leverage is a slower build-up input: only weighs in when futures data is available
+    const totalEnergy = data.futures?.energy
+      ? sustainedEnergy * 0.4 + injectedEnergy * 0.4 + leverageEnergy * 0.2
+      : (sustainedEnergy + injectedEnergy) / 2;
 
     
     // 2. Calculate potential
@@ -239,6 +330,7 @@ class EscapeTypeDetector extends EventEmitter {
     return {
       sustainedEnergy,
       injectedEnergy,
+      leverageEnergy,
       totalEnergy,
       potential,
       P_escape,
@@ -281,6 +373,16 @@ class EscapeTypeDetector extends EventEmitter {
     
     return liquidations.energy.score || 0;
   }
+
+  /**
+   * Calculate leverage energy from perpetual futures
+   * (OI build-up, funding, long/short crowding, basis)
+   */
+  calculateLeverageEnergy(futures) {
+    if (!futures || !futures.energy) return 0;
+
+    return futures.energy.score || 0;
+  }
   
   /**
    * Calculate potential from GEX
@@ -342,7 +444,13 @@ class EscapeTypeDetector extends EventEmitter {
     const putWallGEX = Math.abs(gex.putWall?.gex || 0);
     const callWallGEX = Math.abs(gex.callWall?.gex || 0);
     const strongerWallGEX = Math.max(putWallGEX, callWallGEX);
-    const wallStrength = Math.min(1, strongerWallGEX / 1e9);   
+
+    // Physical measure when available: USD dealers must trade against the move
+    // (dealer hedge simulator) to re-hedge until spot reaches the wall
+    const wallHedge = this.getWallHedgeFlow(gex);
+    const wallStrength = wallHedge
+      ? Math.min(1, wallHedge.opposingUSD / 50e6)   // $50M of counter-flow = 1.0
+      : Math.min(1, strongerWallGEX / 1e9);
   
 
     // Wall proximity component
@@ -364,12 +472,33 @@ class EscapeTypeDetector extends EventEmitter {
     value: Math.max(0, Math.min(1, value)),
     gexMagnitude: gexMagnitude,
     wallStrength: wallStrength,
+    wallStrengthSource: wallHedge ? 'HEDGE_FLOW' : 'GEX',
+    wallHedge: wallHedge,
     wallProximity: wallProximity,
     totalGEX: totalGEXValue
   }; 
     
  }
 
+  /**
+   * Stronger wall by dealer hedge counter-flow (GEXCalculator.calculateWallHedgeFlow)
+   * Walls where hedging follows the move (short gamma) count as zero strength
+   */
+  getWallHedgeFlow(gex) {
+    const flows = [gex.wallHedgeFlow?.putWall, gex.wallHedgeFlow?.callWall]
+      .filter(flow => flow && Number.isFinite(flow.opposingUSD));
+    if (flows.length === 0) return null;
+
+    const stronger = flows.reduce((best, flow) => flow.opposingUSD > best.opposingUSD ? flow : best);
+    return {
+      strike: stronger.strike,
+      hedgeCoins: stronger.hedgeCoins,
+      opposingCoins: stronger.opposingCoins,
+      opposingUSD: Math.max(0, stronger.opposingUSD),
+      action: stronger.action
+    };
+  }
+
  /**
  * Calculate Iceberg component of Potential using IcebergDetector
  */
@@ -491,7 +620,7 @@ class EscapeTypeDetector extends EventEmitter {
     indicators.highIceberg = icebergComponent.score > 0.5;
     
     // 3. Weekend
-    const now = new Date();
+    const now = new Date(MarketDataSource.now());
     const day = now.getUTCDay();
     indicators.isWeekend = [0, 6].includes(day);
     
@@ -647,53 +776,52 @@ class EscapeTypeDetector extends EventEmitter {
   
   /**
    * Check H1 (Good Escape) conditions
+   * @param {Object} features - extractFeatures (live or persisted detection)
    */
-  checkH1Conditions(metrics, data) {
-    const t = this.thresholds.h1;
-    const ob = data.orderBook;
-    const liq = data.liquidations;
+  checkH1Conditions(features, t = this.thresholds.h1) {
+    const f = features;
     
     const checks = {
       biPersistence: {
-        value: ob.biPersistence?.value || 0,
+        value: f.biPersistence || 0,
         threshold: t.biPersistence,
-        met: (ob.biPersistence?.value || 0) > t.biPersistence
+        met: (f.biPersistence || 0) > t.biPersistence
       },
       orderBookEnergy: {
-        value: metrics.sustainedEnergy,
+        value: f.sustainedEnergy,
         threshold: t.orderBookEnergy,
-        met: metrics.sustainedEnergy > t.orderBookEnergy
+        met: f.sustainedEnergy > t.orderBookEnergy
       },
       liquidationEnergy: {
-        value: metrics.injectedEnergy,
+        value: f.injectedEnergy,
         threshold: [t.liquidationEnergyMin, t.liquidationEnergyMax],
-        met: metrics.injectedEnergy >= t.liquidationEnergyMin && 
-             metrics.injectedEnergy <= t.liquidationEnergyMax
+        met: f.injectedEnergy >= t.liquidationEnergyMin && 
+             f.injectedEnergy <= t.liquidationEnergyMax
       },
       cascadeDetected: {
-        value: liq?.cascade?.detected || false,
+        value: f.cascadeDetected || false,
         expected: false,
-        met: !(liq?.cascade?.detected || false)
+        met: !(f.cascadeDetected || false)
       },
       depthChange: {
-        value: ob.depth?.depthChange || 0,
+        value: f.depthChange || 0,
         threshold: t.depthChange,
-        met: (ob.depth?.depthChange || 0) > t.depthChange
+        met: (f.depthChange || 0) > t.depthChange
       },
       spreadQuality: {
-        value: ob.spreadQuality?.score || 0,
+        value: f.spreadQuality || 0,
         threshold: t.spreadQuality,
-        met: (ob.spreadQuality?.score || 0) > t.spreadQuality
+        met: (f.spreadQuality || 0) > t.spreadQuality
       },
       wallDistance: {
-        value: metrics.wallInfo?.distance || 1,
+        value: f.wallDistance || 1,
         threshold: t.wallDistance,
-        met: (metrics.wallInfo?.distance || 1) < t.wallDistance
+        met: (f.wallDistance || 1) < t.wallDistance
       },
       P_escape: {
-        value: metrics.P_escape,
+        value: f.P_escape,
         threshold: t.P_escape,
-        met: metrics.P_escape > t.P_escape
+        met: f.P_escape > t.P_escape
       }
     };
     
@@ -719,54 +847,52 @@ class EscapeTypeDetector extends EventEmitter {
       score,
       confidence,
       checks,
-      met: score > 0.6 // Need 60% of conditions
+      met: score > t.minScore // Need 60% of conditions (default)
     };
   }
   
   /**
    * Check H2 (False Escape) conditions
    */
-  checkH2Conditions(metrics, data) {
-    const t = this.thresholds.h2;
-    const ob = data.orderBook;
-    const liq = data.liquidations;
+  checkH2Conditions(features, t = this.thresholds.h2) {
+    const f = features;
     
     const checks = {
       biPersistence: {
-        value: ob.biPersistence?.value || 0,
+        value: f.biPersistence || 0,
         threshold: t.biPersistence,
-        met: (ob.biPersistence?.value || 0) < t.biPersistence // LOW persistence
+        met: (f.biPersistence || 0) < t.biPersistence // LOW persistence
       },
       orderBookEnergy: {
-        value: metrics.sustainedEnergy,
+        value: f.sustainedEnergy,
         threshold: t.orderBookEnergy,
-        met: metrics.sustainedEnergy > t.orderBookEnergy && 
-             metrics.sustainedEnergy < 0.7 // Medium energy
+        met: f.sustainedEnergy > t.orderBookEnergy && 
+             f.sustainedEnergy < t.orderBookEnergyMax // Medium energy
       },
       liquidationEnergy: {
-        value: metrics.injectedEnergy,
+        value: f.injectedEnergy,
         threshold: t.liquidationEnergy,
-        met: metrics.injectedEnergy < t.liquidationEnergy // LOW liquidations
+        met: f.injectedEnergy < t.liquidationEnergy // LOW liquidations
       },
       cascadeDetected: {
-        value: liq?.cascade?.detected || false,
+        value: f.cascadeDetected || false,
         expected: false,
-        met: !(liq?.cascade?.detected || false)
+        met: !(f.cascadeDetected || false)
       },
       wallDistance: {
-        value: metrics.wallInfo?.distance || 1,
+        value: f.wallDistance || 1,
         threshold: t.wallDistance,
-        met: (metrics.wallInfo?.distance || 1) < t.wallDistance // Very close
+        met: (f.wallDistance || 1) < t.wallDistance // Very close
       },
       wallStrength: {
-        value: metrics.wallInfo?.strength || 0,
+        value: f.wallStrength || 0,
         threshold: t.wallStrength,
-        met: (metrics.wallInfo?.strength || 0) > t.wallStrength // Strong wall
+        met: (f.wallStrength || 0) > t.wallStrength // Strong wall
       },
       P_escape: {
-        value: metrics.P_escape,
+        value: f.P_escape,
         threshold: t.P_escape,
-        met: metrics.P_escape < t.P_escape // LOW probability
+        met: f.P_escape < t.P_escape // LOW probability
       }
     };
     
@@ -789,48 +915,46 @@ class EscapeTypeDetector extends EventEmitter {
       score,
       confidence,
       checks,
-      met: score > 0.6
+      met: score > t.minScore
     };
   }
   
   /**
    * Check H3 (Liquidity Collapse) conditions
    */
-  checkH3Conditions(metrics, data) {
-    const t = this.thresholds.h3;
-    const ob = data.orderBook;
-    const liq = data.liquidations;
+  checkH3Conditions(features, t = this.thresholds.h3) {
+    const f = features;
     
     const checks = {
       liquidationEnergy: {
-        value: metrics.injectedEnergy,
+        value: f.injectedEnergy,
         threshold: t.liquidationEnergy,
-        met: metrics.injectedEnergy > t.liquidationEnergy // VERY HIGH
+        met: f.injectedEnergy > t.liquidationEnergy // VERY HIGH
       },
       cascadeDetected: {
-        value: liq?.cascade?.detected || false,
+        value: f.cascadeDetected || false,
         expected: true,
-        met: liq?.cascade?.detected || false // CASCADE!
+        met: f.cascadeDetected || false // CASCADE!
       },
       depthChange: {
-        value: ob.depth?.depthChange || 0,
+        value: f.depthChange || 0,
         threshold: t.depthChange,
-        met: (ob.depth?.depthChange || 0) < t.depthChange // Draining
+        met: (f.depthChange || 0) < t.depthChange // Draining
       },
       spreadQuality: {
-        value: ob.spreadQuality?.score || 1,
+        value: f.spreadQuality || 1,
         threshold: t.spreadQuality,
-        met: (ob.spreadQuality?.score || 1) < t.spreadQuality // Poor quality
+        met: (f.spreadQuality || 1) < t.spreadQuality // Poor quality
       },
       spreadPulse: {
-        value: ob.spreadQuality?.pulse || 0,
+        value: f.spreadPulse || 0,
         threshold: t.spreadPulse,
-        met: (ob.spreadQuality?.pulse || 0) > t.spreadPulse // High volatility
+        met: (f.spreadPulse || 0) > t.spreadPulse // High volatility
       },
       P_escape: {
-        value: metrics.P_escape,
+        value: f.P_escape,
         threshold: t.P_escape,
-        met: metrics.P_escape > t.P_escape // VERY HIGH probability
+        met: f.P_escape > t.P_escape // VERY HIGH probability
       }
     };
     
@@ -852,7 +976,7 @@ class EscapeTypeDetector extends EventEmitter {
       score,
       confidence,
       checks,
-      met: score > 0.5 // Lower threshold for H3 (dangerous!)
+      met: score > t.minScore // Lower threshold for H3 (dangerous!)
     };
   }
   
@@ -860,21 +984,42 @@ class EscapeTypeDetector extends EventEmitter {
    * Select best matching hypothesis
    */
   selectBestMatch(h1, h2, h3, metrics, data) {
-    // Filter candidates that meet minimum requirements
-    const candidates = [h1, h2, h3].filter(h => h.met);
+    const best = this.pickBestHypothesis(h1, h2, h3);
     
-    if (candidates.length === 0) {
+    if (!best) {
       return this.createNoDetection('No clear pattern', metrics, data);
     }
     
-    // Select highest confidence
-    const best = candidates.reduce((prev, curr) => 
-      curr.confidence > prev.confidence ? curr : prev
-    );
-    
     // Create full detection object
     return this.createDetection(best, metrics, data);
   }
+
+  /**
+   * Highest-confidence hypothesis among those that meet minimum requirements
+   */
+  pickBestHypothesis(h1, h2, h3) {
+    const candidates = [h1, h2, h3].filter(h => h.met);
+    if (candidates.length === 0) return null;
+    
+    return candidates.reduce((prev, curr) => 
+      curr.confidence > prev.confidence ? curr : prev
+    );
+  }
+
+  /**
+   * Hypothesis (H1/H2/H3/NONE) for a set of features with the current thresholds
+   * Same decision as detect(), used offline by the threshold calibration
+   */
+  classify(features) {
+    const best = this.pickBestHypothesis(
+      this.checkH1Conditions(features),
+      this.checkH2Conditions(features),
+      this.checkH3Conditions(features)
+    );
+    return best
+      ? { type: best.type, confidence: best.confidence }
+      : { type: 'NONE', confidence: 0 };
+  }
   
   /**
    * Create detection object
@@ -891,11 +1036,13 @@ class EscapeTypeDetector extends EventEmitter {
       metrics: {
         sustainedEnergy: metrics.sustainedEnergy,
         injectedEnergy: metrics.injectedEnergy,
+        leverageEnergy: metrics.leverageEnergy,
         totalEnergy: metrics.totalEnergy,
         potential: metrics.potential,
         P_escape: metrics.P_escape
       },
       conditions: hypothesis.checks,
+      features: this.extractFeatures(metrics, data),
       wallInfo: metrics.wallInfo,
       rawData: {
         currentPrice: data.currentPrice,
@@ -903,7 +1050,10 @@ class EscapeTypeDetector extends EventEmitter {
         bookImbalance: data.orderBook?.bookImbalance?.value,
         biPersistence: data.orderBook?.biPersistence?.value,
         liquidationVolume5min: data.liquidations?.recent5min?.totalVolume,
-        cascadeDetected: data.liquidations?.cascade?.detected
+        cascadeDetected: data.liquidations?.cascade?.detected,
+        fundingRate: data.futures?.funding?.rate,
+        futuresOIChange1h: data.futures?.openInterest?.change1h,
+        leverageBias: data.futures?.energy?.bias
       }
     };
   }
@@ -916,6 +1066,7 @@ class EscapeTypeDetector extends EventEmitter {
     const metricsObj = metrics ? {
     sustainedEnergy: metrics.sustainedEnergy || 0,
     injectedEnergy: metrics.injectedEnergy || 0,
+    leverageEnergy: metrics.leverageEnergy || 0,
     totalEnergy: metrics.totalEnergy || 0,
     potential: metrics.potential || 0,
     P_escape: metrics.P_escape || 0,
@@ -930,22 +1081,53 @@ class EscapeTypeDetector extends EventEmitter {
     bookImbalance: data.orderBook?.BI || null,
     biPersistence: data.orderBook?.BI_persistence || null,
     liquidationVolume5min: data.liquidations?.recent5min?.totalVolume || null,
-    cascadeDetected: data.liquidations?.cascade?.detected || false
+    cascadeDetected: data.liquidations?.cascade?.detected || false,
+    fundingRate: data.futures?.funding?.rate || null,
+    futuresOIChange1h: data.futures?.openInterest?.change1h || null,
+    leverageBias: data.futures?.energy?.bias || null
     } : {};
 
     return {
       type: 'NONE',
       confidence: 0,
       direction: 'NEUTRAL',
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(MarketDataSource.now()).toISOString(),
       interpretation: `No clear escape pattern detected. ${reason}`,
       metrics: metrics || {},
       conditions: {},
+      features: metrics && data ? this.extractFeatures(metrics, data) : null,
       wallInfo: null,
       rawData: {}
     };
   }
   
+  /**
+   * Raw inputs of the H1/H2/H3 checks (persisted with each detection so
+   * outcomes can be scored against other thresholds offline)
+   */
+  extractFeatures(metrics, data) {
+    const ob = data.orderBook || {};
+    const liq = data.liquidations;
+
+    return {
+      sustainedEnergy: metrics.sustainedEnergy,
+      injectedEnergy: metrics.injectedEnergy,
+      leverageEnergy: metrics.leverageEnergy,
+      totalEnergy: metrics.totalEnergy,
+      potential: metrics.potential?.total ?? null,
+      P_escape: metrics.P_escape,
+      biPersistence: ob.biPersistence?.value ?? null,
+      depthChange: ob.depth?.depthChange ?? null,
+      spreadQuality: ob.spreadQuality?.score ?? null,
+      spreadPulse: ob.spreadQuality?.pulse ?? null,
+      cascadeDetected: liq?.cascade?.detected || false,
+      wallType: metrics.wallInfo?.type ?? null,
+      wallDistance: metrics.wallInfo?.distance ?? null,
+      wallStrength: metrics.wallInfo?.strength ?? null,
+      regime: metrics.potential?.regime || 'UNKNOWN'
+    };
+  }
+
   /**
    * Generate human-readable interpretation
    */
@@ -1011,7 +1193,7 @@ class EscapeTypeDetector extends EventEmitter {
    */
   updateState(detection) {
     this.currentDetection = detection;
-    this.lastUpdate = new Date();
+    this.lastUpdate = new Date(MarketDataSource.now());
     
     // Add to history
     this.detectionHistory.push({
@@ -1053,7 +1235,7 @@ class EscapeTypeDetector extends EventEmitter {
     // H1 detected
     if (detection.type === 'H1' && detection.confidence > 0.7) {
       alerts.push({
-        id: `alert_${Date.now()}_h1`,
+        id: `alert_${MarketDataSource.now()}_h1`,
         type: 'H1_DETECTED',
         severity: 'HIGH',
         timestamp: detection.timestamp,
@@ -1065,7 +1247,7 @@ class EscapeTypeDetector extends EventEmitter {
     // H2 detected
     if (detection.type === 'H2' && detection.confidence > 0.7) {
       alerts.push({
-        id: `alert_${Date.now()}_h2`,
+        id: `alert_${MarketDataSource.now()}_h2`,
         type: 'H2_DETECTED',
         severity: 'MEDIUM',
         timestamp: detection.timestamp,
@@ -1077,7 +1259,7 @@ class EscapeTypeDetector extends EventEmitter {
     // H3 detected (CRITICAL!)
     if (detection.type === 'H3') {
       alerts.push({
-        id: `alert_${Date.now()}_h3`,
+        id: `alert_${MarketDataSource.now()}_h3`,
         type: 'H3_DETECTED',
         severity: 'CRITICAL',
         timestamp: detection.timestamp,
@@ -1089,7 +1271,7 @@ class EscapeTypeDetector extends EventEmitter {
     // High P_escape
     if (detection.metrics.P_escape > 0.8) {
       alerts.push({
-        id: `alert_${Date.now()}_pescape`,
+        id: `alert_${MarketDataSource.now()}_pescape`,
         type: 'HIGH_P_ESCAPE',
         severity: 'MEDIUM',
         timestamp: detection.timestamp,
@@ -1122,7 +1304,7 @@ class EscapeTypeDetector extends EventEmitter {
   getHistory(minutes = 60) {
     if (!minutes) return this.detectionHistory;
     
-    const cutoff = new Date(Date.now() - minutes * 60 * 1000);
+    const cutoff = new Date(MarketDataSource.now() - minutes * 60 * 1000);
     return this.detectionHistory.filter(d => 
       new Date(d.timestamp) >= cutoff
     );
@@ -1145,6 +1327,7 @@ class EscapeTypeDetector extends EventEmitter {
     
     return {
       ...this.stats,
+      thresholdsVersion: this.thresholdsVersion,
       historySize: this.detectionHistory.length,
       averageConfidence: avgConfidence,
       activeAlerts: this.activeAlerts.length
@@ -1173,4 +1356,9 @@ class EscapeTypeDetector extends EventEmitter {
   }
 }
 
+EscapeTypeDetector.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+EscapeTypeDetector.thresholdsFileFor = thresholdsFileFor;
+EscapeTypeDetector.mergeThresholds = mergeThresholds;
+EscapeTypeDetector.loadThresholdsFile = loadThresholdsFile;
+
 module.exports = EscapeTypeDetector;
\ No newline at end of file
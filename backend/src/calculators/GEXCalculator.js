@@ -3,11 +3,15 @@
  */
 
 const Logger = require('../utils/logger');
+const { DEFAULT_DEALER_MODEL, getDealerModel } = require('./DealerPositioning');
+const BlackScholes = require('./BlackScholes');
 
 class GEXCalculator {
-  constructor(spotPrice) {
+  constructor(spotPrice, config = {}) {
     this.logger = new Logger('GEXCalculator');
     this.spotPrice = spotPrice;
+    this.dealerModel = getDealerModel(config.dealerModel || process.env.DEALER_MODEL || DEFAULT_DEALER_MODEL);
+    this.now = config.now || Date.now; // relógio do coletor (replay/playback usam o tempo dos dados)
     this.lastMetrics = null;
   }
 
@@ -18,10 +22,31 @@ class GEXCalculator {
     this.spotPrice = parseFloat(price);
   }
 
+  /**
+   * Define o modelo de posicionamento dos dealers (ver DealerPositioning.js)
+   */
+  setDealerModel(modelId) {
+    this.dealerModel = getDealerModel(modelId);
+  }
+
+  /**
+   * Calculadora com dealer model e spot próprios para uma chamada.
+   * Não altera esta instância (compartilhada pelo pipeline entre requests
+   * concorrentes e snapshots periódicos).
+   */
+  forModel(modelId, spotPrice = this.spotPrice) {
+    const calculator = Object.create(this);
+    calculator.dealerModel = modelId ? getDealerModel(modelId) : this.dealerModel;
+    calculator.spotPrice = parseFloat(spotPrice);
+    calculator.lastMetrics = null;
+    return calculator;
+  }
+
   /**
    * Calcula GEX para uma única option
    * 
-   * Fórmula: GEX = Gamma × Contract_Size × Open_Interest × Spot_Price² × 0.01 × (-1 se Put)
+   * Fórmula: GEX = Gamma × Contract_Size × Posição_Dealer × Spot_Price² × 0.01
+   * Posição_Dealer vem do dealer model (classic: +OI calls, -OI puts)
    * 
    * @param {Option} option - Objeto Option
    * @returns {number} - Valor do GEX em USD
@@ -33,19 +58,296 @@ class GEXCalculator {
 
     const gamma = option.gamma;
     const contractSize = option.contractSize;
-    const openInterest = option.openInterest;
     const spotPrice = this.spotPrice;
     
-    // Multiplicador de sinal: +1 para Calls, -1 para Puts
-    // Assumindo que dealers são long calls e short puts
-    const signMultiplier = option.side === 'CALL' ? 1 : -1;
+    // Posição líquida do dealer em contratos (sinal e tamanho dependem do modelo)
+    const dealerPosition = this.dealerModel.getDealerPosition(option);
     
     // Cálculo do GEX
-    const gex = gamma * contractSize * openInterest * Math.pow(spotPrice, 2) * 0.01 * signMultiplier;
+    const gex = gamma * contractSize * dealerPosition * Math.pow(spotPrice, 2) * 0.01;
     
     return gex;
   }
 
+  /**
+   * Calcula Vanna Exposure (VEX) de uma option
+   * 
+   * Fórmula: VEX = Vanna × Contract_Size × Posição_Dealer × Spot_Price
+   * Vanna por 1 ponto de vol => variação do delta do dealer (USD) para +1% de IV
+   * 
+   * @param {Option} option - Objeto Option (vanna vem do GreeksEngine)
+   * @returns {number} - Valor do VEX em USD por 1% de IV
+   */
+  calculateOptionVannaExposure(option) {
+    if (!option || !option.vanna || option.openInterest === 0) {
+      return 0;
+    }
+    
+    const dealerPosition = this.dealerModel.getDealerPosition(option);
+    return option.vanna * option.contractSize * dealerPosition * this.spotPrice;
+  }
+
+  /**
+   * Calcula Charm Exposure (CEX) de uma option
+   * 
+   * Fórmula: CEX = Charm × Contract_Size × Posição_Dealer × Spot_Price
+   * Charm por dia => variação do delta do dealer (USD) em 1 dia (delta decay)
+   * 
+   * @param {Option} option - Objeto Option (charm vem do GreeksEngine)
+   * @returns {number} - Valor do CEX em USD por dia
+   */
+  calculateOptionCharmExposure(option) {
+    if (!option || !option.charm || option.openInterest === 0) {
+      return 0;
+    }
+    
+    const dealerPosition = this.dealerModel.getDealerPosition(option);
+    return option.charm * option.contractSize * dealerPosition * this.spotPrice;
+  }
+
+  /**
+   * Calcula Delta Exposure (DEX) de uma option
+   * 
+   * Fórmula: DEX = Delta × Contract_Size × Posição_Dealer × Spot_Price
+   * Delta líquido do dealer em USD (positivo = dealer comprado no underlying
+   * via options; o hedge neutro é vender esse valor)
+   * 
+   * @param {Option} option - Objeto Option
+   * @returns {number} - Valor do DEX em USD
+   */
+  calculateOptionDeltaExposure(option) {
+    if (!option || !option.delta || option.openInterest === 0) {
+      return 0;
+    }
+    
+    const dealerPosition = this.dealerModel.getDealerPosition(option);
+    return option.delta * option.contractSize * dealerPosition * this.spotPrice;
+  }
+
+  /**
+   * Agrega uma exposição (delta, vanna, charm) por strike e por expiry
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @param {Function} exposureFn - (option) => exposição em USD
+   * @returns {Object} - { total, byStrike, byExpiry }
+   */
+  calculateExposureProfile(options, exposureFn) {
+    const byStrike = new Map();
+    const byExpiry = new Map();
+    const total = { total: 0, calls: 0, puts: 0 };
+    
+    options.forEach(option => {
+      const exposure = exposureFn(option);
+      const isCall = option.side === 'CALL';
+      const expiry = option.getExpiryKey() || 'UNKNOWN';
+      
+      if (!byStrike.has(option.strike)) {
+        byStrike.set(option.strike, {
+          strike: option.strike,
+          total: 0,
+          calls: 0,
+          puts: 0,
+          callOI: 0,
+          putOI: 0
+        });
+      }
+      
+      if (!byExpiry.has(expiry)) {
+        byExpiry.set(expiry, {
+          expiry: expiry,
+          total: 0,
+          calls: 0,
+          puts: 0,
+          optionsCount: 0
+        });
+      }
+      
+      const strikeData = byStrike.get(option.strike);
+      const expiryData = byExpiry.get(expiry);
+      
+      strikeData.total += exposure;
+      expiryData.total += exposure;
+      expiryData.optionsCount++;
+      total.total += exposure;
+      
+      if (isCall) {
+        strikeData.calls += exposure;
+        strikeData.callOI += option.openInterest;
+        expiryData.calls += exposure;
+        total.calls += exposure;
+      } else {
+        strikeData.puts += exposure;
+        strikeData.putOI += option.openInterest;
+        expiryData.puts += exposure;
+        total.puts += exposure;
+      }
+    });
+    
+    return {
+      total: total,
+      byStrike: Array.from(byStrike.values()).sort((a, b) => a.strike - b.strike),
+      byExpiry: Array.from(byExpiry.values()).sort((a, b) => a.expiry.localeCompare(b.expiry))
+    };
+  }
+
+  /**
+   * Perfil de Vanna Exposure por strike e por expiry
+   * VEX positivo: delta do dealer aumenta com a IV (hedge = vender quando a IV sobe)
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @returns {Object} - { total, byStrike, byExpiry }
+   */
+  calculateVannaProfile(options) {
+    return this.calculateExposureProfile(options, option => this.calculateOptionVannaExposure(option));
+  }
+
+  /**
+   * Perfil de Charm Exposure por strike e por expiry
+   * CEX positivo: delta do dealer aumenta com a passagem do tempo (hedge = vender)
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @returns {Object} - { total, byStrike, byExpiry }
+   */
+  calculateCharmProfile(options) {
+    return this.calculateExposureProfile(options, option => this.calculateOptionCharmExposure(option));
+  }
+
+  /**
+   * Perfil de Delta Exposure (DEX) por strike e por expiry
+   * DEX positivo: dealer comprado em delta (hedge atual = vendido no underlying)
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @returns {Object} - { total, byStrike, byExpiry }
+   */
+  calculateDeltaProfile(options) {
+    return this.calculateExposureProfile(options, option => this.calculateOptionDeltaExposure(option));
+  }
+
+  /**
+   * Filtra options de um vencimento (YYYY-MM-DD); sem expiry retorna todas
+   */
+  filterByExpiry(options, expiry = null) {
+    if (!expiry) return options;
+    return options.filter(option => option.getExpiryKey() === expiry);
+  }
+
+  /**
+   * Agrupa options por vencimento, ordenado do mais próximo ao mais distante
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @returns {Array<Object>} - [{ expiry, expiryDate, options }]
+   */
+  groupByExpiry(options) {
+    const groups = new Map();
+    
+    options.forEach(option => {
+      const expiry = option.getExpiryKey();
+      if (!expiry) return;
+      
+      if (!groups.has(expiry)) {
+        groups.set(expiry, { expiry, expiryDate: new Date(option.expiryDate), options: [] });
+      }
+      groups.get(expiry).options.push(option);
+    });
+    
+    return Array.from(groups.values()).sort((a, b) => a.expiryDate - b.expiryDate);
+  }
+
+  /**
+   * GEX, walls e gamma flip de um conjunto de options
+   * Não altera lastMetrics (usado em recortes por expiry e projeções)
+   */
+  summarizeGEX(options) {
+    return {
+      totalGEX: this.calculateTotalGEX(options),
+      gammaFlip: this.findGammaFlip(options),
+      putWall: this.findPutWall(options),
+      callWall: this.findCallWall(options),
+      maxGEXStrike: this.findMaxGEXStrike(options)
+    };
+  }
+
+  /**
+   * GEX por vencimento
+   * Cada expiry tem o próprio GEX total, walls e gamma flip
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @param {number} now - Relógio dos dados (ms)
+   * @returns {Array<Object>} - Ordenado por vencimento
+   */
+  calculateGEXByExpiry(options, now = this.now()) {
+    const groups = this.groupByExpiry(options);
+    
+    const breakdown = groups.map(group => ({
+      expiry: group.expiry,
+      expiryDate: group.expiryDate,
+      hoursToExpiry: (group.expiryDate.getTime() - now) / (60 * 60 * 1000),
+      optionsCount: group.options.length,
+      totalOI: group.options.reduce((sum, option) => sum + option.openInterest, 0),
+      ...this.summarizeGEX(group.options)
+    }));
+    
+    // Participação de cada expiry no GEX bruto (soma dos valores absolutos)
+    const grossGEX = breakdown.reduce((sum, item) => sum + Math.abs(item.totalGEX.total), 0);
+    breakdown.forEach(item => {
+      item.gexSharePercent = grossGEX > 0 ? (Math.abs(item.totalGEX.total) / grossGEX) * 100 : 0;
+    });
+    
+    return breakdown;
+  }
+
+  /**
+   * Projeção pós-vencimento
+   * Recalcula GEX, walls e gamma flip sem o vencimento mais próximo para
+   * antecipar a mudança de regime após o settlement (sexta 08:00 UTC)
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @param {number} now - Relógio dos dados (ms)
+   * @returns {Object} - { expiring, current, projected, changes }
+   */
+  calculatePostExpiryProjection(options, now = this.now()) {
+    const nearest = this.groupByExpiry(options).find(group => group.expiryDate.getTime() > now);
+    
+    if (!nearest) {
+      return { expiring: null, current: this.summarizeGEX(options), projected: null, changes: null };
+    }
+    
+    const remaining = options.filter(option => option.getExpiryKey() !== nearest.expiry);
+    const current = this.summarizeGEX(options);
+    const projected = this.summarizeGEX(remaining);
+    const expiringGEX = this.calculateTotalGEX(nearest.options);
+    
+    const levelChange = (before, after) => {
+      if (before === null || before === undefined || after === null || after === undefined) return null;
+      return after - before;
+    };
+    
+    return {
+      expiring: {
+        expiry: nearest.expiry,
+        expiryDate: nearest.expiryDate,
+        hoursToExpiry: (nearest.expiryDate.getTime() - now) / (60 * 60 * 1000),
+        optionsCount: nearest.options.length,
+        totalGEX: expiringGEX,
+        gexRemovedPercent: current.totalGEX.total !== 0
+          ? (expiringGEX.total / current.totalGEX.total) * 100
+          : 0
+      },
+      current: current,
+      projected: projected,
+      changes: {
+        totalGEX: projected.totalGEX.total - current.totalGEX.total,
+        netGammaFlips: projected.totalGEX.netGamma !== current.totalGEX.netGamma,
+        gammaFlipShift: levelChange(current.gammaFlip.level, projected.gammaFlip.level),
+        putWallMoved: current.putWall.strike !== projected.putWall.strike,
+        callWallMoved: current.callWall.strike !== projected.callWall.strike,
+        putWallShift: levelChange(current.putWall.strike, projected.putWall.strike),
+        callWallShift: levelChange(current.callWall.strike, projected.callWall.strike)
+      },
+      remainingOptions: remaining.length
+    };
+  }
+
   /**
    * Calcula GEX agregado por strike
    * 
@@ -205,6 +507,210 @@ class GEXCalculator {
     };
   }
 
+  /**
+   * Zero Gamma "verdadeiro" via spot-shock
+   * Reprecifica o gamma de cada option (Black-Scholes com markIV e tempo até
+   * o vencimento) numa grade de spots hipotéticos e soma o GEX em cada ponto.
+   * O zero gamma é o spot interpolado onde o GEX total do dealer cruza zero.
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @param {Object} config - { rangePercent: 0.2 (±20%), steps: 81, now: relógio dos dados (ms) }
+   * @returns {Object} - { level, confidence, crossings, curve, ... }
+   */
+  findZeroGamma(options, config = {}) {
+    const rangePercent = config.rangePercent || 0.2;
+    const steps = Math.max(3, config.steps || 81);
+    const spotPrice = this.spotPrice;
+    const now = config.now || this.now();
+    
+    const priceable = this.getPriceableOptions(options, now);
+    
+    if (priceable.length === 0 || !spotPrice) {
+      return { level: null, confidence: 'NONE', crossings: [], curve: [], method: 'spot-shock' };
+    }
+    
+    // Curva GEX vs spot
+    const minSpot = spotPrice * (1 - rangePercent);
+    const stepSize = (spotPrice * rangePercent * 2) / (steps - 1);
+    const curve = [];
+    
+    for (let i = 0; i < steps; i++) {
+      const spot = minSpot + stepSize * i;
+      let totalGEX = 0;
+      
+      priceable.forEach(item => {
+        const gamma = BlackScholes.gamma(spot, item.strike, item.t, item.iv);
+        totalGEX += gamma * item.exposure * Math.pow(spot, 2) * 0.01;
+      });
+      
+      curve.push({ spot, totalGEX });
+    }
+    
+    // Cruzamentos de zero (interpolação linear entre pontos da grade)
+    const crossings = [];
+    for (let i = 0; i < curve.length - 1; i++) {
+      const current = curve[i];
+      const next = curve[i + 1];
+      
+      if ((current.totalGEX > 0 && next.totalGEX < 0) ||
+          (current.totalGEX < 0 && next.totalGEX > 0)) {
+        const ratio = Math.abs(current.totalGEX) /
+                     (Math.abs(current.totalGEX) + Math.abs(next.totalGEX));
+        crossings.push({
+          level: current.spot + (next.spot - current.spot) * ratio,
+          direction: current.totalGEX < 0 ? 'NEGATIVE_TO_POSITIVE' : 'POSITIVE_TO_NEGATIVE'
+        });
+      }
+    }
+    
+    // Zero gamma = cruzamento mais próximo do spot atual
+    const nearest = crossings.reduce((best, crossing) =>
+      !best || Math.abs(crossing.level - spotPrice) < Math.abs(best.level - spotPrice) ? crossing : best
+    , null);
+    
+    const level = nearest ? nearest.level : null;
+    
+    return {
+      level: level,
+      confidence: nearest ? (crossings.length === 1 ? 'HIGH' : 'MEDIUM') : 'NONE',
+      crossings: crossings,
+      currentSpot: spotPrice,
+      distanceFromSpot: level !== null ? level - spotPrice : null,
+      distancePercent: level !== null ? ((level - spotPrice) / spotPrice) * 100 : null,
+      curve: curve,
+      range: { minSpot, maxSpot: minSpot + stepSize * (steps - 1), rangePercent, steps },
+      optionsUsed: priceable.length,
+      method: 'spot-shock',
+      dealerModel: this.dealerModel.id
+    };
+  }
+
+  /**
+   * Inputs de re-pricing por option (ignora expiradas, sem IV ou sem posição)
+   * exposure = Contract_Size × Posição_Dealer (em unidades do underlying)
+   */
+  getPriceableOptions(options, now = this.now()) {
+    return options
+      .map(option => ({
+        side: option.side,
+        strike: option.strike,
+        iv: option.markIV,
+        t: BlackScholes.yearsToExpiry(option.expiryDate, now),
+        exposure: option.contractSize * this.dealerModel.getDealerPosition(option)
+      }))
+      .filter(item => item.t > 0 && item.iv > 0 && item.exposure !== 0);
+  }
+
+  /**
+   * Delta líquido do dealer (em moedas do underlying) num spot hipotético
+   * Reprecifica o delta de cada option com Black-Scholes
+   */
+  dealerDeltaAt(priceable, spot) {
+    return priceable.reduce((sum, item) =>
+      sum + BlackScholes.delta(item.side, spot, item.strike, item.t, item.iv) * item.exposure
+    , 0);
+  }
+
+  /**
+   * Fluxo de hedge dos dealers para levar o spot atual a `spot`
+   * hedgeCoins = −(Δ_dealer(spot) − Δ_dealer(atual)): positivo = dealers compram
+   * opposingCoins: parte do fluxo contra o movimento (vender na alta, comprar
+   * na queda), negativo quando o hedge acompanha o movimento (short gamma)
+   */
+  hedgeFlowAt(priceable, spot, baseDelta) {
+    const spotPrice = this.spotPrice;
+    const dealerDelta = this.dealerDeltaAt(priceable, spot);
+    const hedgeCoins = -(dealerDelta - baseDelta);
+    const direction = Math.sign(spot - spotPrice);
+    
+    return {
+      spot: spot,
+      movePercent: ((spot - spotPrice) / spotPrice) * 100,
+      dealerDelta: dealerDelta,
+      hedgeCoins: hedgeCoins,
+      hedgeUSD: hedgeCoins * spot,
+      opposingCoins: -direction * hedgeCoins,
+      opposingUSD: -direction * hedgeCoins * spot,
+      action: hedgeCoins > 0 ? 'BUY' : hedgeCoins < 0 ? 'SELL' : 'NONE'
+    };
+  }
+
+  /**
+   * Simulador de hedge dos dealers (tabela fluxo vs spot)
+   * Reprecifica o delta de cada option numa grade de spots hipotéticos e
+   * estima quantas moedas os dealers precisam comprar/vender para voltar a
+   * ficar delta-neutros. Long gamma: vendem na alta e compram na queda
+   * (amortece); short gamma: o contrário (acelera).
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @param {Object} config - { rangePercent: 0.1 (±10%), steps: 41, moves: [-5, 5] (% do spot), now: relógio dos dados (ms) }
+   * @returns {Object} - { dealerDelta, dex, curve, moves, ... }
+   */
+  simulateHedgeFlow(options, config = {}) {
+    const rangePercent = config.rangePercent || 0.1;
+    const steps = Math.max(3, config.steps || 41);
+    const moves = config.moves || [];
+    const spotPrice = this.spotPrice;
+    const now = config.now || this.now();
+    
+    const priceable = this.getPriceableOptions(options, now);
+    const dex = this.calculateDeltaProfile(options);
+    
+    if (priceable.length === 0 || !spotPrice) {
+      return { dealerDelta: null, dex: dex, curve: [], moves: [], method: 'spot-shock' };
+    }
+    
+    // Delta reprecificado no spot atual: base da tabela (consistente com a grade)
+    const baseDelta = this.dealerDeltaAt(priceable, spotPrice);
+    
+    const minSpot = spotPrice * (1 - rangePercent);
+    const stepSize = (spotPrice * rangePercent * 2) / (steps - 1);
+    const curve = [];
+    
+    for (let i = 0; i < steps; i++) {
+      curve.push(this.hedgeFlowAt(priceable, minSpot + stepSize * i, baseDelta));
+    }
+    
+    return {
+      currentSpot: spotPrice,
+      dealerDelta: baseDelta,
+      dealerDeltaUSD: baseDelta * spotPrice,
+      dex: dex,
+      curve: curve,
+      moves: moves.map(move => this.hedgeFlowAt(priceable, spotPrice * (1 + move / 100), baseDelta)),
+      range: { minSpot, maxSpot: minSpot + stepSize * (steps - 1), rangePercent, steps },
+      optionsUsed: priceable.length,
+      method: 'spot-shock',
+      dealerModel: this.dealerModel.id
+    };
+  }
+
+  /**
+   * Fluxo de hedge até cada wall: medida física da força da wall
+   * (moedas que os dealers negociam contra o movimento até o spot chegar nela)
+   * 
+   * @param {Array<Option>} options - Array de options
+   * @param {Object} putWall - findPutWall
+   * @param {Object} callWall - findCallWall
+   * @returns {Object} - { putWall, callWall } com o fluxo de hedgeFlowAt (ou null)
+   */
+  calculateWallHedgeFlow(options, putWall, callWall) {
+    const priceable = this.getPriceableOptions(options);
+    if (priceable.length === 0 || !this.spotPrice) {
+      return { putWall: null, callWall: null };
+    }
+    
+    const baseDelta = this.dealerDeltaAt(priceable, this.spotPrice);
+    const atWall = (wall) => wall && wall.strike
+      ? { strike: wall.strike, ...this.hedgeFlowAt(priceable, wall.strike, baseDelta) }
+      : null;
+    
+    return {
+      putWall: atWall(putWall),
+      callWall: atWall(callWall)
+    };
+  }
+
   /**
    * Identifica Put Wall (maior concentração de Put GEX)
    * 
@@ -246,14 +752,14 @@ class GEXCalculator {
       return { strike: null, gex: 0, oi: 0 };
     }
     
-    // Encontrar strike com maior Call GEX
+    // Encontrar strike com maior Call GEX (em valor absoluto - o sinal depende do dealer model)
     const callWall = profile.reduce((max, current) => {
-      return current.callGEX > max.callGEX ? current : max;
+      return Math.abs(current.callGEX) > Math.abs(max.callGEX) ? current : max;
     }, profile[0]);
     
     return {
       strike: callWall.strike,
-      gex: callWall.gex,
+      gex: callWall.callGEX,
       oi: callWall.callOI,
       gamma: callWall.callGamma,
       distanceFromSpot: callWall.strike - this.spotPrice,
@@ -459,17 +965,25 @@ findMaxGEXStrike(options) {
    * Calcula todas as métricas de uma vez
    * 
    * @param {Array<Option>} options - Array de options
+   * @param {Object} config - { expiry: 'YYYY-MM-DD' } limita a um vencimento (não atualiza lastMetrics)
    * @returns {Object} - Objeto com todas as métricas
    */
-  calculateAllMetrics(options) {
+  calculateAllMetrics(options, config = {}) {
+    const expiry = config.expiry || null;
+    options = this.filterByExpiry(options, expiry);
+    
     const totalGEX = this.calculateTotalGEX(options);
     const gammaProfile = this.calculateGammaProfile(options);
     const gammaFlip = this.findGammaFlip(options);
     const putWall = this.findPutWall(options);
     const callWall = this.findCallWall(options);
     const maxGEXStrike = this.findMaxGEXStrike(options);
+    const totalVanna = this.calculateVannaProfile(options).total;
+    const totalCharm = this.calculateCharmProfile(options).total;
+    const totalDelta = this.calculateDeltaProfile(options).total;
+    const wallHedgeFlow = this.calculateWallHedgeFlow(options, putWall, callWall);
     
-    this.lastMetrics = {
+    const metrics = {
       spotPrice: this.spotPrice,
       totalGEX: totalGEX,
       gammaProfile: gammaProfile,
@@ -477,9 +991,19 @@ findMaxGEXStrike(options) {
       putWall: putWall,
       callWall: callWall,
       maxGEXStrike: maxGEXStrike,
-      timestamp: Date.now()
+      totalVanna: totalVanna,
+      totalCharm: totalCharm,
+      totalDelta: totalDelta,
+      wallHedgeFlow: wallHedgeFlow,
+      dealerModel: this.dealerModel.id,
+      expiry: expiry,
+      timestamp: this.now()
     };
-    return this.lastMetrics;
+    
+    if (!expiry) {
+      this.lastMetrics = metrics;
+    }
+    return metrics;
   }
   /**
    * Get last calculated GEX metrics
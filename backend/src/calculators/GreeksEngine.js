@@ -0,0 +1,159 @@
+/**
+ * GreeksEngine - Cálculo local das gregas (Black-Scholes)
+ *
+ * Calcula gregas a partir de markIV, strike, expiração e spot ao vivo
+ * (SpotPriceCollector), sem depender do polling REST /eapi/v1/mark.
+ *
+ * - 1ª ordem: delta, gamma, theta (por dia), vega (por 1% IV)
+ * - 2ª ordem: vanna (por 1% IV), charm (por dia), vomma, speed
+ * - Cross-check contra as gregas da Binance (flag de divergências)
+ */
+
+const BlackScholes = require('./BlackScholes');
+const Logger = require('../utils/logger');
+
+class GreeksEngine {
+  constructor(config = {}) {
+    this.logger = new Logger('GreeksEngine');
+
+    this.config = {
+      riskFreeRate: config.riskFreeRate || parseFloat(process.env.RISK_FREE_RATE) || 0,
+
+      // Limites para considerar divergência local vs exchange
+      divergence: {
+        delta: 0.05,      // diferença absoluta
+        gamma: 0.20,      // diferença relativa (20%)
+        theta: 0.25,
+        vega: 0.20,
+        ...(config.divergence || {})
+      },
+
+      // Ignorar diferenças relativas em gregas muito pequenas (ruído)
+      minAbsValue: {
+        gamma: 1e-7,
+        theta: 0.5,
+        vega: 0.5,
+        ...(config.minAbsValue || {})
+      }
+    };
+
+    this.lastRun = null;
+  }
+
+  /**
+   * Calcula as gregas de uma option
+   * @returns {Object|null} - null se não for possível precificar
+   */
+  computeGreeks(option, spotPrice, now = Date.now()) {
+    const t = BlackScholes.yearsToExpiry(option.expiryDate, now);
+    const iv = option.markIV;
+
+    if (!BlackScholes.isPriceable(spotPrice, option.strike, t, iv)) {
+      return null;
+    }
+
+    return {
+      ...BlackScholes.greeks(option.side, spotPrice, option.strike, t, iv, this.config.riskFreeRate),
+      iv: iv,
+      timeToExpiry: t,
+      spotPrice: spotPrice,
+      timestamp: now
+    };
+  }
+
+  /**
+   * Recalcula as gregas locais de todas as options
+   * @param {Array<Option>} options
+   * @param {number} spotPrice
+   * @param {boolean} applyToOption - true = gregas locais passam a ser as gregas da option
+   * @param {number} now - Timestamp de referência (ms) para o tempo até o vencimento
+   * @returns {number} - Quantidade de options atualizadas
+   */
+  updateOptions(options, spotPrice, applyToOption = false, now = Date.now()) {
+    let updated = 0;
+
+    options.forEach(option => {
+      const greeks = this.computeGreeks(option, spotPrice, now);
+      if (greeks) {
+        option.updateLocalGreeks(greeks, applyToOption);
+        updated++;
+      }
+    });
+
+    this.lastRun = { timestamp: now, spotPrice, updated, total: options.length };
+    return updated;
+  }
+
+  /**
+   * Compara gregas locais com as da exchange
+   * @param {Array<Option>} options
+   * @param {Object} overrides - Limites que substituem config.divergence
+   * @returns {Object} - { divergences, checked, stats }
+   */
+  crossCheck(options, overrides = {}) {
+    const thresholds = { ...this.config.divergence, ...overrides };
+    const divergences = [];
+    let checked = 0;
+
+    options.forEach(option => {
+      const local = option.localGreeks;
+      const exchange = option.exchangeGreeks;
+      if (!local || !exchange) return;
+
+      checked++;
+      const fields = [];
+
+      // Delta: diferença absoluta
+      const deltaDiff = Math.abs(local.delta - exchange.delta);
+      if (deltaDiff > thresholds.delta) {
+        fields.push({ greek: 'delta', local: local.delta, exchange: exchange.delta, diff: deltaDiff });
+      }
+
+      // Gamma, theta, vega: diferença relativa
+      ['gamma', 'theta', 'vega'].forEach(greek => {
+        const reference = Math.abs(exchange[greek]);
+        if (reference < this.config.minAbsValue[greek]) return;
+
+        const diffPct = Math.abs(local[greek] - exchange[greek]) / reference;
+        if (diffPct > thresholds[greek]) {
+          fields.push({ greek, local: local[greek], exchange: exchange[greek], diffPct: diffPct * 100 });
+        }
+      });
+
+      if (fields.length > 0) {
+        divergences.push({
+          symbol: option.symbol,
+          strike: option.strike,
+          side: option.side,
+          expiryDate: option.expiryDate,
+          markIV: option.markIV,
+          fields: fields,
+          severity: fields.length >= 3 ? 'HIGH' : fields.length === 2 ? 'MEDIUM' : 'LOW'
+        });
+      }
+    });
+
+    return {
+      divergences: divergences,
+      checked: checked,
+      stats: {
+        divergent: divergences.length,
+        divergentPct: checked > 0 ? (divergences.length / checked) * 100 : 0,
+        byGreek: ['delta', 'gamma', 'theta', 'vega'].reduce((acc, greek) => {
+          acc[greek] = divergences.filter(d => d.fields.some(f => f.greek === greek)).length;
+          return acc;
+        }, {})
+      },
+      thresholds: thresholds
+    };
+  }
+
+  getStats() {
+    return {
+      riskFreeRate: this.config.riskFreeRate,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = GreeksEngine;
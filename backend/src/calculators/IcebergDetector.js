@@ -15,6 +15,8 @@
  * @version 1.0.0
  */
 
+const MarketDataSource = require('../capture/MarketDataSource');
+
 class IcebergDetector {
   constructor(config = {}) {
     this.config = {
@@ -127,7 +129,7 @@ class IcebergDetector {
       confidence: confidence,
       signals: signals,
       estimatedHiddenSize: estimatedHiddenSize,
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(MarketDataSource.now()).toISOString(),
       details: this.getDetectionDetails(signals, score)
     };
   }
@@ -198,7 +200,7 @@ class IcebergDetector {
     }
     
     // Calculate executed volume in time window
-    const now = Date.now();
+    const now = MarketDataSource.now();
     const windowStart = now - this.config.volumeWindowMs;
     
     const executedVolume = recentTrades
@@ -434,7 +436,7 @@ class IcebergDetector {
   updateHistory(orderBook, recentTrades) {
     // Update snapshot history
     this.snapshotHistory.push({
-      timestamp: Date.now(),
+      timestamp: MarketDataSource.now(),
       asks: orderBook.asks ? JSON.parse(JSON.stringify(orderBook.asks.slice(0, 20))) : [],
       bids: orderBook.bids ? JSON.parse(JSON.stringify(orderBook.bids.slice(0, 20))) : []
     });
@@ -469,7 +471,7 @@ class IcebergDetector {
     // Update depth history
     if (orderBook.depth !== undefined) {
       this.depthHistory.push({
-        timestamp: Date.now(),
+        timestamp: MarketDataSource.now(),
         value: orderBook.depth
       });
       
@@ -489,7 +491,7 @@ class IcebergDetector {
       this.stats.highConfidenceDetections++;
     }
     
-    this.stats.lastDetectionTime = new Date().toISOString();
+    this.stats.lastDetectionTime = new Date(MarketDataSource.now()).toISOString();
     
     // Update running average
     const alpha = 0.1; // Exponential smoothing factor
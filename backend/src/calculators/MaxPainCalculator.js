@@ -1,14 +1,25 @@
 /**
  * MaxPainCalculator.js
  * 
- * Calcula o "Max Pain" - strike onde o maior número de contratos expiraria OTM (Out of The Money).
- * Este é o ponto onde market makers teriam a menor perda, e o preço tende a gravitar para ele
+ * Calcula o "Max Pain" - preço de liquidação em que o valor intrínseco total pago aos
+ * holders das options (calls + puts) é mínimo. Este é o ponto onde os vendedores das
+ * options (market makers) teriam a menor perda, e o preço tende a gravitar para ele
  * próximo à expiry devido ao hedging de dealers.
  * 
+ * Cálculo (por vencimento):
+ * - Para cada strike candidato S como liquidação:
+ *     callPain(S) = Σ callOI(K) × max(0, S - K)
+ *     putPain(S)  = Σ putOI(K)  × max(0, K - S)
+ * - Max Pain = S com menor callPain + putPain (pain curve completa retornada)
+ * - Padrão: vencimento mais próximo (o OI de vencimentos diferentes não se soma)
+ * 
+ * OI Magnet:
+ * - Strike com maior OI total (calls + puts), reportado separadamente
+ * 
  * Teoria:
  * - Market makers vendem options e hedgam com o underlying
  * - Próximo à expiry, eles ajustam hedges, criando pressão no preço
- * - Preço tende a se mover para o strike com maior OI total (Max Pain)
+ * - Preço tende a se mover para o Max Pain e a ser atraído por strikes de OI alto
  * 
  * Uso:
  * - Identificar níveis de "pinning" pré-expiry
@@ -16,7 +27,11 @@
  * - Complementar análise de GEX
  */
 
-const Logger = require('../utils/Logger');
+const Logger = require('../utils/logger');
+const ProbabilityDistributionCalculator = require('./ProbabilityDistributionCalculator');
+
+// Faixa em torno do Max Pain considerada "pinning" (±1%)
+const PIN_RANGE_PCT = 0.01;
 
 class MaxPainCalculator {
   constructor() {
@@ -24,40 +39,65 @@ class MaxPainCalculator {
   }
 
   /**
-   * Calcula Max Pain para um conjunto de options
+   * Calcula Max Pain de um vencimento
    * 
-   * @param {Array<Option>} options - Array de options
+   * @param {Array<Option>} options - Array de options (todos os vencimentos)
    * @param {number} spotPrice - Spot price (optional, will try to get from options if not provided)
-   * @returns {Object} { maxPainStrike, maxPainOI, strikeOIMap, analysis }
+   * @param {Object} distribution - Distribuição implícita do vencimento (ProbabilityDistributionCalculator, optional)
+   * @param {string} expiry - Vencimento YYYY-MM-DD (padrão: o mais próximo)
+   * @param {number} now - Relógio dos dados em ms (replay/playback usam o tempo do coletor)
+   * @returns {Object} { expiry, maxPainStrike, totalPain, maxPainOI, oiMagnet, painCurve, expiries, strikeOIMap, analysis }
    */
-  calculateMaxPain(options, spotPrice = null) {
+  calculateMaxPain(options, spotPrice = null, distribution = null, expiry = null, now = Date.now()) {
     try {
       if (!options || options.length === 0) {
         this.logger.warn('Nenhuma option fornecida para cálculo de Max Pain');
         return null;
       }
 
+      const byExpiry = this._groupByExpiry(options);
+      const targetExpiry = expiry || this._nearestExpiry(byExpiry, now);
+      const expiryOptions = byExpiry.get(targetExpiry);
+
+      if (!expiryOptions) {
+        this.logger.warn(`Nenhuma option no vencimento ${targetExpiry} para cálculo de Max Pain`);
+        return null;
+      }
+
       // Agrupar OI por strike
-      const strikeOIMap = this._groupOIByStrike(options);
+      const strikeOIMap = this._groupOIByStrike(expiryOptions);
 
-      // Encontrar strike com maior OI total
-      const maxPainData = this._findMaxPainStrike(strikeOIMap);
+      // Pain curve: payout total em cada liquidação candidata
+      const painCurve = this._buildPainCurve(strikeOIMap);
+      const maxPainData = this._findMaxPainStrike(painCurve);
 
       if (!maxPainData) {
         this.logger.warn('Não foi possível calcular Max Pain');
         return null;
       }
 
+      const strikeOI = strikeOIMap[maxPainData.strike];
+      const oiMagnet = this._findOIMagnet(strikeOIMap, spotPrice);
+
       // Análise adicional
-      const analysis = this._analyzeMaxPain(maxPainData, options, spotPrice);
+      // Distribuição de outro vencimento não vale para este Max Pain
+      const expiryDistribution = distribution && distribution.expiry === targetExpiry ? distribution : null;
+      const analysis = this._analyzeMaxPain(maxPainData, expiryOptions, spotPrice, expiryDistribution);
 
-      this.logger.debug(`Max Pain calculado: Strike ${maxPainData.strike} com ${maxPainData.totalOI.toFixed(0)} OI`);
+      this.logger.debug(`Max Pain ${targetExpiry}: ${maxPainData.strike} (payout $${maxPainData.totalPain.toFixed(0)}), OI magnet ${oiMagnet ? oiMagnet.strike : '-'}`);
 
       return {
+        expiry: targetExpiry,
         maxPainStrike: maxPainData.strike,
-        maxPainOI: maxPainData.totalOI,
-        maxPainCallOI: maxPainData.callOI,
-        maxPainPutOI: maxPainData.putOI,
+        totalPain: maxPainData.totalPain,
+        callPain: maxPainData.callPain,
+        putPain: maxPainData.putPain,
+        maxPainOI: strikeOI.totalOI,
+        maxPainCallOI: strikeOI.callOI,
+        maxPainPutOI: strikeOI.putOI,
+        oiMagnet: oiMagnet,
+        painCurve: painCurve,
+        expiries: this._summarizeExpiries(byExpiry),
         strikeOIMap: strikeOIMap,
         analysis: analysis
       };
@@ -68,11 +108,72 @@ class MaxPainCalculator {
     }
   }
 
+  /**
+   * Agrupa options por vencimento (YYYY-MM-DD)
+   * 
+   * @param {Array<Option>} options
+   * @returns {Map<string, Array<Option>>}
+   * @private
+   */
+  _groupByExpiry(options) {
+    const byExpiry = new Map();
+
+    options.forEach(opt => {
+      if (!opt.expiryDate) return;
+      const key = new Date(opt.expiryDate).toISOString().split('T')[0];
+
+      if (!byExpiry.has(key)) {
+        byExpiry.set(key, []);
+      }
+      byExpiry.get(key).push(opt);
+    });
+
+    return byExpiry;
+  }
+
+  /**
+   * Vencimento mais próximo ainda não expirado
+   * 
+   * @param {Map<string, Array<Option>>} byExpiry
+   * @param {number} now - Relógio dos dados (ms)
+   * @returns {string|null}
+   * @private
+   */
+  _nearestExpiry(byExpiry, now) {
+    const active = Array.from(byExpiry.entries())
+      .filter(([, group]) => new Date(group[0].expiryDate).getTime() > now)
+      .map(([key]) => key)
+      .sort();
+
+    return active[0] || null;
+  }
+
+  /**
+   * Max Pain e OI de cada vencimento
+   * 
+   * @param {Map<string, Array<Option>>} byExpiry
+   * @returns {Array<Object>} { expiry, maxPainStrike, totalPain, totalOI }
+   * @private
+   */
+  _summarizeExpiries(byExpiry) {
+    return Array.from(byExpiry.keys()).sort().map(key => {
+      const strikeOIMap = this._groupOIByStrike(byExpiry.get(key));
+      const maxPainData = this._findMaxPainStrike(this._buildPainCurve(strikeOIMap));
+
+      return {
+        expiry: key,
+        maxPainStrike: maxPainData ? maxPainData.strike : null,
+        totalPain: maxPainData ? maxPainData.totalPain : null,
+        totalOI: Object.values(strikeOIMap).reduce((sum, s) => sum + s.totalOI, 0)
+      };
+    });
+  }
+
   /**
    * Agrupa Open Interest por strike
    * 
    * @param {Array<Option>} options
-   * @returns {Object} { strike: { callOI, putOI, totalOI } }
+   * @returns {Object} { strike: { callOI, putOI, totalOI, callUnits, putUnits } }
    * @private
    */
   _groupOIByStrike(options) {
@@ -81,20 +182,25 @@ class MaxPainCalculator {
     options.forEach(opt => {
       const strike = opt.strike;
       const oi = opt.openInterest || 0;
+      const units = oi * (opt.contractSize || 1);
 
       if (!strikeOIMap[strike]) {
         strikeOIMap[strike] = {
           strike: strike,
           callOI: 0,
           putOI: 0,
-          totalOI: 0
+          totalOI: 0,
+          callUnits: 0,  // OI × contractSize (unidades do underlying)
+          putUnits: 0
         };
       }
 
       if (opt.side === 'CALL') {
         strikeOIMap[strike].callOI += oi;
+        strikeOIMap[strike].callUnits += units;
       } else if (opt.side === 'PUT') {
         strikeOIMap[strike].putOI += oi;
+        strikeOIMap[strike].putUnits += units;
       }
 
       strikeOIMap[strike].totalOI += oi;
@@ -104,13 +210,64 @@ class MaxPainCalculator {
   }
 
   /**
-   * Encontra o strike com maior OI total (Max Pain)
+   * Payout intrínseco total (USD) em cada strike como preço de liquidação
+   * 
+   * @param {Object} strikeOIMap
+   * @returns {Array<Object>} { settlement, callPain, putPain, totalPain } ordenado por strike
+   * @private
+   */
+  _buildPainCurve(strikeOIMap) {
+    const strikes = Object.values(strikeOIMap).sort((a, b) => a.strike - b.strike);
+
+    return strikes.map(({ strike: settlement }) => {
+      let callPain = 0;
+      let putPain = 0;
+
+      strikes.forEach(s => {
+        if (settlement > s.strike) callPain += s.callUnits * (settlement - s.strike);
+        if (settlement < s.strike) putPain += s.putUnits * (s.strike - settlement);
+      });
+
+      return {
+        settlement: settlement,
+        callPain: callPain,
+        putPain: putPain,
+        totalPain: callPain + putPain
+      };
+    });
+  }
+
+  /**
+   * Encontra a liquidação com menor payout total (Max Pain)
+   * 
+   * @param {Array<Object>} painCurve
+   * @returns {Object} { strike, totalPain, callPain, putPain }
+   * @private
+   */
+  _findMaxPainStrike(painCurve) {
+    if (painCurve.length === 0) {
+      return null;
+    }
+
+    const min = painCurve.reduce((best, point) => point.totalPain < best.totalPain ? point : best);
+
+    return {
+      strike: min.settlement,
+      totalPain: min.totalPain,
+      callPain: min.callPain,
+      putPain: min.putPain
+    };
+  }
+
+  /**
+   * Strike com maior OI total (OI magnet)
    * 
    * @param {Object} strikeOIMap
-   * @returns {Object} { strike, totalOI, callOI, putOI }
+   * @param {number} spotPrice - Spot price (optional)
+   * @returns {Object|null} { strike, totalOI, callOI, putOI, distancePct }
    * @private
    */
-  _findMaxPainStrike(strikeOIMap) {
+  _findOIMagnet(strikeOIMap, spotPrice = null) {
     const strikes = Object.values(strikeOIMap);
 
     if (strikes.length === 0) {
@@ -119,8 +276,15 @@ class MaxPainCalculator {
 
     // Ordenar por OI total (decrescente)
     strikes.sort((a, b) => b.totalOI - a.totalOI);
+    const magnet = strikes[0];
 
-    return strikes[0];
+    return {
+      strike: magnet.strike,
+      totalOI: magnet.totalOI,
+      callOI: magnet.callOI,
+      putOI: magnet.putOI,
+      distancePct: spotPrice ? ((magnet.strike - spotPrice) / spotPrice) * 100 : null
+    };
   }
 
   /**
@@ -129,10 +293,11 @@ class MaxPainCalculator {
    * @param {Object} maxPainData
    * @param {Array<Option>} options
    * @param {number} spotPrice - Spot price (optional)
+   * @param {Object} distribution - Distribuição implícita (optional)
    * @returns {Object}
    * @private
    */
-  _analyzeMaxPain(maxPainData, options, spotPrice = null) {
+  _analyzeMaxPain(maxPainData, options, spotPrice = null, distribution = null) {
     // Use provided spotPrice or try to get from options
     if (!spotPrice) {
       spotPrice = options[0]?.underlyingPrice || options[0]?.spotPrice;
@@ -163,12 +328,45 @@ class MaxPainCalculator {
       interpretation = `Max Pain ${Math.abs(distancePct).toFixed(2)}% abaixo - pressão de baixa esperada`;
     }
 
+    const probability = this._maxPainProbability(maxPainData.strike, distribution);
+    if (probability) {
+      interpretation += ` (${(probability.pinning * 100).toFixed(0)}% de chance implícita de expirar a ±${PIN_RANGE_PCT * 100}% do Max Pain)`;
+    }
+
     return {
       spotPrice: spotPrice,
       distance: distance,
       distancePct: distancePct,
       direction: direction,
-      interpretation: interpretation
+      interpretation: interpretation,
+      probability: probability
+    };
+  }
+
+  /**
+   * Probabilidades implícitas em torno do Max Pain
+   *
+   * @param {number} strike - Max Pain strike
+   * @param {Object} distribution - Distribuição implícita do vencimento
+   * @returns {Object|null} { expiry, finishAbove, finishBelow, pinning, pinLow, pinHigh }
+   * @private
+   */
+  _maxPainProbability(strike, distribution) {
+    if (!distribution || !distribution.points || distribution.points.length === 0) {
+      return null;
+    }
+
+    const below = ProbabilityDistributionCalculator.cdfAt(distribution.points, strike);
+    const pinLow = strike * (1 - PIN_RANGE_PCT);
+    const pinHigh = strike * (1 + PIN_RANGE_PCT);
+
+    return {
+      expiry: distribution.expiry,
+      finishAbove: 1 - below,
+      finishBelow: below,
+      pinning: ProbabilityDistributionCalculator.probabilityBetween(distribution.points, pinLow, pinHigh),
+      pinLow: pinLow,
+      pinHigh: pinHigh
     };
   }
 
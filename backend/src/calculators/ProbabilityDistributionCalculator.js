@@ -0,0 +1,345 @@
+/**
+ * ProbabilityDistributionCalculator - Distribuição risk-neutral implícita por vencimento
+ *
+ * Deriva a distribuição de preço no vencimento precificada pelo mercado a
+ * partir das calls ao longo dos strikes (Breeden-Litzenberger):
+ *
+ *   pdf(K) = e^{rT} · ∂²C/∂K²        cdf(K) = 1 + e^{rT} · ∂C/∂K
+ *
+ * SUAVIZAÇÃO (via superfície de vol):
+ * - Os preços de tela são ruidosos demais para a 2ª derivada; em vez deles,
+ *   monta-se o smile do vencimento (markIV × log-moneyness, lado OTM de cada
+ *   strike), ajusta-se um SVI (SVI.js) e as calls são reprecificadas em uma
+ *   grade fina de strikes com Black-Scholes
+ * - Sem ajuste SVI: média móvel entre vizinhos, interpolação linear e IV
+ *   constante fora dos strikes listados (extrapolação flat)
+ * - Densidade negativa (pequenas arbitragens do smile) é zerada e a
+ *   distribuição renormalizada; `coverage` informa a massa capturada
+ *
+ * SAÍDA (por vencimento):
+ * - points: PDF/CDF amostradas na grade
+ * - mean, median, mode, stdDev
+ * - expectedMove: bandas de 1σ (68,27%) e 2σ (95,45%) pelos quantis da
+ *   distribuição e o movimento de 1σ do IV ATM
+ * - levels: probabilidade de terminar acima/abaixo de cada nível informado
+ *   (walls, gamma flip, max pain...)
+ */
+
+const BlackScholes = require('./BlackScholes');
+const SVI = require('./SVI');
+const Logger = require('../utils/logger');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Probabilidades das bandas de 1σ e 2σ da normal
+const ONE_SIGMA = 0.6827;
+const TWO_SIGMA = 0.9545;
+
+class ProbabilityDistributionCalculator {
+  constructor(config = {}) {
+    this.logger = new Logger('ProbabilityDistribution');
+
+    this.config = {
+      gridPoints: config.gridPoints || 200,             // strikes da grade de reprecificação
+      rangeStdDevs: config.rangeStdDevs || 5,           // grade cobre ±5σ (IV ATM) em log-preço
+      outputPoints: config.outputPoints || 100,         // pontos retornados por vencimento
+      minStrikes: config.minStrikes || 4,               // strikes com IV para montar o smile
+      smoothingWindow: config.smoothingWindow || 3,     // média móvel do smile (strikes)
+      minTimeToExpiry: config.minTimeToExpiry || 60 * 60 * 1000, // < 1h: distribuição degenerada
+      riskFreeRate: config.riskFreeRate || parseFloat(process.env.RISK_FREE_RATE) || 0
+    };
+  }
+
+  /**
+   * Distribuições implícitas de todos os vencimentos (ou de um)
+   * @param {Array<Option>} options
+   * @param {number} spotPrice
+   * @param {Object} params - { expiry: 'YYYY-MM-DD', levels: [{ name, price }], now }
+   * @returns {Object} { spotPrice, timestamp, distributions }
+   */
+  calculate(options, spotPrice, { expiry = null, levels = [], now = Date.now() } = {}) {
+    const byExpiry = new Map();
+
+    (options || []).forEach(option => {
+      const key = option.getExpiryKey ? option.getExpiryKey() : null;
+      if (!key || (expiry && key !== expiry)) return;
+
+      if (!byExpiry.has(key)) {
+        byExpiry.set(key, []);
+      }
+      byExpiry.get(key).push(option);
+    });
+
+    const distributions = [];
+    Array.from(byExpiry.keys()).sort().forEach(key => {
+      try {
+        const distribution = this.calculateExpiry(byExpiry.get(key), spotPrice, levels, now);
+        if (distribution) distributions.push(distribution);
+      } catch (error) {
+        this.logger.error(`Erro ao calcular distribuição implícita de ${key}:`, error);
+      }
+    });
+
+    return {
+      spotPrice: spotPrice,
+      timestamp: now,
+      distributions: distributions
+    };
+  }
+
+  /**
+   * Distribuição implícita de um vencimento
+   * @param {Array<Option>} options - Options do mesmo vencimento
+   * @returns {Object|null} - null se o vencimento não tem smile suficiente
+   */
+  calculateExpiry(options, spotPrice, levels = [], now = Date.now()) {
+    if (!(spotPrice > 0) || options.length === 0) return null;
+
+    const expiryDate = new Date(options[0].expiryDate);
+    if (expiryDate.getTime() - now < this.config.minTimeToExpiry) return null;
+
+    const t = BlackScholes.yearsToExpiry(expiryDate, now);
+    const r = this.config.riskFreeRate;
+    const forward = spotPrice * Math.exp(r * t);
+
+    const raw = this.buildSmile(options, forward);
+    if (raw.length < this.config.minStrikes) return null;
+
+    // SVI do vencimento; sem ajuste, smile suavizado por média móvel
+    const fit = SVI.fitSlice(raw, t);
+    const smile = this.smoothSmile(raw);
+    const ivAt = (k) => fit ? SVI.impliedVol(fit.params, k, t) : this.interpolateIV(smile, k);
+
+    const atmIV = ivAt(0);
+    const sigma = atmIV * Math.sqrt(t);
+
+    // Grade de strikes (linear em preço, ±N σ em log-preço)
+    const low = forward * Math.exp(-this.config.rangeStdDevs * sigma);
+    const high = forward * Math.exp(this.config.rangeStdDevs * sigma);
+    const n = this.config.gridPoints;
+    const step = (high - low) / (n - 1);
+
+    const strikes = [];
+    const calls = [];
+    for (let i = 0; i < n; i++) {
+      const strike = low + i * step;
+      const iv = ivAt(Math.log(strike / forward));
+      strikes.push(strike);
+      calls.push(BlackScholes.price('CALL', spotPrice, strike, t, iv, r));
+    }
+
+    // Breeden-Litzenberger: 2ª diferença central das calls
+    const discount = Math.exp(r * t);
+    const pdf = new Array(n).fill(0);
+    for (let i = 1; i < n - 1; i++) {
+      pdf[i] = Math.max(0, discount * (calls[i + 1] - 2 * calls[i] + calls[i - 1]) / (step * step));
+    }
+
+    const coverage = pdf.reduce((sum, value) => sum + value * step, 0);
+    if (!(coverage > 0)) return null;
+
+    // Renormalizar e acumular (trapézio)
+    let cumulative = 0;
+    const points = strikes.map((price, i) => {
+      const density = pdf[i] / coverage;
+      if (i > 0) cumulative += (pdf[i - 1] / coverage + density) / 2 * step;
+      return { price, pdf: density, cdf: Math.min(1, cumulative) };
+    });
+
+    // Momentos e moda
+    let mean = 0;
+    let mode = points[0];
+    points.forEach(point => {
+      mean += point.price * point.pdf * step;
+      if (point.pdf > mode.pdf) mode = point;
+    });
+
+    let variance = 0;
+    points.forEach(point => {
+      variance += Math.pow(point.price - mean, 2) * point.pdf * step;
+    });
+
+    const band = (probability) => {
+      const tail = (1 - probability) / 2;
+      const bandLow = ProbabilityDistributionCalculator.quantile(points, tail);
+      const bandHigh = ProbabilityDistributionCalculator.quantile(points, 1 - tail);
+      return {
+        probability: probability,
+        low: bandLow,
+        high: bandHigh,
+        lowPct: ((bandLow / spotPrice) - 1) * 100,
+        highPct: ((bandHigh / spotPrice) - 1) * 100
+      };
+    };
+
+    const key = expiryDate.toISOString().split('T')[0];
+
+    return {
+      expiry: key,
+      expiryDate: expiryDate.getTime(),
+      dte: (expiryDate.getTime() - now) / MS_PER_DAY,
+      timeToExpiry: t,
+      forward: forward,
+      atmIV: atmIV,
+      strikesUsed: raw.length,
+      smoothing: fit ? 'SVI' : 'MOVING_AVERAGE',
+      sviRmse: fit ? fit.rmse : null,
+      coverage: coverage,
+      mean: mean,
+      median: ProbabilityDistributionCalculator.quantile(points, 0.5),
+      mode: mode.price,
+      stdDev: Math.sqrt(variance),
+      expectedMove: {
+        oneSigma: band(ONE_SIGMA),
+        twoSigma: band(TWO_SIGMA),
+        atmMove: spotPrice * sigma,
+        atmMovePct: sigma * 100
+      },
+      levels: this.evaluateLevels(points, spotPrice, levels),
+      points: this.downsample(points)
+    };
+  }
+
+  /**
+   * Smile do vencimento: IV do lado OTM de cada strike (calls acima do
+   * forward, puts abaixo)
+   * @returns {Array<{ strike, k, iv }>} ordenado por strike
+   */
+  buildSmile(options, forward) {
+    const byStrike = new Map();
+
+    options.forEach(option => {
+      if (!(option.markIV > 0) || !(option.strike > 0)) return;
+
+      if (!byStrike.has(option.strike)) {
+        byStrike.set(option.strike, {});
+      }
+      byStrike.get(option.strike)[option.side] = option.markIV;
+    });
+
+    return Array.from(byStrike.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([strike, sides]) => {
+        const otm = strike >= forward ? sides.CALL : sides.PUT;
+        const itm = strike >= forward ? sides.PUT : sides.CALL;
+        return { strike, k: Math.log(strike / forward), iv: otm || itm };
+      });
+  }
+
+  /**
+   * Média móvel do IV entre strikes vizinhos
+   */
+  smoothSmile(raw) {
+    const half = Math.floor(this.config.smoothingWindow / 2);
+    return raw.map((point, i) => {
+      const neighbours = raw.slice(Math.max(0, i - half), i + half + 1);
+      return {
+        ...point,
+        iv: neighbours.reduce((sum, item) => sum + item.iv, 0) / neighbours.length
+      };
+    });
+  }
+
+  /**
+   * IV no log-moneyness k (linear entre strikes, flat fora do smile)
+   */
+  interpolateIV(smile, k) {
+    if (k <= smile[0].k) return smile[0].iv;
+    if (k >= smile[smile.length - 1].k) return smile[smile.length - 1].iv;
+
+    for (let i = 1; i < smile.length; i++) {
+      if (k <= smile[i].k) {
+        const left = smile[i - 1];
+        const right = smile[i];
+        const weight = (k - left.k) / (right.k - left.k);
+        return left.iv + weight * (right.iv - left.iv);
+      }
+    }
+    return smile[smile.length - 1].iv;
+  }
+
+  /**
+   * Probabilidade de terminar acima/abaixo de cada nível
+   * @param {Array<{ name, price }>} levels
+   */
+  evaluateLevels(points, spotPrice, levels = []) {
+    return levels
+      .filter(level => level && level.price > 0)
+      .map(level => {
+        const below = ProbabilityDistributionCalculator.cdfAt(points, level.price);
+        return {
+          name: level.name,
+          price: level.price,
+          distancePct: ((level.price / spotPrice) - 1) * 100,
+          probAbove: 1 - below,
+          probBelow: below
+        };
+      });
+  }
+
+  /**
+   * Reduz a grade para os pontos retornados pela API
+   */
+  downsample(points) {
+    const every = Math.max(1, Math.ceil(points.length / this.config.outputPoints));
+    return points.filter((point, i) => i % every === 0 || i === points.length - 1);
+  }
+
+  /**
+   * Vencimento mais próximo de um resultado de calculate()
+   */
+  static nearest(result) {
+    return result && result.distributions.length > 0 ? result.distributions[0] : null;
+  }
+
+  /**
+   * P(S_T <= price) por interpolação linear da CDF
+   * @param {Array<{ price, cdf }>} points
+   */
+  static cdfAt(points, price) {
+    if (!points || points.length === 0) return null;
+    if (price <= points[0].price) return 0;
+    if (price >= points[points.length - 1].price) return 1;
+
+    for (let i = 1; i < points.length; i++) {
+      if (price <= points[i].price) {
+        const left = points[i - 1];
+        const right = points[i];
+        const weight = (price - left.price) / (right.price - left.price);
+        return left.cdf + weight * (right.cdf - left.cdf);
+      }
+    }
+    return 1;
+  }
+
+  /**
+   * P(low < S_T <= high)
+   */
+  static probabilityBetween(points, low, high) {
+    const cdfLow = ProbabilityDistributionCalculator.cdfAt(points, low);
+    const cdfHigh = ProbabilityDistributionCalculator.cdfAt(points, high);
+    if (cdfLow === null || cdfHigh === null) return null;
+    return Math.max(0, cdfHigh - cdfLow);
+  }
+
+  /**
+   * Preço em que a CDF atinge p (interpolação linear)
+   */
+  static quantile(points, p) {
+    if (!points || points.length === 0) return null;
+    if (p <= points[0].cdf) return points[0].price;
+
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].cdf >= p) {
+        const left = points[i - 1];
+        const right = points[i];
+        const span = right.cdf - left.cdf;
+        const weight = span > 0 ? (p - left.cdf) / span : 0;
+        return left.price + weight * (right.price - left.price);
+      }
+    }
+    return points[points.length - 1].price;
+  }
+}
+
+module.exports = ProbabilityDistributionCalculator;
@@ -0,0 +1,214 @@
+/**
+ * RealizedVolatility - Estimadores de volatilidade realizada (OHLC)
+ *
+ * Barras: { open, high, low, close } consecutivas, mesmo intervalo.
+ * Volatilidade anualizada = √(variância por barra × barras por ano)
+ * (mercado 24/7: 365 dias)
+ *
+ * ESTIMADORES:
+ * - Close-to-close: desvio padrão amostral dos log-retornos ln(Cᵢ/Cᵢ₋₁)
+ * - Parkinson: range high/low, σ² = Σ ln(H/L)² / (4·ln2·n)
+ * - Garman-Klass: range + abertura/fechamento,
+ *   σ² = Σ [½·ln(H/L)² − (2·ln2 − 1)·ln(C/O)²] / n
+ * - Yang-Zhang: gap de abertura + open-to-close + Rogers-Satchell,
+ *   σ² = σ²_o + k·σ²_c + (1 − k)·σ²_rs,  k = 0.34 / (1.34 + (n + 1)/(n − 1))
+ *
+ * PRÊMIO DE RISCO E RANK:
+ * - VRP = IV − RV (positivo = options caras em relação ao realizado)
+ * - IV Rank = (IV − mín) / (máx − mín) do histórico (0-100)
+ * - IV Percentile = % das observações do histórico abaixo da IV atual
+ */
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// Observações mínimas do histórico para IV Rank / Percentile
+const MIN_HISTORY_SAMPLES = 30;
+
+/**
+ * Barras por ano para um intervalo (ms)
+ */
+function barsPerYear(intervalMs) {
+  return MS_PER_YEAR / intervalMs;
+}
+
+function annualize(variance, periodsPerYear) {
+  return variance >= 0 ? Math.sqrt(variance * periodsPerYear) : null;
+}
+
+function sampleVariance(values) {
+  const n = values.length;
+  if (n < 2) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  return values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1);
+}
+
+/**
+ * Close-to-close (desvio padrão dos log-retornos)
+ */
+function closeToClose(bars, periodsPerYear) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) {
+    returns.push(Math.log(bars[i].close / bars[i - 1].close));
+  }
+  const variance = sampleVariance(returns);
+  return variance === null ? null : annualize(variance, periodsPerYear);
+}
+
+/**
+ * Parkinson (high/low)
+ */
+function parkinson(bars, periodsPerYear) {
+  if (bars.length === 0) return null;
+  const sum = bars.reduce((acc, bar) => {
+    const hl = Math.log(bar.high / bar.low);
+    return acc + hl * hl;
+  }, 0);
+  return annualize(sum / (4 * Math.LN2 * bars.length), periodsPerYear);
+}
+
+/**
+ * Garman-Klass (high/low + open/close)
+ */
+function garmanKlass(bars, periodsPerYear) {
+  if (bars.length === 0) return null;
+  const sum = bars.reduce((acc, bar) => {
+    const hl = Math.log(bar.high / bar.low);
+    const co = Math.log(bar.close / bar.open);
+    return acc + 0.5 * hl * hl - (2 * Math.LN2 - 1) * co * co;
+  }, 0);
+  return annualize(Math.max(0, sum / bars.length), periodsPerYear);
+}
+
+/**
+ * Yang-Zhang (gap de abertura + open-to-close + Rogers-Satchell)
+ * A primeira barra só fornece o fechamento anterior
+ */
+function yangZhang(bars, periodsPerYear) {
+  const n = bars.length - 1;
+  if (n < 2) return null;
+
+  const overnight = [];
+  const openClose = [];
+  let rogersSatchell = 0;
+
+  for (let i = 1; i < bars.length; i++) {
+    const bar = bars[i];
+    overnight.push(Math.log(bar.open / bars[i - 1].close));
+    openClose.push(Math.log(bar.close / bar.open));
+    rogersSatchell += Math.log(bar.high / bar.close) * Math.log(bar.high / bar.open) +
+      Math.log(bar.low / bar.close) * Math.log(bar.low / bar.open);
+  }
+
+  const k = 0.34 / (1.34 + (n + 1) / (n - 1));
+  const variance = sampleVariance(overnight) + k * sampleVariance(openClose) + (1 - k) * (rogersSatchell / n);
+  return annualize(Math.max(0, variance), periodsPerYear);
+}
+
+/**
+ * Todos os estimadores de uma janela
+ * @param {Array} bars - { open, high, low, close }
+ * @param {number} intervalMs - Intervalo das barras
+ */
+function estimate(bars, intervalMs) {
+  const periodsPerYear = barsPerYear(intervalMs);
+  return {
+    closeToClose: closeToClose(bars, periodsPerYear),
+    parkinson: parkinson(bars, periodsPerYear),
+    garmanKlass: garmanKlass(bars, periodsPerYear),
+    yangZhang: yangZhang(bars, periodsPerYear)
+  };
+}
+
+/**
+ * Prêmio de risco de volatilidade (IV − RV)
+ */
+function volatilityRiskPremium(iv, rv) {
+  if (!(iv > 0) || !(rv > 0)) return null;
+  return {
+    iv: iv,
+    rv: rv,
+    premium: iv - rv,
+    ratio: iv / rv
+  };
+}
+
+/**
+ * IV Rank: posição da IV atual entre o mínimo e o máximo do histórico (0-100)
+ */
+function ivRank(current, history) {
+  if (!(current > 0) || !history || history.length === 0) return null;
+  // reduce em vez de spread: o histórico pode ter centenas de milhares de pontos
+  const min = history.reduce((acc, value) => Math.min(acc, value), Infinity);
+  const max = history.reduce((acc, value) => Math.max(acc, value), -Infinity);
+  if (max <= min) return null;
+  return Math.min(100, Math.max(0, (current - min) / (max - min) * 100));
+}
+
+/**
+ * IV Percentile: % das observações do histórico abaixo da IV atual (0-100)
+ */
+function ivPercentile(current, history) {
+  if (!(current > 0) || !history || history.length === 0) return null;
+  return history.filter(value => value < current).length / history.length * 100;
+}
+
+/**
+ * Estado da volatilidade: VRP por janela de RV, IV Rank e IV Percentile
+ * - Cada janela completa de RV é comparada ao tenor de maturidade constante
+ *   mais próximo em dias; a referência (rv, vrp) é a janela completa mais longa
+ * @param {Array} constantMaturity - TermStructureCalculator (tenor, days, atmIV)
+ * @param {Array} windows - RealizedVolatilityTracker.getSummary().windows
+ * @param {Array<number>} ivHistory - ATM IV histórico do tenor de rank
+ * @param {Object} params - { tenor: '30d', estimator: 'yangZhang' }
+ */
+function summarize(constantMaturity, windows, ivHistory = [], { tenor = '30d', estimator = 'yangZhang' } = {}) {
+  const tenors = (constantMaturity || []).filter(item => item.atmIV > 0);
+
+  const complete = (windows || []).filter(window => window.complete && window[estimator] > 0);
+  const reference = complete.length > 0 ? complete[complete.length - 1] : null;
+
+  const premia = complete
+    .filter(() => tenors.length > 0)
+    .map(window => {
+      const days = window.minutes / (24 * 60);
+      const closest = tenors.reduce((best, item) =>
+        Math.abs(item.days - days) < Math.abs(best.days - days) ? item : best
+      );
+      return {
+        window: window.window,
+        tenor: closest.tenor,
+        ...volatilityRiskPremium(closest.atmIV, window[estimator])
+      };
+    });
+
+  const rankTenor = tenors.find(item => item.tenor === tenor);
+  const iv = rankTenor ? rankTenor.atmIV : null;
+  const history = ivHistory.length >= MIN_HISTORY_SAMPLES ? ivHistory : [];
+
+  return {
+    estimator: estimator,
+    rv: reference ? reference[estimator] : null,
+    rvWindow: reference ? reference.window : null,
+    tenor: tenor,
+    iv: iv,
+    ivRank: ivRank(iv, history),
+    ivPercentile: ivPercentile(iv, history),
+    historySamples: ivHistory.length,
+    vrp: premia.length > 0 ? premia[premia.length - 1] : null,
+    byWindow: premia
+  };
+}
+
+module.exports = {
+  MIN_HISTORY_SAMPLES,
+  barsPerYear,
+  closeToClose,
+  parkinson,
+  garmanKlass,
+  yangZhang,
+  estimate,
+  volatilityRiskPremium,
+  ivRank,
+  ivPercentile,
+  summarize
+};
@@ -0,0 +1,372 @@
+/**
+ * SVI - Parametrização "raw SVI" do smile de volatilidade (Gatheral)
+ *
+ * Variância total implícita de um vencimento como função do log-moneyness
+ * k = ln(K / F):
+ *
+ *   w(k) = a + b · ( ρ·(k - m) + √((k - m)² + σ²) )        iv(k) = √(w(k) / t)
+ *
+ * Convenções:
+ * - iv em decimal (0.55 = 55%), t em anos (como o BlackScholes)
+ * - params: { a, b, rho, m, sigma }
+ *
+ * AJUSTE (quasi-explicit, Zeliade):
+ * - Para (m, σ) fixos, w é linear em (a, d = ρbσ, c = bσ) → mínimos quadrados
+ *   ponderados com restrições c >= 0, |d| <= c, c + |d| <= 4σ (asas de Lee),
+ *   w mínimo >= 0
+ * - (m, σ) por grade grossa + Nelder-Mead
+ * - Peso padrão de cada strike = vega normalizada (φ(d1)): asas muito OTM,
+ *   sem informação de preço, quase não pesam
+ *
+ * ARBITRAGEM:
+ * - Butterfly: densidade g(k) >= 0 (condição de Durrleman)
+ * - Calendar: w(k) não pode diminuir com o vencimento
+ */
+
+const { normCdf, normPdf } = require('./BlackScholes');
+
+const MIN_POINTS = 5;
+const SIGMA_MIN = 0.005;
+const SIGMA_MAX = 2;
+const GRID_SIZE = 12;
+const MAX_ITERATIONS = 200;
+const MIN_WEIGHT = 0.01;
+
+/**
+ * Variância total w(k)
+ */
+function totalVariance(params, k) {
+  const x = k - params.m;
+  return params.a + params.b * (params.rho * x + Math.sqrt(x * x + params.sigma * params.sigma));
+}
+
+/**
+ * IV ajustado no log-moneyness k
+ */
+function impliedVol(params, k, t) {
+  if (!(t > 0)) return null;
+  return Math.sqrt(Math.max(0, totalVariance(params, k)) / t);
+}
+
+/**
+ * Função de densidade g(k) de Durrleman: g < 0 indica butterfly arbitrage
+ */
+function density(params, k) {
+  const x = k - params.m;
+  const root = Math.sqrt(x * x + params.sigma * params.sigma);
+  const w = totalVariance(params, k);
+  const w1 = params.b * (params.rho + x / root);
+  const w2 = params.b * params.sigma * params.sigma / (root * root * root);
+
+  if (!(w > 0)) return -Infinity;
+
+  return Math.pow(1 - k * w1 / (2 * w), 2) - (w1 * w1 / 4) * (1 / w + 0.25) + w2 / 2;
+}
+
+/**
+ * Resolve um sistema linear pequeno (eliminação de Gauss com pivotamento)
+ * @returns {Array<number>|null} - null se singular
+ */
+function solveLinear(matrix, vector) {
+  const n = vector.length;
+  const A = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-14) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let j = col; j <= n; j++) A[row][j] -= factor * A[col][j];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = A[row][n];
+    for (let j = row + 1; j < n; j++) sum -= A[row][j] * x[j];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Mínimos quadrados ponderados: coeficientes das colunas de `basis` que aproximam `target`
+ */
+function weightedLeastSquares(basis, target, weights) {
+  const n = basis[0].length;
+  const matrix = Array.from({ length: n }, () => new Array(n).fill(0));
+  const vector = new Array(n).fill(0);
+
+  basis.forEach((row, i) => {
+    for (let r = 0; r < n; r++) {
+      vector[r] += weights[i] * row[r] * target[i];
+      for (let c = 0; c < n; c++) matrix[r][c] += weights[i] * row[r] * row[c];
+    }
+  });
+
+  return solveLinear(matrix, vector);
+}
+
+/**
+ * Melhor (a, d, c) para (m, σ) fixos respeitando as restrições do SVI
+ * @returns {{ a, d, c, sse }}
+ */
+function fitLinear(points, m, sigma) {
+  const ys = points.map(p => (p.k - m) / sigma);
+  const zs = ys.map(y => Math.sqrt(y * y + 1));
+  const target = points.map(p => p.w);
+  const weights = points.map(p => p.weight);
+
+  const sse = (a, d, c) => points.reduce((sum, p, i) => {
+    const error = a + d * ys[i] + c * zs[i] - p.w;
+    return sum + p.weight * error * error;
+  }, 0);
+
+  const candidates = [];
+
+  // Sem restrição ativa
+  const full = weightedLeastSquares(ys.map((y, i) => [1, y, zs[i]]), target, weights);
+  if (full && full[2] >= 0 && Math.abs(full[1]) <= full[2]) {
+    candidates.push({ a: full[0], d: full[1], c: full[2] });
+  }
+
+  // |d| = c (ρ = ±1)
+  [1, -1].forEach(sign => {
+    const edge = weightedLeastSquares(ys.map((y, i) => [1, zs[i] + sign * y]), target, weights);
+    if (edge && edge[1] >= 0) {
+      candidates.push({ a: edge[0], d: sign * edge[1], c: edge[1] });
+    }
+  });
+
+  // Smile plano
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  candidates.push({ a: points.reduce((sum, p) => sum + p.weight * p.w, 0) / totalWeight, d: 0, c: 0 });
+
+  let best = null;
+  candidates.forEach(candidate => {
+    // Inclinação das asas limitada (Lee): b(1 + |ρ|) <= 4
+    if (candidate.c + Math.abs(candidate.d) > 4 * sigma) return;
+
+    // Variância mínima não negativa: a + √(c² - d²) >= 0
+    const floor = -Math.sqrt(Math.max(0, candidate.c * candidate.c - candidate.d * candidate.d));
+    const a = Math.max(candidate.a, floor);
+    const error = sse(a, candidate.d, candidate.c);
+    if (!best || error < best.sse) {
+      best = { a, d: candidate.d, c: candidate.c, sse: error };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Nelder-Mead em 2 dimensões
+ */
+function nelderMead(objective, start, step, iterations = MAX_ITERATIONS) {
+  let simplex = [
+    start,
+    [start[0] + step[0], start[1]],
+    [start[0], start[1] + step[1]]
+  ].map(x => ({ x, f: objective(x) }));
+
+  for (let i = 0; i < iterations; i++) {
+    simplex.sort((p, q) => p.f - q.f);
+    const [best, good, worst] = simplex;
+    if (Math.abs(worst.f - best.f) <= 1e-12 * (1 + Math.abs(best.f))) break;
+
+    const centroid = [(best.x[0] + good.x[0]) / 2, (best.x[1] + good.x[1]) / 2];
+    const towards = (factor) => {
+      const x = [
+        centroid[0] + factor * (worst.x[0] - centroid[0]),
+        centroid[1] + factor * (worst.x[1] - centroid[1])
+      ];
+      return { x, f: objective(x) };
+    };
+
+    const reflected = towards(-1);
+    if (reflected.f < best.f) {
+      const expanded = towards(-2);
+      simplex[2] = expanded.f < reflected.f ? expanded : reflected;
+    } else if (reflected.f < good.f) {
+      simplex[2] = reflected;
+    } else {
+      const contracted = towards(0.5);
+      if (contracted.f < worst.f) {
+        simplex[2] = contracted;
+      } else {
+        // Encolher em direção ao melhor ponto
+        simplex = simplex.map((point, index) => {
+          if (index === 0) return point;
+          const x = [(point.x[0] + best.x[0]) / 2, (point.x[1] + best.x[1]) / 2];
+          return { x, f: objective(x) };
+        });
+      }
+    }
+  }
+
+  simplex.sort((p, q) => p.f - q.f);
+  return simplex[0];
+}
+
+/**
+ * Peso de vega normalizada de um ponto (φ(d1), mínimo MIN_WEIGHT)
+ */
+function vegaWeight(k, w) {
+  const d1 = (-k + w / 2) / Math.sqrt(w);
+  return Math.max(normPdf(d1) / normPdf(0), MIN_WEIGHT);
+}
+
+/**
+ * Ajusta um vencimento
+ * @param {Array<{ k, iv, weight }>} points - log-moneyness, IV de mercado e peso (opcional; padrão: vega)
+ * @param {number} t - Tempo até o vencimento (anos)
+ * @returns {Object|null} { params, rmse, points } - rmse do IV ponderado pelos pesos; null se pontos insuficientes
+ */
+function fitSlice(points, t) {
+  const valid = points
+    .filter(p => Number.isFinite(p.k) && p.iv > 0)
+    .map(p => {
+      const w = p.iv * p.iv * t;
+      return { k: p.k, w: w, iv: p.iv, weight: p.weight > 0 ? p.weight : vegaWeight(p.k, w) };
+    });
+
+  if (!(t > 0) || valid.length < MIN_POINTS) return null;
+
+  const ks = valid.map(p => p.k);
+  const kMin = Math.min(...ks);
+  const kMax = Math.max(...ks);
+  const span = Math.max(kMax - kMin, 0.01);
+
+  // (m, ln σ) → erro do melhor ajuste linear
+  const objective = ([m, logSigma]) => {
+    const sigma = Math.exp(logSigma);
+    if (sigma < SIGMA_MIN || sigma > SIGMA_MAX) return Infinity;
+    if (m < kMin - span || m > kMax + span) return Infinity;
+    return fitLinear(valid, m, sigma).sse;
+  };
+
+  // Grade grossa para o ponto inicial
+  let start = null;
+  for (let i = 0; i < GRID_SIZE; i++) {
+    const m = kMin - span / 2 + (2 * span) * i / (GRID_SIZE - 1);
+    for (let j = 0; j < GRID_SIZE; j++) {
+      const logSigma = Math.log(SIGMA_MIN) + (Math.log(SIGMA_MAX) - Math.log(SIGMA_MIN)) * j / (GRID_SIZE - 1);
+      const f = objective([m, logSigma]);
+      if (!start || f < start.f) start = { x: [m, logSigma], f };
+    }
+  }
+
+  const best = nelderMead(objective, start.x, [span / GRID_SIZE, 0.3]);
+  const m = best.x[0];
+  const sigma = Math.exp(best.x[1]);
+  const { a, d, c } = fitLinear(valid, m, sigma);
+
+  const params = {
+    a: a,
+    b: c / sigma,
+    rho: c > 0 ? d / c : 0,
+    m: m,
+    sigma: sigma
+  };
+
+  const totalWeight = valid.reduce((sum, p) => sum + p.weight, 0);
+  const rmse = Math.sqrt(valid.reduce((sum, p) => {
+    const residual = impliedVol(params, p.k, t) - p.iv;
+    return sum + p.weight * residual * residual;
+  }, 0) / totalWeight);
+
+  return {
+    params: params,
+    rmse: rmse,
+    points: valid.length,
+    kMin: kMin,
+    kMax: kMax
+  };
+}
+
+/**
+ * Log-moneyness em que o delta (forward, r = 0) atinge o alvo
+ * @param {number} delta - 0 < delta < 1 para calls; -1 < delta < 0 para puts
+ */
+function strikeAtDelta(params, t, delta) {
+  const callDelta = delta < 0 ? 1 + delta : delta;
+  if (!(callDelta > 0 && callDelta < 1) || !(t > 0)) return null;
+
+  const deltaAt = (k) => {
+    const w = Math.max(totalVariance(params, k), 1e-12);
+    return normCdf((-k + w / 2) / Math.sqrt(w));
+  };
+
+  // Delta da call cai com k: bisseção
+  let low = -5;
+  let high = 5;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (deltaAt(mid) > callDelta) low = mid; else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * IV ajustado em um delta (ex: 0.25 = 25Δ call, -0.25 = 25Δ put)
+ */
+function impliedVolAtDelta(params, t, delta) {
+  const k = strikeAtDelta(params, t, delta);
+  return k === null ? null : impliedVol(params, k, t);
+}
+
+/**
+ * Butterfly arbitrage: pontos da grade em [kMin, kMax] com g(k) < 0
+ * @returns {{ violations: Array<{ k, g }>, minG }}
+ */
+function checkButterfly(params, kMin, kMax, steps = 100) {
+  const violations = [];
+  let minG = Infinity;
+
+  for (let i = 0; i <= steps; i++) {
+    const k = kMin + (kMax - kMin) * i / steps;
+    const g = density(params, k);
+    minG = Math.min(minG, g);
+    if (g < -1e-9) violations.push({ k, g });
+  }
+
+  return { violations, minG };
+}
+
+/**
+ * Calendar arbitrage: pontos em [kMin, kMax] onde w(far) < w(near)
+ * @returns {{ violations: Array<{ k, nearW, farW }>, maxViolation }}
+ */
+function checkCalendar(nearParams, farParams, kMin, kMax, steps = 100) {
+  const violations = [];
+  let maxViolation = 0;
+
+  for (let i = 0; i <= steps; i++) {
+    const k = kMin + (kMax - kMin) * i / steps;
+    const nearW = totalVariance(nearParams, k);
+    const farW = totalVariance(farParams, k);
+    if (farW < nearW - 1e-9) {
+      violations.push({ k, nearW, farW });
+      maxViolation = Math.max(maxViolation, nearW - farW);
+    }
+  }
+
+  return { violations, maxViolation };
+}
+
+module.exports = {
+  MIN_POINTS,
+  totalVariance,
+  impliedVol,
+  density,
+  fitSlice,
+  strikeAtDelta,
+  impliedVolAtDelta,
+  checkButterfly,
+  checkCalendar
+};
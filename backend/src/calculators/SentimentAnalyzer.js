@@ -18,7 +18,7 @@
  * - Detectar mudanças de posicionamento
  */
 
-const Logger = require('../utils/Logger');
+const Logger = require('../utils/logger');
 
 class SentimentAnalyzer {
   constructor() {
@@ -207,7 +207,8 @@ class SentimentAnalyzer {
     const byExpiry = {};
 
     options.forEach(opt => {
-      const expiry = opt.expiryDate;
+      const expiry = opt.getExpiryMs();
+      if (!Number.isFinite(expiry)) return;
       if (!byExpiry[expiry]) {
         byExpiry[expiry] = [];
       }
@@ -0,0 +1,197 @@
+/**
+ * TermStructureCalculator - Estrutura a termo da volatilidade implícita
+ *
+ * Métricas de mesa por vencimento, lidas dos smiles SVI da superfície
+ * (VolatilitySurfaceCalculator.fitSurface):
+ *
+ *   atmIV  = IV em k = 0 (strike = spot)
+ *   rr25d  = IV(25Δ call) − IV(25Δ put)          (negativo = puts mais caras)
+ *   bf25d  = (IV(25Δ call) + IV(25Δ put)) / 2 − atmIV   (convexidade das asas)
+ *   rr10d / bf10d idem com 10Δ
+ *
+ * MATURIDADE CONSTANTE (7d, 30d, 60d, 90d):
+ * - ATM: interpolação linear da variância total (σ²·t) entre os vencimentos
+ *   vizinhos, o que preserva a forward variance
+ * - RR/BF: interpolação linear no tempo
+ * - Fora do intervalo listado: vol do vencimento mais próximo (flat),
+ *   marcado com `extrapolated: true`
+ *
+ * CLASSIFICAÇÃO:
+ * - CONTANGO: vol longa > vol curta (normal, mercado calmo)
+ * - BACKWARDATION: vol curta > vol longa (stress / evento próximo)
+ * - FLAT: |inclinação| < flatThreshold
+ * - Inclinação = ATM do tenor mais longo − ATM do mais curto (pontos de vol)
+ */
+
+const SVI = require('./SVI');
+const Logger = require('../utils/logger');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+class TermStructureCalculator {
+  constructor(config = {}) {
+    this.logger = new Logger('TermStructure');
+
+    this.config = {
+      tenors: config.tenors || [7, 30, 60, 90],        // maturidades constantes (dias)
+      flatThreshold: config.flatThreshold || 0.01       // 1 ponto de vol
+    };
+  }
+
+  /**
+   * Estrutura a termo a partir do ajuste SVI da superfície
+   * @param {Object} svi - Resultado de VolatilitySurfaceCalculator.fitSurface (surface.svi)
+   * @param {number} spotPrice
+   * @returns {Object|null} { spotPrice, timestamp, expiries, constantMaturity, structure }
+   */
+  calculate(svi, spotPrice, now = Date.now()) {
+    if (!svi || !svi.slices || svi.slices.length === 0) {
+      this.logger.debug('Sem vencimentos ajustados (SVI) para a estrutura a termo');
+      return null;
+    }
+
+    const expiries = svi.slices
+      .filter(slice => slice.t > 0)
+      .map(slice => this.calculateExpiry(slice, now))
+      .filter(expiry => expiry.atmIV !== null)
+      .sort((a, b) => a.t - b.t);
+
+    if (expiries.length === 0) {
+      return null;
+    }
+
+    const constantMaturity = this.config.tenors.map(days => this.interpolate(expiries, days));
+
+    return {
+      spotPrice: spotPrice,
+      timestamp: now,
+      expiries: expiries,
+      constantMaturity: constantMaturity,
+      structure: this.classify(constantMaturity)
+    };
+  }
+
+  /**
+   * ATM, 25Δ/10Δ e RR/BF de um vencimento
+   */
+  calculateExpiry(slice, now) {
+    const atmIV = slice.atmIV;
+    const iv25c = slice.call25dIV;
+    const iv25p = slice.put25dIV;
+    const iv10c = SVI.impliedVolAtDelta(slice.params, slice.t, 0.10);
+    const iv10p = SVI.impliedVolAtDelta(slice.params, slice.t, -0.10);
+
+    return {
+      expiry: new Date(slice.expiryDate).toISOString().split('T')[0],
+      expiryDate: slice.expiryDate,
+      dte: (slice.expiryDate - now) / MS_PER_DAY,
+      t: slice.t,
+      atmIV: atmIV,
+      iv25c: iv25c,
+      iv25p: iv25p,
+      iv10c: iv10c,
+      iv10p: iv10p,
+      ...this.wings(atmIV, iv25c, iv25p, iv10c, iv10p),
+      rmse: slice.rmse,
+      arbitrage: slice.butterfly ? slice.butterfly.arbitrage : false
+    };
+  }
+
+  /**
+   * Risk reversals e butterflies a partir das IVs por delta
+   */
+  wings(atmIV, iv25c, iv25p, iv10c, iv10p) {
+    const rr = (call, put) => call !== null && put !== null ? call - put : null;
+    const bf = (call, put) => call !== null && put !== null && atmIV !== null
+      ? (call + put) / 2 - atmIV
+      : null;
+
+    return {
+      rr25d: rr(iv25c, iv25p),
+      rr10d: rr(iv10c, iv10p),
+      bf25d: bf(iv25c, iv25p),
+      bf10d: bf(iv10c, iv10p)
+    };
+  }
+
+  /**
+   * Métricas de maturidade constante (dias) entre os vencimentos listados
+   * @param {Array} expiries - Ordenados por t
+   */
+  interpolate(expiries, days) {
+    const t = days / DAYS_PER_YEAR;
+    const first = expiries[0];
+    const last = expiries[expiries.length - 1];
+
+    const tenor = {
+      tenor: `${days}d`,
+      days: days,
+      extrapolated: t < first.t || t > last.t
+    };
+
+    if (t <= first.t || t >= last.t) {
+      const edge = t <= first.t ? first : last;
+      return {
+        ...tenor,
+        atmIV: edge.atmIV,
+        rr25d: edge.rr25d,
+        rr10d: edge.rr10d,
+        bf25d: edge.bf25d,
+        bf10d: edge.bf10d
+      };
+    }
+
+    const index = expiries.findIndex(expiry => expiry.t >= t);
+    const near = expiries[index - 1];
+    const far = expiries[index];
+    const weight = (t - near.t) / (far.t - near.t);
+
+    // Variância total linear no tempo
+    const nearVariance = near.atmIV * near.atmIV * near.t;
+    const farVariance = far.atmIV * far.atmIV * far.t;
+    const variance = nearVariance + (farVariance - nearVariance) * weight;
+
+    const linear = (key) => near[key] !== null && far[key] !== null
+      ? near[key] + (far[key] - near[key]) * weight
+      : null;
+
+    return {
+      ...tenor,
+      atmIV: variance > 0 ? Math.sqrt(variance / t) : null,
+      rr25d: linear('rr25d'),
+      rr10d: linear('rr10d'),
+      bf25d: linear('bf25d'),
+      bf10d: linear('bf10d')
+    };
+  }
+
+  /**
+   * Contango / backwardation pela inclinação da curva ATM de maturidade constante
+   */
+  classify(constantMaturity) {
+    const valid = constantMaturity.filter(tenor => tenor.atmIV !== null);
+    if (valid.length < 2) {
+      return { state: 'FLAT', slope: 0, frontTenor: null, backTenor: null, frontRatio: null };
+    }
+
+    const front = valid[0];
+    const back = valid[valid.length - 1];
+    const slope = back.atmIV - front.atmIV;
+
+    let state = 'FLAT';
+    if (slope > this.config.flatThreshold) state = 'CONTANGO';
+    else if (slope < -this.config.flatThreshold) state = 'BACKWARDATION';
+
+    return {
+      state: state,
+      slope: slope,
+      frontTenor: front.tenor,
+      backTenor: back.tenor,
+      // > 1 = curto mais caro que o longo
+      frontRatio: back.atmIV > 0 ? front.atmIV / back.atmIV : null
+    };
+  }
+}
+
+module.exports = TermStructureCalculator;
@@ -10,9 +10,15 @@
  * - Detecta skew anômalo (Put-Call spread fora do normal)
  * - Pondera anomalias por volume e open interest
  * - Identifica wings naturais vs anomalias reais
- * - Calcula IV esperado baseado em interpolação de vizinhos
+ * - Calcula IV esperado pelo ajuste SVI do vencimento (`fittedIV`); sem ajuste,
+ *   interpolação de vizinhos
+ * - Com SVI, o z-score mede o resíduo (IV - IV ajustado) contra a dispersão dos
+ *   resíduos do vencimento
  */
 
+// Dispersão mínima dos resíduos do SVI (0.5 vol) - evita z-scores enormes em smiles quase perfeitos
+const MIN_RESIDUAL_STD = 0.005;
+
 class VolatilityAnomalyDetector {
   constructor(logger) {
     this.logger = logger;
@@ -92,20 +98,28 @@ class VolatilityAnomalyDetector {
     const avgIVs = sortedPoints.map(p => p.avgIV).filter(iv => iv !== null);
     if (avgIVs.length < 5) return anomalies;
     
-    const stats = this.calculateStats(avgIVs);
+    // Baseline: resíduos contra o SVI do vencimento; sem ajuste, nível absoluto do IV
+    const fitted = sortedPoints.every(p => p.avgIV === null || p.fittedIV);
+    const stats = fitted
+      ? this.calculateStats(sortedPoints.filter(p => p.avgIV !== null).map(p => p.avgIV - p.fittedIV))
+      : this.calculateStats(avgIVs);
+    if (fitted) {
+      stats.stdDev = Math.max(stats.stdDev, MIN_RESIDUAL_STD);
+    }
     
     // Detectar outliers
     sortedPoints.forEach((point, index) => {
       if (point.avgIV === null) return;
       
-      const zScore = (point.avgIV - stats.mean) / stats.stdDev;
+      const value = fitted ? point.avgIV - point.fittedIV : point.avgIV;
+      const zScore = (value - stats.mean) / stats.stdDev;
       
       if (Math.abs(zScore) > threshold) {
         // Verificar se é wing natural (extremos da curva)
         const isWing = index < 2 || index >= sortedPoints.length - 2;
         
-        // Calcular IV esperado baseado em vizinhos
-        const expectedIV = this.calculateExpectedIV(sortedPoints, index);
+        // IV esperado: SVI ajustado ou interpolação dos vizinhos
+        const expectedIV = fitted ? point.fittedIV : this.calculateExpectedIV(sortedPoints, index);
         const deviation = point.avgIV - expectedIV;
         const deviationPct = (deviation / expectedIV) * 100;
         
@@ -132,6 +146,7 @@ class VolatilityAnomalyDetector {
           callIV: point.callIV ? parseFloat(point.callIV.toFixed(4)) : null,
           putIV: point.putIV ? parseFloat(point.putIV.toFixed(4)) : null,
           expectedIV: parseFloat(expectedIV.toFixed(4)),
+          baseline: fitted ? 'SVI' : 'NEIGHBOURS',
           deviation: parseFloat(deviation.toFixed(4)),
           deviationPct: parseFloat(deviationPct.toFixed(2)),
           zScore: parseFloat(zScore.toFixed(2)),
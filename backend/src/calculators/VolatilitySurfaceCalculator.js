@@ -1,8 +1,14 @@
 const Logger = require('../utils/logger');
+const BlackScholes = require('./BlackScholes');
+const SVI = require('./SVI');
 
 /**
  * Calculadora de Superfície de Volatilidade
  * Processa options para gerar IV surface 3D
+ *
+ * Cada vencimento é ajustado com SVI (ver SVI.js): IV suave em qualquer strike
+ * ou delta, flags de butterfly/calendar arbitrage e `fittedIV` por ponto
+ * (baseline do VolatilityAnomalyDetector)
  */
 class VolatilitySurfaceCalculator {
   constructor() {
@@ -13,9 +19,10 @@ class VolatilitySurfaceCalculator {
    * Constrói a superfície de volatilidade
    * @param {Array<Option>} options - Array de options com IV
    * @param {number} spotPrice - Preço spot atual
+   * @param {number} now - Relógio dos dados em ms (replay/playback usam o tempo do coletor)
    * @returns {Object} - Dados estruturados para visualização 3D
    */
-  buildSurface(options, spotPrice) {
+  buildSurface(options, spotPrice, now = Date.now()) {
     this.logger.info(`Building surface with ${options?.length || 0} options, spot: ${spotPrice}`);
     if (!options || options.length === 0) {
       this.logger.warn('No options provided');  
@@ -25,15 +32,14 @@ class VolatilitySurfaceCalculator {
     this.logger.info(`expiryDate type sample: ${typeof options?.[0]?.expiryDate}`);
     this.logger.info(`expiryDate value sample: ${options?.[0]?.expiryDate}`);
 
-    const nowMs = new Date();
     // 00:00 UTC do próximo dia
-    const tomorrowStartUtcMs = new Date(Date.now());
+    const tomorrowStartUtcMs = new Date(now);
     tomorrowStartUtcMs.setUTCHours(24, 0, 0, 0); // Início do próximo dia em UTC
     const minExpiryMs = tomorrowStartUtcMs.getTime();
 
-    this.logger.info(`now=${new Date(nowMs).toISOString()} minExpiry=${new Date(minExpiryMs).toISOString()}`);
+    this.logger.info(`now=${new Date(now).toISOString()} minExpiry=${new Date(minExpiryMs).toISOString()}`);
 
-    const expiries = options.map(o => o.expiryDate).filter(Number.isFinite);
+    const expiries = options.map(o => this.getExpiryMs(o)).filter(Number.isFinite);
     const minExp = Math.min(...expiries);
 
     this.logger.info(
@@ -46,8 +52,8 @@ class VolatilitySurfaceCalculator {
       opt.markIV && 
       opt.markIV > 0 &&
       opt.strike > 0 &&
-      Number.isFinite(opt.expiryDate) &&      
-      opt.expiryDate >= minExpiryMs      
+      Number.isFinite(this.getExpiryMs(opt)) &&
+      this.getExpiryMs(opt) >= minExpiryMs
     );
 
     this.logger.info(`Valid options with IV: ${validOptions.length}`);
@@ -72,14 +78,14 @@ class VolatilitySurfaceCalculator {
     }
 
     // 2. Calcular DTE (Days to Expiration) e Moneyness
-    const now = new Date();
     const enrichedOptions = validOptions.map(opt => {
-      const expiry = new Date(opt.expiryDate);
+      const expiry = new Date(this.getExpiryMs(opt));
       const dte = Math.max(0, Math.ceil((expiry - now) / (1000 * 60 * 60 * 24)));
       const moneyness = opt.strike / spotPrice;
       
       return {
         ...opt,
+        expiryDate: expiry.getTime(),
         dte: dte,
         moneyness: moneyness,
         moneynessPercent: ((moneyness - 1) * 100).toFixed(1)
@@ -188,6 +194,9 @@ class VolatilitySurfaceCalculator {
       };
     });
 
+    // 4b. Ajuste SVI por vencimento (IV ajustado em cada ponto)
+    const svi = this.fitSurface(surfacePoints, spotPrice, now);
+
     // 5. Extrair strikes e DTEs únicos (ordenados)
     const uniqueStrikes = [...new Set(surfacePoints.map(p => p.strike))].sort((a, b) => a - b);
     const uniqueDTEs = [...new Set(surfacePoints.map(p => p.dte))].sort((a, b) => a - b);
@@ -218,7 +227,7 @@ class VolatilitySurfaceCalculator {
     // 7. Calcular ATM IV e Skew
     const atmStrike = this.findATMStrike(uniqueStrikes, spotPrice);
     const atmIV = this.getATMIV(surfacePoints, atmStrike);
-    const skew = this.calculateSkew(surfacePoints, spotPrice);
+    const skew = this.calculateSkew(surfacePoints, spotPrice, svi);
 
     return {
       strikes: uniqueStrikes,
@@ -232,6 +241,7 @@ class VolatilitySurfaceCalculator {
       callIV: callIVMatrix,
       putIV: putIVMatrix,
       points: surfacePoints,
+      svi: svi,
       stats: {
         totalPoints: surfacePoints.length,
         strikeCount: uniqueStrikes.length,
@@ -242,6 +252,135 @@ class VolatilitySurfaceCalculator {
     };
   }
 
+  /**
+   * Expiração em ms (Option guarda Date; linhas do banco, timestamp)
+   */
+  getExpiryMs(option) {
+    if (typeof option.getExpiryMs === 'function') return option.getExpiryMs();
+    const expiry = option.expiryDate;
+    if (expiry instanceof Date) return expiry.getTime();
+    return expiry === null || expiry === undefined ? NaN : Number(expiry);
+  }
+
+  /**
+   * Ajusta um SVI por vencimento e verifica arbitragem
+   * Adiciona `fittedIV` a cada ponto da superfície (null se o vencimento não ajustou)
+   * @param {Array} surfacePoints - Pontos de buildSurface (avgIV/callIV/putIV por strike)
+   * @param {number} spotPrice
+   * @returns {Object} { slices, calendar, arbitrageFree }
+   */
+  fitSurface(surfacePoints, spotPrice, now = Date.now()) {
+    const byExpiry = new Map();
+    surfacePoints.forEach(point => {
+      if (!byExpiry.has(point.expiryDate)) {
+        byExpiry.set(point.expiryDate, []);
+      }
+      byExpiry.get(point.expiryDate).push(point);
+    });
+
+    const slices = [];
+    Array.from(byExpiry.keys()).sort((a, b) => a - b).forEach(expiryDate => {
+      const points = byExpiry.get(expiryDate);
+      const t = BlackScholes.yearsToExpiry(expiryDate, now);
+
+      // IV do lado OTM (mais líquido) de cada strike
+      const fit = SVI.fitSlice(points.map(point => ({
+        k: Math.log(point.strike / spotPrice),
+        iv: (point.strike >= spotPrice ? point.callIV : point.putIV) || point.avgIV
+      })), t);
+
+      points.forEach(point => {
+        point.fittedIV = fit ? SVI.impliedVol(fit.params, Math.log(point.strike / spotPrice), t) : null;
+      });
+
+      if (!fit) {
+        this.logger.debug(`SVI: vencimento ${new Date(expiryDate).toISOString()} sem strikes suficientes (${points.length})`);
+        return;
+      }
+
+      const butterfly = SVI.checkButterfly(fit.params, fit.kMin, fit.kMax);
+      const call25 = SVI.impliedVolAtDelta(fit.params, t, 0.25);
+      const put25 = SVI.impliedVolAtDelta(fit.params, t, -0.25);
+
+      slices.push({
+        expiryDate: expiryDate,
+        dte: points[0].dte,
+        t: t,
+        params: fit.params,
+        rmse: fit.rmse,
+        points: fit.points,
+        atmIV: SVI.impliedVol(fit.params, 0, t),
+        call25dIV: call25,
+        put25dIV: put25,
+        riskReversal25d: call25 !== null && put25 !== null ? call25 - put25 : null,
+        butterfly: {
+          arbitrage: butterfly.violations.length > 0,
+          violations: butterfly.violations.length,
+          minG: butterfly.minG,
+          strikes: butterfly.violations.length > 0 ? [
+            spotPrice * Math.exp(butterfly.violations[0].k),
+            spotPrice * Math.exp(butterfly.violations[butterfly.violations.length - 1].k)
+          ] : null
+        },
+        kMin: fit.kMin,
+        kMax: fit.kMax
+      });
+    });
+
+    // Calendar: variância total não pode cair entre vencimentos consecutivos
+    const calendar = [];
+    for (let i = 1; i < slices.length; i++) {
+      const near = slices[i - 1];
+      const far = slices[i];
+      const kMin = Math.max(near.kMin, far.kMin);
+      const kMax = Math.min(near.kMax, far.kMax);
+      if (kMax <= kMin) continue;
+
+      const check = SVI.checkCalendar(near.params, far.params, kMin, kMax);
+      if (check.violations.length > 0) {
+        calendar.push({
+          nearExpiry: near.expiryDate,
+          farExpiry: far.expiryDate,
+          violations: check.violations.length,
+          maxViolation: check.maxViolation,
+          strikes: [
+            spotPrice * Math.exp(check.violations[0].k),
+            spotPrice * Math.exp(check.violations[check.violations.length - 1].k)
+          ]
+        });
+      }
+    }
+
+    const butterflyCount = slices.filter(slice => slice.butterfly.arbitrage).length;
+    if (butterflyCount > 0 || calendar.length > 0) {
+      this.logger.warn(`SVI: arbitragem detectada (${butterflyCount} butterfly, ${calendar.length} calendar)`);
+    }
+
+    return {
+      slices: slices,
+      calendar: calendar,
+      arbitrageFree: butterflyCount === 0 && calendar.length === 0
+    };
+  }
+
+  /**
+   * IV ajustado (SVI) de um vencimento em um strike
+   * @param {Object} svi - Resultado de fitSurface
+   * @param {number} expiryDate - Vencimento (ms)
+   */
+  getFittedIV(svi, expiryDate, strike, spotPrice) {
+    const slice = svi && svi.slices.find(item => item.expiryDate === expiryDate);
+    return slice ? SVI.impliedVol(slice.params, Math.log(strike / spotPrice), slice.t) : null;
+  }
+
+  /**
+   * IV ajustado (SVI) de um vencimento em um delta (0.25 = 25Δ call, -0.25 = 25Δ put)
+   */
+  getFittedIVAtDelta(svi, expiryDate, delta) {
+    const slice = svi && svi.slices.find(item => item.expiryDate === expiryDate);
+    return slice ? SVI.impliedVolAtDelta(slice.params, slice.t, delta) : null;
+  }
+
   /**
    * Encontra o strike ATM (mais próximo do spot)
    */
@@ -274,8 +413,22 @@ class VolatilitySurfaceCalculator {
 
   /**
    * Calcula skew de volatilidade (put vs call)
+   * Com SVI: 25Δ put/call do front month (risk reversal e butterfly);
+   * sem SVI: strikes ~10% OTM
    */
-  calculateSkew(surfacePoints, spotPrice) {
+  calculateSkew(surfacePoints, spotPrice, svi = null) {
+    const frontSlice = svi && svi.slices.length > 0 ? svi.slices[0] : null;
+    if (frontSlice && frontSlice.call25dIV !== null && frontSlice.put25dIV !== null) {
+      return {
+        putSkew: frontSlice.put25dIV - frontSlice.atmIV,
+        callSkew: frontSlice.call25dIV - frontSlice.atmIV,
+        totalSkew: frontSlice.put25dIV - frontSlice.call25dIV,
+        riskReversal25d: frontSlice.riskReversal25d,
+        butterfly25d: (frontSlice.call25dIV + frontSlice.put25dIV) / 2 - frontSlice.atmIV,
+        method: 'SVI_25D'
+      };
+    }
+
     // Filtrar front month
     const minDTE = Math.min(...surfacePoints.map(p => p.dte));
     const frontMonth = surfacePoints.filter(p => p.dte === minDTE);
@@ -303,7 +456,10 @@ class VolatilitySurfaceCalculator {
       putSkew: putSkewStrike && atmIV ? putSkewStrike.putIV - atmIV : null,
       callSkew: callSkewStrike && atmIV ? callSkewStrike.callIV - atmIV : null,
       totalSkew: putSkewStrike && callSkewStrike ? 
-        putSkewStrike.putIV - callSkewStrike.callIV : null
+        putSkewStrike.putIV - callSkewStrike.callIV : null,
+      riskReversal25d: null,
+      butterfly25d: null,
+      method: 'MONEYNESS'
     };
   }
 }
@@ -0,0 +1,164 @@
+/**
+ * CaptureFiles - Layout e leitura dos arquivos de captura (NDJSON + gzip)
+ *
+ * <dir>/<stream>/<stream>.<YYYYMMDD-HHmmss-SSS>.ndjson.gz (UTC, início do arquivo)
+ *
+ * Uma linha por mensagem recebida:
+ *   { "t": <recebimento em ms>, "d": "<payload bruto, como chegou>" }
+ *
+ * Streams de WebSocket: <mercado>.<stream> (spot.btcusdt@ticker,
+ * futures.btcusdt@depth@100ms, binance.BTC@markPrice, deribit.BTC, ...).
+ * Snapshots REST usam o prefixo "rest." (rest.BTC.binance.greeks).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+
+const FILE_PATTERN = /^(.+)\.(\d{8}-\d{6}-\d{3})\.ndjson\.gz$/;
+const REST_PREFIX = 'rest.';
+
+/**
+ * Nome seguro para diretório/arquivo
+ */
+function sanitizeStream(stream) {
+  return String(stream).replace(/[^A-Za-z0-9@._-]/g, '_');
+}
+
+/**
+ * Nome do stream a partir da URL do WebSocket
+ * - .../stream?streams=BTC@markPrice -> BTC@markPrice
+ * - .../ws/btcusdt@forceOrder        -> btcusdt@forceOrder
+ */
+function streamFromUrl(url) {
+  const query = url.match(/[?&]streams=([^&]+)/);
+  if (query) return sanitizeStream(decodeURIComponent(query[1]));
+
+  const pathname = url.split('?')[0].replace(/\/+$/, '');
+  return sanitizeStream(pathname.substring(pathname.lastIndexOf('/') + 1));
+}
+
+function formatFileTime(time) {
+  const iso = new Date(time).toISOString(); // 2025-01-31T14:05:09.123Z
+  return `${iso.slice(0, 10).replace(/-/g, '')}-${iso.slice(11, 19).replace(/:/g, '')}-${iso.slice(20, 23)}`;
+}
+
+function parseFileTime(value) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-(\d{3})$/);
+  return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6], +m[7]) : null;
+}
+
+function captureFilePath(dir, stream, time) {
+  return path.join(dir, stream, `${stream}.${formatFileTime(time)}.ndjson.gz`);
+}
+
+/**
+ * Streams gravados no diretório
+ */
+function listStreams(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Arquivos de um stream em ordem cronológica
+ * @returns {Array<{ file, start }>}
+ */
+function listFiles(dir, stream) {
+  const streamDir = path.join(dir, stream);
+  if (!fs.existsSync(streamDir)) return [];
+
+  return fs.readdirSync(streamDir)
+    .map(name => {
+      const m = name.match(FILE_PATTERN);
+      return m && m[1] === stream
+        ? { file: path.join(streamDir, name), start: parseFileTime(m[2]) }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Lê as linhas de um arquivo de captura
+ * Arquivo truncado (gravação interrompida) é lido até o último bloco íntegro.
+ */
+async function* readCaptureFile(file) {
+  const gunzip = zlib.createGunzip();
+  const input = fs.createReadStream(file).pipe(gunzip);
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const lines = rl[Symbol.asyncIterator]();
+
+  while (true) {
+    let next;
+    try {
+      next = await lines.next();
+    } catch (error) {
+      // gzip truncado: fim dos dados íntegros
+      rl.close();
+      return;
+    }
+    if (next.done) return;
+    if (!next.value) continue;
+
+    let record;
+    try {
+      record = JSON.parse(next.value);
+    } catch (error) {
+      continue; // Linha incompleta no fim de um arquivo truncado
+    }
+    if (typeof record.t === 'number' && record.d !== undefined) {
+      yield record;
+    }
+  }
+}
+
+/**
+ * Mensagens de um stream no intervalo [from, to], em ordem
+ * withPrevious: também entrega a última mensagem anterior a "from"
+ * (estado vigente no início, usado pelos snapshots REST)
+ */
+async function* readStream(dir, stream, from = 0, to = Infinity, withPrevious = false) {
+  const files = listFiles(dir, stream);
+  let previous = null;
+
+  for (let i = 0; i < files.length; i++) {
+    // Arquivo inteiro antes do intervalo: o próximo já começa antes de "from"
+    if (i + 1 < files.length && files[i + 1].start <= from) continue;
+    if (files[i].start > to) break;
+
+    for await (const record of readCaptureFile(files[i].file)) {
+      if (record.t < from) {
+        previous = record;
+        continue;
+      }
+      if (withPrevious && previous) {
+        yield { ...previous, s: stream };
+        previous = null;
+      }
+      if (record.t > to) return;
+      yield { ...record, s: stream };
+    }
+  }
+
+  if (withPrevious && previous) {
+    yield { ...previous, s: stream };
+  }
+}
+
+module.exports = {
+  REST_PREFIX,
+  sanitizeStream,
+  streamFromUrl,
+  captureFilePath,
+  listStreams,
+  listFiles,
+  readCaptureFile,
+  readStream
+};
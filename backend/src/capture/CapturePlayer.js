@@ -0,0 +1,323 @@
+/**
+ * CapturePlayer - Reproduz os arquivos de captura (MarketDataRecorder)
+ *
+ * Junta os streams gravados em ordem de timestamp de recebimento e entrega
+ * cada mensagem ao PlaybackSocket do stream, no lugar do WebSocket real.
+ * DataCollector, SpotPriceCollector, LiquidationTracker, OrderBookAnalyzer
+ * e os adapters das venues recebem exatamente os payloads da sessão gravada,
+ * e o EscapeTypeDetector pode ser reproduzido tick a tick (pause + step).
+ *
+ * Snapshots REST (rest.*) não têm socket: a chamada REST devolve o último
+ * snapshot gravado até o relógio da captura (getSnapshot).
+ *
+ * CONFIG:
+ * - dir        - Diretório da captura (CAPTURE_DIR da gravação)
+ * - from / to  - Intervalo (timestamp ms ou data ISO; padrão: captura inteira)
+ * - speed      - 1 = tempo real (padrão). Liquidações, order book e o
+ *                EscapeTypeDetector medem janelas no relógio da captura
+ *                (MarketDataSource.now()): as detecções se repetem em
+ *                qualquer speed e no step
+ *
+ * Ativado com PLAYBACK_DIR (ver capture/MarketDataSource.js).
+ */
+
+const EventEmitter = require('events');
+const Logger = require('../utils/logger');
+const PlaybackSocket = require('./PlaybackSocket');
+const { parseTime } = require('../utils/time');
+const { REST_PREFIX, sanitizeStream, listStreams, readStream } = require('./CaptureFiles');
+
+class CapturePlayer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      dir: config.dir,
+      from: parseTime(config.from) || 0,
+      to: parseTime(config.to) || Infinity,
+      speed: parseFloat(config.speed) || 1,
+      maxSleep: config.maxSleep || 200 // ms - granularidade de pause/stop
+    };
+
+    if (!this.config.dir) {
+      throw new Error('CapturePlayer requer o diretório de captura (dir)');
+    }
+
+    this.logger = new Logger('CapturePlayer');
+
+    // Cabeças da fusão: uma por stream, com a próxima mensagem
+    this.heads = [];
+    this.sockets = new Map();   // stream -> Set<PlaybackSocket>
+    this.snapshots = new Map(); // stream REST -> último payload entregue
+    this.counts = new Map();    // stream -> mensagens entregues
+
+    // Relógio da captura
+    this.startTime = null;
+    this.currentTime = null;
+    this.anchor = null;         // { capture, wall } - referência para a velocidade
+    this.dispatched = 0;
+
+    this.running = false;
+    this.started = false;
+    this.paused = false;
+    this.finished = false;
+    this.stopped = false;
+  }
+
+  /**
+   * Abre os streams gravados e posiciona no início do intervalo
+   */
+  async load() {
+    const { dir, from, to } = this.config;
+    const streams = listStreams(dir);
+
+    for (const stream of streams) {
+      const isRest = stream.startsWith(REST_PREFIX);
+      const iterator = readStream(dir, stream, from, to, isRest);
+      const first = await iterator.next();
+
+      if (!first.done) {
+        this.heads.push({ stream, isRest, iterator, event: first.value });
+        this.counts.set(stream, 0);
+      }
+    }
+
+    const wsHeads = this.heads.filter(head => !head.isRest);
+    if (wsHeads.length === 0) {
+      throw new Error(`Nenhuma mensagem capturada em ${dir} no intervalo`);
+    }
+
+    this.startTime = Math.min(...wsHeads.map(head => head.event.t));
+    this.currentTime = this.startTime;
+
+    // Snapshots REST vigentes no início (carga inicial dos coletores)
+    for (const head of this.heads.filter(item => item.isRest)) {
+      while (head.event && head.event.t <= this.startTime) {
+        await this.dispatch(head);
+      }
+    }
+
+    this.logger.info(`Captura carregada: ${streams.length} streams a partir de ${new Date(this.startTime).toISOString()}`);
+    return this.getStatus();
+  }
+
+  /**
+   * Socket de playback de um stream (usado no lugar de new WebSocket)
+   */
+  createSocket(stream) {
+    const name = sanitizeStream(stream);
+    const socket = new PlaybackSocket(name, this);
+
+    if (!this.sockets.has(name)) {
+      this.sockets.set(name, new Set());
+    }
+    this.sockets.get(name).add(socket);
+
+    return socket;
+  }
+
+  detach(socket) {
+    const sockets = this.sockets.get(socket.stream);
+    if (sockets) sockets.delete(socket);
+  }
+
+  /**
+   * Resultado REST gravado vigente no relógio da captura
+   */
+  getSnapshot(stream) {
+    const name = sanitizeStream(stream);
+    let data = this.snapshots.get(name);
+
+    // Gravado só depois do início: usar o primeiro disponível
+    if (data === undefined) {
+      const head = this.heads.find(item => item.stream === name);
+      data = head ? head.event.d : undefined;
+    }
+
+    if (data === undefined) {
+      throw new Error(`Snapshot ${name} não encontrado na captura`);
+    }
+
+    return JSON.parse(data);
+  }
+
+  /**
+   * Relógio da captura (timestamp da última mensagem entregue)
+   */
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Inicia a reprodução (depois que os coletores abriram os sockets)
+   */
+  start() {
+    if (this.started) return this.getStatus();
+
+    this.started = true;
+    this.setAnchor();
+    this.run();
+    this.logger.success(`Playback iniciado (${this.config.speed}x)`);
+    return this.getStatus();
+  }
+
+  stop() {
+    this.stopped = true;
+    this.sockets.forEach(sockets => {
+      Array.from(sockets).forEach(socket => socket.close());
+    });
+  }
+
+  pause() {
+    this.paused = true;
+    return this.getStatus();
+  }
+
+  resume() {
+    if (this.paused) {
+      this.paused = false;
+      this.setAnchor();
+      this.run();
+    }
+    return this.getStatus();
+  }
+
+  setSpeed(speed) {
+    const value = parseFloat(speed);
+    if (value > 0) {
+      this.config.speed = value;
+      this.setAnchor();
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Entrega as próximas mensagens imediatamente (pausado: tick a tick)
+   */
+  async step(count = 1) {
+    if (!this.paused) {
+      const error = new Error('Pause o playback antes de avançar tick a tick');
+      error.status = 400;
+      throw error;
+    }
+
+    // Esperar o loop de reprodução sair (entrega em andamento)
+    while (this.running) {
+      await new Promise(resolve => setTimeout(resolve, this.config.maxSleep));
+    }
+
+    for (let i = 0; i < count; i++) {
+      const head = this.nextHead();
+      if (!head) {
+        this.finish();
+        break;
+      }
+      await this.dispatch(head);
+    }
+    return this.getStatus();
+  }
+
+  setAnchor() {
+    this.anchor = { capture: this.currentTime, wall: Date.now() };
+  }
+
+  /**
+   * Tempo da captura que já deveria ter sido reproduzido
+   */
+  clock() {
+    return this.anchor.capture + (Date.now() - this.anchor.wall) * this.config.speed;
+  }
+
+  nextHead() {
+    let next = null;
+    this.heads.forEach(head => {
+      if (!next || head.event.t < next.event.t) next = head;
+    });
+    return next;
+  }
+
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (!this.paused && !this.stopped) {
+        const head = this.nextHead();
+        if (!head) {
+          this.finish();
+          break;
+        }
+
+        const delay = (head.event.t - this.clock()) / this.config.speed;
+        if (delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, Math.min(delay, this.config.maxSleep)));
+          continue;
+        }
+
+        await this.dispatch(head);
+      }
+    } catch (error) {
+      this.logger.error('Erro no playback', error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Entrega a mensagem da cabeça e avança o stream
+   */
+  async dispatch(head) {
+    const event = head.event;
+
+    // Relógio antes da entrega: os handlers leem o tempo da própria mensagem
+    this.currentTime = Math.max(this.currentTime, event.t);
+
+    if (head.isRest) {
+      this.snapshots.set(head.stream, event.d);
+    } else {
+      const sockets = this.sockets.get(head.stream);
+      if (sockets) {
+        sockets.forEach(socket => socket.deliver(event.d));
+      }
+    }
+
+    this.dispatched++;
+    this.counts.set(head.stream, this.counts.get(head.stream) + 1);
+
+    const next = await head.iterator.next();
+    head.event = next.done ? null : next.value;
+    if (!head.event) {
+      this.heads = this.heads.filter(item => item !== head);
+    }
+  }
+
+  finish() {
+    if (this.finished) return;
+
+    this.finished = true;
+    this.logger.success(`Playback finalizado: ${this.dispatched} mensagens`);
+    this.emit('finished', this.getStatus());
+  }
+
+  getStatus() {
+    return {
+      mode: 'playback',
+      dir: this.config.dir,
+      from: this.config.from || null,
+      to: Number.isFinite(this.config.to) ? this.config.to : null,
+      startTime: this.startTime,
+      currentTime: this.currentTime,
+      speed: this.config.speed,
+      paused: this.paused,
+      finished: this.finished,
+      dispatched: this.dispatched,
+      streams: Array.from(this.counts.keys()).map(stream => ({
+        stream: stream,
+        dispatched: this.counts.get(stream),
+        sockets: this.sockets.has(stream) ? this.sockets.get(stream).size : 0
+      }))
+    };
+  }
+}
+
+module.exports = CapturePlayer;
@@ -0,0 +1,185 @@
+/**
+ * CaptureWriter - Grava as mensagens de um stream em NDJSON comprimido (gzip)
+ *
+ * ROTAÇÃO: novo arquivo a cada rotateInterval ou ao atingir maxFileBytes
+ * (bytes antes da compressão). O gzip é descarregado a cada flushInterval,
+ * então o arquivo em gravação pode ser lido até o último flush.
+ *
+ * BACKPRESSURE: quando o gzip não aceita mais dados (write() === false) as
+ * mensagens são descartadas (contadas em dropped) até o 'drain' - o socket
+ * ao vivo não pode esperar pelo disco.
+ * ERRO de escrita (disco cheio, permissão, ...): registra e desativa a
+ * gravação deste stream; o coletor continua normalmente.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const Logger = require('../utils/logger');
+const { captureFilePath } = require('./CaptureFiles');
+
+class CaptureWriter {
+  constructor(dir, stream, config = {}) {
+    this.dir = dir;
+    this.stream = stream;
+    this.config = {
+      rotateInterval: config.rotateInterval || 60 * 60 * 1000, // 1 hora
+      maxFileBytes: config.maxFileBytes || 100 * 1024 * 1024,  // 100 MB
+      flushInterval: config.flushInterval || 5000
+    };
+
+    this.logger = new Logger(`CaptureWriter:${stream}`);
+
+    // Arquivo atual
+    this.gzip = null;
+    this.output = null;
+    this.file = null;
+    this.fileStart = 0;
+    this.fileBytes = 0;
+    this.flushTimer = null;
+    this.draining = false;
+
+    // Erro de escrita: gravação do stream desativada
+    this.disabled = false;
+    this.error = null;
+
+    // Totais
+    this.messages = 0;
+    this.bytes = 0;
+    this.files = 0;
+    this.dropped = 0;
+    this.lastMessage = 0;
+  }
+
+  /**
+   * Grava uma mensagem
+   * @param {string} data - Payload bruto
+   * @param {number} time - Timestamp de recebimento (ms)
+   */
+  write(data, time = Date.now()) {
+    if (this.disabled) return;
+
+    if (!this.gzip || this.shouldRotate(time)) {
+      try {
+        this.rotate(time);
+      } catch (error) {
+        this.fail(error);
+        return;
+      }
+    }
+
+    if (this.draining) {
+      this.dropped++;
+      return;
+    }
+
+    const line = JSON.stringify({ t: time, d: data }) + '\n';
+    if (!this.gzip.write(line)) {
+      const gzip = this.gzip;
+      this.draining = true;
+      this.logger.warn(`Gravação atrasada em ${this.file}: descartando mensagens até o drain`);
+      gzip.once('drain', () => {
+        if (this.gzip !== gzip) return;
+        this.draining = false;
+        this.logger.info(`Gravação retomada em ${this.file} (${this.dropped} mensagens descartadas no total)`);
+      });
+    }
+
+    this.fileBytes += line.length;
+    this.bytes += line.length;
+    this.messages++;
+    this.lastMessage = time;
+  }
+
+  shouldRotate(time) {
+    return time - this.fileStart >= this.config.rotateInterval ||
+      this.fileBytes >= this.config.maxFileBytes;
+  }
+
+  /**
+   * Fecha o arquivo atual e abre o próximo
+   */
+  rotate(time) {
+    this.close();
+
+    // Nunca reutilizar o nome do arquivo anterior (mesmo milissegundo)
+    const start = Math.max(time, this.fileStart + 1);
+    this.file = captureFilePath(this.dir, this.stream, start);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(this.file);
+    gzip.on('error', (error) => this.fail(error));
+    output.on('error', (error) => this.fail(error));
+    gzip.pipe(output);
+
+    this.gzip = gzip;
+    this.output = output;
+    this.draining = false;
+    this.fileStart = start;
+    this.fileBytes = 0;
+    this.files++;
+
+    this.flushTimer = setInterval(() => gzip.flush(), this.config.flushInterval);
+    this.logger.debug(`Novo arquivo de captura: ${this.file}`);
+  }
+
+  /**
+   * Erro no gzip ou no arquivo: descarta o arquivo atual e desativa o stream
+   */
+  fail(error) {
+    if (this.disabled) return;
+
+    this.disabled = true;
+    this.error = error.message;
+    this.logger.error(`Erro ao gravar ${this.file}: captura de ${this.stream} desativada`, error.message);
+
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.gzip) {
+      this.gzip.unpipe();
+      this.gzip.destroy();
+      this.output.destroy();
+      this.gzip = null;
+      this.output = null;
+    }
+  }
+
+  /**
+   * Finaliza o arquivo atual (gzip completo)
+   * @returns {Promise} - Resolve quando o arquivo foi escrito em disco
+   */
+  close() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (!this.gzip) return Promise.resolve();
+
+    const output = this.output;
+    const closed = new Promise(resolve => output.on('close', resolve));
+    this.gzip.end();
+    this.gzip = null;
+    this.output = null;
+    return closed;
+  }
+
+  getStats() {
+    return {
+      stream: this.stream,
+      file: this.file,
+      messages: this.messages,
+      bytes: this.bytes,
+      files: this.files,
+      dropped: this.dropped,
+      disabled: this.disabled,
+      error: this.error,
+      lastMessage: this.lastMessage
+    };
+  }
+}
+
+module.exports = CaptureWriter;
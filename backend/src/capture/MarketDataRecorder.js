@@ -0,0 +1,93 @@
+/**
+ * MarketDataRecorder - Grava as mensagens brutas dos WebSockets e snapshots REST
+ *
+ * Cada stream ganha um CaptureWriter próprio (arquivos rotativos em
+ * <dir>/<stream>/). O timestamp gravado é o de recebimento, que é o que os
+ * coletores usam (Date.now()) para janelas e detecções.
+ *
+ * Ativado com CAPTURE_DIR (ver capture/MarketDataSource.js).
+ */
+
+const Logger = require('../utils/logger');
+const CaptureWriter = require('./CaptureWriter');
+const { sanitizeStream } = require('./CaptureFiles');
+
+class MarketDataRecorder {
+  constructor(config = {}) {
+    this.config = {
+      dir: config.dir,
+      rotateInterval: config.rotateInterval,
+      maxFileBytes: config.maxFileBytes,
+      flushInterval: config.flushInterval,
+      restInterval: config.restInterval || 60000 // mínimo entre snapshots REST do mesmo tipo
+    };
+
+    if (!this.config.dir) {
+      throw new Error('MarketDataRecorder requer o diretório de captura (dir)');
+    }
+
+    this.logger = new Logger('MarketDataRecorder');
+
+    this.writers = new Map();    // stream -> CaptureWriter
+    this.lastSnapshot = new Map(); // stream REST -> timestamp da última gravação
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Grava toda mensagem recebida pelo socket
+   */
+  attach(stream, ws) {
+    ws.on('message', (data) => this.record(stream, data.toString()));
+  }
+
+  /**
+   * Grava uma mensagem bruta
+   */
+  record(stream, data, time = Date.now()) {
+    const name = sanitizeStream(stream);
+    let writer = this.writers.get(name);
+
+    if (!writer) {
+      writer = new CaptureWriter(this.config.dir, name, this.config);
+      this.writers.set(name, writer);
+      this.logger.info(`Gravando stream ${name}`);
+    }
+
+    writer.write(data, time);
+  }
+
+  /**
+   * Grava o resultado de uma chamada REST (respeitando restInterval)
+   * @param {boolean} throttle - false para snapshots que não podem faltar (ex: resync de book)
+   */
+  recordSnapshot(stream, result, time = Date.now(), throttle = true) {
+    const last = this.lastSnapshot.get(stream) || 0;
+    if (throttle && time - last < this.config.restInterval) return;
+
+    this.lastSnapshot.set(stream, time);
+    this.record(stream, JSON.stringify(result), time);
+  }
+
+  /**
+   * Finaliza todos os arquivos
+   */
+  async stop() {
+    await Promise.all(Array.from(this.writers.values()).map(writer => writer.close()));
+    this.logger.info(`Captura finalizada: ${this.writers.size} streams em ${this.config.dir}`);
+  }
+
+  getStatus() {
+    const streams = Array.from(this.writers.values()).map(writer => writer.getStats());
+
+    return {
+      mode: 'record',
+      dir: this.config.dir,
+      startTime: this.startTime,
+      messages: streams.reduce((sum, item) => sum + item.messages, 0),
+      bytes: streams.reduce((sum, item) => sum + item.bytes, 0),
+      streams: streams
+    };
+  }
+}
+
+module.exports = MarketDataRecorder;
@@ -0,0 +1,92 @@
+/**
+ * MarketDataSource - Origem dos dados de mercado dos coletores
+ *
+ * Todos os WebSockets e chamadas REST de carga dos coletores passam por aqui:
+ * - live     - WebSocket / REST reais (padrão)
+ * - record   - live + gravação em CAPTURE_DIR (MarketDataRecorder)
+ * - playback - Sockets e snapshots vêm da captura em PLAYBACK_DIR (CapturePlayer)
+ *
+ * O modo é definido uma vez na inicialização (index.js), antes de criar os
+ * coletores.
+ */
+
+const WebSocket = require('ws');
+const { REST_PREFIX, sanitizeStream, streamFromUrl } = require('./CaptureFiles');
+
+let recorder = null;
+let player = null;
+
+function setRecorder(value) {
+  recorder = value;
+}
+
+function setPlayer(value) {
+  player = value;
+}
+
+function getRecorder() {
+  return recorder;
+}
+
+function getPlayer() {
+  return player;
+}
+
+function getMode() {
+  if (player) return 'playback';
+  if (recorder) return 'record';
+  return 'live';
+}
+
+/**
+ * Abre um WebSocket (ou o socket de playback equivalente)
+ * @param {string} url
+ * @param {string} stream - Nome do stream na captura (padrão: derivado da URL)
+ */
+function createSocket(url, stream = streamFromUrl(url)) {
+  if (player) return player.createSocket(stream);
+
+  const ws = new WebSocket(url);
+  if (recorder) recorder.attach(sanitizeStream(stream), ws);
+  return ws;
+}
+
+/**
+ * Executa uma chamada REST de carga/polling (ou devolve o snapshot gravado)
+ * @param {string} key - Ex: 'BTC.binance.greeks' (gravado como rest.BTC.binance.greeks)
+ * @param {Function} fn - async () => resultado serializável em JSON
+ * @param {object} options - { throttle: false } grava toda chamada (padrão: 1 por restInterval)
+ */
+async function fetchSnapshot(key, fn, options = {}) {
+  const stream = sanitizeStream(`${REST_PREFIX}${key}`);
+  if (player) return player.getSnapshot(stream);
+
+  const result = await fn();
+  if (recorder) recorder.recordSnapshot(stream, result, Date.now(), options.throttle !== false);
+  return result;
+}
+
+/**
+ * Relógio dos dados: tempo da captura no playback, Date.now() nos demais modos
+ */
+function now() {
+  return player && player.now() ? player.now() : Date.now();
+}
+
+function getStatus() {
+  if (player) return player.getStatus();
+  if (recorder) return recorder.getStatus();
+  return { mode: 'live' };
+}
+
+module.exports = {
+  setRecorder,
+  setPlayer,
+  getRecorder,
+  getPlayer,
+  getMode,
+  createSocket,
+  fetchSnapshot,
+  now,
+  getStatus
+};
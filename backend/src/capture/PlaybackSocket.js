@@ -0,0 +1,54 @@
+/**
+ * PlaybackSocket - Substituto do WebSocket (ws) alimentado pelo CapturePlayer
+ *
+ * Expõe o subconjunto usado pelos coletores: eventos open / message / close /
+ * error, readyState, send() e close(). Mensagens enviadas (subscribe,
+ * heartbeat) são descartadas: a captura já contém as respostas.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+class PlaybackSocket extends EventEmitter {
+  constructor(stream, player) {
+    super();
+
+    this.stream = stream;
+    this.player = player;
+    this.readyState = WebSocket.CONNECTING;
+
+    // Abre no próximo tick, depois que o coletor registrou os handlers
+    setImmediate(() => this.open());
+  }
+
+  open() {
+    if (this.readyState !== WebSocket.CONNECTING) return;
+    this.readyState = WebSocket.OPEN;
+    this.emit('open');
+  }
+
+  /**
+   * Entrega uma mensagem gravada (Buffer, como o ws)
+   */
+  deliver(data) {
+    this.open(); // mensagem antes do próximo tick: abrir antes de entregar
+    if (this.readyState !== WebSocket.OPEN) return;
+    this.emit('message', Buffer.from(data));
+  }
+
+  send() {}
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === WebSocket.CLOSED) return;
+
+    this.readyState = WebSocket.CLOSED;
+    this.player.detach(this);
+    this.emit('close', code, Buffer.from(reason));
+  }
+
+  terminate() {
+    this.close(1006);
+  }
+}
+
+module.exports = PlaybackSocket;
@@ -1,22 +1,30 @@
 /**
- * DataCollector - Coleta híbrida de dados da Binance Options API
+ * DataCollector - Coleta híbrida de dados de options (Binance, Deribit, ...)
  * Combina WebSocket (mark price + ticker) com REST polling (apenas gregas)
  * EVITA BAN usando WebSocket para volume/bid/ask em vez de REST polling
+ *
+ * O acesso às exchanges fica nos adapters (exchanges/): com várias venues
+ * (OPTION_VENUES=binance,deribit) a chain é agregada e cada Option guarda
+ * sua venue.
  */
 
 require('dotenv').config();
-const WebSocket = require('ws');
-const axios = require('axios');
 const EventEmitter = require('events');
+const axios = require('axios');
 const Logger = require('../utils/logger');
 const Option = require('../models/Option');
 const SpotPriceCollector = require('./SpotPriceCollector');
 const OpenInterestCollector = require('./OpenInterestCollector');
 const LiquidationTracker = require('./LiquidationTracker');
 const OrderBookAnalyzer = require('./OrderBookAnalyzer')
+const FuturesCollector = require('./FuturesCollector');
+const OptionsFlowTracker = require('./OptionsFlowTracker');
+const RealizedVolatilityTracker = require('./RealizedVolatilityTracker');
 const EscapeTypeDetector = require('../calculators/EscapeTypeDetector');
 const GEXCalculator = require('../calculators/GEXCalculator');
-const e = require('express');
+const GreeksEngine = require('../calculators/GreeksEngine');
+const { parseVenueList, createExchangeAdapter } = require('../exchanges/Venues');
+const MarketDataSource = require('../capture/MarketDataSource');
 
 class DataCollector extends EventEmitter {
   constructor(config = {}) {
@@ -25,25 +33,44 @@ class DataCollector extends EventEmitter {
     this.config = {
       wsBaseUrl: config.wsBaseUrl || process.env.WS_BASE_URL || 'wss://nbstream.binance.com/eoptions/stream',
       restBaseUrl: config.restBaseUrl || process.env.REST_BASE_URL || 'https://eapi.binance.com',
+      spotWsUrl: config.spotWsUrl || process.env.SPOT_WS_URL || 'wss://stream.binance.com:9443/ws',
+      spotRestUrl: config.spotRestUrl || process.env.SPOT_REST_URL || 'https://api.binance.com',
+      futuresWsUrl: config.futuresWsUrl || process.env.FUTURES_WS_URL || 'wss://fstream.binance.com/ws',
+      futuresRestUrl: config.futuresRestUrl || process.env.FUTURES_REST_URL || 'https://fapi.binance.com',
+      // Faixas do order book em torno do mid (ex: '0.005,0.01,0.02' = ±0.5%, ±1%, ±2%)
+      orderBookBands: config.orderBookBands || (process.env.ORDERBOOK_BANDS
+        ? process.env.ORDERBOOK_BANDS.split(',').map(parseFloat).filter(band => band > 0)
+        : undefined),
+      // Blocos de options (large prints): prêmio ou notional mínimo em USD
+      flowBlockPremium: config.flowBlockPremium || parseFloat(process.env.FLOW_BLOCK_PREMIUM) || undefined,
+      flowBlockNotional: config.flowBlockNotional || parseFloat(process.env.FLOW_BLOCK_NOTIONAL) || undefined,
       underlying: config.underlying || process.env.DEFAULT_UNDERLYING || 'BTC',
+      venues: parseVenueList(config.venues || process.env.OPTION_VENUES),
       greeksPollingInterval: config.greeksPollingInterval || 5000, // 5 segundos
-      reconnectDelay: config.reconnectDelay || 5000
+      reconnectDelay: config.reconnectDelay || 5000,
+      // 'local'    = gregas do GreeksEngine; REST só para markIV e cross-check (padrão)
+      // 'exchange' = gregas do REST /eapi/v1/mark (fallback)
+      greeksSource: config.greeksSource || process.env.GREEKS_SOURCE || 'local',
+      exchangeGreeksInterval: config.exchangeGreeksInterval || 60000, // polling REST no modo local
+      localGreeksInterval: config.localGreeksInterval || 1000         // throttle do recálculo local
     };
     
-    this.logger = new Logger('DataCollector');
+    this.logger = new Logger(`DataCollector:${this.config.underlying}`);
     
     // Armazenamento de options
     this.options = new Map(); // symbol -> Option
     
-    // WebSocket connections
-    this.wsMarkPrice = null;
-    this.wsTicker = null;
-    this.wsMarkPriceConnected = false;
-    this.wsTickerConnected = false;
+    // Adapters das exchanges: venue -> ExchangeAdapter (REST + WebSockets)
+    this.adapters = this.createAdapters();
     
     // Polling interval
     this.greeksPollingTimer = null;
     
+    // Gregas locais (Black-Scholes)
+    this.greeksEngine = new GreeksEngine();
+    this.localGreeksTimer = null;
+    this.lastLocalGreeksRun = 0;
+    
     // Spot price do underlying
     this.spotPrice = 0;
     this.spotPriceCollector = null;
@@ -57,6 +84,12 @@ class DataCollector extends EventEmitter {
     // Order Book Analyzer (futuros)
     this.orderBookAnalyzer = null;
 
+    // Futuros perpétuos (funding, basis, OI, long/short)
+    this.futuresCollector = null;
+
+    // Fluxo agressor das options (trade stream)
+    this.optionsFlowTracker = null;
+
     // Escape Type Detector
     this.escapeTypeDetector = null;
     this.detectionInterval = null;
@@ -69,6 +102,11 @@ class DataCollector extends EventEmitter {
     this.maxTradesHistory = 100;
     this.tradesWS = null;
 
+    // Volatilidade realizada (klines montadas a partir do trade stream do spot)
+    this.realizedVolTracker = new RealizedVolatilityTracker(this.logger, {
+      now: () => this.getCurrentTime()
+    });
+
     // Connect to trades stream
     this.connectTradesWebSocket();
 
@@ -93,7 +131,8 @@ class DataCollector extends EventEmitter {
       
       // 4. Inicializar coletor de spot price
       this.spotPriceCollector = new SpotPriceCollector({
-        symbol: `${this.config.underlying}USDT`
+        symbol: `${this.config.underlying}USDT`,
+        wsBaseUrl: this.config.spotWsUrl
       });
       
       this.spotPriceCollector.on('price-updated', (data) => {
@@ -101,40 +140,61 @@ class DataCollector extends EventEmitter {
         if (this.gexCalculator) {
           this.gexCalculator.setSpotPrice(data.price);
         }
+        if (this.openInterestCollector) {
+          this.openInterestCollector.setSpotPrice(data.price);
+        }
+        this.scheduleLocalGreeks();
         this.emit('spot-price-updated', data);
       });
       
       this.spotPriceCollector.start();
       this.logger.success('Coletor de spot price iniciado');
+
+      // Klines REST para as janelas longas da vol realizada (não bloqueia o start;
+      // a rotulagem dos escapes espera realizedVolReady)
+      this.realizedVolReady = false;
+      this.backfillRealizedVol()
+        .catch(error => {
+          this.logger.warn(`Backfill da vol realizada falhou: ${error.message}`);
+        })
+        .finally(() => {
+          this.realizedVolReady = true;
+        });
       
-      // 5. Conectar ao WebSocket para mark price
-      this.connectMarkPriceWebSocket();
-      
-      // 6. Conectar ao WebSocket para ticker (volume, bid, ask) - NOVO
-      this.connectTickerWebSocket();
+      // 5-6. Conectar aos WebSockets das venues (mark price, ticker, trades)
+      this.optionsFlowTracker = new OptionsFlowTracker(this.logger, {
+        blockPremium: this.config.flowBlockPremium,
+        blockNotional: this.config.flowBlockNotional
+      });
+      this.optionsFlowTracker.on('block', (print) => {
+        this.emit('options-block', print);
+      });
+      this.connectVenueStreams();
       
       // 7. Iniciar polling APENAS das gregas (não ticker!)
       this.startGreeksPolling();
       
       // 8. Inicializar coletor de Open Interest
       this.openInterestCollector = new OpenInterestCollector({
-        underlying: this.config.underlying
+        underlying: this.config.underlying,
+        adapters: this.getAdapters()
       });
+      this.openInterestCollector.setSpotPrice(this.spotPrice);
       
       this.openInterestCollector.on('updated', (count) => {
         this.updateOptionsWithOI();
         this.emit('oi-updated', count);
       });
       
-      // Obter datas de expiração únicas e iniciar coleta de OI
-      const expiries = this.getUniqueExpiries();
-      await this.openInterestCollector.start(expiries);
+      // Cada adapter consulta os vencimentos que lista
+      await this.openInterestCollector.start();
       this.logger.success('Coletor de Open Interest iniciado');
       
       // 9. Inicializar e conectar LiquidationTracker
       this.liquidationTracker = new LiquidationTracker(
         `${this.config.underlying.toLowerCase()}usdt`,
-        this.logger
+        this.logger,
+        { wsBaseUrl: this.config.futuresWsUrl }
       );
       
       this.liquidationTracker.on('connected', () => {
@@ -163,7 +223,12 @@ class DataCollector extends EventEmitter {
       // 10. Inicializar e conectar OrderBookAnalyzer (futuros)
       this.orderBookAnalyzer = new OrderBookAnalyzer(
         `${this.config.underlying.toLowerCase()}usdt`,
-        this.logger
+        this.logger,
+        {
+          wsBaseUrl: this.config.futuresWsUrl,
+          restBaseUrl: this.config.futuresRestUrl,
+          ...(this.config.orderBookBands ? { bands: this.config.orderBookBands } : {})
+        }
       );
       this.orderBookAnalyzer.on('connected', () => {
         this.logger.success('✅ OrderBookAnalyzer conectado');
@@ -182,9 +247,25 @@ class DataCollector extends EventEmitter {
       this.orderBookAnalyzer.connect();
       this.logger.success('OrderBookAnalyzer iniciado');
 
-      // 11. Inicializar GEXCalculator
+      // 11. Inicializar coletor de futuros (funding, basis, OI, long/short)
+      this.futuresCollector = new FuturesCollector({
+        symbol: `${this.config.underlying}USDT`,
+        wsBaseUrl: this.config.futuresWsUrl,
+        restBaseUrl: this.config.futuresRestUrl
+      });
+      this.futuresCollector.on('updated', (metrics) => {
+        this.emit('futures-updated', metrics);
+      });
+      this.futuresCollector.on('error', (error) => {
+        this.emit('futures-error', error);
+      });
+
+      this.futuresCollector.start();
+      this.logger.success('Coletor de futuros iniciado');
+
+      // 12. Inicializar GEXCalculator
       this.logger.info('[DataCollector] Initializing GEXCalculator...');
-      this.gexCalculator = new GEXCalculator(this.spotPrice);
+      this.gexCalculator = new GEXCalculator(this.spotPrice, { now: () => this.getCurrentTime() });
       this.logger.success('[DataCollector] GEXCalculator initialized');
 
       // Calculate initial GEX metrics
@@ -197,46 +278,7 @@ class DataCollector extends EventEmitter {
       }      
 
       // Inicializar EscapeTypeDetector
-      this.logger.info('[DataCollector] Initializing EscapeTypeDetector...');
-      this.escapeTypeDetector = new EscapeTypeDetector(this);
-
-      // run detection every second
-      this.detectionInterval = setInterval(() => {
-        try {
-          this.escapeTypeDetector.detect();
-        } catch (error) {
-          this.logger.error('[DataCollector] Detection error:', error.message);
-        }
-      }, 1000);
-
-      // Listen for escape detected events
-      this.escapeTypeDetector.on('detection', (detection) => {
-        // this.logger.info(`[escapeTypeDetector] ${detection.type} detected (confidence: ${(detection.confidence * 100).toFixed(0)}%)`);
-      });
-      
-      this.escapeTypeDetector.on('h1_detected', (detection) => {
-        this.logger.info('🚀 [escapeTypeDetector] H1 (Good Escape) detected!');
-        this.logger.info(`   ${detection.interpretation}`);
-      });
-      
-      //this.escapeTypeDetector.on('h2_detected', (detection) => {
-       // this.logger.warn('⚠️ [escapeTypeDetector] H2 (False Escape) detected!');
-       // this.logger.warn(`   ${detection.interpretation}`);
-      //});
-      
-      this.escapeTypeDetector.on('h3_detected', (detection) => {
-        this.logger.error('💀 [escapeTypeDetector] H3 (Liquidity Collapse) detected!');
-        this.logger.error(`   ${detection.interpretation}`);
-      });
-      
-      const ALERTS_MUTED = false; // Mudar para false para ativar alertas
-
-      this.escapeTypeDetector.on('alert', (alert) => {
-        if (!ALERTS_MUTED) return; // Skip if alerts are muted
-        this.logger.warn(`🔔 [escapeTypeDetector] Alert: ${alert.message}`);
-      });
-
-      this.logger.success('[DataCollector] EscapeTypeDetector initialized');
+      this.initEscapeTypeDetector();
 
       
       this.logger.success('DataCollector iniciado com sucesso');
@@ -248,6 +290,96 @@ class DataCollector extends EventEmitter {
     }
   }
 
+  /**
+   * Carrega as klines de 1m do spot (/api/v3/klines) que cobrem a maior
+   * janela do RealizedVolatilityTracker, anteriores ao trade stream
+   * @returns {number} - Barras adicionadas
+   */
+  async backfillRealizedVol() {
+    const tracker = this.realizedVolTracker;
+    const interval = tracker.config.barInterval;
+    const symbol = `${this.config.underlying}USDT`;
+    const limit = 1000; // máximo por request
+
+    const rows = await MarketDataSource.fetchSnapshot(`${this.config.underlying}.spot.klines`, async () => {
+      const end = this.getCurrentTime();
+      let startTime = end - tracker.config.maxBars * interval;
+      const result = [];
+
+      while (startTime < end) {
+        const response = await axios.get(`${this.config.spotRestUrl}/api/v3/klines`, {
+          params: { symbol, interval: `${interval / 60000}m`, startTime, limit }
+        });
+        result.push(...response.data);
+        if (response.data.length < limit) break;
+        startTime = response.data[response.data.length - 1][0] + interval;
+      }
+      return result;
+    }, { throttle: false });
+
+    if (!Array.isArray(rows)) return 0;
+
+    // [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+    const added = tracker.backfill(rows.map(row => ({
+      openTime: row[0],
+      open: parseFloat(row[1]),
+      high: parseFloat(row[2]),
+      low: parseFloat(row[3]),
+      close: parseFloat(row[4]),
+      trades: row[8]
+    })));
+
+    this.logger.success(`Vol realizada: ${added} barras de 1m carregadas das klines do spot`);
+    return added;
+  }
+
+  /**
+   * Inicializa o EscapeTypeDetector (detecção a cada segundo)
+   */
+  initEscapeTypeDetector() {
+    this.logger.info('[DataCollector] Initializing EscapeTypeDetector...');
+    this.escapeTypeDetector = new EscapeTypeDetector(this);
+
+    // run detection every second
+    this.detectionInterval = setInterval(() => {
+      try {
+        this.escapeTypeDetector.detect();
+      } catch (error) {
+        this.logger.error('[DataCollector] Detection error:', error.message);
+      }
+    }, 1000);
+
+    // Listen for escape detected events
+    this.escapeTypeDetector.on('detection', (detection) => {
+      this.emit('escape-detection', detection);
+      // this.logger.info(`[escapeTypeDetector] ${detection.type} detected (confidence: ${(detection.confidence * 100).toFixed(0)}%)`);
+    });
+    
+    this.escapeTypeDetector.on('h1_detected', (detection) => {
+      this.logger.info('🚀 [escapeTypeDetector] H1 (Good Escape) detected!');
+      this.logger.info(`   ${detection.interpretation}`);
+    });
+    
+    //this.escapeTypeDetector.on('h2_detected', (detection) => {
+     // this.logger.warn('⚠️ [escapeTypeDetector] H2 (False Escape) detected!');
+     // this.logger.warn(`   ${detection.interpretation}`);
+    //});
+    
+    this.escapeTypeDetector.on('h3_detected', (detection) => {
+      this.logger.error('💀 [escapeTypeDetector] H3 (Liquidity Collapse) detected!');
+      this.logger.error(`   ${detection.interpretation}`);
+    });
+    
+    const ALERTS_MUTED = false; // Mudar para false para ativar alertas
+
+    this.escapeTypeDetector.on('alert', (alert) => {
+      if (!ALERTS_MUTED) return; // Skip if alerts are muted
+      this.logger.warn(`🔔 [escapeTypeDetector] Alert: ${alert.message}`);
+    });
+
+    this.logger.success('[DataCollector] EscapeTypeDetector initialized');
+  }
+
   /**
    * Para a coleta de dados
    */
@@ -260,6 +392,11 @@ class DataCollector extends EventEmitter {
       this.greeksPollingTimer = null;
     }
     
+    if (this.localGreeksTimer) {
+      clearTimeout(this.localGreeksTimer);
+      this.localGreeksTimer = null;
+    }
+    
     // Parar coletor de spot price
     if (this.spotPriceCollector) {
       this.spotPriceCollector.stop();
@@ -280,6 +417,16 @@ class DataCollector extends EventEmitter {
       this.orderBookAnalyzer.disconnect();
       this.orderBookAnalyzer = null;
     }
+    // Parar OptionsFlowTracker
+    if (this.optionsFlowTracker) {
+      this.optionsFlowTracker.stop();
+      this.optionsFlowTracker = null;
+    }
+    // Parar coletor de futuros
+    if (this.futuresCollector) {
+      this.futuresCollector.stop();
+      this.futuresCollector = null;
+    }
     // Parar intervalo de detecção
     if (this.detectionInterval) {
       clearInterval(this.detectionInterval);
@@ -296,260 +443,226 @@ class DataCollector extends EventEmitter {
     }
     
     // Fechar WebSockets
-    if (this.wsMarkPrice) {
-      this.wsMarkPrice.close();
-      this.wsMarkPrice = null;
-    }
-    
-    if (this.wsTicker) {
-      this.wsTicker.close();
-      this.wsTicker = null;
-    }
+    this.disconnectTradesWebSocket();
+
+    this.getAdapters().forEach(adapter => {
+      adapter.removeAllListeners();
+      adapter.disconnect();
+    });
     
-    this.wsMarkPriceConnected = false;
-    this.wsTickerConnected = false;
     this.logger.success('DataCollector parado');
   }
 
   /**
-   * Carrega informações dos contratos de options
+   * Cria os adapters das venues configuradas
    */
-  async loadExchangeInfo() {
-    this.logger.info('Carregando informações dos contratos...');
-    
-    try {
-      const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/exchangeInfo`);
-      const data = response.data;
-      
-      // Filtrar options do underlying desejado
-      const underlyingAsset = `${this.config.underlying}USDT`;
-      const relevantOptions = data.optionSymbols.filter(opt => opt.underlying === underlyingAsset);
-      
-      // Criar objetos Option
-      relevantOptions.forEach(optData => {
-        const option = new Option(optData);
-        this.options.set(option.symbol, option);
-      });
-      
-      this.logger.success(`${this.options.size} options carregadas para ${this.config.underlying}`);
-      
-    } catch (error) {
-      this.logger.error('Erro ao carregar exchange info', error);
-      throw error;
-    }
+  createAdapters() {
+    const adapters = new Map();
+    this.config.venues.forEach(venue => {
+      adapters.set(venue, createExchangeAdapter(venue, {
+        underlying: this.config.underlying,
+        wsBaseUrl: this.config.wsBaseUrl,
+        restBaseUrl: this.config.restBaseUrl,
+        reconnectDelay: this.config.reconnectDelay
+      }));
+    });
+    return adapters;
+  }
+
+  getAdapters() {
+    return Array.from(this.adapters.values());
   }
 
   /**
-   * Busca gregas via REST API
+   * Executa uma chamada REST em todas as venues (falha de uma não derruba as outras)
+   * Passa pelo MarketDataSource: gravada com CAPTURE_DIR, lida da captura no playback.
+   * @param {string} kind - instruments | greeks | tickers
+   * @returns {Array<{ adapter, result }>}
    */
-  async fetchGreeks() {
-    try {
-      const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/mark`);
-      const data = response.data;
-      
-      let updatedCount = 0;
-      
-      data.forEach(item => {
-        const option = this.options.get(item.symbol);
-        if (option) {
-          option.updateGreeks(item);
-          option.updateMarkPrice(item.markPrice);
-          updatedCount++;
-        }
-      });
-      
-      this.logger.debug(`Gregas atualizadas para ${updatedCount} options`);
-      this.emit('greeks-updated', updatedCount);
-      
-    } catch (error) {
-      this.logger.error('Erro ao buscar gregas', error);
-    }
+  async fetchFromAdapters(kind, fn) {
+    const results = await Promise.all(this.getAdapters().map(async adapter => {
+      try {
+        const key = `${this.config.underlying}.${adapter.venue}.${kind}`;
+        return { adapter, result: await MarketDataSource.fetchSnapshot(key, () => fn(adapter)) };
+      } catch (error) {
+        this.logger.error(`Erro ao buscar ${kind} (${adapter.venue})`, error.message);
+        return { adapter, result: null };
+      }
+    }));
+    return results.filter(item => item.result !== null);
   }
 
   /**
-   * Busca ticker inicial via REST API (UMA VEZ APENAS na inicialização)
+   * Carrega informações dos contratos de options de todas as venues
    */
-  async fetchTickerInitial() {
-    try {
-      this.logger.info('Carregando ticker inicial (volume, bid, ask)...');
-      const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/ticker`);
-      const data = response.data;
-      
-      let updatedCount = 0;
-      
-      data.forEach(item => {
-        const option = this.options.get(item.symbol);
-        if (option) {
-          option.updateTicker({
-            volume: parseFloat(item.volume) || 0,
-            bidPrice: item.bidPrice !== undefined && item.bidPrice !== '' ? parseFloat(item.bidPrice) : null,
-            askPrice: item.askPrice !== undefined && item.askPrice !== '' ? parseFloat(item.askPrice) : null,
-            lastPrice: item.lastPrice !== undefined && item.lastPrice !== '' ? parseFloat(item.lastPrice) : null
-          });
-          updatedCount++;
-        }
+  async loadExchangeInfo() {
+    this.logger.info(`Carregando informações dos contratos (${this.config.venues.join(', ')})...`);
+    
+    const loaded = await this.fetchFromAdapters('instruments', adapter => adapter.loadInstruments());
+    loaded.forEach(({ adapter, result }) => {
+      result.forEach(instrument => {
+        const option = new Option(instrument);
+        this.options.set(option.symbol, option);
       });
-      
-      this.logger.success(`Ticker inicial carregado para ${updatedCount} options`);
-      
-    } catch (error) {
-      this.logger.error('Erro ao buscar ticker inicial', error);
-      // Não lançar erro - continuar mesmo sem ticker inicial
+      this.logger.success(`${result.length} options carregadas para ${this.config.underlying} (${adapter.venue})`);
+    });
+    
+    if (this.options.size === 0) {
+      throw new Error(`Nenhuma option carregada para ${this.config.underlying}`);
     }
   }
 
   /**
-   * Conecta ao WebSocket para mark price em tempo real
+   * Busca gregas via REST API
    */
-  connectMarkPriceWebSocket() {
-    const streamName = `${this.config.underlying}@markPrice`;
-    const wsUrl = `${this.config.wsBaseUrl}?streams=${streamName}`;
-    
-    this.logger.info(`Conectando ao WebSocket Mark Price: ${streamName}`);
-    
-    this.wsMarkPrice = new WebSocket(wsUrl);
-    
-    this.wsMarkPrice.on('open', () => {
-      this.wsMarkPriceConnected = true;
-      this.logger.success('WebSocket Mark Price conectado');
-      this.emit('ws-markprice-connected');
-    });
-    
-    this.wsMarkPrice.on('message', (data) => {
-      this.handleMarkPriceMessage(data);
-    });
+  async fetchGreeks() {
+    const results = await this.fetchFromAdapters('greeks', adapter => adapter.fetchGreeks());
+    let updatedCount = 0;
     
-    this.wsMarkPrice.on('error', (error) => {
-      this.logger.error('Erro no WebSocket Mark Price', error);
-      this.emit('ws-markprice-error', error);
+    results.forEach(({ result }) => {
+      updatedCount += this.applyGreeks(result);
     });
     
-    this.wsMarkPrice.on('close', () => {
-      this.wsMarkPriceConnected = false;
-      this.logger.warn('WebSocket Mark Price desconectado');
-      this.emit('ws-markprice-disconnected');
-      
-      // Tentar reconectar
-      setTimeout(() => {
-        if (!this.wsMarkPriceConnected) {
-          this.logger.info('Tentando reconectar WebSocket Mark Price...');
-          this.connectMarkPriceWebSocket();
-        }
-      }, this.config.reconnectDelay);
-    });
+    this.logger.debug(`Gregas atualizadas para ${updatedCount} options`);
+    this.emit('greeks-updated', updatedCount);
   }
 
   /**
-   * Conecta ao WebSocket para ticker (volume, bid, ask) em tempo real - NOVO
+   * Busca ticker inicial via REST API (UMA VEZ APENAS na inicialização)
    */
-  connectTickerWebSocket() {
-    const streamName = `${this.config.underlying}@ticker`;
-    const wsUrl = `${this.config.wsBaseUrl}?streams=${streamName}`;
-    
-    this.logger.info(`Conectando ao WebSocket Ticker: ${streamName}`);
-    
-    this.wsTicker = new WebSocket(wsUrl);
-    
-    this.wsTicker.on('open', () => {
-      this.wsTickerConnected = true;
-      this.logger.success('WebSocket Ticker conectado');
-      this.emit('ws-ticker-connected');
-    });
+  async fetchTickerInitial() {
+    this.logger.info('Carregando ticker inicial (volume, bid, ask)...');
     
-    this.wsTicker.on('message', (data) => {
-      this.handleTickerMessage(data);
-    });
+    // Não lançar erro - continuar mesmo sem ticker inicial
+    const results = await this.fetchFromAdapters('tickers', adapter => adapter.fetchTickers());
+    let updatedCount = 0;
     
-    this.wsTicker.on('error', (error) => {
-      this.logger.error('Erro no WebSocket Ticker', error);
-      this.emit('ws-ticker-error', error);
+    results.forEach(({ result }) => {
+      updatedCount += this.applyTickers(result);
     });
     
-    this.wsTicker.on('close', () => {
-      this.wsTickerConnected = false;
-      this.logger.warn('WebSocket Ticker desconectado');
-      this.emit('ws-ticker-disconnected');
-      
-      // Tentar reconectar
-      setTimeout(() => {
-        if (!this.wsTickerConnected) {
-          this.logger.info('Tentando reconectar WebSocket Ticker...');
-          this.connectTickerWebSocket();
-        }
-      }, this.config.reconnectDelay);
-    });
+    this.logger.success(`Ticker inicial carregado para ${updatedCount} options`);
   }
 
   /**
-   * Processa mensagens do WebSocket Mark Price
+   * Conecta os streams de todas as venues (mark price, ticker, gregas, OI, trades)
    */
-  handleMarkPriceMessage(data) {
-    try {
-      const message = JSON.parse(data);
+  connectVenueStreams() {
+    this.getAdapters().forEach(adapter => {
+      adapter.on('markprice', (records) => {
+        records.forEach(item => {
+          const option = this.options.get(item.symbol);
+          if (option && item.markPrice) {
+            option.updateMarkPrice(item.markPrice);
+          }
+        });
+        this.emit('markprice-updated', records.length);
+      });
       
-      if (message.data && Array.isArray(message.data)) {
-        const optionsData = message.data;
-        
-        optionsData.forEach(item => {
-          const option = this.options.get(item.s); // s = symbol
-          if (option && item.mp) { // mp = mark price
-            option.updateMarkPrice(item.mp);
+      adapter.on('ticker', (records) => {
+        const updatedCount = this.applyTickers(records);
+        if (updatedCount > 0) {
+          this.emit('ticker-updated', updatedCount);
+        }
+      });
+      
+      adapter.on('greeks', (records) => {
+        this.applyGreeks(records);
+      });
+      
+      adapter.on('open-interest', (records) => {
+        records.forEach(item => {
+          const option = this.options.get(item.symbol);
+          if (option) {
+            option.updateOpenInterest(item.openInterest);
           }
         });
+      });
+      
+      adapter.on('trade', (trade) => {
+        const option = this.options.get(trade.symbol);
+        if (!option) return;
         
-        this.emit('markprice-updated', optionsData.length);
-      }
+        // Agressor classificado contra o bid/ask vigente (fallback: lado do taker da exchange)
+        const print = this.optionsFlowTracker
+          ? this.optionsFlowTracker.addTrade(trade, option, this.spotPrice)
+          : null;
+        option.updateTradeFlow(print ? { ...trade, side: print.aggressor } : trade);
+        this.emit('option-trade', { ...trade, venue: adapter.venue });
+      });
       
-    } catch (error) {
-      this.logger.error('Erro ao processar mensagem WebSocket Mark Price', error);
-    }
+      adapter.on('stream-connected', (stream) => {
+        this.emit('ws-stream-connected', { venue: adapter.venue, stream });
+      });
+      
+      adapter.on('stream-disconnected', (stream) => {
+        this.emit('ws-stream-disconnected', { venue: adapter.venue, stream });
+      });
+      
+      adapter.on('error', (error) => {
+        this.emit('ws-error', { venue: adapter.venue, error });
+      });
+      
+      adapter.connect();
+    });
   }
 
   /**
-   * Processa mensagens do WebSocket Ticker - NOVO
+   * Aplica gregas/mark normalizados pelos adapters
+   * Registros sem delta (ex: book summary da Deribit) só atualizam mark e IV
    */
-  handleTickerMessage(data) {
-    try {
-      const message = JSON.parse(data);
+  applyGreeks(records) {
+    let updatedCount = 0;
+    
+    records.forEach(item => {
+      const option = this.options.get(item.symbol);
+      if (!option) return;
       
-      if (message.data && Array.isArray(message.data)) {
-        const tickerData = message.data;
-        
-        let updatedCount = 0;
-        
-        tickerData.forEach(item => {
-          const option = this.options.get(item.s); // s = symbol
-          if (option) {
-            option.updateTicker({
-              volume: item.v ? parseFloat(item.v) : 0,           // v = volume
-              bidPrice: item.b ? parseFloat(item.b) : null,      // b = bid price
-              askPrice: item.a ? parseFloat(item.a) : null,      // a = ask price
-              lastPrice: item.c ? parseFloat(item.c) : null      // c = close/last price
-            });
-            updatedCount++;
-          }
-        });
-        
-        if (updatedCount > 0) {
-          this.emit('ticker-updated', updatedCount);
-        }
+      if (item.delta !== undefined) {
+        option.updateGreeks(item);
+      } else if (item.markIV !== undefined) {
+        option.updateTicker({ markIV: item.markIV });
       }
-      
-    } catch (error) {
-      this.logger.error('Erro ao processar mensagem WebSocket Ticker', error);
-    }
+      if (item.markPrice) {
+        option.updateMarkPrice(item.markPrice);
+      }
+      updatedCount++;
+    });
+    
+    return updatedCount;
+  }
+
+  /**
+   * Aplica tickers (volume, bid, ask, último, IV) normalizados pelos adapters
+   */
+  applyTickers(records) {
+    let updatedCount = 0;
+    
+    records.forEach(item => {
+      const option = this.options.get(item.symbol);
+      if (option) {
+        option.updateTicker(item);
+        updatedCount++;
+      }
+    });
+    
+    return updatedCount;
   }
 
   /**
    * Inicia polling periódico APENAS das gregas (não ticker!)
    */
   startGreeksPolling() {
-    this.logger.info(`Iniciando polling de gregas (intervalo: ${this.config.greeksPollingInterval}ms)`);
+    const localMode = this.config.greeksSource === 'local';
+    const interval = localMode ? this.config.exchangeGreeksInterval : this.config.greeksPollingInterval;
+    
+    this.logger.info(`Iniciando polling de gregas (intervalo: ${interval}ms, fonte: ${this.config.greeksSource})`);
     this.logger.info('Ticker será atualizado via WebSocket em tempo real');
     
     this.greeksPollingTimer = setInterval(async() => {
       try {
         await this.fetchGreeks();
+        this.updateLocalGreeks();
         // Recalculate GEX metrics after greeks update
         if (this.gexCalculator && this.options.size > 0) {
           const optionsArray = Array.from(this.options.values());
@@ -560,14 +673,89 @@ class DataCollector extends EventEmitter {
         this.logger.error('Erro no polling de gregas:', error.message);
       }
       
-    }, this.config.greeksPollingInterval);
+    }, interval);
+  }
+
+  /**
+   * Agenda recálculo das gregas locais (throttle por localGreeksInterval)
+   */
+  scheduleLocalGreeks() {
+    if (this.localGreeksTimer) return;
+    
+    const elapsed = Date.now() - this.lastLocalGreeksRun;
+    const delay = Math.max(0, this.config.localGreeksInterval - elapsed);
+    
+    this.localGreeksTimer = setTimeout(() => {
+      this.localGreeksTimer = null;
+      this.updateLocalGreeks();
+    }, delay);
+  }
+
+  /**
+   * Recalcula as gregas locais com o spot atual
+   * No modo 'local' as gregas locais substituem as da exchange
+   */
+  updateLocalGreeks() {
+    if (!this.spotPrice || this.options.size === 0) return;
+    
+    try {
+      const localMode = this.config.greeksSource === 'local';
+      const count = this.greeksEngine.updateOptions(this.getAllOptions(), this.spotPrice, localMode, this.getCurrentTime());
+      this.lastLocalGreeksRun = Date.now();
+      
+      this.logger.debug(`Gregas locais calculadas para ${count} options`);
+      this.emit('local-greeks-updated', count);
+      
+      if (localMode) {
+        this.emit('greeks-updated', count);
+      }
+    } catch (error) {
+      this.logger.error('Erro ao calcular gregas locais', error);
+    }
+  }
+
+  /**
+   * Compara gregas locais com as da Binance
+   */
+  getGreeksCrossCheck(thresholds = {}) {
+    return this.greeksEngine.crossCheck(this.getAllOptions(), thresholds);
+  }
+
+  /**
+   * Obtém todas as options (chain agregada) ou só as de uma venue
+   */
+  getAllOptions(venue = null) {
+    const options = Array.from(this.options.values());
+    return venue ? options.filter(opt => opt.venue === venue) : options;
+  }
+
+  /**
+   * Venues configuradas
+   */
+  getVenues() {
+    return this.config.venues;
+  }
+
+  /**
+   * Stream conectado em todas as venues
+   */
+  isVenueStreamConnected(stream) {
+    const adapters = this.getAdapters();
+    return adapters.length > 0 && adapters.every(adapter => adapter.isConnected(stream));
   }
 
   /**
-   * Obtém todas as options
+   * Conexão, contratos e OI por venue
    */
-  getAllOptions() {
-    return Array.from(this.options.values());
+  getVenueStats() {
+    return this.getAdapters().map(adapter => {
+      const options = this.getAllOptions(adapter.venue);
+      return {
+        ...adapter.getStatus(),
+        options: options.length,
+        totalOI: options.reduce((sum, opt) => sum + opt.openInterest, 0)
+      };
+    });
   }
 
   /**
@@ -589,7 +777,7 @@ class DataCollector extends EventEmitter {
    */
   getOptionsByExpiry(expiryDate) {
     return this.getAllOptions().filter(opt => 
-      opt.expiryDate && opt.expiryDate.getTime() === expiryDate.getTime()
+      opt.getExpiryMs() === expiryDate.getTime()
     );
   }
 
@@ -608,8 +796,8 @@ class DataCollector extends EventEmitter {
   getUniqueExpiries() {
     const expiries = new Set();
     this.options.forEach(opt => {
-      if (opt.expiryDate) {
-        const timestamp = opt.expiryDate instanceof Date ? opt.expiryDate.getTime() : opt.expiryDate;
+      const timestamp = opt.getExpiryMs();
+      if (Number.isFinite(timestamp)) {
         expiries.add(timestamp);
       }
     });
@@ -633,6 +821,94 @@ class DataCollector extends EventEmitter {
     this.logger.debug(`Open Interest atualizado para ${updatedCount} options`);
   }
 
+  /**
+   * Variação de OI por símbolo e por strike na janela, com o posicionamento
+   * classificado pelo movimento do spot no mesmo período
+   * @param {string} window - '1h' | '4h' | '24h'
+   * @param {string|null} expiry - YYYY-MM-DD
+   * @param {number} freshLimit - Strikes com posicionamento novo mais relevantes
+   */
+  getOIChanges(window = '1h', expiry = null, freshLimit = 10) {
+    if (!this.openInterestCollector) {
+      throw new Error('OpenInterestCollector não inicializado');
+    }
+
+    const collector = this.openInterestCollector;
+    const price = collector.getPriceChange(window);
+
+    const symbols = collector.getSymbolChanges(window)
+      .map(item => {
+        const option = this.options.get(item.symbol);
+        if (!option) return null;
+        return {
+          ...item,
+          strike: option.strike,
+          side: option.side,
+          expiry: option.expiryDate ? option.expiryDate.toISOString().split('T')[0] : null
+        };
+      })
+      .filter(item => item && (!expiry || item.expiry === expiry));
+
+    // Por strike (calls + puts de todos os vencimentos selecionados)
+    const strikes = new Map();
+    symbols.forEach(item => {
+      if (!strikes.has(item.strike)) {
+        strikes.set(item.strike, { strike: item.strike, openInterest: 0, previous: 0, callChange: 0, putChange: 0 });
+      }
+      const entry = strikes.get(item.strike);
+      entry.openInterest += item.openInterest;
+      entry.previous += item.previous;
+      if (item.side === 'CALL') entry.callChange += item.change;
+      else entry.putChange += item.change;
+    });
+
+    const byStrike = Array.from(strikes.values())
+      .sort((a, b) => a.strike - b.strike)
+      .map(entry => {
+        const change = entry.callChange + entry.putChange;
+        const changePct = entry.previous > 0 ? change / entry.previous : null;
+        return {
+          ...entry,
+          change: change,
+          changePct: changePct,
+          positioning: collector.classifyPositioning(changePct, price.changePct)
+        };
+      });
+
+    const totals = byStrike.reduce((acc, entry) => {
+      acc.openInterest += entry.openInterest;
+      acc.previous += entry.previous;
+      acc.callChange += entry.callChange;
+      acc.putChange += entry.putChange;
+      return acc;
+    }, { openInterest: 0, previous: 0, callChange: 0, putChange: 0 });
+    totals.change = totals.callChange + totals.putChange;
+    totals.changePct = totals.previous > 0 ? totals.change / totals.previous : null;
+    totals.positioning = collector.classifyPositioning(totals.changePct, price.changePct);
+
+    // Posicionamento novo: maiores variações absolutas com classificação relevante
+    const fresh = byStrike
+      .filter(entry => entry.positioning !== 'NO_CHANGE')
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+      .slice(0, freshLimit);
+
+    return {
+      window: window,
+      expiry: expiry,
+      price: price,
+      totals: totals,
+      byStrike: byStrike,
+      fresh: fresh,
+      symbols: symbols
+        .filter(item => item.change !== 0)
+        .map(item => ({
+          ...item,
+          positioning: collector.classifyPositioning(item.changePct, price.changePct)
+        }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    };
+  }
+
   /**
    * Get Liquidation metrics
    */
@@ -665,6 +941,7 @@ class DataCollector extends EventEmitter {
  * Obter métricas do OrderBookAnalyzer
  */
   getOrderBookMetrics() {
+    if (!this.orderBookAnalyzer) return null;
     const metrics = this.orderBookAnalyzer.getMetrics();
 
     // // ADICIONAR LOG:
@@ -690,11 +967,11 @@ class DataCollector extends EventEmitter {
     return this.orderBookAnalyzer.getBookImbalance();
   }
 
-  getOrderBookDepth() {
+  getOrderBookDepth(band) {
     if (!this.orderBookAnalyzer) {
       throw new Error('OrderBookAnalyzer não inicializado');
     }
-    return this.orderBookAnalyzer.getDepth();
+    return this.orderBookAnalyzer.getDepth(band);
   }
 
   getOrderBookSpread() {
@@ -704,11 +981,11 @@ class DataCollector extends EventEmitter {
     return this.orderBookAnalyzer.getSpreadQuality();
   }
 
-  getOrderBookWalls() {
+  getOrderBookWalls(band) {
     if (!this.orderBookAnalyzer) {
       throw new Error('OrderBookAnalyzer não inicializado');
     }
-    return this.orderBookAnalyzer.getWalls();
+    return this.orderBookAnalyzer.getWalls(band);
   }
 
   getOrderBookEnergy() {
@@ -725,6 +1002,77 @@ class DataCollector extends EventEmitter {
     return this.orderBookAnalyzer.getHistory();
   }
 
+  /**
+   * Métricas dos futuros perpétuos (funding, basis, OI, long/short)
+   */
+  getFuturesMetrics() {
+    if (!this.futuresCollector) return null;
+    return this.futuresCollector.getMetrics();
+  }
+
+  getFuturesFunding() {
+    if (!this.futuresCollector) {
+      throw new Error('FuturesCollector não inicializado');
+    }
+    return this.futuresCollector.getFunding();
+  }
+
+  getFuturesBasis() {
+    if (!this.futuresCollector) {
+      throw new Error('FuturesCollector não inicializado');
+    }
+    return this.futuresCollector.getBasis();
+  }
+
+  getFuturesOpenInterest() {
+    if (!this.futuresCollector) {
+      throw new Error('FuturesCollector não inicializado');
+    }
+    return this.futuresCollector.getOpenInterest();
+  }
+
+  getFuturesLongShort() {
+    if (!this.futuresCollector) {
+      throw new Error('FuturesCollector não inicializado');
+    }
+    return this.futuresCollector.getLongShort();
+  }
+
+  getFuturesEnergy() {
+    if (!this.futuresCollector) {
+      throw new Error('FuturesCollector não inicializado');
+    }
+    return this.futuresCollector.getEnergyScore();
+  }
+
+  /**
+   * Fluxo agressor das options (prêmio, delta e gamma líquidos)
+   */
+  getOptionsFlow(window, expiry) {
+    if (!this.optionsFlowTracker) {
+      throw new Error('OptionsFlowTracker não inicializado');
+    }
+    return {
+      ...this.optionsFlowTracker.getFlow(window, expiry),
+      summary: this.optionsFlowTracker.getSummary(expiry)
+    };
+  }
+
+  getOptionsFlowBlocks(limit) {
+    if (!this.optionsFlowTracker) {
+      throw new Error('OptionsFlowTracker não inicializado');
+    }
+    return this.optionsFlowTracker.getBlocks(limit);
+  }
+
+  /**
+   * Volatilidade realizada do spot (close-to-close, Parkinson, Garman-Klass,
+   * Yang-Zhang) por janela
+   */
+  getRealizedVolatility() {
+    return this.realizedVolTracker.getSummary();
+  }
+
   /**
  * Get GEX data
  */
@@ -733,6 +1081,14 @@ class DataCollector extends EventEmitter {
     return this.gexCalculator.getGEX();
   }
 
+  /**
+   * Relógio do coletor (tempo real; o replay usa o timestamp do snapshot e o
+   * playback de captura o timestamp da última mensagem reproduzida)
+   */
+  getCurrentTime() {
+    return MarketDataSource.now();
+  }
+
   /**
  * Get current price
  */
@@ -770,12 +1126,13 @@ class DataCollector extends EventEmitter {
  * Connect to Binance trade stream
  */
   connectTradesWebSocket() {
-    const symbol = 'btcusdt';
-    const wsUrl = `wss://stream.binance.com:9443/ws/${symbol}@trade`;
+    const symbol = `${this.config.underlying.toLowerCase()}usdt`;
+    const wsUrl = `${this.config.spotWsUrl}/${symbol}@trade`;
     
     console.log(`[DataCollector] 🔌 Connecting to trades WebSocket: ${wsUrl}`);
     
-    this.tradesWS = new WebSocket(wsUrl);
+    const ws = MarketDataSource.createSocket(wsUrl, `spot.${symbol}@trade`);
+    this.tradesWS = ws;
     
     this.tradesWS.on('open', () => {
       console.log('[DataCollector] ✅ Trades WebSocket connected');
@@ -803,6 +1160,9 @@ class DataCollector extends EventEmitter {
     });
     
     this.tradesWS.on('close', () => {
+      // Fechado via disconnectTradesWebSocket() - não reconectar
+      if (this.tradesWS !== ws) return;
+
       console.log('[DataCollector] 🔌 Trades WebSocket closed. Reconnecting in 5s...');
       setTimeout(() => this.connectTradesWebSocket(), 5000);
     });
@@ -819,13 +1179,15 @@ class DataCollector extends EventEmitter {
    * Add trade to history
    */
   addTrade(trade) {
-    this.recentTrades.push({
+    const parsed = {
       timestamp: parseInt(trade.timestamp) || Date.now(),
       price: parseFloat(trade.price),
       size: parseFloat(trade.size),
       side: trade.side,
       tradeId: trade.tradeId
-    });
+    };
+    this.recentTrades.push(parsed);
+    this.realizedVolTracker.addTrade(parsed);
     
     // Keep last 100 trades
     if (this.recentTrades.length > this.maxTradesHistory) {
@@ -842,8 +1204,9 @@ class DataCollector extends EventEmitter {
    */
   disconnectTradesWebSocket() {
     if (this.tradesWS) {
-      this.tradesWS.close();
+      const ws = this.tradesWS;
       this.tradesWS = null;
+      ws.close();
     }
   }
 
@@ -860,8 +1223,11 @@ class DataCollector extends EventEmitter {
     const stats = {
       totalOptions: allOptions.length,
       validOptions: validOptions.length,
-      wsMarkPriceConnected: this.wsMarkPriceConnected,
-      wsTickerConnected: this.wsTickerConnected,
+      wsMarkPriceConnected: this.isVenueStreamConnected('markPrice'),
+      wsTickerConnected: this.isVenueStreamConnected('ticker'),
+      wsOptionTradesConnected: this.isVenueStreamConnected('trade'),
+      venues: this.getVenueStats(),
+      greeksSource: this.config.greeksSource,
       underlying: this.config.underlying,
       spotPrice: this.spotPrice,
       uniqueStrikes: this.getUniqueStrikes().length,
@@ -879,6 +1245,16 @@ class DataCollector extends EventEmitter {
       stats.orderBookEnergy = this.orderBookAnalyzer.getEnergyScore();
     }
 
+    if (this.futuresCollector) {
+      stats.futures = this.futuresCollector.getStats();
+    }
+
+    if (this.optionsFlowTracker) {
+      stats.optionsFlow = this.optionsFlowTracker.getStats();
+    }
+
+    stats.realizedVol = this.realizedVolTracker.getStats();
+
     return stats;
   }
   
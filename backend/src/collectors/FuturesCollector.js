@@ -0,0 +1,453 @@
+/**
+ * FuturesCollector - Posicionamento dos futuros perpétuos da Binance (fapi)
+ *
+ * Coleta funding rate, basis mark/index, open interest dos futuros e
+ * long/short ratios (contas globais e top traders) e calcula um score de
+ * "energia de alavancagem" para o EscapeTypeDetector.
+ *
+ * FONTES:
+ * - WebSocket {symbol}@markPrice@1s       - Mark, index e funding ao vivo
+ * - GET /fapi/v1/premiumIndex              - Carga inicial de mark/index/funding
+ * - GET /fapi/v1/fundingRate               - Histórico de funding
+ * - GET /fapi/v1/openInterest              - OI atual (contratos)
+ * - GET /futures/data/openInterestHist     - OI histórico (variação 1h/4h)
+ * - GET /futures/data/globalLongShortAccountRatio
+ * - GET /futures/data/topLongShortAccountRatio
+ *
+ * REST em polling (config.pollingInterval), via MarketDataSource (gravação/playback).
+ */
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const Logger = require('../utils/logger');
+const { createSocket, fetchSnapshot } = require('../capture/MarketDataSource');
+
+const FUNDINGS_PER_YEAR = 3 * 365; // funding a cada 8h
+
+class FuturesCollector extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      symbol: (config.symbol || 'BTCUSDT').toUpperCase(),
+      restBaseUrl: config.restBaseUrl || 'https://fapi.binance.com',
+      wsBaseUrl: config.wsBaseUrl || 'wss://fstream.binance.com/ws',
+      pollingInterval: config.pollingInterval || 60000, // 60 segundos
+      period: config.period || '5m',                     // período das séries de OI e ratios
+      historyLimit: config.historyLimit || 49,           // 4h de séries de 5m
+      reconnectDelay: config.reconnectDelay || 5000
+    };
+
+    this.symbol = this.config.symbol.toLowerCase();
+    this.logger = new Logger(`FuturesCollector:${this.config.symbol}`);
+
+    // Estado
+    this.ws = null;
+    this.wsConnected = false;
+    this.stopped = true;
+    this.pollingTimer = null;
+    this.reconnectTimer = null;
+    this.lastUpdate = 0;
+
+    this.premium = null;          // { markPrice, indexPrice, fundingRate, nextFundingTime, time }
+    this.fundingHistory = [];     // [{ time, rate }]
+    this.openInterest = null;     // { contracts, time }
+    this.openInterestHistory = []; // [{ time, contracts, usd }]
+    this.longShort = { global: [], top: [] }; // [{ time, ratio, longAccount, shortAccount }]
+  }
+
+  /**
+   * Inicia a coleta
+   */
+  async start() {
+    this.logger.info(`Iniciando coleta de futuros para ${this.config.symbol}...`);
+    this.stopped = false;
+
+    await this.fetchAll();
+    this.connectWebSocket();
+    this.startPolling();
+  }
+
+  /**
+   * Para a coleta
+   */
+  stop() {
+    this.logger.info('Parando coleta de futuros...');
+    this.stopped = true;
+
+    if (this.pollingTimer) {
+      clearInterval(this.pollingTimer);
+      this.pollingTimer = null;
+    }
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+
+    this.wsConnected = false;
+  }
+
+  /**
+   * ========================================================================
+   * WEBSOCKET (mark price + funding)
+   * ========================================================================
+   */
+
+  connectWebSocket() {
+    const streamName = `${this.symbol}@markPrice@1s`;
+    const wsUrl = `${this.config.wsBaseUrl}/${streamName}`;
+
+    this.logger.info(`Conectando ao WebSocket: ${streamName}`);
+
+    this.ws = createSocket(wsUrl, `futures.${streamName}`);
+
+    this.ws.on('open', () => {
+      this.wsConnected = true;
+      this.logger.success('WebSocket de mark price conectado');
+      this.emit('connected');
+    });
+
+    this.ws.on('message', (data) => {
+      this.handleMessage(data);
+    });
+
+    this.ws.on('error', (error) => {
+      this.logger.error('Erro no WebSocket de mark price', error.message || error);
+      this.emit('error', error);
+    });
+
+    this.ws.on('close', () => {
+      this.wsConnected = false;
+      this.ws = null;
+      this.emit('disconnected');
+
+      if (this.stopped) return;
+
+      this.logger.warn('WebSocket de mark price desconectado');
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        if (!this.stopped && !this.ws) {
+          this.connectWebSocket();
+        }
+      }, this.config.reconnectDelay);
+    });
+  }
+
+  /**
+   * markPriceUpdate: { e, E, s, p (mark), i (index), P, r (funding), T (próximo funding) }
+   */
+  handleMessage(data) {
+    try {
+      const message = JSON.parse(data);
+      if (message.e !== 'markPriceUpdate') return;
+
+      this.premium = {
+        markPrice: parseFloat(message.p),
+        indexPrice: parseFloat(message.i),
+        fundingRate: parseFloat(message.r),
+        nextFundingTime: message.T,
+        time: message.E
+      };
+      this.lastUpdate = Date.now();
+
+      this.emit('premium-updated', this.getBasis());
+    } catch (error) {
+      this.logger.error('Erro ao processar mark price', error);
+    }
+  }
+
+  /**
+   * ========================================================================
+   * REST (polling)
+   * ========================================================================
+   */
+
+  startPolling() {
+    this.logger.info(`Iniciando polling de futuros (intervalo: ${this.config.pollingInterval}ms)`);
+
+    this.pollingTimer = setInterval(() => {
+      this.fetchAll();
+    }, this.config.pollingInterval);
+  }
+
+  /**
+   * Busca todas as séries (falhas individuais não interrompem as demais)
+   */
+  async fetchAll() {
+    const tasks = [
+      ['open-interest', () => this.fetchOpenInterest()],
+      ['open-interest-hist', () => this.fetchOpenInterestHistory()],
+      ['long-short-global', () => this.fetchLongShort('global')],
+      ['long-short-top', () => this.fetchLongShort('top')],
+      ['funding-history', () => this.fetchFundingHistory()]
+    ];
+
+    // Premium index só enquanto o WebSocket não entrega mark price
+    if (!this.wsConnected || !this.premium) {
+      tasks.unshift(['premium-index', () => this.fetchPremiumIndex()]);
+    }
+
+    const results = await Promise.allSettled(tasks.map(([, task]) => task()));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        const error = result.reason;
+        this.logger.error(`Erro ao buscar ${tasks[index][0]}`, error.response?.data || error.message);
+      }
+    });
+
+    if (results.some(result => result.status === 'fulfilled')) {
+      this.lastUpdate = Date.now();
+      this.emit('updated', this.getMetrics());
+    }
+  }
+
+  /**
+   * GET com gravação/playback (rest.futures.<symbol>.<key>)
+   */
+  async get(key, path, params = {}) {
+    return fetchSnapshot(`futures.${this.symbol}.${key}`, async () => {
+      const response = await axios.get(`${this.config.restBaseUrl}${path}`, {
+        params: { symbol: this.config.symbol, ...params }
+      });
+      return response.data;
+    });
+  }
+
+  async fetchPremiumIndex() {
+    const data = await this.get('premium-index', '/fapi/v1/premiumIndex');
+
+    this.premium = {
+      markPrice: parseFloat(data.markPrice),
+      indexPrice: parseFloat(data.indexPrice),
+      fundingRate: parseFloat(data.lastFundingRate),
+      nextFundingTime: data.nextFundingTime,
+      time: data.time
+    };
+  }
+
+  async fetchFundingHistory() {
+    const data = await this.get('funding-history', '/fapi/v1/fundingRate', { limit: 30 });
+
+    this.fundingHistory = data
+      .map(item => ({ time: item.fundingTime, rate: parseFloat(item.fundingRate) }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  async fetchOpenInterest() {
+    const data = await this.get('open-interest', '/fapi/v1/openInterest');
+
+    this.openInterest = {
+      contracts: parseFloat(data.openInterest),
+      time: data.time
+    };
+  }
+
+  async fetchOpenInterestHistory() {
+    const data = await this.get('open-interest-hist', '/futures/data/openInterestHist', {
+      period: this.config.period,
+      limit: this.config.historyLimit
+    });
+
+    this.openInterestHistory = data
+      .map(item => ({
+        time: item.timestamp,
+        contracts: parseFloat(item.sumOpenInterest),
+        usd: parseFloat(item.sumOpenInterestValue)
+      }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * @param {'global'|'top'} type - Todas as contas ou top traders
+   */
+  async fetchLongShort(type) {
+    const path = type === 'top'
+      ? '/futures/data/topLongShortAccountRatio'
+      : '/futures/data/globalLongShortAccountRatio';
+
+    const data = await this.get(`long-short-${type}`, path, {
+      period: this.config.period,
+      limit: this.config.historyLimit
+    });
+
+    this.longShort[type] = data
+      .map(item => ({
+        time: item.timestamp,
+        ratio: parseFloat(item.longShortRatio),
+        longAccount: parseFloat(item.longAccount),
+        shortAccount: parseFloat(item.shortAccount)
+      }))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * ========================================================================
+   * MÉTRICAS
+   * ========================================================================
+   */
+
+  /**
+   * Variação relativa entre o último ponto e o de `minutes` atrás
+   */
+  getChange(series, field, minutes) {
+    if (series.length < 2) return null;
+
+    const last = series[series.length - 1];
+    const cutoff = last.time - minutes * 60 * 1000;
+    const base = series.find(item => item.time >= cutoff);
+
+    if (!base || base === last || !base[field]) return null;
+    return (last[field] - base[field]) / base[field];
+  }
+
+  getFunding() {
+    const rate = this.premium ? this.premium.fundingRate : null;
+    const recent = this.fundingHistory.slice(-3); // últimas 24h
+
+    return {
+      rate: rate,
+      annualized: rate !== null ? rate * FUNDINGS_PER_YEAR : null,
+      nextFundingTime: this.premium ? this.premium.nextFundingTime : null,
+      average24h: recent.length > 0
+        ? recent.reduce((sum, item) => sum + item.rate, 0) / recent.length
+        : null,
+      history: this.fundingHistory
+    };
+  }
+
+  getBasis() {
+    if (!this.premium || !this.premium.indexPrice) {
+      return { markPrice: null, indexPrice: null, basis: null, basisPct: null, time: null };
+    }
+
+    const { markPrice, indexPrice, time } = this.premium;
+
+    return {
+      markPrice: markPrice,
+      indexPrice: indexPrice,
+      basis: markPrice - indexPrice,
+      basisPct: (markPrice - indexPrice) / indexPrice,
+      time: time
+    };
+  }
+
+  getOpenInterest() {
+    const last = this.openInterestHistory[this.openInterestHistory.length - 1];
+    const contracts = this.openInterest ? this.openInterest.contracts : (last ? last.contracts : null);
+    const price = this.premium ? this.premium.markPrice : null;
+
+    return {
+      contracts: contracts,
+      usd: contracts !== null && price ? contracts * price : (last ? last.usd : null),
+      change1h: this.getChange(this.openInterestHistory, 'contracts', 60),
+      change4h: this.getChange(this.openInterestHistory, 'contracts', 240),
+      history: this.openInterestHistory
+    };
+  }
+
+  getLongShort() {
+    const summarize = (series) => {
+      const last = series[series.length - 1];
+      return {
+        ratio: last ? last.ratio : null,
+        longAccount: last ? last.longAccount : null,
+        shortAccount: last ? last.shortAccount : null,
+        change1h: this.getChange(series, 'ratio', 60),
+        history: series
+      };
+    };
+
+    return {
+      global: summarize(this.longShort.global),
+      top: summarize(this.longShort.top)
+    };
+  }
+
+  /**
+   * Energia de alavancagem (0-1): alavancagem sendo construída e lotada de um lado
+   * - OI crescendo em 1h (35%): 5% em 1h = máximo
+   * - |funding| anualizado (30%): 50% a.a. = máximo
+   * - Long/short desequilibrado (20%): ratio 3:1 (ou 1:3) = máximo
+   * - |basis| (15%): 0.2% = máximo
+   */
+  getEnergyScore() {
+    const funding = this.getFunding();
+    const basis = this.getBasis();
+    const openInterest = this.getOpenInterest();
+    const longShort = this.getLongShort();
+
+    const components = {
+      openInterest: Math.min(Math.max(openInterest.change1h || 0, 0) / 0.05, 1),
+      funding: Math.min(Math.abs(funding.annualized || 0) / 0.5, 1),
+      crowding: longShort.global.ratio
+        ? Math.min(Math.abs(Math.log(longShort.global.ratio)) / Math.log(3), 1)
+        : 0,
+      basis: Math.min(Math.abs(basis.basisPct || 0) / 0.002, 1)
+    };
+
+    const score = Math.min(
+      components.openInterest * 0.35 +
+      components.funding * 0.3 +
+      components.crowding * 0.2 +
+      components.basis * 0.15,
+      1
+    );
+
+    let level;
+    if (score > 0.8) level = 'EXTREME';
+    else if (score > 0.6) level = 'HIGH';
+    else if (score > 0.4) level = 'MEDIUM';
+    else if (score > 0.2) level = 'LOW';
+    else level = 'VERY_LOW';
+
+    // Lado lotado: funding e contas apontando para o mesmo lado
+    const rate = funding.rate || 0;
+    const ratio = longShort.global.ratio || 1;
+    let bias = 'BALANCED';
+    if (rate > 0 && ratio > 1.2) bias = 'LONG_CROWDED';
+    else if (rate < 0 && ratio < 0.8) bias = 'SHORT_CROWDED';
+
+    return {
+      score: score,
+      level: level,
+      bias: bias,
+      components: components
+    };
+  }
+
+  /**
+   * Todas as métricas (formato consumido pela API e pelo EscapeTypeDetector)
+   */
+  getMetrics() {
+    return {
+      symbol: this.config.symbol,
+      funding: this.getFunding(),
+      basis: this.getBasis(),
+      openInterest: this.getOpenInterest(),
+      longShort: this.getLongShort(),
+      energy: this.getEnergyScore(),
+      wsConnected: this.wsConnected,
+      lastUpdate: this.lastUpdate
+    };
+  }
+
+  getStats() {
+    return {
+      symbol: this.config.symbol,
+      wsConnected: this.wsConnected,
+      fundingRate: this.premium ? this.premium.fundingRate : null,
+      openInterest: this.openInterest ? this.openInterest.contracts : null,
+      lastUpdate: this.lastUpdate,
+      age: this.lastUpdate > 0 ? Date.now() - this.lastUpdate : null
+    };
+  }
+}
+
+module.exports = FuturesCollector;
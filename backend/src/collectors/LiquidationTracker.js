@@ -14,12 +14,14 @@
 
 const WebSocket = require('ws');
 const EventEmitter = require('events');
+const MarketDataSource = require('../capture/MarketDataSource');
 
 class LiquidationTracker extends EventEmitter {
-  constructor(symbol = 'btcusdt', logger = console) {
+  constructor(symbol = 'btcusdt', logger = console, config = {}) {
     super();
     
     this.symbol = symbol.toLowerCase();
+    this.wsBaseUrl = config.wsBaseUrl || 'wss://fstream.binance.com/ws';
     this.logger = logger;
     this.ws = null;
     this.reconnectTimeout = null;
@@ -60,12 +62,12 @@ class LiquidationTracker extends EventEmitter {
    * Conectar ao WebSocket da Binance
    */
   connect() {
-    const url = `wss://fstream.binance.com/ws/${this.symbol}@forceOrder`;
+    const url = `${this.wsBaseUrl}/${this.symbol}@forceOrder`;
     
     this.logger.info(`🔌 Conectando ao Binance Forced Orders: ${this.symbol}`);
     
     try {
-      this.ws = new WebSocket(url);
+      this.ws = MarketDataSource.createSocket(url, `futures.${this.symbol}@forceOrder`);
       
       this.ws.on('open', () => {
         this.logger.info(`✅ Conectado ao Binance Forced Orders: ${this.symbol}`);
@@ -188,7 +190,7 @@ class LiquidationTracker extends EventEmitter {
    * Limpar dados antigos
    */
   cleanOldData() {
-    const now = Date.now();
+    const now = MarketDataSource.now();
     const oneHour = 60 * 60 * 1000;
     const fourHours = 4 * oneHour;
     const twentyFourHours = 24 * oneHour;
@@ -238,14 +240,14 @@ class LiquidationTracker extends EventEmitter {
     this.stats.largestLiquidation = largest;
     
     // Timestamp
-    this.stats.lastUpdate = Date.now();
+    this.stats.lastUpdate = MarketDataSource.now();
   }
   
   /**
    * Detectar cascata de liquidações
    */
   detectCascade() {
-    const now = Date.now();
+    const now = MarketDataSource.now();
     const lastMinute = this.liquidations.last1h.filter(
       l => now - l.timestamp < 60 * 1000
     );
@@ -350,7 +352,7 @@ class LiquidationTracker extends EventEmitter {
   /**
    * Obter liquidações em um intervalo de tempo específico
    */
-  getLiquidations(startTime = 0, endTime = Date.now()) {
+  getLiquidations(startTime = 0, endTime = MarketDataSource.now()) {
     return this.liquidations.last24h.filter(
       l => l.timestamp >= startTime && l.timestamp < endTime
     );
@@ -359,7 +361,7 @@ class LiquidationTracker extends EventEmitter {
   /**
    * Obter valor total liquidado em um intervalo
    */
-  getLiquidationValue(startTime = 0, endTime = Date.now()) {
+  getLiquidationValue(startTime = 0, endTime = MarketDataSource.now()) {
     return this.getLiquidations(startTime, endTime)
       .reduce((sum, l) => sum + l.value, 0);
   }
@@ -368,7 +370,7 @@ class LiquidationTracker extends EventEmitter {
    * Calcular liquidações "early" (primeiros X minutos)
    */
   getEarlyLiquidations(minutes = 2) {
-    const now = Date.now();
+    const now = MarketDataSource.now();
     const cutoff = now - (minutes * 60 * 1000);
     
     const early = this.liquidations.last1h.filter(l => l.timestamp >= cutoff);
@@ -387,7 +389,7 @@ class LiquidationTracker extends EventEmitter {
    * Calcular taxa de crescimento das liquidações
    */
   getLiquidationGrowth() {
-    const now = Date.now();
+    const now = MarketDataSource.now();
     
     // Dividir última hora em 3 buckets de 5 minutos
     const bucket1 = this.getLiquidationValue(now - 15 * 60 * 1000, now - 10 * 60 * 1000);
@@ -417,7 +419,7 @@ class LiquidationTracker extends EventEmitter {
       connected: this.ws && this.ws.readyState === WebSocket.OPEN,
       stats: stats,
       energy: energy,
-      timestamp: new Date().toISOString()
+      timestamp: new Date(MarketDataSource.now()).toISOString()
     };
   }
   
@@ -430,7 +432,7 @@ class LiquidationTracker extends EventEmitter {
     const energy = this.getEnergyScore();
     
     // Calculate recent 5min metrics
-    const now = Date.now();
+    const now = MarketDataSource.now();
     const fiveMinAgo = now - (5 * 60 * 1000);
     const recent5min = this.liquidations.last1h.filter(l => l.timestamp >= fiveMinAgo);
     
@@ -479,7 +481,7 @@ class LiquidationTracker extends EventEmitter {
       largestLiquidation: stats.largestLiquidation,
       
       // Timestamp
-      timestamp: stats.lastUpdate || new Date().toISOString()
+      timestamp: stats.lastUpdate || new Date(MarketDataSource.now()).toISOString()
     };
   }
 }
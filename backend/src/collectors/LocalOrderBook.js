@@ -0,0 +1,356 @@
+/**
+ * ============================================================================
+ * LOCAL ORDER BOOK
+ * ============================================================================
+ *
+ * Book completo de futuros perpétuos mantido localmente a partir do diff
+ * stream da Binance + snapshot REST.
+ *
+ * SINCRONIZAÇÃO (regras da Binance Futures):
+ * 1. Abrir {symbol}@depth@100ms e bufferizar os eventos
+ * 2. Buscar o snapshot GET /fapi/v1/depth?limit=1000
+ * 3. Descartar eventos com u < lastUpdateId do snapshot
+ * 4. O primeiro evento aplicado deve ter U <= lastUpdateId <= u
+ * 5. Cada evento seguinte deve ter pu == u do anterior; senão há um gap
+ *    e o book é ressincronizado (novo snapshot)
+ *
+ * EVENTOS:
+ * - 'connected' / 'disconnected' - WebSocket
+ * - 'synced' ({ lastUpdateId, bids, asks }) - Book pronto após snapshot
+ * - 'update' (event) - Diff aplicado (book sincronizado)
+ * - 'gap' ({ expected, received }) - Sequência quebrada, resync a seguir
+ * - 'error'
+ * ============================================================================
+ */
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const { createSocket, fetchSnapshot } = require('../capture/MarketDataSource');
+
+class LocalOrderBook extends EventEmitter {
+  /**
+   * @param {string} symbol - Par de trading (ex: 'btcusdt')
+   * @param {object} logger - Logger instance
+   * @param {object} config - { wsBaseUrl, restBaseUrl, snapshotLimit, maxBuffer, resyncDelay }
+   */
+  constructor(symbol, logger, config = {}) {
+    super();
+
+    this.symbol = symbol.toLowerCase();
+    this.logger = logger;
+
+    this.config = {
+      wsBaseUrl: config.wsBaseUrl || 'wss://fstream.binance.com/ws',
+      restBaseUrl: config.restBaseUrl || 'https://fapi.binance.com',
+      snapshotLimit: config.snapshotLimit || 1000,
+      maxBuffer: config.maxBuffer || 1000,       // eventos guardados durante o snapshot
+      resyncDelay: config.resyncDelay || 1000,   // espera antes de novo snapshot (snapshot velho)
+      reconnectDelay: config.reconnectDelay || 5000,
+      maxReconnectAttempts: config.maxReconnectAttempts || 10
+    };
+
+    this.stream = `${this.symbol}@depth@100ms`;
+    this.wsUrl = `${this.config.wsBaseUrl}/${this.stream}`;
+
+    // WebSocket
+    this.ws = null;
+    this.isConnected = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.manualClose = false;
+
+    // Book (limpo no lugar a cada resync: referências continuam válidas)
+    this.bids = new Map();  // price → quantity
+    this.asks = new Map();  // price → quantity
+    this.lastUpdateId = 0;
+
+    // Sincronização
+    this.synced = false;
+    this.syncing = false;
+    this.awaitingFirst = false; // próximo evento deve conter o lastUpdateId do snapshot
+    this.buffer = [];
+    this.resyncTimer = null;
+
+    this.stats = {
+      updates: 0,
+      snapshots: 0,
+      resyncs: 0,
+      gaps: 0,
+      dropped: 0,
+      reconnects: 0,
+      lastSync: null
+    };
+  }
+
+  /**
+   * ========================================================================
+   * CONEXÃO
+   * ========================================================================
+   */
+
+  connect() {
+    if (this.ws) return;
+
+    this.manualClose = false;
+    this.logger.info(`Conectando order book local: ${this.wsUrl}`);
+
+    this.ws = createSocket(this.wsUrl, `futures.${this.stream}`);
+
+    this.ws.on('open', () => {
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+      this.emit('connected', { symbol: this.symbol });
+      this.resync();
+    });
+
+    this.ws.on('message', (data) => {
+      try {
+        this.handleEvent(JSON.parse(data));
+      } catch (error) {
+        this.logger.error('Erro ao processar diff do order book:', error);
+        this.emit('error', error);
+      }
+    });
+
+    this.ws.on('error', (error) => {
+      this.logger.error('WebSocket error (LocalOrderBook):', error.message || error);
+      this.emit('error', error);
+    });
+
+    this.ws.on('close', () => {
+      this.isConnected = false;
+      this.synced = false;
+      this.ws = null;
+      this.emit('disconnected');
+
+      if (this.manualClose) return;
+
+      if (this.reconnectAttempts < this.config.maxReconnectAttempts) {
+        this.reconnectAttempts++;
+        this.stats.reconnects++;
+        this.logger.info(`Reconectando order book local (${this.reconnectAttempts}/${this.config.maxReconnectAttempts})...`);
+        this.reconnectTimer = setTimeout(() => this.connect(), this.config.reconnectDelay);
+      } else {
+        this.logger.error('Max reconnect attempts reached (LocalOrderBook)');
+        this.emit('max-reconnect-attempts');
+      }
+    });
+  }
+
+  disconnect() {
+    this.manualClose = true;
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.resyncTimer);
+    this.reconnectTimer = null;
+    this.resyncTimer = null;
+
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+
+    this.isConnected = false;
+    this.synced = false;
+  }
+
+  /**
+   * ========================================================================
+   * SINCRONIZAÇÃO
+   * ========================================================================
+   */
+
+  /**
+   * Diff recebido: bufferiza até o snapshot chegar, depois aplica em sequência
+   */
+  handleEvent(event) {
+    if (event.e !== 'depthUpdate') return;
+
+    if (!this.synced) {
+      this.buffer.push(event);
+      if (this.buffer.length > this.config.maxBuffer) {
+        this.buffer.shift();
+        this.stats.dropped++;
+      }
+      return;
+    }
+
+    if (this.applySequenced(event)) {
+      this.emit('update', event);
+    }
+  }
+
+  /**
+   * Aplica um evento respeitando a sequência de update ids
+   * @returns {boolean} true se aplicado (false: antigo ou gap)
+   */
+  applySequenced(event) {
+    // Anterior ao snapshot
+    if (event.u < this.lastUpdateId) return false;
+
+    if (this.awaitingFirst) {
+      // U <= lastUpdateId <= u, ou continuação exata do snapshot (pu == lastUpdateId)
+      if (event.U > this.lastUpdateId && event.pu !== this.lastUpdateId) {
+        // Snapshot mais velho que o stream: buscar outro
+        this.handleGap(this.lastUpdateId, event.U);
+        return false;
+      }
+      this.awaitingFirst = false;
+    } else if (event.pu !== this.lastUpdateId) {
+      this.handleGap(this.lastUpdateId, event.pu);
+      return false;
+    }
+
+    this.applyLevels(this.bids, event.b);
+    this.applyLevels(this.asks, event.a);
+    this.lastUpdateId = event.u;
+    this.stats.updates++;
+    return true;
+  }
+
+  applyLevels(book, levels = []) {
+    for (const [price, qty] of levels) {
+      const priceNum = parseFloat(price);
+      const qtyNum = parseFloat(qty);
+
+      if (qtyNum === 0) {
+        book.delete(priceNum);
+      } else {
+        book.set(priceNum, qtyNum);
+      }
+    }
+  }
+
+  handleGap(expected, received) {
+    this.stats.gaps++;
+    this.logger.warn(`Gap no order book ${this.symbol} (esperado ${expected}, recebido ${received}) - ressincronizando`);
+    this.emit('gap', { expected, received });
+
+    this.synced = false;
+    this.buffer = [];
+    this.scheduleResync();
+  }
+
+  scheduleResync() {
+    if (this.resyncTimer || this.manualClose) return;
+    this.resyncTimer = setTimeout(() => {
+      this.resyncTimer = null;
+      this.resync();
+    }, this.config.resyncDelay);
+  }
+
+  /**
+   * Busca o snapshot REST e aplica os eventos bufferizados
+   */
+  async resync() {
+    if (this.syncing || this.manualClose) return;
+
+    this.syncing = true;
+    this.synced = false;
+    this.stats.resyncs++;
+
+    try {
+      const snapshot = await fetchSnapshot(
+        `futures.${this.symbol}.depth`,
+        () => this.fetchDepthSnapshot(),
+        { throttle: false }
+      );
+      this.stats.snapshots++;
+      if (this.manualClose) return;
+
+      this.bids.clear();
+      this.asks.clear();
+      this.applyLevels(this.bids, snapshot.bids);
+      this.applyLevels(this.asks, snapshot.asks);
+      this.lastUpdateId = snapshot.lastUpdateId;
+      this.awaitingFirst = true;
+
+      // Eventos que chegaram durante o snapshot
+      const buffered = this.buffer;
+      this.buffer = [];
+      this.synced = true;
+
+      for (const event of buffered) {
+        this.applySequenced(event);
+        if (!this.synced) break; // gap: novo resync agendado
+      }
+
+      if (this.synced) {
+        this.stats.lastSync = Date.now();
+        this.logger.info(`Order book ${this.symbol} sincronizado (lastUpdateId ${this.lastUpdateId}, ${this.bids.size} bids / ${this.asks.size} asks)`);
+        this.emit('synced', {
+          lastUpdateId: this.lastUpdateId,
+          bids: this.bids.size,
+          asks: this.asks.size
+        });
+      }
+    } catch (error) {
+      this.logger.error(`Erro ao buscar snapshot do order book ${this.symbol}:`, error.response?.data || error.message);
+      this.emit('error', error);
+      this.scheduleResync();
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  async fetchDepthSnapshot() {
+    const response = await axios.get(`${this.config.restBaseUrl}/fapi/v1/depth`, {
+      params: {
+        symbol: this.symbol.toUpperCase(),
+        limit: this.config.snapshotLimit
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * ========================================================================
+   * CONSULTAS
+   * ========================================================================
+   */
+
+  getBestBid() {
+    let best = 0;
+    for (const price of this.bids.keys()) {
+      if (price > best) best = price;
+    }
+    return best;
+  }
+
+  getBestAsk() {
+    let best = Infinity;
+    for (const price of this.asks.keys()) {
+      if (price < best) best = price;
+    }
+    return best === Infinity ? 0 : best;
+  }
+
+  /**
+   * Níveis ordenados a partir do topo
+   * @param {'bids'|'asks'} side
+   * @param {number} limit
+   */
+  getLevels(side, limit = Infinity) {
+    const book = side === 'bids' ? this.bids : this.asks;
+    const direction = side === 'bids' ? -1 : 1;
+
+    return Array.from(book.entries())
+      .sort((a, b) => direction * (a[0] - b[0]))
+      .slice(0, limit);
+  }
+
+  getStatus() {
+    return {
+      ...this.stats,
+      symbol: this.symbol,
+      isConnected: this.isConnected,
+      synced: this.synced,
+      lastUpdateId: this.lastUpdateId,
+      buffered: this.buffer.length,
+      bidsCount: this.bids.size,
+      asksCount: this.asks.size
+    };
+  }
+}
+
+module.exports = LocalOrderBook;
@@ -1,43 +1,60 @@
 /**
  * OpenInterestCollector - Coleta Open Interest das options via REST API
+ * (polling sobre os adapters das venues - exchanges/)
+ *
+ * Guarda o histórico de OI por símbolo (um ponto a cada mudança) e o spot
+ * de cada poll, para medir variações de OI em janelas de 1h/4h/24h e
+ * classificar o posicionamento junto com o movimento do preço.
  */
 
-const axios = require('axios');
 const EventEmitter = require('events');
 const Logger = require('../utils/logger');
+const { fetchSnapshot } = require('../capture/MarketDataSource');
+
+// Janelas de variação de OI
+const WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000
+};
 
 class OpenInterestCollector extends EventEmitter {
   constructor(config = {}) {
     super();
     
     this.config = {
-      restBaseUrl: config.restBaseUrl || process.env.REST_BASE_URL || 'https://eapi.binance.com',
       underlying: config.underlying || 'BTC',
-      pollingInterval: config.pollingInterval || 60000 // 60 segundos (OI atualiza a cada 60s)
+      pollingInterval: config.pollingInterval || 60000, // 60 segundos (OI atualiza a cada 60s)
+      minOIChangePct: config.minOIChangePct || 0.02,     // variação de OI relevante (2%)
+      minPriceChangePct: config.minPriceChangePct || 0.002 // movimento de preço relevante (0.2%)
     };
     
     this.logger = new Logger('OpenInterestCollector');
     
+    // Adapters das venues (exchanges/ExchangeAdapter)
+    this.adapters = config.adapters || [];
+    
     // Estado
     this.openInterestData = new Map(); // symbol -> OI
+    this.history = new Map();          // symbol -> [{ time, openInterest }] (apenas mudanças)
+    this.spotHistory = [];             // [{ time, price }] (um ponto por poll)
+    this.spotPrice = 0;
     this.pollingTimer = null;
     this.lastUpdate = 0;
-    this.expirationDates = [];
   }
 
   /**
    * Inicia a coleta de Open Interest
    */
-  async start(expirationDates) {
+  async start() {
     this.logger.info(`Iniciando coleta de Open Interest para ${this.config.underlying}...`);
     
-    if (!expirationDates || expirationDates.length === 0) {
-      this.logger.warn('Nenhuma data de expiração fornecida');
+    if (this.adapters.length === 0) {
+      this.logger.warn('Nenhuma venue configurada');
       return;
     }
     
-    this.expirationDates = expirationDates;
-    this.logger.info(`Monitorando ${expirationDates.length} datas de expiração`);
+    this.logger.info(`Monitorando ${this.adapters.map(a => a.venue).join(', ')}`);
     
     // Fazer carga inicial
     await this.fetchAllOpenInterest();
@@ -59,18 +76,19 @@ class OpenInterestCollector extends EventEmitter {
   }
 
   /**
-   * Busca Open Interest para todas as datas de expiração
+   * Busca Open Interest em todas as venues
    */
   async fetchAllOpenInterest() {
-    this.logger.debug(`Buscando OI para ${this.expirationDates.length} expirações...`);
+    this.logger.debug(`Buscando OI em ${this.adapters.length} venues...`);
     
-    const promises = this.expirationDates.map(date => 
-      this.fetchOpenInterestForExpiry(date)
+    const promises = this.adapters.map(adapter => 
+      this.fetchOpenInterestForVenue(adapter)
     );
     
     try {
       await Promise.all(promises);
       this.lastUpdate = Date.now();
+      this.recordSpot(this.lastUpdate);
       this.logger.success(`OI atualizado: ${this.openInterestData.size} options`);
       this.emit('updated', this.openInterestData.size);
     } catch (error) {
@@ -79,50 +97,32 @@ class OpenInterestCollector extends EventEmitter {
   }
 
   /**
-   * Busca Open Interest para uma data de expiração específica
+   * Busca Open Interest de uma venue
    */
-  async fetchOpenInterestForExpiry(expiryDate) {
+  async fetchOpenInterestForVenue(adapter) {
     try {
-      // Converter Date para formato YYMMDD
-      const formattedDate = this.formatExpiryDate(expiryDate);
-      
-      const url = `${this.config.restBaseUrl}/eapi/v1/openInterest`;
-      const params = {
-        underlyingAsset: this.config.underlying,
-        expiration: formattedDate
-      };
-      
-      const response = await axios.get(url, { params });
-      const data = response.data;
+      const data = await fetchSnapshot(
+        `${this.config.underlying}.${adapter.venue}.open-interest`,
+        () => adapter.fetchOpenInterest()
+      );
       
       // Armazenar OI por símbolo
+      const now = Date.now();
       data.forEach(item => {
         this.openInterestData.set(item.symbol, {
-          symbol: item.symbol,
-          openInterest: parseFloat(item.sumOpenInterest),
-          openInterestUsd: parseFloat(item.sumOpenInterestUsd),
-          timestamp: parseInt(item.timestamp),
-          expiry: expiryDate
+          ...item,
+          venue: adapter.venue
         });
+        this.recordHistory(item.symbol, item.openInterest, now);
       });
       
-      this.logger.debug(`OI atualizado para ${formattedDate}: ${data.length} options`);
+      this.logger.debug(`OI atualizado para ${adapter.venue}: ${data.length} options`);
       
     } catch (error) {
-      this.logger.error(`Erro ao buscar OI para ${expiryDate}`, error.response?.data || error.message);
+      this.logger.error(`Erro ao buscar OI (${adapter.venue})`, error.response?.data || error.message);
     }
   }
 
-  /**
-   * Formata data de expiração para o formato YYMMDD
-   */
-  formatExpiryDate(date) {
-    const year = date.getFullYear().toString().slice(-2); // Últimos 2 dígitos do ano
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const day = date.getDate().toString().padStart(2, '0');
-    return `${year}${month}${day}`;
-  }
-
   /**
    * Inicia polling periódico
    */
@@ -149,6 +149,139 @@ class OpenInterestCollector extends EventEmitter {
     return Array.from(this.openInterestData.values());
   }
 
+  /**
+   * ========================================================================
+   * HISTÓRICO E VARIAÇÕES
+   * ========================================================================
+   */
+
+  /**
+   * Spot do underlying (DataCollector), amostrado a cada poll
+   */
+  setSpotPrice(price) {
+    this.spotPrice = price;
+  }
+
+  recordSpot(time) {
+    if (!this.spotPrice) return;
+
+    this.spotHistory.push({ time, price: this.spotPrice });
+    this.pruneHistory(this.spotHistory, time);
+  }
+
+  /**
+   * Novo ponto apenas quando o OI muda (séries compactas para 24h)
+   */
+  recordHistory(symbol, openInterest, time) {
+    if (!this.history.has(symbol)) {
+      this.history.set(symbol, []);
+    }
+
+    const series = this.history.get(symbol);
+    const last = series[series.length - 1];
+    if (!last || last.openInterest !== openInterest) {
+      series.push({ time, openInterest });
+    }
+    this.pruneHistory(series, time);
+  }
+
+  /**
+   * Mantém um único ponto anterior à maior janela (base da variação de 24h)
+   */
+  pruneHistory(series, now) {
+    const cutoff = now - Math.max(...Object.values(WINDOWS));
+    while (series.length > 1 && series[1].time <= cutoff) {
+      series.shift();
+    }
+  }
+
+  /**
+   * Valor vigente no início da janela (ou o primeiro disponível: janela parcial)
+   */
+  getBaseline(series, windowMs, field, now = Date.now()) {
+    if (!series || series.length === 0) return null;
+
+    const start = now - windowMs;
+    let baseline = null;
+    for (const point of series) {
+      if (point.time > start) break;
+      baseline = point;
+    }
+
+    return baseline
+      ? { value: baseline[field], since: baseline.time, partial: false }
+      : { value: series[0][field], since: series[0].time, partial: true };
+  }
+
+  /**
+   * Movimento do spot na janela
+   */
+  getPriceChange(window = '1h') {
+    const baseline = this.getBaseline(this.spotHistory, WINDOWS[window], 'price');
+    if (!baseline || !baseline.value || !this.spotPrice) {
+      return { current: this.spotPrice || null, previous: null, change: null, changePct: null, since: null, partial: true };
+    }
+
+    return {
+      current: this.spotPrice,
+      previous: baseline.value,
+      change: this.spotPrice - baseline.value,
+      changePct: (this.spotPrice - baseline.value) / baseline.value,
+      since: baseline.since,
+      partial: baseline.partial
+    };
+  }
+
+  /**
+   * Variação de OI por símbolo na janela
+   */
+  getSymbolChanges(window = '1h') {
+    const windowMs = WINDOWS[window];
+
+    return Array.from(this.openInterestData.values()).map(item => {
+      const baseline = this.getBaseline(this.history.get(item.symbol), windowMs, 'openInterest');
+      const previous = baseline ? baseline.value : item.openInterest;
+      const change = item.openInterest - previous;
+
+      return {
+        symbol: item.symbol,
+        venue: item.venue,
+        openInterest: item.openInterest,
+        previous: previous,
+        change: change,
+        changePct: previous > 0 ? change / previous : null,
+        since: baseline ? baseline.since : null,
+        partial: baseline ? baseline.partial : true
+      };
+    });
+  }
+
+  /**
+   * Posicionamento a partir da variação de OI e do movimento do preço
+   * - OI ↑ e preço ↑: LONG_BUILDUP      - OI ↑ e preço ↓: SHORT_BUILDUP
+   * - OI ↓ e preço ↑: SHORT_COVERING    - OI ↓ e preço ↓: LONG_UNWINDING
+   * - OI ↑/↓ com preço parado: BUILDUP / UNWINDING
+   */
+  classifyPositioning(oiChangePct, priceChangePct) {
+    if (oiChangePct === null || Math.abs(oiChangePct) < this.config.minOIChangePct) {
+      return 'NO_CHANGE';
+    }
+
+    const priceMove = priceChangePct === null || Math.abs(priceChangePct) < this.config.minPriceChangePct
+      ? 0
+      : Math.sign(priceChangePct);
+
+    if (oiChangePct > 0) {
+      if (priceMove > 0) return 'LONG_BUILDUP';
+      if (priceMove < 0) return 'SHORT_BUILDUP';
+      return 'BUILDUP';
+    }
+
+    if (priceMove > 0) return 'SHORT_COVERING';
+    if (priceMove < 0) return 'LONG_UNWINDING';
+    return 'UNWINDING';
+  }
+
   /**
    * Obtém estatísticas
    */
@@ -157,18 +290,20 @@ class OpenInterestCollector extends EventEmitter {
       .reduce((sum, item) => sum + item.openInterest, 0);
     
     const totalOIUsd = Array.from(this.openInterestData.values())
-      .reduce((sum, item) => sum + item.openInterestUsd, 0);
+      .reduce((sum, item) => sum + (item.openInterestUsd || 0), 0);
     
     return {
       underlying: this.config.underlying,
       totalOptions: this.openInterestData.size,
       totalOI: totalOI,
       totalOIUsd: totalOIUsd,
-      expirationDates: this.expirationDates.length,
+      venues: this.adapters.map(adapter => adapter.venue),
       lastUpdate: this.lastUpdate,
       age: this.lastUpdate > 0 ? Date.now() - this.lastUpdate : null
     };
   }
 }
 
+OpenInterestCollector.WINDOWS = WINDOWS;
+
 module.exports = OpenInterestCollector;
\ No newline at end of file
@@ -0,0 +1,374 @@
+/**
+ * OptionsFlowTracker - Fluxo agressor das options (trade stream das venues)
+ *
+ * Classifica cada print como iniciado pelo comprador ou pelo vendedor contra
+ * o bid/ask vigente da option e acumula, em janelas móveis, o prêmio, delta
+ * e gamma líquidos comprados/vendidos por strike e vencimento.
+ *
+ * CONVENÇÃO:
+ * - Agressor (taker) = cliente; o market maker (dealer) fica do outro lado
+ * - Valores positivos = clientes comprando (dealers vendidos)
+ * - netGamma em USD por 1% de movimento (mesma unidade do GEX)
+ *
+ * CLASSIFICAÇÃO (quote rule):
+ * - price >= ask             → BUY  ('quote')
+ * - price <= bid             → SELL ('quote')
+ * - dentro do spread         → lado mais próximo do mid ('midpoint')
+ * - no mid ou sem bid/ask    → lado do taker informado pela exchange ('exchange')
+ *
+ * BLOCOS (large prints):
+ * - Prêmio >= blockPremium ou notional >= blockNotional (USD)
+ * - Ou quantidade >= blockSizeMultiple × mediana dos trades recentes
+ *
+ * EVENTOS:
+ * - 'trade' (print classificado)
+ * - 'block' (print classificado como bloco)
+ */
+
+const EventEmitter = require('events');
+
+// Janelas móveis disponíveis
+const WINDOWS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000
+};
+
+class OptionsFlowTracker extends EventEmitter {
+  constructor(logger = console, config = {}) {
+    super();
+
+    this.logger = logger;
+
+    this.config = {
+      blockPremium: config.blockPremium || 250000,      // USD de prêmio
+      blockNotional: config.blockNotional || 2500000,   // USD de notional (quantidade × spot)
+      blockSizeMultiple: config.blockSizeMultiple || 20, // × mediana do tamanho dos trades
+      minSizeSamples: config.minSizeSamples || 50,      // trades antes de usar a mediana
+      maxSizeSamples: config.maxSizeSamples || 500,
+      maxTrades: config.maxTrades || 20000,
+      maxBlocks: config.maxBlocks || 200,
+      biasThreshold: config.biasThreshold || 0.2,       // |net| / bruto para indicar lado dominante
+      cleanupInterval: config.cleanupInterval || 60000  // 1 minuto
+    };
+
+    // Prints classificados (janela máxima) e blocos (lista própria, sobrevive à janela)
+    this.trades = [];
+    this.blocks = [];
+    this.sizeSamples = [];
+
+    this.stats = {
+      totalTrades: 0,
+      totalBlocks: 0,
+      lastTrade: null
+    };
+
+    this.cleanupTimer = setInterval(() => this.cleanOldData(), this.config.cleanupInterval);
+  }
+
+  /**
+   * Para a limpeza periódica
+   */
+  stop() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
+  }
+
+  /**
+   * Classifica o agressor contra o bid/ask vigente da option
+   * @returns {{ aggressor: 'BUY'|'SELL', method: 'quote'|'midpoint'|'exchange' }}
+   */
+  classifyAggressor(trade, option) {
+    const price = parseFloat(trade.price);
+    const bid = option.bidPrice > 0 ? option.bidPrice : null;
+    const ask = option.askPrice > 0 ? option.askPrice : null;
+
+    if (ask !== null && price >= ask) return { aggressor: 'BUY', method: 'quote' };
+    if (bid !== null && price <= bid) return { aggressor: 'SELL', method: 'quote' };
+
+    if (bid !== null && ask !== null && ask > bid) {
+      const mid = (bid + ask) / 2;
+      if (price > mid) return { aggressor: 'BUY', method: 'midpoint' };
+      if (price < mid) return { aggressor: 'SELL', method: 'midpoint' };
+    }
+
+    return { aggressor: trade.side === 'SELL' ? 'SELL' : 'BUY', method: 'exchange' };
+  }
+
+  /**
+   * Processa um trade de option
+   * @param {Object} trade - { symbol, price, quantity, side, timestamp, tradeId } (ExchangeAdapter)
+   * @param {Option} option - Option com bid/ask e gregas atuais
+   * @param {number} spotPrice - Spot do underlying
+   * @returns {Object} print classificado
+   */
+  addTrade(trade, option, spotPrice) {
+    const { aggressor, method } = this.classifyAggressor(trade, option);
+    const sign = aggressor === 'BUY' ? 1 : -1;
+    const quantity = Math.abs(parseFloat(trade.quantity)) || 0;
+    const price = parseFloat(trade.price) || 0;
+    const size = quantity * (option.contractSize || 1);
+    const spot = spotPrice || 0;
+
+    const print = {
+      timestamp: parseInt(trade.timestamp) || Date.now(),
+      tradeId: trade.tradeId,
+      symbol: option.symbol,
+      venue: option.venue,
+      strike: option.strike,
+      expiry: option.expiryDate ? option.expiryDate.toISOString().split('T')[0] : null,
+      side: option.side,
+      price: price,
+      quantity: quantity,
+      bid: option.bidPrice,
+      ask: option.askPrice,
+      aggressor: aggressor,
+      method: method,
+      premium: price * size,
+      notional: size * spot,
+      delta: sign * size * (option.delta || 0),
+      gamma: sign * size * (option.gamma || 0) * spot * spot * 0.01,
+      vega: sign * size * (option.vega || 0),
+      block: false
+    };
+
+    print.block = this.isBlock(print);
+    this.addSizeSample(quantity);
+
+    this.trades.push(print);
+    if (this.trades.length > this.config.maxTrades) {
+      this.trades.shift();
+    }
+
+    this.stats.totalTrades++;
+    this.stats.lastTrade = print.timestamp;
+
+    if (print.block) {
+      this.blocks.push(print);
+      if (this.blocks.length > this.config.maxBlocks) {
+        this.blocks.shift();
+      }
+      this.stats.totalBlocks++;
+
+      this.logger.info(`🧱 Bloco de options: ${aggressor} ${quantity} ${print.symbol} @ ${price.toFixed(2)} (prêmio $${(print.premium / 1000).toFixed(0)}k)`);
+      this.emit('block', print);
+    }
+
+    this.emit('trade', print);
+    return print;
+  }
+
+  /**
+   * Large print: limites absolutos em USD ou múltiplo da mediana recente
+   */
+  isBlock(print) {
+    if (print.premium >= this.config.blockPremium) return true;
+    if (print.notional >= this.config.blockNotional) return true;
+
+    if (this.sizeSamples.length >= this.config.minSizeSamples) {
+      const sorted = [...this.sizeSamples].sort((a, b) => a - b);
+      const median = sorted[Math.floor(sorted.length / 2)];
+      return median > 0 && print.quantity >= median * this.config.blockSizeMultiple;
+    }
+
+    return false;
+  }
+
+  addSizeSample(quantity) {
+    this.sizeSamples.push(quantity);
+    if (this.sizeSamples.length > this.config.maxSizeSamples) {
+      this.sizeSamples.shift();
+    }
+  }
+
+  /**
+   * Remove prints fora da maior janela
+   */
+  cleanOldData() {
+    const cutoff = Date.now() - Math.max(...Object.values(WINDOWS));
+    const index = this.trades.findIndex(trade => trade.timestamp >= cutoff);
+
+    if (index === -1) {
+      this.trades = [];
+    } else if (index > 0) {
+      this.trades = this.trades.slice(index);
+    }
+  }
+
+  /**
+   * Agrega prêmio, delta e gamma líquidos de um conjunto de prints
+   */
+  aggregate(prints) {
+    const result = {
+      trades: 0,
+      buyCount: 0,
+      sellCount: 0,
+      buyVolume: 0,
+      sellVolume: 0,
+      buyPremium: 0,
+      sellPremium: 0,
+      netPremium: 0,
+      netDelta: 0,
+      netGamma: 0,
+      grossGamma: 0,
+      netVega: 0,
+      blocks: 0
+    };
+
+    prints.forEach(print => {
+      result.trades++;
+      if (print.aggressor === 'BUY') {
+        result.buyCount++;
+        result.buyVolume += print.quantity;
+        result.buyPremium += print.premium;
+      } else {
+        result.sellCount++;
+        result.sellVolume += print.quantity;
+        result.sellPremium += print.premium;
+      }
+      result.netDelta += print.delta;
+      result.netGamma += print.gamma;
+      result.grossGamma += Math.abs(print.gamma);
+      result.netVega += print.vega;
+      if (print.block) result.blocks++;
+    });
+
+    result.netPremium = result.buyPremium - result.sellPremium;
+    result.gammaBias = this.getGammaBias(result);
+
+    return result;
+  }
+
+  /**
+   * Lado dominante do gamma: clientes comprando (dealers vendidos) ou vendendo
+   */
+  getGammaBias(aggregate) {
+    if (aggregate.grossGamma <= 0) return 'BALANCED';
+
+    const ratio = aggregate.netGamma / aggregate.grossGamma;
+    if (ratio > this.config.biasThreshold) return 'CUSTOMERS_BUYING_GAMMA';
+    if (ratio < -this.config.biasThreshold) return 'CUSTOMERS_SELLING_GAMMA';
+    return 'BALANCED';
+  }
+
+  /**
+   * Prints de uma janela (opcionalmente de um vencimento)
+   */
+  getTrades(window = '1h', expiry = null) {
+    const since = Date.now() - (WINDOWS[window] || WINDOWS['1h']);
+
+    return this.trades.filter(trade =>
+      trade.timestamp >= since && (!expiry || trade.expiry === expiry)
+    );
+  }
+
+  /**
+   * Fluxo líquido de uma janela: totais, por strike, por vencimento e blocos
+   * @param {string} window - '5m' | '15m' | '1h' | '4h'
+   * @param {string|null} expiry - YYYY-MM-DD
+   */
+  getFlow(window = '1h', expiry = null) {
+    const prints = this.getTrades(window, expiry);
+
+    // Por strike (calls e puts separados)
+    const strikes = new Map();
+    prints.forEach(print => {
+      if (!strikes.has(print.strike)) {
+        strikes.set(print.strike, { calls: [], puts: [] });
+      }
+      strikes.get(print.strike)[print.side === 'CALL' ? 'calls' : 'puts'].push(print);
+    });
+
+    const byStrike = Array.from(strikes.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([strike, group]) => {
+        const calls = this.aggregate(group.calls);
+        const puts = this.aggregate(group.puts);
+        return {
+          strike: strike,
+          calls: calls,
+          puts: puts,
+          netPremium: calls.netPremium + puts.netPremium,
+          netDelta: calls.netDelta + puts.netDelta,
+          netGamma: calls.netGamma + puts.netGamma
+        };
+      });
+
+    // Por vencimento
+    const expiries = new Map();
+    prints.forEach(print => {
+      if (!expiries.has(print.expiry)) {
+        expiries.set(print.expiry, []);
+      }
+      expiries.get(print.expiry).push(print);
+    });
+
+    const byExpiry = Array.from(expiries.entries())
+      .sort((a, b) => String(a[0]).localeCompare(String(b[0])))
+      .map(([date, group]) => ({
+        expiry: date,
+        ...this.aggregate(group)
+      }));
+
+    const methods = { quote: 0, midpoint: 0, exchange: 0 };
+    prints.forEach(print => { methods[print.method]++; });
+
+    return {
+      window: window,
+      expiry: expiry,
+      from: Date.now() - (WINDOWS[window] || WINDOWS['1h']),
+      to: Date.now(),
+      totals: this.aggregate(prints),
+      classification: methods,
+      byStrike: byStrike,
+      byExpiry: byExpiry,
+      blocks: prints.filter(print => print.block).reverse()
+    };
+  }
+
+  /**
+   * Totais de todas as janelas
+   */
+  getSummary(expiry = null) {
+    const summary = {};
+    Object.keys(WINDOWS).forEach(window => {
+      const totals = this.aggregate(this.getTrades(window, expiry));
+      summary[window] = {
+        trades: totals.trades,
+        netPremium: totals.netPremium,
+        netDelta: totals.netDelta,
+        netGamma: totals.netGamma,
+        blocks: totals.blocks,
+        gammaBias: totals.gammaBias
+      };
+    });
+    return summary;
+  }
+
+  /**
+   * Blocos mais recentes primeiro
+   */
+  getBlocks(limit = 50) {
+    return this.blocks.slice(-limit).reverse();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      tradesInMemory: this.trades.length,
+      blocksInMemory: this.blocks.length,
+      config: {
+        blockPremium: this.config.blockPremium,
+        blockNotional: this.config.blockNotional,
+        blockSizeMultiple: this.config.blockSizeMultiple
+      }
+    };
+  }
+}
+
+OptionsFlowTracker.WINDOWS = WINDOWS;
+
+module.exports = OptionsFlowTracker;
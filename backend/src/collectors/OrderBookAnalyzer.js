@@ -15,17 +15,24 @@
  * - Energy Score: Score combinado de energia sustentada
  * 
  * CONEXÃO:
- * - WebSocket: wss://fstream.binance.com/ws/{symbol}@depth20@100ms
+ * - Book completo local (LocalOrderBook): diff stream {symbol}@depth@100ms
+ *   + snapshot REST /fapi/v1/depth, com resync em gaps
  * - Update rate: 100ms
- * - Depth levels: 20 níveis de cada lado
+ * 
+ * FAIXAS DE PREÇO:
+ * - Depth, imbalance e walls calculados por faixa em torno do mid
+ *   (config.bands, padrão ±0.5%, ±1%, ±2%)
+ * - Métricas principais (BI, volumes) usam config.band (±1%);
+ *   walls usam config.wallBand (±2%)
  * 
  * AUTOR: Gamma Tracker Team
  * DATA: 2025-12-30
  * ============================================================================
  */
 
-const WebSocket = require('ws');
 const EventEmitter = require('events');
+const LocalOrderBook = require('./LocalOrderBook');
+const MarketDataSource = require('../capture/MarketDataSource');
 
 class OrderBookAnalyzer extends EventEmitter {
   /**
@@ -40,19 +47,16 @@ class OrderBookAnalyzer extends EventEmitter {
     this.symbol = symbol.toLowerCase();
     this.logger = logger;
     
-    // WebSocket
-    this.ws = null;
-    this.wsUrl = `wss://fstream.binance.com/ws/${this.symbol}@depth20@100ms`;
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 10;
-    this.reconnectDelay = 5000;
+    // Book completo (diff stream + snapshot REST)
+    this.book = new LocalOrderBook(this.symbol, logger, {
+      wsBaseUrl: config.wsBaseUrl,
+      restBaseUrl: config.restBaseUrl
+    });
     this.isConnected = false;
-    this.spotPrice = 0;
     
-    // Order Book State
-    this.bids = new Map();  // price → quantity
-    this.asks = new Map();  // price → quantity
-    this.lastUpdateId = 0;
+    // Order Book State (mesmos Maps do LocalOrderBook)
+    this.bids = this.book.bids;  // price → quantity
+    this.asks = this.book.asks;  // price → quantity
     this.spotPrice = 0;     // Mid price
     this.currentBids = [];
     this.currentAsks = [];
@@ -78,6 +82,9 @@ class OrderBookAnalyzer extends EventEmitter {
       depthChange: 0,           // % mudança vs média
       depth_history: [],
       
+      // Por faixa de preço: { '0.5%': { bidVolume, askVolume, BI, bidWall, ... } }
+      bands: {},
+      
       // Spread
       bestBid: 0,
       bestAsk: 0,
@@ -105,7 +112,10 @@ class OrderBookAnalyzer extends EventEmitter {
     
     // Configuração
     this.config = {
-      depthLevels: 20,          // Quantos níveis analisar
+      depthLevels: 20,          // Níveis retornados em getMetrics (bids/asks)
+      bands: [0.005, 0.01, 0.02], // Faixas em torno do mid (±0.5%, ±1%, ±2%)
+      band: 0.01,               // Faixa das métricas principais (BI, volumes)
+      wallBand: 0.02,           // Faixa de busca de walls
       wallThreshold: 10,        // 10x média = wall
       BI_threshold: 0.3,        // BI > 0.3 = significativo
       spread_threshold: 0.001,  // 0.1% = spread normal
@@ -116,10 +126,11 @@ class OrderBookAnalyzer extends EventEmitter {
     this.stats = {
       updates: 0,
       errors: 0,
-      reconnects: 0,
       startTime: null,
       uptime: 0
     };
+    
+    this.setupBookListeners();
   }
   
   /**
@@ -129,76 +140,63 @@ class OrderBookAnalyzer extends EventEmitter {
    */
   
   /**
-   * Conectar ao WebSocket
+   * Repassar eventos do LocalOrderBook
    */
-  connect() {
-    if (this.ws) {
-      this.logger.warn('OrderBookAnalyzer já está conectado');
-      return;
-    }
-    
-    this.logger.info(`Conectando OrderBookAnalyzer: ${this.wsUrl}`);
-    
-    this.ws = new WebSocket(this.wsUrl);
-    
-    this.ws.on('open', () => {
+  setupBookListeners() {
+    this.book.on('connected', () => {
       this.isConnected = true;
-      this.reconnectAttempts = 0;
       this.stats.startTime = new Date();
       this.logger.success(`✅ OrderBookAnalyzer conectado: ${this.symbol}`);
       this.emit('connected', { symbol: this.symbol });
     });
     
-    this.ws.on('message', (data) => {
-      try {
-        const update = JSON.parse(data);
-        this.handleDepthUpdate(update);
-      } catch (error) {
-        this.logger.error('Erro ao processar mensagem do order book:', error);
-        this.stats.errors++;
-      }
+    this.book.on('synced', (info) => {
+      this.handleBookUpdate();
+      this.emit('synced', info);
     });
     
-    this.ws.on('error', (error) => {
-      this.logger.error('WebSocket error (OrderBook):', error);
+    this.book.on('update', () => this.handleBookUpdate());
+    
+    this.book.on('gap', (info) => this.emit('gap', info));
+    
+    this.book.on('error', (error) => {
       this.stats.errors++;
       this.emit('error', error);
     });
     
-    this.ws.on('close', () => {
+    this.book.on('disconnected', () => {
       this.isConnected = false;
       this.logger.warn('OrderBookAnalyzer desconectado');
       this.emit('disconnected');
-      
-      // Auto-reconnect
-      if (this.reconnectAttempts < this.maxReconnectAttempts) {
-        this.reconnectAttempts++;
-        this.logger.info(`Tentando reconectar OrderBookAnalyzer (${this.reconnectAttempts}/${this.maxReconnectAttempts})...`);
-        setTimeout(() => this.reconnect(), this.reconnectDelay);
-      } else {
-        this.logger.error('Max reconnect attempts reached (OrderBook)');
-        this.emit('max-reconnect-attempts');
-      }
+    });
+    
+    this.book.on('max-reconnect-attempts', () => {
+      this.emit('max-reconnect-attempts');
     });
   }
   
   /**
-   * Reconectar
+   * Conectar ao diff stream (reconexão automática no LocalOrderBook)
    */
-  reconnect() {
-    this.ws = null;
-    this.stats.reconnects++;
-    this.connect();
+  connect() {
+    if (this.book.ws) {
+      this.logger.warn('OrderBookAnalyzer já está conectado');
+      return;
+    }
+    
+    this.logger.info(`Conectando OrderBookAnalyzer: ${this.book.wsUrl}`);
+    this.book.connect();
   }
   
   /**
    * Desconectar
    */
   disconnect() {
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
-      this.isConnected = false;
+    const wasConnected = Boolean(this.book.ws);
+    this.book.disconnect();  // também cancela reconexão/resync pendentes
+    this.isConnected = false;
+    
+    if (wasConnected) {
       this.logger.info('OrderBookAnalyzer desconectado manualmente');
     }
   }
@@ -210,40 +208,14 @@ class OrderBookAnalyzer extends EventEmitter {
    */
   
   /**
-   * Processar update do order book
-   * @param {object} update - Dados do WebSocket
+   * Book alterado (snapshot ou diff aplicado): recalcular métricas
    */
-  handleDepthUpdate(update) {
+  handleBookUpdate() {
     try {
-      // Validar update
-      if (!update.b || !update.a) {
+      if (this.bids.size === 0 || this.asks.size === 0) {
         return;
       }
       
-      // Atualizar bids
-      for (const [price, qty] of update.b) {
-        const priceNum = parseFloat(price);
-        const qtyNum = parseFloat(qty);
-        
-        if (qtyNum === 0) {
-          this.bids.delete(priceNum);
-        } else {
-          this.bids.set(priceNum, qtyNum);
-        }
-      }
-      
-      // Atualizar asks
-      for (const [price, qty] of update.a) {
-        const priceNum = parseFloat(price);
-        const qtyNum = parseFloat(qty);
-        
-        if (qtyNum === 0) {
-          this.asks.delete(priceNum);
-        } else {
-          this.asks.set(priceNum, qtyNum);
-        }
-      }
-      
       // Atualizar métricas
       this.calculateMetrics();
       
@@ -269,12 +241,12 @@ class OrderBookAnalyzer extends EventEmitter {
    * Calcular todas as métricas
    */
   calculateMetrics() {
-    const now = Date.now();
+    const now = MarketDataSource.now();
     
     // 1. Best bid/ask e spread
     this.calculateSpread();
     
-    // 2. Volumes totais
+    // 2. Volumes por faixa de preço
     this.calculateVolumes();
     
     // 3. Book Imbalance (BI)
@@ -283,7 +255,7 @@ class OrderBookAnalyzer extends EventEmitter {
     // 4. Depth analysis
     this.calculateDepth();
     
-    // 5. Walls detection
+    // 5. Walls detection (métricas principais = wallBand)
     this.detectWalls();
     
     // 6. Energy Score
@@ -308,10 +280,10 @@ class OrderBookAnalyzer extends EventEmitter {
     }
     
     // Best bid = maior preço de compra
-    this.metrics.bestBid = Math.max(...Array.from(this.bids.keys()));
+    this.metrics.bestBid = this.book.getBestBid();
     
     // Best ask = menor preço de venda
-    this.metrics.bestAsk = Math.min(...Array.from(this.asks.keys()));
+    this.metrics.bestAsk = this.book.getBestAsk();
     
     // Spread absoluto
     this.metrics.spread = this.metrics.bestAsk - this.metrics.bestBid;
@@ -324,7 +296,7 @@ class OrderBookAnalyzer extends EventEmitter {
     
     // Adicionar ao histórico
     this.metrics.spread_history.push({
-      time: Date.now(),
+      time: MarketDataSource.now(),
       spread: this.metrics.spread,
       spread_pct: this.metrics.spread_pct
     });
@@ -336,19 +308,66 @@ class OrderBookAnalyzer extends EventEmitter {
   }
   
   /**
-   * Calcular volumes totais
+   * Volumes, imbalance e walls de uma faixa em torno do mid
+   * @param {number} band - Ex: 0.01 = ±1%
+   */
+  calculateBand(band) {
+    const lower = this.spotPrice * (1 - band);
+    const upper = this.spotPrice * (1 + band);
+    const result = {
+      band: band,
+      bidVolume: 0,
+      askVolume: 0,
+      bidNotional: 0,
+      askNotional: 0,
+      bidLevels: 0,
+      askLevels: 0
+    };
+    
+    for (const [price, qty] of this.bids.entries()) {
+      if (price < lower) continue;
+      result.bidVolume += qty;
+      result.bidNotional += price * qty;
+      result.bidLevels++;
+    }
+    
+    for (const [price, qty] of this.asks.entries()) {
+      if (price > upper) continue;
+      result.askVolume += qty;
+      result.askNotional += price * qty;
+      result.askLevels++;
+    }
+    
+    const total = result.bidVolume + result.askVolume;
+    result.totalDepth = total;
+    result.BI = total > 0 ? (result.bidVolume - result.askVolume) / total : 0;
+    result.depthRatio = result.askVolume > 0 ? result.bidVolume / result.askVolume : 1;
+    
+    const walls = this.findWalls(lower, upper, result);
+    result.bidWall = walls.bidWall;
+    result.askWall = walls.askWall;
+    
+    return result;
+  }
+  
+  /**
+   * Calcular volumes por faixa (métricas principais = config.band)
    */
   calculateVolumes() {
-    // Volume total de bids
-    this.metrics.totalBidVolume = Array.from(this.bids.values())
-      .reduce((sum, qty) => sum + qty, 0);
+    const bands = {};
+    this.config.bands.forEach(band => {
+      bands[this.formatBand(band)] = this.calculateBand(band);
+    });
+    this.metrics.bands = bands;
     
-    // Volume total de asks
-    this.metrics.totalAskVolume = Array.from(this.asks.values())
-      .reduce((sum, qty) => sum + qty, 0);
+    const main = bands[this.formatBand(this.config.band)] || this.calculateBand(this.config.band);
+    
+    // Volume total de bids / asks na faixa principal
+    this.metrics.totalBidVolume = main.bidVolume;
+    this.metrics.totalAskVolume = main.askVolume;
     
     // Depth total
-    this.metrics.totalDepth = this.metrics.totalBidVolume + this.metrics.totalAskVolume;
+    this.metrics.totalDepth = main.totalDepth;
     
     // Ratio
     if (this.metrics.totalAskVolume > 0) {
@@ -356,6 +375,13 @@ class OrderBookAnalyzer extends EventEmitter {
     }
   }
   
+  /**
+   * Rótulo da faixa: 0.005 → '0.5%'
+   */
+  formatBand(band) {
+    return `${parseFloat((band * 100).toFixed(4))}%`;
+  }
+  
   /**
    * Calcular Book Imbalance (BI)
    */
@@ -392,7 +418,7 @@ class OrderBookAnalyzer extends EventEmitter {
     
     // Adicionar ao histórico
     this.metrics.BI_history.push({
-      time: Date.now(),
+      time: MarketDataSource.now(),
       BI: this.metrics.BI,
       direction: this.metrics.BI_direction
     });
@@ -409,7 +435,7 @@ class OrderBookAnalyzer extends EventEmitter {
   calculateDepth() {
     // Adicionar ao histórico
     this.metrics.depth_history.push({
-      time: Date.now(),
+      time: MarketDataSource.now(),
       totalDepth: this.metrics.totalDepth,
       bidVolume: this.metrics.totalBidVolume,
       askVolume: this.metrics.totalAskVolume
@@ -431,54 +457,61 @@ class OrderBookAnalyzer extends EventEmitter {
   }
   
   /**
-   * Detectar walls (ordens grandes)
+   * Detectar walls (ordens grandes) na faixa config.wallBand
    */
   detectWalls() {
+    const band = this.metrics.bands[this.formatBand(this.config.wallBand)] ||
+      this.calculateBand(this.config.wallBand);
+    
+    this.metrics.bidWall = band.bidWall;
+    this.metrics.askWall = band.askWall;
+  }
+  
+  /**
+   * Maior nível acima de wallThreshold × tamanho médio dos níveis da faixa
+   * @param {number} lower - Preço mínimo dos bids
+   * @param {number} upper - Preço máximo dos asks
+   * @param {object} volumes - { bidVolume, askVolume, bidLevels, askLevels }
+   */
+  findWalls(lower, upper, volumes) {
     // Calcular tamanho médio das ordens
-    const avgBidSize = this.metrics.totalBidVolume / this.bids.size;
-    const avgAskSize = this.metrics.totalAskVolume / this.asks.size;
+    const avgBidSize = volumes.bidLevels > 0 ? volumes.bidVolume / volumes.bidLevels : 0;
+    const avgAskSize = volumes.askLevels > 0 ? volumes.askVolume / volumes.askLevels : 0;
     
     // Detectar bid wall
     let maxBid = { price: 0, size: 0, ratio: 0 };
     for (const [price, qty] of this.bids.entries()) {
+      if (price < lower || avgBidSize === 0) continue;
       const ratio = qty / avgBidSize;
       if (ratio > this.config.wallThreshold && qty > maxBid.size) {
         maxBid = { price, size: qty, ratio };
       }
     }
     
-    if (maxBid.size > 0) {
-      const distance = ((this.spotPrice - maxBid.price) / this.spotPrice) * 100;
-      this.metrics.bidWall = {
-        price: maxBid.price,
-        size: maxBid.size,
-        ratio: maxBid.ratio,
-        distance: distance  // % abaixo do spot
-      };
-    } else {
-      this.metrics.bidWall = null;
-    }
-    
     // Detectar ask wall
     let maxAsk = { price: 0, size: 0, ratio: 0 };
     for (const [price, qty] of this.asks.entries()) {
+      if (price > upper || avgAskSize === 0) continue;
       const ratio = qty / avgAskSize;
       if (ratio > this.config.wallThreshold && qty > maxAsk.size) {
         maxAsk = { price, size: qty, ratio };
       }
     }
     
-    if (maxAsk.size > 0) {
-      const distance = ((maxAsk.price - this.spotPrice) / this.spotPrice) * 100;
-      this.metrics.askWall = {
+    return {
+      bidWall: maxBid.size > 0 ? {
+        price: maxBid.price,
+        size: maxBid.size,
+        ratio: maxBid.ratio,
+        distance: ((this.spotPrice - maxBid.price) / this.spotPrice) * 100  // % abaixo do spot
+      } : null,
+      askWall: maxAsk.size > 0 ? {
         price: maxAsk.price,
         size: maxAsk.size,
         ratio: maxAsk.ratio,
-        distance: distance  // % acima do spot
-      };
-    } else {
-      this.metrics.askWall = null;
-    }
+        distance: ((maxAsk.price - this.spotPrice) / this.spotPrice) * 100  // % acima do spot
+      } : null
+    };
   }
   
   /**
@@ -574,12 +607,9 @@ class OrderBookAnalyzer extends EventEmitter {
    */
   getMetrics() {
 
-     // Converter Maps para Arrays [[price, qty], ...]
-    const bidsArray = Array.from(this.bids.entries())
-      .sort((a, b) => b[0] - a[0]);  // Ordenar por preço (maior primeiro)
-    
-    const asksArray = Array.from(this.asks.entries())
-      .sort((a, b) => a[0] - b[0]);  // Ordenar por preço (menor primeiro)
+     // Topo do book [[price, qty], ...] (config.depthLevels por lado)
+    const bidsArray = this.book.getLevels('bids', this.config.depthLevels);  // maior primeiro
+    const asksArray = this.book.getLevels('asks', this.config.depthLevels);  // menor primeiro
 
     return {
       ...this.metrics,
@@ -605,14 +635,31 @@ class OrderBookAnalyzer extends EventEmitter {
   
   /**
    * Obter Depth analysis
+   * @param {number} band - Faixa em torno do mid (padrão: config.band).
+   *   change é sempre relativo ao histórico da faixa principal
    */
-  getDepth() {
+  getDepth(band = this.config.band) {
+    if (band !== this.config.band) {
+      const stats = this.spotPrice > 0 ? this.calculateBand(band) : null;
+      return {
+        totalDepth: stats ? stats.totalDepth : 0,
+        bidVolume: stats ? stats.bidVolume : 0,
+        askVolume: stats ? stats.askVolume : 0,
+        ratio: stats ? stats.depthRatio : 1,
+        change: this.metrics.depthChange,
+        band: band,
+        bands: this.metrics.bands
+      };
+    }
+    
     return {
       totalDepth: this.metrics.totalDepth,
       bidVolume: this.metrics.totalBidVolume,
       askVolume: this.metrics.totalAskVolume,
       ratio: this.metrics.depthRatio,
-      change: this.metrics.depthChange
+      change: this.metrics.depthChange,
+      band: this.config.band,
+      bands: this.metrics.bands
     };
   }
   
@@ -631,11 +678,26 @@ class OrderBookAnalyzer extends EventEmitter {
   
   /**
    * Obter Walls
+   * @param {number} band - Faixa de busca (padrão: config.wallBand)
    */
-  getWalls() {
+  getWalls(band = this.config.wallBand) {
+    const bands = {};
+    Object.entries(this.metrics.bands).forEach(([label, stats]) => {
+      bands[label] = { bidWall: stats.bidWall, askWall: stats.askWall };
+    });
+    
+    let { bidWall, askWall } = this.metrics;
+    if (band !== this.config.wallBand) {
+      const stats = this.spotPrice > 0 ? this.calculateBand(band) : null;
+      bidWall = stats ? stats.bidWall : null;
+      askWall = stats ? stats.askWall : null;
+    }
+    
     return {
-      bidWall: this.metrics.bidWall,
-      askWall: this.metrics.askWall
+      bidWall: bidWall,
+      askWall: askWall,
+      band: band,
+      bands: bands
     };
   }
   
@@ -674,12 +736,16 @@ class OrderBookAnalyzer extends EventEmitter {
       this.stats.uptime = Date.now() - this.stats.startTime;
     }
     
+    const book = this.book.getStatus();
+    
     return {
       ...this.stats,
+      reconnects: book.reconnects,
       isConnected: this.isConnected,
       symbol: this.symbol,
       bidsCount: this.bids.size,
-      asksCount: this.asks.size
+      asksCount: this.asks.size,
+      book: book
     };
   }
 }
@@ -0,0 +1,233 @@
+/**
+ * RealizedVolatilityTracker - Volatilidade realizada do spot
+ *
+ * Monta klines (OHLC) a partir do trade stream do spot que o DataCollector
+ * já consome (<symbol>@trade) e calcula, por janela, os estimadores de
+ * RealizedVolatility.js (close-to-close, Parkinson, Garman-Klass, Yang-Zhang).
+ *
+ * BARRAS:
+ * - Intervalo fixo (barInterval, padrão 1 minuto), alinhado ao relógio
+ * - Intervalos sem trades viram barras flat no último fechamento
+ * - Mantém até maxBars barras fechadas (padrão: 7 dias de 1m)
+ * - backfill(): klines REST anteriores ao trade stream (start do coletor),
+ *   para as janelas longas não começarem vazias
+ * - O relógio (config.now) é o do coletor: replay/playback fecham as barras
+ *   no tempo dos dados, não no tempo real
+ *
+ * JANELAS:
+ * - Uma janela só é `complete` quando há barras suficientes para cobri-la;
+ *   antes disso os estimadores usam o que existe (a partir de minBars)
+ */
+
+const EventEmitter = require('events');
+const RealizedVolatility = require('../calculators/RealizedVolatility');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Janelas de cálculo (minutos)
+const WINDOWS = {
+  '1h': 60,
+  '4h': 4 * 60,
+  '24h': 24 * 60,
+  '7d': 7 * 24 * 60
+};
+
+class RealizedVolatilityTracker extends EventEmitter {
+  constructor(logger = console, config = {}) {
+    super();
+
+    this.logger = logger;
+
+    this.config = {
+      barInterval: config.barInterval || MS_PER_MINUTE,
+      maxBars: config.maxBars || 7 * 24 * 60 + 1,  // maior janela + fechamento anterior
+      minBars: config.minBars || 20,              // barras mínimas para estimar
+      maxGapBars: config.maxGapBars || 24 * 60     // gaps maiores reiniciam a série
+    };
+    this.now = config.now || (() => Date.now());
+
+    // Barras fechadas (mais antigas primeiro) e barra em formação
+    this.bars = [];
+    this.currentBar = null;
+
+    this.stats = {
+      totalTrades: 0,
+      lastTrade: null,
+      resets: 0,
+      backfilledBars: 0
+    };
+  }
+
+  /**
+   * Processa um trade do spot
+   * @param {Object} trade - { timestamp, price } (DataCollector.addTrade)
+   */
+  addTrade(trade) {
+    const price = parseFloat(trade.price);
+    const timestamp = parseInt(trade.timestamp) || this.now();
+    if (!(price > 0)) return;
+
+    // Trades fora de ordem de uma barra já fechada são ignorados
+    if (this.currentBar && timestamp < this.currentBar.openTime) return;
+
+    this.roll(timestamp);
+
+    if (!this.currentBar) {
+      this.currentBar = this.openBar(this.barStart(timestamp), price);
+    }
+
+    const bar = this.currentBar;
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    bar.close = price;
+    bar.trades++;
+
+    this.stats.totalTrades++;
+    this.stats.lastTrade = timestamp;
+  }
+
+  barStart(timestamp) {
+    return Math.floor(timestamp / this.config.barInterval) * this.config.barInterval;
+  }
+
+  openBar(openTime, price) {
+    return { openTime, open: price, high: price, low: price, close: price, trades: 0 };
+  }
+
+  /**
+   * Fecha a barra em formação (e preenche gaps) se o tempo já passou dela
+   */
+  roll(now = this.now()) {
+    if (!this.currentBar) return;
+
+    const start = this.barStart(now);
+    if (start <= this.currentBar.openTime) return;
+
+    this.closeBar(this.currentBar);
+
+    const gapBars = (start - this.currentBar.openTime) / this.config.barInterval - 1;
+    if (gapBars > this.config.maxGapBars) {
+      // Sem dados por tempo demais (ex: desconexão longa): recomeça a série
+      this.logger.warn(`RealizedVol: gap de ${gapBars} barras, reiniciando série`);
+      this.bars = [];
+      this.stats.resets++;
+      this.currentBar = null;
+      return;
+    }
+
+    const lastClose = this.currentBar.close;
+    for (let i = 1; i <= gapBars; i++) {
+      this.closeBar(this.openBar(this.currentBar.openTime + i * this.config.barInterval, lastClose));
+    }
+
+    this.currentBar = this.openBar(start, lastClose);
+  }
+
+  closeBar(bar) {
+    this.bars.push(bar);
+    if (this.bars.length > this.config.maxBars) {
+      this.bars.shift();
+    }
+    this.emit('bar', bar);
+  }
+
+  /**
+   * Completa a série com barras anteriores ao trade stream
+   * @param {Array<Object>} klines - [{ openTime, open, high, low, close, trades }] no barInterval
+   * @returns {number} - Barras adicionadas
+   */
+  backfill(klines) {
+    const interval = this.config.barInterval;
+    const now = this.now();
+    const liveStart = this.bars.length > 0
+      ? this.bars[0].openTime
+      : (this.currentBar ? this.currentBar.openTime : Infinity);
+
+    // Só barras já fechadas e anteriores às montadas pelo trade stream
+    const history = klines
+      .filter(bar => bar.openTime % interval === 0 && bar.openTime + interval <= now && bar.openTime < liveStart)
+      .sort((a, b) => a.openTime - b.openTime)
+      .filter((bar, i, list) => i === 0 || bar.openTime !== list[i - 1].openTime);
+    if (history.length === 0) return 0;
+
+    const last = history[history.length - 1];
+
+    if (liveStart === Infinity) {
+      // Sem trades ainda: a barra em formação continua do último fechamento
+      this.bars = history.slice(-this.config.maxBars);
+      this.currentBar = this.openBar(last.openTime + interval, last.close);
+      this.roll(now);
+    } else {
+      const gapBars = (liveStart - last.openTime) / interval - 1;
+      if (gapBars > this.config.maxGapBars) {
+        this.logger.warn(`RealizedVol: backfill termina ${gapBars} barras antes do trade stream, ignorado`);
+        return 0;
+      }
+
+      const gap = [];
+      for (let i = 1; i <= gapBars; i++) {
+        gap.push(this.openBar(last.openTime + i * interval, last.close));
+      }
+      this.bars = [...history, ...gap, ...this.bars].slice(-this.config.maxBars);
+    }
+
+    this.stats.backfilledBars += history.length;
+    return history.length;
+  }
+
+  /**
+   * Barras fechadas (opcionalmente só as últimas `limit`)
+   */
+  getBars(limit = null) {
+    this.roll();
+    return limit ? this.bars.slice(-limit) : this.bars;
+  }
+
+  /**
+   * Estimadores de uma janela
+   * @param {string} window - '1h' | '4h' | '24h' | '7d'
+   */
+  calculate(window = '24h') {
+    const minutes = WINDOWS[window] || WINDOWS['24h'];
+    const needed = Math.ceil(minutes * MS_PER_MINUTE / this.config.barInterval);
+    // +1: o primeiro retorno precisa do fechamento anterior
+    const bars = this.getBars(needed + 1);
+    const enough = bars.length >= this.config.minBars;
+
+    const estimates = enough
+      ? RealizedVolatility.estimate(bars, this.config.barInterval)
+      : { closeToClose: null, parkinson: null, garmanKlass: null, yangZhang: null };
+
+    return {
+      window: window,
+      minutes: minutes,
+      bars: bars.length,
+      complete: bars.length > needed,
+      ...estimates
+    };
+  }
+
+  /**
+   * Estimadores de todas as janelas
+   */
+  getSummary() {
+    return {
+      barInterval: this.config.barInterval,
+      bars: this.getBars().length,
+      from: this.bars.length > 0 ? this.bars[0].openTime : null,
+      windows: Object.keys(WINDOWS).map(window => this.calculate(window))
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      barsInMemory: this.bars.length,
+      barInterval: this.config.barInterval
+    };
+  }
+}
+
+RealizedVolatilityTracker.WINDOWS = WINDOWS;
+
+module.exports = RealizedVolatilityTracker;
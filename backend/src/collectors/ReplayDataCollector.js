@@ -0,0 +1,362 @@
+/**
+ * ReplayDataCollector - Reproduz sessões passadas a partir do banco
+ *
+ * Lê MarketSnapshot + OptionsHistory (gravados a cada 10 minutos pelo
+ * DataPersistenceService) e alimenta as options, o spot e os eventos do
+ * DataCollector na velocidade configurada. GEXCalculator, GreeksEngine,
+ * EscapeTypeDetector, API e StreamServer funcionam como no modo ao vivo,
+ * sem nenhuma conexão de rede.
+ *
+ * LIMITAÇÕES:
+ * - Order book e liquidações não são persistidos: o EscapeTypeDetector roda,
+ *   mas sem esses dados não gera detecções
+ * - Trades de options não são persistidos: fluxo agressor fica zerado
+ *
+ * CONFIG (replay):
+ * - from / to  - Intervalo (timestamp ms ou data ISO)
+ * - speed      - 1 = tempo real, 60 = 1 minuto por segundo (padrão: 60)
+ * - loop       - Recomeça do início ao terminar
+ */
+
+const { Op } = require('sequelize');
+const DataCollector = require('./DataCollector');
+const Option = require('../models/Option');
+const GEXCalculator = require('../calculators/GEXCalculator');
+const { parseTime } = require('../utils/time');
+
+class ReplayDataCollector extends DataCollector {
+  constructor(config = {}) {
+    super(config);
+
+    const replay = config.replay || {};
+    this.db = config.database;
+
+    this.replayConfig = {
+      from: parseTime(replay.from) || 0,
+      to: parseTime(replay.to) || Date.now(),
+      speed: parseFloat(replay.speed) || 60,
+      loop: replay.loop === true,
+      minFrameDelay: replay.minFrameDelay || 250 // ms entre frames no mínimo
+    };
+
+    // Frames (snapshots) da sessão
+    this.frames = [];
+    this.frameIndex = -1;
+    this.replayTime = null;
+    this.replayTimer = null;
+    // Incrementado a cada seek: frames carregados/agendados antes são descartados
+    this.frameGeneration = 0;
+    this.paused = false;
+    this.finished = false;
+    this.assetId = null;
+  }
+
+  /**
+   * Sem stream de trades no replay
+   */
+  connectTradesWebSocket() {}
+
+  /**
+   * Venues presentes nos snapshots reproduzidos
+   */
+  getVenues() {
+    return [...new Set(this.getAllOptions().map(option => option.venue))];
+  }
+
+  /**
+   * Relógio do replay: timestamp do frame atual
+   */
+  getCurrentTime() {
+    return this.replayTime || Date.now();
+  }
+
+  /**
+   * Inicia o replay
+   */
+  async start() {
+    this.logger.info('Iniciando DataCollector em modo REPLAY...');
+
+    if (!this.db) {
+      throw new Error('Replay requer conexão com o banco de dados');
+    }
+
+    try {
+      // 1. Resolver o asset do underlying
+      const Asset = this.db.getModel('Asset');
+      const asset = await Asset.findOne({ where: { symbol: this.config.underlying } });
+      if (!asset) {
+        throw new Error(`Asset ${this.config.underlying} não encontrado no banco`);
+      }
+      this.assetId = asset.id;
+
+      // 2. Carregar a lista de snapshots do intervalo
+      const MarketSnapshot = this.db.getModel('MarketSnapshot');
+      const snapshots = await MarketSnapshot.findAll({
+        where: {
+          assetId: this.assetId,
+          timestamp: { [Op.between]: [this.replayConfig.from, this.replayConfig.to] }
+        },
+        attributes: ['id', 'timestamp', 'spotPrice'],
+        order: [['timestamp', 'ASC']],
+        raw: true
+      });
+
+      if (snapshots.length === 0) {
+        throw new Error(`Nenhum snapshot de ${this.config.underlying} entre ${new Date(this.replayConfig.from).toISOString()} e ${new Date(this.replayConfig.to).toISOString()}`);
+      }
+
+      this.frames = snapshots.map(snapshot => ({
+        id: snapshot.id,
+        timestamp: Number(snapshot.timestamp),
+        spotPrice: parseFloat(snapshot.spotPrice)
+      }));
+
+      this.logger.success(`${this.frames.length} snapshots carregados (${new Date(this.frames[0].timestamp).toISOString()} → ${new Date(this.frames[this.frames.length - 1].timestamp).toISOString()})`);
+
+      // 3. Mesmos calculadores do modo ao vivo
+      this.gexCalculator = new GEXCalculator(0, { now: () => this.getCurrentTime() });
+      this.initEscapeTypeDetector();
+
+      // 4. Primeiro frame e agendamento dos próximos
+      await this.loadFrame(0);
+
+      this.logger.success(`DataCollector (replay, ${this.replayConfig.speed}x) iniciado com sucesso`);
+      this.emit('ready');
+
+      this.scheduleNextFrame();
+
+    } catch (error) {
+      this.logger.error('Erro ao iniciar replay', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Para o replay
+   */
+  stop() {
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+    super.stop();
+  }
+
+  /**
+   * Aplica um snapshot: options, gregas, OI e spot
+   */
+  async loadFrame(index) {
+    const frame = this.frames[index];
+    const generation = this.frameGeneration;
+    const OptionsHistory = this.db.getModel('OptionsHistory');
+
+    const rows = await OptionsHistory.findAll({
+      where: { snapshotId: frame.id },
+      raw: true
+    });
+
+    // Um seek durante a consulta já carregou outro frame
+    if (generation !== this.frameGeneration) return false;
+
+    // Chain do frame substitui a anterior (options vencidas somem)
+    const symbols = new Set();
+    rows.forEach(row => {
+      symbols.add(row.symbol);
+
+      const option = this.options.get(row.symbol);
+      if (option) {
+        option.updateFromHistoryRow(row);
+      } else {
+        this.options.set(row.symbol, Option.fromHistoryRow(row));
+      }
+    });
+
+    Array.from(this.options.keys()).forEach(symbol => {
+      if (!symbols.has(symbol)) {
+        this.options.delete(symbol);
+      }
+    });
+
+    this.frameIndex = index;
+    this.replayTime = frame.timestamp;
+
+    // Spot do snapshot (mesmo evento do SpotPriceCollector)
+    const oldPrice = this.spotPrice;
+    this.spotPrice = frame.spotPrice;
+    this.gexCalculator.setSpotPrice(frame.spotPrice);
+    this.emit('spot-price-updated', {
+      symbol: `${this.config.underlying}USDT`,
+      price: frame.spotPrice,
+      oldPrice: oldPrice,
+      change: frame.spotPrice - oldPrice,
+      changePercent: oldPrice > 0 ? ((frame.spotPrice - oldPrice) / oldPrice) * 100 : 0,
+      timestamp: frame.timestamp
+    });
+
+    this.updateLocalGreeks();
+
+    if (this.options.size > 0) {
+      this.gexCalculator.calculateAllMetrics(this.getAllOptions());
+    }
+
+    this.emit('markprice-updated', rows.length);
+    this.emit('oi-updated', rows.length);
+    this.emit('greeks-updated', rows.length);
+    this.emit('replay-frame', this.getReplayStatus());
+
+    this.logger.debug(`Frame ${index + 1}/${this.frames.length}: ${new Date(frame.timestamp).toISOString()} (${rows.length} options)`);
+    return true;
+  }
+
+  /**
+   * Agenda o próximo frame respeitando o intervalo real / speed
+   */
+  scheduleNextFrame() {
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+    if (this.paused || this.finished) return;
+
+    const current = this.frames[this.frameIndex];
+    const next = this.frames[this.frameIndex + 1];
+
+    if (!next) {
+      if (this.replayConfig.loop) {
+        this.seek(this.frames[0].timestamp).catch(error => {
+          this.logger.error('Erro ao reiniciar replay', error);
+        });
+        return;
+      }
+      this.finished = true;
+      this.logger.success('Replay finalizado');
+      this.emit('replay-finished', this.getReplayStatus());
+      return;
+    }
+
+    const delay = Math.max(
+      this.replayConfig.minFrameDelay,
+      (next.timestamp - current.timestamp) / this.replayConfig.speed
+    );
+
+    const generation = this.frameGeneration;
+    this.replayTimer = setTimeout(async () => {
+      this.replayTimer = null;
+      try {
+        await this.loadFrame(this.frameIndex + 1);
+      } catch (error) {
+        this.logger.error('Erro ao carregar frame do replay', error);
+      }
+      // Seek no meio do carregamento já agendou a partir do novo frame
+      if (generation !== this.frameGeneration) return;
+      this.scheduleNextFrame();
+    }, delay);
+  }
+
+  /**
+   * Pausa o replay no frame atual
+   */
+  pause() {
+    this.paused = true;
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+    return this.getReplayStatus();
+  }
+
+  /**
+   * Continua o replay
+   */
+  resume() {
+    this.paused = false;
+    this.scheduleNextFrame();
+    return this.getReplayStatus();
+  }
+
+  /**
+   * Altera a velocidade (vale a partir do próximo frame)
+   */
+  setSpeed(speed) {
+    const value = parseFloat(speed);
+    if (!(value > 0)) {
+      const error = new Error(`Speed inválido: ${speed}`);
+      error.status = 400;
+      throw error;
+    }
+    this.replayConfig.speed = value;
+    this.scheduleNextFrame();
+    return this.getReplayStatus();
+  }
+
+  /**
+   * Vai para o último frame com timestamp <= time.
+   * Cancela o frame agendado e descarta um carregamento em andamento.
+   */
+  async seek(time) {
+    const target = parseTime(time);
+    if (target === null) {
+      const error = new Error(`Timestamp inválido: ${time}`);
+      error.status = 400;
+      throw error;
+    }
+
+    if (this.replayTimer) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+    this.frameGeneration++;
+
+    let index = 0;
+    this.frames.forEach((frame, i) => {
+      if (frame.timestamp <= target) index = i;
+    });
+
+    this.finished = false;
+    if (await this.loadFrame(index)) {
+      this.scheduleNextFrame();
+    }
+    return this.getReplayStatus();
+  }
+
+  /**
+   * Estado atual do replay
+   */
+  getReplayStatus() {
+    const first = this.frames[0];
+    const last = this.frames[this.frames.length - 1];
+
+    return {
+      mode: 'replay',
+      underlying: this.config.underlying,
+      from: first ? first.timestamp : this.replayConfig.from,
+      to: last ? last.timestamp : this.replayConfig.to,
+      currentTime: this.replayTime,
+      frameIndex: this.frameIndex,
+      totalFrames: this.frames.length,
+      progress: this.frames.length > 1 ? (this.frameIndex / (this.frames.length - 1)) * 100 : 100,
+      speed: this.replayConfig.speed,
+      loop: this.replayConfig.loop,
+      paused: this.paused,
+      finished: this.finished,
+      // Feeds que o replay reproduz (ver LIMITAÇÕES)
+      feeds: {
+        options: true,
+        spot: true,
+        openInterest: true,
+        orderBook: false,
+        liquidations: false,
+        optionTrades: false
+      }
+    };
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      replay: this.getReplayStatus()
+    };
+  }
+}
+
+module.exports = ReplayDataCollector;
@@ -2,9 +2,9 @@
  * SpotPriceCollector - Coleta preço spot do mercado à vista via WebSocket
  */
 
-const WebSocket = require('ws');
 const EventEmitter = require('events');
 const Logger = require('../utils/logger');
+const { createSocket } = require('../capture/MarketDataSource');
 
 class SpotPriceCollector extends EventEmitter {
   constructor(config = {}) {
@@ -58,7 +58,7 @@ class SpotPriceCollector extends EventEmitter {
     
     this.logger.info(`Conectando ao WebSocket: ${streamName}`);
     
-    this.ws = new WebSocket(wsUrl);
+    this.ws = createSocket(wsUrl, `spot.${streamName}`);
     
     this.ws.on('open', () => {
       this.wsConnected = true;
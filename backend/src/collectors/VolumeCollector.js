@@ -2,26 +2,32 @@
  * VolumeCollector - Coleta dados de volume e liquidez via REST API
  * NOVO - 2024-12-28
  * 
- * Busca dados do endpoint /eapi/v1/depth para cada option
+ * Busca o depth de cada option pelo adapter da venue (config.venue:
+ * Binance /eapi/v1/depth, Deribit public/get_order_book). Um collector por venue.
  */
 
-const axios = require('axios');
 const EventEmitter = require('events');
 const Logger = require('../utils/logger');
+const { DEFAULT_VENUE, createExchangeAdapter } = require('../exchanges/Venues');
 
 class VolumeCollector extends EventEmitter {
   constructor(config = {}) {
     super();
     
     this.config = {
-      restBaseUrl: config.restBaseUrl || process.env.REST_BASE_URL || 'https://eapi.binance.com',
       pollingInterval: config.pollingInterval || 120000, // 2 MINUTOS (era 30s)
       depthLimit: config.depthLimit || 10,
       batchSize: config.batchSize || 10,   // 10 por batch (era 20)
       batchDelay: config.batchDelay || 2000 // 2 SEGUNDOS entre batches (era 300ms)
     };
     
-    this.logger = new Logger('VolumeCollector');
+    // Adapter da venue dos símbolos monitorados (padrão: Binance)
+    this.adapter = config.adapter || createExchangeAdapter(config.venue || DEFAULT_VENUE, {
+      underlying: config.underlying,
+      restBaseUrl: config.restBaseUrl
+    });
+
+    this.logger = new Logger(`VolumeCollector:${this.adapter.venue}`);
     
     // Estado
     this.volumeData = new Map(); // symbol -> { volume, spread, etc }
@@ -125,14 +131,7 @@ class VolumeCollector extends EventEmitter {
    */
   async fetchVolumeForSymbol(symbol) {
     try {
-      const url = `${this.config.restBaseUrl}/eapi/v1/depth`;
-      const params = {
-        symbol: symbol,
-        limit: this.config.depthLimit
-      };
-      
-      const response = await axios.get(url, { params });
-      const data = response.data;
+      const data = await this.adapter.fetchDepth(symbol, this.config.depthLimit);
       
       // Calcular métricas de liquidez
       const metrics = this.calculateMetrics(data, symbol);
@@ -1,5 +1,6 @@
 const { Sequelize } = require('sequelize');
 const Logger = require('../../src/utils/logger');
+const { migrate } = require('./migrations');
 
 class Database {
   constructor(config = {}) {
@@ -53,6 +54,9 @@ class Database {
         await this.sequelize.sync({ alter: false });
         this.logger.info('✓ Models sincronizados com o banco');
       }
+
+      // Tabelas e colunas novas (sync não roda em produção nem altera tabelas)
+      await migrate(this.sequelize, this.logger);
       
       return true;
     } catch (error) {
@@ -67,12 +71,16 @@ class Database {
     const MarketSnapshot = require('./models/MarketSnapshot')(this.sequelize);
     const OptionsHistory = require('./models/OptionsHistory')(this.sequelize);
     const AnomaliesLog = require('./models/AnomaliesLog')(this.sequelize);
+    const TermStructureHistory = require('./models/TermStructureHistory')(this.sequelize);
+    const EscapeDetection = require('./models/EscapeDetection')(this.sequelize);
     
     this.models = {
       Asset,
       MarketSnapshot,
       OptionsHistory,
-      AnomaliesLog
+      AnomaliesLog,
+      TermStructureHistory,
+      EscapeDetection
     };
     
     // Setup associations
@@ -0,0 +1,105 @@
+/**
+ * Migrations incrementais do schema
+ *
+ * sequelize.sync() só cria tabelas que não existem e o database-schema.sql
+ * só tem CREATE TABLE: colunas novas de uma tabela existente precisam de
+ * ALTER TABLE. Cada migration lista os atributos de um model que entraram
+ * depois da criação da tabela; a definição (tipo, default, comment) vem do
+ * próprio model.
+ *
+ * Tabelas novas (createTable) são criadas pelo model.sync() quando não
+ * existem: o sync do Database.connect não roda em produção.
+ *
+ * Idempotente: tabela ou coluna que já existe é ignorada, então roda a cada
+ * conexão (Database.connect) em qualquer ambiente.
+ */
+
+const MIGRATIONS = [
+  {
+    name: 'market-snapshots-dealer-model',
+    model: 'MarketSnapshot',
+    attributes: ['dealerModel']
+  },
+  {
+    name: 'market-snapshots-vanna-charm',
+    model: 'MarketSnapshot',
+    attributes: ['totalVanna', 'totalCharm']
+  },
+  {
+    name: 'options-history-contract-size',
+    model: 'OptionsHistory',
+    attributes: ['contractSize']
+  },
+  {
+    name: 'options-history-venue',
+    model: 'OptionsHistory',
+    attributes: ['venue']
+  },
+  {
+    name: 'market-snapshots-futures',
+    model: 'MarketSnapshot',
+    attributes: [
+      'fundingRate', 'basisPct', 'futuresOpenInterest', 'futuresOpenInterestUsd',
+      'futuresOiChange1h', 'longShortRatio', 'topLongShortRatio', 'leverageEnergy'
+    ]
+  },
+  {
+    name: 'term-structure-history',
+    model: 'TermStructureHistory',
+    createTable: true
+  },
+  {
+    name: 'market-snapshots-realized-vol',
+    model: 'MarketSnapshot',
+    attributes: ['realizedVol', 'realizedVolWindow', 'volRiskPremium', 'ivRank', 'ivPercentile']
+  },
+  {
+    name: 'escape-detections',
+    model: 'EscapeDetection',
+    createTable: true
+  }
+];
+
+/**
+ * Cria as tabelas e adiciona as colunas que faltam
+ * @param {Sequelize} sequelize - Conexão com os models inicializados
+ * @param {Logger} logger
+ * @returns {Array} - Tabelas ("tabela") e colunas ("tabela.coluna") criadas
+ */
+async function migrate(sequelize, logger) {
+  const queryInterface = sequelize.getQueryInterface();
+  const added = [];
+
+  for (const migration of MIGRATIONS) {
+    const model = sequelize.models[migration.model];
+    const table = model.getTableName();
+
+    // Tabela que não existe: criada inteira pelo model (createTable) ou pelo sync/schema
+    if (!(await queryInterface.tableExists(table))) {
+      if (!migration.createTable) continue;
+
+      await model.sync();
+      added.push(table);
+      logger.info(`Migration ${migration.name}: tabela ${table} criada`);
+      continue;
+    }
+
+    const existing = await queryInterface.describeTable(table);
+    for (const name of migration.attributes || []) {
+      const attribute = model.rawAttributes[name];
+      const column = attribute.field || name;
+      if (existing[column]) continue;
+
+      await queryInterface.addColumn(table, column, attribute);
+      added.push(`${table}.${column}`);
+      logger.info(`Migration ${migration.name}: coluna ${table}.${column} adicionada`);
+    }
+  }
+
+  return added;
+}
+
+module.exports = {
+  MIGRATIONS,
+  migrate
+};
@@ -0,0 +1,123 @@
+const { DataTypes } = require('sequelize');
+
+const OUTCOME = DataTypes.ENUM('BREAKOUT_HELD', 'REVERSED', 'CASCADED', 'RANGE', 'NO_DATA');
+
+module.exports = (sequelize) => {
+  const EscapeDetection = sequelize.define('EscapeDetection', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    assetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'asset_id',
+      comment: 'FK to assets'
+    },
+    timestamp: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: 'Detection time, Unix timestamp in milliseconds'
+    },
+    type: {
+      type: DataTypes.ENUM('H1', 'H2', 'H3', 'NONE'),
+      allowNull: false,
+      comment: 'Detected hypothesis (NONE = periodic sample without detection)'
+    },
+    confidence: {
+      type: DataTypes.DECIMAL(6, 4),
+      comment: 'Detection confidence (0-1)'
+    },
+    direction: {
+      type: DataTypes.ENUM('UP', 'DOWN', 'NEUTRAL'),
+      allowNull: false,
+      defaultValue: 'NEUTRAL',
+      comment: 'Escape direction'
+    },
+    regime: {
+      type: DataTypes.STRING(20),
+      comment: 'Potential regime (OPTIONS_ACTIVE, OPTIONS_INACTIVE, TRANSITION)'
+    },
+    spotPrice: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      field: 'spot_price',
+      comment: 'Spot price at detection'
+    },
+    pEscape: {
+      type: DataTypes.DECIMAL(10, 4),
+      field: 'p_escape',
+      comment: 'Escape probability (energy / potential)'
+    },
+    wallType: {
+      type: DataTypes.STRING(8),
+      field: 'wall_type',
+      comment: 'Target wall (call / put)'
+    },
+    wallStrike: {
+      type: DataTypes.DECIMAL(12, 2),
+      field: 'wall_strike',
+      comment: 'Target wall strike'
+    },
+    features: {
+      type: DataTypes.JSON,
+      comment: 'Inputs of the H1/H2/H3 checks (EscapeTypeDetector.extractFeatures)'
+    },
+    outcome5m: {
+      type: OUTCOME,
+      field: 'outcome_5m',
+      comment: 'Outcome 5 minutes after the detection'
+    },
+    return5m: {
+      type: DataTypes.DECIMAL(10, 6),
+      field: 'return_5m',
+      comment: 'Spot return after 5 minutes (in the reference direction)'
+    },
+    outcome15m: {
+      type: OUTCOME,
+      field: 'outcome_15m',
+      comment: 'Outcome 15 minutes after the detection'
+    },
+    return15m: {
+      type: DataTypes.DECIMAL(10, 6),
+      field: 'return_15m',
+      comment: 'Spot return after 15 minutes (in the reference direction)'
+    },
+    outcome60m: {
+      type: OUTCOME,
+      field: 'outcome_60m',
+      comment: 'Outcome 60 minutes after the detection'
+    },
+    return60m: {
+      type: DataTypes.DECIMAL(10, 6),
+      field: 'return_60m',
+      comment: 'Spot return after 60 minutes (in the reference direction)'
+    },
+    labeledAt: {
+      type: DataTypes.BIGINT,
+      field: 'labeled_at',
+      comment: 'When all horizons were labeled (ms), null while pending'
+    }
+  }, {
+    tableName: 'escape_detections',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['asset_id', 'timestamp'] },
+      { fields: ['asset_id', 'labeled_at'] },
+      { fields: ['type'] },
+      { fields: ['created_at'] }
+    ]
+  });
+
+  EscapeDetection.associate = (models) => {
+    EscapeDetection.belongsTo(models.Asset, {
+      foreignKey: 'asset_id',
+      as: 'asset'
+    });
+  };
+
+  return EscapeDetection;
+};
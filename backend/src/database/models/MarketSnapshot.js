@@ -44,6 +44,16 @@ module.exports = (sequelize) => {
       field: 'total_gex',
       comment: 'Total Gamma Exposure (GEX)'
     },
+    totalVanna: {
+      type: DataTypes.DECIMAL(20, 8),
+      field: 'total_vanna',
+      comment: 'Total Vanna Exposure (USD delta per 1% IV)'
+    },
+    totalCharm: {
+      type: DataTypes.DECIMAL(20, 8),
+      field: 'total_charm',
+      comment: 'Total Charm Exposure (USD delta per day)'
+    },
     maxGexStrike: {
       type: DataTypes.DECIMAL(12, 2),
       field: 'max_gex_strike',
@@ -53,6 +63,11 @@ module.exports = (sequelize) => {
       type: DataTypes.ENUM('BULLISH', 'BEARISH', 'NEUTRAL'),
       comment: 'Market regime based on GEX analysis'
     },
+    dealerModel: {
+      type: DataTypes.STRING(20),
+      field: 'dealer_model',
+      comment: 'Dealer positioning model used for GEX sign (classic, customer-long, flow-inferred)'
+    },
     // ========== NEW FIELDS: MAX PAIN ==========
     maxPainStrike: {
       type: DataTypes.DECIMAL(12, 2),
@@ -118,6 +133,73 @@ module.exports = (sequelize) => {
       type: DataTypes.DECIMAL(18, 8),
       field: 'total_put_volume',
       comment: 'Total Put volume'
+    },
+    // ========== NEW FIELDS: PERPETUAL FUTURES ==========
+    fundingRate: {
+      type: DataTypes.DECIMAL(12, 8),
+      field: 'funding_rate',
+      comment: 'Perpetual funding rate (per 8h period)'
+    },
+    basisPct: {
+      type: DataTypes.DECIMAL(12, 8),
+      field: 'basis_pct',
+      comment: 'Perpetual basis (mark - index) / index'
+    },
+    futuresOpenInterest: {
+      type: DataTypes.DECIMAL(20, 8),
+      field: 'futures_open_interest',
+      comment: 'Perpetual futures open interest (contracts)'
+    },
+    futuresOpenInterestUsd: {
+      type: DataTypes.DECIMAL(20, 2),
+      field: 'futures_open_interest_usd',
+      comment: 'Perpetual futures open interest (USD)'
+    },
+    futuresOiChange1h: {
+      type: DataTypes.DECIMAL(10, 6),
+      field: 'futures_oi_change_1h',
+      comment: 'Futures open interest change over the last hour (fraction)'
+    },
+    longShortRatio: {
+      type: DataTypes.DECIMAL(10, 4),
+      field: 'long_short_ratio',
+      comment: 'Long/short account ratio (all accounts)'
+    },
+    topLongShortRatio: {
+      type: DataTypes.DECIMAL(10, 4),
+      field: 'top_long_short_ratio',
+      comment: 'Long/short account ratio (top traders)'
+    },
+    leverageEnergy: {
+      type: DataTypes.DECIMAL(5, 4),
+      field: 'leverage_energy',
+      comment: 'Leverage energy score (0-1) from OI build-up, funding, crowding and basis'
+    },
+    // ========== NEW FIELDS: REALIZED VOL / IV RANK ==========
+    realizedVol: {
+      type: DataTypes.DECIMAL(8, 6),
+      field: 'realized_vol',
+      comment: 'Spot realized volatility (Yang-Zhang, longest complete window)'
+    },
+    realizedVolWindow: {
+      type: DataTypes.STRING(8),
+      field: 'realized_vol_window',
+      comment: 'Window of realized_vol (1h, 4h, 24h, 7d)'
+    },
+    volRiskPremium: {
+      type: DataTypes.DECIMAL(8, 6),
+      field: 'vol_risk_premium',
+      comment: 'Constant-maturity ATM IV minus realized vol'
+    },
+    ivRank: {
+      type: DataTypes.DECIMAL(6, 2),
+      field: 'iv_rank',
+      comment: '30d ATM IV rank vs persisted history (0-100)'
+    },
+    ivPercentile: {
+      type: DataTypes.DECIMAL(6, 2),
+      field: 'iv_percentile',
+      comment: '30d ATM IV percentile vs persisted history (0-100)'
     }
   }, {
     tableName: 'market_snapshots',
@@ -148,6 +230,10 @@ module.exports = (sequelize) => {
       foreignKey: 'snapshot_id',
       as: 'anomalies'
     });
+    MarketSnapshot.hasMany(models.TermStructureHistory, {
+      foreignKey: 'snapshot_id',
+      as: 'termStructure'
+    });
   };
 
   return MarketSnapshot;
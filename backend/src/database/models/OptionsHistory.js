@@ -24,6 +24,12 @@ module.exports = (sequelize) => {
       allowNull: false,
       comment: 'Option symbol (BTC-250131-95000-C)'
     },
+    venue: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'binance',
+      comment: 'Exchange (binance, deribit)'
+    },
     strike: {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: false,
@@ -45,6 +51,13 @@ module.exports = (sequelize) => {
       allowNull: false,
       comment: 'Option type'
     },
+    contractSize: {
+      type: DataTypes.DECIMAL(12, 6),
+      allowNull: false,
+      defaultValue: 1,
+      field: 'contract_size',
+      comment: 'Underlying units per contract (Binance unit, Deribit contract_size)'
+    },
     markPrice: {
       type: DataTypes.DECIMAL(18, 8),
       field: 'mark_price',
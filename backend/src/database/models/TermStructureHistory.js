@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const TermStructureHistory = sequelize.define('TermStructureHistory', {
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    snapshotId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'snapshot_id',
+      comment: 'FK to market_snapshots (set to NULL when the snapshot is cleaned up)'
+    },
+    assetId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'asset_id',
+      comment: 'FK to assets'
+    },
+    timestamp: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: 'Unix timestamp in milliseconds'
+    },
+    kind: {
+      type: DataTypes.ENUM('EXPIRY', 'CONSTANT_MATURITY'),
+      allowNull: false,
+      comment: 'Listed expiry or interpolated constant maturity'
+    },
+    tenor: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      comment: 'Constant maturity tenor (7d, 30d...) or expiry (YYYY-MM-DD)'
+    },
+    expiryDate: {
+      type: DataTypes.BIGINT,
+      field: 'expiry_date',
+      comment: 'Expiry timestamp (ms), null for constant maturities'
+    },
+    dte: {
+      type: DataTypes.DECIMAL(8, 3),
+      allowNull: false,
+      comment: 'Days to expiration (fractional)'
+    },
+    atmIv: {
+      type: DataTypes.DECIMAL(8, 6),
+      field: 'atm_iv',
+      comment: 'ATM implied volatility (SVI, k = 0)'
+    },
+    rr25d: {
+      type: DataTypes.DECIMAL(8, 6),
+      field: 'rr_25d',
+      comment: '25-delta risk reversal (call IV - put IV)'
+    },
+    rr10d: {
+      type: DataTypes.DECIMAL(8, 6),
+      field: 'rr_10d',
+      comment: '10-delta risk reversal (call IV - put IV)'
+    },
+    bf25d: {
+      type: DataTypes.DECIMAL(8, 6),
+      field: 'bf_25d',
+      comment: '25-delta butterfly ((call IV + put IV) / 2 - ATM IV)'
+    },
+    bf10d: {
+      type: DataTypes.DECIMAL(8, 6),
+      field: 'bf_10d',
+      comment: '10-delta butterfly ((call IV + put IV) / 2 - ATM IV)'
+    },
+    extrapolated: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Constant maturity outside the listed expiries (flat vol)'
+    },
+    structure: {
+      type: DataTypes.ENUM('CONTANGO', 'BACKWARDATION', 'FLAT'),
+      comment: 'Term structure state at the time of the snapshot'
+    },
+    slope: {
+      type: DataTypes.DECIMAL(8, 6),
+      comment: 'ATM IV of the longest minus the shortest constant maturity'
+    }
+  }, {
+    tableName: 'term_structure_history',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+      { fields: ['snapshot_id'] },
+      { fields: ['asset_id', 'kind', 'tenor', 'timestamp'] },
+      { fields: ['timestamp'] },
+      { fields: ['created_at'] }
+    ]
+  });
+
+  TermStructureHistory.associate = (models) => {
+    TermStructureHistory.belongsTo(models.MarketSnapshot, {
+      foreignKey: 'snapshot_id',
+      as: 'snapshot',
+      onDelete: 'SET NULL'
+    });
+    TermStructureHistory.belongsTo(models.Asset, {
+      foreignKey: 'asset_id',
+      as: 'asset'
+    });
+  };
+
+  return TermStructureHistory;
+};
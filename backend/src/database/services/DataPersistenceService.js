@@ -9,53 +9,86 @@ class DataPersistenceService {
     this.db = database;
     this.logger = new Logger('DataPersistence');
     this.currentAssetId = null;
+    this.assetIds = new Map(); // underlying -> assetId
   }
 
   /**
-   * Inicializa o serviço e garante que o asset existe
+   * Inicializa o serviço e garante que os assets existem
+   * Aceita um underlying ('BTC') ou uma lista (['BTC', 'ETH'])
    */
-  async initialize(underlying = 'BTC') {
+  async initialize(underlyings = 'BTC') {
     try {
-      const Asset = this.db.getModel('Asset');
+      const list = Array.isArray(underlyings) ? underlyings : [underlyings];
       
-      // Buscar ou criar asset
-      let [asset, created] = await Asset.findOrCreate({
-        where: { symbol: underlying },
-        defaults: {
-          symbol: underlying,
-          name: this.getAssetName(underlying),
-          type: 'CRYPTO'
-        }
-      });
-      
-      this.currentAssetId = asset.id;
-      
-      if (created) {
-        this.logger.info(`Asset criado: ${underlying} (ID: ${asset.id})`);
-      } else {
-        this.logger.info(`Asset encontrado: ${underlying} (ID: ${asset.id})`);
+      for (const underlying of list) {
+        await this.registerAsset(underlying);
       }
       
+      // Primeiro underlying da lista é o padrão
+      this.currentAssetId = this.assetIds.get(list[0]) || null;
+      
     } catch (error) {
       this.logger.error('Erro ao inicializar DataPersistence', error);
       throw error;
     }
   }
 
+  /**
+   * Busca ou cria o asset de um underlying e guarda seu ID
+   */
+  async registerAsset(underlying) {
+    const Asset = this.db.getModel('Asset');
+    
+    // Buscar ou criar asset
+    let [asset, created] = await Asset.findOrCreate({
+      where: { symbol: underlying },
+      defaults: {
+        symbol: underlying,
+        name: this.getAssetName(underlying),
+        type: 'CRYPTO'
+      }
+    });
+    
+    this.assetIds.set(underlying, asset.id);
+    
+    if (created) {
+      this.logger.info(`Asset criado: ${underlying} (ID: ${asset.id})`);
+    } else {
+      this.logger.info(`Asset encontrado: ${underlying} (ID: ${asset.id})`);
+    }
+    
+    return asset.id;
+  }
+
+  /**
+   * Retorna o assetId de um underlying (ou o padrão)
+   */
+  getAssetId(underlying = null) {
+    if (!underlying) {
+      return this.currentAssetId;
+    }
+    return this.assetIds.get(underlying) || null;
+  }
+
   getAssetName(symbol) {
     const names = {
       'BTC': 'Bitcoin',
-      'ETH': 'Ethereum'
+      'ETH': 'Ethereum',
+      'BNB': 'BNB',
+      'SOL': 'Solana',
+      'XRP': 'XRP',
+      'DOGE': 'Dogecoin'
     };
     return names[symbol] || symbol;
   }
   
   async saveSnapshot(data) {
     try {
-      const { options, spotPrice, metrics, anomalies, maxPain, sentiment } = data;
+      const { underlying, options, spotPrice, metrics, anomalies, maxPain, sentiment, futures, termStructure, volatility } = data;
+      const assetId = this.getAssetId(underlying);
       
-      if (!this.currentAssetId) {
-        throw new Error('DataPersistence não inicializado. Chame initialize() primeiro.');
+      if (!assetId) {
+        throw new Error(`DataPersistence sem asset para ${underlying || 'underlying padrão'}. Chame initialize() primeiro.`);
       }
       
       // Use transaction for atomicity
@@ -65,15 +98,18 @@ class DataPersistenceService {
         
         // Prepare snapshot data
         const snapshotData = {
-          assetId: this.currentAssetId,
+          assetId: assetId,
           timestamp: Date.now(),
           spotPrice: spotPrice,
           totalOptions: options.length,
           totalVolume: this.calculateTotalVolume(options),
           totalOpenInterest: this.calculateTotalOI(options),
           totalGex: metrics?.totalGEX?.total || 0,
+          totalVanna: metrics?.totalVanna?.total || 0,
+          totalCharm: metrics?.totalCharm?.total || 0,
           maxGexStrike: metrics?.maxGEXStrike || null,
-          regime: metrics?.regime || null
+          regime: metrics?.regime || null,
+          dealerModel: metrics?.dealerModel || null
         };
         
         // Add Max Pain data if available
@@ -100,22 +136,48 @@ class DataPersistenceService {
           snapshotData.totalPutVolume = sentiment.totalPutVolume || null;
         }
         
+        // Add perpetual futures data if available (leverage build-up vs gamma regime)
+        if (futures) {
+          snapshotData.fundingRate = futures.funding?.rate ?? null;
+          snapshotData.basisPct = futures.basis?.basisPct ?? null;
+          snapshotData.futuresOpenInterest = futures.openInterest?.contracts ?? null;
+          snapshotData.futuresOpenInterestUsd = futures.openInterest?.usd ?? null;
+          snapshotData.futuresOiChange1h = futures.openInterest?.change1h ?? null;
+          snapshotData.longShortRatio = futures.longShort?.global?.ratio ?? null;
+          snapshotData.topLongShortRatio = futures.longShort?.top?.ratio ?? null;
+          snapshotData.leverageEnergy = futures.energy?.score ?? null;
+        }
+        
+        // Add realized vol / IV rank if available
+        if (volatility) {
+          snapshotData.realizedVol = volatility.rv;
+          snapshotData.realizedVolWindow = volatility.rvWindow;
+          snapshotData.volRiskPremium = volatility.vrp ? volatility.vrp.premium : null;
+          snapshotData.ivRank = volatility.ivRank;
+          snapshotData.ivPercentile = volatility.ivPercentile;
+        }
+        
         const snapshot = await MarketSnapshot.create(snapshotData, { transaction: t });
         
         // 2. Save options history
         if (options && options.length > 0) {
-          await this.saveOptionsHistory(snapshot.id, options, t);
+          await this.saveOptionsHistory(snapshot.id, assetId, options, t);
         }
         
         // 3. Save anomalies
         if (anomalies && anomalies.length > 0) {
-          await this.saveAnomalies(snapshot.id, anomalies, t);
+          await this.saveAnomalies(snapshot.id, assetId, anomalies, t);
+        }
+        
+        // 4. Save IV term structure (per expiry + constant maturities)
+        if (termStructure && termStructure.expiries.length > 0) {
+          await this.saveTermStructure(snapshot.id, assetId, termStructure, t);
         }
         
         return snapshot;
       });
       
-      this.logger.info(`Snapshot salvo: ID ${snapshot.id}, ${options.length} options, ${anomalies?.length || 0} anomalias`);
+      this.logger.info(`Snapshot salvo: ID ${snapshot.id} (asset ${assetId}), ${options.length} options, ${anomalies?.length || 0} anomalias`);
       
       return snapshot;
     } catch (error) {
@@ -124,7 +186,7 @@ class DataPersistenceService {
     }
   }
   
-  async saveOptionsHistory(snapshotId, options, transaction) {
+  async saveOptionsHistory(snapshotId, assetId, options, transaction) {
     const OptionsHistory = this.db.getModel('OptionsHistory');
 
     // DEBUG: Ver primeiro item
@@ -138,6 +200,10 @@ class DataPersistenceService {
       // Garantir que expiryDate é um timestamp válido
       let expiryTimestamp = opt.expiryDate;
       
+      if (expiryTimestamp instanceof Date) {
+        expiryTimestamp = expiryTimestamp.getTime();
+      }
+      
       // Se expiryDate for string, converter para timestamp
       if (typeof expiryTimestamp === 'string') {
         expiryTimestamp = new Date(expiryTimestamp).getTime();
@@ -159,10 +225,12 @@ class DataPersistenceService {
       
       return {
         snapshotId: snapshotId,
-        assetId: this.currentAssetId,
+        assetId: assetId,
         symbol: opt.symbol,
+        venue: opt.venue,
         type: opt.type,
         side: opt.side,
+        contractSize: opt.contractSize,
         strike: opt.strike,
         expiryDate: expiryTimestamp,
         dte: dte,
@@ -189,12 +257,12 @@ class DataPersistenceService {
     this.logger.debug(`${records.length} options salvas no histórico`);
   }
   
-  async saveAnomalies(snapshotId, anomalies, transaction) {
+  async saveAnomalies(snapshotId, assetId, anomalies, transaction) {
     const AnomaliesLog = this.db.getModel('AnomaliesLog');
     
     const records = anomalies.map(anomaly => ({
       snapshotId: snapshotId,
-      assetId: this.currentAssetId,
+      assetId: assetId,
       anomalyType: anomaly.type,
       severity: anomaly.severity,
       strike: anomaly.strike,
@@ -230,6 +298,55 @@ class DataPersistenceService {
     this.logger.debug(`${records.length} anomalias salvas`);
   }
   
+  async saveTermStructure(snapshotId, assetId, termStructure, transaction) {
+    const TermStructureHistory = this.db.getModel('TermStructureHistory');
+    const { structure } = termStructure;
+    
+    const base = {
+      snapshotId: snapshotId,
+      assetId: assetId,
+      timestamp: termStructure.timestamp,
+      structure: structure.state,
+      slope: structure.slope
+    };
+    
+    const records = [
+      ...termStructure.constantMaturity.map(tenor => ({
+        ...base,
+        kind: 'CONSTANT_MATURITY',
+        tenor: tenor.tenor,
+        expiryDate: null,
+        dte: tenor.days,
+        atmIv: tenor.atmIV,
+        rr25d: tenor.rr25d,
+        rr10d: tenor.rr10d,
+        bf25d: tenor.bf25d,
+        bf10d: tenor.bf10d,
+        extrapolated: tenor.extrapolated
+      })),
+      ...termStructure.expiries.map(expiry => ({
+        ...base,
+        kind: 'EXPIRY',
+        tenor: expiry.expiry,
+        expiryDate: expiry.expiryDate,
+        dte: expiry.dte,
+        atmIv: expiry.atmIV,
+        rr25d: expiry.rr25d,
+        rr10d: expiry.rr10d,
+        bf25d: expiry.bf25d,
+        bf10d: expiry.bf10d,
+        extrapolated: false
+      }))
+    ];
+    
+    await TermStructureHistory.bulkCreate(records, {
+      transaction,
+      validate: true
+    });
+    
+    this.logger.debug(`${records.length} pontos da estrutura a termo salvos`);
+  }
+  
   calculateTotalVolume(options) {
     return options.reduce((sum, opt) => sum + (opt.volume || 0), 0);
   }
@@ -241,10 +358,10 @@ class DataPersistenceService {
   /**
    * Busca snapshots recentes
    */
-  async getRecentSnapshots(limit = 10) {
+  async getRecentSnapshots(limit = 10, underlying = null) {
     const MarketSnapshot = this.db.getModel('MarketSnapshot');
     return await MarketSnapshot.findAll({
-      where: { assetId: this.currentAssetId },
+      where: { assetId: this.getAssetId(underlying) },
       order: [['timestamp', 'DESC']],
       limit: limit
     });
@@ -260,12 +377,12 @@ class DataPersistenceService {
   /**
    * Busca anomalias recentes
    */
-  async getRecentAnomalies(limit = 50) {
+  async getRecentAnomalies(limit = 50, underlying = null) {
     const AnomaliesLog = this.db.getModel('AnomaliesLog');
     const MarketSnapshot = this.db.getModel('MarketSnapshot');
     
     return await AnomaliesLog.findAll({
-      where: { assetId: this.currentAssetId },
+      where: { assetId: this.getAssetId(underlying) },
       include: [{
         model: MarketSnapshot,
         as: 'snapshot',
@@ -14,7 +14,9 @@ class DataRetentionService {
       criticalAnomalies: null,   // Permanent
       highAnomalies: null,       // Permanent
       mediumAnomalies: 90,
-      lowAnomalies: 90
+      lowAnomalies: 90,
+      termStructure: 365,        // Histórico de IV (IV rank / percentis)
+      escapeDetections: 180      // Detecções rotuladas (acurácia / calibração)
     };
     
     this.cleanupInterval = null;
@@ -47,7 +49,9 @@ class DataRetentionService {
       const results = {
         snapshots: 0,
         options: 0,
-        anomalies: 0
+        anomalies: 0,
+        termStructure: 0,
+        escapeDetections: 0
       };
       
       // 1. Clean old snapshots (CASCADE will delete related options)
@@ -56,10 +60,16 @@ class DataRetentionService {
       // 2. Clean old anomalies (by severity)
       results.anomalies = await this.cleanOldAnomalies();
       
-      // 3. Log statistics
+      // 3. Clean old term structure (outlives the snapshots)
+      results.termStructure = await this.cleanOldTermStructure();
+      
+      // 4. Clean old escape detections
+      results.escapeDetections = await this.cleanOldEscapeDetections();
+      
+      // 5. Log statistics
       await this.logRetentionStats();
       
-      this.logger.info(`Limpeza concluída: ${results.snapshots} snapshots, ${results.anomalies} anomalias removidos`);
+      this.logger.info(`Limpeza concluída: ${results.snapshots} snapshots, ${results.anomalies} anomalias, ${results.termStructure} pontos de estrutura a termo, ${results.escapeDetections} detecções de escape removidos`);
       
       return results;
     } catch (error) {
@@ -112,6 +122,46 @@ class DataRetentionService {
     return deleted;
   }
   
+  async cleanOldTermStructure() {
+    const TermStructureHistory = this.db.getModel('TermStructureHistory');
+    
+    // Calculate cutoff date (365 days ago)
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - this.policies.termStructure);
+    
+    const deleted = await TermStructureHistory.destroy({
+      where: {
+        created_at: {
+          [Op.lt]: cutoffDate
+        }
+      }
+    });
+    
+    this.logger.info(`${deleted} pontos de estrutura a termo removidos (> ${this.policies.termStructure} dias)`);
+    
+    return deleted;
+  }
+  
+  async cleanOldEscapeDetections() {
+    const EscapeDetection = this.db.getModel('EscapeDetection');
+    
+    // Calculate cutoff date (180 days ago)
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - this.policies.escapeDetections);
+    
+    const deleted = await EscapeDetection.destroy({
+      where: {
+        created_at: {
+          [Op.lt]: cutoffDate
+        }
+      }
+    });
+    
+    this.logger.info(`${deleted} detecções de escape removidas (> ${this.policies.escapeDetections} dias)`);
+    
+    return deleted;
+  }
+  
   async logRetentionStats() {
     try {
       const stats = await this.getRetentionStats();
@@ -120,6 +170,8 @@ class DataRetentionService {
       this.logger.info(`Snapshots: ${stats.snapshots.total} registros, ${stats.snapshots.retentionDays} dias`);
       this.logger.info(`Options: ${stats.options.total} registros, ${stats.options.retentionDays} dias`);
       this.logger.info(`Anomalias: ${stats.anomalies.total} registros (${stats.anomalies.bySeverity.CRITICAL} CRITICAL, ${stats.anomalies.bySeverity.HIGH} HIGH, ${stats.anomalies.bySeverity.MEDIUM} MEDIUM, ${stats.anomalies.bySeverity.LOW} LOW)`);
+      this.logger.info(`Estrutura a termo: ${stats.termStructure.total} registros, ${stats.termStructure.retentionDays} dias`);
+      this.logger.info(`Detecções de escape: ${stats.escapeDetections.total} registros, ${stats.escapeDetections.retentionDays} dias`);
       this.logger.info('================================');
     } catch (error) {
       this.logger.error('Erro ao obter estatísticas de retenção', error);
@@ -130,6 +182,8 @@ class DataRetentionService {
     const MarketSnapshot = this.db.getModel('MarketSnapshot');
     const OptionsHistory = this.db.getModel('OptionsHistory');
     const AnomaliesLog = this.db.getModel('AnomaliesLog');
+    const TermStructureHistory = this.db.getModel('TermStructureHistory');
+    const EscapeDetection = this.db.getModel('EscapeDetection');
     
     // Snapshots stats
     const snapshotsCount = await MarketSnapshot.count();
@@ -175,6 +229,28 @@ class DataRetentionService {
       severityCounts[row.severity] = parseInt(row.count);
     });
     
+    // Term structure stats
+    const termStructureCount = await TermStructureHistory.count();
+    const oldestTermStructure = await TermStructureHistory.findOne({
+      order: [['created_at', 'ASC']],
+      attributes: ['created_at']
+    });
+    
+    const termStructureRetentionDays = oldestTermStructure
+      ? Math.floor((Date.now() - new Date(oldestTermStructure.created_at).getTime()) / (1000 * 60 * 60 * 24))
+      : 0;
+    
+    // Escape detections stats
+    const escapeDetectionsCount = await EscapeDetection.count();
+    const oldestEscapeDetection = await EscapeDetection.findOne({
+      order: [['created_at', 'ASC']],
+      attributes: ['created_at']
+    });
+    
+    const escapeDetectionsRetentionDays = oldestEscapeDetection
+      ? Math.floor((Date.now() - new Date(oldestEscapeDetection.created_at).getTime()) / (1000 * 60 * 60 * 24))
+      : 0;
+    
     return {
       snapshots: {
         total: snapshotsCount,
@@ -187,6 +263,14 @@ class DataRetentionService {
       anomalies: {
         total: anomaliesCount,
         bySeverity: severityCounts
+      },
+      termStructure: {
+        total: termStructureCount,
+        retentionDays: termStructureRetentionDays
+      },
+      escapeDetections: {
+        total: escapeDetectionsCount,
+        retentionDays: escapeDetectionsRetentionDays
       }
     };
   }
@@ -197,7 +281,11 @@ class DataRetentionService {
     
     const MarketSnapshot = this.db.getModel('MarketSnapshot');
     const AnomaliesLog = this.db.getModel('AnomaliesLog');
+    const TermStructureHistory = this.db.getModel('TermStructureHistory');
+    const EscapeDetection = this.db.getModel('EscapeDetection');
     
+    await EscapeDetection.destroy({ where: {}, truncate: true });
+    await TermStructureHistory.destroy({ where: {}, truncate: true });
     await AnomaliesLog.destroy({ where: {}, truncate: true });
     await MarketSnapshot.destroy({ where: {}, truncate: true });
     // OptionsHistory will be cascade deleted
@@ -0,0 +1,231 @@
+const Logger = require('../../utils/logger');
+const { Op } = require('sequelize');
+const EscapeOutcome = require('../../calculators/EscapeOutcome');
+
+/**
+ * EscapeDetectionService
+ * Persiste as detecções do EscapeTypeDetector e rotula o resultado delas
+ *
+ * GRAVAÇÃO (evento 'escape-detection' do DataCollector, a cada segundo):
+ * - EscapeOutcome.sampleDetection na grade de sampleInterval (alinhada ao relógio):
+ *   H1/H2/H3 sempre gravadas; NONE uma por intervalo sem hipótese (base do recall)
+ * - A primeira hipótese do intervalo sobrescreve a linha NONE dele
+ *
+ * ROTULAGEM (job a cada labelInterval):
+ * - Cada horizonte (5m/15m/60m) é rotulado quando termina, com as barras de
+ *   1 minuto do RealizedVolatilityTracker (EscapeOutcome.labelOutcome)
+ * - O lote só traz linhas com algum horizonte vencido e ainda sem rótulo
+ * - Após um restart, espera o backfill das klines (DataCollector.realizedVolReady);
+ *   barras que ainda assim não cobrem a detecção => NO_DATA
+ */
+class EscapeDetectionService {
+  constructor(database, config = {}) {
+    this.db = database;
+    this.logger = new Logger('EscapeDetections');
+
+    this.config = {
+      sampleInterval: config.sampleInterval || 60 * 1000,        // uma amostra por minuto
+      labelInterval: config.labelInterval || 60 * 1000,
+      noDataAfter: config.noDataAfter || 2 * 60 * 60 * 1000,     // desiste de barras atrasadas
+      batchSize: config.batchSize || 500
+    };
+
+    this.pipelines = [];
+    this.sampling = new Map(); // underlying -> estado do EscapeOutcome.sampleDetection (+ noneRow)
+    this.labelTimer = null;
+    this.labeling = false;
+
+    this.stats = {
+      saved: 0,
+      labeled: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Passa a gravar as detecções de um pipeline (precisa de assetId)
+   */
+  attach(pipeline) {
+    if (!pipeline.assetId) {
+      this.logger.warn(`[${pipeline.underlying}] Sem assetId, detecções de escape não serão gravadas`);
+      return;
+    }
+
+    this.pipelines.push(pipeline);
+    pipeline.dataCollector.on('escape-detection', (detection) => {
+      this.record(pipeline, detection).catch(error => {
+        this.stats.errors++;
+        this.logger.error(`[${pipeline.underlying}] Erro ao gravar detecção de escape`, error.message);
+      });
+    });
+  }
+
+  /**
+   * Inicia o job de rotulagem
+   */
+  start() {
+    this.logger.info(`Rotulagem de escapes a cada ${this.config.labelInterval / 1000}s (${Object.keys(EscapeOutcome.HORIZONS).join('/')})`);
+    this.labelTimer = setInterval(() => {
+      this.labelPending().catch(error => {
+        this.stats.errors++;
+        this.logger.error('Erro ao rotular detecções de escape', error.message);
+      });
+    }, this.config.labelInterval);
+  }
+
+  stop() {
+    if (this.labelTimer) {
+      clearInterval(this.labelTimer);
+      this.labelTimer = null;
+    }
+  }
+
+  /**
+   * Grava uma detecção com o spot do momento (amostragem em EscapeOutcome.sampleDetection)
+   */
+  async record(pipeline, detection) {
+    // Sem features = dados insuficientes para o detector (nada a medir)
+    if (!detection || !detection.features) return null;
+
+    const timestamp = Date.parse(detection.timestamp) || Date.now();
+    const spotPrice = detection.rawData?.currentPrice || pipeline.dataCollector.getCurrentPrice();
+    if (!(spotPrice > 0)) return null;
+
+    if (!this.sampling.has(pipeline.underlying)) {
+      this.sampling.set(pipeline.underlying, {});
+    }
+    const state = this.sampling.get(pipeline.underlying);
+    const decision = EscapeOutcome.sampleDetection(state, detection, timestamp, this.config.sampleInterval);
+    if (!decision) return null;
+
+    const values = {
+      assetId: pipeline.assetId,
+      timestamp: timestamp,
+      type: detection.type,
+      confidence: detection.confidence || 0,
+      direction: detection.direction || 'NEUTRAL',
+      regime: detection.features.regime,
+      spotPrice: spotPrice,
+      pEscape: Number.isFinite(detection.features.P_escape) ? detection.features.P_escape : null,
+      wallType: detection.features.wallType,
+      wallStrike: detection.wallInfo?.strike || null,
+      features: detection.features
+    };
+
+    // Hipótese no intervalo de uma amostra NONE: a linha passa a ser a hipótese
+    // (noneRow é a promise do create, que pode ainda estar em andamento)
+    const noneRow = state.noneRow;
+    state.noneRow = null;
+    if (decision === 'REPLACE' && noneRow) {
+      const row = await noneRow.catch(() => null);
+      if (row) {
+        return row.update(values);
+      }
+    }
+
+    const EscapeDetection = this.db.getModel('EscapeDetection');
+    const created = EscapeDetection.create(values);
+    if (!EscapeOutcome.HYPOTHESES.includes(detection.type)) {
+      state.noneRow = created;
+    }
+
+    const row = await created;
+    this.stats.saved++;
+    return row;
+  }
+
+  /**
+   * Rotula os horizontes vencidos das detecções pendentes
+   */
+  async labelPending(now = Date.now()) {
+    if (this.labeling) return 0;
+    this.labeling = true;
+
+    try {
+      let labeled = 0;
+      for (const pipeline of this.pipelines) {
+        labeled += await this.labelPipeline(pipeline, now);
+      }
+      return labeled;
+    } finally {
+      this.labeling = false;
+    }
+  }
+
+  async labelPipeline(pipeline, now) {
+    // Barras da sessão anterior ainda chegando pelas klines
+    if (pipeline.dataCollector.realizedVolReady === false) return 0;
+
+    const EscapeDetection = this.db.getModel('EscapeDetection');
+    const horizons = Object.entries(EscapeOutcome.HORIZONS);
+
+    // Algum horizonte vencido e sem rótulo (linhas esperando só o 60m não ocupam o lote)
+    const pending = await EscapeDetection.findAll({
+      where: {
+        assetId: pipeline.assetId,
+        labeledAt: null,
+        [Op.or]: horizons.map(([name, horizon]) => ({
+          [`outcome${name}`]: null,
+          timestamp: { [Op.lte]: now - horizon.minutes * 60 * 1000 }
+        }))
+      },
+      order: [['timestamp', 'ASC']],
+      limit: this.config.batchSize
+    });
+
+    if (pending.length === 0) return 0;
+
+    const tracker = pipeline.dataCollector.realizedVolTracker;
+    const bars = tracker.getBars();
+    const interval = tracker.config.barInterval;
+
+    let labeled = 0;
+    for (const row of pending) {
+      const timestamp = Number(row.timestamp);
+      const entryPrice = parseFloat(row.spotPrice);
+      const direction = EscapeOutcome.referenceDirection(row.direction, row.wallType);
+      // Série de barras começou depois da detecção: nunca vai cobrir
+      const uncovered = bars.length === 0 || bars[0].openTime > timestamp;
+      const updates = {};
+
+      horizons.forEach(([name, horizon]) => {
+        const field = `outcome${name}`;
+        const end = timestamp + horizon.minutes * 60 * 1000;
+        if (row[field] || end > now) return;
+
+        const path = EscapeOutcome.pathFromBars(bars, timestamp, end, interval);
+        if (!path && !uncovered && now - end < this.config.noDataAfter) return;
+
+        const label = EscapeOutcome.labelOutcome(entryPrice, direction, path, name);
+        updates[field] = label.outcome;
+        updates[`return${name}`] = label.return;
+      });
+
+      if (Object.keys(updates).length === 0) continue;
+
+      const done = horizons.every(([name]) => row[`outcome${name}`] || updates[`outcome${name}`]);
+      if (done) {
+        updates.labeledAt = now;
+        labeled++;
+      }
+
+      await row.update(updates);
+    }
+
+    this.stats.labeled += labeled;
+    if (labeled > 0) {
+      this.logger.info(`[${pipeline.underlying}] ${labeled} detecções de escape rotuladas`);
+    }
+    return labeled;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pipelines: this.pipelines.map(pipeline => pipeline.underlying),
+      config: this.config
+    };
+  }
+}
+
+module.exports = EscapeDetectionService;
@@ -0,0 +1,249 @@
+/**
+ * BinanceOptionsAdapter - Binance European Options (eapi)
+ *
+ * REST: /eapi/v1/exchangeInfo, /mark (gregas), /ticker, /openInterest, /depth
+ * WS:   <underlying>@markPrice, <underlying>@ticker, <underlying>@trade
+ *
+ * Símbolo: BTC-251226-115000-C (preços já em USDT)
+ */
+
+const axios = require('axios');
+const ExchangeAdapter = require('./ExchangeAdapter');
+const { createSocket } = require('../capture/MarketDataSource');
+
+class BinanceOptionsAdapter extends ExchangeAdapter {
+  constructor(config = {}) {
+    super('binance', {
+      ...config,
+      wsBaseUrl: config.wsBaseUrl || process.env.WS_BASE_URL || 'wss://nbstream.binance.com/eoptions/stream',
+      restBaseUrl: config.restBaseUrl || process.env.REST_BASE_URL || 'https://eapi.binance.com'
+    });
+
+    this.sockets = {};           // stream -> WebSocket
+    this.expirationDates = [];   // vencimentos listados (para /openInterest)
+  }
+
+  /**
+   * Contratos do underlying (/eapi/v1/exchangeInfo)
+   */
+  async loadInstruments() {
+    const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/exchangeInfo`);
+    const underlyingAsset = `${this.config.underlying}USDT`;
+
+    const options = response.data.optionSymbols
+      .filter(opt => opt.underlying === underlyingAsset)
+      .map(opt => this.createInstrument({
+        ...opt,
+        expiryDate: opt.expiryDate ? new Date(Number(opt.expiryDate)) : undefined
+      }));
+
+    const expiries = new Set(options.filter(o => o.expiryDate).map(o => o.expiryDate.getTime()));
+    this.expirationDates = Array.from(expiries).sort((a, b) => a - b).map(ts => new Date(ts));
+    this.instrumentCount = options.length;
+
+    return options;
+  }
+
+  /**
+   * Gregas + mark price (/eapi/v1/mark)
+   */
+  async fetchGreeks() {
+    const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/mark`);
+
+    return response.data.map(item => ({
+      symbol: item.symbol,
+      markPrice: parseFloat(item.markPrice),
+      markIV: item.markIV,
+      delta: item.delta,
+      gamma: item.gamma,
+      theta: item.theta,
+      vega: item.vega
+    }));
+  }
+
+  /**
+   * Volume, bid, ask e último preço (/eapi/v1/ticker)
+   */
+  async fetchTickers() {
+    const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/ticker`);
+    const price = (value) => value !== undefined && value !== '' ? parseFloat(value) : null;
+
+    return response.data.map(item => ({
+      symbol: item.symbol,
+      volume: parseFloat(item.volume) || 0,
+      bidPrice: price(item.bidPrice),
+      askPrice: price(item.askPrice),
+      lastPrice: price(item.lastPrice)
+    }));
+  }
+
+  /**
+   * Open Interest de todos os vencimentos (/eapi/v1/openInterest)
+   */
+  async fetchOpenInterest() {
+    const results = await Promise.all(this.expirationDates.map(date => this.fetchOpenInterestForExpiry(date)));
+    return results.flat();
+  }
+
+  async fetchOpenInterestForExpiry(expiryDate) {
+    const formattedDate = this.formatExpiryDate(expiryDate);
+
+    try {
+      const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/openInterest`, {
+        params: {
+          underlyingAsset: this.config.underlying,
+          expiration: formattedDate
+        }
+      });
+
+      this.logger.debug(`OI atualizado para ${formattedDate}: ${response.data.length} options`);
+
+      return response.data.map(item => ({
+        symbol: item.symbol,
+        openInterest: parseFloat(item.sumOpenInterest),
+        openInterestUsd: parseFloat(item.sumOpenInterestUsd),
+        timestamp: parseInt(item.timestamp),
+        expiry: expiryDate
+      }));
+    } catch (error) {
+      this.logger.error(`Erro ao buscar OI para ${formattedDate}`, error.response?.data || error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Formata data de expiração para o formato YYMMDD (UTC)
+   */
+  formatExpiryDate(date) {
+    const year = date.getUTCFullYear().toString().slice(-2);
+    const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+    const day = date.getUTCDate().toString().padStart(2, '0');
+    return `${year}${month}${day}`;
+  }
+
+  /**
+   * Order book de uma option (/eapi/v1/depth)
+   */
+  async fetchDepth(symbol, limit = 10) {
+    const response = await axios.get(`${this.config.restBaseUrl}/eapi/v1/depth`, {
+      params: { symbol, limit }
+    });
+    return { bids: response.data.bids || [], asks: response.data.asks || [] };
+  }
+
+  /**
+   * Conecta os streams de mark price, ticker e trades
+   */
+  connect() {
+    super.connect();
+    this.connectStream('markPrice', (item) => this.handleMarkPrice(item));
+    this.connectStream('ticker', (item) => this.handleTicker(item));
+    this.connectStream('trade', (item) => this.handleTrade(item));
+  }
+
+  disconnect() {
+    super.disconnect();
+    Object.keys(this.sockets).forEach(name => {
+      const ws = this.sockets[name];
+      delete this.sockets[name];
+      ws.close();
+      this.streams[name] = false;
+    });
+  }
+
+  /**
+   * Abre um stream combinado <underlying>@<name> com reconexão automática
+   */
+  connectStream(name, handler) {
+    const streamName = `${this.config.underlying}@${name}`;
+    const wsUrl = `${this.config.wsBaseUrl}?streams=${streamName}`;
+
+    this.logger.info(`Conectando ao WebSocket: ${streamName}`);
+
+    const ws = createSocket(wsUrl, `binance.${streamName}`);
+    this.sockets[name] = ws;
+
+    ws.on('open', () => {
+      this.logger.success(`WebSocket ${streamName} conectado`);
+      this.setStreamState(name, true);
+    });
+
+    ws.on('message', (data) => {
+      try {
+        const message = JSON.parse(data);
+        if (message.data) {
+          handler(message.data);
+        }
+      } catch (error) {
+        this.logger.error(`Erro ao processar mensagem ${streamName}`, error);
+      }
+    });
+
+    ws.on('error', (error) => {
+      this.logger.error(`Erro no WebSocket ${streamName}`, error);
+      this.emit('error', error);
+    });
+
+    ws.on('close', () => {
+      this.setStreamState(name, false);
+
+      // Fechado via disconnect() - não reconectar
+      if (this.stopped || this.sockets[name] !== ws) return;
+
+      this.logger.warn(`WebSocket ${streamName} desconectado`);
+      setTimeout(() => {
+        if (!this.stopped && this.sockets[name] === ws) {
+          this.logger.info(`Tentando reconectar WebSocket ${streamName}...`);
+          this.connectStream(name, handler);
+        }
+      }, this.config.reconnectDelay);
+    });
+  }
+
+  /**
+   * Payload: [{ s: symbol, mp: mark price }]
+   */
+  handleMarkPrice(data) {
+    if (!Array.isArray(data)) return;
+
+    this.emit('markprice', data
+      .filter(item => item.mp)
+      .map(item => ({ symbol: item.s, markPrice: parseFloat(item.mp) })));
+  }
+
+  /**
+   * Payload: [{ s, v: volume, b: bid, a: ask, c: last, vo: IV }]
+   */
+  handleTicker(data) {
+    if (!Array.isArray(data)) return;
+
+    this.emit('ticker', data.map(item => ({
+      symbol: item.s,
+      volume: item.v ? parseFloat(item.v) : 0,
+      bidPrice: item.b ? parseFloat(item.b) : null,
+      askPrice: item.a ? parseFloat(item.a) : null,
+      lastPrice: item.c ? parseFloat(item.c) : null,
+      markIV: item.vo ? parseFloat(item.vo) : undefined
+    })));
+  }
+
+  /**
+   * Payload: { s, p: price, q: qty, S: '1' (buy) | '-1' (sell), T: trade time, t: id }
+   */
+  handleTrade(data) {
+    const trades = Array.isArray(data) ? data : [data];
+
+    trades.forEach(item => {
+      this.emit('trade', {
+        symbol: item.s,
+        price: parseFloat(item.p),
+        quantity: Math.abs(parseFloat(item.q)),
+        side: parseInt(item.S) === 1 ? 'BUY' : 'SELL', // lado do taker (agressor)
+        timestamp: item.T || item.E || Date.now(),
+        tradeId: item.t
+      });
+    });
+  }
+}
+
+module.exports = BinanceOptionsAdapter;
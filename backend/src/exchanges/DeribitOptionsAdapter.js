@@ -0,0 +1,375 @@
+/**
+ * DeribitOptionsAdapter - Deribit options (API v2 pública)
+ *
+ * REST: public/get_instruments, public/get_book_summary_by_currency,
+ *       public/get_order_book
+ * WS (JSON-RPC): ticker.<instrument>.agg2 (mark, IV, bid/ask, OI, gregas),
+ *                trades.option.<currency>.100ms, deribit_price_index.<currency>_usd
+ *
+ * NORMALIZAÇÃO:
+ * - Símbolo: BTC-27DEC24-100000-C
+ * - Preços das options inversas são cotados em BTC/ETH: convertidos para USD
+ *   pelo underlying_price (forward) ou, na falta, pelo índice
+ * - mark_iv vem em % (55.3) -> 0.553
+ * - Updates do stream são agregados e emitidos em lote a cada flushInterval
+ */
+
+const WebSocket = require('ws');
+const axios = require('axios');
+const ExchangeAdapter = require('./ExchangeAdapter');
+const { createSocket } = require('../capture/MarketDataSource');
+
+class DeribitOptionsAdapter extends ExchangeAdapter {
+  constructor(config = {}) {
+    super('deribit', {
+      ...config,
+      restBaseUrl: config.deribitRestUrl || process.env.DERIBIT_REST_URL || 'https://www.deribit.com/api/v2',
+      wsUrl: config.deribitWsUrl || process.env.DERIBIT_WS_URL || 'wss://www.deribit.com/ws/api/v2',
+      subscriptionBatch: config.subscriptionBatch || 100,  // canais por public/subscribe
+      heartbeatInterval: config.heartbeatInterval || 30,   // segundos
+      flushInterval: config.flushInterval || 1000
+    });
+
+    this.currency = this.config.underlying;
+    this.instruments = [];
+    this.indexPrice = 0;
+    this.underlyingPrices = new Map(); // instrument -> underlying_price (forward)
+    this.deferredTickers = new Map();  // instrument -> ticker recebido antes de qualquer preço do underlying
+
+    this.ws = null;
+    this.requestId = 0;
+    this.flushTimer = null;
+    this.pending = this.createPendingBuffer();
+  }
+
+  createPendingBuffer() {
+    return { markprice: new Map(), ticker: new Map(), greeks: new Map(), 'open-interest': new Map() };
+  }
+
+  /**
+   * GET public/<method>
+   */
+  async request(method, params = {}) {
+    const response = await axios.get(`${this.config.restBaseUrl}/public/${method}`, { params });
+    return response.data.result;
+  }
+
+  /**
+   * Instrumentos ativos do currency (public/get_instruments)
+   */
+  async loadInstruments() {
+    const result = await this.request('get_instruments', {
+      currency: this.currency,
+      kind: 'option',
+      expired: false
+    });
+
+    // Só as options inversas do currency (BTC-..., não BTC_USDC-...)
+    const instruments = result.filter(item => item.instrument_name.startsWith(`${this.currency}-`));
+    this.instruments = instruments.map(item => item.instrument_name);
+    this.instrumentCount = instruments.length;
+
+    return instruments.map(item => this.createInstrument({
+      symbol: item.instrument_name,
+      strikePrice: item.strike,
+      expiryDate: new Date(item.expiration_timestamp),
+      side: item.option_type === 'call' ? 'CALL' : 'PUT',
+      contractSize: item.contract_size
+    }));
+  }
+
+  /**
+   * Resumo do book de todas as options (mark, IV, bid/ask, volume, OI)
+   */
+  async fetchBookSummary() {
+    const result = await this.request('get_book_summary_by_currency', {
+      currency: this.currency,
+      kind: 'option'
+    });
+
+    result.forEach(item => {
+      if (item.underlying_price) {
+        this.underlyingPrices.set(item.instrument_name, item.underlying_price);
+      }
+    });
+
+    // Sem preço do underlying não há conversão para USD: fica para o próximo poll/stream
+    return result.filter(item =>
+      item.instrument_name.startsWith(`${this.currency}-`) && this.getUnderlyingPrice(item.instrument_name) > 0
+    );
+  }
+
+  /**
+   * Mark price e IV (o book summary não traz gregas: chegam pelo stream de ticker)
+   */
+  async fetchGreeks() {
+    const summary = await this.fetchBookSummary();
+
+    return summary.map(item => ({
+      symbol: item.instrument_name,
+      markPrice: this.toUsd(item.mark_price, item.instrument_name),
+      markIV: item.mark_iv ? item.mark_iv / 100 : undefined
+    }));
+  }
+
+  async fetchTickers() {
+    const summary = await this.fetchBookSummary();
+
+    return summary.map(item => ({
+      symbol: item.instrument_name,
+      volume: item.volume || 0,
+      bidPrice: item.bid_price ? this.toUsd(item.bid_price, item.instrument_name) : null,
+      askPrice: item.ask_price ? this.toUsd(item.ask_price, item.instrument_name) : null,
+      lastPrice: item.last ? this.toUsd(item.last, item.instrument_name) : null
+    }));
+  }
+
+  async fetchOpenInterest() {
+    const summary = await this.fetchBookSummary();
+
+    return summary.map(item => ({
+      symbol: item.instrument_name,
+      openInterest: item.open_interest || 0,
+      openInterestUsd: (item.open_interest || 0) * this.getUnderlyingPrice(item.instrument_name),
+      timestamp: item.creation_timestamp || Date.now()
+    }));
+  }
+
+  /**
+   * Order book de uma option (public/get_order_book), preços em USD
+   */
+  async fetchDepth(symbol, limit = 10) {
+    const result = await this.request('get_order_book', { instrument_name: symbol, depth: limit });
+    if (result.underlying_price) {
+      this.underlyingPrices.set(symbol, result.underlying_price);
+    }
+    if (!this.getUnderlyingPrice(symbol)) {
+      throw new Error(`Preço do underlying desconhecido para ${symbol}`);
+    }
+
+    const toLevels = (levels) => (levels || []).map(([price, amount]) => [this.toUsd(price, symbol), amount]);
+    return { bids: toLevels(result.bids), asks: toLevels(result.asks) };
+  }
+
+  /**
+   * Forward do instrumento ou, sem ele, o índice (0 = ainda desconhecido)
+   */
+  getUnderlyingPrice(instrument) {
+    return this.underlyingPrices.get(instrument) || this.indexPrice || 0;
+  }
+
+  /**
+   * Converte preço cotado em moeda (BTC/ETH) para USD
+   * (null se o preço do underlying ainda não é conhecido)
+   */
+  toUsd(price, instrument) {
+    if (price === null || price === undefined) return null;
+    const underlyingPrice = this.getUnderlyingPrice(instrument);
+    return underlyingPrice > 0 ? price * underlyingPrice : null;
+  }
+
+  /**
+   * Conecta o WebSocket JSON-RPC e assina ticker, trades e índice
+   */
+  connect() {
+    super.connect();
+
+    this.logger.info(`Conectando ao WebSocket Deribit (${this.instruments.length} instrumentos)`);
+
+    // Um socket JSON-RPC para todos os canais: gravado como deribit.<CURRENCY>
+    const ws = createSocket(this.config.wsUrl, `deribit.${this.currency}`);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.logger.success('WebSocket Deribit conectado');
+      this.setStreamState('deribit', true);
+
+      this.send('public/set_heartbeat', { interval: this.config.heartbeatInterval });
+      this.subscribe([
+        `deribit_price_index.${this.currency.toLowerCase()}_usd`,
+        `trades.option.${this.currency}.100ms`
+      ]);
+
+      const tickers = this.instruments.map(name => `ticker.${name}.agg2`);
+      for (let i = 0; i < tickers.length; i += this.config.subscriptionBatch) {
+        this.subscribe(tickers.slice(i, i + this.config.subscriptionBatch));
+      }
+
+      this.flushTimer = setInterval(() => this.flush(), this.config.flushInterval);
+    });
+
+    ws.on('message', (data) => {
+      try {
+        this.handleMessage(JSON.parse(data));
+      } catch (error) {
+        this.logger.error('Erro ao processar mensagem Deribit', error);
+      }
+    });
+
+    ws.on('error', (error) => {
+      this.logger.error('Erro no WebSocket Deribit', error);
+      this.emit('error', error);
+    });
+
+    ws.on('close', () => {
+      this.setStreamState('deribit', false);
+      if (this.flushTimer) {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+      }
+
+      // Fechado via disconnect() - não reconectar
+      if (this.stopped || this.ws !== ws) return;
+
+      this.logger.warn('WebSocket Deribit desconectado');
+      setTimeout(() => {
+        if (!this.stopped && this.ws === ws) {
+          this.logger.info('Tentando reconectar WebSocket Deribit...');
+          this.connect();
+        }
+      }, this.config.reconnectDelay);
+    });
+  }
+
+  disconnect() {
+    super.disconnect();
+
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close();
+    }
+    this.streams.deribit = false;
+  }
+
+  send(method, params = {}) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    this.ws.send(JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }));
+  }
+
+  subscribe(channels) {
+    this.send('public/subscribe', { channels });
+  }
+
+  /**
+   * Roteia notificações (subscription / heartbeat)
+   */
+  handleMessage(message) {
+    if (message.error) {
+      this.logger.error('Erro Deribit', message.error);
+      return;
+    }
+
+    if (message.method === 'heartbeat') {
+      if (message.params && message.params.type === 'test_request') {
+        this.send('public/test');
+      }
+      return;
+    }
+
+    if (message.method !== 'subscription' || !message.params) return;
+
+    const { channel, data } = message.params;
+    if (channel.startsWith('ticker.')) {
+      this.handleTicker(data);
+    } else if (channel.startsWith('trades.')) {
+      this.handleTrades(data);
+    } else if (channel.startsWith('deribit_price_index.')) {
+      this.indexPrice = data.price;
+      this.flushDeferredTickers();
+    }
+  }
+
+  /**
+   * Ticker de um instrumento: acumula mark, ticker, gregas e OI até o flush
+   */
+  handleTicker(data) {
+    const symbol = data.instrument_name;
+    if (data.underlying_price) {
+      this.underlyingPrices.set(symbol, data.underlying_price);
+    }
+
+    // Preços em moeda sem conversão possível: aplica quando o índice chegar
+    if (!this.getUnderlyingPrice(symbol)) {
+      this.deferredTickers.set(symbol, data);
+      return;
+    }
+
+    const markIV = data.mark_iv ? data.mark_iv / 100 : undefined;
+
+    this.pending.markprice.set(symbol, { symbol, markPrice: this.toUsd(data.mark_price, symbol) });
+    this.pending.ticker.set(symbol, {
+      symbol,
+      volume: data.stats && data.stats.volume ? data.stats.volume : 0,
+      bidPrice: data.best_bid_price ? this.toUsd(data.best_bid_price, symbol) : null,
+      askPrice: data.best_ask_price ? this.toUsd(data.best_ask_price, symbol) : null,
+      lastPrice: data.last_price ? this.toUsd(data.last_price, symbol) : null,
+      markIV
+    });
+    if (data.greeks) {
+      this.pending.greeks.set(symbol, {
+        symbol,
+        delta: data.greeks.delta,
+        gamma: data.greeks.gamma,
+        theta: data.greeks.theta,
+        vega: data.greeks.vega,
+        markIV
+      });
+    }
+    if (data.open_interest !== undefined) {
+      this.pending['open-interest'].set(symbol, { symbol, openInterest: data.open_interest });
+    }
+  }
+
+  /**
+   * Reprocessa os tickers guardados antes do primeiro preço do índice
+   */
+  flushDeferredTickers() {
+    if (this.deferredTickers.size === 0 || !this.indexPrice) return;
+
+    const deferred = Array.from(this.deferredTickers.values());
+    this.deferredTickers.clear();
+    deferred.forEach(data => this.handleTicker(data));
+  }
+
+  /**
+   * Trades: direction é o lado do taker; preço convertido pelo index_price do trade
+   * (descartado se nenhum preço do índice é conhecido)
+   */
+  handleTrades(data) {
+    (Array.isArray(data) ? data : [data]).forEach(item => {
+      const indexPrice = item.index_price || this.indexPrice;
+      if (!indexPrice) return;
+
+      this.emit('trade', {
+        symbol: item.instrument_name,
+        price: item.price * indexPrice,
+        quantity: Math.abs(item.amount),
+        side: item.direction === 'buy' ? 'BUY' : 'SELL',
+        timestamp: item.timestamp,
+        tradeId: item.trade_id
+      });
+    });
+  }
+
+  /**
+   * Emite os updates acumulados em lote (mesmo formato dos streams da Binance)
+   */
+  flush() {
+    const pending = this.pending;
+    this.pending = this.createPendingBuffer();
+
+    Object.keys(pending).forEach(event => {
+      if (pending[event].size > 0) {
+        this.emit(event, Array.from(pending[event].values()));
+      }
+    });
+  }
+}
+
+module.exports = DeribitOptionsAdapter;
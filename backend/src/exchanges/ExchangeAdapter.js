@@ -0,0 +1,110 @@
+/**
+ * ExchangeAdapter - Interface comum das fontes de options
+ *
+ * Cada venue (Binance, Deribit, ...) implementa esta classe e entrega os dados
+ * já normalizados, em USD e com IV em decimal, para o DataCollector aplicar
+ * nos objetos Option.
+ *
+ * REST (carga inicial / polling):
+ * - loadInstruments()            -> [{ symbol, strikePrice, expiryDate, side, ..., venue }] (dados do new Option)
+ * - fetchGreeks()                -> [{ symbol, markPrice, markIV, delta?, gamma?, theta?, vega? }]
+ * - fetchTickers()               -> [{ symbol, volume, bidPrice, askPrice, lastPrice, markIV? }]
+ * - fetchOpenInterest()          -> [{ symbol, openInterest, openInterestUsd, timestamp }]
+ * - fetchDepth(symbol, limit)    -> { bids: [[price, qty]], asks: [[price, qty]] }
+ *
+ * STREAMS (connect / disconnect) - eventos emitidos:
+ * - 'markprice'      [{ symbol, markPrice }]
+ * - 'ticker'         [{ symbol, volume, bidPrice, askPrice, lastPrice, markIV? }]
+ * - 'greeks'         [{ symbol, delta, gamma, theta, vega, markIV }]
+ * - 'open-interest'  [{ symbol, openInterest }]
+ * - 'trade'          { symbol, price, quantity, side: 'BUY' | 'SELL' (taker), timestamp, tradeId }
+ * - 'stream-connected' / 'stream-disconnected' (nome do stream)
+ */
+
+const EventEmitter = require('events');
+const Logger = require('../utils/logger');
+
+class ExchangeAdapter extends EventEmitter {
+  constructor(venue, config = {}) {
+    super();
+
+    this.venue = venue;
+    this.config = {
+      ...config,
+      underlying: config.underlying || process.env.DEFAULT_UNDERLYING || 'BTC',
+      reconnectDelay: config.reconnectDelay || 5000
+    };
+
+    this.logger = new Logger(`${this.constructor.name}:${this.config.underlying}`);
+
+    // Estado dos streams: nome -> conectado
+    this.streams = {};
+    this.stopped = false;
+    this.instrumentCount = 0;
+  }
+
+  async loadInstruments() {
+    throw new Error(`${this.venue}: loadInstruments não implementado`);
+  }
+
+  async fetchGreeks() {
+    return [];
+  }
+
+  async fetchTickers() {
+    return [];
+  }
+
+  async fetchOpenInterest() {
+    return [];
+  }
+
+  async fetchDepth(symbol) {
+    throw new Error(`${this.venue}: fetchDepth não implementado (${symbol})`);
+  }
+
+  connect() {
+    this.stopped = false;
+  }
+
+  disconnect() {
+    this.stopped = true;
+  }
+
+  /**
+   * Dados de um contrato já marcados com o venue do adapter
+   * (objeto simples: serializável na captura, vira Option no DataCollector)
+   */
+  createInstrument(data) {
+    return { ...data, venue: this.venue };
+  }
+
+  /**
+   * Atualiza o estado de um stream e emite o evento correspondente
+   */
+  setStreamState(name, connected) {
+    this.streams[name] = connected;
+    this.emit(connected ? 'stream-connected' : 'stream-disconnected', name);
+  }
+
+  /**
+   * Stream específico ou, sem nome (ou venue com stream único), todos
+   */
+  isConnected(name = null) {
+    if (name && name in this.streams) return this.streams[name] === true;
+
+    const states = Object.values(this.streams);
+    return states.length > 0 && states.every(Boolean);
+  }
+
+  getStatus() {
+    return {
+      venue: this.venue,
+      connected: this.isConnected(),
+      streams: { ...this.streams },
+      instruments: this.instrumentCount
+    };
+  }
+}
+
+module.exports = ExchangeAdapter;
@@ -0,0 +1,51 @@
+/**
+ * Venues - Registro dos adapters de options disponíveis
+ *
+ * OPTION_VENUES=binance          -> só Binance (padrão)
+ * OPTION_VENUES=binance,deribit  -> chain agregada das duas venues
+ */
+
+const BinanceOptionsAdapter = require('./BinanceOptionsAdapter');
+const DeribitOptionsAdapter = require('./DeribitOptionsAdapter');
+
+const VENUES = {
+  binance: BinanceOptionsAdapter,
+  deribit: DeribitOptionsAdapter
+};
+
+const DEFAULT_VENUE = 'binance';
+
+function isValidVenue(venue) {
+  return Object.prototype.hasOwnProperty.call(VENUES, venue);
+}
+
+/**
+ * Converte "binance,deribit" em lista normalizada; lança erro para venue desconhecida
+ */
+function parseVenueList(value) {
+  const list = Array.isArray(value) ? value : String(value || DEFAULT_VENUE).split(',');
+  const venues = [...new Set(list.map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+
+  venues.forEach(venue => {
+    if (!isValidVenue(venue)) {
+      throw new Error(`Venue '${venue}' inválida. Use: ${Object.keys(VENUES).join(', ')}`);
+    }
+  });
+
+  return venues.length > 0 ? venues : [DEFAULT_VENUE];
+}
+
+function createExchangeAdapter(venue, config = {}) {
+  if (!isValidVenue(venue)) {
+    throw new Error(`Venue '${venue}' inválida. Use: ${Object.keys(VENUES).join(', ')}`);
+  }
+  return new VENUES[venue](config);
+}
+
+module.exports = {
+  VENUES,
+  DEFAULT_VENUE,
+  isValidVenue,
+  parseVenueList,
+  createExchangeAdapter
+};
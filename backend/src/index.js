@@ -4,36 +4,65 @@
  */
 
 require('dotenv').config();
-const DataCollector = require('./collectors/DataCollector');
-const GEXCalculator = require('./calculators/GEXCalculator');
+const UnderlyingRegistry = require('./registry/UnderlyingRegistry');
 const RegimeAnalyzer = require('./calculators/RegimeAnalyzer');
 const MaxPainCalculator = require('./calculators/MaxPainCalculator');
 const SentimentAnalyzer = require('./calculators/SentimentAnalyzer');
 const APIServer = require('./api/server');
 const Logger = require('./utils/logger');
+const MarketDataSource = require('./capture/MarketDataSource');
+const MarketDataRecorder = require('./capture/MarketDataRecorder');
+const CapturePlayer = require('./capture/CapturePlayer');
 
 // ← ADICIONAR: Imports do Database
 const Database = require('./database/Database');
 const DataPersistenceService = require('./database/services/DataPersistenceService');
 const DataRetentionService = require('./database/services/DataRetentionService');
+const EscapeDetectionService = require('./database/services/EscapeDetectionService');
 
 class GammaTracker {
   constructor(config = {}) {
     this.logger = new Logger('GammaTracker');
     
     // Configuração
+    const underlying = UnderlyingRegistry.normalize(
+      config.underlying || process.env.DEFAULT_UNDERLYING || 'BTC'
+    );
+    
+    // Underlying padrão sempre primeiro na lista (ex: UNDERLYINGS=BTC,ETH)
+    const underlyings = UnderlyingRegistry.parseList(config.underlyings || process.env.UNDERLYINGS);
+    
     this.config = {
-      underlying: config.underlying || process.env.DEFAULT_UNDERLYING || 'BTC',
+      underlying: underlying,
+      underlyings: [underlying, ...underlyings.filter(u => u !== underlying)],
       apiPort: config.apiPort || process.env.API_PORT || 3300,
-      spotPrice: config.spotPrice || 95000, // Preço inicial estimado para BTC
       // ← ADICIONAR: Configuração de persistência
       enablePersistence: config.enablePersistence !== false, // Default: true
-      persistenceInterval: config.persistenceInterval || 10 * 60 * 1000 // 10 minutos
+      persistenceInterval: config.persistenceInterval || 10 * 60 * 1000, // 10 minutos
+      // Replay de sessão passada (REPLAY_FROM definido => modo replay)
+      replay: config.replay || (process.env.REPLAY_FROM ? {
+        from: process.env.REPLAY_FROM,
+        to: process.env.REPLAY_TO,
+        speed: process.env.REPLAY_SPEED,
+        loop: process.env.REPLAY_LOOP === 'true'
+      } : null),
+      // Gravação das mensagens brutas dos WebSockets (CAPTURE_DIR definido => grava)
+      capture: config.capture || (process.env.CAPTURE_DIR ? {
+        dir: process.env.CAPTURE_DIR,
+        rotateInterval: parseInt(process.env.CAPTURE_ROTATE_MINUTES) * 60 * 1000 || undefined,
+        maxFileBytes: parseInt(process.env.CAPTURE_MAX_FILE_MB) * 1024 * 1024 || undefined
+      } : null),
+      // Playback de uma captura no lugar dos sockets (PLAYBACK_DIR definido => modo playback)
+      playback: config.playback || (process.env.PLAYBACK_DIR ? {
+        dir: process.env.PLAYBACK_DIR,
+        from: process.env.PLAYBACK_FROM,
+        to: process.env.PLAYBACK_TO,
+        speed: process.env.PLAYBACK_SPEED
+      } : null)
     };
     
     // Componentes
-    this.dataCollector = null;
-    this.gexCalculator = null;
+    this.registry = null;
     this.regimeAnalyzer = null;
     this.maxPainCalculator = null;
     this.sentimentAnalyzer = null;
@@ -43,7 +72,12 @@ class GammaTracker {
     this.database = null;
     this.persistence = null;
     this.retention = null;
+    this.escapeDetections = null;
     this.persistenceTimer = null;
+    
+    // Captura / playback (capture/)
+    this.recorder = null;
+    this.player = null;
   }
 
   /**
@@ -51,32 +85,73 @@ class GammaTracker {
    */
   async initialize() {
     this.logger.info('Inicializando Gamma Tracker...');
-    this.logger.info(`Underlying: ${this.config.underlying}`);
+    this.logger.info(`Underlyings: ${this.config.underlyings.join(', ')} (padrão: ${this.config.underlying})`);
     
     try {
+      // Playback não grava no banco: os snapshots seriam da sessão capturada
+      if (this.config.playback) {
+        if (this.config.replay) {
+          throw new Error('Use REPLAY_FROM ou PLAYBACK_DIR, não os dois');
+        }
+        this.config.enablePersistence = false;
+      }
+      
       // ← ADICIONAR: 1. Inicializar Database (PRIMEIRO)
-      if (this.config.enablePersistence) {
+      if (this.config.enablePersistence || this.config.replay) {
         await this.initializeDatabase();
       }
       
+      // Replay lê do banco e não grava de volta
+      if (this.config.replay) {
+        if (!this.database) {
+          throw new Error('Modo replay requer o banco de dados');
+        }
+        this.config.enablePersistence = false;
+        this.logger.info(`Modo REPLAY: ${this.config.replay.from} → ${this.config.replay.to || 'agora'} (${this.config.replay.speed || 60}x)`);
+      }
+      
+      // Origem dos dados de mercado (antes de criar os coletores)
+      await this.initializeCapture();
+      
       // 2. Inicializar calculadoras
-      this.gexCalculator = new GEXCalculator(this.config.spotPrice);
       this.regimeAnalyzer = new RegimeAnalyzer();
       this.maxPainCalculator = new MaxPainCalculator();
       this.sentimentAnalyzer = new SentimentAnalyzer();
       this.logger.success('Calculadoras inicializadas');
       
-      // 3. Inicializar coletor de dados
-      this.dataCollector = new DataCollector({
-        underlying: this.config.underlying
+      // 3. Registrar um pipeline (DataCollector + GEXCalculator) por underlying
+      this.registry = new UnderlyingRegistry({
+        defaultUnderlying: this.config.underlying,
+        collectorConfig: this.config.replay
+          ? { replay: this.config.replay, database: this.database }
+          : {}
+      });
+      
+      this.config.underlyings.forEach(underlying => {
+        const pipeline = this.registry.register(underlying);
+        if (this.persistence) {
+          pipeline.assetId = this.persistence.getAssetId(underlying);
+        }
       });
       
       // Configurar event listeners
       this.setupEventListeners();
       
+      // Detecções de escape gravadas e rotuladas (5/15/60 min depois)
+      if (this.config.enablePersistence && this.persistence) {
+        this.escapeDetections = new EscapeDetectionService(this.database);
+        this.registry.list().forEach(pipeline => this.escapeDetections.attach(pipeline));
+        this.escapeDetections.start();
+      }
+      
       // Iniciar coleta
-      await this.dataCollector.start();
-      this.logger.success('Coletor de dados iniciado');
+      await this.registry.startAll();
+      this.logger.success(`Coletores de dados iniciados: ${this.registry.getUnderlyings().join(', ')}`);
+      
+      // Sockets de playback já abertos pelos coletores: começar a reprodução
+      if (this.player) {
+        this.player.start();
+      }
       
       // ← ADICIONAR: 4. Iniciar loop de persistência (DEPOIS do start)
       if (this.config.enablePersistence) {
@@ -85,8 +160,7 @@ class GammaTracker {
       
       // 5. Inicializar API Server
       this.apiServer = new APIServer(
-        this.dataCollector,
-        this.gexCalculator,
+        this.registry,
         this.regimeAnalyzer,
         this.database,
         { port: this.config.apiPort }
@@ -115,11 +189,14 @@ class GammaTracker {
       
       // 2. Inicializar serviço de persistência
       this.persistence = new DataPersistenceService(this.database);
-      await this.persistence.initialize(this.config.underlying);
+      await this.persistence.initialize(this.config.underlyings);
       
       // 3. Inicializar serviço de retenção (cleanup automático a cada 24h)
-      this.retention = new DataRetentionService(this.database);
-      this.retention.startAutomatedCleanup(24);
+      // Em replay não apagar dados antigos (podem ser a sessão reproduzida)
+      if (!this.config.replay) {
+        this.retention = new DataRetentionService(this.database);
+        this.retention.startAutomatedCleanup(24);
+      }
       
       this.logger.success('✓ Database inicializado com persistência ativada');
       
@@ -130,27 +207,54 @@ class GammaTracker {
     }
   }
 
+  /**
+   * Configura gravação (CAPTURE_DIR) ou playback (PLAYBACK_DIR) dos dados de mercado
+   */
+  async initializeCapture() {
+    if (this.config.playback) {
+      this.player = new CapturePlayer(this.config.playback);
+      await this.player.load();
+      MarketDataSource.setPlayer(this.player);
+      this.logger.info(`Modo PLAYBACK: ${this.config.playback.dir} (${this.player.config.speed}x)`);
+    } else if (this.config.capture) {
+      this.recorder = new MarketDataRecorder(this.config.capture);
+      MarketDataSource.setRecorder(this.recorder);
+      this.logger.info(`Gravando mensagens de mercado em ${this.config.capture.dir}`);
+    }
+  }
+
   // ← ADICIONAR: Loop de persistência
   startPersistenceLoop() {
     this.logger.info(`Iniciando loop de persistência (intervalo: ${this.config.persistenceInterval / 1000}s)`);
     
     // Executar imediatamente
     setTimeout(() => {
-      this.saveSnapshot();
+      this.saveAllSnapshots();
     
     // Agendar execuções periódicas
     this.persistenceTimer = setInterval(() => {
-      this.saveSnapshot();
+      this.saveAllSnapshots();
     }, this.config.persistenceInterval);
    },30000); // Esperar 30s antes da primeira execução
   }
 
+  /**
+   * Salva um snapshot para cada underlying registrado
+   */
+  async saveAllSnapshots() {
+    if (!this.registry) return;
+    
+    for (const pipeline of this.registry.list()) {
+      await this.saveSnapshot(pipeline);
+    }
+  }
+
   // ← ADICIONAR: Método para salvar snapshot
-  async saveSnapshot() {
-     this.logger.info('🔍 [DEBUG] saveSnapshot() chamado');
+  async saveSnapshot(pipeline) {
+     this.logger.info(`🔍 [DEBUG] saveSnapshot(${pipeline.underlying}) chamado`);
     try {
       // Obter dados atuais
-      const options = this.dataCollector.getAllOptions();
+      const options = pipeline.dataCollector.getAllOptions();
       this.logger.info(`🔍 [DEBUG] Options obtidas: ${options ? options.length : 0}`);
       
       if (!options || options.length === 0) {
@@ -159,7 +263,7 @@ class GammaTracker {
     }
      
      // Obter spot price do stats
-      const stats = this.dataCollector.getStats();
+      const stats = pipeline.dataCollector.getStats();
       const spotPrice = stats.spotPrice;
       this.logger.info(`🔍 [DEBUG] Spot price: ${spotPrice}`);
 
@@ -170,7 +274,7 @@ class GammaTracker {
 
     this.logger.info('🔍 [DEBUG] Obtendo métricas do APIServer...');
     // Usar o método getMetrics do APIServer (que já funciona!)
-    const metrics = await this.apiServer.getMetrics();
+    const metrics = await this.apiServer.getMetrics(pipeline);
 
     if (!metrics) {
       this.logger.debug('Métricas não disponíveis');
@@ -179,11 +283,13 @@ class GammaTracker {
 
     this.logger.info('🔍 [DEBUG] Detectando anomalias...');
 
-    // Detectar anomalias (se disponível)
+    // Detectar anomalias e estrutura a termo (se disponível)
     let anomalies = [];
+    let termStructure = null;
+    const now = pipeline.dataCollector.getCurrentTime();
     if (this.apiServer.anomalyDetector && this.apiServer.volSurfaceCalculator) {
       try {
-        const volSurface = this.apiServer.volSurfaceCalculator.buildSurface(options, spotPrice);
+        const volSurface = this.apiServer.volSurfaceCalculator.buildSurface(options, spotPrice, now);
         if (volSurface && volSurface.points) {
           // detectAnomalies expects (surfaceData, threshold)
           const anomalies_detected = this.apiServer.anomalyDetector.detectAnomalies(
@@ -191,19 +297,38 @@ class GammaTracker {
             2.0          // threshold
           );
           anomalies = anomalies_detected || [];         
+
+          termStructure = this.apiServer.termStructureCalculator.calculate(volSurface.svi, spotPrice, now);
+          if (termStructure) {
+            const { structure } = termStructure;
+            this.logger.info(`Estrutura a termo: ${structure.state} (${structure.frontTenor}→${structure.backTenor} ${(structure.slope * 100).toFixed(1)} pts)`);
+          }
         }
       } catch (error) {
         this.logger.error('Erro ao detectar anomalias', error.message);
       }
     }
     
+    // Vol realizada, VRP e IV Rank (histórico da estrutura a termo)
+    let volatilityState = null;
+    try {
+      volatilityState = await this.apiServer.getVolatilityState(pipeline, termStructure);
+      if (volatilityState.rv !== null) {
+        const rank = volatilityState.ivRank !== null ? volatilityState.ivRank.toFixed(0) : '-';
+        const vrp = volatilityState.vrp ? (volatilityState.vrp.premium * 100).toFixed(1) : '-';
+        this.logger.info(`Vol realizada (${volatilityState.rvWindow}): ${(volatilityState.rv * 100).toFixed(1)}%, VRP ${vrp} pts, IV Rank ${rank}`);
+      }
+    } catch (error) {
+      this.logger.error('Erro ao calcular volatilidade realizada', error.message);
+    }
+    
     // Calcular Max Pain
     this.logger.info('🔍 [DEBUG] Calculando Max Pain...');
     let maxPainData = null;
     try {
-      maxPainData = this.maxPainCalculator.calculateMaxPain(options, spotPrice);
+      maxPainData = this.maxPainCalculator.calculateMaxPain(options, spotPrice, null, null, now);
       if (maxPainData) {
-        this.logger.info(`Max Pain: Strike ${maxPainData.maxPainStrike} com ${maxPainData.maxPainOI.toFixed(0)} OI`);
+        this.logger.info(`Max Pain (${maxPainData.expiry}): Strike ${maxPainData.maxPainStrike}, OI magnet ${maxPainData.oiMagnet ? maxPainData.oiMagnet.strike : '-'}`);
       }
     } catch (error) {
       this.logger.error('Erro ao calcular Max Pain', error.message);
@@ -224,18 +349,22 @@ class GammaTracker {
       this.logger.info('🔍 [DEBUG] Salvando no banco...');
       // Salvar no banco
       await this.persistence.saveSnapshot({
+        underlying: pipeline.underlying,
         options: options,
         spotPrice: spotPrice,
         metrics: metrics,
         anomalies: anomalies,
         maxPain: maxPainData,
-        sentiment: sentimentData
+        sentiment: sentimentData,
+        futures: pipeline.dataCollector.getFuturesMetrics(),
+        termStructure: termStructure,
+        volatility: volatilityState
       });
       
-      this.logger.info(`✓ Snapshot salvo: ${options.length} options, ${anomalies.length} anomalias`);
+      this.logger.info(`✓ Snapshot ${pipeline.underlying} salvo: ${options.length} options, ${anomalies.length} anomalias`);
       
     } catch (error) {
-      this.logger.error('Erro ao salvar snapshot', error);
+      this.logger.error(`Erro ao salvar snapshot ${pipeline.underlying}`, error);
     }
   }
 
@@ -243,36 +372,35 @@ class GammaTracker {
    * Configura event listeners
    */
   setupEventListeners() {
-    this.dataCollector.on('ready', () => {
-      this.logger.info('DataCollector pronto');
-    });
-    
-    this.dataCollector.on('ws-connected', () => {
-      this.logger.info('WebSocket conectado');
-    });
-    
-    this.dataCollector.on('ws-disconnected', () => {
-      this.logger.warn('WebSocket desconectado');
-    });
-    
-    this.dataCollector.on('greeks-updated', (count) => {
-      this.logger.debug(`Gregas atualizadas: ${count} options`);
-    });
-    
-    this.dataCollector.on('markprice-updated', (count) => {
-      this.logger.debug(`Mark prices atualizados: ${count} options`);
-    });
-    
-    this.dataCollector.on('spot-price-updated', (data) => {
-      this.logger.debug(`Spot price atualizado: ${data.price.toFixed(2)}`);
-      // Atualizar GEXCalculator com novo spot price
-      if (this.gexCalculator) {
-        this.gexCalculator.setSpotPrice(data.price);
-      }
-    });
-    
-    this.dataCollector.on('oi-updated', (count) => {
-      this.logger.debug(`Open Interest atualizado: ${count} options`);
+    this.registry.list().forEach(({ underlying, dataCollector }) => {
+      dataCollector.on('ready', () => {
+        this.logger.info(`[${underlying}] DataCollector pronto`);
+      });
+      
+      dataCollector.on('ws-connected', () => {
+        this.logger.info(`[${underlying}] WebSocket conectado`);
+      });
+      
+      dataCollector.on('ws-disconnected', () => {
+        this.logger.warn(`[${underlying}] WebSocket desconectado`);
+      });
+      
+      dataCollector.on('greeks-updated', (count) => {
+        this.logger.debug(`[${underlying}] Gregas atualizadas: ${count} options`);
+      });
+      
+      dataCollector.on('markprice-updated', (count) => {
+        this.logger.debug(`[${underlying}] Mark prices atualizados: ${count} options`);
+      });
+      
+      // GEXCalculator do pipeline é atualizado pelo UnderlyingRegistry
+      dataCollector.on('spot-price-updated', (data) => {
+        this.logger.debug(`[${underlying}] Spot price atualizado: ${data.price.toFixed(2)}`);
+      });
+      
+      dataCollector.on('oi-updated', (count) => {
+        this.logger.debug(`[${underlying}] Open Interest atualizado: ${count} options`);
+      });
     });
   }
 
@@ -284,15 +412,19 @@ class GammaTracker {
     console.log('  GAMMA TRACKER - STATUS');
     console.log('='.repeat(70));
     
-    const stats = this.dataCollector.getStats();
-    
-    console.log(`\n📊 Estatísticas:`);
-    console.log(`   Underlying: ${stats.underlying}`);
-    console.log(`   Total de Options: ${stats.totalOptions}`);
-    console.log(`   Options Válidas: ${stats.validOptions}`);
-    console.log(`   Strikes Únicos: ${stats.uniqueStrikes}`);
-    console.log(`   Expirações Únicas: ${stats.uniqueExpiries}`);
-    console.log(`   WebSocket: ${stats.wsConnected ? '✓ Conectado' : '✗ Desconectado'}`);
+    this.registry.list().forEach(pipeline => {
+      const stats = pipeline.dataCollector.getStats();
+      
+      console.log(`\n📊 Estatísticas (${stats.underlying}${stats.underlying === this.config.underlying ? ' - padrão' : ''}):`);
+      console.log(`   Total de Options: ${stats.totalOptions}`);
+      console.log(`   Options Válidas: ${stats.validOptions}`);
+      console.log(`   Strikes Únicos: ${stats.uniqueStrikes}`);
+      console.log(`   Expirações Únicas: ${stats.uniqueExpiries}`);
+      console.log(`   WebSocket: ${stats.wsMarkPriceConnected ? '✓ Conectado' : '✗ Desconectado'}`);
+      stats.venues.forEach(venue => {
+        console.log(`   ${venue.venue}: ${venue.options} options, OI ${venue.totalOI.toFixed(2)} (${venue.connected ? '✓' : '✗'})`);
+      });
+    });
     
     // ← ADICIONAR: Status de persistência
     if (this.config.enablePersistence) {
@@ -311,11 +443,23 @@ class GammaTracker {
     console.log(`   Total GEX: http://localhost:${this.config.apiPort}/api/total-gex`);
     console.log(`   Gamma Flip: http://localhost:${this.config.apiPort}/api/gamma-flip`);
     console.log(`   Walls: http://localhost:${this.config.apiPort}/api/walls`);
+    console.log(`   Post-Expiry: http://localhost:${this.config.apiPort}/api/post-expiry`);
     console.log(`   wall-zones: http://localhost:${this.config.apiPort}/api/wall-zones`);
     console.log(`   Vol Surface: http://localhost:${this.config.apiPort}/api/vol-surface`);
     console.log(`   Anomalias: http://localhost:${this.config.apiPort}/api/vol-anomalies`);
     console.log(`   Max Pain: http://localhost:${this.config.apiPort}/api/max-pain`);
     console.log(`   Sentimento: http://localhost:${this.config.apiPort}/api/sentiment`);  
+    console.log(`   Gregas: http://localhost:${this.config.apiPort}/api/greeks`);
+    console.log(`   Underlyings: http://localhost:${this.config.apiPort}/api/underlyings`);
+    console.log(`   Venues: http://localhost:${this.config.apiPort}/api/venues`);
+    if (this.config.replay) {
+      console.log(`   Replay: http://localhost:${this.config.apiPort}/api/replay`);
+    }
+    if (this.player || this.recorder) {
+      console.log(`   Captura: http://localhost:${this.config.apiPort}/api/capture`);
+    }
+    console.log(`   Stream (WebSocket): ws://localhost:${this.config.apiPort}/ws`);
+    console.log(`   (outro underlying: /api/ETH/metrics ou /api/metrics?underlying=ETH)`);
 
     
     console.log('\n' + '='.repeat(70));
@@ -335,18 +479,31 @@ class GammaTracker {
         this.persistenceTimer = null;
       }
       
-      // ← ADICIONAR: Salvar snapshot final antes de desligar
-      if (this.persistence) {
+      if (this.escapeDetections) {
+        this.escapeDetections.stop();
+      }
+      
+      // ← ADICIONAR: Salvar snapshot final antes de desligar (replay não grava)
+      if (this.config.enablePersistence && this.persistence) {
         this.logger.info('Salvando snapshot final...');
-        await this.saveSnapshot();
+        await this.saveAllSnapshots();
       }
       
       if (this.apiServer) {
         await this.apiServer.stop();
       }
       
-      if (this.dataCollector) {
-        this.dataCollector.stop();
+      if (this.registry) {
+        this.registry.stopAll();
+      }
+      
+      if (this.player) {
+        this.player.stop();
+      }
+      
+      // Finalizar os arquivos de captura (gzip completo)
+      if (this.recorder) {
+        await this.recorder.stop();
       }
       
       // ← ADICIONAR: Desconectar database
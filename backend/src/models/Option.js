@@ -2,13 +2,16 @@
  * Modelo de dados para uma Option
  */
 
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
 class Option {
   constructor(data) {
     // Informações básicas
     this.symbol = data.symbol;
+    this.venue = data.venue || 'binance'; // exchange de origem (exchanges/Venues.js)
     this.underlying = this.parseUnderlying(data.symbol);
     this.strike = parseFloat(data.strikePrice || this.parseStrike(data.symbol));
-    this.expiryDate = data.expiryDate || this.parseExpiry(data.symbol);
+    this.expiryDate = data.expiryDate ? new Date(data.expiryDate) : this.parseExpiry(data.symbol);
     this.side = data.side || this.parseSide(data.symbol); // 'CALL' ou 'PUT'
     this.type = this.side; // Alias para compatibilidade
     this.contractSize = parseFloat(data.unit || data.contractSize || 1);
@@ -25,6 +28,17 @@ class Option {
     this.theta = parseFloat(data.theta || 0);
     this.vega = parseFloat(data.vega || 0);
     
+    // Gregas de 2ª ordem (apenas cálculo local - GreeksEngine)
+    this.vanna = 0;
+    this.charm = 0;
+    this.vomma = 0;
+    this.speed = 0;
+    
+    // Fonte das gregas de 1ª ordem: 'exchange' (REST /eapi/v1/mark) ou 'local'
+    this.greeksSource = 'exchange';
+    this.exchangeGreeks = null;
+    this.localGreeks = null;
+    
     // Open Interest (será atualizado separadamente)
     this.openInterest = parseFloat(data.openInterest || 0);
     
@@ -34,13 +48,18 @@ class Option {
     this.askPrice = data.askPrice !== undefined ? parseFloat(data.askPrice) : null;
     this.lastPrice = data.lastPrice !== undefined ? parseFloat(data.lastPrice) : null;
     
+    // Fluxo agressor (trade stream) - base do dealer model flow-inferred
+    this.takerBuyVolume = 0;   // contratos comprados a mercado (cliente comprando)
+    this.takerSellVolume = 0;  // contratos vendidos a mercado (cliente vendendo)
+    this.tradeCount = 0;
+    
     // Timestamp da última atualização
     this.lastUpdate = Date.now();
   }
 
   /**
    * Parse do símbolo para extrair informações
-   * Formato: BTC-251226-115000-C
+   * Formatos: BTC-251226-115000-C (Binance) e BTC-26DEC25-115000-C (Deribit)
    */
   parseUnderlying(symbol) {
     return symbol.split('-')[0];
@@ -54,7 +73,14 @@ class Option {
   parseExpiry(symbol) {
     const parts = symbol.split('-');
     if (parts.length >= 2) {
-      const dateStr = parts[1]; // formato: YYMMDD
+      const dateStr = parts[1]; // formato: YYMMDD ou DMMMYY
+
+      const deribit = dateStr.match(/^(\d{1,2})([A-Z]{3})(\d{2})$/);
+      if (deribit) {
+        const month = MONTHS.indexOf(deribit[2]);
+        return new Date(Date.UTC(2000 + parseInt(deribit[3]), month, parseInt(deribit[1]), 8, 0, 0));
+      }
+
       const year = 2000 + parseInt(dateStr.substring(0, 2));
       const month = parseInt(dateStr.substring(2, 4)) - 1;
       const day = parseInt(dateStr.substring(4, 6));
@@ -68,6 +94,56 @@ class Option {
     return parts.length >= 4 ? (parts[3] === 'C' ? 'CALL' : 'PUT') : 'UNKNOWN';
   }
 
+  /**
+   * Cria uma option a partir de uma linha de OptionsHistory
+   */
+  static fromHistoryRow(row) {
+    const option = new Option({
+      symbol: row.symbol,
+      venue: row.venue,
+      strikePrice: row.strike,
+      side: row.side,
+      contractSize: row.contractSize,
+      expiryDate: row.expiryDate ? new Date(Number(row.expiryDate)) : undefined
+    });
+    option.updateFromHistoryRow(row);
+    return option;
+  }
+
+  /**
+   * Aplica gregas, mark, OI e ticker de uma linha de OptionsHistory
+   */
+  updateFromHistoryRow(row) {
+    this.updateGreeks({
+      delta: row.delta,
+      gamma: row.gamma,
+      theta: row.theta,
+      vega: row.vega,
+      markIV: row.markIv
+    });
+    this.updateMarkPrice(row.markPrice || 0);
+    this.updateOpenInterest(row.openInterest || 0);
+    this.updateTicker({
+      volume: row.volume,
+      bidPrice: row.bidPrice,
+      askPrice: row.askPrice
+    });
+  }
+
+  /**
+   * Vencimento em ms (expiryDate é Date; NaN se desconhecido)
+   */
+  getExpiryMs() {
+    return this.expiryDate ? new Date(this.expiryDate).getTime() : NaN;
+  }
+
+  /**
+   * Chave do vencimento no formato YYYY-MM-DD (UTC)
+   */
+  getExpiryKey() {
+    return this.expiryDate ? new Date(this.expiryDate).toISOString().split('T')[0] : null;
+  }
+
   /**
    * Atualiza as gregas da option
    */
@@ -77,9 +153,39 @@ class Option {
     this.theta = parseFloat(greeksData.theta || this.theta);
     this.vega = parseFloat(greeksData.vega || this.vega);
     this.markIV = parseFloat(greeksData.markIV || this.markIV);
+    this.greeksSource = 'exchange';
+    this.exchangeGreeks = {
+      delta: this.delta,
+      gamma: this.gamma,
+      theta: this.theta,
+      vega: this.vega,
+      timestamp: Date.now()
+    };
     this.lastUpdate = Date.now();
   }
 
+  /**
+   * Atualiza gregas calculadas localmente (GreeksEngine)
+   * @param {Object} greeks - Resultado de GreeksEngine.computeGreeks
+   * @param {boolean} applyToOption - true = substitui delta/gamma/theta/vega da exchange
+   */
+  updateLocalGreeks(greeks, applyToOption = false) {
+    this.localGreeks = greeks;
+    this.vanna = greeks.vanna;
+    this.charm = greeks.charm;
+    this.vomma = greeks.vomma;
+    this.speed = greeks.speed;
+    
+    if (applyToOption) {
+      this.delta = greeks.delta;
+      this.gamma = greeks.gamma;
+      this.theta = greeks.theta;
+      this.vega = greeks.vega;
+      this.greeksSource = 'local';
+      this.lastUpdate = Date.now();
+    }
+  }
+
   /**
    * Atualiza o mark price
    */
@@ -112,9 +218,26 @@ class Option {
     if (tickerData.lastPrice !== undefined) {
       this.lastPrice = tickerData.lastPrice !== null ? parseFloat(tickerData.lastPrice) : null;
     }
+    if (tickerData.markIV !== undefined && tickerData.markIV > 0) {
+      this.markIV = parseFloat(tickerData.markIV);
+    }
     this.lastUpdate = Date.now();
   }
 
+  /**
+   * Acumula um trade no fluxo agressor
+   * @param {Object} trade - { quantity, side: 'BUY' | 'SELL' } (lado do taker)
+   */
+  updateTradeFlow(trade) {
+    const quantity = Math.abs(parseFloat(trade.quantity)) || 0;
+    if (trade.side === 'BUY') {
+      this.takerBuyVolume += quantity;
+    } else if (trade.side === 'SELL') {
+      this.takerSellVolume += quantity;
+    }
+    this.tradeCount++;
+  }
+
   /**
    * Verifica se a option está expirada
    */
@@ -135,6 +258,7 @@ class Option {
   toJSON() {
     return {
       symbol: this.symbol,
+      venue: this.venue,
       underlying: this.underlying,
       strike: this.strike,
       expiryDate: this.expiryDate,
@@ -146,11 +270,19 @@ class Option {
       gamma: this.gamma,
       theta: this.theta,
       vega: this.vega,
+      vanna: this.vanna,
+      charm: this.charm,
+      vomma: this.vomma,
+      speed: this.speed,
+      greeksSource: this.greeksSource,
       openInterest: this.openInterest,
       volume: this.volume,           // NOVO
       bidPrice: this.bidPrice,       // NOVO
       askPrice: this.askPrice,       // NOVO
       lastPrice: this.lastPrice,     // NOVO
+      takerBuyVolume: this.takerBuyVolume,
+      takerSellVolume: this.takerSellVolume,
+      tradeCount: this.tradeCount,
       lastUpdate: this.lastUpdate
     };
   }
@@ -0,0 +1,146 @@
+/**
+ * Leg Resolver
+ *
+ * Converte as legs abstratas de strategies.js (moneyness: 'ATM' | 'OTM',
+ * delta alvo) em options reais de um vencimento.
+ *
+ * - ATM: strike mais próximo do spot
+ * - OTM com delta: option OTM com delta mais próximo do alvo
+ * - Preço de entrada: BUY paga o ask, SELL recebe o bid (fallback: mark)
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class LegResolver {
+  constructor(config = {}) {
+    this.config = {
+      targetDTE: config.targetDTE || 7,   // vencimento alvo (dias)
+      minDTE: config.minDTE || 1          // ignorar vencimentos mais curtos
+    };
+  }
+
+  /**
+   * Escolhe o vencimento mais próximo do DTE alvo (respeitando o mínimo)
+   * @param {Array<Option>} options
+   * @param {number} now - Timestamp de referência (ms)
+   * @returns {string|null} - Chave YYYY-MM-DD
+   */
+  selectExpiry(options, now = Date.now()) {
+    const expiries = new Map();
+
+    options.forEach(option => {
+      const key = option.getExpiryKey();
+      if (!key || expiries.has(key)) return;
+
+      const dte = (option.getExpiryMs() - now) / MS_PER_DAY;
+      if (dte >= this.config.minDTE) {
+        expiries.set(key, dte);
+      }
+    });
+
+    let best = null;
+    expiries.forEach((dte, key) => {
+      if (!best || Math.abs(dte - this.config.targetDTE) < Math.abs(best.dte - this.config.targetDTE)) {
+        best = { key, dte };
+      }
+    });
+
+    return best ? best.key : null;
+  }
+
+  /**
+   * Resolve as legs de uma estratégia em options reais
+   * @param {Object} strategy - Estratégia de strategies.js
+   * @param {Array<Option>} options - Options de um único vencimento
+   * @param {number} spotPrice
+   * @returns {Array<Object>|null} - null se alguma leg não puder ser resolvida
+   */
+  resolveLegs(strategy, options, spotPrice) {
+    const legs = strategy.legs.map(leg => {
+      const candidates = options.filter(option => option.side === leg.type && option.markPrice > 0);
+      const option = leg.moneyness === 'ATM'
+        ? this.findATM(candidates, spotPrice)
+        : this.findOTM(candidates, spotPrice, leg.delta);
+
+      if (!option) return null;
+
+      return {
+        action: leg.action,
+        type: leg.type,
+        moneyness: leg.moneyness,
+        targetDelta: leg.delta !== undefined ? leg.delta : null,
+        symbol: option.symbol,
+        strike: option.strike,
+        expiryDate: option.expiryDate,
+        delta: option.delta,
+        gamma: option.gamma,
+        theta: option.theta,
+        vega: option.vega,
+        markIV: option.markIV,
+        markPrice: option.markPrice,
+        bidPrice: option.bidPrice,
+        askPrice: option.askPrice,
+        entryPrice: this.getEntryPrice(leg.action, option)
+      };
+    });
+
+    if (legs.some(leg => leg === null)) {
+      return null;
+    }
+
+    // Estrutura degenerada: mesma option comprada e vendida
+    const bought = new Set(legs.filter(leg => leg.action === 'BUY').map(leg => leg.symbol));
+    if (legs.some(leg => leg.action === 'SELL' && bought.has(leg.symbol))) {
+      return null;
+    }
+
+    return legs;
+  }
+
+  /**
+   * Strike mais próximo do spot
+   */
+  findATM(candidates, spotPrice) {
+    if (candidates.length === 0) return null;
+    return candidates.reduce((best, option) =>
+      Math.abs(option.strike - spotPrice) < Math.abs(best.strike - spotPrice) ? option : best
+    );
+  }
+
+  /**
+   * Option OTM com delta mais próximo do alvo
+   * Sem delta alvo, usa o primeiro strike OTM
+   */
+  findOTM(candidates, spotPrice, targetDelta) {
+    const otm = candidates.filter(option =>
+      option.side === 'CALL' ? option.strike > spotPrice : option.strike < spotPrice
+    );
+    if (otm.length === 0) return null;
+
+    if (targetDelta === undefined) {
+      return this.findATM(otm, spotPrice);
+    }
+
+    return otm.reduce((best, option) =>
+      Math.abs(option.delta - targetDelta) < Math.abs(best.delta - targetDelta) ? option : best
+    );
+  }
+
+  /**
+   * Preço para abrir a leg (BUY no ask, SELL no bid)
+   */
+  getEntryPrice(action, option) {
+    const price = action === 'BUY' ? option.askPrice : option.bidPrice;
+    return price > 0 ? price : option.markPrice;
+  }
+
+  /**
+   * Preço para fechar a leg (BUY sai no bid, SELL recompra no ask)
+   */
+  getExitPrice(action, option) {
+    const price = action === 'BUY' ? option.bidPrice : option.askPrice;
+    return price > 0 ? price : option.markPrice;
+  }
+}
+
+module.exports = LegResolver;
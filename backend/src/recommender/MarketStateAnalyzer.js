@@ -5,6 +5,17 @@
  * de opções são mais adequadas.
  */
 
+// Risk reversal 25Δ mínimo (2 pontos de vol) para considerar skew significativo
+const RR_SKEW_THRESHOLD = 0.02;
+
+// IV Rank (0-100): abaixo de 30 = vol barata, acima de 70 = vol cara
+const IV_RANK_LOW = 30;
+const IV_RANK_HIGH = 70;
+
+// Prêmio de risco (IV − RV): negativo = barata, acima de 10 pontos de vol = cara
+const VRP_LOW = 0;
+const VRP_HIGH = 0.10;
+
 class MarketStateAnalyzer {
   constructor(marketData, volData, anomalies) {
     this.marketData = marketData;
@@ -37,9 +48,25 @@ class MarketStateAnalyzer {
   
   /**
    * Analisa o nível de volatilidade implícita
-   * Calcula IV Rank baseado no histórico
+   * 1. IV Rank do ATM 30d contra o histórico persistido (estrutura a termo)
+   * 2. Sem histórico suficiente: prêmio de risco (IV − vol realizada)
+   * 3. Sem nenhum dos dois: thresholds fixos da IV média
    */
   analyzeVolatility() {
+    const ivRank = this.marketData.iv_rank;
+    if (Number.isFinite(ivRank)) {
+      if (ivRank < IV_RANK_LOW) return 'LOW';
+      if (ivRank > IV_RANK_HIGH) return 'HIGH';
+      return 'MEDIUM';
+    }
+
+    const premium = this.marketData.vol_risk_premium;
+    if (Number.isFinite(premium)) {
+      if (premium < VRP_LOW) return 'LOW';     // options baratas vs realizado
+      if (premium > VRP_HIGH) return 'HIGH';   // options caras vs realizado
+      return 'MEDIUM';
+    }
+
     if (!this.volData || !this.volData.length) {
       return 'MEDIUM';
     }
@@ -47,8 +74,6 @@ class MarketStateAnalyzer {
     // Calcular IV médio atual
     const currentIV = this.volData.reduce((sum, point) => sum + point.avgIV, 0) / this.volData.length;
     
-    // Para simplificar, vamos usar thresholds fixos
-    // Em produção, você calcularia IV Rank baseado em histórico de 30-60 dias
     if (currentIV < 0.5) return 'LOW';      // IV < 50%
     if (currentIV < 0.8) return 'MEDIUM';   // IV 50-80%
     return 'HIGH';                          // IV > 80%
@@ -56,8 +81,18 @@ class MarketStateAnalyzer {
   
   /**
    * Analisa o skew de volatilidade (Put Skew vs Call Skew)
+   * Usa o risk reversal 25Δ de 30 dias (estrutura a termo) quando disponível;
+   * senão, a média de IV de puts vs calls
    */
   analyzeSkew() {
+    const rr25d = this.marketData.rr_25d;
+    if (Number.isFinite(rr25d)) {
+      // RR = call − put: negativo = puts mais caras
+      if (rr25d < -RR_SKEW_THRESHOLD) return 'PUT_SKEW';
+      if (rr25d > RR_SKEW_THRESHOLD) return 'CALL_SKEW';
+      return 'FLAT';
+    }
+
     if (!this.volData || !this.volData.length) {
       return 'FLAT';
     }
@@ -0,0 +1,166 @@
+/**
+ * Strategy Builder
+ *
+ * Monta a estrutura negociável de uma estratégia de strategies.js:
+ * resolve as legs em options reais de um vencimento (LegResolver) e calcula
+ * prêmio líquido, risco/retorno, breakevens, gregas agregadas e a curva de
+ * payoff no vencimento.
+ *
+ * CONVENÇÕES:
+ * - netPremium > 0 = crédito recebido, < 0 = débito pago
+ * - maxProfit / maxLoss em valor absoluto; null = ilimitado
+ * - Gregas agregadas: BUY soma, SELL subtrai (× quantity)
+ */
+
+const LegResolver = require('./LegResolver');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class StrategyBuilder {
+  constructor(config = {}) {
+    this.config = {
+      targetDTE: config.targetDTE || 7,
+      minDTE: config.minDTE || 1,
+      quantity: config.quantity || 1,
+      payoffRange: config.payoffRange || 0.3,  // curva de payoff: ±30% do spot
+      payoffSteps: config.payoffSteps || 101
+    };
+
+    this.legResolver = new LegResolver({
+      targetDTE: this.config.targetDTE,
+      minDTE: this.config.minDTE
+    });
+  }
+
+  /**
+   * Monta a estrutura da estratégia
+   * @param {Object} strategy - Estratégia de strategies.js
+   * @param {Array<Option>} options - Options do DataCollector (todos os vencimentos)
+   * @param {number} spotPrice
+   * @param {Object} params - { expiry: 'YYYY-MM-DD' (opcional), now }
+   * @returns {Object|null} - null se não houver vencimento ou legs
+   */
+  build(strategy, options, spotPrice, params = {}) {
+    const now = params.now || Date.now();
+    const expiry = params.expiry || this.legResolver.selectExpiry(options, now);
+    if (!expiry || !(spotPrice > 0)) return null;
+
+    const chain = options.filter(option => option.getExpiryKey() === expiry);
+    const resolved = this.legResolver.resolveLegs(strategy, chain, spotPrice);
+    if (!resolved) return null;
+
+    const quantity = this.config.quantity;
+    const legs = resolved.map(leg => ({
+      ...leg,
+      quantity: quantity,
+      sign: leg.action === 'BUY' ? 1 : -1
+    }));
+
+    // Fluxo de caixa na montagem: SELL recebe o bid, BUY paga o ask
+    const netPremium = legs.reduce((sum, leg) => sum - leg.sign * leg.entryPrice * leg.quantity, 0);
+    const analysis = this.analyzePayoff(legs, netPremium);
+    const expiryDate = new Date(legs[0].expiryDate);
+
+    return {
+      strategyId: strategy.id,
+      expiry: expiry,
+      expiryDate: expiryDate,
+      dte: (expiryDate.getTime() - now) / MS_PER_DAY,
+      spotPrice: spotPrice,
+      quantity: quantity,
+      legs: legs.map(({ sign, ...leg }) => leg),
+      netPremium: netPremium,
+      premiumType: netPremium >= 0 ? 'CREDIT' : 'DEBIT',
+      maxProfit: analysis.maxProfit,
+      maxLoss: analysis.maxLoss,
+      riskReward: analysis.maxProfit !== null && analysis.maxLoss !== null && analysis.maxLoss > 0
+        ? analysis.maxProfit / analysis.maxLoss
+        : null,
+      breakevens: analysis.breakevens,
+      greeks: this.aggregateGreeks(legs),
+      payoff: this.buildPayoffCurve(legs, netPremium, spotPrice)
+    };
+  }
+
+  /**
+   * P&L no vencimento para um preço do underlying
+   */
+  payoffAt(legs, netPremium, price) {
+    return legs.reduce((pnl, leg) => {
+      const intrinsic = leg.type === 'CALL'
+        ? Math.max(0, price - leg.strike)
+        : Math.max(0, leg.strike - price);
+      return pnl + leg.sign * intrinsic * leg.quantity;
+    }, netPremium);
+  }
+
+  /**
+   * Máximos e breakevens do payoff (linear por partes entre os strikes)
+   */
+  analyzePayoff(legs, netPremium) {
+    const strikes = [...new Set(legs.map(leg => leg.strike))].sort((a, b) => a - b);
+    const points = [0, ...strikes];
+    const values = points.map(price => this.payoffAt(legs, netPremium, price));
+
+    // Inclinação acima do maior strike: só as calls contribuem
+    const upperSlope = legs
+      .filter(leg => leg.type === 'CALL')
+      .reduce((sum, leg) => sum + leg.sign * leg.quantity, 0);
+
+    const best = Math.max(...values);
+    const worst = Math.min(...values);
+
+    // Breakevens: cruzamentos de zero em cada segmento
+    const breakevens = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const [p1, p2] = [points[i], points[i + 1]];
+      const [v1, v2] = [values[i], values[i + 1]];
+      if (v2 === 0) {
+        breakevens.push(p2);
+      } else if (v1 * v2 < 0) {
+        breakevens.push(p1 + (p2 - p1) * (-v1 / (v2 - v1)));
+      }
+    }
+
+    const lastPrice = points[points.length - 1];
+    const lastValue = values[values.length - 1];
+    if (upperSlope !== 0 && lastValue !== 0 && Math.sign(lastValue) !== Math.sign(upperSlope)) {
+      breakevens.push(lastPrice - lastValue / upperSlope);
+    }
+
+    return {
+      maxProfit: upperSlope > 0 ? null : Math.max(0, best),
+      maxLoss: upperSlope < 0 ? null : Math.max(0, -worst),
+      breakevens: breakevens
+    };
+  }
+
+  /**
+   * Gregas da posição (soma das legs com sinal)
+   */
+  aggregateGreeks(legs) {
+    return ['delta', 'gamma', 'theta', 'vega'].reduce((acc, greek) => {
+      acc[greek] = legs.reduce((sum, leg) => sum + leg.sign * (leg[greek] || 0) * leg.quantity, 0);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Curva de payoff no vencimento para gráfico
+   * @returns {Array<{price, pnl}>}
+   */
+  buildPayoffCurve(legs, netPremium, spotPrice) {
+    const { payoffRange, payoffSteps } = this.config;
+    const minPrice = spotPrice * (1 - payoffRange);
+    const step = (spotPrice * payoffRange * 2) / (payoffSteps - 1);
+
+    const curve = [];
+    for (let i = 0; i < payoffSteps; i++) {
+      const price = minPrice + step * i;
+      curve.push({ price: price, pnl: this.payoffAt(legs, netPremium, price) });
+    }
+    return curve;
+  }
+}
+
+module.exports = StrategyBuilder;
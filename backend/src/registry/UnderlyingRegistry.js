@@ -0,0 +1,182 @@
+/**
+ * UnderlyingRegistry - Registro de underlyings monitorados
+ *
+ * Cada underlying (BTC, ETH, ...) tem seu próprio pipeline:
+ * - DataCollector (options, spot, OI, liquidações, order book, escape detector)
+ *   ou ReplayDataCollector (sessão passada lida do banco)
+ * - GEXCalculator
+ * - assetId (tabela assets) para persistência
+ *
+ * Um único GammaTracker/APIServer atende todos os underlyings registrados.
+ */
+
+const EventEmitter = require('events');
+const DataCollector = require('../collectors/DataCollector');
+const ReplayDataCollector = require('../collectors/ReplayDataCollector');
+const GEXCalculator = require('../calculators/GEXCalculator');
+const Logger = require('../utils/logger');
+
+class UnderlyingRegistry extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.config = {
+      defaultUnderlying: UnderlyingRegistry.normalize(
+        config.defaultUnderlying || process.env.DEFAULT_UNDERLYING || 'BTC'
+      ),
+      collectorConfig: config.collectorConfig || {}
+    };
+
+    this.logger = new Logger('UnderlyingRegistry');
+
+    // underlying -> pipeline
+    this.pipelines = new Map();
+  }
+
+  /**
+   * Normaliza o símbolo do underlying ("eth" -> "ETH")
+   */
+  static normalize(underlying) {
+    return String(underlying || '').trim().toUpperCase();
+  }
+
+  /**
+   * Converte lista separada por vírgula ("BTC,ETH") em array normalizado
+   */
+  static parseList(value) {
+    if (!value) return [];
+
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(list.map(UnderlyingRegistry.normalize).filter(Boolean))];
+  }
+
+  /**
+   * Registra um underlying e cria seu pipeline (sem iniciar a coleta)
+   */
+  register(underlying) {
+    const symbol = UnderlyingRegistry.normalize(underlying);
+
+    if (!symbol) {
+      throw new Error('Underlying inválido');
+    }
+
+    if (this.pipelines.has(symbol)) {
+      return this.pipelines.get(symbol);
+    }
+
+    // collectorConfig.replay => reproduz snapshots do banco em vez de conectar na Binance
+    const collectorConfig = { ...this.config.collectorConfig, underlying: symbol };
+    const dataCollector = collectorConfig.replay
+      ? new ReplayDataCollector(collectorConfig)
+      : new DataCollector(collectorConfig);
+    const gexCalculator = new GEXCalculator(0, { now: () => dataCollector.getCurrentTime() });
+
+    // Manter o GEXCalculator do pipeline alinhado com o spot do underlying
+    dataCollector.on('spot-price-updated', (data) => {
+      gexCalculator.setSpotPrice(data.price);
+    });
+
+    const pipeline = {
+      underlying: symbol,
+      dataCollector,
+      gexCalculator,
+      assetId: null,
+      started: false
+    };
+
+    this.pipelines.set(symbol, pipeline);
+    this.logger.info(`Underlying registrado: ${symbol}`);
+    this.emit('registered', pipeline);
+
+    return pipeline;
+  }
+
+  /**
+   * Inicia a coleta de todos os pipelines.
+   * Um underlying que falha é removido; só lança erro se nenhum iniciar.
+   */
+  async startAll() {
+    for (const pipeline of this.list()) {
+      try {
+        await pipeline.dataCollector.start();
+        pipeline.started = true;
+        this.logger.success(`Pipeline ${pipeline.underlying} iniciado`);
+      } catch (error) {
+        this.logger.error(`Erro ao iniciar pipeline ${pipeline.underlying}`, error);
+        pipeline.dataCollector.stop();
+        this.pipelines.delete(pipeline.underlying);
+      }
+    }
+
+    if (this.pipelines.size === 0) {
+      throw new Error('Nenhum underlying pôde ser iniciado');
+    }
+
+    if (!this.pipelines.has(this.config.defaultUnderlying)) {
+      const fallback = this.list()[0].underlying;
+      this.logger.warn(`Underlying padrão ${this.config.defaultUnderlying} indisponível, usando ${fallback}`);
+      this.config.defaultUnderlying = fallback;
+    }
+  }
+
+  /**
+   * Para a coleta de todos os pipelines
+   */
+  stopAll() {
+    this.pipelines.forEach(pipeline => {
+      pipeline.dataCollector.stop();
+      pipeline.started = false;
+    });
+  }
+
+  has(underlying) {
+    return this.pipelines.has(UnderlyingRegistry.normalize(underlying));
+  }
+
+  get(underlying) {
+    return this.pipelines.get(UnderlyingRegistry.normalize(underlying)) || null;
+  }
+
+  getDefault() {
+    return this.get(this.config.defaultUnderlying);
+  }
+
+  /**
+   * Resolve o pipeline de um request: sem underlying -> padrão,
+   * underlying desconhecido -> null
+   */
+  resolve(underlying) {
+    if (!underlying) {
+      return this.getDefault();
+    }
+    return this.get(underlying);
+  }
+
+  list() {
+    return Array.from(this.pipelines.values());
+  }
+
+  getUnderlyings() {
+    return Array.from(this.pipelines.keys());
+  }
+
+  /**
+   * Resumo de cada pipeline (para /api/underlyings e status)
+   */
+  getSummary() {
+    return this.list().map(pipeline => {
+      const stats = pipeline.dataCollector.getStats();
+      return {
+        underlying: pipeline.underlying,
+        isDefault: pipeline.underlying === this.config.defaultUnderlying,
+        started: pipeline.started,
+        assetId: pipeline.assetId,
+        spotPrice: stats.spotPrice,
+        totalOptions: stats.totalOptions,
+        validOptions: stats.validOptions
+      };
+    });
+  }
+}
+
+module.exports = UnderlyingRegistry;
@@ -0,0 +1,973 @@
+/**
+ * MarketSimulator - Mercado sintético de um underlying
+ *
+ * Gera um caminho estocástico para o spot (GBM com drift do cenário) e, a
+ * partir dele, uma chain de options coerente: IV com termo/skew/smile,
+ * preço e gregas por Black-Scholes, OI concentrado em call/put walls.
+ * Também mantém o book de futuros (diff stream), trades, liquidações e o
+ * posicionamento dos perpétuos (funding, basis, OI, long/short).
+ *
+ * Eventos: 'message' (stream, payload) no formato dos streams da Binance
+ * - <UNDERLYING>@markPrice / @ticker / @trade      (options, eoptions)
+ * - <symbol>@ticker / @trade                        (spot)
+ * - <symbol>@depth@100ms / @forceOrder / @markPrice@1s (futuros)
+ * - 'scenario-changed' (status)
+ *
+ * Tempo real (Date.now()), como os coletores esperam.
+ */
+
+const EventEmitter = require('events');
+const BlackScholes = require('../calculators/BlackScholes');
+const { createRandom } = require('../utils/random');
+const { SCENARIOS, DEFAULT_SCENARIO, getScenario } = require('./scenarios');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const FUTURES_PERIOD = 5 * 60 * 1000;       // séries de OI e long/short (period=5m)
+const FUNDING_PERIOD = 8 * 60 * 60 * 1000;  // funding a cada 8h
+
+// Posicionamento base dos perpétuos (cenário 'calm')
+const BASE_FUNDING = 0.0001;  // 0.01% por 8h
+const BASE_BASIS = 0.0001;    // mark 0.01% acima do index
+const BASE_CROWDING = 0.15;   // ln(long/short): ~1.16 contas compradas por vendida
+
+// Spot inicial por underlying (demais: config.spot ou 100)
+const DEFAULT_SPOTS = { BTC: 100000, ETH: 3500, SOL: 150, BNB: 650, XRP: 2.5, DOGE: 0.3 };
+
+/**
+ * Passo "redondo" (1, 2, 5 × 10^n) mais próximo do valor
+ */
+function niceStep(value) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const normalized = value / magnitude;
+  const step = normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10;
+  return step * magnitude;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+class MarketSimulator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    const underlying = String(config.underlying || 'BTC').toUpperCase();
+    const spot = parseFloat(config.spot) || DEFAULT_SPOTS[underlying] || 100;
+
+    this.config = {
+      underlying: underlying,
+      spot: spot,
+      vol: config.vol || 0.5,                     // vol realizada anual do spot
+      baseIV: config.baseIV || 0.5,               // IV ATM de 30 dias
+      skew: config.skew !== undefined ? config.skew : 0.08,
+      smile: config.smile !== undefined ? config.smile : 0.04,
+      termSlope: config.termSlope || 0.1,
+      strikeRange: config.strikeRange || 0.3,     // strikes em ±30% do spot
+      strikeStep: config.strikeStep || niceStep(spot * 0.01),
+      expiryDays: config.expiryDays || [1, 2, 3, 7, 14, 28, 56, 84],
+      wallDistance: config.wallDistance || 0.05,  // call/put wall a ±5% do spot
+      oiPerStrike: config.oiPerStrike || 2000000 / spot, // contratos ATM por vencimento
+      tickInterval: config.tickInterval || 100,   // book de futuros (depth@100ms)
+      streamInterval: config.streamInterval || 1000, // markPrice, ticker
+      tradeRate: config.tradeRate || 8,           // trades spot por segundo
+      optionTradeRate: config.optionTradeRate || 0.5,
+      bookLevelUsd: config.bookLevelUsd || 150000,
+      bookRange: config.bookRange || 0.06,        // book de futuros em ±6% do spot
+      futuresOiUsd: config.futuresOiUsd || 5e9,   // OI inicial dos perpétuos (USD)
+      smoothing: config.smoothing || 10000        // ms para IV/book convergirem ao cenário
+    };
+
+    this.random = createRandom(config.seed);
+    this.symbol = `${underlying}USDT`;
+    this.stream = this.symbol.toLowerCase();
+
+    // Spot
+    this.spot = spot;
+    this.high = spot;
+    this.low = spot;
+    this.spotVolume = 0;
+    this.tradeId = 0;
+    this.updateId = 0;
+    this.book = { bids: new Map(), asks: new Map() }; // price (string) -> qty (string)
+
+    // Estado suavizado do cenário
+    this.state = {
+      ivShift: 0, skewShift: 0, imbalance: 0, askWall: 0, bidWall: 0,
+      funding: 0, basis: 0, oiGrowth: 0, crowding: 0, optionFlow: 0
+    };
+
+    // Chain
+    this.instruments = this.buildChain(Date.now());
+    this.optionStats = new Map(); // symbol -> { volume, lastPrice, tradeCount }
+
+    // Cenário
+    this.scenario = null;
+    this.scenarioStart = 0;
+    this.phaseIndex = -1;
+    this.drift = 0; // log-retorno por segundo
+
+    this.lastTick = Date.now();
+    this.tickTimer = null;
+    this.streamTimer = null;
+
+    this.setScenario(config.scenario || DEFAULT_SCENARIO);
+
+    // Book inicial (snapshot REST disponível antes do primeiro tick)
+    this.updateBook(Date.now());
+
+    // Perpétuos: OI em contratos e séries passadas (variações 1h/4h desde o início)
+    this.futuresOI = this.config.futuresOiUsd / spot;
+    this.futuresHistory = []; // [{ time, openInterest, longShort, topLongShort }]
+    this.fundingHistory = []; // [{ time, rate, markPrice }]
+    this.seedFuturesHistory(Date.now());
+  }
+
+  /**
+   * ========================================================================
+   * CHAIN
+   * ========================================================================
+   */
+
+  /**
+   * Vencimentos (08:00 UTC) × strikes em ±strikeRange, com OI por strike
+   */
+  buildChain(now) {
+    const { strikeStep, strikeRange, expiryDays, wallDistance, oiPerStrike } = this.config;
+    const spot = this.spot;
+
+    const today = new Date(now);
+    const firstExpiry = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), 8);
+    const expiries = expiryDays.map(days => firstExpiry + days * MS_PER_DAY);
+
+    const minStrike = Math.ceil(spot * (1 - strikeRange) / strikeStep) * strikeStep;
+    const maxStrike = Math.floor(spot * (1 + strikeRange) / strikeStep) * strikeStep;
+    const strikes = [];
+    for (let strike = minStrike; strike <= maxStrike + strikeStep / 2; strike += strikeStep) {
+      strikes.push(parseFloat(strike.toPrecision(12)));
+    }
+
+    // Walls em strikes "redondos" (5 passos)
+    const roundStep = strikeStep * 5;
+    this.levels = {
+      callWall: parseFloat((Math.round(spot * (1 + wallDistance) / roundStep) * roundStep).toPrecision(12)),
+      putWall: parseFloat((Math.round(spot * (1 - wallDistance) / roundStep) * roundStep).toPrecision(12))
+    };
+
+    const instruments = [];
+    expiries.forEach((expiry, index) => {
+      const termWeight = index >= 5 ? 1.5 : 1 / (1 + 0.15 * index); // mensais concentram OI
+      const code = this.formatExpiry(expiry);
+
+      strikes.forEach(strike => {
+        ['CALL', 'PUT'].forEach(side => {
+          const distance = strike / spot - 1;
+          let oi = oiPerStrike * termWeight * Math.exp(-Math.pow(distance / 0.12, 2));
+
+          // OTM concentra o OI de cada lado
+          if ((side === 'CALL' && strike < spot) || (side === 'PUT' && strike > spot)) oi *= 0.4;
+          if ((side === 'CALL' && strike === this.levels.callWall) ||
+              (side === 'PUT' && strike === this.levels.putWall)) oi *= 6;
+
+          instruments.push({
+            symbol: `${this.config.underlying}-${code}-${strike}-${side === 'CALL' ? 'C' : 'P'}`,
+            strike: strike,
+            side: side,
+            expiryDate: expiry,
+            openInterest: oi * (0.7 + 0.6 * this.random())
+          });
+        });
+      });
+    });
+
+    return instruments;
+  }
+
+  /**
+   * YYMMDD (UTC), como nos símbolos e no /openInterest da Binance
+   */
+  formatExpiry(time) {
+    const date = new Date(time);
+    return `${String(date.getUTCFullYear()).slice(-2)}${String(date.getUTCMonth() + 1).padStart(2, '0')}${String(date.getUTCDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * IV por strike e prazo: termo + choque de curto prazo + skew + smile
+   */
+  getIV(strike, t) {
+    const { baseIV, termSlope, skew, smile } = this.config;
+    const years = Math.max(t, 1 / 365);
+    const moneyness = clamp(Math.log(strike / this.spot) / Math.sqrt(years), -2.5, 2.5); // asas achatadas
+    const front = Math.exp(-years * 365 / 30); // choques concentrados no curto prazo
+
+    const atm = baseIV * (1 + termSlope * (Math.sqrt(years) - Math.sqrt(30 / 365))) + this.state.ivShift * front;
+    const iv = atm - (skew + this.state.skewShift * front) * moneyness + smile * moneyness * moneyness;
+    return clamp(iv, 0.05, 3);
+  }
+
+  /**
+   * Preço, IV, gregas e bid/ask de uma option agora
+   */
+  quote(instrument, now = Date.now()) {
+    const t = BlackScholes.yearsToExpiry(instrument.expiryDate, now);
+    const iv = this.getIV(instrument.strike, t);
+    const greeks = BlackScholes.greeks(instrument.side, this.spot, instrument.strike, t, iv);
+
+    const tick = this.spot * 0.00005;
+    const markPrice = Math.max(greeks.price, tick);
+    const halfSpread = Math.max(tick, markPrice * 0.01);
+
+    return {
+      markPrice: markPrice,
+      markIV: iv,
+      bidPrice: markPrice - halfSpread > tick ? markPrice - halfSpread : 0,
+      askPrice: markPrice + halfSpread,
+      delta: greeks.delta,
+      gamma: greeks.gamma,
+      theta: greeks.theta,
+      vega: greeks.vega
+    };
+  }
+
+  /**
+   * ========================================================================
+   * CENÁRIOS
+   * ========================================================================
+   */
+
+  setScenario(id) {
+    const scenario = getScenario(id);
+    if (!scenario) {
+      throw new Error(`Cenário '${id}' inválido. Use: ${SCENARIOS.map(item => item.id).join(', ')}`);
+    }
+
+    this.scenario = scenario;
+    this.scenarioStart = Date.now();
+    this.phaseIndex = -1;
+    this.enterPhase(0);
+
+    this.emit('scenario-changed', this.getStatus());
+    return this.getStatus();
+  }
+
+  /**
+   * Progresso do cenário: troca de fase e volta ao 'calm' no fim
+   */
+  updateScenario(now) {
+    const { duration, phases } = this.scenario;
+    if (!duration) return phases[0];
+
+    const progress = (now - this.scenarioStart) / duration;
+    if (progress >= 1) {
+      this.setScenario(DEFAULT_SCENARIO);
+      return this.scenario.phases[0];
+    }
+
+    const index = phases.findIndex(phase => progress < phase.until);
+    if (index !== this.phaseIndex) {
+      this.enterPhase(index);
+    }
+    return phases[this.phaseIndex];
+  }
+
+  /**
+   * Drift da fase: variação alvo distribuída pela duração da fase
+   */
+  enterPhase(index) {
+    const { duration, phases } = this.scenario;
+    const phase = phases[index];
+    this.phaseIndex = index;
+
+    if (!duration) {
+      this.drift = 0;
+      return;
+    }
+
+    const seconds = (phase.until - (index > 0 ? phases[index - 1].until : 0)) * duration / 1000;
+    let move = phase.move || 0;
+
+    if (phase.moveTo) {
+      const level = this.levels[phase.moveTo.level] || this.spot;
+      move = level * (1 + (phase.moveTo.offset || 0)) / this.spot - 1;
+    }
+
+    this.drift = Math.log(1 + move) / seconds;
+  }
+
+  /**
+   * ========================================================================
+   * LOOP
+   * ========================================================================
+   */
+
+  start() {
+    this.lastTick = Date.now();
+    this.tickTimer = setInterval(() => this.tick(), this.config.tickInterval);
+    this.streamTimer = setInterval(() => this.publishStreams(), this.config.streamInterval);
+  }
+
+  stop() {
+    clearInterval(this.tickTimer);
+    clearInterval(this.streamTimer);
+    this.tickTimer = null;
+    this.streamTimer = null;
+  }
+
+  /**
+   * Avança o mercado: spot, estado do cenário, book, trades e liquidações
+   */
+  tick(now = Date.now()) {
+    const seconds = Math.max(0, (now - this.lastTick) / 1000);
+    this.lastTick = now;
+
+    const phase = this.updateScenario(now);
+
+    // Spot: GBM com drift do cenário
+    const sigma = this.config.vol * (phase.vol || 1);
+    const shock = sigma * Math.sqrt(seconds / SECONDS_PER_YEAR) * this.gaussian();
+    this.spot *= Math.exp(this.drift * seconds + shock);
+    this.high = Math.max(this.high, this.spot);
+    this.low = Math.min(this.low, this.spot);
+
+    // IV, skew e book convergem suavemente para a fase
+    const k = 1 - Math.exp(-seconds * 1000 / this.config.smoothing);
+    Object.keys(this.state).forEach(key => {
+      this.state[key] += ((phase[key] || 0) - this.state[key]) * k;
+    });
+
+    const depth = this.updateBook(now);
+    if (depth) {
+      this.publish(`${this.stream}@depth@100ms`, depth);
+    }
+
+    const tradeRate = phase.tradeRate || 1;
+    for (let i = this.poisson(this.config.tradeRate * tradeRate * seconds); i > 0; i--) {
+      this.publish(`${this.stream}@trade`, this.buildSpotTrade(now));
+    }
+
+    for (let i = this.poisson(this.config.optionTradeRate * tradeRate * seconds); i > 0; i--) {
+      this.publish(`${this.config.underlying}@trade`, this.buildOptionTrade(now));
+    }
+
+    const liquidations = phase.liquidations;
+    if (liquidations) {
+      for (let i = this.poisson(liquidations.rate * seconds); i > 0; i--) {
+        this.publish(`${this.stream}@forceOrder`, this.buildLiquidation(now, liquidations));
+      }
+    }
+
+    // OI dos perpétuos: crescimento do cenário (por hora) + ruído
+    this.futuresOI *= Math.exp(this.state.oiGrowth * seconds / 3600 + 0.0005 * Math.sqrt(seconds) * this.gaussian());
+    this.updateFuturesHistory(now);
+  }
+
+  /**
+   * Streams de 1s: ticker spot, mark price e ticker das options
+   */
+  publishStreams(now = Date.now()) {
+    this.publish(`${this.stream}@ticker`, this.buildSpotTicker(now));
+    this.publish(`${this.stream}@markPrice@1s`, this.buildFuturesMarkPrice(now));
+
+    const quotes = this.instruments.map(instrument => ({ instrument, quote: this.quote(instrument, now) }));
+    const u = this.config.underlying;
+
+    this.publish(`${u}@markPrice`, quotes.map(({ instrument, quote }) => ({
+      e: 'markPrice',
+      E: now,
+      s: instrument.symbol,
+      mp: quote.markPrice.toFixed(2)
+    })));
+
+    this.publish(`${u}@ticker`, quotes.map(({ instrument, quote }) => {
+      const stats = this.getOptionStats(instrument.symbol);
+      return {
+        e: '24hrTicker',
+        E: now,
+        s: instrument.symbol,
+        c: stats.lastPrice ? stats.lastPrice.toFixed(2) : '',
+        v: stats.volume.toFixed(2),
+        b: quote.bidPrice ? quote.bidPrice.toFixed(2) : '',
+        a: quote.askPrice.toFixed(2),
+        vo: quote.markIV.toFixed(4),
+        n: stats.tradeCount
+      };
+    }));
+  }
+
+  publish(stream, payload) {
+    this.emit('message', stream, payload);
+  }
+
+  /**
+   * ========================================================================
+   * MENSAGENS (formato Binance)
+   * ========================================================================
+   */
+
+  /**
+   * Book de futuros (diff stream @depth): níveis densos perto do mid e
+   * esparsos até ±bookRange; paredes do cenário nos níveis da chain.
+   * Só parte dos níveis muda a cada tick, como num book real.
+   * @returns {object|null} depthUpdate com as mudanças (null se nada mudou)
+   */
+  updateBook(now) {
+    const { tick, decimals } = this.getBookTick();
+    const bidWeight = clamp(1 + this.state.imbalance, 0.1, 2);
+    const askWeight = clamp(1 - this.state.imbalance, 0.1, 2);
+    const walls = this.getBookWalls(tick);
+    const levels = this.getBookPrices(tick);
+    const changes = { bids: [], asks: [] };
+
+    ['bids', 'asks'].forEach(side => {
+      const book = this.book[side];
+      const weight = side === 'bids' ? bidWeight : askWeight;
+      const wall = side === 'bids' ? walls.bid : walls.ask;
+      const target = new Map(levels[side].map(level => [level.price.toFixed(decimals), level]));
+      if (wall && !target.has(wall.price.toFixed(decimals))) {
+        target.set(wall.price.toFixed(decimals), { price: wall.price, scale: 4 });
+      }
+
+      // Níveis que saíram da faixa (ou cruzaram o mid)
+      for (const price of book.keys()) {
+        if (!target.has(price)) {
+          book.delete(price);
+          changes[side].push([price, '0']);
+        }
+      }
+
+      target.forEach((level, price) => {
+        const isWall = wall && price === wall.price.toFixed(decimals);
+        if (book.has(price) && !isWall && this.random() > 0.15) return;
+
+        let size = this.config.bookLevelUsd / this.spot * weight * (0.5 + this.random()) * level.scale;
+        if (isWall) size += this.config.bookLevelUsd / this.spot * wall.size * level.scale;
+
+        const qty = size.toFixed(3);
+        if (book.get(price) === qty) return;
+        book.set(price, qty);
+        changes[side].push([price, qty]);
+      });
+    });
+
+    const count = changes.bids.length + changes.asks.length;
+    if (count === 0) return null;
+
+    const previous = this.updateId;
+    this.updateId += count;
+
+    return {
+      e: 'depthUpdate',
+      E: now,
+      T: now,
+      s: this.symbol,
+      U: previous + 1,
+      u: this.updateId,
+      pu: previous,
+      b: changes.bids,
+      a: changes.asks
+    };
+  }
+
+  /**
+   * Tick de preço do book (~0.002% do spot) e casas decimais
+   */
+  getBookTick() {
+    const tick = niceStep(this.spot * 0.00002);
+    return { tick, decimals: Math.max(0, -Math.floor(Math.log10(tick))) };
+  }
+
+  /**
+   * Preços do book: 50 níveis no tick, depois passos de 0.1% até ±bookRange
+   */
+  getBookPrices(tick) {
+    const coarse = niceStep(this.spot * 0.001);
+    const range = this.spot * this.config.bookRange;
+    const bids = [];
+    const asks = [];
+
+    const bestBid = Math.floor(this.spot / tick) * tick;
+    const bestAsk = bestBid + tick;
+    for (let i = 0; i < 50; i++) {
+      bids.push({ price: bestBid - tick * i, scale: 1 + 0.05 * i });
+      asks.push({ price: bestAsk + tick * i, scale: 1 + 0.05 * i });
+    }
+
+    const farBid = Math.floor((bestBid - tick * 50) / coarse) * coarse;
+    const farAsk = Math.ceil((bestAsk + tick * 50) / coarse) * coarse;
+    for (let price = farBid; price > this.spot - range; price -= coarse) {
+      bids.push({ price, scale: 4 });
+    }
+    for (let price = farAsk; price < this.spot + range; price += coarse) {
+      asks.push({ price, scale: 4 });
+    }
+
+    return { bids, asks };
+  }
+
+  /**
+   * Paredes do cenário: asks na call wall acima do spot, bids na put wall
+   * (ou na call wall rompida, que vira suporte)
+   */
+  getBookWalls(tick) {
+    const snap = price => Math.round(price / tick) * tick;
+    const { callWall, putWall } = this.levels;
+    const { askWall, bidWall } = this.state;
+
+    const askPrice = callWall > this.spot ? callWall : this.spot * 1.005;
+    const bidPrice = callWall < this.spot ? callWall : putWall < this.spot ? putWall : this.spot * 0.995;
+
+    return {
+      ask: askWall > 1 && askPrice < this.spot * (1 + this.config.bookRange) ? { price: snap(askPrice), size: askWall } : null,
+      bid: bidWall > 1 && bidPrice > this.spot * (1 - this.config.bookRange) ? { price: snap(bidPrice), size: bidWall } : null
+    };
+  }
+
+  /**
+   * Snapshot REST do book de futuros (/fapi/v1/depth)
+   */
+  getFuturesDepth(limit = 1000, now = Date.now()) {
+    const sorted = (book, direction) => Array.from(book.entries())
+      .sort((a, b) => direction * (parseFloat(a[0]) - parseFloat(b[0])))
+      .slice(0, limit);
+
+    return {
+      lastUpdateId: this.updateId,
+      E: now,
+      T: now,
+      bids: sorted(this.book.bids, -1),
+      asks: sorted(this.book.asks, 1)
+    };
+  }
+
+  /**
+   * ========================================================================
+   * PERPÉTUOS (funding, basis, OI, long/short)
+   * ========================================================================
+   */
+
+  getFundingRate() {
+    return BASE_FUNDING + this.state.funding;
+  }
+
+  getFuturesMarkPrice() {
+    return this.spot * (1 + BASE_BASIS + this.state.basis);
+  }
+
+  /**
+   * Long/short account ratio (top traders menos lotados que o varejo)
+   */
+  getLongShortRatio(top = false) {
+    return Math.exp((BASE_CROWDING + this.state.crowding) * (top ? 0.6 : 1));
+  }
+
+  getNextFundingTime(now) {
+    return (Math.floor(now / FUNDING_PERIOD) + 1) * FUNDING_PERIOD;
+  }
+
+  /**
+   * 48 pontos de 5m (4h) de OI/long-short e 30 fundings passados
+   */
+  seedFuturesHistory(now) {
+    const period = Math.floor(now / FUTURES_PERIOD) * FUTURES_PERIOD;
+    let openInterest = this.futuresOI;
+    for (let i = 0; i < 48; i++) {
+      this.futuresHistory.unshift(this.buildFuturesPoint(period - i * FUTURES_PERIOD, openInterest));
+      openInterest /= Math.exp(0.003 * this.gaussian());
+    }
+
+    const funding = Math.floor(now / FUNDING_PERIOD) * FUNDING_PERIOD;
+    for (let i = 0; i < 30; i++) {
+      this.fundingHistory.unshift({
+        time: funding - i * FUNDING_PERIOD,
+        rate: BASE_FUNDING * (1 + 0.5 * this.gaussian()),
+        markPrice: this.spot
+      });
+    }
+  }
+
+  buildFuturesPoint(time, openInterest = this.futuresOI) {
+    return {
+      time: time,
+      openInterest: openInterest,
+      longShort: this.getLongShortRatio() * Math.exp(0.03 * this.gaussian()),
+      topLongShort: this.getLongShortRatio(true) * Math.exp(0.03 * this.gaussian())
+    };
+  }
+
+  /**
+   * Fecha um ponto por período de 5m e um funding a cada 8h
+   */
+  updateFuturesHistory(now) {
+    const period = Math.floor(now / FUTURES_PERIOD) * FUTURES_PERIOD;
+    if (period > this.futuresHistory[this.futuresHistory.length - 1].time) {
+      this.futuresHistory.push(this.buildFuturesPoint(period));
+      if (this.futuresHistory.length > 500) this.futuresHistory.shift();
+    }
+
+    const funding = Math.floor(now / FUNDING_PERIOD) * FUNDING_PERIOD;
+    if (funding > this.fundingHistory[this.fundingHistory.length - 1].time) {
+      this.fundingHistory.push({ time: funding, rate: this.getFundingRate(), markPrice: this.getFuturesMarkPrice() });
+      if (this.fundingHistory.length > 500) this.fundingHistory.shift();
+    }
+  }
+
+  /**
+   * Série de 5m com o período corrente refletindo o estado atual
+   */
+  getFuturesSeries(limit = 30) {
+    const history = this.futuresHistory.slice(-limit);
+    const current = history[history.length - 1];
+    history[history.length - 1] = {
+      time: current.time,
+      openInterest: this.futuresOI,
+      longShort: this.getLongShortRatio(),
+      topLongShort: this.getLongShortRatio(true)
+    };
+    return history;
+  }
+
+  /**
+   * Stream {symbol}@markPrice@1s (markPriceUpdate)
+   */
+  buildFuturesMarkPrice(now) {
+    return {
+      e: 'markPriceUpdate',
+      E: now,
+      s: this.symbol,
+      p: this.getFuturesMarkPrice().toFixed(2),
+      i: this.spot.toFixed(2),
+      P: this.spot.toFixed(2),
+      r: this.getFundingRate().toFixed(8),
+      T: this.getNextFundingTime(now)
+    };
+  }
+
+  /**
+   * GET /fapi/v1/premiumIndex
+   */
+  getPremiumIndex(now = Date.now()) {
+    return {
+      symbol: this.symbol,
+      markPrice: this.getFuturesMarkPrice().toFixed(2),
+      indexPrice: this.spot.toFixed(2),
+      estimatedSettlePrice: this.spot.toFixed(2),
+      lastFundingRate: this.getFundingRate().toFixed(8),
+      interestRate: '0.00010000',
+      nextFundingTime: this.getNextFundingTime(now),
+      time: now
+    };
+  }
+
+  /**
+   * GET /fapi/v1/openInterest
+   */
+  getFuturesOpenInterest(now = Date.now()) {
+    return {
+      symbol: this.symbol,
+      openInterest: this.futuresOI.toFixed(3),
+      time: now
+    };
+  }
+
+  /**
+   * GET /futures/data/openInterestHist
+   */
+  getFuturesOpenInterestHist(limit = 30) {
+    return this.getFuturesSeries(limit).map(point => ({
+      symbol: this.symbol,
+      sumOpenInterest: point.openInterest.toFixed(3),
+      sumOpenInterestValue: (point.openInterest * this.spot).toFixed(2),
+      timestamp: point.time
+    }));
+  }
+
+  /**
+   * GET /futures/data/globalLongShortAccountRatio e topLongShortAccountRatio
+   */
+  getLongShortHist(limit = 30, top = false) {
+    return this.getFuturesSeries(limit).map(point => {
+      const ratio = top ? point.topLongShort : point.longShort;
+      return {
+        symbol: this.symbol,
+        longShortRatio: ratio.toFixed(4),
+        longAccount: (ratio / (1 + ratio)).toFixed(4),
+        shortAccount: (1 / (1 + ratio)).toFixed(4),
+        timestamp: point.time
+      };
+    });
+  }
+
+  /**
+   * GET /fapi/v1/fundingRate
+   */
+  getFundingHistory(limit = 100) {
+    return this.fundingHistory.slice(-limit).map(item => ({
+      symbol: this.symbol,
+      fundingTime: item.time,
+      fundingRate: item.rate.toFixed(8),
+      markPrice: item.markPrice.toFixed(2)
+    }));
+  }
+
+  /**
+   * Trade spot: lado agressor inclinado pelo desequilíbrio do book
+   */
+  buildSpotTrade(now) {
+    const buy = this.random() < 0.5 + 0.25 * this.state.imbalance;
+    const quantity = -Math.log(1 - this.random()) * 20000 / this.spot;
+    this.spotVolume += quantity;
+
+    return {
+      e: 'trade',
+      E: now,
+      s: this.symbol,
+      t: ++this.tradeId,
+      p: this.spot.toFixed(2),
+      q: quantity.toFixed(5),
+      T: now,
+      m: !buy // buyer is maker => agressor vendedor
+    };
+  }
+
+  /**
+   * Trade de option perto do ATM, nos vencimentos curtos
+   */
+  buildOptionTrade(now) {
+    const expiries = [...new Set(this.instruments.map(instrument => instrument.expiryDate))].slice(0, 4);
+    const expiry = expiries[Math.floor(this.random() * expiries.length)];
+    const target = this.spot * (1 + 0.05 * this.gaussian());
+    const side = this.random() < 0.5 ? 'CALL' : 'PUT';
+
+    const instrument = this.instruments
+      .filter(item => item.expiryDate === expiry && item.side === side)
+      .reduce((best, item) => Math.abs(item.strike - target) < Math.abs(best.strike - target) ? item : best);
+
+    const quote = this.quote(instrument, now);
+    const buy = this.random() < 0.5 + 0.4 * this.state.optionFlow;
+    const price = buy ? quote.askPrice : (quote.bidPrice || quote.markPrice);
+    // ~1% dos prints são blocos (25-100 contratos)
+    const quantity = this.random() < 0.01
+      ? Math.round(25 + this.random() * 75)
+      : Math.max(0.01, Math.round(-Math.log(1 - this.random()) * 100) / 100);
+
+    const stats = this.getOptionStats(instrument.symbol);
+    stats.volume += quantity;
+    stats.lastPrice = price;
+    stats.tradeCount++;
+
+    // Parte dos trades abre posição, parte fecha: OI evolui com o fluxo
+    instrument.openInterest = Math.max(0, instrument.openInterest + quantity * (this.random() < 0.6 ? 1 : -1));
+
+    return {
+      e: 'trade',
+      E: now,
+      s: instrument.symbol,
+      t: String(++this.tradeId),
+      p: price.toFixed(2),
+      q: quantity.toFixed(2),
+      b: 0,
+      a: 0,
+      T: now,
+      S: buy ? '1' : '-1'
+    };
+  }
+
+  /**
+   * Ordem de liquidação forçada (SELL = long liquidado, BUY = short liquidado)
+   */
+  buildLiquidation(now, config) {
+    const side = config.side === 'MIXED' ? (this.random() < 0.5 ? 'SELL' : 'BUY') : config.side;
+    const [min, max] = config.size;
+    const value = min * Math.pow(max / min, this.random()); // log-uniforme
+    const price = this.spot * (side === 'SELL' ? 0.999 : 1.001);
+    const quantity = (value / price).toFixed(3);
+
+    return {
+      e: 'forceOrder',
+      E: now,
+      o: {
+        s: this.symbol,
+        S: side,
+        o: 'LIMIT',
+        f: 'IOC',
+        q: quantity,
+        p: price.toFixed(2),
+        ap: price.toFixed(2),
+        X: 'FILLED',
+        l: quantity,
+        z: quantity,
+        T: now
+      }
+    };
+  }
+
+  /**
+   * Ticker 24h do spot (desde o início da simulação)
+   */
+  buildSpotTicker(now) {
+    const open = this.config.spot;
+    const change = this.spot - open;
+
+    return {
+      e: '24hrTicker',
+      E: now,
+      s: this.symbol,
+      p: change.toFixed(2),
+      P: (change / open * 100).toFixed(3),
+      c: this.spot.toFixed(2),
+      o: open.toFixed(2),
+      h: this.high.toFixed(2),
+      l: this.low.toFixed(2),
+      v: this.spotVolume.toFixed(5),
+      q: (this.spotVolume * this.spot).toFixed(2)
+    };
+  }
+
+  getOptionStats(symbol) {
+    if (!this.optionStats.has(symbol)) {
+      this.optionStats.set(symbol, { volume: 0, lastPrice: null, tradeCount: 0 });
+    }
+    return this.optionStats.get(symbol);
+  }
+
+  /**
+   * ========================================================================
+   * REST (eapi)
+   * ========================================================================
+   */
+
+  getOptionSymbols() {
+    return this.instruments.map(instrument => ({
+      symbol: instrument.symbol,
+      underlying: this.symbol,
+      side: instrument.side,
+      strikePrice: String(instrument.strike),
+      expiryDate: instrument.expiryDate,
+      unit: 1,
+      quoteAsset: 'USDT',
+      minQty: '0.01',
+      priceScale: 2,
+      quantityScale: 2
+    }));
+  }
+
+  getMarks(now = Date.now()) {
+    return this.instruments.map(instrument => {
+      const quote = this.quote(instrument, now);
+      return {
+        symbol: instrument.symbol,
+        markPrice: quote.markPrice.toFixed(2),
+        bidIV: (quote.markIV * 0.97).toFixed(4),
+        askIV: (quote.markIV * 1.03).toFixed(4),
+        markIV: quote.markIV.toFixed(4),
+        delta: quote.delta.toFixed(5),
+        theta: quote.theta.toFixed(5),
+        gamma: quote.gamma.toFixed(8),
+        vega: quote.vega.toFixed(5),
+        riskFreeInterest: 0
+      };
+    });
+  }
+
+  getTickers(now = Date.now()) {
+    return this.instruments.map(instrument => {
+      const quote = this.quote(instrument, now);
+      const stats = this.getOptionStats(instrument.symbol);
+      return {
+        symbol: instrument.symbol,
+        lastPrice: stats.lastPrice ? stats.lastPrice.toFixed(2) : '',
+        volume: stats.volume.toFixed(2),
+        bidPrice: quote.bidPrice ? quote.bidPrice.toFixed(2) : '',
+        askPrice: quote.askPrice.toFixed(2),
+        tradeCount: stats.tradeCount,
+        strikePrice: String(instrument.strike),
+        exercisePrice: this.spot.toFixed(2)
+      };
+    });
+  }
+
+  /**
+   * OI de um vencimento (expiration YYMMDD)
+   */
+  getOpenInterest(expiration, now = Date.now()) {
+    return this.instruments
+      .filter(instrument => this.formatExpiry(instrument.expiryDate) === expiration)
+      .map(instrument => ({
+        symbol: instrument.symbol,
+        sumOpenInterest: instrument.openInterest.toFixed(2),
+        sumOpenInterestUsd: (instrument.openInterest * this.spot).toFixed(2),
+        timestamp: String(now)
+      }));
+  }
+
+  /**
+   * Book de uma option em torno do bid/ask
+   */
+  getOptionDepth(symbol, limit = 10) {
+    const instrument = this.instruments.find(item => item.symbol === symbol);
+    if (!instrument) return null;
+
+    const quote = this.quote(instrument);
+    const step = Math.max(quote.markPrice * 0.005, this.spot * 0.00005);
+    const bids = [];
+    const asks = [];
+
+    for (let i = 0; i < limit; i++) {
+      if (quote.bidPrice - step * i > 0) {
+        bids.push([(quote.bidPrice - step * i).toFixed(2), (0.1 + this.random() * 5).toFixed(2)]);
+      }
+      asks.push([(quote.askPrice + step * i).toFixed(2), (0.1 + this.random() * 5).toFixed(2)]);
+    }
+
+    return { T: Date.now(), u: this.updateId, bids, asks };
+  }
+
+  /**
+   * ========================================================================
+   * UTILITÁRIOS
+   * ========================================================================
+   */
+
+  gaussian() {
+    const u = 1 - this.random();
+    const v = this.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  poisson(lambda) {
+    if (lambda <= 0) return 0;
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = this.random();
+    while (product > limit) {
+      count++;
+      product *= this.random();
+    }
+    return count;
+  }
+
+  getStatus() {
+    const scenario = this.scenario;
+    const progress = scenario && scenario.duration
+      ? Math.min(1, (Date.now() - this.scenarioStart) / scenario.duration)
+      : null;
+
+    return {
+      underlying: this.config.underlying,
+      spot: this.spot,
+      startSpot: this.config.spot,
+      changePercent: (this.spot / this.config.spot - 1) * 100,
+      scenario: scenario ? {
+        id: scenario.id,
+        name: scenario.name,
+        progress: progress,
+        phase: this.phaseIndex
+      } : null,
+      state: { ...this.state },
+      levels: this.levels,
+      instruments: this.instruments.length
+    };
+  }
+}
+
+module.exports = MarketSimulator;
@@ -0,0 +1,317 @@
+/**
+ * SimulatorServer - Expõe os MarketSimulators com as APIs da Binance
+ *
+ * REST (eapi):
+ * - GET /eapi/v1/exchangeInfo
+ * - GET /eapi/v1/mark
+ * - GET /eapi/v1/ticker
+ * - GET /eapi/v1/openInterest?underlyingAsset=BTC&expiration=YYMMDD
+ * - GET /eapi/v1/depth?symbol=...&limit=10
+ *
+ * REST (fapi):
+ * - GET /fapi/v1/depth?symbol=BTCUSDT&limit=1000  - Snapshot do book de futuros
+ * - GET /fapi/v1/premiumIndex?symbol=BTCUSDT      - Mark, index e funding
+ * - GET /fapi/v1/fundingRate?symbol=BTCUSDT       - Histórico de funding
+ * - GET /fapi/v1/openInterest?symbol=BTCUSDT      - OI dos perpétuos
+ * - GET /futures/data/openInterestHist            - OI em séries de 5m
+ * - GET /futures/data/globalLongShortAccountRatio - Long/short (contas)
+ * - GET /futures/data/topLongShortAccountRatio    - Long/short (top traders)
+ *
+ * WEBSOCKET:
+ * - /eoptions/stream?streams=BTC@markPrice  - Stream combinado ({ stream, data })
+ * - /ws/<stream>                             - Stream único: btcusdt@ticker, btcusdt@trade,
+ *                                              btcusdt@depth@100ms, btcusdt@forceOrder,
+ *                                              btcusdt@markPrice@1s
+ *
+ * CONTROLE:
+ * - GET  /sim/status                 - Spot, cenário e níveis por underlying
+ * - GET  /sim/scenarios              - Cenários disponíveis
+ * - POST /sim/scenario/:id           - Aplica um cenário (?underlying=BTC; padrão: todos)
+ */
+
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const Logger = require('../utils/logger');
+const MarketSimulator = require('./MarketSimulator');
+const { SCENARIOS, getScenario } = require('./scenarios');
+
+class SimulatorServer {
+  constructor(config = {}) {
+    this.config = {
+      port: config.port || 3400,
+      host: config.host || '0.0.0.0',
+      underlyings: config.underlyings || ['BTC'],
+      scenario: config.scenario,
+      seed: config.seed
+    };
+
+    this.logger = new Logger('SimulatorServer');
+
+    // underlying -> MarketSimulator
+    this.simulators = new Map();
+    this.config.underlyings.forEach((underlying, index) => {
+      this.simulators.set(underlying, new MarketSimulator({
+        underlying: underlying,
+        scenario: this.config.scenario,
+        seed: this.config.seed !== undefined ? Number(this.config.seed) + index : undefined
+      }));
+    });
+
+    // stream -> Set<{ ws, combined }>
+    this.subscribers = new Map();
+
+    this.app = express();
+    this.app.use(express.json());
+    this.server = null;
+    this.wss = null;
+
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    // ========================================
+    // REST (eapi)
+    // ========================================
+    this.app.get('/eapi/v1/exchangeInfo', (req, res) => {
+      res.json({
+        timezone: 'UTC',
+        serverTime: Date.now(),
+        optionContracts: this.list().map(sim => ({
+          baseAsset: sim.config.underlying,
+          quoteAsset: 'USDT',
+          underlying: sim.symbol,
+          settleAsset: 'USDT'
+        })),
+        optionAssets: [{ name: 'USDT' }],
+        optionSymbols: this.list().flatMap(sim => sim.getOptionSymbols())
+      });
+    });
+
+    this.app.get('/eapi/v1/mark', (req, res) => {
+      res.json(this.list().flatMap(sim => sim.getMarks()));
+    });
+
+    this.app.get('/eapi/v1/ticker', (req, res) => {
+      res.json(this.list().flatMap(sim => sim.getTickers()));
+    });
+
+    this.app.get('/eapi/v1/openInterest', (req, res) => {
+      const sim = this.simulators.get(String(req.query.underlyingAsset || '').toUpperCase());
+      if (!sim || !req.query.expiration) {
+        return res.status(400).json({ code: -1102, msg: 'Mandatory parameter underlyingAsset/expiration was not sent or invalid.' });
+      }
+      res.json(sim.getOpenInterest(String(req.query.expiration)));
+    });
+
+    this.app.get('/eapi/v1/depth', (req, res) => {
+      const symbol = String(req.query.symbol || '');
+      const sim = this.simulators.get(symbol.split('-')[0]);
+      const depth = sim ? sim.getOptionDepth(symbol, parseInt(req.query.limit) || 10) : null;
+      if (!depth) {
+        return res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+      }
+      res.json(depth);
+    });
+
+    // ========================================
+    // REST (fapi)
+    // ========================================
+    this.app.get('/fapi/v1/depth', (req, res) => {
+      const sim = this.getFuturesSimulator(req, res);
+      if (sim) res.json(sim.getFuturesDepth(parseInt(req.query.limit) || 500));
+    });
+
+    this.app.get('/fapi/v1/premiumIndex', (req, res) => {
+      const sim = this.getFuturesSimulator(req, res);
+      if (sim) res.json(sim.getPremiumIndex());
+    });
+
+    this.app.get('/fapi/v1/fundingRate', (req, res) => {
+      const sim = this.getFuturesSimulator(req, res);
+      if (sim) res.json(sim.getFundingHistory(parseInt(req.query.limit) || 100));
+    });
+
+    this.app.get('/fapi/v1/openInterest', (req, res) => {
+      const sim = this.getFuturesSimulator(req, res);
+      if (sim) res.json(sim.getFuturesOpenInterest());
+    });
+
+    this.app.get('/futures/data/openInterestHist', (req, res) => {
+      const sim = this.getFuturesSimulator(req, res);
+      if (sim) res.json(sim.getFuturesOpenInterestHist(parseInt(req.query.limit) || 30));
+    });
+
+    this.app.get('/futures/data/globalLongShortAccountRatio', (req, res) => {
+      const sim = this.getFuturesSimulator(req, res);
+      if (sim) res.json(sim.getLongShortHist(parseInt(req.query.limit) || 30));
+    });
+
+    this.app.get('/futures/data/topLongShortAccountRatio', (req, res) => {
+      const sim = this.getFuturesSimulator(req, res);
+      if (sim) res.json(sim.getLongShortHist(parseInt(req.query.limit) || 30, true));
+    });
+
+    // ========================================
+    // CONTROLE
+    // ========================================
+    this.app.get('/sim/status', (req, res) => {
+      res.json({
+        success: true,
+        data: this.list().map(sim => sim.getStatus())
+      });
+    });
+
+    this.app.get('/sim/scenarios', (req, res) => {
+      res.json({
+        success: true,
+        data: SCENARIOS.map(({ id, name, description, duration }) => ({ id, name, description, duration }))
+      });
+    });
+
+    this.app.post('/sim/scenario/:id', (req, res) => {
+      try {
+        if (!getScenario(req.params.id)) {
+          const error = new Error(`Cenário '${req.params.id}' inválido. Use: ${SCENARIOS.map(item => item.id).join(', ')}`);
+          error.status = 400;
+          throw error;
+        }
+
+        const underlying = req.query.underlying ? String(req.query.underlying).toUpperCase() : null;
+        if (underlying && !this.simulators.has(underlying)) {
+          const error = new Error(`Underlying '${underlying}' não simulado`);
+          error.status = 404;
+          throw error;
+        }
+
+        const targets = underlying ? [this.simulators.get(underlying)] : this.list();
+        const data = targets.map(sim => sim.setScenario(req.params.id));
+        this.logger.info(`Cenário '${req.params.id}' aplicado: ${targets.map(sim => sim.config.underlying).join(', ')}`);
+
+        res.json({
+          success: true,
+          data: data
+        });
+      } catch (error) {
+        res.status(error.status || 500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  list() {
+    return Array.from(this.simulators.values());
+  }
+
+  /**
+   * Simulador do perpétuo em ?symbol= (responde 400 se inválido)
+   */
+  getFuturesSimulator(req, res) {
+    const symbol = String(req.query.symbol || '').toUpperCase();
+    const sim = this.list().find(item => item.symbol === symbol);
+    if (!sim) {
+      res.status(400).json({ code: -1121, msg: 'Invalid symbol.' });
+      return null;
+    }
+    return sim;
+  }
+
+  /**
+   * ========================================================================
+   * WEBSOCKET
+   * ========================================================================
+   */
+
+  handleConnection(ws, req) {
+    const url = new URL(req.url, 'http://localhost');
+    let streams = [];
+    let combined = false;
+
+    if (url.pathname.endsWith('/stream')) {
+      combined = true;
+      streams = String(url.searchParams.get('streams') || '').split('/').filter(Boolean);
+    } else if (url.pathname.startsWith('/ws/')) {
+      streams = [decodeURIComponent(url.pathname.slice(4))];
+    }
+
+    if (streams.length === 0) {
+      ws.close(1008, 'stream inválido');
+      return;
+    }
+
+    const subscription = { ws, combined };
+    streams.forEach(stream => {
+      if (!this.subscribers.has(stream)) {
+        this.subscribers.set(stream, new Set());
+      }
+      this.subscribers.get(stream).add(subscription);
+    });
+
+    this.logger.debug(`Cliente conectado: ${streams.join(', ')}`);
+
+    ws.on('close', () => {
+      streams.forEach(stream => {
+        const set = this.subscribers.get(stream);
+        if (set) set.delete(subscription);
+      });
+    });
+  }
+
+  broadcast(stream, data) {
+    const subscriptions = this.subscribers.get(stream);
+    if (!subscriptions || subscriptions.size === 0) return;
+
+    const raw = JSON.stringify(data);
+    const wrapped = JSON.stringify({ stream, data });
+
+    subscriptions.forEach(({ ws, combined }) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(combined ? wrapped : raw);
+      }
+    });
+  }
+
+  /**
+   * ========================================================================
+   * CICLO DE VIDA
+   * ========================================================================
+   */
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer(this.app);
+      this.wss = new WebSocket.Server({ server: this.server });
+      this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.list().forEach(sim => {
+          sim.on('message', (stream, data) => this.broadcast(stream, data));
+          sim.start();
+        });
+
+        this.logger.success(`Simulador rodando em http://${this.config.host}:${this.config.port} (${this.config.underlyings.join(', ')})`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    this.list().forEach(sim => {
+      sim.stop();
+      sim.removeAllListeners('message');
+    });
+
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+
+      this.wss.clients.forEach(client => client.terminate());
+      this.wss.close();
+      this.server.close(() => resolve());
+    });
+  }
+}
+
+module.exports = SimulatorServer;
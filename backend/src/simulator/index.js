@@ -0,0 +1,64 @@
+/**
+ * Simulador de mercado - Binance sintética local
+ *
+ * Uso: npm run simulator
+ *
+ * Configuração (.env):
+ * - SIM_PORT          - Porta HTTP/WebSocket (padrão: 3400)
+ * - SIM_UNDERLYINGS   - Underlyings simulados (padrão: DEFAULT_UNDERLYING ou BTC)
+ * - SIM_SCENARIO      - Cenário inicial (calm, liquidation-cascade, wall-break, iv-spike)
+ * - SIM_SEED          - Seed do gerador aleatório (execuções reproduzíveis)
+ *
+ * O tracker roda offline apontando as URLs da Binance para o simulador
+ * (veja o banner ao iniciar).
+ */
+
+require('dotenv').config();
+const SimulatorServer = require('./SimulatorServer');
+
+if (require.main === module) {
+  const port = parseInt(process.env.SIM_PORT) || 3400;
+  const underlyings = String(process.env.SIM_UNDERLYINGS || process.env.DEFAULT_UNDERLYING || 'BTC')
+    .split(',')
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+
+  const simulator = new SimulatorServer({
+    port: port,
+    underlyings: underlyings,
+    scenario: process.env.SIM_SCENARIO,
+    seed: process.env.SIM_SEED
+  });
+
+  simulator.start().then(() => {
+    console.log('\n' + '='.repeat(80));
+    console.log('SIMULADOR DE MERCADO');
+    console.log('='.repeat(80));
+    console.log('Para rodar o tracker offline, use no .env do backend:\n');
+    console.log(`  REST_BASE_URL=http://localhost:${port}`);
+    console.log(`  WS_BASE_URL=ws://localhost:${port}/eoptions/stream`);
+    console.log(`  SPOT_WS_URL=ws://localhost:${port}/ws`);
+    console.log(`  FUTURES_WS_URL=ws://localhost:${port}/ws`);
+    console.log(`  FUTURES_REST_URL=http://localhost:${port}`);
+    console.log('  OPTION_VENUES=binance');
+    console.log(`\nCenários: GET http://localhost:${port}/sim/scenarios`);
+    console.log(`Aplicar:  POST http://localhost:${port}/sim/scenario/<id>`);
+    console.log('='.repeat(80) + '\n');
+  }).catch(error => {
+    console.error('Erro fatal:', error);
+    process.exit(1);
+  });
+
+  // Handlers para encerramento gracioso
+  process.on('SIGINT', async () => {
+    console.log('\n\nRecebido SIGINT, encerrando...');
+    await simulator.stop();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.log('\n\nRecebido SIGTERM, encerrando...');
+    await simulator.stop();
+    process.exit(0);
+  });
+}
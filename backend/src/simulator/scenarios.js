@@ -0,0 +1,76 @@
+/**
+ * Cenários do simulador de mercado
+ *
+ * Cada cenário é uma sequência de fases; o MarketSimulator interpola o estado
+ * do mercado conforme o progresso (0 → 1) dentro da duração do cenário.
+ * Ao terminar, o simulador volta para 'calm'.
+ *
+ * CAMPOS DA FASE:
+ * - until        - Fim da fase (fração da duração total)
+ * - move         - Variação do spot na fase (0.02 = +2%)
+ * - moveTo       - Alvo relativo a um nível da chain: { level: 'callWall' | 'putWall', offset }
+ * - vol          - Multiplicador da volatilidade realizada do spot
+ * - ivShift      - Choque aditivo na IV ATM (0.15 = +15 pontos), maior no curto prazo
+ * - skewShift    - Inclinação adicional do skew (puts mais caras)
+ * - imbalance    - Desequilíbrio do book de futuros (+1 = bids pesados / pressão compradora, -1 = asks pesados)
+ * - askWall / bidWall - Parede no book de futuros (múltiplo do tamanho médio de um nível)
+ * - liquidations - { rate: por segundo, side: 'SELL' (longs) | 'BUY' (shorts) | 'MIXED', size: [min, max] USD }
+ * - tradeRate    - Multiplicador do fluxo de trades (spot e options)
+ * - funding      - Funding rate adicional por 8h (base 0.01%)
+ * - basis        - Basis mark/index adicional (0.001 = mark 0.1% acima do index)
+ * - oiGrowth     - Crescimento do OI dos perpétuos por hora (0.5 = +50%/h, negativo = desalavancagem)
+ * - crowding     - ln(long/short) adicional das contas (+ = longs lotados, - = shorts lotados)
+ * - optionFlow   - Viés do fluxo agressor de options (+1 = clientes comprando, -1 = vendendo)
+ */
+
+const SCENARIOS = [
+  {
+    id: 'calm',
+    name: 'Calmo',
+    description: 'Random walk com vol constante, book equilibrado e poucas liquidações',
+    duration: null,
+    phases: [
+      { until: 1, move: 0, vol: 1, ivShift: 0, imbalance: 0, liquidations: { rate: 0.05, side: 'MIXED', size: [5000, 40000] } }
+    ]
+  },
+  {
+    id: 'liquidation-cascade',
+    name: 'Cascata de liquidações',
+    description: 'Bids somem, o spot cai em sequência e longs são liquidados em cadeia',
+    duration: 3 * 60 * 1000,
+    phases: [
+      { until: 0.2, move: -0.004, vol: 1.5, ivShift: 0.02, imbalance: -0.3, funding: 0.0003, basis: 0.0006, oiGrowth: 0.3, crowding: 0.6, liquidations: { rate: 0.5, side: 'SELL', size: [10000, 80000] } },
+      { until: 0.7, move: -0.035, vol: 4, ivShift: 0.15, skewShift: 0.1, imbalance: -0.7, tradeRate: 4, optionFlow: 0.5, funding: -0.0001, basis: -0.001, oiGrowth: -1.5, crowding: 0.2, liquidations: { rate: 12, side: 'SELL', size: [20000, 600000] } },
+      { until: 1, move: 0.005, vol: 2, ivShift: 0.1, skewShift: 0.05, imbalance: 0.1, tradeRate: 2, oiGrowth: -0.2, liquidations: { rate: 1, side: 'SELL', size: [10000, 100000] } }
+    ]
+  },
+  {
+    id: 'wall-break',
+    name: 'Rompimento da call wall',
+    description: 'Spot sobe até a call wall, a parede de asks é absorvida e shorts são liquidados',
+    duration: 4 * 60 * 1000,
+    phases: [
+      { until: 0.45, moveTo: { level: 'callWall', offset: -0.003 }, vol: 1.2, imbalance: 0.2, askWall: 30, funding: -0.0002, basis: -0.0003, oiGrowth: 0.4, crowding: -0.5, liquidations: { rate: 0.2, side: 'BUY', size: [10000, 60000] } },
+      { until: 0.7, moveTo: { level: 'callWall', offset: 0.012 }, vol: 2.5, ivShift: 0.05, imbalance: 0.5, askWall: 3, tradeRate: 3, funding: 0.0001, basis: 0.0008, oiGrowth: -0.8, liquidations: { rate: 5, side: 'BUY', size: [20000, 300000] } },
+      { until: 1, move: 0.003, vol: 1.5, ivShift: 0.03, imbalance: 0.2, bidWall: 15, tradeRate: 1.5, funding: 0.0002, basis: 0.0003, oiGrowth: 0.1, crowding: 0.2, liquidations: { rate: 0.5, side: 'BUY', size: [10000, 80000] } }
+    ]
+  },
+  {
+    id: 'iv-spike',
+    name: 'Choque de volatilidade',
+    description: 'IV de curto prazo dispara, skew de puts inclina e o spot oscila sem direção',
+    duration: 2 * 60 * 1000,
+    phases: [
+      { until: 0.2, move: -0.01, vol: 3, ivShift: 0.25, skewShift: 0.15, imbalance: -0.2, tradeRate: 3, optionFlow: 0.6, funding: -0.0001, basis: -0.0004, oiGrowth: 0.3, liquidations: { rate: 2, side: 'MIXED', size: [10000, 150000] } },
+      { until: 1, move: 0.004, vol: 2, ivShift: 0.08, skewShift: 0.05, imbalance: 0, tradeRate: 1.5, liquidations: { rate: 0.3, side: 'MIXED', size: [5000, 60000] } }
+    ]
+  }
+];
+
+const DEFAULT_SCENARIO = 'calm';
+
+function getScenario(id) {
+  return SCENARIOS.find(scenario => scenario.id === id) || null;
+}
+
+module.exports = { SCENARIOS, DEFAULT_SCENARIO, getScenario };
@@ -0,0 +1,25 @@
+/**
+ * Gerador pseudo-aleatório com seed (mulberry32)
+ *
+ * Usado pelo simulador (cenários reproduzíveis) e pela calibração dos
+ * thresholds de escape (busca aleatória reproduzível).
+ */
+
+/**
+ * @param {number|string} seed - Sem seed: Math.random
+ * @returns {Function} - () => número em [0, 1)
+ */
+function createRandom(seed) {
+  if (seed === undefined || seed === null || seed === '') return Math.random;
+
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createRandom };
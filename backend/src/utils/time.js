@@ -0,0 +1,18 @@
+/**
+ * Conversão de parâmetros de tempo (CLI, env, query) usada por replay,
+ * playback de captura e backtests
+ */
+
+/**
+ * Converte timestamp (ms) ou data ISO em ms
+ * @returns {number|null} - null se ausente ou inválido
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return parseInt(value);
+
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+module.exports = { parseTime };
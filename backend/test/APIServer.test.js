@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const APIServer = require('../src/api/server');
+const UnderlyingRegistry = require('../src/registry/UnderlyingRegistry');
+const RegimeAnalyzer = require('../src/calculators/RegimeAnalyzer');
+const GEXCalculator = require('../src/calculators/GEXCalculator');
+const Option = require('../src/models/Option');
+
+// Pipelines sem coletor real: /api/status devolve o underlying do pipeline resolvido
+function createRegistry(underlyings) {
+  const registry = new UnderlyingRegistry({ defaultUnderlying: underlyings[0] });
+  underlyings.forEach(underlying => {
+    registry.pipelines.set(underlying, {
+      underlying: underlying,
+      dataCollector: { getStats: () => ({ underlying }) }
+    });
+  });
+  return registry;
+}
+
+async function withServer(fn) {
+  const api = new APIServer(createRegistry(['BTC', 'ETH']), new RegimeAnalyzer(), null);
+  const server = api.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = async (path) => {
+    const response = await fetch(base + path);
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    await fn(get, api);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('/api/:underlying/* vai para a rota normal com o pipeline do underlying', async () => {
+  await withServer(async (get) => {
+    assert.equal((await get('/api/ETH/status')).body.data.underlying, 'ETH');
+    assert.equal((await get('/api/eth/status')).body.data.underlying, 'ETH');
+    assert.equal((await get('/api/status?underlying=eth')).body.data.underlying, 'ETH');
+    assert.equal((await get('/api/status')).body.data.underlying, 'BTC');
+  });
+});
+
+test('underlying desconhecido responde 404 com os disponíveis', async () => {
+  await withServer(async (get) => {
+    for (const path of ['/api/DOGE/status', '/api/status?underlying=DOGE']) {
+      const { status, body } = await get(path);
+      assert.equal(status, 404);
+      assert.equal(body.success, false);
+      assert.deepEqual(body.available, ['BTC', 'ETH']);
+    }
+  });
+});
+
+test('segmentos de rota não são underlying e rotas fora de /api passam direto', async () => {
+  await withServer(async (get, api) => {
+    assert.equal(api.routeSegments.has('status'), true);
+
+    const next = () => { next.called = true; };
+    const req = { path: '/health', url: '/health', query: {} };
+    api.resolveUnderlying(req, null, next);
+    assert.equal(next.called, true);
+    assert.equal(req.pipeline, undefined);
+
+    // /api/status/x não é o underlying STATUS
+    assert.equal((await get('/api/status/x')).status, 404);
+    assert.equal((await get('/health')).body.status, 'OK');
+  });
+});
+
+function option(strike, side, openInterest, flow = {}) {
+  const option = new Option({
+    symbol: `BTC-300104-${strike}-${side[0]}`,
+    strikePrice: strike,
+    expiryDate: Date.UTC(2030, 0, 4, 8),
+    side: side,
+    gamma: 0.001,
+    contractSize: 1
+  });
+  option.updateOpenInterest(openInterest);
+  option.takerBuyVolume = flow.buy || 0;
+  option.takerSellVolume = flow.sell || 0;
+  return option;
+}
+
+// Fluxo: clientes compram calls e vendem puts (flow-inferred inverte o classic)
+const CHAIN = [
+  option(90, 'PUT', 15, { sell: 5 }), option(95, 'PUT', 20, { sell: 5 }),
+  option(105, 'CALL', 30, { buy: 5 }), option(110, 'CALL', 25, { buy: 5 })
+];
+
+test('wall zones pela magnitude do GEX em todos os dealer models', () => {
+  const api = new APIServer(createRegistry(['BTC']), new RegimeAnalyzer(), null);
+  const signs = {
+    'classic': { put: -1, call: 1 },
+    'customer-long': { put: -1, call: -1 },
+    'flow-inferred': { put: 1, call: -1 }
+  };
+
+  Object.entries(signs).forEach(([dealerModel, sign]) => {
+    const calculator = new GEXCalculator(100, { dealerModel });
+    const profile = calculator.calculateGammaProfile(CHAIN);
+    const { putWallZone, callWallZone } = api.calculateWallZonesFromProfile(profile);
+
+    assert.equal(putWallZone.peak, 95, dealerModel);
+    assert.equal(Math.sign(putWallZone.peakGEX), sign.put, dealerModel);
+    assert.deepEqual([putWallZone.zoneLow, putWallZone.zoneHigh], [90, 95], dealerModel);
+    assert.equal(putWallZone.zoneStrikes[0].percentage, 75, dealerModel);
+
+    assert.equal(callWallZone.peak, 105, dealerModel);
+    assert.equal(Math.sign(callWallZone.peakGEX), sign.call, dealerModel);
+    assert.deepEqual([callWallZone.zoneLow, callWallZone.zoneHigh], [105, 110], dealerModel);
+
+    // Mesmas walls de findPutWall/findCallWall
+    assert.equal(calculator.findPutWall(CHAIN).strike, putWallZone.peak, dealerModel);
+    assert.equal(calculator.findCallWall(CHAIN).strike, callWallZone.peak, dealerModel);
+
+    // Smart range expande até as zonas com a margem de 5% do spot
+    const range = calculator.calculateSmartRange(profile, 100, { putWallZone, callWallZone }, 0.01);
+    assert.deepEqual([range.minStrike, range.maxStrike], [90, 110], dealerModel);
+  });
+});
+
+test('range e steps do spot-shock fora dos limites respondem 400', async () => {
+  await withServer(async (get) => {
+    const invalid = [
+      '/api/gamma-flip?method=spot-shock&range=0',
+      '/api/gamma-flip?method=spot-shock&range=1',
+      '/api/gamma-flip?method=spot-shock&range=abc',
+      '/api/gamma-flip?method=spot-shock&steps=2',
+      '/api/gamma-flip?method=spot-shock&steps=402',
+      '/api/gamma-flip?method=spot-shock&steps=40.5',
+      '/api/gamma-profile?range=-0.1'
+    ];
+
+    for (const path of invalid) {
+      const { status, body } = await get(path);
+      assert.equal(status, 400, path);
+      assert.equal(body.success, false, path);
+    }
+  });
+});
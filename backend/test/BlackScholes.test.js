@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BlackScholes = require('../src/calculators/BlackScholes');
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} != ${expected} (±${tolerance})`);
+};
+
+const SPOT = 100000;
+const STRIKE = 105000;
+const T = 30 / 365;
+const IV = 0.55;
+
+test('preço ATM confere com o valor de referência', () => {
+  // S = K = 100, t = 1, iv = 20%, r = 0 => call = put = 7.9656
+  close(BlackScholes.price('CALL', 100, 100, 1, 0.2), 7.9656, 1e-3);
+  close(BlackScholes.price('PUT', 100, 100, 1, 0.2), 7.9656, 1e-3);
+});
+
+test('paridade put-call', () => {
+  const r = 0.05;
+  const call = BlackScholes.price('CALL', SPOT, STRIKE, T, IV, r);
+  const put = BlackScholes.price('PUT', SPOT, STRIKE, T, IV, r);
+  close(call - put, SPOT - STRIKE * Math.exp(-r * T), 1e-2);
+});
+
+test('vencido ou sem IV: valor intrínseco e delta binário', () => {
+  assert.equal(BlackScholes.price('CALL', 110, 100, 0, 0.5), 10);
+  assert.equal(BlackScholes.price('PUT', 110, 100, 0, 0.5), 0);
+  assert.equal(BlackScholes.delta('CALL', 110, 100, 0, 0.5), 1);
+  assert.equal(BlackScholes.delta('PUT', 110, 100, 0, 0.5), 0);
+  assert.equal(BlackScholes.gamma(110, 100, 1, 0), 0);
+});
+
+test('gregas conferem com diferenças finitas do preço', () => {
+  const h = SPOT * 1e-4;
+  const price = (spot, t = T, iv = IV) => BlackScholes.price('CALL', spot, STRIKE, t, iv);
+  const delta = (spot, t = T, iv = IV) => BlackScholes.delta('CALL', spot, STRIKE, t, iv);
+  const day = 1 / 365;
+
+  close(BlackScholes.delta('CALL', SPOT, STRIKE, T, IV), (price(SPOT + h) - price(SPOT - h)) / (2 * h), 1e-4, 'delta');
+  close(BlackScholes.gamma(SPOT, STRIKE, T, IV), (delta(SPOT + h) - delta(SPOT - h)) / (2 * h), 1e-7, 'gamma');
+  close(BlackScholes.vega(SPOT, STRIKE, T, IV), (price(SPOT, T, IV + 0.005) - price(SPOT, T, IV - 0.005)) / 1, 1e-1, 'vega');
+  close(BlackScholes.theta('CALL', SPOT, STRIKE, T, IV), price(SPOT, T - day) - price(SPOT), 1, 'theta');
+  close(BlackScholes.vanna(SPOT, STRIKE, T, IV), (delta(SPOT, T, IV + 0.005) - delta(SPOT, T, IV - 0.005)) / 1, 1e-4, 'vanna');
+  close(BlackScholes.charm(SPOT, STRIKE, T, IV), delta(SPOT, T - day) - delta(SPOT), 1e-4, 'charm');
+});
+
+test('delta da put = delta da call - 1', () => {
+  const call = BlackScholes.delta('CALL', SPOT, STRIKE, T, IV);
+  const put = BlackScholes.delta('PUT', SPOT, STRIKE, T, IV);
+  close(call - put, 1, 1e-12);
+});
+
+test('yearsToExpiry aceita Date ou timestamp e não fica negativo', () => {
+  const now = Date.UTC(2025, 0, 1);
+  const expiry = now + BlackScholes.MS_PER_YEAR / 2;
+  assert.equal(BlackScholes.yearsToExpiry(expiry, now), 0.5);
+  assert.equal(BlackScholes.yearsToExpiry(new Date(expiry), now), 0.5);
+  assert.equal(BlackScholes.yearsToExpiry(now - 1000, now), 0);
+});
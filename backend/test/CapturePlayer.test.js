@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarketDataRecorder = require('../src/capture/MarketDataRecorder');
+const CapturePlayer = require('../src/capture/CapturePlayer');
+const MarketDataSource = require('../src/capture/MarketDataSource');
+
+const T0 = Date.UTC(2026, 0, 5, 12);
+
+// Captura pequena: dois streams de WebSocket e um snapshot REST
+async function recordCapture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-player-'));
+  const recorder = new MarketDataRecorder({ dir, restInterval: 1 });
+
+  recorder.recordSnapshot('rest.BTC.binance.greeks', [{ symbol: 'BTC-260130-100000-C', delta: 0.5 }], T0 - 1000);
+  recorder.record('spot.btcusdt@ticker', '{"c":"100000"}', T0);
+  recorder.record('binance.BTC@markPrice', '{"s":"BTC-260130-100000-C","mp":"5000"}', T0 + 500);
+  recorder.record('spot.btcusdt@ticker', '{"c":"100100"}', T0 + 1000);
+  recorder.recordSnapshot('rest.BTC.binance.greeks', [{ symbol: 'BTC-260130-100000-C', delta: 0.6 }], T0 + 1200);
+
+  assert.equal(recorder.getStatus().messages, 5);
+  await recorder.stop();
+  return dir;
+}
+
+test('round-trip: o playback entrega a captura em ordem e avança o relógio dos dados', async () => {
+  const dir = await recordCapture();
+  const player = new CapturePlayer({ dir });
+  await player.load();
+  MarketDataSource.setPlayer(player);
+
+  try {
+    assert.equal(MarketDataSource.getMode(), 'playback');
+    assert.equal(MarketDataSource.now(), T0);
+
+    // Snapshot REST vigente no início da captura
+    const greeks = await MarketDataSource.fetchSnapshot('BTC.binance.greeks', () => assert.fail('REST no playback'));
+    assert.equal(greeks[0].delta, 0.5);
+
+    const received = [];
+    const ticker = MarketDataSource.createSocket('wss://stream.binance.com:9443/ws/btcusdt@ticker', 'spot.btcusdt@ticker');
+    const mark = MarketDataSource.createSocket('wss://nbstream.binance.com/eoptions/stream?streams=BTC@markPrice', 'binance.BTC@markPrice');
+    ticker.on('message', data => received.push(['ticker', data.toString(), MarketDataSource.now()]));
+    mark.on('message', data => received.push(['mark', data.toString(), MarketDataSource.now()]));
+
+    player.pause();
+    await player.step(3);
+
+    assert.deepEqual(received, [
+      ['ticker', '{"c":"100000"}', T0],
+      ['mark', '{"s":"BTC-260130-100000-C","mp":"5000"}', T0 + 500],
+      ['ticker', '{"c":"100100"}', T0 + 1000]
+    ]);
+    assert.equal(MarketDataSource.now(), T0 + 1000);
+
+    // Snapshot REST acompanha o relógio da captura
+    await player.step();
+    assert.equal(MarketDataSource.now(), T0 + 1200);
+    assert.equal((await MarketDataSource.fetchSnapshot('BTC.binance.greeks'))[0].delta, 0.6);
+
+    await player.step();
+    assert.equal(player.finished, true);
+  } finally {
+    player.stop();
+    MarketDataSource.setPlayer(null);
+  }
+
+  // Fora do playback: relógio de parede
+  assert.equal(MarketDataSource.getMode(), 'live');
+  assert.ok(Math.abs(MarketDataSource.now() - Date.now()) < 1000);
+});
+
+test('intervalo from/to começa no relógio pedido com o snapshot REST anterior', async () => {
+  const dir = await recordCapture();
+  const player = new CapturePlayer({ dir, from: T0 + 500 });
+  await player.load();
+
+  assert.equal(player.now(), T0 + 500);
+  assert.equal(player.getSnapshot('rest.BTC.binance.greeks')[0].delta, 0.5);
+  player.stop();
+});
+
+test('step exige playback pausado', async () => {
+  const dir = await recordCapture();
+  const player = new CapturePlayer({ dir });
+  await player.load();
+
+  await assert.rejects(player.step(), error => error.status === 400);
+  player.stop();
+});
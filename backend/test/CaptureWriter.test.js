@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CaptureWriter = require('../src/capture/CaptureWriter');
+const { listFiles, readStream } = require('../src/capture/CaptureFiles');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'capture-writer-'));
+}
+
+async function readAll(dir, stream, from, to) {
+  const records = [];
+  for await (const record of readStream(dir, stream, from, to)) {
+    records.push(record);
+  }
+  return records;
+}
+
+const T0 = Date.UTC(2026, 0, 5, 12);
+
+test('grava NDJSON comprimido e lê de volta em ordem, com o intervalo', async () => {
+  const dir = tempDir();
+  const writer = new CaptureWriter(dir, 'spot.btcusdt@ticker');
+
+  writer.write('{"c":"100"}', T0);
+  writer.write('{"c":"101"}', T0 + 1000);
+  writer.write('{"c":"102"}', T0 + 2000);
+  await writer.close();
+
+  const records = await readAll(dir, 'spot.btcusdt@ticker');
+  assert.deepEqual(records.map(record => [record.t, record.d]), [
+    [T0, '{"c":"100"}'],
+    [T0 + 1000, '{"c":"101"}'],
+    [T0 + 2000, '{"c":"102"}']
+  ]);
+  assert.equal(records[0].s, 'spot.btcusdt@ticker');
+
+  assert.deepEqual((await readAll(dir, 'spot.btcusdt@ticker', T0 + 500, T0 + 1500)).map(record => record.t), [T0 + 1000]);
+  assert.equal(writer.getStats().messages, 3);
+});
+
+test('rotaciona por tempo e por tamanho sem repetir o nome do arquivo', async () => {
+  const dir = tempDir();
+  const writer = new CaptureWriter(dir, 'futures.btcusdt@depth', { rotateInterval: 60000, maxFileBytes: 40 });
+
+  writer.write('"a"', T0);
+  writer.write('"b"', T0);              // mesmo ms, arquivo anterior ainda abaixo do limite
+  writer.write('"c"', T0);              // limite de bytes atingido: novo arquivo em T0 + 1
+  writer.write('"d"', T0 + 60000 + 1);  // rotateInterval
+  await writer.close();
+
+  const files = listFiles(dir, 'futures.btcusdt@depth');
+  assert.equal(files.length, 3);
+  assert.equal(new Set(files.map(file => file.file)).size, 3);
+  assert.deepEqual(files.map(file => file.start), [T0, T0 + 1, T0 + 60001]);
+
+  const records = await readAll(dir, 'futures.btcusdt@depth');
+  assert.deepEqual(records.map(record => JSON.parse(record.d)), ['a', 'b', 'c', 'd']);
+});
+
+test('erro de escrita desativa só o stream', async () => {
+  const dir = tempDir();
+  const blocked = path.join(dir, 'blocked');
+  fs.writeFileSync(blocked, ''); // arquivo no lugar do diretório do stream
+
+  const writer = new CaptureWriter(blocked, 'spot.btcusdt@ticker');
+  writer.write('"a"', T0);
+  writer.write('"b"', T0 + 1);
+
+  assert.equal(writer.disabled, true);
+  assert.ok(writer.error);
+  assert.equal(writer.getStats().messages, 0);
+  await writer.close();
+});
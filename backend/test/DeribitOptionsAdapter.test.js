@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DeribitOptionsAdapter = require('../src/exchanges/DeribitOptionsAdapter');
+const { parseVenueList } = require('../src/exchanges/Venues');
+const Option = require('../src/models/Option');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected} (±${tolerance})`);
+};
+
+const SYMBOL ='BTC-27DEC30-100000-C';
+
+const subscription = (channel, data) => ({ jsonrpc: '2.0', method: 'subscription', params: { channel, data } });
+
+const ticker = (extra = {}) => subscription(`ticker.${SYMBOL}.agg2`, {
+  instrument_name: SYMBOL,
+  mark_price: 0.05,
+  mark_iv: 55.3,
+  best_bid_price: 0.049,
+  best_ask_price: 0.051,
+  open_interest: 120,
+  stats: { volume: 15 },
+  greeks: { delta: 0.52, gamma: 0.00001, theta: -80, vega: 120 },
+  ...extra
+});
+
+// Eventos emitidos no flush, por nome
+function collect(adapter) {
+  const events = {};
+  ['markprice', 'ticker', 'greeks', 'open-interest', 'trade'].forEach(name => {
+    adapter.on(name, payload => { (events[name] = events[name] || []).push(payload); });
+  });
+  return events;
+}
+
+test('ticker: preços em BTC convertidos pelo forward, IV em decimal e emissão em lote', () => {
+  const adapter = new DeribitOptionsAdapter({ underlying: 'BTC' });
+  const events = collect(adapter);
+
+  adapter.handleMessage(ticker({ underlying_price: 100000 }));
+  assert.deepEqual(events, {});
+
+  adapter.flush();
+  assert.deepEqual(events.markprice, [[{ symbol: SYMBOL, markPrice: 5000 }]]);
+  assert.equal(events.ticker[0][0].bidPrice, 4900);
+  assert.equal(events.ticker[0][0].askPrice, 5100);
+  assert.equal(events.ticker[0][0].volume, 15);
+  close(events.greeks[0][0].markIV, 0.553);
+  assert.equal(events.greeks[0][0].delta, 0.52);
+  assert.deepEqual(events['open-interest'], [[{ symbol: SYMBOL, openInterest: 120 }]]);
+
+  // Buffer vazio depois do flush
+  adapter.flush();
+  assert.equal(events.markprice.length, 1);
+});
+
+test('ticker antes de qualquer preço do underlying espera o índice', () => {
+  const adapter = new DeribitOptionsAdapter({ underlying: 'BTC' });
+  const events = collect(adapter);
+
+  adapter.handleMessage(ticker());
+  adapter.flush();
+  assert.deepEqual(events, {});
+
+  adapter.handleMessage(subscription('deribit_price_index.btc_usd', { price: 98000 }));
+  adapter.flush();
+  assert.deepEqual(events.markprice, [[{ symbol: SYMBOL, markPrice: 0.05 * 98000 }]]);
+});
+
+test('trades: lado do taker e preço em USD pelo index_price do trade', () => {
+  const adapter = new DeribitOptionsAdapter({ underlying: 'BTC' });
+  const events = collect(adapter);
+
+  adapter.handleMessage(subscription('trades.option.BTC.100ms', [
+    { instrument_name: SYMBOL, price: 0.05, amount: 2, direction: 'buy', index_price: 100000, timestamp: 1, trade_id: 'a' },
+    { instrument_name: SYMBOL, price: 0.04, amount: -1, direction: 'sell', timestamp: 2, trade_id: 'b' }
+  ]));
+
+  // Segundo trade sem index_price e sem índice conhecido: descartado
+  assert.deepEqual(events.trade, [
+    { symbol: SYMBOL, price: 5000, quantity: 2, side: 'BUY', timestamp: 1, tradeId: 'a' }
+  ]);
+});
+
+test('instrumentos: só as options inversas do currency, marcadas com a venue', async () => {
+  const adapter = new DeribitOptionsAdapter({ underlying: 'BTC' });
+  adapter.request = async () => [
+    { instrument_name: SYMBOL, strike: 100000, expiration_timestamp: Date.UTC(2030, 11, 27, 8), option_type: 'call', contract_size: 1 },
+    { instrument_name: 'BTC_USDC-27DEC30-100000-C', strike: 100000, expiration_timestamp: Date.UTC(2030, 11, 27, 8), option_type: 'call', contract_size: 0.01 }
+  ];
+
+  const instruments = await adapter.loadInstruments();
+  assert.equal(instruments.length, 1);
+
+  const option = new Option(instruments[0]);
+  assert.equal(option.venue, 'deribit');
+  assert.equal(option.side, 'CALL');
+  assert.equal(option.strike, 100000);
+  assert.equal(option.getExpiryKey(), '2030-12-27');
+});
+
+test('book summary sem preço do underlying fica para o próximo poll', async () => {
+  const adapter = new DeribitOptionsAdapter({ underlying: 'BTC' });
+  adapter.request = async () => [
+    { instrument_name: SYMBOL, mark_price: 0.05, mark_iv: 50, underlying_price: 100000 },
+    { instrument_name: 'BTC-27DEC30-120000-C', mark_price: 0.01, mark_iv: 60 }
+  ];
+
+  assert.deepEqual(await adapter.fetchGreeks(), [{ symbol: SYMBOL, markPrice: 5000, markIV: 0.5 }]);
+});
+
+test('símbolo da Deribit e lista de venues', () => {
+  const option = new Option({ symbol: 'BTC-5JAN30-90000-P' });
+  assert.equal(option.strike, 90000);
+  assert.equal(option.side, 'PUT');
+  assert.equal(option.expiryDate.getTime(), Date.UTC(2030, 0, 5, 8));
+
+  assert.deepEqual(parseVenueList('Binance, deribit,binance'), ['binance', 'deribit']);
+  assert.throws(() => parseVenueList('okx'), /okx/);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EscapeCalibrator = require('../src/backtest/EscapeCalibrator');
+const EscapeTypeDetector = require('../src/calculators/EscapeTypeDetector');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'escape-thresholds-'));
+}
+
+const hypothesis = (detections, precision, recall) => ({ detections, precision, recall });
+
+test('score é a média do F1 de H1/H2/H3, zerando hipóteses com poucas detecções', () => {
+  const calibrator = new EscapeCalibrator(null, { minDetections: 10 });
+  const score = calibrator.score({
+    byHypothesis: {
+      H1: hypothesis(20, 0.5, 0.5),
+      H2: hypothesis(20, 1, 0.5),
+      H3: hypothesis(5, 1, 1)
+    }
+  });
+
+  assert.ok(Math.abs(score - (0.5 + 2 / 3 + 0) / 3) < 1e-12);
+});
+
+test('normalize nunca deixa limites de intervalo invertidos', () => {
+  const thresholds = EscapeTypeDetector.mergeThresholds({
+    h1: { liquidationEnergyMin: 0.8, liquidationEnergyMax: 0.3 },
+    h2: { orderBookEnergy: 0.7, orderBookEnergyMax: 0.5 }
+  });
+  new EscapeCalibrator(null).normalize(thresholds);
+
+  assert.deepEqual([thresholds.h1.liquidationEnergyMin, thresholds.h1.liquidationEnergyMax], [0.3, 0.8]);
+  assert.deepEqual([thresholds.h2.orderBookEnergy, thresholds.h2.orderBookEnergyMax], [0.5, 0.7]);
+});
+
+test('busca aleatória reproduzível com a mesma seed', () => {
+  const run = () => {
+    const calibrator = new EscapeCalibrator(null, { iterations: 20, seed: 3 });
+    calibrator.evaluate = (samples, thresholds) => thresholds;
+    calibrator.score = (thresholds) => thresholds.h1.biPersistence;
+    return calibrator.randomSearch([], EscapeTypeDetector.mergeThresholds());
+  };
+
+  assert.deepEqual(run(), run());
+});
+
+test('um arquivo de thresholds e um histórico de versões por underlying', () => {
+  const dir = tempDir();
+  const result = {
+    underlying: 'ETH',
+    horizon: '15m',
+    method: 'random',
+    samples: { total: 200 },
+    current: { version: null, test: { score: 0.1 } },
+    calibrated: {
+      thresholds: EscapeTypeDetector.mergeThresholds({ h1: { minScore: 0.7 } }),
+      test: { score: 0.2, byHypothesis: {} }
+    }
+  };
+
+  const eth = new EscapeCalibrator(null, { underlying: 'ETH', outputFile: path.join(dir, 'escape-thresholds.ETH.json') });
+  fs.writeFileSync(path.join(dir, 'escape-thresholds.BTC.v7.json'), '{}');
+
+  assert.equal(eth.writeThresholds(result).version, 1);
+  const second = eth.writeThresholds(result);
+  assert.equal(second.version, 2);
+  assert.equal(path.basename(second.archive), 'escape-thresholds.ETH.v2.json');
+
+  const current = eth.currentThresholds();
+  assert.equal(current.version, 2);
+  assert.equal(current.thresholds.h1.minScore, 0.7);
+
+  // Arquivo de outro underlying é recusado
+  const btc = new EscapeCalibrator(null, { underlying: 'BTC', outputFile: path.join(dir, 'escape-thresholds.ETH.json') });
+  assert.throws(() => btc.currentThresholds(), /calibrated for ETH/);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('padrão do arquivo de saída é o do underlying', () => {
+  const calibrator = new EscapeCalibrator(null, { underlying: 'SOL' });
+  assert.equal(calibrator.config.outputFile, EscapeTypeDetector.thresholdsFileFor('SOL'));
+  assert.equal(path.basename(calibrator.config.outputFile), 'escape-thresholds.SOL.json');
+});
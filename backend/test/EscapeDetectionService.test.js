@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EscapeDetectionService = require('../src/database/services/EscapeDetectionService');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2026, 0, 5);
+
+// Model em memória com a parte do Sequelize que o serviço usa na gravação
+function createDatabase() {
+  const rows = [];
+  const EscapeDetection = {
+    async create(values) {
+      const row = {
+        ...values,
+        async update(changes) {
+          Object.assign(row, changes);
+          return row;
+        }
+      };
+      rows.push(row);
+      return row;
+    }
+  };
+  return { rows, getModel: () => EscapeDetection };
+}
+
+const pipeline = {
+  underlying: 'BTC',
+  assetId: 1,
+  dataCollector: { getCurrentPrice: () => 100000 }
+};
+
+const detection = (second, type, direction = 'UP') => ({
+  timestamp: new Date(START + second * 1000).toISOString(),
+  type: type,
+  direction: direction,
+  confidence: type === 'NONE' ? 0 : 70,
+  features: { regime: 'LONG_GAMMA', wallType: 'call', P_escape: 0.4 }
+});
+
+test('grava toda hipótese e substitui a amostra NONE do intervalo', async () => {
+  const database = createDatabase();
+  const service = new EscapeDetectionService(database, { sampleInterval: MINUTE });
+
+  for (const [second, type, direction] of [
+    [0, 'NONE'], [1, 'NONE'], [30, 'H2', 'DOWN'], [31, 'H2', 'DOWN'], [45, 'H3'],
+    [60, 'NONE'], [90, 'NONE'], [120, 'H2', 'DOWN']
+  ]) {
+    await service.record(pipeline, detection(second, type, direction));
+  }
+
+  assert.deepEqual(
+    database.rows.map(row => [(row.timestamp - START) / 1000, row.type]),
+    [[30, 'H2'], [45, 'H3'], [60, 'NONE'], [120, 'H2']]
+  );
+  assert.equal(database.rows[0].direction, 'DOWN');
+  assert.equal(service.stats.saved, 4);
+});
+
+test('hipótese que chega antes do create da amostra NONE terminar', async () => {
+  const database = createDatabase();
+  const service = new EscapeDetectionService(database, { sampleInterval: MINUTE });
+
+  await Promise.all([
+    service.record(pipeline, detection(0, 'NONE')),
+    service.record(pipeline, detection(1, 'H1'))
+  ]);
+
+  assert.deepEqual(database.rows.map(row => row.type), ['H1']);
+});
+
+test('sem spot não grava nem ocupa o intervalo', async () => {
+  const database = createDatabase();
+  const service = new EscapeDetectionService(database, { sampleInterval: MINUTE });
+  const noSpot = { ...pipeline, dataCollector: { getCurrentPrice: () => 0 } };
+
+  assert.equal(await service.record(noSpot, detection(0, 'NONE')), null);
+  await service.record(pipeline, detection(1, 'NONE'));
+
+  assert.equal(database.rows.length, 1);
+});
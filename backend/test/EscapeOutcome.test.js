@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EscapeOutcome = require('../src/calculators/EscapeOutcome');
+
+const MINUTE = 60 * 1000;
+
+const bar = (minute, high, low, close) => ({ openTime: minute * MINUTE, high, low, close });
+
+test('direção de referência: direção da detecção, senão a wall mais próxima', () => {
+  assert.equal(EscapeOutcome.referenceDirection('UP', 'put'), 1);
+  assert.equal(EscapeOutcome.referenceDirection('DOWN', 'call'), -1);
+  assert.equal(EscapeOutcome.referenceDirection('NEUTRAL', 'call'), 1);
+  assert.equal(EscapeOutcome.referenceDirection('NEUTRAL', 'put'), -1);
+  assert.equal(EscapeOutcome.referenceDirection('NEUTRAL', null), 0);
+});
+
+test('caminho só existe se as barras cobrem o horizonte inteiro', () => {
+  const bars = [bar(0, 101, 99, 100), bar(1, 103, 100, 102), bar(2, 102, 97, 98)];
+
+  assert.deepEqual(EscapeOutcome.pathFromBars(bars, 30 * 1000, 2 * MINUTE + 30 * 1000, MINUTE), { high: 103, low: 97, close: 98 });
+  assert.deepEqual(EscapeOutcome.pathFromBars(bars, MINUTE, 2 * MINUTE, MINUTE), { high: 103, low: 100, close: 102 });
+  assert.equal(EscapeOutcome.pathFromBars(bars, 0, 4 * MINUTE, MINUTE), null);
+  assert.equal(EscapeOutcome.pathFromBars(bars.slice(1), 0, 2 * MINUTE, MINUTE), null);
+  assert.equal(EscapeOutcome.pathFromBars([], 0, MINUTE, MINUTE), null);
+});
+
+test('amostragem: hipóteses sempre, NONE uma por intervalo sem hipótese', () => {
+  const state = {};
+  const sample = (second, type, direction = 'UP') =>
+    EscapeOutcome.sampleDetection(state, { type, direction }, second * 1000, MINUTE);
+
+  assert.equal(sample(0, 'NONE'), 'NEW');
+  assert.equal(sample(1, 'NONE'), null);
+  // A primeira hipótese do intervalo substitui a amostra NONE
+  assert.equal(sample(20, 'H1'), 'REPLACE');
+  assert.equal(sample(21, 'H1'), null);
+  assert.equal(sample(22, 'H1', 'DOWN'), 'NEW');
+  assert.equal(sample(30, 'H3'), 'NEW');
+  assert.equal(sample(40, 'NONE'), null);
+
+  // Novo intervalo: a hipótese que persiste é reamostrada
+  assert.equal(sample(60, 'H1'), 'NEW');
+  assert.equal(sample(61, 'NONE'), null);
+  assert.equal(sample(120, 'NONE'), 'NEW');
+});
+
+test('rótulos por horizonte, na ordem de prioridade', () => {
+  const label = (path, direction = 1) => EscapeOutcome.labelOutcome(100, direction, path, '15m').outcome;
+
+  // 15m: breakout 0,3%, cascade 1%
+  assert.equal(label({ high: 101.2, low: 99.9, close: 100.1 }), 'CASCADED');
+  assert.equal(label({ high: 100.6, low: 99.9, close: 100.5 }), 'BREAKOUT_HELD');
+  assert.equal(label({ high: 100.1, low: 99.5, close: 99.6 }), 'REVERSED');
+  // Rompeu e voltou para trás do preço da detecção
+  assert.equal(label({ high: 100.5, low: 99.9, close: 99.95 }), 'REVERSED');
+  assert.equal(label({ high: 100.2, low: 99.9, close: 100.1 }), 'RANGE');
+  // Queda a favor de uma detecção DOWN
+  assert.equal(label({ high: 100.1, low: 99.4, close: 99.5 }, -1), 'BREAKOUT_HELD');
+  assert.equal(label(null), 'NO_DATA');
+});
+
+test('sem direção de referência o movimento é absoluto', () => {
+  const result = EscapeOutcome.labelOutcome(100, 0, { high: 100.1, low: 99.5, close: 99.6 }, '15m');
+
+  assert.equal(result.outcome, 'BREAKOUT_HELD');
+  assert.ok(Math.abs(result.return + 0.004) < 1e-12);
+});
+
+test('precision e recall por hipótese e por regime', () => {
+  const samples = [
+    { type: 'H1', regime: 'A', outcome: 'BREAKOUT_HELD' },
+    { type: 'H1', regime: 'A', outcome: 'REVERSED' },
+    { type: 'H2', regime: 'B', outcome: 'REVERSED' },
+    { type: 'NONE', regime: 'B', outcome: 'BREAKOUT_HELD' },
+    { type: 'H3', regime: 'B', outcome: 'NO_DATA' }
+  ];
+  const result = EscapeOutcome.accuracy(samples);
+
+  assert.equal(result.labeled, 4);
+  assert.equal(result.noData, 1);
+  assert.equal(result.byHypothesis.H1.precision, 0.5);
+  // A amostra NONE conta no recall de H1
+  assert.equal(result.byHypothesis.H1.recall, 0.5);
+  assert.equal(result.byHypothesis.H2.precision, 1);
+  assert.equal(result.byHypothesis.H3.precision, null);
+  assert.deepEqual(Object.keys(result.byRegime), ['A', 'B']);
+  assert.equal(result.byRegime.B.byHypothesis.H2.recall, 1);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EscapeTypeDetector = require('../src/calculators/EscapeTypeDetector');
+
+const detector = () => new EscapeTypeDetector(null, { thresholdsFile: false });
+
+const flow = (strike, opposingUSD) => ({
+  strike: strike,
+  hedgeCoins: -opposingUSD / strike,
+  opposingCoins: opposingUSD / strike,
+  opposingUSD: opposingUSD,
+  action: 'SELL'
+});
+
+test('wall mais forte pelo contrafluxo de hedge; wall short gamma não tem força', () => {
+  const wallHedge = detector().getWallHedgeFlow({
+    wallHedgeFlow: { putWall: flow(90000, 4e6), callWall: flow(110000, 12e6) }
+  });
+  assert.equal(wallHedge.strike, 110000);
+  assert.equal(wallHedge.opposingUSD, 12e6);
+
+  const shortGamma = detector().getWallHedgeFlow({
+    wallHedgeFlow: { putWall: flow(90000, -4e6), callWall: null }
+  });
+  assert.equal(shortGamma.opposingUSD, 0);
+
+  assert.equal(detector().getWallHedgeFlow({}), null);
+});
+
+test('wallStrength normaliza o contrafluxo em $50M', () => {
+  const component = (wallHedgeFlow) => detector().calculateGEXComponent({
+    totalGEX: 0,
+    putWall: { strike: 90000, gex: -2e8 },
+    callWall: { strike: 110000, gex: 3e8 },
+    wallHedgeFlow: wallHedgeFlow
+  }, 100000);
+
+  const partial = component({ putWall: flow(90000, 5e6), callWall: flow(110000, 12.5e6) });
+  assert.equal(partial.wallStrengthSource, 'HEDGE_FLOW');
+  assert.equal(partial.wallStrength, 0.25);
+
+  assert.equal(component({ putWall: flow(90000, 80e6), callWall: null }).wallStrength, 1);
+  assert.equal(component({ putWall: flow(90000, -5e6), callWall: null }).wallStrength, 0);
+
+  // Sem simulador: força pelo GEX da wall ($1B = 1.0)
+  const fallback = component(undefined);
+  assert.equal(fallback.wallStrengthSource, 'GEX');
+  assert.equal(fallback.wallStrength, 0.3);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FuturesCollector = require('../src/collectors/FuturesCollector');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected} (±${tolerance})`);
+};
+
+const MINUTE = 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5, 8);
+const FUNDING_TIMES = [0, 8, 16, 24].map(hours => T0 + hours * 60 * MINUTE);
+
+// Respostas da fapi por chave de snapshot; séries fora de ordem como na API
+const RESPONSES = {
+  'premium-index': { markPrice: '100100', indexPrice: '100000', lastFundingRate: '0.0003', nextFundingTime: T0 + 8 * 60 * MINUTE, time: T0 },
+  'open-interest': { openInterest: '104800', time: T0 },
+  'open-interest-hist': Array.from({ length: 49 }, (_, i) => ({
+    timestamp: T0 - (48 - i) * 5 * MINUTE,
+    sumOpenInterest: String(100000 * (1 + 0.001 * i)),
+    sumOpenInterestValue: String(100000 * (1 + 0.001 * i) * 100000)
+  })).reverse(),
+  'long-short-global': [
+    { timestamp: T0, longShortRatio: '2.0', longAccount: '0.6667', shortAccount: '0.3333' },
+    { timestamp: T0 - 60 * MINUTE, longShortRatio: '1.6', longAccount: '0.6154', shortAccount: '0.3846' }
+  ],
+  'long-short-top': [{ timestamp: T0, longShortRatio: '1.5', longAccount: '0.6', shortAccount: '0.4' }],
+  'funding-history': [0.0001, 0.0002, 0.0003, 0.0004].map((rate, i) => ({ fundingTime: FUNDING_TIMES[i], fundingRate: String(rate) }))
+};
+
+function createCollector(responses = RESPONSES) {
+  const collector = new FuturesCollector({ symbol: 'btcusdt' });
+  collector.get = async (key) => {
+    if (!(key in responses)) throw new Error(`sem resposta para ${key}`);
+    return responses[key];
+  };
+  return collector;
+}
+
+test('métricas: funding anualizado, basis, variação do OI e long/short', async () => {
+  const collector = createCollector();
+  await collector.fetchAll();
+  const metrics = collector.getMetrics();
+
+  assert.equal(metrics.symbol, 'BTCUSDT');
+  close(metrics.funding.annualized, 0.0003 * 3 * 365);
+  close(metrics.funding.average24h, 0.0003);
+  assert.deepEqual(metrics.funding.history.map(item => item.time), FUNDING_TIMES);
+
+  assert.equal(metrics.basis.basis, 100);
+  close(metrics.basis.basisPct, 0.001);
+
+  // OI em contratos pelo mark; variações contra o ponto de 1h/4h atrás
+  assert.equal(metrics.openInterest.usd, 104800 * 100100);
+  close(metrics.openInterest.change1h, 1.048 / 1.036 - 1);
+  close(metrics.openInterest.change4h, 0.048);
+
+  assert.equal(metrics.longShort.global.ratio, 2);
+  close(metrics.longShort.global.change1h, 0.25);
+  assert.equal(metrics.longShort.top.ratio, 1.5);
+  assert.equal(metrics.longShort.top.change1h, null);
+});
+
+test('energia de alavancagem: pesos dos componentes e lado lotado', async () => {
+  const collector = createCollector();
+  await collector.fetchAll();
+  const energy = collector.getEnergyScore();
+
+  const expected = {
+    openInterest: (1.048 / 1.036 - 1) / 0.05,
+    funding: 0.0003 * 3 * 365 / 0.5,
+    crowding: Math.log(2) / Math.log(3),
+    basis: 0.5
+  };
+  Object.keys(expected).forEach(key => close(energy.components[key], expected[key]));
+  close(energy.score, expected.openInterest * 0.35 + expected.funding * 0.3 + expected.crowding * 0.2 + expected.basis * 0.15);
+  assert.equal(energy.level, 'MEDIUM');
+  assert.equal(energy.bias, 'LONG_CROWDED');
+
+  // Funding negativo com contas vendidas: shorts lotados
+  collector.handleMessage(JSON.stringify({ e: 'markPriceUpdate', E: T0, p: '99900', i: '100000', r: '-0.0005', T: T0 }));
+  collector.longShort.global = [{ time: T0, ratio: 0.5, longAccount: 0.3333, shortAccount: 0.6667 }];
+  assert.equal(collector.getEnergyScore().bias, 'SHORT_CROWDED');
+});
+
+test('mark price do WebSocket substitui o premium index e falhas do REST são isoladas', async () => {
+  const responses = { ...RESPONSES };
+  delete responses['long-short-top'];
+  const collector = createCollector(responses);
+
+  const updates = [];
+  collector.on('updated', metrics => updates.push(metrics));
+  await collector.fetchAll();
+
+  // Uma série falhou, as demais foram carregadas
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].longShort.top.ratio, null);
+  assert.equal(updates[0].longShort.global.ratio, 2);
+
+  const premiums = [];
+  collector.on('premium-updated', basis => premiums.push(basis));
+  collector.handleMessage(JSON.stringify({ e: 'markPriceUpdate', E: T0 + MINUTE, p: '100300', i: '100100', r: '0.0001', T: T0 }));
+  collector.handleMessage(JSON.stringify({ e: 'other' }));
+  collector.handleMessage('{');
+
+  assert.equal(premiums.length, 1);
+  assert.equal(premiums[0].basis, 200);
+  assert.equal(collector.getFunding().rate, 0.0001);
+});
@@ -0,0 +1,245 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GEXCalculator = require('../src/calculators/GEXCalculator');
+const BlackScholes = require('../src/calculators/BlackScholes');
+const Option = require('../src/models/Option');
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} != ${expected} (±${tolerance})`);
+};
+
+const SPOT = 100000;
+const IV = 0.6;
+const EXPIRY = Date.now() + 30 * 24 * 60 * 60 * 1000;
+
+function option(strike, side, openInterest) {
+  const result = new Option({
+    symbol: `BTC-TEST-${strike}-${side[0]}`,
+    strikePrice: strike,
+    expiryDate: EXPIRY,
+    side: side,
+    markIV: IV,
+    contractSize: 1
+  });
+  result.updateOpenInterest(openInterest);
+  return result;
+}
+
+// Classic: dealer comprado nas calls (+OI) e vendido nas puts (-OI)
+const chain = () => [option(110000, 'CALL', 100), option(90000, 'PUT', 100)];
+
+test('zero gamma: curva reprecifica o gamma com Black-Scholes em cada spot da grade', () => {
+  const calculator = new GEXCalculator(SPOT, { dealerModel: 'classic' });
+  const result = calculator.findZeroGamma(chain(), { rangePercent: 0.2, steps: 41 });
+
+  assert.equal(result.curve.length, 41);
+  close(result.range.minSpot, 80000, 1e-6);
+  close(result.range.maxSpot, 120000, 1e-6);
+
+  const t = BlackScholes.yearsToExpiry(EXPIRY);
+  result.curve.forEach(({ spot, totalGEX }) => {
+    const expected = (BlackScholes.gamma(spot, 110000, t, IV) * 100 -
+      BlackScholes.gamma(spot, 90000, t, IV) * 100) * spot * spot * 0.01;
+    close(totalGEX, expected, Math.abs(expected) * 1e-6 + 1e-6, `spot ${spot}`);
+  });
+});
+
+test('zero gamma: cruzamento interpolado entre os pontos da grade que trocam de sinal', () => {
+  const calculator = new GEXCalculator(SPOT, { dealerModel: 'classic' });
+  const result = calculator.findZeroGamma(chain(), { rangePercent: 0.2, steps: 41 });
+
+  // Puts (short gamma) dominam abaixo, calls (long gamma) acima
+  assert.ok(result.curve[0].totalGEX < 0);
+  assert.ok(result.curve[result.curve.length - 1].totalGEX > 0);
+  assert.equal(result.crossings.length, 1);
+  assert.equal(result.crossings[0].direction, 'NEGATIVE_TO_POSITIVE');
+  assert.equal(result.confidence, 'HIGH');
+
+  const i = result.curve.findIndex(point => point.totalGEX > 0);
+  const before = result.curve[i - 1];
+  const after = result.curve[i];
+  assert.ok(result.level > before.spot && result.level < after.spot);
+  close(result.level, before.spot + (after.spot - before.spot) * (-before.totalGEX / (after.totalGEX - before.totalGEX)), 1e-6);
+  close(result.distanceFromSpot, result.level - SPOT, 1e-6);
+});
+
+test('zero gamma: sem options precificáveis não há nível', () => {
+  const calculator = new GEXCalculator(SPOT, { dealerModel: 'classic' });
+  const expired = option(100000, 'CALL', 100);
+  expired.expiryDate = new Date(Date.now() - 1000);
+
+  const result = calculator.findZeroGamma([expired, option(100000, 'PUT', 0)]);
+  assert.equal(result.level, null);
+  assert.equal(result.confidence, 'NONE');
+  assert.deepEqual(result.curve, []);
+});
+
+test('vanna e charm exposure: greek × contract size × posição do dealer × spot, por strike e por expiry', () => {
+  const call = option(100000, 'CALL', 100);
+  const put = option(100000, 'PUT', 50);
+  const later = option(110000, 'CALL', 10);
+  later.expiryDate = new Date(EXPIRY + 7 * 24 * 60 * 60 * 1000);
+  [call, put, later].forEach(item => {
+    item.vanna = 2;
+    item.charm = -0.01;
+  });
+
+  const calculator = new GEXCalculator(SPOT, { dealerModel: 'classic' });
+  const vanna = calculator.calculateVannaProfile([call, put, later]);
+
+  // Dealer +100 calls, -50 puts, +10 calls: 2 × posição × 100000
+  assert.deepEqual(vanna.total, { total: 1.2e7, calls: 2.2e7, puts: -1e7 });
+  assert.deepEqual(vanna.byStrike.map(row => [row.strike, row.total, row.callOI, row.putOI]), [
+    [100000, 1e7, 100, 50],
+    [110000, 2e6, 10, 0]
+  ]);
+  assert.deepEqual(vanna.byExpiry.map(row => [row.expiry, row.total, row.optionsCount]), [
+    [new Date(EXPIRY).toISOString().slice(0, 10), 1e7, 2],
+    [later.expiryDate.toISOString().slice(0, 10), 2e6, 1]
+  ]);
+
+  const charm = calculator.calculateCharmProfile([call, put, later]);
+  close(charm.total.total, -0.01 * 60 * SPOT, 1e-6);
+
+  // Sem a greek (GreeksEngine ainda não rodou): exposição zero
+  const empty = option(100000, 'CALL', 100);
+  assert.equal(calculator.calculateOptionVannaExposure(empty), 0);
+  assert.equal(calculator.calculateOptionCharmExposure(empty), 0);
+
+  // Totais no payload de métricas
+  const metrics = calculator.calculateAllMetrics([call, put, later]);
+  assert.deepEqual(metrics.totalVanna, vanna.total);
+  assert.deepEqual(metrics.totalCharm, charm.total);
+});
+
+// Dois vencimentos: o mais próximo concentra as walls
+function expiryChain() {
+  const far = new Date(EXPIRY + 28 * 24 * 60 * 60 * 1000);
+  const chain = [
+    option(90000, 'PUT', 1000),
+    option(110000, 'CALL', 500),
+    option(85000, 'PUT', 300),
+    option(115000, 'CALL', 300)
+  ];
+  chain.slice(2).forEach(item => { item.expiryDate = far; });
+  chain.forEach(item => { item.gamma = 0.00002; });
+  return chain;
+}
+
+test('GEX por vencimento: cada expiry com GEX, walls e participação no GEX bruto', () => {
+  const calculator = new GEXCalculator(SPOT, { dealerModel: 'classic' });
+  const chain = expiryChain();
+  const breakdown = calculator.calculateGEXByExpiry(chain);
+
+  assert.deepEqual(breakdown.map(item => item.expiry), [
+    new Date(EXPIRY).toISOString().slice(0, 10),
+    chain[2].expiryDate.toISOString().slice(0, 10)
+  ]);
+  assert.deepEqual(breakdown.map(item => [item.putWall.strike, item.callWall.strike, item.optionsCount, item.totalOI]), [
+    [90000, 110000, 2, 1500],
+    [85000, 115000, 2, 600]
+  ]);
+  close(breakdown[0].totalGEX.total, calculator.calculateTotalGEX(chain.slice(0, 2)).total, 1e-6);
+  close(breakdown[0].hoursToExpiry, (EXPIRY - Date.now()) / 3600000, 0.01);
+
+  // Próximo: 0.00002 × (500 - 1000) × 100000² × 0.01 = -1e6; seguinte: calls e puts se anulam
+  close(breakdown[0].totalGEX.total, -1e6, 1e-6);
+  close(breakdown.reduce((sum, item) => sum + item.gexSharePercent, 0), 100, 1e-9);
+  close(breakdown[0].gexSharePercent, 100, 1e-9);
+
+  // Filtro por expiry não substitui as métricas completas
+  const full = calculator.calculateAllMetrics(chain);
+  const later = calculator.calculateAllMetrics(chain, { expiry: breakdown[1].expiry });
+  assert.equal(later.expiry, breakdown[1].expiry);
+  assert.equal(later.putWall.strike, 85000);
+  assert.equal(calculator.getGEX(), full);
+});
+
+test('projeção pós-vencimento remove o vencimento mais próximo', () => {
+  const calculator = new GEXCalculator(SPOT, { dealerModel: 'classic' });
+  const chain = expiryChain();
+  const projection = calculator.calculatePostExpiryProjection(chain);
+
+  assert.equal(projection.expiring.expiry, new Date(EXPIRY).toISOString().slice(0, 10));
+  assert.equal(projection.expiring.optionsCount, 2);
+  assert.equal(projection.remainingOptions, 2);
+  close(projection.expiring.gexRemovedPercent, 100, 1e-9);
+
+  assert.deepEqual(projection.projected, calculator.summarizeGEX(chain.slice(2)));
+  close(projection.changes.totalGEX, projection.projected.totalGEX.total - projection.current.totalGEX.total, 1e-6);
+  assert.equal(projection.changes.putWallMoved, true);
+  assert.equal(projection.changes.putWallShift, -5000);
+  assert.equal(projection.changes.callWallShift, 5000);
+
+  // Tudo vencido: nada a projetar
+  chain.forEach(item => { item.expiryDate = new Date(Date.now() - 1000); });
+  const expired = calculator.calculatePostExpiryProjection(chain);
+  assert.equal(expired.expiring, null);
+  assert.equal(expired.projected, null);
+});
+
+test('DEX: delta × contract size × posição do dealer × spot, por lado e por strike', () => {
+  const call = option(110000, 'CALL', 100);
+  const put = option(90000, 'PUT', 100);
+  call.delta = 0.3;
+  put.delta = -0.2;
+
+  const dex = new GEXCalculator(SPOT, { dealerModel: 'classic' }).calculateDeltaProfile([call, put]);
+
+  // Dealer +100 calls: 0.3 × 100 × 100000; dealer -100 puts: -0.2 × -100 × 100000
+  assert.deepEqual(dex.total, { total: 5e6, calls: 3e6, puts: 2e6 });
+  assert.deepEqual(dex.byStrike.map(row => [row.strike, row.total]), [[90000, 2e6], [110000, 3e6]]);
+
+  const customerLong = new GEXCalculator(SPOT, { dealerModel: 'customer-long' }).calculateDeltaProfile([call, put]);
+  assert.deepEqual(customerLong.total, { total: -1e6, calls: -3e6, puts: 2e6 });
+});
+
+// Vencimento em 1 hora: delta ≈ 0 a 10% OTM e ≈ 0.5 no strike
+function expiringOption(strike, side, openInterest) {
+  const result = option(strike, side, openInterest);
+  result.expiryDate = new Date(Date.now() + 60 * 60 * 1000);
+  return result;
+}
+
+test('hedge flow: long gamma vende na alta (contra o movimento), short gamma acompanha', () => {
+  const calls = [expiringOption(110000, 'CALL', 100)];
+  const longGamma = new GEXCalculator(SPOT, { dealerModel: 'classic' }).simulateHedgeFlow(calls, { moves: [10] });
+  const shortGamma = new GEXCalculator(SPOT, { dealerModel: 'customer-long' }).simulateHedgeFlow(calls, { moves: [10] });
+
+  // Dealer +100 calls: delta vai de ~0 a ~50 moedas até o strike => vende ~50
+  const [up] = longGamma.moves;
+  close(up.spot, 110000, 1e-6);
+  close(up.hedgeCoins, -50, 0.5);
+  assert.equal(up.action, 'SELL');
+  close(up.opposingCoins, 50, 0.5);
+  close(up.hedgeUSD, up.hedgeCoins * 110000, 1e-3);
+
+  const [shortUp] = shortGamma.moves;
+  assert.equal(shortUp.action, 'BUY');
+  close(shortUp.opposingCoins, -up.opposingCoins, 1e-3);
+
+  // Curva: ponto do spot atual sem fluxo
+  assert.equal(longGamma.curve.length, 41);
+  close(longGamma.curve[20].hedgeCoins, 0, 1e-9);
+  assert.equal(longGamma.curve[20].action, 'NONE');
+});
+
+test('hedge flow até as walls: sinais e magnitudes numa chain calculada à mão', () => {
+  const calculator = new GEXCalculator(SPOT, { dealerModel: 'classic' });
+  const chain = [expiringOption(110000, 'CALL', 100), expiringOption(90000, 'PUT', 100)];
+
+  const { putWall, callWall } = calculator.calculateWallHedgeFlow(chain, { strike: 90000 }, { strike: 110000 });
+
+  // Call wall: dealer comprado em 100 calls => vende ~50 moedas na alta (≈ $5.5M contra o movimento)
+  assert.equal(callWall.strike, 110000);
+  close(callWall.hedgeCoins, -50, 0.5);
+  close(callWall.opposingUSD, 5.5e6, 0.5 * 110000);
+
+  // Put wall: dealer vendido em 100 puts => vende ~50 moedas na queda (acompanha: ≈ -$4.5M)
+  assert.equal(putWall.strike, 90000);
+  close(putWall.hedgeCoins, -50, 0.5);
+  assert.equal(putWall.action, 'SELL');
+  close(putWall.opposingUSD, -4.5e6, 0.5 * 90000);
+
+  assert.deepEqual(calculator.calculateWallHedgeFlow(chain, null, { strike: null }), { putWall: null, callWall: null });
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalOrderBook = require('../src/collectors/LocalOrderBook');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createBook(snapshot) {
+  const book = new LocalOrderBook('btcusdt', logger, { resyncDelay: 60000 });
+  book.fetchDepthSnapshot = async () => snapshot;
+  return book;
+}
+
+const depthUpdate = (U, u, pu, b = [], a = []) => ({ e: 'depthUpdate', U, u, pu, b, a });
+
+const SNAPSHOT = {
+  lastUpdateId: 100,
+  bids: [['99', '1'], ['98', '2']],
+  asks: [['101', '1'], ['102', '3']]
+};
+
+test('eventos bufferizados: descarta os antigos e aplica a partir do snapshot', async () => {
+  const book = createBook(SNAPSHOT);
+
+  book.handleEvent(depthUpdate(90, 95, 89, [['99', '5']]));          // anterior ao snapshot
+  book.handleEvent(depthUpdate(96, 105, 95, [['98', '0']]));         // contém o lastUpdateId
+  book.handleEvent(depthUpdate(106, 110, 105, [], [['100.5', '2']]));
+  await book.resync();
+
+  assert.equal(book.synced, true);
+  assert.equal(book.lastUpdateId, 110);
+  assert.equal(book.bids.get(99), 1);
+  assert.equal(book.bids.has(98), false);
+  assert.equal(book.getBestAsk(), 100.5);
+  assert.deepEqual(book.getLevels('bids'), [[99, 1]]);
+
+  book.disconnect();
+});
+
+test('diffs ao vivo seguem a sequência pu == u anterior', async () => {
+  const book = createBook(SNAPSHOT);
+  await book.resync();
+
+  const updates = [];
+  book.on('update', event => updates.push(event.u));
+
+  book.handleEvent(depthUpdate(100, 101, 99, [['99.5', '4']]));
+  book.handleEvent(depthUpdate(102, 103, 101, [], [['101', '0']]));
+
+  assert.deepEqual(updates, [101, 103]);
+  assert.equal(book.getBestBid(), 99.5);
+  assert.equal(book.getBestAsk(), 102);
+
+  book.disconnect();
+});
+
+test('gap na sequência invalida o book e agenda o resync', async () => {
+  const book = createBook(SNAPSHOT);
+  await book.resync();
+
+  const gaps = [];
+  book.on('gap', gap => gaps.push(gap));
+
+  book.handleEvent(depthUpdate(100, 101, 99));
+  book.handleEvent(depthUpdate(110, 112, 109)); // esperado pu = 101
+
+  assert.deepEqual(gaps, [{ expected: 101, received: 109 }]);
+  assert.equal(book.synced, false);
+  assert.equal(book.lastUpdateId, 101);
+  assert.ok(book.resyncTimer);
+
+  // Eventos seguintes voltam ao buffer até o novo snapshot
+  book.handleEvent(depthUpdate(113, 114, 112));
+  assert.equal(book.buffer.length, 1);
+
+  book.disconnect();
+});
+
+test('snapshot mais velho que o stream é descartado', async () => {
+  const book = createBook(SNAPSHOT);
+
+  book.handleEvent(depthUpdate(120, 125, 119));
+  await book.resync();
+
+  assert.equal(book.synced, false);
+  assert.equal(book.stats.gaps, 1);
+
+  book.disconnect();
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MarketSimulator = require('../src/simulator/MarketSimulator');
+const { getScenario } = require('../src/simulator/scenarios');
+
+const SECOND = 1000;
+
+// Avança o simulador em passos de 1s (liquidações e trades por Poisson)
+function run(sim, from, to, messages = []) {
+  sim.on('message', (stream, payload) => messages.push([stream, payload]));
+  sim.lastTick = from;
+  for (let now = from + SECOND; now <= to; now += SECOND) {
+    sim.tick(now);
+  }
+  sim.removeAllListeners('message');
+  return messages;
+}
+
+test('mesma seed, mesmo mercado', () => {
+  const a = new MarketSimulator({ underlying: 'BTC', seed: 42 });
+  const b = new MarketSimulator({ underlying: 'BTC', seed: 42 });
+  const other = new MarketSimulator({ underlying: 'BTC', seed: 43 });
+
+  assert.deepEqual(a.instruments.map(item => item.openInterest), b.instruments.map(item => item.openInterest));
+  assert.notDeepEqual(a.instruments.map(item => item.openInterest), other.instruments.map(item => item.openInterest));
+
+  const start = Date.now();
+  run(a, start, start + 30 * SECOND);
+  run(b, start, start + 30 * SECOND);
+  assert.equal(a.spot, b.spot);
+  assert.notEqual(a.spot, 100000);
+});
+
+test('chain: strikes em ±30%, walls a ±5% com o maior OI de cada lado', () => {
+  const sim = new MarketSimulator({ underlying: 'BTC', seed: 1 });
+  assert.deepEqual(sim.levels, { callWall: 105000, putWall: 95000 });
+
+  const strikes = sim.instruments.map(item => item.strike);
+  assert.equal(Math.min(...strikes), 70000);
+  assert.equal(Math.max(...strikes), 130000);
+
+  // Por vencimento: call wall e put wall concentram o OI
+  const expiries = [...new Set(sim.instruments.map(item => item.expiryDate))];
+  assert.equal(expiries.length, 8);
+  expiries.forEach(expiry => {
+    const top = (side) => sim.instruments
+      .filter(item => item.expiryDate === expiry && item.side === side)
+      .reduce((best, item) => item.openInterest > best.openInterest ? item : best);
+    assert.equal(top('CALL').strike, 105000);
+    assert.equal(top('PUT').strike, 95000);
+  });
+
+  // Símbolo e /openInterest no formato YYMMDD da Binance
+  const expiration = sim.formatExpiry(expiries[0]);
+  const rows = sim.getOpenInterest(expiration);
+  assert.equal(rows.length, sim.instruments.filter(item => item.expiryDate === expiries[0]).length);
+  assert.ok(rows.every(row => row.symbol.startsWith(`BTC-${expiration}-`)));
+});
+
+test('cotação: spread em torno do mark, skew de puts e gregas coerentes', () => {
+  const sim = new MarketSimulator({ underlying: 'BTC', seed: 1 });
+  const find = (strike, side) => sim.instruments.find(item => item.strike === strike && item.side === side && item.expiryDate === sim.instruments[0].expiryDate);
+
+  const call = sim.quote(find(100000, 'CALL'));
+  assert.ok(call.bidPrice < call.markPrice && call.markPrice < call.askPrice);
+  assert.ok(call.delta > 0.4 && call.delta < 0.6);
+  assert.ok(call.gamma > 0);
+
+  const put = sim.quote(find(90000, 'PUT'));
+  assert.ok(put.delta < 0);
+  assert.ok(put.markIV > call.markIV);
+});
+
+test('cenário: fases com drift, liquidações do lado do cenário e volta ao calm', () => {
+  const sim = new MarketSimulator({ underlying: 'BTC', seed: 7 });
+  assert.throws(() => sim.setScenario('moon'), /moon/);
+
+  const scenario = getScenario('liquidation-cascade');
+  sim.setScenario(scenario.id);
+  const start = sim.scenarioStart;
+
+  // Meio da fase principal: spot caindo e longs liquidados
+  const messages = run(sim, start, start + 0.5 * scenario.duration);
+  assert.equal(sim.phaseIndex, 1);
+  assert.ok(sim.drift < 0);
+
+  const liquidations = messages.filter(([stream]) => stream === 'btcusdt@forceOrder');
+  assert.ok(liquidations.length > 0);
+  assert.ok(liquidations.every(([, payload]) => payload.o.S === 'SELL'));
+
+  sim.tick(start + scenario.duration);
+  assert.equal(sim.getStatus().scenario.id, 'calm');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MaxPainCalculator = require('../src/calculators/MaxPainCalculator');
+const Option = require('../src/models/Option');
+
+const NEAR = Date.UTC(2030, 0, 4, 8);
+const FAR = Date.UTC(2030, 0, 25, 8);
+
+function option(strike, side, openInterest, expiryDate = NEAR, contractSize = 1) {
+  const option = new Option({
+    symbol: `BTC-300104-${strike}-${side[0]}`,
+    strikePrice: strike,
+    expiryDate: expiryDate,
+    side: side,
+    contractSize: contractSize
+  });
+  option.updateOpenInterest(openInterest);
+  return option;
+}
+
+// callPain(S) = Σ callOI × max(0, S − K), putPain(S) = Σ putOI × max(0, K − S)
+const CHAIN = [
+  option(90, 'CALL', 1), option(90, 'PUT', 10),
+  option(100, 'CALL', 5), option(100, 'PUT', 5),
+  option(110, 'CALL', 12), option(110, 'PUT', 1)
+];
+
+test('max pain é a liquidação com menor payout total', () => {
+  const result = new MaxPainCalculator().calculateMaxPain(CHAIN, 100);
+
+  assert.deepEqual(result.painCurve.map(point => point.totalPain), [70, 20, 70]);
+  assert.equal(result.maxPainStrike, 100);
+  assert.equal(result.totalPain, 20);
+  assert.equal(result.callPain, 10);
+  assert.equal(result.putPain, 10);
+  assert.equal(result.maxPainOI, 10);
+});
+
+test('OI magnet é o strike de maior OI total', () => {
+  const result = new MaxPainCalculator().calculateMaxPain(CHAIN, 100);
+
+  assert.equal(result.oiMagnet.strike, 110);
+  assert.equal(result.oiMagnet.totalOI, 13);
+  assert.equal(result.oiMagnet.distancePct, 10);
+});
+
+test('payout em unidades do underlying (OI × contractSize)', () => {
+  const chain = CHAIN.map(item => option(item.strike, item.side, item.openInterest, NEAR, 0.1));
+  const result = new MaxPainCalculator().calculateMaxPain(chain, 100);
+
+  assert.equal(result.maxPainStrike, 100);
+  assert.ok(Math.abs(result.totalPain - 2) < 1e-9);
+});
+
+test('vencimentos não se somam: padrão é o mais próximo', () => {
+  // Vencimento distante puxaria o max pain para 90 se o OI fosse somado
+  const chain = [...CHAIN, option(90, 'CALL', 100, FAR), option(110, 'PUT', 50, FAR)];
+  const calculator = new MaxPainCalculator();
+
+  const near = calculator.calculateMaxPain(chain, 100);
+  assert.equal(near.expiry, '2030-01-04');
+  assert.equal(near.maxPainStrike, 100);
+  assert.deepEqual(near.expiries.map(item => item.expiry), ['2030-01-04', '2030-01-25']);
+
+  const far = calculator.calculateMaxPain(chain, 100, null, '2030-01-25');
+  assert.equal(far.maxPainStrike, 90);
+  assert.equal(calculator.calculateMaxPain(chain, 100, null, '2031-01-01'), null);
+});
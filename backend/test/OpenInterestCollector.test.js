@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OpenInterestCollector = require('../src/collectors/OpenInterestCollector');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected} (±${tolerance})`);
+};
+
+const HOUR = 60 * 60 * 1000;
+const CALL = 'BTC-300104-100000-C';
+const PUT = 'BTC-300104-90000-P';
+
+test('poll guarda o OI por venue e só grava histórico quando o OI muda', async () => {
+  let rows = [{ symbol: CALL, openInterest: 100 }, { symbol: PUT, openInterest: 50 }];
+  const collector = new OpenInterestCollector({
+    adapters: [{ venue: 'deribit', fetchOpenInterest: async () => rows }]
+  });
+  collector.setSpotPrice(100000);
+
+  await collector.fetchAllOpenInterest();
+  await collector.fetchAllOpenInterest();
+  rows = [{ symbol: CALL, openInterest: 120 }, { symbol: PUT, openInterest: 50 }];
+  await collector.fetchAllOpenInterest();
+
+  assert.equal(collector.getOpenInterest(CALL), 120);
+  assert.equal(collector.getAllOpenInterest()[0].venue, 'deribit');
+  assert.deepEqual(collector.history.get(CALL).map(point => point.openInterest), [100, 120]);
+  assert.equal(collector.history.get(PUT).length, 1);
+  assert.equal(collector.spotHistory.length, 3);
+});
+
+test('variações por janela contra o valor vigente no início da janela', () => {
+  const collector = new OpenInterestCollector();
+  const now = Date.now();
+
+  // OI: 100 há 30h, 80 há 5h, 90 há 2h, 120 há 30min
+  [[30, 100], [5, 80], [2, 90], [0.5, 120]].forEach(([hours, oi]) => collector.recordHistory(CALL, oi, now - hours * HOUR));
+  collector.openInterestData.set(CALL, { symbol: CALL, openInterest: 120, venue: 'binance' });
+
+  const change = (window) => collector.getSymbolChanges(window)[0];
+  assert.deepEqual([change('1h').previous, change('4h').previous, change('24h').previous], [90, 80, 100]);
+  close(change('1h').changePct, 120 / 90 - 1);
+  assert.equal(change('24h').partial, false);
+
+  // Ponto mais antigo que 24h mantido só como base
+  collector.recordHistory(CALL, 130, now);
+  assert.deepEqual(collector.history.get(CALL).map(point => point.openInterest), [100, 80, 90, 120, 130]);
+  collector.recordHistory(CALL, 140, now + 20 * HOUR);
+  assert.deepEqual(collector.history.get(CALL).map(point => point.openInterest), [80, 90, 120, 130, 140]);
+
+  // Spot com histórico mais curto que a janela: variação parcial
+  [[2, 100000], [0.5, 101000]].forEach(([hours, price]) => {
+    collector.setSpotPrice(price);
+    collector.recordSpot(now - hours * HOUR);
+  });
+  collector.setSpotPrice(102000);
+  close(collector.getPriceChange('1h').changePct, 102000 / 100000 - 1);
+  assert.equal(collector.getPriceChange('4h').partial, true);
+});
+
+test('posicionamento pelo sinal do OI e do preço, com limiares mínimos', () => {
+  const collector = new OpenInterestCollector();
+  const cases = [
+    [0.05, 0.01, 'LONG_BUILDUP'],
+    [0.05, -0.01, 'SHORT_BUILDUP'],
+    [0.05, 0.001, 'BUILDUP'],
+    [-0.05, 0.01, 'SHORT_COVERING'],
+    [-0.05, -0.01, 'LONG_UNWINDING'],
+    [-0.05, null, 'UNWINDING'],
+    [0.01, 0.05, 'NO_CHANGE'],
+    [null, 0.05, 'NO_CHANGE']
+  ];
+
+  cases.forEach(([oi, price, expected]) => {
+    assert.equal(collector.classifyPositioning(oi, price), expected, `${oi} / ${price}`);
+  });
+});
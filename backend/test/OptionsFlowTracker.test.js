@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OptionsFlowTracker = require('../src/collectors/OptionsFlowTracker');
+const Option = require('../src/models/Option');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected} (±${tolerance})`);
+};
+
+const SPOT = 100000;
+const EXPIRY = new Date(Date.UTC(2030, 0, 4, 8));
+const silent = { info() {}, warn() {}, error() {} };
+
+function option(strike, side, bid, ask) {
+  const result = new Option({
+    symbol: `BTC-300104-${strike}-${side[0]}`,
+    strikePrice: strike,
+    expiryDate: EXPIRY,
+    side: side,
+    delta: side === 'CALL' ? 0.5 : -0.4,
+    gamma: 0.00002,
+    vega: 50
+  });
+  result.updateTicker({ bidPrice: bid, askPrice: ask });
+  return result;
+}
+
+function createTracker(config = {}) {
+  const tracker = new OptionsFlowTracker(silent, config);
+  let id = 0;
+  const trade = (opt, price, quantity, side = 'BUY', timestamp = Date.now()) =>
+    tracker.addTrade({ symbol: opt.symbol, price: String(price), quantity: String(quantity), side, timestamp, tradeId: String(++id) }, opt, SPOT);
+  return { tracker, trade };
+}
+
+test('agressor pela regra do quote, midpoint e lado da exchange', () => {
+  const { tracker, trade } = createTracker();
+  const call = option(100000, 'CALL', 1000, 1100);
+  const noQuote = option(110000, 'CALL', 0, 0);
+
+  try {
+    assert.deepEqual([trade(call, 1100, 1, 'SELL').aggressor, trade(call, 1100, 1, 'SELL').method], ['BUY', 'quote']);
+    assert.equal(trade(call, 1000, 1, 'BUY').aggressor, 'SELL');
+    assert.deepEqual([trade(call, 1080, 1, 'SELL').aggressor, trade(call, 1080, 1, 'SELL').method], ['BUY', 'midpoint']);
+    assert.equal(trade(call, 1020, 1, 'BUY').aggressor, 'SELL');
+
+    // No mid ou sem bid/ask: taker informado pela exchange
+    assert.deepEqual([trade(call, 1050, 1, 'SELL').aggressor, trade(call, 1050, 1, 'SELL').method], ['SELL', 'exchange']);
+    assert.equal(trade(noQuote, 200, 1, 'BUY').aggressor, 'BUY');
+  } finally {
+    tracker.stop();
+  }
+});
+
+test('fluxo líquido: prêmio, delta e gamma assinados pelo agressor, por strike e vencimento', () => {
+  const { tracker, trade } = createTracker();
+  const call = option(100000, 'CALL', 1000, 1100);
+  const put = option(95000, 'PUT', 500, 550);
+
+  try {
+    trade(call, 1100, 3);   // clientes compram 3 calls
+    trade(put, 500, 3);     // clientes vendem 3 puts
+    trade(call, 1100, 4, 'SELL', Date.now() - 2 * 60 * 60 * 1000); // fora de 1h, dentro de 4h
+
+    const flow = tracker.getFlow('1h');
+    assert.equal(flow.totals.trades, 2);
+    assert.equal(flow.totals.netPremium, 3 * 1100 - 3 * 500);
+    close(flow.totals.netDelta, 3 * 0.5 - 3 * -0.4);
+
+    // Gamma em USD por 1%: S² × 1%
+    const gammaUsd = 0.00002 * SPOT * SPOT * 0.01;
+    close(flow.totals.netGamma, 0);
+    close(flow.totals.grossGamma, 6 * gammaUsd);
+    assert.equal(flow.totals.gammaBias, 'BALANCED');
+
+    assert.deepEqual(flow.byStrike.map(row => [row.strike, row.calls.buyCount, row.puts.sellCount]), [[95000, 0, 1], [100000, 1, 0]]);
+    assert.deepEqual(flow.byExpiry.map(row => [row.expiry, row.trades]), [['2030-01-04', 2]]);
+    assert.deepEqual(flow.classification, { quote: 2, midpoint: 0, exchange: 0 });
+
+    const summary = tracker.getSummary();
+    assert.equal(summary['1h'].trades, 2);
+    assert.equal(summary['4h'].trades, 3);
+    assert.equal(summary['4h'].gammaBias, 'CUSTOMERS_BUYING_GAMMA');
+    assert.equal(tracker.getFlow('1h', '2030-02-01').totals.trades, 0);
+  } finally {
+    tracker.stop();
+  }
+});
+
+test('blocos por prêmio, notional e múltiplo da mediana recente', () => {
+  const { tracker, trade } = createTracker({ blockPremium: 100000, blockNotional: 5000000, minSizeSamples: 5 });
+  const call = option(100000, 'CALL', 1000, 1100);
+  const blocks = [];
+  tracker.on('block', print => blocks.push(print.quantity));
+
+  try {
+    // Abaixo da amostra mínima nenhum múltiplo vale
+    for (let i = 0; i < 4; i++) trade(call, 1100, 1);
+    assert.equal(trade(call, 1100, 30).block, false);
+
+    assert.equal(trade(call, 1100, 100).block, true);   // prêmio 110000
+    assert.equal(trade(call, 10, 60).block, true);      // notional 6M
+    assert.equal(trade(call, 1100, 20).block, true);    // 20 × mediana (1)
+    assert.equal(trade(call, 1100, 19).block, false);
+
+    assert.deepEqual(blocks, [100, 60, 20]);
+    assert.deepEqual(tracker.getBlocks(2).map(print => print.quantity), [20, 60]);
+    assert.equal(tracker.getStats().totalBlocks, 3);
+  } finally {
+    tracker.stop();
+  }
+});
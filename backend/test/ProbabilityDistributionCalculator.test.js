@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProbabilityDistributionCalculator = require('../src/calculators/ProbabilityDistributionCalculator');
+const BlackScholes = require('../src/calculators/BlackScholes');
+const Option = require('../src/models/Option');
+
+const NOW = Date.UTC(2025, 0, 1, 8);
+const EXPIRY = NOW + 30 * 24 * 60 * 60 * 1000;
+const SPOT = 100000;
+const IV = 0.6;
+
+// Smile flat: a distribuição implícita deve ser a lognormal de Black-Scholes
+function flatChain() {
+  const options = [];
+  for (let strike = 70000; strike <= 130000; strike += 5000) {
+    ['CALL', 'PUT'].forEach(side => {
+      options.push(new Option({
+        symbol: `BTC-250131-${strike}-${side[0]}`,
+        strikePrice: strike,
+        expiryDate: EXPIRY,
+        side: side,
+        markIV: IV
+      }));
+    });
+  }
+  return options;
+}
+
+test('smile flat reproduz a lognormal (Breeden-Litzenberger)', () => {
+  const calculator = new ProbabilityDistributionCalculator({ riskFreeRate: 0.0001 });
+  const result = calculator.calculate(flatChain(), SPOT, { now: NOW });
+  const distribution = ProbabilityDistributionCalculator.nearest(result);
+
+  const t = BlackScholes.yearsToExpiry(EXPIRY, NOW);
+  const sigma = IV * Math.sqrt(t);
+
+  assert.equal(result.distributions.length, 1);
+  assert.equal(distribution.expiry, '2025-01-31');
+  assert.ok(distribution.coverage > 0.99);
+  assert.ok(Math.abs(distribution.mean / distribution.forward - 1) < 0.005, `mean ${distribution.mean}`);
+  assert.ok(Math.abs(distribution.median / (distribution.forward * Math.exp(-sigma * sigma / 2)) - 1) < 0.005, `median ${distribution.median}`);
+  assert.ok(Math.abs(distribution.stdDev / (SPOT * Math.sqrt(Math.exp(sigma * sigma) - 1)) - 1) < 0.03, `stdDev ${distribution.stdDev}`);
+
+  // P(S_T <= spot) = N(σ√t / 2) na lognormal
+  const below = ProbabilityDistributionCalculator.cdfAt(distribution.points, SPOT);
+  assert.ok(Math.abs(below - BlackScholes.normCdf(sigma / 2)) < 0.01, `cdf ${below}`);
+});
+
+test('níveis recebem probabilidades acima/abaixo complementares', () => {
+  const calculator = new ProbabilityDistributionCalculator();
+  const result = calculator.calculate(flatChain(), SPOT, {
+    now: NOW,
+    levels: [{ name: 'callWall', price: 120000 }, { name: 'putWall', price: 80000 }, { name: 'invalid', price: 0 }]
+  });
+  const levels = result.distributions[0].levels;
+
+  assert.deepEqual(levels.map(level => level.name), ['callWall', 'putWall']);
+  levels.forEach(level => assert.ok(Math.abs(level.probAbove + level.probBelow - 1) < 1e-12));
+  assert.ok(levels[0].probAbove < 0.5 && levels[1].probBelow < 0.5);
+});
+
+test('CDF e quantil são inversos e a massa entre bandas confere', () => {
+  const points = [
+    { price: 0, cdf: 0 },
+    { price: 10, cdf: 0.25 },
+    { price: 20, cdf: 0.75 },
+    { price: 30, cdf: 1 }
+  ];
+
+  assert.equal(ProbabilityDistributionCalculator.cdfAt(points, 15), 0.5);
+  assert.equal(ProbabilityDistributionCalculator.quantile(points, 0.5), 15);
+  assert.equal(ProbabilityDistributionCalculator.probabilityBetween(points, 10, 20), 0.5);
+  assert.equal(ProbabilityDistributionCalculator.cdfAt(points, -5), 0);
+  assert.equal(ProbabilityDistributionCalculator.cdfAt(points, 50), 1);
+});
+
+test('vencimento com poucos strikes ou muito próximo não gera distribuição', () => {
+  const calculator = new ProbabilityDistributionCalculator();
+
+  assert.equal(calculator.calculateExpiry(flatChain().slice(0, 4), SPOT, [], NOW), null);
+  assert.equal(calculator.calculateExpiry(flatChain(), SPOT, [], EXPIRY - 60 * 1000), null);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RealizedVolatility = require('../src/calculators/RealizedVolatility');
+const RealizedVolatilityTracker = require('../src/collectors/RealizedVolatilityTracker');
+const { createRandom } = require('../src/utils/random');
+
+const MINUTE = 60 * 1000;
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Barras de 1 minuto de um movimento browniano geométrico com vol anual conhecida
+ */
+function simulateBars(annualVol, count, ticksPerBar = 300, seed = 7) {
+  const random = createRandom(seed);
+  const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  const tickVol = annualVol * Math.sqrt(1 / ticksPerBar / RealizedVolatility.barsPerYear(MINUTE));
+
+  let price = 100000;
+  const bars = [];
+  for (let i = 0; i < count; i++) {
+    const bar = { openTime: i * MINUTE, open: price, high: price, low: price, close: price };
+    for (let j = 0; j < ticksPerBar; j++) {
+      price *= Math.exp(tickVol * normal() - tickVol * tickVol / 2);
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+    }
+    bar.close = price;
+    bars.push(bar);
+  }
+  return bars;
+}
+
+test('estimadores recuperam a vol de um GBM simulado', () => {
+  const bars = simulateBars(0.6, 1500);
+  const result = RealizedVolatility.estimate(bars, MINUTE);
+
+  // Range discreto (300 ticks por barra) subestima um pouco os estimadores de high/low
+  assert.ok(Math.abs(result.closeToClose / 0.6 - 1) < 0.05, `closeToClose ${result.closeToClose}`);
+  assert.ok(Math.abs(result.yangZhang / 0.6 - 1) < 0.06, `yangZhang ${result.yangZhang}`);
+  assert.ok(Math.abs(result.garmanKlass / 0.6 - 1) < 0.06, `garmanKlass ${result.garmanKlass}`);
+  assert.ok(Math.abs(result.parkinson / 0.6 - 1) < 0.06, `parkinson ${result.parkinson}`);
+});
+
+test('Parkinson de uma barra confere com a fórmula', () => {
+  const bar = { open: 100, high: 110, low: 100, close: 105 };
+  const expected = Math.sqrt(Math.log(1.1) ** 2 / (4 * Math.LN2) * RealizedVolatility.barsPerYear(MINUTE));
+  assert.ok(Math.abs(RealizedVolatility.parkinson([bar], RealizedVolatility.barsPerYear(MINUTE)) - expected) < 1e-12);
+});
+
+test('preço constante tem vol zero; poucas barras não estimam', () => {
+  const flat = Array.from({ length: 10 }, () => ({ open: 100, high: 100, low: 100, close: 100 }));
+  const result = RealizedVolatility.estimate(flat, MINUTE);
+
+  assert.deepEqual(result, { closeToClose: 0, parkinson: 0, garmanKlass: 0, yangZhang: 0 });
+  assert.equal(RealizedVolatility.estimate(flat.slice(0, 1), MINUTE).closeToClose, null);
+  assert.equal(RealizedVolatility.estimate(flat.slice(0, 2), MINUTE).yangZhang, null);
+});
+
+test('IV Rank e IV Percentile sobre o histórico', () => {
+  const history = [0.4, 0.5, 0.6, 0.7, 0.8];
+
+  assert.ok(Math.abs(RealizedVolatility.ivRank(0.6, history) - 50) < 1e-9);
+  assert.equal(RealizedVolatility.ivRank(0.9, history), 100);
+  assert.equal(RealizedVolatility.ivPercentile(0.65, history), 60);
+  assert.equal(RealizedVolatility.ivRank(0.6, [0.5, 0.5]), null);
+});
+
+test('VRP compara cada janela completa ao tenor mais próximo', () => {
+  const constantMaturity = [{ tenor: '7d', days: 7, atmIV: 0.7 }, { tenor: '30d', days: 30, atmIV: 0.6 }];
+  const windows = [
+    { window: '24h', minutes: 24 * 60, complete: true, yangZhang: 0.5 },
+    { window: '7d', minutes: 7 * 24 * 60, complete: false, yangZhang: 0.4 }
+  ];
+  const summary = RealizedVolatility.summarize(constantMaturity, windows, [0.5, 0.7]);
+
+  assert.equal(summary.rv, 0.5);
+  assert.equal(summary.rvWindow, '24h');
+  assert.equal(summary.vrp.tenor, '7d');
+  assert.ok(Math.abs(summary.vrp.premium - 0.2) < 1e-12);
+  // Histórico curto demais para rank
+  assert.equal(summary.ivRank, null);
+  assert.equal(summary.historySamples, 2);
+});
+
+test('tracker monta barras dos trades e preenche minutos sem trades', () => {
+  let now = 0;
+  const tracker = new RealizedVolatilityTracker(logger, { now: () => now });
+
+  [[1000, 100], [20000, 105], [50000, 99], [61000, 101], [200000, 102]].forEach(([timestamp, price]) => {
+    now = timestamp;
+    tracker.addTrade({ timestamp, price });
+  });
+
+  const bars = tracker.getBars();
+  assert.deepEqual(bars.map(bar => bar.openTime), [0, MINUTE, 2 * MINUTE]);
+  assert.deepEqual(bars[0], { openTime: 0, open: 100, high: 105, low: 99, close: 99, trades: 3 });
+  // Minuto 2 sem trades: barra flat no fechamento anterior
+  assert.deepEqual([bars[2].open, bars[2].close, bars[2].trades], [101, 101, 0]);
+});
+
+test('backfill completa a série antes do trade stream', () => {
+  let now = 10 * MINUTE + 5000;
+  const tracker = new RealizedVolatilityTracker(logger, { now: () => now });
+  tracker.addTrade({ timestamp: 8 * MINUTE + 1000, price: 100 });
+  now += MINUTE;
+
+  const klines = Array.from({ length: 6 }, (_, i) => ({
+    openTime: i * MINUTE, open: 90 + i, high: 91 + i, low: 89 + i, close: 90 + i, trades: 10
+  }));
+  const added = tracker.backfill([...klines, klines[2]]);
+
+  assert.equal(added, 6);
+  const bars = tracker.getBars();
+  assert.deepEqual(bars.map(bar => bar.openTime / MINUTE), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  // Gap entre as klines e o primeiro trade: flat no último fechamento do backfill
+  assert.deepEqual([bars[6].close, bars[7].close], [95, 95]);
+  assert.equal(bars[8].close, 100);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReplayDataCollector = require('../src/collectors/ReplayDataCollector');
+
+const T0 = Date.UTC(2026, 0, 5, 12);
+const MINUTE = 60 * 1000;
+const EXPIRY = Date.UTC(2030, 0, 4, 8);
+
+function row(symbol, strike, side, extra = {}) {
+  return {
+    symbol: symbol,
+    venue: 'binance',
+    strike: strike,
+    side: side,
+    contractSize: 1,
+    expiryDate: EXPIRY,
+    delta: side === 'CALL' ? 0.5 : -0.5,
+    gamma: 0.00002,
+    theta: -10,
+    vega: 50,
+    markIv: 0.5,
+    markPrice: 5000,
+    openInterest: 100,
+    ...extra
+  };
+}
+
+const FRAMES = [
+  { id: 1, timestamp: T0, spotPrice: '100000', rows: [row('BTC-300104-100000-C', 100000, 'CALL'), row('BTC-300104-90000-P', 90000, 'PUT')] },
+  { id: 2, timestamp: T0 + 10 * MINUTE, spotPrice: '101000', rows: [row('BTC-300104-100000-C', 100000, 'CALL', { openInterest: 150 })] },
+  { id: 3, timestamp: T0 + 20 * MINUTE, spotPrice: '99000', rows: [row('BTC-300104-100000-C', 100000, 'CALL', { contractSize: null }), row('BTC-300104-110000-C', 110000, 'CALL', { contractSize: 0.1 })] }
+];
+
+/**
+ * Banco em memória com os snapshots de FRAMES
+ * gates: snapshotId -> Promise que segura a consulta das options do frame
+ */
+function createDatabase(gates = {}) {
+  const models = {
+    Asset: { findOne: async () => ({ id: 7, symbol: 'BTC' }) },
+    MarketSnapshot: {
+      findAll: async () => FRAMES.map(({ id, timestamp, spotPrice }) => ({ id, timestamp: String(timestamp), spotPrice }))
+    },
+    OptionsHistory: {
+      findAll: async ({ where }) => {
+        await gates[where.snapshotId];
+        return FRAMES.find(frame => frame.id === where.snapshotId).rows.map(item => ({ ...item }));
+      }
+    }
+  };
+  return { getModel: (name) => models[name] };
+}
+
+function createCollector(database, replay = {}) {
+  const collector = new ReplayDataCollector({
+    underlying: 'BTC',
+    database: database,
+    replay: { from: T0, to: T0 + 30 * MINUTE, speed: 60000, minFrameDelay: 1, ...replay }
+  });
+  const frames = [];
+  collector.on('replay-frame', status => frames.push([status.frameIndex, status.currentTime, collector.spotPrice]));
+  return { collector, frames };
+}
+
+const finished = (collector) => new Promise(resolve => collector.once('replay-finished', resolve));
+
+test('reproduz os frames em ordem com o relógio e a chain de cada snapshot', async () => {
+  const { collector, frames } = createCollector(createDatabase());
+  const done = finished(collector);
+
+  try {
+    await collector.start();
+    assert.equal(collector.getCurrentTime(), T0);
+    assert.equal(collector.getAllOptions().length, 2);
+
+    await done;
+    assert.deepEqual(frames, [
+      [0, T0, 100000],
+      [1, T0 + 10 * MINUTE, 101000],
+      [2, T0 + 20 * MINUTE, 99000]
+    ]);
+
+    // Chain do último frame substitui a anterior
+    assert.deepEqual(collector.getAllOptions().map(option => option.symbol), ['BTC-300104-100000-C', 'BTC-300104-110000-C']);
+    assert.equal(collector.getCurrentTime(), T0 + 20 * MINUTE);
+    assert.equal(collector.getReplayStatus().finished, true);
+  } finally {
+    collector.stop();
+  }
+});
+
+test('seek cancela o frame agendado e descarta o carregamento em andamento', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const { collector, frames } = createCollector(createDatabase({ 2: gate }));
+
+  try {
+    await collector.start();
+
+    // Frame 2 agendado e preso na consulta
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(collector.frameIndex, 0);
+
+    collector.pause();
+    const status = await collector.seek(T0 + 25 * MINUTE);
+    assert.equal(status.frameIndex, 2);
+
+    release();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    // O carregamento antigo não sobrescreve o frame do seek
+    assert.deepEqual(frames.map(frame => frame[0]), [0, 2]);
+    assert.equal(collector.getCurrentTime(), T0 + 20 * MINUTE);
+    assert.equal(collector.spotPrice, 99000);
+
+    await assert.rejects(collector.seek('not-a-time'), error => error.status === 400);
+  } finally {
+    collector.stop();
+  }
+});
+
+test('contractSize gravado no histórico volta para as options e para o GEX', async () => {
+  const { collector } = createCollector(createDatabase(), { speed: 1 });
+
+  try {
+    await collector.start();
+    collector.pause();
+    await collector.seek(T0 + 20 * MINUTE);
+
+    // Linhas anteriores à coluna contract_size: 1 contrato = 1 moeda
+    assert.equal(collector.options.get('BTC-300104-100000-C').contractSize, 1);
+
+    const option = collector.options.get('BTC-300104-110000-C');
+    assert.equal(option.contractSize, 0.1);
+
+    const gex = collector.gexCalculator.calculateOptionGEX(option);
+    const expected = collector.gexCalculator.calculateOptionGEX({ ...option, contractSize: 1 }) * 0.1;
+    assert.ok(gex !== 0);
+    assert.ok(Math.abs(gex - expected) <= Math.abs(expected) * 1e-9);
+  } finally {
+    collector.stop();
+  }
+});
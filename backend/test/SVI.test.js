@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SVI = require('../src/calculators/SVI');
+const { normCdf } = require('../src/calculators/BlackScholes');
+
+const T = 30 / 365;
+const PARAMS = { a: 0.002, b: 0.05, rho: -0.3, m: 0.01, sigma: 0.1 };
+
+// Smile gerado por parâmetros conhecidos
+function smile(params, t) {
+  const points = [];
+  for (let k = -0.4; k <= 0.4001; k += 0.05) {
+    points.push({ k, iv: SVI.impliedVol(params, k, t) });
+  }
+  return points;
+}
+
+test('ajuste reproduz o smile gerado por um SVI', () => {
+  const points = smile(PARAMS, T);
+  const fit = SVI.fitSlice(points, T);
+
+  assert.ok(fit.rmse < 1e-3, `rmse ${fit.rmse}`);
+  assert.equal(fit.points, points.length);
+  points.forEach(point => {
+    assert.ok(Math.abs(SVI.impliedVol(fit.params, point.k, T) - point.iv) < 2e-3, `k ${point.k}`);
+  });
+});
+
+test('poucos pontos ou t inválido: sem ajuste', () => {
+  assert.equal(SVI.fitSlice(smile(PARAMS, T).slice(0, SVI.MIN_POINTS - 1), T), null);
+  assert.equal(SVI.fitSlice(smile(PARAMS, T), 0), null);
+});
+
+test('strikeAtDelta devolve o log-moneyness do delta pedido', () => {
+  const deltaAt = (k) => {
+    const w = SVI.totalVariance(PARAMS, k);
+    return normCdf((-k + w / 2) / Math.sqrt(w));
+  };
+
+  [0.25, 0.5, 0.75].forEach(delta => {
+    assert.ok(Math.abs(deltaAt(SVI.strikeAtDelta(PARAMS, T, delta)) - delta) < 1e-9);
+  });
+
+  // 25Δ put = 75Δ call
+  assert.equal(SVI.strikeAtDelta(PARAMS, T, -0.25), SVI.strikeAtDelta(PARAMS, T, 0.75));
+  assert.equal(SVI.strikeAtDelta(PARAMS, T, 1.2), null);
+});
+
+test('butterfly: smile regular passa, exemplo de Vogt viola Durrleman', () => {
+  assert.equal(SVI.checkButterfly(PARAMS, -1, 1).violations.length, 0);
+
+  const vogt = { a: -0.0410, b: 0.1331, rho: 0.3060, m: 0.3586, sigma: 0.4153 };
+  const result = SVI.checkButterfly(vogt, -1.5, 1.5);
+  assert.ok(result.violations.length > 0);
+  assert.ok(result.minG < 0);
+});
+
+test('calendar: variância total não pode cair com o vencimento', () => {
+  const far = { ...PARAMS, a: PARAMS.a + 0.01 };
+  assert.equal(SVI.checkCalendar(PARAMS, far, -1, 1).violations.length, 0);
+
+  const result = SVI.checkCalendar(far, PARAMS, -1, 1);
+  assert.equal(result.violations.length, 101);
+  assert.ok(Math.abs(result.maxViolation - 0.01) < 1e-12);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SimulatorServer = require('../src/simulator/SimulatorServer');
+
+// Só as rotas HTTP: sem start(), os simuladores ficam parados
+async function withServer(fn) {
+  const sim = new SimulatorServer({ underlyings: ['BTC', 'ETH'], seed: 1 });
+  const server = sim.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (path, method = 'GET') => {
+    const response = await fetch(base + path, { method });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    await fn(request, sim);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('eapi: exchangeInfo com a chain de todos os underlyings e openInterest por vencimento', async () => {
+  await withServer(async (request, sim) => {
+    const btc = sim.simulators.get('BTC');
+    const eth = sim.simulators.get('ETH');
+
+    const info = (await request('/eapi/v1/exchangeInfo')).body;
+    assert.deepEqual(info.optionContracts.map(contract => contract.underlying), ['BTCUSDT', 'ETHUSDT']);
+    assert.equal(info.optionSymbols.length, btc.instruments.length + eth.instruments.length);
+
+    const expiration = btc.formatExpiry(btc.instruments[0].expiryDate);
+    const { body } = await request(`/eapi/v1/openInterest?underlyingAsset=btc&expiration=${expiration}`);
+    assert.ok(body.length > 0);
+    assert.ok(body.every(row => row.symbol.startsWith('BTC-')));
+
+    assert.equal((await request('/eapi/v1/openInterest?underlyingAsset=BTC')).status, 400);
+    assert.equal((await request('/eapi/v1/depth?symbol=BTC-000101-1-C')).status, 400);
+  });
+});
+
+test('controle: cenário aplicado por underlying, inválido 400 e underlying fora da simulação 404', async () => {
+  await withServer(async (request, sim) => {
+    const applied = await request('/sim/scenario/iv-spike?underlying=eth', 'POST');
+    assert.equal(applied.status, 200);
+    assert.deepEqual(applied.body.data.map(status => [status.underlying, status.scenario.id]), [['ETH', 'iv-spike']]);
+    assert.equal(sim.simulators.get('BTC').scenario.id, 'calm');
+
+    assert.equal((await request('/sim/scenario/moon', 'POST')).status, 400);
+    assert.equal((await request('/sim/scenario/calm?underlying=SOL', 'POST')).status, 404);
+
+    const status = (await request('/sim/status')).body.data;
+    assert.deepEqual(status.map(item => item.scenario.id), ['calm', 'iv-spike']);
+  });
+});
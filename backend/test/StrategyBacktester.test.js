@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Op } = require('sequelize');
+const StrategyBacktester = require('../src/backtest/StrategyBacktester');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected} (±${tolerance})`);
+};
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 5, 8);
+const EXPIRY = T0 + 7 * 24 * HOUR;
+const LONG = 'BTC-260112-100000-C';
+const SHORT = 'BTC-260112-105000-C';
+
+// Bull call spread: paga 2000 no ask da 100000, recebe 800 no bid da 105000
+const LEGS = [
+  { action: 'BUY', type: 'CALL', strike: 100000, symbol: LONG, expiryDate: new Date(EXPIRY), entryPrice: 2000 },
+  { action: 'SELL', type: 'CALL', strike: 105000, symbol: SHORT, expiryDate: new Date(EXPIRY), entryPrice: 800 }
+];
+
+/**
+ * Banco em memória: preços (bid da leg comprada, ask da vendida) por snapshot
+ */
+function createDatabase(prices = {}) {
+  const models = {
+    Asset: { findOne: async ({ where }) => where.symbol === 'BTC' ? { id: 1 } : null },
+    OptionsHistory: {
+      findAll: async ({ where }) => where.snapshotId[Op.in]
+        .filter(id => prices[id])
+        .flatMap(id => [
+          { snapshotId: id, symbol: LONG, strike: 100000, side: 'CALL', expiryDate: EXPIRY, bidPrice: prices[id][0], askPrice: prices[id][0] + 50, markPrice: prices[id][0] },
+          { snapshotId: id, symbol: SHORT, strike: 105000, side: 'CALL', expiryDate: EXPIRY, bidPrice: prices[id][1] - 50, askPrice: prices[id][1], markPrice: prices[id][1] }
+        ])
+    },
+    MarketSnapshot: { findAll: async () => [] }
+  };
+  return { getModel: (name) => models[name] };
+}
+
+const snapshot = (id, hours, spotPrice) => ({ id, timestamp: T0 + hours * HOUR, spotPrice });
+
+function openSpread(backtester) {
+  return backtester.openTrade(snapshot(1, 0, 100500), { id: 'bull_call_spread', name: 'Bull Call Spread', score: 70 }, LEGS, 'LONG_GAMMA');
+}
+
+test('liquida no vencimento pelo valor intrínseco', async () => {
+  const backtester = new StrategyBacktester(createDatabase());
+  const trade = openSpread(backtester);
+  assert.equal(trade.entryCashFlow, -1200);
+
+  // Settlement: primeiro snapshot depois do vencimento
+  const snapshots = [snapshot(1, 0, 100500), snapshot(2, 24, 101000), snapshot(3, 7 * 24, 104000), snapshot(4, 8 * 24, 110000)];
+  await backtester.closeTrade(trade, snapshots);
+
+  assert.equal(trade.status, 'CLOSED');
+  assert.equal(trade.exitReason, 'EXPIRY');
+  assert.equal(trade.exitTime, snapshots[2].timestamp);
+  assert.equal(trade.pnl, -1200 + 4000);
+  close(trade.pnlPct, 2800 / 1200 * 100);
+});
+
+test('take profit sai no primeiro snapshot que atinge o alvo, a preço de saída', async () => {
+  const backtester = new StrategyBacktester(createDatabase({ 2: [2600, 900], 3: [3000, 1000], 4: [3500, 1100] }), {
+    exit: { takeProfitPct: 50 }
+  });
+  const trade = openSpread(backtester);
+  await backtester.closeTrade(trade, [snapshot(1, 0, 100500), snapshot(2, 12, 101500), snapshot(3, 24, 102000), snapshot(4, 36, 102500)]);
+
+  // Snapshot 2: -1200 + 2600 - 900 = 500 (41.7%); snapshot 3: -1200 + 3000 - 1000 = 800 (66.7%)
+  assert.equal(trade.exitReason, 'TAKE_PROFIT');
+  assert.equal(trade.exitTime, T0 + 24 * HOUR);
+  assert.equal(trade.pnl, 800);
+});
+
+test('hold fecha a mercado no prazo e sem dados até o vencimento o trade fica aberto', async () => {
+  const hold = new StrategyBacktester(createDatabase({ 2: [1500, 600], 3: [1800, 700] }), {
+    exit: { mode: 'hold', holdHours: 24 }
+  });
+  const held = openSpread(hold);
+  await hold.closeTrade(held, [snapshot(1, 0, 100500), snapshot(2, 12, 99000), snapshot(3, 24, 99500), snapshot(4, 36, 100000)]);
+  assert.equal(held.exitReason, 'HOLD_EXIT');
+  assert.equal(held.pnl, -1200 + 1800 - 700);
+
+  const open = openSpread(hold);
+  await new StrategyBacktester(createDatabase()).closeTrade(open, [snapshot(1, 0, 100500), snapshot(2, 24, 101000)]);
+  assert.equal(open.status, 'OPEN');
+  assert.equal(open.exitReason, 'END_OF_DATA');
+});
+
+test('resumo com win rate e drawdown da curva de P&L acumulado', () => {
+  const trades = [100, -300, 50, 200].map((pnl, i) => ({ pnl, pnlPct: pnl / 10, exitTime: T0 + i * HOUR, strategyId: i % 2 ? 'a' : 'b' }));
+  const summary = StrategyBacktester.summarize(trades);
+
+  assert.equal(summary.winRate, 75);
+  assert.equal(summary.totalPnL, 50);
+  assert.equal(summary.maxDrawdown, 300);
+  assert.deepEqual([summary.best, summary.worst], [200, -300]);
+
+  const byStrategy = StrategyBacktester.groupSummary(trades, trade => trade.strategyId);
+  assert.deepEqual([byStrategy.a.totalPnL, byStrategy.b.totalPnL], [-100, 150]);
+});
+
+test('topN e minScore aceitam 0; intervalo e underlying inválidos são recusados', async () => {
+  const backtester = new StrategyBacktester(createDatabase(), { topN: 0, minScore: 0, from: T0, to: T0 + HOUR });
+  assert.deepEqual([backtester.config.topN, backtester.config.minScore], [0, 0]);
+
+  await assert.rejects(new StrategyBacktester(createDatabase(), { from: T0, to: T0 }).run(), error => error.status === 400);
+  await assert.rejects(new StrategyBacktester(createDatabase(), { underlying: 'DOGE', from: T0, to: T0 + HOUR }).run(), error => error.status === 404);
+  await assert.rejects(backtester.run(), error => error.status === 404 && /snapshot/i.test(error.message));
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StrategyBuilder = require('../src/recommender/StrategyBuilder');
+const { STRATEGIES } = require('../src/recommender/strategies');
+const Option = require('../src/models/Option');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected} (±${tolerance})`);
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 5, 8);
+const NEAR = NOW + 7 * DAY;
+const FAR = NOW + 28 * DAY;
+const SPOT = 100200;
+
+const strategy = (id) => STRATEGIES.find(item => item.id === id);
+
+function option(expiry, strike, side, delta, bid, ask) {
+  const result = new Option({
+    symbol: `BTC-${new Date(expiry).toISOString().slice(2, 10).replace(/-/g, '')}-${strike}-${side[0]}`,
+    strikePrice: strike,
+    expiryDate: expiry,
+    side: side,
+    delta: delta,
+    gamma: 0.00001,
+    theta: -20,
+    vega: 40
+  });
+  result.updateMarkPrice((bid + ask) / 2);
+  result.updateTicker({ bidPrice: bid, askPrice: ask });
+  return result;
+}
+
+const CHAIN = [
+  option(NEAR, 95000, 'CALL', 0.7, 6000, 6100),
+  option(NEAR, 100000, 'CALL', 0.5, 2000, 2100),
+  option(NEAR, 105000, 'CALL', 0.3, 800, 850),
+  option(NEAR, 110000, 'CALL', 0.15, 300, 340),
+  option(NEAR, 90000, 'PUT', -0.15, 250, 300),
+  option(NEAR, 95000, 'PUT', -0.3, 700, 750),
+  option(NEAR, 100000, 'PUT', -0.5, 1800, 1900),
+  option(FAR, 100000, 'CALL', 0.52, 4000, 4200),
+  option(FAR, 110000, 'CALL', 0.3, 1500, 1600)
+];
+
+test('trava de alta: débito, risco limitado, breakeven e gregas da posição', () => {
+  const structure = new StrategyBuilder().build(strategy('bull_call_spread'), CHAIN, SPOT, { now: NOW });
+
+  // Vencimento mais próximo de 7 DTE; compra no ask da 100000, vende no bid da 105000
+  assert.equal(structure.expiry, new Date(NEAR).toISOString().slice(0, 10));
+  close(structure.dte, 7);
+  assert.deepEqual(structure.legs.map(leg => [leg.action, leg.strike, leg.entryPrice]), [
+    ['BUY', 100000, 2100],
+    ['SELL', 105000, 800]
+  ]);
+  assert.equal(structure.netPremium, -1300);
+  assert.equal(structure.premiumType, 'DEBIT');
+  assert.equal(structure.maxProfit, 3700);
+  assert.equal(structure.maxLoss, 1300);
+  close(structure.riskReward, 3700 / 1300);
+  assert.deepEqual(structure.breakevens, [101300]);
+  close(structure.greeks.delta, 0.2);
+  close(structure.greeks.theta, 0);
+
+  // Curva de payoff: ±30% do spot
+  assert.equal(structure.payoff.length, 101);
+  close(structure.payoff[0].price, SPOT * 0.7, 1e-6);
+  assert.equal(structure.payoff[0].pnl, -1300);
+  assert.equal(structure.payoff[structure.payoff.length - 1].pnl, 3700);
+});
+
+test('iron condor e straddle vendido: crédito, dois breakevens e perda ilimitada', () => {
+  const builder = new StrategyBuilder();
+
+  // Vende 95000P (700) e 105000C (800), compra 90000P (300) e 110000C (340)
+  const condor = builder.build(strategy('iron_condor'), CHAIN, SPOT, { now: NOW });
+  assert.equal(condor.netPremium, 860);
+  assert.equal(condor.premiumType, 'CREDIT');
+  assert.equal(condor.maxProfit, 860);
+  assert.equal(condor.maxLoss, 4140);
+  assert.deepEqual(condor.breakevens, [94140, 105860]);
+
+  const straddle = builder.build(strategy('short_straddle'), CHAIN, SPOT, { now: NOW });
+  assert.equal(straddle.netPremium, 3800);
+  assert.equal(straddle.maxProfit, 3800);
+  assert.equal(straddle.maxLoss, null);
+  assert.equal(straddle.riskReward, null);
+  assert.deepEqual(straddle.breakevens, [96200, 103800]);
+});
+
+test('vencimento explícito e estruturas que não fecham', () => {
+  const builder = new StrategyBuilder({ quantity: 2 });
+
+  const far = builder.build(strategy('bull_call_spread'), CHAIN, SPOT, { now: NOW, expiry: new Date(FAR).toISOString().slice(0, 10) });
+  assert.deepEqual(far.legs.map(leg => [leg.strike, leg.quantity]), [[100000, 2], [110000, 2]]);
+  assert.equal(far.netPremium, -2 * (4200 - 1500));
+
+  // Sem puts no vencimento longo; sem spot
+  assert.equal(builder.build(strategy('bear_put_spread'), CHAIN, SPOT, { now: NOW, expiry: new Date(FAR).toISOString().slice(0, 10) }), null);
+  assert.equal(builder.build(strategy('bull_call_spread'), CHAIN, 0, { now: NOW }), null);
+});
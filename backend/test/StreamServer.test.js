@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const StreamServer = require('../src/api/StreamServer');
+
+function createClient() {
+  return {
+    readyState: WebSocket.OPEN,
+    messages: [],
+    send(message) {
+      this.messages.push(JSON.parse(message));
+    }
+  };
+}
+
+function createServer(metrics, extra = {}) {
+  const pipeline = { underlying: 'BTC', dataCollector: {} };
+  const registry = {
+    resolve: (underlying) => (!underlying || underlying === 'BTC') ? pipeline : null,
+    get: (underlying) => underlying === 'BTC' ? pipeline : null,
+    getUnderlyings: () => ['BTC']
+  };
+  const apiServer = { getMetrics: async () => metrics, ...extra };
+  return new StreamServer(null, registry, apiServer);
+}
+
+test('diff traz só os campos de primeiro nível alterados e removidos', () => {
+  const { changes, removed } = StreamServer.diff(
+    { spot: 100, walls: { put: 90 }, regime: 'LONG', stale: 1 },
+    { spot: 101, walls: { put: 90 }, regime: 'LONG' }
+  );
+
+  assert.deepEqual(changes, { spot: 101 });
+  assert.deepEqual(removed, ['stale']);
+});
+
+test('diff compara valores aninhados pelo conteúdo', () => {
+  const { changes } = StreamServer.diff({ walls: { put: 90 } }, { walls: { put: 95 } });
+  assert.deepEqual(changes, { walls: { put: 95 } });
+});
+
+test('assinante recebe o snapshot e depois só os diffs', async () => {
+  const metrics = { spotPrice: 100, totalGEX: 5, totalVanna: 1, totalCharm: 2, maxGEXStrike: 100, regime: 'LONG_GAMMA' };
+  const server = createServer(metrics);
+  const client = createClient();
+  server.subscriptions.set(client, new Set());
+
+  server.subscribe(client, ['gex'], 'BTC');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(client.messages[0].type, 'subscribed');
+  assert.equal(client.messages[1].type, 'snapshot');
+  assert.equal(client.messages[1].data.spotPrice, 100);
+
+  metrics.spotPrice = 101;
+  await server.publishDiff('BTC', 'gex');
+  assert.equal(client.messages.length, 3);
+  assert.equal(client.messages[2].type, 'diff');
+  assert.deepEqual(client.messages[2].changes, { spotPrice: 101 });
+
+  // Nada mudou: nenhum push
+  await server.publishDiff('BTC', 'gex');
+  assert.equal(client.messages.length, 3);
+
+  server.stop();
+});
+
+test('max-pain e sentiment vêm dos mesmos cálculos das rotas REST', async () => {
+  const maxPain = { expiry: '2030-01-04', maxPainStrike: 100000, painCurve: [] };
+  const sentiment = { sentiment: 'BULLISH', putCallOIRatio: 0.8 };
+  const server = createServer({}, {
+    getMaxPain: () => ({ ...maxPain }),
+    getSentiment: () => sentiment
+  });
+  const client = createClient();
+  server.subscriptions.set(client, new Set());
+
+  server.subscribe(client, ['max-pain', 'sentiment'], 'BTC');
+  await new Promise(resolve => setImmediate(resolve));
+
+  const snapshots = client.messages.filter(message => message.type === 'snapshot');
+  assert.deepEqual(snapshots.map(message => [message.topic, message.data]), [
+    ['max-pain', maxPain],
+    ['sentiment', sentiment]
+  ]);
+
+  maxPain.maxPainStrike = 101000;
+  await server.publishDiff('BTC', 'max-pain');
+  assert.deepEqual(client.messages[client.messages.length - 1].changes, { maxPainStrike: 101000 });
+
+  server.stop();
+});
+
+test('tópicos e underlyings desconhecidos são recusados', () => {
+  const server = createServer({});
+  const client = createClient();
+  server.subscriptions.set(client, new Set());
+
+  server.subscribe(client, ['nope'], 'BTC');
+  server.subscribe(client, ['gex'], 'DOGE');
+
+  assert.match(client.messages[0].error, /nope/);
+  assert.match(client.messages[1].error, /DOGE/);
+  assert.equal(server.subscriptions.get(client).size, 0);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TermStructureCalculator = require('../src/calculators/TermStructureCalculator');
+const SVI = require('../src/calculators/SVI');
+
+const NOW = Date.UTC(2025, 0, 1, 8);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Slice no formato de VolatilitySurfaceCalculator.fitSurface
+function slice(days, params) {
+  const t = days / 365;
+  return {
+    expiryDate: NOW + days * MS_PER_DAY,
+    t: t,
+    params: params,
+    rmse: 0,
+    atmIV: SVI.impliedVol(params, 0, t),
+    call25dIV: SVI.impliedVolAtDelta(params, t, 0.25),
+    put25dIV: SVI.impliedVolAtDelta(params, t, -0.25)
+  };
+}
+
+// Smile flat com IV constante
+const flat = (days, iv) => slice(days, { a: iv * iv * days / 365, b: 0, rho: 0, m: 0, sigma: 0.1 });
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} != ${expected}`);
+};
+
+test('maturidade constante interpola a variância total entre vencimentos', () => {
+  const result = new TermStructureCalculator().calculate({ slices: [flat(60, 0.5), flat(14, 0.7)] }, 100000, NOW);
+  const tenor30 = result.constantMaturity.find(tenor => tenor.days === 30);
+
+  assert.deepEqual(result.expiries.map(expiry => Math.round(expiry.dte)), [14, 60]);
+
+  // σ²·t linear no tempo entre 14d e 60d
+  const weight = (30 - 14) / (60 - 14);
+  const variance = 0.49 * 14 / 365 + (0.25 * 60 / 365 - 0.49 * 14 / 365) * weight;
+  close(tenor30.atmIV, Math.sqrt(variance / (30 / 365)));
+  assert.equal(tenor30.extrapolated, false);
+});
+
+test('fora dos vencimentos listados a vol é flat e marcada como extrapolada', () => {
+  const result = new TermStructureCalculator().calculate({ slices: [flat(14, 0.7), flat(60, 0.5)] }, 100000, NOW);
+  const [tenor7, , , tenor90] = result.constantMaturity;
+
+  assert.equal(tenor7.extrapolated, true);
+  close(tenor7.atmIV, 0.7);
+  assert.equal(tenor90.extrapolated, true);
+  close(tenor90.atmIV, 0.5);
+});
+
+test('classificação pela inclinação da curva ATM', () => {
+  const calculator = new TermStructureCalculator();
+
+  const backwardation = calculator.calculate({ slices: [flat(7, 0.8), flat(90, 0.5)] }, 100000, NOW);
+  assert.equal(backwardation.structure.state, 'BACKWARDATION');
+  close(backwardation.structure.slope, -0.3);
+  assert.ok(backwardation.structure.frontRatio > 1);
+
+  const contango = calculator.calculate({ slices: [flat(7, 0.5), flat(90, 0.6)] }, 100000, NOW);
+  assert.equal(contango.structure.state, 'CONTANGO');
+
+  const level = calculator.calculate({ slices: [flat(7, 0.5), flat(90, 0.505)] }, 100000, NOW);
+  assert.equal(level.structure.state, 'FLAT');
+});
+
+test('risk reversal negativo e butterfly positivo com skew de puts', () => {
+  const params = { a: 0.002, b: 0.05, rho: -0.5, m: 0, sigma: 0.1 };
+  const result = new TermStructureCalculator().calculate({ slices: [slice(30, params)] }, 100000, NOW);
+  const expiry = result.expiries[0];
+
+  assert.ok(expiry.rr25d < 0);
+  assert.ok(expiry.rr10d < expiry.rr25d);
+  assert.ok(expiry.bf25d > 0);
+  close(expiry.rr25d, expiry.iv25c - expiry.iv25p);
+
+  // Smile flat: sem skew nem convexidade
+  const flatExpiry = new TermStructureCalculator().calculate({ slices: [flat(30, 0.6)] }, 100000, NOW).expiries[0];
+  close(flatExpiry.rr25d, 0);
+  close(flatExpiry.bf25d, 0);
+});
+
+test('sem slices ajustados não há estrutura a termo', () => {
+  assert.equal(new TermStructureCalculator().calculate(null, 100000, NOW), null);
+  assert.equal(new TermStructureCalculator().calculate({ slices: [] }, 100000, NOW), null);
+});
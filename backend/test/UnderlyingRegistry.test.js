@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UnderlyingRegistry = require('../src/registry/UnderlyingRegistry');
+const DataCollector = require('../src/collectors/DataCollector');
+
+// Sem stream de trades: os testes não abrem conexões
+const connectTradesWebSocket = DataCollector.prototype.connectTradesWebSocket;
+
+test.before(() => {
+  DataCollector.prototype.connectTradesWebSocket = () => {};
+});
+
+test.after(() => {
+  DataCollector.prototype.connectTradesWebSocket = connectTradesWebSocket;
+});
+
+test('normaliza símbolos e listas de underlyings', () => {
+  assert.equal(UnderlyingRegistry.normalize(' eth '), 'ETH');
+  assert.equal(UnderlyingRegistry.normalize(null), '');
+  assert.deepEqual(UnderlyingRegistry.parseList('btc, ETH,,eth'), ['BTC', 'ETH']);
+  assert.deepEqual(UnderlyingRegistry.parseList(['sol']), ['SOL']);
+  assert.deepEqual(UnderlyingRegistry.parseList(''), []);
+});
+
+test('um pipeline por underlying, registrado uma vez', () => {
+  const registry = new UnderlyingRegistry({ defaultUnderlying: 'btc' });
+  const registered = [];
+  registry.on('registered', pipeline => registered.push(pipeline.underlying));
+
+  const btc = registry.register('btc');
+  const eth = registry.register('ETH');
+
+  assert.equal(registry.register('BTC'), btc);
+  assert.deepEqual(registered, ['BTC', 'ETH']);
+  assert.deepEqual(registry.getUnderlyings(), ['BTC', 'ETH']);
+  assert.equal(btc.dataCollector.config.underlying, 'BTC');
+  assert.notEqual(btc.dataCollector, eth.dataCollector);
+  assert.notEqual(btc.gexCalculator, eth.gexCalculator);
+  assert.throws(() => registry.register('  '), /Underlying inválido/);
+});
+
+test('o GEXCalculator do pipeline acompanha o spot do próprio underlying', () => {
+  const registry = new UnderlyingRegistry();
+  const btc = registry.register('BTC');
+  const eth = registry.register('ETH');
+
+  btc.dataCollector.emit('spot-price-updated', { price: '100000' });
+  eth.dataCollector.emit('spot-price-updated', { price: 3500 });
+
+  assert.equal(btc.gexCalculator.spotPrice, 100000);
+  assert.equal(eth.gexCalculator.spotPrice, 3500);
+});
+
+test('resolve: padrão sem underlying, null para desconhecido', () => {
+  const registry = new UnderlyingRegistry({ defaultUnderlying: 'ETH' });
+  const btc = registry.register('BTC');
+  const eth = registry.register('ETH');
+
+  assert.equal(registry.resolve(null), eth);
+  assert.equal(registry.resolve('btc'), btc);
+  assert.equal(registry.resolve('DOGE'), null);
+  assert.equal(registry.has('eth'), true);
+  assert.equal(registry.get('DOGE'), null);
+});
@@ -1,45 +1,84 @@
 import { useEffect, useState } from "react";
 import { Card } from "@/components/ui/card";
-import { Target, TrendingUp, TrendingDown } from "lucide-react";
+import { Target, TrendingUp, TrendingDown, Magnet } from "lucide-react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
 import axios from "axios";
+import { useLiveTopic } from "@/hooks/useLiveTopic";
 
 const API_BASE_URL = "http://localhost:3300/api";
 
+// REST fallback while the "max-pain" stream topic is down
+const POLL_INTERVAL_MS = 10000;
+
+interface PainPoint {
+  settlement: number;
+  callPain: number;
+  putPain: number;
+  totalPain: number;
+}
+
 interface MaxPainData {
+  expiry: string;
   maxPainStrike: number;
+  totalPain: number;
   maxPainOI: number;
   maxPainCallOI: number;
   maxPainPutOI: number;
+  oiMagnet: {
+    strike: number;
+    totalOI: number;
+    callOI: number;
+    putOI: number;
+    distancePct: number | null;
+  } | null;
   spotPrice: number;
+  painCurve: PainPoint[];
   analysis: {
     distance: number;
     distancePct: number;
     interpretation: string;
+    probability: {
+      finishAbove: number;
+      finishBelow: number;
+      pinning: number;
+    } | null;
   };
 }
 
-export default function MaxPainCard() {
-  const [data, setData] = useState<MaxPainData | null>(null);
-  const [loading, setLoading] = useState(true);
-
-  const fetchMaxPain = async () => {
-    try {
-      const response = await axios.get(`${API_BASE_URL}/max-pain`);
-      setData(response.data.data);
-      setLoading(false);
-    } catch (error) {
-      console.error("Error fetching max pain:", error);
-      setLoading(false);
-    }
-  };
+// Faixa da pain curve exibida em torno do spot
+const CURVE_RANGE = 0.2;
+
+export default function MaxPainCard({ underlying }: { underlying: string | null }) {
+  const [polled, setPolled] = useState<MaxPainData | null>(null);
+  const live = useLiveTopic<MaxPainData>("max-pain", underlying);
+  const data = live.data ?? polled;
 
   useEffect(() => {
+    setPolled(null);
+  }, [underlying]);
+
+  useEffect(() => {
+    if (!underlying || live.connected) return;
+    let current = true;
+
+    const fetchMaxPain = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/${underlying}/max-pain`);
+        if (current) setPolled(response.data.data);
+      } catch (error) {
+        console.error("Error fetching max pain:", error);
+      }
+    };
+
     fetchMaxPain();
-    const interval = setInterval(fetchMaxPain, 10000); // Update every 10 seconds
-    return () => clearInterval(interval);
-  }, []);
+    const interval = setInterval(fetchMaxPain, POLL_INTERVAL_MS);
+    return () => {
+      current = false;
+      clearInterval(interval);
+    };
+  }, [underlying, live.connected]);
 
-  if (loading || !data) {
+  if (!data) {
     return (
       <Card className="p-6 bg-card border-border">
         <div className="flex items-center justify-center h-32">
@@ -56,7 +95,17 @@ export default function MaxPainCard() {
     }).format(value);
   };
 
+  const formatUsd = (value: number) => {
+    if (Math.abs(value) >= 1e9) return `$${(value / 1e9).toFixed(2)}B`;
+    if (Math.abs(value) >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+    if (Math.abs(value) >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+    return `$${value.toFixed(0)}`;
+  };
+
   const isPriceAboveMaxPain = data.spotPrice > data.maxPainStrike;
+  const painCurve = (data.painCurve || []).filter(
+    (point) => Math.abs(point.settlement / data.spotPrice - 1) <= CURVE_RANGE
+  );
 
   return (
     <Card className="p-6 bg-card border-border">
@@ -75,14 +124,46 @@ export default function MaxPainCard() {
         </span>
       </div>
       
-      <h3 className="text-sm text-muted-foreground mb-1">Max Pain</h3>
+      <h3 className="text-sm text-muted-foreground mb-1">
+        Max Pain{data.expiry ? ` · ${data.expiry}` : ""}
+      </h3>
       <p className="text-3xl font-bold font-mono number-animate">
         ${formatNumber(data.maxPainStrike)}
       </p>
+
+      {painCurve.length > 1 && (
+        <div className="mt-3 h-24">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={painCurve} margin={{ top: 4, right: 4, left: 4, bottom: 0 }}>
+              <XAxis
+                dataKey="settlement"
+                type="number"
+                domain={["dataMin", "dataMax"]}
+                stroke="#94a3b8"
+                tick={{ fontSize: 10 }}
+                tickFormatter={(value) => `${(value / 1000).toFixed(0)}k`}
+              />
+              <YAxis hide domain={[0, "dataMax"]} />
+              <Tooltip
+                formatter={(value: number) => [formatUsd(value), "Payout"]}
+                labelFormatter={(label) => `Settlement $${formatNumber(Number(label))}`}
+              />
+              <ReferenceLine x={data.maxPainStrike} stroke="#a855f7" strokeDasharray="3 3" />
+              <ReferenceLine x={data.spotPrice} stroke="#64748b" strokeDasharray="5 5" />
+              <Line type="monotone" dataKey="totalPain" stroke="#a855f7" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
       
       <div className="mt-4 space-y-2 text-xs">
         <div className="flex items-center justify-between">
-          <span className="text-muted-foreground">Total OI:</span>
+          <span className="text-muted-foreground">Payout at Max Pain:</span>
+          <span className="font-mono">{formatUsd(data.totalPain)}</span>
+        </div>
+
+        <div className="flex items-center justify-between">
+          <span className="text-muted-foreground">OI at Strike:</span>
           <span className="font-mono">{formatNumber(data.maxPainOI)}</span>
         </div>
         
@@ -106,6 +187,20 @@ export default function MaxPainCard() {
           </span>
         </div>
         
+        {data.oiMagnet && (
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-1">
+              <Magnet className="w-3 h-3 text-amber-400" />
+              <span className="text-muted-foreground">OI Magnet:</span>
+            </div>
+            <span className="font-mono text-amber-400">
+              ${formatNumber(data.oiMagnet.strike)}
+              {data.oiMagnet.distancePct !== null &&
+                ` (${data.oiMagnet.distancePct > 0 ? "+" : ""}${data.oiMagnet.distancePct.toFixed(2)}%)`}
+            </span>
+          </div>
+        )}
+        
         <div className="pt-2 mt-2 border-t border-border">
           <div className="flex items-center justify-between">
             <span className="text-muted-foreground">Distance:</span>
@@ -118,6 +213,14 @@ export default function MaxPainCard() {
               {data.analysis.distancePct.toFixed(2)}%
             </span>
           </div>
+          {data.analysis.probability && (
+            <div className="flex items-center justify-between mt-2">
+              <span className="text-muted-foreground">Pin Probability (±1%):</span>
+              <span className="font-mono text-purple-400">
+                {(data.analysis.probability.pinning * 100).toFixed(1)}%
+              </span>
+            </div>
+          )}
         </div>
       </div>
       
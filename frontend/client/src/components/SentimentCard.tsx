@@ -2,9 +2,13 @@ import { useEffect, useState } from "react";
 import { Card } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { TrendingUp, TrendingDown, Minus } from "lucide-react";
+import { useLiveTopic } from "@/hooks/useLiveTopic";
 
 const API_BASE_URL = "http://localhost:3300/api";
 
+// REST fallback while the "sentiment" stream topic is down
+const POLL_INTERVAL_MS = 10000;
+
 interface SentimentData {
   sentiment: string;
   putCallOIRatio: number;
@@ -19,32 +23,41 @@ interface SentimentData {
   };
 }
 
-export default function SentimentCard() {
-  const [data, setData] = useState<SentimentData | null>(null);
-  const [loading, setLoading] = useState(true);
+export default function SentimentCard({ underlying }: { underlying: string | null }) {
+  const [polled, setPolled] = useState<SentimentData | null>(null);
+  const live = useLiveTopic<SentimentData>("sentiment", underlying);
+  const data = live.data ?? polled;
 
-  const fetchSentiment = async () => {
-    try {
-      const response = await fetch(`${API_BASE_URL}/sentiment`);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const result = await response.json();
-      setData(result.data);
-      setLoading(false);
-    } catch (error) {
-      console.error("Error fetching sentiment:", error);
-      setLoading(false);
-    }
-  };
+  useEffect(() => {
+    setPolled(null);
+  }, [underlying]);
 
   useEffect(() => {
+    if (!underlying || live.connected) return;
+    let current = true;
+
+    const fetchSentiment = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/${underlying}/sentiment`);
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const result = await response.json();
+        if (current) setPolled(result.data);
+      } catch (error) {
+        console.error("Error fetching sentiment:", error);
+      }
+    };
+
     fetchSentiment();
-    const interval = setInterval(fetchSentiment, 10000); // Update every 10 seconds
-    return () => clearInterval(interval);
-  }, []);
+    const interval = setInterval(fetchSentiment, POLL_INTERVAL_MS);
+    return () => {
+      current = false;
+      clearInterval(interval);
+    };
+  }, [underlying, live.connected]);
 
-  if (loading || !data) {
+  if (!data) {
     return (
       <Card className="p-6 bg-card border-border">
         <div className="flex items-center justify-center h-32">
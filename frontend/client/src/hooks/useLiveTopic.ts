@@ -0,0 +1,160 @@
+import { useEffect, useState } from "react";
+
+// Backend WebSocket URL (StreamServer)
+const STREAM_URL = "ws://localhost:3300/ws";
+const RECONNECT_DELAY_MS = 3000;
+
+type StreamMessage = {
+  type: "snapshot" | "diff" | "event" | "subscribed" | "unsubscribed" | "pong" | "error";
+  topic?: string;
+  underlying?: string;
+  data?: any;
+  changes?: Record<string, unknown>;
+  removed?: string[];
+  error?: string;
+};
+
+type Listener = {
+  onData: (data: any) => void;
+  onConnected: (connected: boolean) => void;
+};
+
+/**
+ * One WebSocket shared by every useLiveTopic. Topics are multiplexed per
+ * "UNDERLYING:topic" key (subscribed on first listener, unsubscribed on
+ * the last one) and re-subscribed after a reconnect.
+ */
+class LiveStream {
+  private ws: WebSocket | null = null;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private listeners = new Map<string, Set<Listener>>();
+  private state = new Map<string, any>();
+  private connected = false;
+
+  subscribe(underlying: string, topic: string, listener: Listener) {
+    const key = `${underlying}:${topic}`;
+    let keyListeners = this.listeners.get(key);
+    if (!keyListeners) {
+      keyListeners = new Set();
+      this.listeners.set(key, keyListeners);
+      this.send({ action: "subscribe", topics: [topic], underlying });
+    }
+    keyListeners.add(listener);
+
+    this.connect();
+    listener.onConnected(this.connected);
+    if (this.state.has(key)) listener.onData(this.state.get(key));
+
+    return () => {
+      keyListeners!.delete(listener);
+      if (keyListeners!.size > 0) return;
+
+      this.listeners.delete(key);
+      this.state.delete(key);
+      this.send({ action: "unsubscribe", topics: [topic], underlying });
+      if (this.listeners.size === 0) this.disconnect();
+    };
+  }
+
+  private connect() {
+    if (this.ws || this.reconnectTimer) return;
+
+    const ws = new WebSocket(STREAM_URL);
+    this.ws = ws;
+
+    ws.onopen = () => {
+      this.setConnected(true);
+      // Server answers each subscribe with a full snapshot
+      this.listeners.forEach((_, key) => {
+        const [underlying, topic] = this.splitKey(key);
+        this.send({ action: "subscribe", topics: [topic], underlying });
+      });
+    };
+
+    ws.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+
+    ws.onclose = () => {
+      // Socket replaced after a disconnect/subscribe cycle
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.state.clear();
+      this.setConnected(false);
+      if (this.listeners.size > 0) {
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          this.connect();
+        }, RECONNECT_DELAY_MS);
+      }
+    };
+  }
+
+  private disconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.ws?.close();
+    this.ws = null;
+    this.state.clear();
+    this.setConnected(false);
+  }
+
+  private handleMessage(message: StreamMessage) {
+    const key = `${message.underlying}:${message.topic}`;
+    const keyListeners = this.listeners.get(key);
+    if (!keyListeners) return;
+
+    if (message.type === "snapshot" || message.type === "event") {
+      this.state.set(key, message.data);
+    } else if (message.type === "diff" && this.state.has(key)) {
+      const next: Record<string, unknown> = { ...this.state.get(key), ...message.changes };
+      message.removed?.forEach((field) => delete next[field]);
+      this.state.set(key, next);
+    } else {
+      return;
+    }
+
+    const data = this.state.get(key);
+    keyListeners.forEach((listener) => listener.onData(data));
+  }
+
+  private setConnected(connected: boolean) {
+    this.connected = connected;
+    this.listeners.forEach((keyListeners) => keyListeners.forEach((listener) => listener.onConnected(connected)));
+  }
+
+  private send(message: Record<string, unknown>) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  private splitKey(key: string): [string, string] {
+    const separator = key.indexOf(":");
+    return [key.slice(0, separator), key.slice(separator + 1)];
+  }
+}
+
+const stream = new LiveStream();
+
+/**
+ * Subscribes to a StreamServer topic of one underlying and keeps its latest
+ * state. Returns null until the first snapshot (or while underlying is not
+ * known yet) and `connected` so callers can fall back to REST polling.
+ */
+export function useLiveTopic<T = any>(topic: string, underlying: string | null) {
+  const [data, setData] = useState<T | null>(null);
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    setData(null);
+    if (!underlying) return;
+
+    return stream.subscribe(underlying.toUpperCase(), topic, {
+      onData: (next) => setData(next as T),
+      onConnected: setConnected,
+    });
+  }, [topic, underlying]);
+
+  return { data, connected };
+}
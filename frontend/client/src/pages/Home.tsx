@@ -7,10 +7,16 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContaine
 import axios from "axios";
 import MaxPainCard from "@/components/MaxPainCard";
 import SentimentCard from "@/components/SentimentCard";
+import { useLiveTopic } from "@/hooks/useLiveTopic";
 
 // Backend API URL
 const API_BASE_URL = "http://localhost:3300/api";
 
+// Polling intervals: live topics (gex, gamma-flip, walls) come via WebSocket;
+// REST polling only refreshes profile/zones/insights unless the stream is down
+const POLL_INTERVAL_MS = 5000;
+const POLL_INTERVAL_LIVE_MS = 30000;
+
 interface WallZone {
   peak: number;
   peakGEX: number;
@@ -25,6 +31,25 @@ interface WallZone {
   distancePercent: { peak: number; zoneLow: number; zoneHigh: number };  
 }
 
+// Fresh positioning marker: strike where OI changed over the window (/api/gamma-profile)
+interface FreshPositioning {
+  strike: number;
+  change: number;
+  changePct: number | null;
+  callChange: number;
+  putChange: number;
+  positioning: string;
+}
+
+// Short labels for the chart markers
+const POSITIONING_LABELS: Record<string, string> = {
+  LONG_BUILDUP: "Long build-up",
+  SHORT_BUILDUP: "Short build-up",
+  SHORT_COVERING: "Short covering",
+  LONG_UNWINDING: "Long unwinding",
+  BUILDUP: "OI build-up",
+  UNWINDING: "OI unwinding",
+};
 
 interface Metrics {
   totalGEX: { total: number; calls: number; puts: number; netGamma: string };
@@ -55,26 +80,53 @@ interface Metrics {
     };
   };
   gammaProfile: Array<{ strike: number; totalGEX: number; callGEX: number; putGEX: number }>;
+  freshPositioning: FreshPositioning[];
+  oiWindow: string;
+}
+
+interface UnderlyingSummary {
+  underlying: string;
+  isDefault: boolean;
+  spotPrice: number | null;
 }
 
 export default function Home() {
+  const [underlyings, setUnderlyings] = useState<UnderlyingSummary[]>([]);
+  const [underlying, setUnderlying] = useState<string | null>(null);
   const [metrics, setMetrics] = useState<Metrics | null>(null);
   const [loading, setLoading] = useState(true);
   const [lastUpdate, setLastUpdate] = useState<Date>(new Date());
   const [rangePercent, setRangePercent] = useState(0.3); // +/- 30% padrao
   const [autoRange, setAutoRange] = useState(true);
 
-  const fetchMetrics = async () => {
+  const liveGEX = useLiveTopic<{ totalGEX: Metrics["totalGEX"] }>("gex", underlying);
+  const liveFlip = useLiveTopic<Metrics["gammaFlip"]>("gamma-flip", underlying);
+  const liveWalls = useLiveTopic<Metrics["walls"]>("walls", underlying);
+  const streamConnected = liveGEX.connected && liveFlip.connected && liveWalls.connected;
+
+  // Monitored underlyings; starts on the backend default
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/underlyings`)
+      .then((response) => {
+        setUnderlyings(response.data.data);
+        setUnderlying(response.data.default);
+      })
+      .catch((error) => console.error("Error fetching underlyings:", error));
+  }, []);
+
+  const fetchMetrics = async (isCurrent: () => boolean) => {
+    if (!underlying) return;
+    const base = `${API_BASE_URL}/${underlying}`;
     try {
       const [totalGEX, gammaFlip, walls, wallZones, insights, gammaProfile] = await Promise.all([
-        axios.get(`${API_BASE_URL}/total-gex`),
-        axios.get(`${API_BASE_URL}/gamma-flip`),
-        axios.get(`${API_BASE_URL}/walls`),
-        axios.get(`${API_BASE_URL}/wall-zones`),
-        axios.get(`${API_BASE_URL}/insights`),
-        axios.get(`${API_BASE_URL}/gamma-profile?range=${rangePercent}&auto=${autoRange}`),
+        axios.get(`${base}/total-gex`),
+        axios.get(`${base}/gamma-flip`),
+        axios.get(`${base}/walls`),
+        axios.get(`${base}/wall-zones`),
+        axios.get(`${base}/insights`),
+        axios.get(`${base}/gamma-profile?range=${rangePercent}&auto=${autoRange}`),
       ]);  
-        
+      if (!isCurrent()) return;
 
       setMetrics({
         totalGEX: totalGEX.data.data,
@@ -83,20 +135,47 @@ export default function Home() {
         wallZones: wallZones.data.data,
         insights: insights.data.data,
         gammaProfile: gammaProfile.data.data,
+        freshPositioning: gammaProfile.data.freshPositioning ?? [],
+        oiWindow: gammaProfile.data.oiWindow ?? "1h",
       });
       setLastUpdate(new Date());
       setLoading(false);
     } catch (error) {
       console.error("Error fetching metrics:", error);
-      setLoading(false);
+      if (isCurrent()) setLoading(false);
     }
   };
 
+  // New underlying: drop the previous one's metrics so live diffs never merge into them
+  useEffect(() => {
+    setMetrics(null);
+    setLoading(true);
+  }, [underlying]);
+
+  useEffect(() => {
+    // Responses from a previous underlying/range arriving late are ignored
+    let current = true;
+    const isCurrent = () => current;
+
+    fetchMetrics(isCurrent);
+    const interval = setInterval(() => fetchMetrics(isCurrent), streamConnected ? POLL_INTERVAL_LIVE_MS : POLL_INTERVAL_MS);
+    return () => {
+      current = false;
+      clearInterval(interval);
+    };
+  }, [underlying, rangePercent, autoRange, streamConnected]);
+
+  // Push updates override the last REST values
   useEffect(() => {
-    fetchMetrics();
-    const interval = setInterval(fetchMetrics, 5000); // Update every 5 seconds
-    return () => clearInterval(interval);
-  }, [rangePercent, autoRange]);
+    if (!liveGEX.data && !liveFlip.data && !liveWalls.data) return;
+    setMetrics((prev) => prev && {
+      ...prev,
+      totalGEX: liveGEX.data?.totalGEX ?? prev.totalGEX,
+      gammaFlip: liveFlip.data ?? prev.gammaFlip,
+      walls: liveWalls.data ?? prev.walls,
+    });
+    setLastUpdate(new Date());
+  }, [liveGEX.data, liveFlip.data, liveWalls.data]);
 
   if (loading || !metrics) {
     return (
@@ -131,6 +210,11 @@ export default function Home() {
     return "text-gray-400";
   };
 
+  const getPositioningColor = (positioning: string) => {
+    if (positioning.endsWith("BUILDUP")) return "oklch(0.8 0.15 85)";
+    return "oklch(0.7 0.12 230)";
+  };
+
   const getVolatilityColor = (vol: string) => {
     if (vol === "LOW") return "text-emerald-400";
     if (vol === "MEDIUM") return "text-amber-400";
@@ -158,6 +242,19 @@ export default function Home() {
               </div>
             </div>
             <div className="flex items-center gap-4">
+              {underlyings.length > 1 && (
+                <select
+                  value={underlying ?? ""}
+                  onChange={(e) => setUnderlying(e.target.value)}
+                  className="px-3 py-2 bg-card border border-border rounded-lg text-sm font-medium"
+                >
+                  {underlyings.map((item) => (
+                    <option key={item.underlying} value={item.underlying}>
+                      {item.underlying}
+                    </option>
+                  ))}
+                </select>
+              )}
               <Link href="/volatility-surface">
                 <button className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors">
                   <Mountain className="w-4 h-4" />
@@ -307,9 +404,9 @@ export default function Home() {
             </div>
           </Card>          
           {/* Max Pain Card */}
-          <MaxPainCard />
+          <MaxPainCard underlying={underlying} />
           {/* Sentiment Card */}
-          <SentimentCard />
+          <SentimentCard underlying={underlying} />
         </div>
 
         {/* Gamma Profile Chart */}
@@ -321,6 +418,11 @@ export default function Home() {
               <p className="text-sm text-muted-foreground">
                 Distribution of gamma exposure across strikes
               </p>
+              {metrics.freshPositioning.length > 0 && (
+                <p className="text-xs text-muted-foreground mt-1">
+                  Dotted markers: fresh positioning (OI change, last {metrics.oiWindow})
+                </p>
+              )}
            </div>                        
               <div className="flex items-center gap-3">
                 <label className="flex items-center gap-2 text-sm">
@@ -445,7 +547,26 @@ export default function Home() {
                     angle:-45
                   }}
                   />
-                )}               
+                )}
+                {/* Fresh positioning (OI change vs price move) */}
+                {metrics.freshPositioning.map((marker) => (
+                  <ReferenceLine
+                    key={`fresh-${marker.strike}`}
+                    x={marker.strike}
+                    stroke={getPositioningColor(marker.positioning)}
+                    strokeWidth={1.5}
+                    strokeDasharray="2 4"
+                    label={{
+                      value: `${POSITIONING_LABELS[marker.positioning] ?? marker.positioning}${
+                        marker.changePct !== null ? ` ${marker.changePct > 0 ? "+" : ""}${(marker.changePct * 100).toFixed(0)}%` : ""
+                      }`,
+                      position: "insideTopLeft",
+                      fill: getPositioningColor(marker.positioning),
+                      fontSize: 10,
+                      angle: -90,
+                    }}
+                  />
+                ))}
                 
                 <Bar dataKey="totalGEX" radius={[4, 4, 0, 0]}>
                   {metrics.gammaProfile.map((entry, index) => (